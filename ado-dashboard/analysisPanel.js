@@ -1892,6 +1892,8 @@ export class AnalysisPanel {
                 ] || "",
               technicalDetails:
                 this.currentStory.fields["Custom.TechnicalDetails"] || "",
+              iterationPath:
+                this.currentStory.fields["System.IterationPath"] || "",
             },
             acceptanceCriteria:
               this.currentStory.fields[
@@ -1919,6 +1921,9 @@ export class AnalysisPanel {
 
       // Render enhanced risk analysis with per-AC breakdown
       container.innerHTML = this.renderEnhancedRiskAnalysis(data);
+
+      // Includes the assessment just recorded by the orchestrator
+      this.loadRiskHistory();
     } catch (error) {
       console.error("Risk analysis error:", error);
       container.innerHTML = `
@@ -1952,6 +1957,25 @@ export class AnalysisPanel {
     `
       : '<p class="empty-message">Risk matrix not available</p>';
 
+    // Bugs behind the defect history factor, so the score can be audited
+    const defectHistory = riskMatrix?.probability?.factors?.defectHistory;
+    const defectHistoryHtml =
+      defectHistory?.bugIds?.length > 0
+        ? `
+      <div class="risk-defect-history">
+        <strong>Defect History (${defectHistory.score}/100):</strong> ${defectHistory.reason}
+        <div class="defect-bug-links">
+          ${defectHistory.bugIds
+            .map(
+              (id) =>
+                `<a href="https://dev.azure.com/carepayment/Core/_workitems/edit/${id}" target="_blank">#${id}</a>`,
+            )
+            .join(", ")}
+        </div>
+      </div>
+    `
+        : "";
+
     // AC Risk Summary Table
     const summaryTableHtml =
       formattedOutput?.summaryTable?.length > 0
@@ -2095,6 +2119,8 @@ export class AnalysisPanel {
     return `
       <div class="enhanced-risk-analysis">
         ${overallHtml}
+        ${defectHistoryHtml}
+        <div id="riskHistoryContent"></div>
         ${summaryTableHtml}
         ${detailedHtml}
         ${priorityHtml}
@@ -2103,6 +2129,72 @@ export class AnalysisPanel {
     `;
   }
 
+  async loadRiskHistory() {
+    const container = document.getElementById("riskHistoryContent");
+    if (!container) return;
+
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/api/analysis/risk/history/${this.currentStory.id}`,
+      );
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+      container.innerHTML = this.renderRiskHistory(data.history || []);
+    } catch (error) {
+      // History is supplementary - leave the risk analysis as is
+      console.error("Risk history error:", error);
+    }
+  }
+
+  renderRiskHistory(history) {
+    // A single assessment has nothing to compare against
+    if (history.length < 2) return "";
+
+    const rows = [...history]
+      .reverse()
+      .map((entry) => {
+        const change = entry.change;
+        const changeHtml = change
+          ? `<span class="risk-change ${change.score > 0 ? "up" : change.score < 0 ? "down" : ""}">${change.score > 0 ? "+" : ""}${change.score}</span>`
+          : "";
+
+        return `
+          <tr>
+            <td>${new Date(entry.assessedAt).toLocaleString()}</td>
+            <td>${entry.app}</td>
+            <td><span class="risk-badge ${entry.level}">${entry.level.toUpperCase()}</span></td>
+            <td>${entry.score} ${changeHtml}</td>
+            <td>${change?.acceptanceCriteriaChanged ? "✏️ AC edited" : ""}</td>
+            <td>${entry.profile || "default"}</td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    return `
+      <div class="risk-history">
+        <h4>Risk History (${history.length} assessments)</h4>
+        <table class="risk-matrix-table">
+          <thead>
+            <tr>
+              <th>Assessed</th>
+              <th>App</th>
+              <th>Level</th>
+              <th>Score</th>
+              <th>AC</th>
+              <th>Profile</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
   async loadIntegrationAnalysis() {
     const container = document.getElementById("integrationAnalysisContent");
 
@@ -3,8 +3,19 @@
  *
  * Persistent header button for on-demand AI model selection.
  * Stores preferences in localStorage and allows switching anytime.
+ * Shows AI spend per model from the orchestrator's usage ledger, and the
+ * models loaded on the on-prem LLM server (GET /api/ai/models).
  */
 
+const API_BASE_URL = 'http://localhost:3000';
+
+/**
+ * Format a USD amount for display
+ */
+function formatCost(cost) {
+  return `$${(cost || 0).toFixed(2)}`;
+}
+
 const MODEL_OPTIONS = {
   anthropic: [
     {
@@ -53,6 +64,28 @@ const MODEL_OPTIONS = {
       description: 'Efficient reasoning model',
       tier: 'fast'
     }
+  ],
+  // Replaced by the local server's models once /api/ai/models answers
+  local: [
+    {
+      id: 'local/llama3.1:8b',
+      name: 'Llama 3.1 8B',
+      description: 'On-prem - code never leaves the network',
+      tier: 'fast',
+      default: true
+    },
+    {
+      id: 'local/qwen2.5-coder:14b',
+      name: 'Qwen 2.5 Coder 14B',
+      description: 'On-prem code model',
+      tier: 'balanced'
+    },
+    {
+      id: 'local/llama3.3:70b',
+      name: 'Llama 3.3 70B',
+      description: 'On-prem, needs a GPU server',
+      tier: 'advanced'
+    }
   ]
 };
 
@@ -69,6 +102,30 @@ class ModelSelector {
    */
   initialize() {
     this.addHeaderButton();
+    this.loadLocalModels();
+  }
+
+  /**
+   * Replace the local model list with what the orchestrator reports
+   */
+  async loadLocalModels() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/ai/models`).then(r => r.json());
+      const models = response.success ? response.providers.local : [];
+      if (!models?.length) return;
+
+      MODEL_OPTIONS.local = models.map((model, index) => ({
+        id: model.id,
+        name: model.displayName,
+        description: model.description,
+        tier: model.tier || 'local',
+        available: model.available,
+        default: model.default || (index === 0 && !models.some(m => m.default))
+      }));
+      this.updateHeaderButton();
+    } catch (error) {
+      console.warn('Could not load local AI models:', error.message);
+    }
   }
 
   /**
@@ -147,6 +204,7 @@ class ModelSelector {
 
     // Initialize event listeners
     this.attachModalListeners();
+    this.loadUsage();
 
     // Show modal with animation
     setTimeout(() => {
@@ -167,6 +225,7 @@ class ModelSelector {
           <div class="ai-modal-header">
             <h2>🤖 Select AI Model</h2>
             <p>Choose the AI model for your current work. You can change this anytime.</p>
+            <p id="aiUsageSummary" class="ai-usage-summary"></p>
           </div>
 
           <div class="ai-modal-body">
@@ -191,6 +250,16 @@ class ModelSelector {
                   <div class="provider-desc">Versatile language models</div>
                 </div>
               </label>
+
+              <label class="provider-option ${savedProvider === 'local' ? 'selected' : ''}">
+                <input type="radio" name="provider" value="local"
+                       ${savedProvider === 'local' ? 'checked' : ''}>
+                <div class="provider-card">
+                  <div class="provider-logo">🏠</div>
+                  <div class="provider-name">Local (on-prem)</div>
+                  <div class="provider-desc">Self-hosted models for restricted code</div>
+                </div>
+              </label>
             </div>
 
             <!-- Model Selection (Anthropic) -->
@@ -206,6 +275,13 @@ class ModelSelector {
               <h3>OpenAI Models</h3>
               ${this.renderModelOptions('openai', savedModel)}
             </div>
+
+            <!-- Model Selection (Local) -->
+            <div id="localModels" class="model-selection"
+                 style="display: ${savedProvider === 'local' ? 'block' : 'none'}">
+              <h3>Local Models</h3>
+              ${this.renderModelOptions('local', savedModel)}
+            </div>
           </div>
 
           <div class="ai-modal-footer">
@@ -222,7 +298,7 @@ class ModelSelector {
    */
   renderModelOptions(provider, selectedModel) {
     return MODEL_OPTIONS[provider].map(model => `
-      <label class="model-option ${selectedModel === model.id ? 'selected' : ''}">
+      <label class="model-option ${selectedModel === model.id ? 'selected' : ''} ${model.available === false ? 'unavailable' : ''}">
         <input type="radio" name="model" value="${model.id}"
                data-provider="${provider}"
                ${selectedModel === model.id ? 'checked' : ''}>
@@ -232,11 +308,48 @@ class ModelSelector {
             <div class="model-tier-badge">${model.tier.toUpperCase()}</div>
           </div>
           <div class="model-desc">${model.description}</div>
+          ${model.available === false ? '<div class="model-unavailable">Not loaded on the local LLM server</div>' : ''}
+          <div class="model-spend" data-model-spend="${model.id}"></div>
         </div>
       </label>
     `).join('');
   }
 
+  /**
+   * Fill in today's spend and each model's spend over the last 30 days
+   */
+  async loadUsage() {
+    try {
+      const [usage, budget] = await Promise.all([
+        fetch(`${API_BASE_URL}/api/ai/usage`).then(r => r.json()),
+        fetch(`${API_BASE_URL}/api/ai/usage/budget`).then(r => r.json())
+      ]);
+      if (!usage.success) return;
+
+      const today = new Date().toISOString().slice(0, 10);
+      const todaySpend = usage.byDay.find(d => d.day === today)?.cost || 0;
+      const dailyLimit = budget.limits?.find(l => l.scope === 'global')?.hard;
+
+      const summary = document.getElementById('aiUsageSummary');
+      if (summary) {
+        summary.innerHTML = `
+          AI spend today: <strong>${formatCost(todaySpend)}</strong>${dailyLimit ? ` of ${formatCost(dailyLimit)}` : ''}
+          · Last 30 days: <strong>${formatCost(usage.totals.cost)}</strong>
+        `;
+        summary.classList.toggle('over-budget', budget.status && budget.status !== 'ok');
+      }
+
+      usage.byModel.forEach(({ model, cost, calls }) => {
+        const spend = document.querySelector(`[data-model-spend="${model}"]`);
+        if (spend) {
+          spend.textContent = `${formatCost(cost)} · ${calls} call${calls === 1 ? '' : 's'} in 30 days`;
+        }
+      });
+    } catch (error) {
+      console.warn('Could not load AI usage:', error.message);
+    }
+  }
+
   /**
    * Attach event listeners to modal
    */
@@ -255,10 +368,10 @@ class ModelSelector {
         e.target.closest('.provider-option').classList.add('selected');
 
         // Show/hide model sections
-        document.getElementById('anthropicModels').style.display =
-          provider === 'anthropic' ? 'block' : 'none';
-        document.getElementById('openaiModels').style.display =
-          provider === 'openai' ? 'block' : 'none';
+        Object.keys(MODEL_OPTIONS).forEach(name => {
+          document.getElementById(`${name}Models`).style.display =
+            provider === name ? 'block' : 'none';
+        });
 
         // Auto-select first model for new provider
         const firstModel = MODEL_OPTIONS[provider].find(m => m.default) || MODEL_OPTIONS[provider][0];
@@ -2213,7 +2213,7 @@ window.analyzeStory = function (storyId) {
   }, 300);
 };
 
-async function analyzeStoryFull(storyId) {
+async function analyzeStoryFull(storyId, { noCache = false } = {}) {
   console.log("[Story Analyzer] Starting analysis for story:", storyId);
   const btn = document.getElementById("analyzeStoryBtn");
   const loading = document.getElementById("analyzeLoading");
@@ -2267,6 +2267,7 @@ async function analyzeStoryFull(storyId) {
 
     // Step 2: Try to analyze requirements (optional)
     let requirementsAnalysis = null;
+    let cachedAt = null;
 
     try {
       console.log("[Story Analyzer] Step 2: Analyzing requirements...");
@@ -2283,6 +2284,7 @@ async function analyzeStoryFull(storyId) {
           storyIds: [parseInt(storyId)],
           includeGapAnalysis: true,
           model,
+          noCache,
         }),
       });
 
@@ -2298,6 +2300,7 @@ async function analyzeStoryFull(storyId) {
 
         if (analysisData.results && analysisData.results.length > 0) {
           requirementsAnalysis = analysisData.results[0]; // Changed from .analysis to get full result object
+          cachedAt = analysisData.cachedAt || null;
           console.log("[Story Analyzer] Requirements analysis retrieved");
         } else {
           console.warn("[Story Analyzer] No results in analysis data");
@@ -2358,6 +2361,7 @@ async function analyzeStoryFull(storyId) {
         childTasks: childTasksFromAPI,
       },
       requirementsAnalysis: actualRequirementsAnalysis,
+      cachedAt,
     };
 
     console.log("[Story Analyzer] Display data prepared:", displayData);
@@ -2514,6 +2518,14 @@ function displayAnalysisResults(data) {
         <div class="analysis-header">
           <div class="story-header-row">
             <h2>Work Item Details</h2>
+            ${
+              data.cachedAt
+                ? `<div class="cached-result">
+              <span>Cached result from ${new Date(data.cachedAt).toLocaleString()}</span>
+              <button class="btn btn-secondary btn-small" id="refreshAnalysisBtn" title="Re-run the AI analysis">↻ Refresh</button>
+            </div>`
+                : ""
+            }
           </div>
           <div class="story-info">
             <span class="story-id">#${workItem.id || "N/A"}</span>
@@ -2756,6 +2768,15 @@ function displayAnalysisResults(data) {
 
     container.innerHTML = html;
 
+    // Refresh re-runs the AI instead of reusing cached answers
+    const refreshBtn = document.getElementById("refreshAnalysisBtn");
+    if (refreshBtn) {
+      refreshBtn.addEventListener("click", () => {
+        refreshBtn.disabled = true;
+        analyzeStoryFull(workItem.id, { noCache: true });
+      });
+    }
+
     // Setup collapsible section handlers
     container
       .querySelectorAll(".section-header-collapsible")
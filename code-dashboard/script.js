@@ -3,6 +3,8 @@
 
 const API_BASE_URL = window.location.origin || "http://localhost:3000";
 
+const COVERAGE_LANGUAGES = ["dotnet", "javascript"];
+
 let state = {
   applications: [],
   currentApp: null,
@@ -11,6 +13,7 @@ let state = {
     backend: null,
     frontend: null,
     testGaps: null,
+    coverageTrend: null,
   },
   isLoading: false,
   // Multi-select state
@@ -95,17 +98,20 @@ async function loadAllData(appName) {
 
   try {
     // Load all data in parallel
-    const [overview, backend, frontend, testGaps] = await Promise.all([
-      loadOverview(appName),
-      loadBackend(appName),
-      loadFrontend(appName),
-      loadTestGaps(appName),
-    ]);
+    const [overview, backend, frontend, testGaps, coverageTrend] =
+      await Promise.all([
+        loadOverview(appName),
+        loadBackend(appName),
+        loadFrontend(appName),
+        loadTestGaps(appName),
+        loadCoverageTrend(appName),
+      ]);
 
     state.data.overview = overview;
     state.data.backend = backend;
     state.data.frontend = frontend;
     state.data.testGaps = testGaps;
+    state.data.coverageTrend = coverageTrend;
 
     // Render the active tab
     const activeTab = document.querySelector(".tab-btn.active").dataset.tab;
@@ -174,6 +180,30 @@ async function loadTestGaps(appName) {
   }
 }
 
+async function loadCoverageTrend(appName) {
+  try {
+    const [trendResponse, ...dropResponses] = await Promise.all([
+      fetch(`${API_BASE_URL}/api/dashboard/coverage/trend?app=${appName}`),
+      ...COVERAGE_LANGUAGES.map((language) =>
+        fetch(
+          `${API_BASE_URL}/api/dashboard/coverage/drops?app=${appName}&language=${language}`,
+        ),
+      ),
+    ]);
+    if (!trendResponse.ok) throw new Error(`HTTP ${trendResponse.status}`);
+
+    const { trend } = await trendResponse.json();
+    const drops = await Promise.all(
+      dropResponses.map((r) => (r.ok ? r.json() : null)),
+    );
+
+    return { trend, drops: drops.filter((d) => d?.dropped) };
+  } catch (error) {
+    console.error("Error loading coverage trend:", error);
+    return null;
+  }
+}
+
 // ============================================
 // RENDER FUNCTIONS
 // ============================================
@@ -254,9 +284,101 @@ function renderOverviewTab() {
     frontendCoverage,
   );
 
+  renderCoverageTrend();
+
   console.log("✅ Overview tab rendered");
 }
 
+/**
+ * Line chart of overall coverage per snapshot, one line per language
+ */
+function renderCoverageTrend() {
+  const chart = document.getElementById("coverage-trend-chart");
+  const dropsContainer = document.getElementById("coverage-drops");
+  const data = state.data.coverageTrend;
+
+  const series = COVERAGE_LANGUAGES.map((language) => ({
+    language,
+    points: (data?.trend?.[language] || []).filter(
+      (p) => p.overallPercentage !== null,
+    ),
+  }));
+  const times = series.flatMap((s) =>
+    s.points.map((p) => new Date(p.takenAt).getTime()),
+  );
+
+  if (times.length === 0) {
+    chart.innerHTML = '<p class="no-data">No coverage snapshots yet</p>';
+    dropsContainer.innerHTML = "";
+    return;
+  }
+
+  const width = 600;
+  const height = 200;
+  const padding = 30;
+  const minTime = Math.min(...times);
+  const span = Math.max(...times) - minTime || 1;
+  const x = (takenAt) =>
+    padding +
+    ((new Date(takenAt).getTime() - minTime) / span) * (width - 2 * padding);
+  const y = (percentage) =>
+    height - padding - (percentage / 100) * (height - 2 * padding);
+
+  const gridLines = [0, 50, 80, 100]
+    .map(
+      (p) => `
+        <line class="grid" x1="${padding}" x2="${width - padding}" y1="${y(p)}" y2="${y(p)}" />
+        <text class="axis-label" x="${padding - 6}" y="${y(p) + 4}" text-anchor="end">${p}%</text>`,
+    )
+    .join("");
+
+  const lines = series
+    .filter((s) => s.points.length > 0)
+    .map((s) => {
+      const path = s.points
+        .map((p) => `${x(p.takenAt)},${y(p.overallPercentage)}`)
+        .join(" ");
+      const dots = s.points
+        .map(
+          (p) => `
+            <circle cx="${x(p.takenAt)}" cy="${y(p.overallPercentage)}" r="4">
+              <title>${p.overallPercentage}% · ${p.commitSha ? p.commitSha.slice(0, 8) : "no commit"} · ${new Date(p.takenAt).toLocaleString()}</title>
+            </circle>`,
+        )
+        .join("");
+      return `<g class="series ${s.language}"><polyline points="${path}" />${dots}</g>`;
+    })
+    .join("");
+
+  chart.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Coverage over time">
+      ${gridLines}
+      ${lines}
+    </svg>
+  `;
+
+  const drops = data?.drops || [];
+  dropsContainer.innerHTML = drops
+    .map((d) => {
+      const label = d.language === "javascript" ? "Frontend" : "Backend";
+      const items = [...d.files, ...d.methods.slice(0, 10)]
+        .map(
+          (item) => `
+            <li>
+              <span class="truncate" title="${escapeHtmlAttr(item.file)}">${escapeHtml(item.method || item.file)}</span>
+              <span class="coverage-drop">${item.previous}% → ${item.current}% (${item.change})</span>
+            </li>`,
+        )
+        .join("");
+      return `
+        <div class="coverage-drop-group">
+          <h4>⚠️ ${label} coverage dropped since ${d.from.commitSha ? d.from.commitSha.slice(0, 8) : new Date(d.from.takenAt).toLocaleDateString()}${d.overall.change !== null ? ` (${d.overall.previous}% → ${d.overall.current}%)` : ""}</h4>
+          <ul>${items}</ul>
+        </div>`;
+    })
+    .join("");
+}
+
 function renderBackendTab() {
   const data = state.data.backend;
 
@@ -21,6 +21,7 @@ import EventFlowPanel from "./components/panels/EventFlowPanel";
 import SwaggerPanel from "./components/panels/SwaggerPanel";
 import DatabasePanel from "./components/panels/DatabasePanel";
 import HangfirePanel from "./components/panels/HangfirePanel";
+import GenerationPanel from "./components/panels/GenerationPanel";
 
 import "./App.css";
 
@@ -83,6 +84,12 @@ const App: React.FC = () => {
       const infrastructureData =
         await InfrastructureAPI.getInfrastructureData();
       setData(infrastructureData);
+      // Generated data may not use the same application keys
+      setSelectedApp((current) =>
+        infrastructureData.applications[current]
+          ? current
+          : Object.keys(infrastructureData.applications)[0] || current,
+      );
       setLastUpdated(new Date().toLocaleString());
       setError(null);
     } catch (err) {
@@ -107,6 +114,18 @@ const App: React.FC = () => {
     }
   };
 
+  // Pick up newly generated data without leaving the current view
+  const handleGenerated = async () => {
+    try {
+      const infrastructureData =
+        await InfrastructureAPI.getInfrastructureData();
+      setData(infrastructureData);
+      setLastUpdated(new Date().toLocaleString());
+    } catch (err) {
+      console.error("Failed to reload generated data:", err);
+    }
+  };
+
   const handleRefresh = async () => {
     setIsRefreshing(true);
     try {
@@ -191,7 +210,11 @@ const App: React.FC = () => {
     switch (viewMode) {
       case "visual":
         return (
-          <VisualView app={app} onSelectIntegration={handleSelectIntegration} />
+          <VisualView
+            app={app}
+            environment={environment}
+            onSelectIntegration={handleSelectIntegration}
+          />
         );
 
       case "details":
@@ -227,6 +250,9 @@ const App: React.FC = () => {
           <HangfirePanel app={app} allApps={data} environment={environment} />
         );
 
+      case "changes":
+        return <GenerationPanel onGenerated={handleGenerated} />;
+
       default:
         return null;
     }
@@ -113,6 +113,7 @@ const ApplicationNodeComponent = ({
         selected ? "ring-2 ring-blue-400 ring-offset-2 ring-offset-black" : ""
       } transition-all`}
     >
+      <Handle type="target" position={Position.Top} className="!bg-blue-500" />
       <Handle
         type="source"
         position={Position.Bottom}
@@ -7,6 +7,7 @@ import {
   FileJson,
   Database,
   Clock,
+  History,
 } from "lucide-react";
 import type {
   Application,
@@ -157,6 +158,18 @@ export const Header: React.FC<HeaderProps> = ({
           >
             <Clock className="w-4 h-4" /> Hangfire
           </button>
+          <button
+            onClick={() => !isViewingIntegration && onViewModeChange("changes")}
+            disabled={isViewingIntegration}
+            className={`btn btn-sm ${viewMode === "changes" ? "btn-primary" : "btn-ghost"} ${isViewingIntegration ? "opacity-50 cursor-not-allowed" : ""}`}
+            title={
+              isViewingIntegration
+                ? "Go back to architecture first"
+                : "Generated data changes"
+            }
+          >
+            <History className="w-4 h-4" /> Changes
+          </button>
         </div>
       </div>
     </div>
@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from "react";
+import {
+  History,
+  RefreshCw,
+  Plus,
+  Minus,
+  ArrowRight,
+  AlertTriangle,
+} from "lucide-react";
+import type {
+  InfrastructureVersion,
+  InfrastructureDiff,
+  InfrastructureChange,
+  GenerationResult,
+} from "../../types/infrastructure";
+import { InfrastructureAPI } from "../../services/api";
+
+interface GenerationPanelProps {
+  onGenerated: () => void;
+}
+
+const formatValue = (value: unknown): string => {
+  if (value === undefined) return "—";
+  if (typeof value === "string") return value;
+  return JSON.stringify(value);
+};
+
+const ChangeRow: React.FC<{ change: InfrastructureChange }> = ({ change }) => {
+  if (change.change === "items") {
+    return (
+      <div className="p-3 bg-tertiary rounded-lg">
+        <code className="text-xs font-semibold">{change.path}</code>
+        <div className="mt-2 space-y-1 text-xs">
+          {change.added.map((item, idx) => (
+            <div key={`a-${idx}`} className="flex items-center gap-2">
+              <Plus className="w-3 h-3 text-green-600" />
+              <code>{formatValue(item)}</code>
+            </div>
+          ))}
+          {change.removed.map((item, idx) => (
+            <div key={`r-${idx}`} className="flex items-center gap-2">
+              <Minus className="w-3 h-3 text-error" />
+              <code className="line-through">{formatValue(item)}</code>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-3 bg-tertiary rounded-lg">
+      <div className="flex items-center gap-2">
+        <code className="text-xs font-semibold">{change.path}</code>
+        <span className="badge">{change.change}</span>
+      </div>
+      <div className="mt-2 flex items-center gap-2 text-xs">
+        <code className="text-secondary break-all">
+          {formatValue(change.before)}
+        </code>
+        <ArrowRight className="w-3 h-3 flex-shrink-0" />
+        <code className="break-all">{formatValue(change.after)}</code>
+      </div>
+    </div>
+  );
+};
+
+export const GenerationPanel: React.FC<GenerationPanelProps> = ({
+  onGenerated,
+}) => {
+  const [versions, setVersions] = useState<InfrastructureVersion[]>([]);
+  const [diff, setDiff] = useState<InfrastructureDiff | null>(null);
+  const [lastRun, setLastRun] = useState<GenerationResult | null>(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadVersions = async () => {
+    try {
+      const [versionList, latestDiff] = await Promise.all([
+        InfrastructureAPI.getGeneratedVersions(),
+        InfrastructureAPI.getGeneratedDiff(),
+      ]);
+      setVersions(versionList);
+      setDiff(latestDiff);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to load versions");
+    }
+  };
+
+  useEffect(() => {
+    loadVersions();
+  }, []);
+
+  const handleGenerate = async () => {
+    setIsGenerating(true);
+    try {
+      const result = await InfrastructureAPI.generateInfrastructure();
+      setLastRun(result);
+      await loadVersions();
+      if (!result.unchanged) {
+        onGenerated();
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to generate");
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const handleSelectVersion = async (version: number) => {
+    try {
+      setDiff(await InfrastructureAPI.getGeneratedDiff(version - 1, version));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to load diff");
+    }
+  };
+
+  const changedApps = diff ? Object.entries(diff.changed) : [];
+
+  return (
+    <div className="p-6">
+      <div className="card mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <History className="w-5 h-5" /> Generated Infrastructure
+          </h3>
+          <button
+            onClick={handleGenerate}
+            disabled={isGenerating}
+            className="btn btn-primary btn-sm"
+            title="Rebuild from integration-mapper, config files and Swagger"
+          >
+            <RefreshCw
+              className={`w-4 h-4 ${isGenerating ? "animate-spin" : ""}`}
+            />
+            Generate
+          </button>
+        </div>
+
+        {error && <p className="text-error text-sm mb-3">{error}</p>}
+
+        {lastRun && (
+          <p className="text-sm text-secondary mb-3">
+            {lastRun.unchanged
+              ? `No changes since version ${lastRun.version}`
+              : `Saved version ${lastRun.version}`}
+          </p>
+        )}
+
+        {lastRun && lastRun.errors.length > 0 && (
+          <div className="mb-3 space-y-1">
+            {lastRun.errors.map((err, idx) => (
+              <div
+                key={idx}
+                className="flex items-center gap-2 text-xs text-secondary"
+              >
+                <AlertTriangle className="w-3 h-3 text-error" />
+                <span>
+                  {err.app} ({err.source}): {err.error}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {versions.length === 0 ? (
+          <p className="text-sm text-tertiary">
+            Nothing generated yet — the dashboard is showing the maintained
+            infrastructure data.
+          </p>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {[...versions].reverse().map((v) => (
+              <button
+                key={v.version}
+                onClick={() => handleSelectVersion(v.version)}
+                disabled={v.version === 1}
+                className={`btn btn-sm ${diff?.to.version === v.version ? "btn-primary" : "btn-ghost"}`}
+                title={`${v.applications} applications, ${v.errors} errors`}
+              >
+                v{v.version}
+                <span className="text-xs text-tertiary">
+                  {new Date(v.generatedAt).toLocaleString()}
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {diff && (
+        <div className="card">
+          <h3 className="text-lg font-semibold mb-4">
+            Changes from v{diff.from.version} to v{diff.to.version}
+          </h3>
+
+          {diff.unchanged && (
+            <p className="text-sm text-tertiary">No differences</p>
+          )}
+
+          {diff.added.length > 0 && (
+            <div className="mb-4 flex flex-wrap items-center gap-2">
+              <Plus className="w-4 h-4 text-green-600" />
+              {diff.added.map((key) => (
+                <span key={key} className="badge">
+                  {key}
+                </span>
+              ))}
+            </div>
+          )}
+
+          {diff.removed.length > 0 && (
+            <div className="mb-4 flex flex-wrap items-center gap-2">
+              <Minus className="w-4 h-4 text-error" />
+              {diff.removed.map((key) => (
+                <span key={key} className="badge">
+                  {key}
+                </span>
+              ))}
+            </div>
+          )}
+
+          <div className="space-y-4">
+            {changedApps.map(([appKey, changes]) => (
+              <div key={appKey}>
+                <div className="font-semibold mb-2">
+                  {appKey}{" "}
+                  <span className="text-xs text-tertiary">
+                    ({changes.length} changes)
+                  </span>
+                </div>
+                <div className="space-y-2">
+                  {changes.map((change, idx) => (
+                    <ChangeRow key={idx} change={change} />
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GenerationPanel;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useMemo, useCallback } from "react";
+import ReactFlow, {
+  Background,
+  Controls,
+  Edge,
+  ConnectionMode,
+  MarkerType,
+} from "reactflow";
+import "reactflow/dist/style.css";
+import { Download, RefreshCw, X } from "lucide-react";
+import type {
+  Environment,
+  IntegrationGraph,
+  IntegrationGraphFormat,
+} from "../../types/infrastructure";
+import { InfrastructureAPI } from "../../services/api";
+import { buildTopologyFlowData } from "../../utils/flowHelpers";
+import { nodeTypes } from "../common/FlowNode";
+
+interface TopologyGraphProps {
+  /** Repository of the selected app, highlighted in the graph */
+  repository?: string;
+  environment: Environment;
+}
+
+const EXPORTS: Array<{
+  format: IntegrationGraphFormat;
+  label: string;
+  extension: string;
+}> = [
+  { format: "mermaid", label: "Mermaid", extension: "mmd" },
+  { format: "dot", label: "DOT", extension: "dot" },
+  { format: "plantuml", label: "PlantUML", extension: "puml" },
+];
+
+export const TopologyGraph: React.FC<TopologyGraphProps> = ({
+  repository,
+  environment,
+}) => {
+  const [graph, setGraph] = useState<IntegrationGraph | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [selectedEdge, setSelectedEdge] = useState<Edge | null>(null);
+
+  const loadGraph = async () => {
+    try {
+      setLoading(true);
+      setGraph(await InfrastructureAPI.getIntegrationGraph(environment));
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to load graph");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setSelectedEdge(null);
+    loadGraph();
+  }, [environment]);
+
+  const flowData = useMemo(
+    () => (graph ? buildTopologyFlowData(graph, repository) : null),
+    [graph, repository],
+  );
+
+  const labels = useMemo(
+    () => new Map(graph?.nodes.map((node) => [node.id, node.label]) || []),
+    [graph],
+  );
+
+  // Every detection behind the selected edge
+  const evidence = useMemo(
+    () =>
+      graph && selectedEdge
+        ? graph.edges.filter(
+            (edge) =>
+              edge.source === selectedEdge.source &&
+              edge.target === selectedEdge.target,
+          )
+        : [],
+    [graph, selectedEdge],
+  );
+
+  const onEdgeClick = useCallback((_event: React.MouseEvent, edge: Edge) => {
+    setSelectedEdge(edge);
+  }, []);
+
+  const handleExport = async (format: IntegrationGraphFormat) => {
+    const { extension } = EXPORTS.find((e) => e.format === format)!;
+    try {
+      const diagram = await InfrastructureAPI.exportIntegrationGraph(
+        format,
+        environment,
+      );
+      const url = URL.createObjectURL(
+        new Blob([diagram], { type: "text/plain" }),
+      );
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `integration-graph-${environment}.${extension}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to export graph");
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex gap-2">
+          {graph && (
+            <>
+              <span className="badge">{graph.summary.apps} apps</span>
+              <span className="badge">{graph.summary.external} external</span>
+              <span className="badge">
+                {graph.summary.crossApp} cross-app calls
+              </span>
+            </>
+          )}
+        </div>
+        <div className="flex gap-2">
+          {EXPORTS.map(({ format, label }) => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              disabled={!graph}
+              className="btn btn-ghost btn-sm"
+              title={`Download as ${label}`}
+            >
+              <Download className="w-4 h-4" /> {label}
+            </button>
+          ))}
+          <button
+            onClick={loadGraph}
+            disabled={loading}
+            className="btn btn-ghost btn-sm"
+            title="Rescan all applications"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-error text-sm mb-3">{error}</p>}
+
+      <div className="bg-tertiary rounded-lg relative" style={{ height: 520 }}>
+        {loading && !flowData && (
+          <div className="absolute inset-0 flex items-center justify-center">
+            <div className="text-center">
+              <div className="spinner mx-auto mb-4"></div>
+              <p className="text-secondary text-sm">Scanning applications...</p>
+            </div>
+          </div>
+        )}
+
+        {flowData && (
+          <ReactFlow
+            key={`${environment}-${graph?.summary.edges}`}
+            nodes={flowData.nodes}
+            edges={flowData.edges}
+            onEdgeClick={onEdgeClick}
+            nodeTypes={nodeTypes}
+            connectionMode={ConnectionMode.Loose}
+            nodesConnectable={false}
+            fitView
+            fitViewOptions={{ padding: 0.2 }}
+            defaultEdgeOptions={{
+              markerEnd: { type: MarkerType.ArrowClosed },
+            }}
+            proOptions={{ hideAttribution: true }}
+          >
+            <Background color="#333" gap={20} />
+            <Controls
+              className="!bg-secondary !border-primary !rounded-lg"
+              showInteractive={false}
+            />
+          </ReactFlow>
+        )}
+
+        {selectedEdge && evidence.length > 0 && (
+          <div className="absolute top-4 right-4 bg-secondary rounded-lg p-3 border border-primary max-w-md max-h-96 overflow-auto">
+            <div className="flex items-center justify-between gap-4 mb-2">
+              <div className="text-xs font-semibold">
+                {labels.get(selectedEdge.source)} →{" "}
+                {labels.get(selectedEdge.target)}
+              </div>
+              <button
+                onClick={() => setSelectedEdge(null)}
+                className="btn btn-ghost btn-sm"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </div>
+            <div className="space-y-2">
+              {evidence.map((edge) => (
+                <div key={edge.id} className="text-xs">
+                  <code className="break-all">
+                    {edge.file}
+                    {edge.line !== null && `:${edge.line}`}
+                  </code>
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    <span className="badge">{edge.protocol}</span>
+                    <span className="badge">
+                      {edge.environment || "all environments"}
+                    </span>
+                    <span className="badge">{edge.detectedBy}</span>
+                    {edge.configKey && (
+                      <span className="badge">{edge.configKey}</span>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TopologyGraph;
@@ -1,4 +1,4 @@
-import React from "react";
+import React, { useState } from "react";
 import {
   Database,
   Cloud,
@@ -13,6 +13,8 @@ import {
   ChevronRight,
   ExternalLink,
   Globe,
+  Network,
+  LayoutGrid,
 } from "lucide-react";
 import type {
   Application,
@@ -20,6 +22,7 @@ import type {
   Environment,
 } from "../../types/infrastructure";
 import { getIntegrationColorClass } from "../../utils/integrationHelpers";
+import TopologyGraph from "./TopologyGraph";
 
 const environmentLabels: Record<Environment, string> = {
   local: "Local",
@@ -43,6 +46,7 @@ const environmentColors: Record<Environment, string> = {
 
 interface VisualViewProps {
   app: Application;
+  environment: Environment;
   onSelectIntegration: (key: string) => void;
 }
 
@@ -66,8 +70,11 @@ const getIcon = (type: IntegrationType) => {
 
 export const VisualView: React.FC<VisualViewProps> = ({
   app,
+  environment,
   onSelectIntegration,
 }) => {
+  const [showTopology, setShowTopology] = useState(true);
+
   return (
     <div className="p-6">
       {/* Stats Cards */}
@@ -96,37 +103,62 @@ export const VisualView: React.FC<VisualViewProps> = ({
 
       {/* Visual Architecture */}
       <div className="card mb-6">
-        <h3 className="text-lg font-semibold mb-4">Architecture Overview</h3>
-        <div className="bg-tertiary rounded-lg p-8">
-          {/* Central App */}
-          <div className="flex justify-center mb-8">
-            <div className="badge badge-primary px-8 py-4 text-lg font-bold shadow-lg">
-              {app.name}
-            </div>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Architecture Overview</h3>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setShowTopology(true)}
+              className={`btn btn-sm ${showTopology ? "btn-primary" : "btn-ghost"}`}
+              title="How all applications call each other and external systems"
+            >
+              <Network className="w-4 h-4" /> System
+            </button>
+            <button
+              onClick={() => setShowTopology(false)}
+              className={`btn btn-sm ${!showTopology ? "btn-primary" : "btn-ghost"}`}
+              title="This application's integrations"
+            >
+              <LayoutGrid className="w-4 h-4" /> Integrations
+            </button>
           </div>
+        </div>
+        {showTopology ? (
+          <TopologyGraph
+            repository={app.repository}
+            environment={environment}
+          />
+        ) : (
+          <div className="bg-tertiary rounded-lg p-8">
+            {/* Central App */}
+            <div className="flex justify-center mb-8">
+              <div className="badge badge-primary px-8 py-4 text-lg font-bold shadow-lg">
+                {app.name}
+              </div>
+            </div>
 
-          {/* Integration Grid */}
-          <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
-            {Object.entries(app.integrations || {}).map(([key, int]) => (
-              <button
-                key={key}
-                onClick={() => onSelectIntegration(key)}
-                className="flex flex-col items-center gap-2 p-4 card hover:scale-105 transition-transform cursor-pointer"
-              >
-                <div className={getIntegrationColorClass(int.type)}>
-                  {getIcon(int.type)}
-                </div>
-                <div className="text-xs font-medium text-center">
-                  {int.name}
-                </div>
-                <div className="text-xs text-tertiary capitalize">
-                  {int.type}
-                </div>
-                <ChevronRight className="w-4 h-4 text-tertiary mt-1" />
-              </button>
-            ))}
+            {/* Integration Grid */}
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+              {Object.entries(app.integrations || {}).map(([key, int]) => (
+                <button
+                  key={key}
+                  onClick={() => onSelectIntegration(key)}
+                  className="flex flex-col items-center gap-2 p-4 card hover:scale-105 transition-transform cursor-pointer"
+                >
+                  <div className={getIntegrationColorClass(int.type)}>
+                    {getIcon(int.type)}
+                  </div>
+                  <div className="text-xs font-medium text-center">
+                    {int.name}
+                  </div>
+                  <div className="text-xs text-tertiary capitalize">
+                    {int.type}
+                  </div>
+                  <ChevronRight className="w-4 h-4 text-tertiary mt-1" />
+                </button>
+              ))}
+            </div>
           </div>
-        </div>
+        )}
       </div>
 
       {/* Features Card */}
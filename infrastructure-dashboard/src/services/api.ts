@@ -1,5 +1,10 @@
 import type {
   InfrastructureData,
+  InfrastructureVersion,
+  InfrastructureDiff,
+  GenerationResult,
+  IntegrationGraph,
+  IntegrationGraphFormat,
   AuthTestResultWithToken,
   EndpointExecuteRequest,
   EndpointExecuteResult,
@@ -114,6 +119,102 @@ export class InfrastructureAPI {
     return result.changes || [];
   }
 
+  /**
+   * Cross-app integration graph (scans every app, so it can take a while)
+   */
+  static async getIntegrationGraph(
+    environment?: string,
+  ): Promise<IntegrationGraph> {
+    const params = new URLSearchParams();
+    if (environment) params.append("environment", environment);
+
+    const response = await fetch(
+      `${API_BASE_URL}/api/infrastructure/graph?${params}`,
+    );
+    if (!response.ok) {
+      throw new Error("Failed to fetch integration graph");
+    }
+    const result = await response.json();
+    return result.graph;
+  }
+
+  /**
+   * Integration graph as Mermaid, Graphviz DOT or PlantUML source
+   */
+  static async exportIntegrationGraph(
+    format: IntegrationGraphFormat,
+    environment?: string,
+  ): Promise<string> {
+    const params = new URLSearchParams({ format });
+    if (environment) params.append("environment", environment);
+
+    const response = await fetch(
+      `${API_BASE_URL}/api/infrastructure/graph?${params}`,
+    );
+    if (!response.ok) {
+      throw new Error("Failed to export integration graph");
+    }
+    const result = await response.json();
+    return result.diagram;
+  }
+
+  /**
+   * Regenerate infrastructure data from integration-mapper results,
+   * config files and Swagger specs
+   */
+  static async generateInfrastructure(
+    apps?: string[],
+  ): Promise<GenerationResult> {
+    const response = await fetch(
+      `${API_BASE_URL}/api/infrastructure/generate`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ apps }),
+      },
+    );
+    if (!response.ok) {
+      throw new Error("Failed to generate infrastructure data");
+    }
+    return response.json();
+  }
+
+  /**
+   * Saved generations, oldest first
+   */
+  static async getGeneratedVersions(): Promise<InfrastructureVersion[]> {
+    const response = await fetch(
+      `${API_BASE_URL}/api/infrastructure/generated/versions`,
+    );
+    if (!response.ok) {
+      throw new Error("Failed to fetch infrastructure versions");
+    }
+    const result = await response.json();
+    return result.versions || [];
+  }
+
+  /**
+   * Changes between two generations (default: the latest and the one before)
+   * @returns null when there aren't two versions to compare
+   */
+  static async getGeneratedDiff(
+    from?: number,
+    to?: number,
+  ): Promise<InfrastructureDiff | null> {
+    const params = new URLSearchParams();
+    if (from !== undefined) params.append("from", from.toString());
+    if (to !== undefined) params.append("to", to.toString());
+
+    const response = await fetch(
+      `${API_BASE_URL}/api/infrastructure/generated/diff?${params}`,
+    );
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error("Failed to fetch infrastructure diff");
+    }
+    return response.json();
+  }
+
   /**
    * Health check
    */
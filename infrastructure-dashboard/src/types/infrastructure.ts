@@ -112,13 +112,97 @@ export interface InfrastructureData {
   lastUpdated?: string;
 }
 
+/**
+ * Cross-app integration graph from the integration-mapper
+ */
+export interface IntegrationGraphNode {
+  id: string;
+  label: string;
+  kind: "app" | "external";
+  app?: string;
+  type?: string;
+}
+
+export interface IntegrationGraphEdge {
+  id: string;
+  source: string;
+  target: string;
+  type: string;
+  protocol: string;
+  /** null for code, which applies in every environment */
+  environment: string | null;
+  file: string;
+  line: number | null;
+  detectedBy: string;
+  configKey?: string;
+}
+
+export interface IntegrationGraph {
+  nodes: IntegrationGraphNode[];
+  edges: IntegrationGraphEdge[];
+  environments: string[];
+  summary: {
+    apps: number;
+    external: number;
+    edges: number;
+    crossApp: number;
+  };
+}
+
+export type IntegrationGraphFormat = "mermaid" | "dot" | "plantuml";
+
+/**
+ * A saved generation of infrastructure data
+ */
+export interface InfrastructureVersion {
+  version: number;
+  generatedAt: string;
+  hash: string;
+  applications: number;
+  errors: number;
+}
+
+export type InfrastructureChange =
+  | {
+      path: string;
+      change: "added" | "removed" | "changed";
+      before?: unknown;
+      after?: unknown;
+    }
+  | {
+      path: string;
+      change: "items";
+      added: unknown[];
+      removed: unknown[];
+    };
+
+/**
+ * Changes between two generations, per application key
+ */
+export interface InfrastructureDiff {
+  from: { version: number; generatedAt: string };
+  to: { version: number; generatedAt: string };
+  added: string[];
+  removed: string[];
+  changed: Record<string, InfrastructureChange[]>;
+  unchanged: boolean;
+}
+
+export interface GenerationResult {
+  version: number;
+  generatedAt: string;
+  unchanged: boolean;
+  errors: Array<{ app: string; source: string; error: string }>;
+}
+
 export type ViewMode =
   | "visual"
   | "details"
   | "flow"
   | "swagger"
   | "database"
-  | "hangfire";
+  | "hangfire"
+  | "changes";
 
 export type Environment =
   | "local"
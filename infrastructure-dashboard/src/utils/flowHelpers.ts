@@ -1,4 +1,8 @@
-import type { Application, IntegrationType } from "../types/infrastructure";
+import type {
+  Application,
+  IntegrationType,
+  IntegrationGraph,
+} from "../types/infrastructure";
 import type {
   ServiceNode,
   ConnectionEdge,
@@ -114,6 +118,119 @@ export function buildFlowData(app: Application): FlowData {
   return { nodes, edges };
 }
 
+// Integration-mapper types as dashboard integration types
+const GRAPH_NODE_TYPES: Record<string, IntegrationType> = {
+  financial: "payment",
+  epic: "api",
+  queue: "cloud",
+  messaging: "email",
+  background: "background",
+  database: "database",
+};
+
+const APPS_PER_ROW = 5;
+const EXTERNALS_PER_ROW = 6;
+
+/**
+ * Build React Flow data for the cross-app integration graph: our apps on
+ * top, the external systems they use below, one edge per pair labelled
+ * with its protocols and (unless it applies everywhere) its environments
+ */
+export function buildTopologyFlowData(
+  graph: IntegrationGraph,
+  selectedApp?: string,
+): FlowData {
+  const apps = graph.nodes.filter((node) => node.kind === "app");
+  const externals = graph.nodes.filter((node) => node.kind === "external");
+  const appRows = Math.ceil(apps.length / APPS_PER_ROW);
+
+  const nodes: ServiceNode[] = [
+    ...apps.map((node, idx) => ({
+      id: node.id,
+      type: "application",
+      position: {
+        x: (idx % APPS_PER_ROW) * 280,
+        y: Math.floor(idx / APPS_PER_ROW) * 160,
+      },
+      selected: node.app === selectedApp,
+      data: {
+        label: node.label,
+        type: "application" as FlowNodeType,
+        appKey: node.app,
+        status: "active" as const,
+      },
+    })),
+    ...externals.map((node, idx) => {
+      const type = GRAPH_NODE_TYPES[node.type || ""] || "external";
+      return {
+        id: node.id,
+        type: "integration",
+        position: {
+          x: (idx % EXTERNALS_PER_ROW) * 220,
+          y: appRows * 160 + 120 + Math.floor(idx / EXTERNALS_PER_ROW) * 110,
+        },
+        data: {
+          label: node.label,
+          type: type as FlowNodeType,
+          description: node.type,
+        },
+      };
+    }),
+  ];
+
+  const pairs = new Map<
+    string,
+    {
+      source: string;
+      target: string;
+      protocols: Set<string>;
+      environments: Set<string>;
+      everywhere: boolean;
+    }
+  >();
+  graph.edges.forEach((edge) => {
+    const key = `${edge.source}->${edge.target}`;
+    if (!pairs.has(key)) {
+      pairs.set(key, {
+        source: edge.source,
+        target: edge.target,
+        protocols: new Set(),
+        environments: new Set(),
+        everywhere: false,
+      });
+    }
+    const pair = pairs.get(key)!;
+    pair.protocols.add(edge.protocol);
+    if (edge.environment) pair.environments.add(edge.environment);
+    else pair.everywhere = true;
+  });
+
+  const edges: ConnectionEdge[] = Array.from(pairs.entries()).map(
+    ([key, pair]): ConnectionEdge => {
+      const crossApp = pair.target.startsWith("app:");
+      const environments = pair.everywhere
+        ? ""
+        : ` (${Array.from(pair.environments).sort().join(", ")})`;
+      const label = `${Array.from(pair.protocols).sort().join("/")}${environments}`;
+      return {
+        id: key,
+        source: pair.source,
+        target: pair.target,
+        type: "smoothstep",
+        animated: crossApp,
+        label,
+        style: {
+          stroke: crossApp ? "#3b82f6" : "#6b7280",
+          strokeWidth: crossApp ? 3 : 1.5,
+        },
+        data: { label, dataFlow: "outbound" },
+      };
+    },
+  );
+
+  return { nodes, edges };
+}
+
 /**
  * Get color for node type
  */
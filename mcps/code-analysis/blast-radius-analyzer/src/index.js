@@ -5,12 +5,14 @@
  */
 
 import express from "express";
+import { tracingMiddleware } from "../../../shared/tracing.js";
 import { BlastRadiusAnalyzer } from "./analyzer.js";
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(express.json());
+app.use(tracingMiddleware("blast-radius-analyzer"));
 
 const analyzer = new BlastRadiusAnalyzer();
 
@@ -1,4 +1,6 @@
 import express from 'express';
+import { tracingMiddleware } from '../../../shared/tracing.js';
+import { resolveChangedFiles } from '../../../shared/changedFiles.js';
 import { scanDirectory, analyzeCSharpFile } from './services/scanner.js';
 import { loadAppsConfig } from './utils/config.js';
 
@@ -6,6 +8,7 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 app.use(express.json());
+app.use(tracingMiddleware('code-analyzer'));
 
 // Load apps configuration
 const appsConfig = loadAppsConfig();
@@ -27,13 +30,18 @@ app.post('/analyze', async (req, res) => {
       includeTests = false,
       includeIntegrations = false,
       findEpicReferences = false,
-      findFinancialReferences = false
+      findFinancialReferences = false,
+      files: changedFiles
     } = req.body;
 
     if (!appName) {
       return res.status(400).json({ error: 'Application name is required' });
     }
 
+    if (changedFiles !== undefined && !Array.isArray(changedFiles)) {
+      return res.status(400).json({ error: 'files must be an array of file paths' });
+    }
+
     // Get app configuration
     const appConfig = appsConfig.applications.find(a => a.name === appName);
     if (!appConfig) {
@@ -42,14 +50,22 @@ app.post('/analyze', async (req, res) => {
 
     console.log(`Analyzing ${appName} at ${appConfig.path}`);
 
-    // Scan directory for C# files
-    const files = await scanDirectory(
-      appConfig.path,
-      appConfig.includePatterns,
-      appConfig.excludePaths
-    );
+    // Only the given files when the file watcher asks for an incremental run,
+    // otherwise scan the whole directory for C# files
+    const incremental = Array.isArray(changedFiles);
+    let files;
+    let removedFiles = [];
+    if (incremental) {
+      ({ files, removedFiles } = resolveChangedFiles(appConfig.path, changedFiles, ['.cs']));
+    } else {
+      files = await scanDirectory(
+        appConfig.path,
+        appConfig.includePatterns,
+        appConfig.excludePaths
+      );
+    }
 
-    console.log(`Found ${files.length} C# files`);
+    console.log(`Found ${files.length} C# files${incremental ? ` (incremental, ${removedFiles.length} removed)` : ''}`);
 
     // Analyze each file
     const analysis = {
@@ -66,6 +82,12 @@ app.post('/analyze', async (req, res) => {
       summary: {}
     };
 
+    if (incremental) {
+      analysis.incremental = true;
+      analysis.files = files;
+      analysis.removedFiles = removedFiles;
+    }
+
     for (const file of files) {
       try {
         const fileAnalysis = await analyzeCSharpFile(file, {
@@ -15,6 +15,7 @@ import request from "supertest";
 const mockScanDirectory = jest.fn();
 const mockAnalyzeCSharpFile = jest.fn();
 const mockLoadAppsConfig = jest.fn();
+const mockResolveChangedFiles = jest.fn();
 
 // Mock modules before importing
 jest.unstable_mockModule("../../src/services/scanner.js", () => ({
@@ -26,6 +27,10 @@ jest.unstable_mockModule("../../src/utils/config.js", () => ({
   loadAppsConfig: mockLoadAppsConfig,
 }));
 
+jest.unstable_mockModule("../../../../shared/changedFiles.js", () => ({
+  resolveChangedFiles: mockResolveChangedFiles,
+}));
+
 describe("Code Analyzer Routes", () => {
   let app;
   let mockAppsConfig;
@@ -82,6 +87,7 @@ describe("Code Analyzer Routes", () => {
           includeIntegrations = false,
           findEpicReferences = false,
           findFinancialReferences = false,
+          files: changedFiles,
         } = req.body;
 
         if (!appName) {
@@ -90,6 +96,12 @@ describe("Code Analyzer Routes", () => {
             .json({ error: "Application name is required" });
         }
 
+        if (changedFiles !== undefined && !Array.isArray(changedFiles)) {
+          return res
+            .status(400)
+            .json({ error: "files must be an array of file paths" });
+        }
+
         const appConfig = appsConfig.applications.find(
           (a) => a.name === appName,
         );
@@ -99,11 +111,22 @@ describe("Code Analyzer Routes", () => {
           });
         }
 
-        const files = await mockScanDirectory(
-          appConfig.path,
-          appConfig.includePatterns,
-          appConfig.excludePaths,
-        );
+        const incremental = Array.isArray(changedFiles);
+        let files;
+        let removedFiles = [];
+        if (incremental) {
+          ({ files, removedFiles } = mockResolveChangedFiles(
+            appConfig.path,
+            changedFiles,
+            [".cs"],
+          ));
+        } else {
+          files = await mockScanDirectory(
+            appConfig.path,
+            appConfig.includePatterns,
+            appConfig.excludePaths,
+          );
+        }
 
         const analysis = {
           app: appName,
@@ -119,6 +142,12 @@ describe("Code Analyzer Routes", () => {
           summary: {},
         };
 
+        if (incremental) {
+          analysis.incremental = true;
+          analysis.files = files;
+          analysis.removedFiles = removedFiles;
+        }
+
         for (const file of files) {
           try {
             const fileAnalysis = await mockAnalyzeCSharpFile(file, {
@@ -301,6 +330,52 @@ describe("Code Analyzer Routes", () => {
       expect(response.body.analysis.summary.totalMethods).toBe(2);
     });
 
+    it("should only analyze the given files", async () => {
+      mockResolveChangedFiles.mockReturnValueOnce({
+        files: ["/mnt/apps/app1/Services/UserService.cs"],
+        removedFiles: ["/mnt/apps/app1/Services/OldService.cs"],
+        ignored: [],
+      });
+      mockAnalyzeCSharpFile.mockResolvedValueOnce({
+        classes: [{ name: "UserService" }],
+        methods: [],
+        isTestFile: false,
+        testMethods: [],
+        epicReferences: [],
+        financialReferences: [],
+      });
+
+      const response = await request(app)
+        .post("/analyze")
+        .send({
+          app: "App1",
+          files: ["Services/UserService.cs", "Services/OldService.cs"],
+        });
+
+      expect(response.status).toBe(200);
+      expect(mockScanDirectory).not.toHaveBeenCalled();
+      expect(mockResolveChangedFiles).toHaveBeenCalledWith(
+        "/mnt/apps/app1",
+        ["Services/UserService.cs", "Services/OldService.cs"],
+        [".cs"],
+      );
+      expect(response.body.analysis).toMatchObject({
+        incremental: true,
+        totalFiles: 1,
+        files: ["/mnt/apps/app1/Services/UserService.cs"],
+        removedFiles: ["/mnt/apps/app1/Services/OldService.cs"],
+        classes: [{ name: "UserService" }],
+      });
+    });
+
+    it("should return 400 when files is not an array", async () => {
+      const response = await request(app)
+        .post("/analyze")
+        .send({ app: "App1", files: "Services/UserService.cs" });
+
+      expect(response.status).toBe(400);
+    });
+
     it("should return 400 when app parameter is missing", async () => {
       const response = await request(app).post("/analyze").send({});
 
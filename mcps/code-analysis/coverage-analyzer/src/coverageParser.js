@@ -0,0 +1,398 @@
+import { readFileSync } from 'fs';
+import { parseString } from 'xml2js';
+import { promisify } from 'util';
+
+const parseXml = promisify(parseString);
+
+/**
+ * Compiler-generated members that coverlet reports separately:
+ *   Namespace.Class/<ProcessAsync>d__5  MoveNext   (async/iterator state machine)
+ *   Namespace.Class/<>c                 <Process>b__3_0 (lambda)
+ * Both are folded back into the method they were written in.
+ */
+const STATE_MACHINE_CLASS = /^(.*)\/<([^>]+)>d__\d+$/;
+const CLOSURE_CLASS = /^(.*)\/<>c(?:__DisplayClass[\w]*)?$/;
+const LAMBDA_METHOD = /^<([^>]+)>b__[\w]+$/;
+
+/**
+ * Map a compiler-generated class/method pair to the source class and method
+ */
+export function normalizeMethodName(className, methodName) {
+  const stateMachine = className.match(STATE_MACHINE_CLASS);
+  if (stateMachine) {
+    return { className: stateMachine[1], methodName: stateMachine[2] };
+  }
+
+  const lambda = methodName.match(LAMBDA_METHOD);
+  if (lambda) {
+    const closure = className.match(CLOSURE_CLASS);
+    return { className: closure ? closure[1] : className, methodName: lambda[1] };
+  }
+
+  return { className, methodName };
+}
+
+/**
+ * Parse a Cobertura condition-coverage attribute, e.g. "50% (1/2)"
+ */
+export function parseConditionCoverage(value) {
+  const match = (value || '').match(/\((\d+)\/(\d+)\)/);
+  if (!match) return null;
+
+  return { covered: parseInt(match[1], 10), total: parseInt(match[2], 10) };
+}
+
+/**
+ * Collapse line numbers into ranges: [3, 4, 5, 9] -> [{ start: 3, end: 5 }, { start: 9, end: 9 }]
+ */
+export function toLineRanges(lineNumbers) {
+  const sorted = [...new Set(lineNumbers)].sort((a, b) => a - b);
+  const ranges = [];
+
+  for (const line of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last.end + 1) {
+      last.end = line;
+    } else {
+      ranges.push({ start: line, end: line });
+    }
+  }
+
+  return ranges;
+}
+
+function percent(covered, total) {
+  return total > 0 ? Math.round((covered / total) * 100) : null;
+}
+
+/**
+ * Build the per-method coverage entry from its lines
+ *
+ * @param {Object} base - { method, file, class }
+ * @param {Map<number, Object>} lines - line number -> { hits, branches: { covered, total } | null }
+ */
+function buildMethodCoverage(base, lines) {
+  const entries = [...lines.entries()].sort(([a], [b]) => a - b);
+
+  const uncovered = entries.filter(([, l]) => l.hits === 0).map(([number]) => number);
+  const branchLines = entries.filter(([, l]) => l.branches);
+  const branchesTotal = branchLines.reduce((sum, [, l]) => sum + l.branches.total, 0);
+  const branchesCovered = branchLines.reduce((sum, [, l]) => sum + l.branches.covered, 0);
+
+  return {
+    ...base,
+    coverage: percent(entries.length - uncovered.length, entries.length) ?? 0,
+    branchCoverage: percent(branchesCovered, branchesTotal),
+    lineCount: entries.length,
+    coveredLines: entries.length - uncovered.length,
+    branchesTotal,
+    branchesCovered,
+    uncoveredLines: toLineRanges(uncovered),
+    partialBranches: branchLines
+      .filter(([, l]) => l.branches.covered < l.branches.total)
+      .map(([line, l]) => ({ line, covered: l.branches.covered, total: l.branches.total }))
+  };
+}
+
+/**
+ * Add a line to a method's line map, combining hits and branch counts when
+ * the same line is reported more than once (lambdas, merged reports)
+ */
+function addLine(lines, number, hits, branches) {
+  const existing = lines.get(number);
+
+  if (!existing) {
+    lines.set(number, { hits, branches });
+    return;
+  }
+
+  existing.hits += hits;
+  if (branches) {
+    existing.branches = existing.branches
+      ? {
+          covered: Math.min(
+            Math.max(existing.branches.covered, branches.covered),
+            Math.max(existing.branches.total, branches.total)
+          ),
+          total: Math.max(existing.branches.total, branches.total)
+        }
+      : branches;
+  }
+}
+
+/**
+ * Start (or reuse) the accumulator entry for a method
+ * The method-level rate is only used when a report omits line elements
+ */
+function methodEntry(methods, base, lineRate) {
+  const key = `${base.file}:${base.method}`;
+
+  if (!methods[key]) {
+    methods[key] = { base, lines: new Map(), lineRate };
+  } else {
+    methods[key].lineRate = Math.max(methods[key].lineRate, lineRate);
+  }
+
+  return methods[key];
+}
+
+/**
+ * Collect a Cobertura report (coverlet `coverage.cobertura.xml`, ReportGenerator)
+ * into a map of `${file}:${method}` -> { base, lines, lineRate }
+ */
+function collectCobertura(result, methods) {
+  const packages = result.coverage?.packages?.[0]?.package || [];
+
+  for (const pkg of packages) {
+    const classes = pkg.classes?.[0]?.class || [];
+
+    for (const cls of classes) {
+      const fileName = cls.$.filename;
+
+      for (const method of cls.methods?.[0]?.method || []) {
+        const { className, methodName } = normalizeMethodName(cls.$.name, method.$.name);
+        const entry = methodEntry(
+          methods,
+          { method: methodName, file: fileName, class: className },
+          parseFloat(method.$['line-rate'] || 0)
+        );
+
+        for (const line of method.lines?.[0]?.line || []) {
+          const branches = line.$.branch === 'True' || line.$.branch === 'true'
+            ? parseConditionCoverage(line.$['condition-coverage'])
+            : null;
+
+          addLine(
+            entry.lines,
+            parseInt(line.$.number, 10),
+            parseInt(line.$.hits, 10) || 0,
+            branches
+          );
+        }
+      }
+    }
+  }
+}
+
+/**
+ * OpenCover names methods by full signature:
+ *   System.Void Namespace.Class::Process(System.Int32)
+ */
+function parseOpenCoverMethodName(fullName) {
+  const match = (fullName || '').match(/([^\s:]+)::([^(]+)\(/);
+  return match
+    ? { className: match[1], methodName: match[2] }
+    : { className: '', methodName: fullName || '' };
+}
+
+/**
+ * Collect an OpenCover report (coverlet `coverage.opencover.xml`, OpenCover)
+ * Sequence points give line hits; branch points are grouped by start line
+ */
+function collectOpenCover(result, methods) {
+  const modules = result.CoverageSession?.Modules?.[0]?.Module || [];
+
+  for (const module of modules) {
+    const files = Object.fromEntries(
+      (module.Files?.[0]?.File || []).map(f => [f.$.uid, f.$.fullPath])
+    );
+
+    for (const cls of module.Classes?.[0]?.Class || []) {
+      for (const method of cls.Methods?.[0]?.Method || []) {
+        const fileName = files[method.FileRef?.[0]?.$?.uid];
+        if (!fileName) continue;
+
+        const parsed = parseOpenCoverMethodName(method.Name?.[0]);
+        const { className, methodName } = normalizeMethodName(
+          parsed.className,
+          parsed.methodName
+        );
+        const entry = methodEntry(
+          methods,
+          { method: methodName, file: fileName, class: className },
+          parseFloat(method.Summary?.[0]?.$?.sequenceCoverage || 0) / 100
+        );
+
+        const branchesByLine = new Map();
+        for (const point of method.BranchPoints?.[0]?.BranchPoint || []) {
+          const line = parseInt(point.$.sl, 10);
+          const counts = branchesByLine.get(line) || { covered: 0, total: 0 };
+          counts.total++;
+          if (parseInt(point.$.vc, 10) > 0) counts.covered++;
+          branchesByLine.set(line, counts);
+        }
+
+        const hitsByLine = new Map();
+        for (const point of method.SequencePoints?.[0]?.SequencePoint || []) {
+          const line = parseInt(point.$.sl, 10);
+          // Several statements can share a line; the line counts as hit if any was
+          hitsByLine.set(line, Math.max(hitsByLine.get(line) || 0, parseInt(point.$.vc, 10) || 0));
+        }
+
+        for (const [line, hits] of hitsByLine) {
+          addLine(entry.lines, line, hits, branchesByLine.get(line) || null);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Detect the coverage format from the parsed XML root element
+ */
+export function detectCoverageFormat(result) {
+  if (result?.coverage) return 'cobertura';
+  if (result?.CoverageSession) return 'opencover';
+  return null;
+}
+
+/**
+ * What a coverage report covers, read from its raw XML
+ * Tells reports of different test projects apart when they share a
+ * TestResults directory (`dotnet test --results-directory`):
+ * - OpenCover: the test project directory the modules were loaded from
+ *   (<ModulePath>/src/Payments.Tests/bin/Debug/...)
+ * - otherwise the covered assemblies (Cobertura packages, OpenCover modules)
+ */
+export function coverageReportScope(content) {
+  const modulePath = content.match(/<ModulePath>([^<]+)<\/ModulePath>/);
+  if (modulePath) {
+    const normalized = modulePath[1].replace(/\\/g, '/');
+    const binIndex = normalized.search(/\/bin\//i);
+    if (binIndex >= 0) {
+      return normalized.slice(0, binIndex);
+    }
+  }
+
+  const assemblies = [
+    ...content.matchAll(/<package\b[^>]*?\bname="([^"]*)"/g),
+    ...content.matchAll(/<ModuleName>([^<]+)<\/ModuleName>/g)
+  ].map(match => match[1]);
+
+  return [...new Set(assemblies)].sort().join(',');
+}
+
+/**
+ * Turn the collected methods into coverage entries
+ */
+function finalize(collected) {
+  return Object.fromEntries(
+    Object.entries(collected).map(([key, { base, lines, lineRate }]) => {
+      if (lines.size === 0) {
+        // No line detail in the report - keep the method-level rate
+        return [key, {
+          ...buildMethodCoverage(base, lines),
+          coverage: Math.round(lineRate * 100)
+        }];
+      }
+      return [key, buildMethodCoverage(base, lines)];
+    })
+  );
+}
+
+/**
+ * Add an already parsed XML report of either supported format to the accumulator
+ * Returns the detected format
+ */
+function collectCoverageXml(result, methods) {
+  const format = detectCoverageFormat(result);
+
+  if (format === 'cobertura') {
+    collectCobertura(result, methods);
+  } else if (format === 'opencover') {
+    collectOpenCover(result, methods);
+  } else {
+    throw new Error('Unrecognized coverage format (expected Cobertura or OpenCover XML)');
+  }
+
+  return format;
+}
+
+/**
+ * Read and collect coverage XML files into one accumulator
+ * Files that cannot be read or parsed are skipped.
+ * With byReport, each file's own line hits are kept as reports: [{ file, lines }]
+ */
+async function collectCoverageFiles(filePaths, { byReport = false } = {}) {
+  const collected = {};
+  const formats = new Set();
+  const files = [];
+  const reports = [];
+
+  for (const filePath of filePaths) {
+    try {
+      const content = readFileSync(filePath, 'utf-8');
+      const xml = await parseXml(content);
+      formats.add(collectCoverageXml(xml, collected));
+      files.push(filePath);
+
+      if (byReport) {
+        const own = {};
+        collectCoverageXml(xml, own);
+        reports.push({ file: filePath, lines: lineHits(own) });
+      }
+    } catch (error) {
+      console.error(`Error parsing coverage file ${filePath}:`, error.message);
+    }
+  }
+
+  return { collected, formats: [...formats], files, reports };
+}
+
+/**
+ * Parse one or more coverage XML files (e.g. one per test project) into a
+ * single per-method view. Hits on the same line are added across reports.
+ * Files that cannot be read or parsed are skipped.
+ *
+ * Returns { formats, files, methods } where methods is keyed by `${file}:${method}`,
+ * or null when no file could be parsed
+ */
+export async function parseCoverageFiles(filePaths) {
+  const { collected, formats, files } = await collectCoverageFiles(filePaths);
+
+  if (files.length === 0) return null;
+
+  return { formats, files, methods: finalize(collected) };
+}
+
+function lineHits(collected) {
+  const lines = {};
+  for (const { base, lines: methodLines } of Object.values(collected)) {
+    const fileLines = lines[base.file] || (lines[base.file] = {});
+    for (const [number, { hits }] of methodLines) {
+      fileLines[number] = (fileLines[number] || 0) + hits;
+    }
+  }
+  return lines;
+}
+
+/**
+ * Parse coverage XML files into per-line hit counts by source file,
+ * used to join coverage with the lines a pull request changed
+ *
+ * With byReport, each report's own hits are also returned as
+ * reports: [{ file, lines }], so callers can tell which test project
+ * covers which source file.
+ *
+ * Returns { formats, files, lines } where lines is { [sourcePath]: { [line]: hits } },
+ * or null when no file could be parsed
+ */
+export async function parseLineCoverage(filePaths, { byReport = false } = {}) {
+  const { collected, formats, files, reports } = await collectCoverageFiles(filePaths, { byReport });
+
+  if (files.length === 0) return null;
+
+  return {
+    formats,
+    files,
+    lines: lineHits(collected),
+    ...(byReport && { reports })
+  };
+}
+
+/**
+ * Parse a single coverage XML file
+ */
+export async function parseCoverageFile(filePath) {
+  return parseCoverageFiles([filePath]);
+}
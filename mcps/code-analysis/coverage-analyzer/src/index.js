@@ -1,17 +1,16 @@
 import express from 'express';
-import { readFileSync, existsSync } from 'fs';
+import { tracingMiddleware } from '../../../shared/tracing.js';
+import { readFileSync, statSync } from 'fs';
 import { glob } from 'glob';
-import { parseString } from 'xml2js';
-import { promisify } from 'util';
 import path from 'path';
-
-const parseXml = promisify(parseString);
+import { coverageReportScope, parseCoverageFiles, parseLineCoverage } from './coverageParser.js';
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
 // Increase payload size limit to handle large method arrays
 app.use(express.json({ limit: '50mb' }));
+app.use(tracingMiddleware('coverage-analyzer'));
 
 /**
  * Comprehensive test file detection
@@ -83,21 +82,57 @@ async function getAppDirectory(appName) {
 }
 
 /**
- * Search for coverage XML files
+ * Keep the newest report per test project
+ * Every `dotnet test --collect` run adds a new TestResults/{guid} folder, so
+ * older runs would otherwise be counted again. Reports are grouped by the
+ * directory holding TestResults and by what they cover, so test projects
+ * sharing a solution-level TestResults directory keep a report each.
+ */
+function latestPerProject(files) {
+  const latest = new Map();
+
+  for (const file of files) {
+    const testResultsIndex = file.indexOf('/TestResults/');
+    const directory = testResultsIndex >= 0 ? file.slice(0, testResultsIndex) : path.dirname(file);
+
+    let modified = 0;
+    let scope = '';
+    try {
+      modified = statSync(file).mtimeMs;
+      scope = coverageReportScope(readFileSync(file, 'utf-8'));
+    } catch (error) {
+      console.error(`Error reading ${file}:`, error.message);
+    }
+
+    const project = `${directory}|${scope}`;
+    const current = latest.get(project);
+    if (!current || modified > current.modified) {
+      latest.set(project, { file, modified });
+    }
+  }
+
+  return [...latest.values()].map(entry => entry.file);
+}
+
+/**
+ * Search for coverage XML files (Cobertura or OpenCover, e.g. from coverlet)
+ * Returns the newest report of each test project
  */
 function findCoverageFiles(appDir) {
   const patterns = [
     `${appDir}/**/TestResults/**/coverage.cobertura.xml`,
     `${appDir}/**/coverage.cobertura.xml`,
+    `${appDir}/**/TestResults/**/coverage.opencover.xml`,
+    `${appDir}/**/coverage.opencover.xml`,
     `${appDir}/**/TestResults/**/coverage.xml`
   ];
 
   for (const pattern of patterns) {
     try {
-      const files = glob.sync(pattern, { nodir: true });
+      const files = glob.sync(pattern, { nodir: true, ignore: ['**/node_modules/**'] });
       if (files.length > 0) {
         console.log(`Found ${files.length} coverage file(s) with pattern: ${pattern}`);
-        return files;
+        return latestPerProject(files);
       }
     } catch (error) {
       console.error(`Error searching with pattern ${pattern}:`, error.message);
@@ -108,45 +143,24 @@ function findCoverageFiles(appDir) {
 }
 
 /**
- * Parse coverage XML file
+ * Find the coverage entry for a method
+ * Prefers an exact method name in the same file, then falls back to a
+ * name-only match
  */
-async function parseCoverageFile(filePath) {
-  try {
-    const content = readFileSync(filePath, 'utf-8');
-    const result = await parseXml(content);
-
-    const coverage = {};
-    const packages = result.coverage?.packages?.[0]?.package || [];
-
-    for (const pkg of packages) {
-      const classes = pkg.classes?.[0]?.class || [];
-
-      for (const cls of classes) {
-        const className = cls.$.name;
-        const fileName = cls.$.filename;
-        const methods = cls.methods?.[0]?.method || [];
-
-        for (const method of methods) {
-          const methodName = method.$.name;
-          const lineRate = parseFloat(method.$['line-rate'] || 0);
-          const coveragePercent = Math.round(lineRate * 100);
-
-          const key = `${fileName}:${methodName}`;
-          coverage[key] = {
-            method: methodName,
-            file: fileName,
-            class: className,
-            coverage: coveragePercent
-          };
-        }
-      }
-    }
-
-    return coverage;
-  } catch (error) {
-    console.error(`Error parsing coverage file ${filePath}:`, error.message);
-    return null;
-  }
+function findMethodCoverage(method, coverageMethods) {
+  const entries = Object.values(coverageMethods);
+  const fileName = method.file ? path.basename(method.file).toLowerCase() : null;
+
+  const exact = fileName && entries.find(data =>
+    data.method === method.name &&
+    path.basename(data.file || '').toLowerCase() === fileName
+  );
+
+  return exact || entries.find(data =>
+    data.method === method.name ||
+    data.method.includes(method.name) ||
+    method.name.includes(data.method)
+  ) || null;
 }
 
 /**
@@ -313,11 +327,11 @@ app.post('/analyze', async (req, res) => {
     const coverageFiles = findCoverageFiles(appDir);
     console.log(`[Coverage Analyzer] Found ${coverageFiles.length} coverage file(s)`);
 
-    // Parse coverage data if available
+    // Parse coverage data if available (reports from several test projects are merged)
     let coverageData = null;
     if (coverageFiles.length > 0) {
-      coverageData = await parseCoverageFile(coverageFiles[0]);
-      console.log(`[Coverage Analyzer] Parsed coverage data: ${coverageData ? Object.keys(coverageData).length : 0} methods`);
+      coverageData = await parseCoverageFiles(coverageFiles);
+      console.log(`[Coverage Analyzer] Parsed coverage data: ${coverageData ? Object.keys(coverageData.methods).length : 0} methods`);
     }
 
     // Find test files
@@ -334,21 +348,10 @@ app.post('/analyze', async (req, res) => {
     // Analyze each method
     const analyzedMethods = productionMethods.map(method => {
       // Get coverage from parsed data
-      let coverage = null;
-      if (coverageData) {
-        // Try to match by method name and file
-        const keys = Object.keys(coverageData);
-        const matchingKey = keys.find(key => {
-          const data = coverageData[key];
-          return data.method === method.name ||
-                 data.method.includes(method.name) ||
-                 method.name.includes(data.method);
-        });
-
-        if (matchingKey) {
-          coverage = coverageData[matchingKey].coverage;
-        }
-      }
+      const methodCoverage = coverageData
+        ? findMethodCoverage(method, coverageData.methods)
+        : null;
+      const coverage = methodCoverage ? methodCoverage.coverage : null;
 
       // Detect tests using pre-parsed test list (fast lookup)
       const testDetection = detectTestsForMethod(method.name, allTests);
@@ -363,6 +366,9 @@ app.post('/analyze', async (req, res) => {
         complexity: method.complexity || 1, // ✅ ADD: Cyclomatic complexity
         fileType: method.fileType || 'Other', // ✅ ADD: Controller/Service/etc
         coverage: coverage, // null if no coverage data, number 0-100 if found
+        branchCoverage: methodCoverage ? methodCoverage.branchCoverage : null, // null when the method has no branches
+        uncoveredLines: methodCoverage ? methodCoverage.uncoveredLines : [], // [{ start, end }]
+        partialBranches: methodCoverage ? methodCoverage.partialBranches : [], // [{ line, covered, total }]
         hasTests: testDetection.hasTests,
         hasNegativeTests: testDetection.hasNegativeTests,
         testCount: testDetection.testCount,
@@ -380,13 +386,25 @@ app.post('/analyze', async (req, res) => {
     const untestedMethods = analyzedMethods.filter(m => m.coverage === 0 || m.coverage === null);
     const partialCoverage = analyzedMethods.filter(m => m.coverage !== null && m.coverage > 0 && m.coverage < 80);
     const missingNegativeTests = analyzedMethods.filter(m => m.hasTests && !m.hasNegativeTests);
+    const partialBranchCoverage = analyzedMethods.filter(m => m.partialBranches.length > 0);
+
+    // Branch coverage across all methods with branches
+    const branchTotals = coverageData
+      ? Object.values(coverageData.methods).reduce((totals, m) => ({
+          covered: totals.covered + m.branchesCovered,
+          total: totals.total + m.branchesTotal
+        }), { covered: 0, total: 0 })
+      : { covered: 0, total: 0 };
+    const branchCoveragePercentage = branchTotals.total > 0
+      ? Math.round((branchTotals.covered / branchTotals.total) * 100)
+      : null;
 
     console.log(`[Coverage Analyzer] Analysis complete: ${analyzedMethods.length} methods, ${untestedMethods.length} untested/no-coverage`);
 
     const coverage = {
       app: appName,
       timestamp: new Date().toISOString(),
-      dataSource: coverageFiles.length > 0 ? 'cobertura' : 'test-detection-only',
+      dataSource: coverageData ? coverageData.formats.join('+') : 'test-detection-only',
       coverageFilesFound: coverageFiles.length,
       message: coverageFiles.length > 0
         ? `Coverage data from ${coverageFiles.length} file(s)`
@@ -400,7 +418,9 @@ app.post('/analyze', async (req, res) => {
         untestedCount: untestedMethods.length,
         partialCount: partialCoverage.length,
         missingNegativeTests: missingNegativeTests.length,
-        coveragePercentage: overallPercentage
+        partialBranchCount: partialBranchCoverage.length,
+        coveragePercentage: overallPercentage,
+        branchCoveragePercentage
       }
     };
 
@@ -408,6 +428,7 @@ app.post('/analyze', async (req, res) => {
       coverage.gaps = {
         untestedMethods,
         partialCoverage,
+        partialBranchCoverage,
         missingNegativeTests
       };
     }
@@ -425,6 +446,44 @@ app.post('/analyze', async (req, res) => {
   }
 });
 
+/**
+ * Per-line hit counts by source file, used for pull request (changed line) coverage.
+ * Pass byReport to also get each test project's report on its own.
+ */
+app.post('/line-coverage', async (req, res) => {
+  try {
+    const { app: appName, byReport = false } = req.body;
+
+    if (!appName) {
+      return res.status(400).json({ success: false, error: 'app is required' });
+    }
+
+    const appDir = await getAppDirectory(appName);
+    const coverageFiles = findCoverageFiles(appDir);
+    const lineCoverage = coverageFiles.length > 0
+      ? await parseLineCoverage(coverageFiles, { byReport })
+      : null;
+
+    console.log(`[Coverage Analyzer] Line coverage for ${appName}: ${lineCoverage ? Object.keys(lineCoverage.lines).length : 0} source files`);
+
+    res.json({
+      success: true,
+      app: appName,
+      dataSource: lineCoverage ? lineCoverage.formats.join('+') : 'none',
+      coverageFiles: lineCoverage ? lineCoverage.files : [],
+      lines: lineCoverage ? lineCoverage.lines : {},
+      ...(byReport && { reports: lineCoverage ? lineCoverage.reports : [] })
+    });
+  } catch (error) {
+    console.error('[Coverage Analyzer] Line coverage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Line coverage failed',
+      message: error.message
+    });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`Coverage Analyzer MCP running on port ${PORT}`);
 });
@@ -0,0 +1,353 @@
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  coverageReportScope,
+  normalizeMethodName,
+  parseConditionCoverage,
+  parseCoverageFile,
+  parseCoverageFiles,
+  parseLineCoverage,
+  toLineRanges,
+} from "../../src/coverageParser.js";
+
+const COBERTURA = `<?xml version="1.0" encoding="utf-8"?>
+<coverage line-rate="0.6" branch-rate="0.5" version="1.9">
+  <packages>
+    <package name="Payments.Api">
+      <classes>
+        <class name="Payments.Api.Services.RefundService" filename="Services/RefundService.cs">
+          <methods>
+            <method name="Validate" signature="(Refund)" line-rate="0.6" branch-rate="0.5">
+              <lines>
+                <line number="10" hits="4" branch="False" />
+                <line number="11" hits="4" branch="True" condition-coverage="50% (1/2)">
+                  <conditions><condition number="0" type="jump" coverage="50%" /></conditions>
+                </line>
+                <line number="12" hits="0" branch="False" />
+                <line number="13" hits="0" branch="False" />
+                <line number="15" hits="4" branch="False" />
+              </lines>
+            </method>
+          </methods>
+        </class>
+        <class name="Payments.Api.Services.RefundService/&lt;ProcessAsync&gt;d__3" filename="Services/RefundService.cs">
+          <methods>
+            <method name="MoveNext" signature="()" line-rate="1" branch-rate="1">
+              <lines>
+                <line number="20" hits="2" branch="True" condition-coverage="100% (2/2)" />
+                <line number="21" hits="2" branch="False" />
+              </lines>
+            </method>
+          </methods>
+        </class>
+        <class name="Payments.Api.Services.RefundService/&lt;&gt;c" filename="Services/RefundService.cs">
+          <methods>
+            <method name="&lt;ProcessAsync&gt;b__3_0" signature="(Refund)" line-rate="0" branch-rate="1">
+              <lines>
+                <line number="22" hits="0" branch="False" />
+              </lines>
+            </method>
+          </methods>
+        </class>
+      </classes>
+    </package>
+  </packages>
+</coverage>`;
+
+const OPENCOVER = `<?xml version="1.0" encoding="utf-8"?>
+<CoverageSession>
+  <Modules>
+    <Module>
+      <Files>
+        <File uid="1" fullPath="/src/Payments.Api/Services/RefundService.cs" />
+      </Files>
+      <Classes>
+        <Class>
+          <FullName>Payments.Api.Services.RefundService</FullName>
+          <Methods>
+            <Method>
+              <Summary numSequencePoints="3" visitedSequencePoints="2" sequenceCoverage="66.67" />
+              <Name>System.Boolean Payments.Api.Services.RefundService::Validate(Payments.Api.Models.Refund)</Name>
+              <FileRef uid="1" />
+              <SequencePoints>
+                <SequencePoint vc="3" sl="10" />
+                <SequencePoint vc="3" sl="11" />
+                <SequencePoint vc="0" sl="12" />
+              </SequencePoints>
+              <BranchPoints>
+                <BranchPoint vc="3" sl="11" path="0" />
+                <BranchPoint vc="0" sl="11" path="1" />
+              </BranchPoints>
+            </Method>
+          </Methods>
+        </Class>
+      </Classes>
+    </Module>
+  </Modules>
+</CoverageSession>`;
+
+describe("coverageParser", () => {
+  let dir;
+
+  const write = (name, content) => {
+    const file = path.join(dir, name);
+    writeFileSync(file, content);
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), "coverage-parser-"));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("toLineRanges", () => {
+    it("should collapse consecutive lines", () => {
+      expect(toLineRanges([9, 3, 4, 5, 5])).toEqual([
+        { start: 3, end: 5 },
+        { start: 9, end: 9 },
+      ]);
+    });
+
+    it("should return no ranges for no lines", () => {
+      expect(toLineRanges([])).toEqual([]);
+    });
+  });
+
+  describe("parseConditionCoverage", () => {
+    it("should read covered and total conditions", () => {
+      expect(parseConditionCoverage("50% (1/2)")).toEqual({
+        covered: 1,
+        total: 2,
+      });
+    });
+
+    it("should return null for missing values", () => {
+      expect(parseConditionCoverage(undefined)).toBeNull();
+    });
+  });
+
+  describe("normalizeMethodName", () => {
+    it("should map async state machines to the async method", () => {
+      expect(
+        normalizeMethodName("NS.RefundService/<ProcessAsync>d__3", "MoveNext"),
+      ).toEqual({ className: "NS.RefundService", methodName: "ProcessAsync" });
+    });
+
+    it("should map lambdas to the method that declares them", () => {
+      expect(
+        normalizeMethodName("NS.RefundService/<>c", "<ProcessAsync>b__3_0"),
+      ).toEqual({ className: "NS.RefundService", methodName: "ProcessAsync" });
+    });
+
+    it("should leave ordinary methods alone", () => {
+      expect(normalizeMethodName("NS.RefundService", "Validate")).toEqual({
+        className: "NS.RefundService",
+        methodName: "Validate",
+      });
+    });
+  });
+
+  describe("Cobertura", () => {
+    it("should report line hits, uncovered ranges and partial branches", async () => {
+      const result = await parseCoverageFile(
+        write("coverage.cobertura.xml", COBERTURA),
+      );
+
+      expect(result.formats).toEqual(["cobertura"]);
+
+      const validate = result.methods["Services/RefundService.cs:Validate"];
+      expect(validate).toMatchObject({
+        method: "Validate",
+        class: "Payments.Api.Services.RefundService",
+        coverage: 60,
+        branchCoverage: 50,
+        lineCount: 5,
+        coveredLines: 3,
+        branchesTotal: 2,
+        branchesCovered: 1,
+        uncoveredLines: [{ start: 12, end: 13 }],
+        partialBranches: [{ line: 11, covered: 1, total: 2 }],
+      });
+    });
+
+    it("should fold coverlet state machines and lambdas into the source method", async () => {
+      const result = await parseCoverageFile(
+        write("coverage.cobertura.xml", COBERTURA),
+      );
+
+      const processAsync =
+        result.methods["Services/RefundService.cs:ProcessAsync"];
+      expect(processAsync).toMatchObject({
+        class: "Payments.Api.Services.RefundService",
+        lineCount: 3,
+        coverage: 67,
+        branchCoverage: 100,
+        uncoveredLines: [{ start: 22, end: 22 }],
+        partialBranches: [],
+      });
+      expect(Object.keys(result.methods)).toHaveLength(2);
+    });
+
+    it("should fall back to line-rate when lines are missing", async () => {
+      const result = await parseCoverageFile(
+        write(
+          "coverage.cobertura.xml",
+          `<coverage><packages><package><classes>
+            <class name="A" filename="A.cs"><methods>
+              <method name="Run" line-rate="0.75" />
+            </methods></class>
+          </classes></package></packages></coverage>`,
+        ),
+      );
+
+      expect(result.methods["A.cs:Run"]).toMatchObject({
+        coverage: 75,
+        branchCoverage: null,
+        uncoveredLines: [],
+      });
+    });
+  });
+
+  describe("OpenCover", () => {
+    it("should read sequence and branch points", async () => {
+      const result = await parseCoverageFile(
+        write("coverage.opencover.xml", OPENCOVER),
+      );
+
+      expect(result.formats).toEqual(["opencover"]);
+      expect(
+        result.methods["/src/Payments.Api/Services/RefundService.cs:Validate"],
+      ).toMatchObject({
+        class: "Payments.Api.Services.RefundService",
+        coverage: 67,
+        branchCoverage: 50,
+        uncoveredLines: [{ start: 12, end: 12 }],
+        partialBranches: [{ line: 11, covered: 1, total: 2 }],
+      });
+    });
+  });
+
+  describe("coverageReportScope", () => {
+    it("should name the covered assemblies of a Cobertura report", () => {
+      expect(
+        coverageReportScope(
+          COBERTURA.replace(
+            "</packages>",
+            '<package name="Payments.Core"></package></packages>',
+          ),
+        ),
+      ).toBe("Payments.Api,Payments.Core");
+    });
+
+    it("should name the test project an OpenCover report was run from", () => {
+      expect(
+        coverageReportScope(
+          OPENCOVER.replace(
+            "<Module>",
+            "<Module><ModulePath>C:\\src\\Payments.Tests\\bin\\Debug\\Payments.Api.dll</ModulePath><ModuleName>Payments.Api</ModuleName>",
+          ),
+        ),
+      ).toBe("C:/src/Payments.Tests");
+      expect(
+        coverageReportScope(
+          OPENCOVER.replace(
+            "<Module>",
+            "<Module><ModuleName>Payments.Api</ModuleName>",
+          ),
+        ),
+      ).toBe("Payments.Api");
+    });
+  });
+
+  describe("parseCoverageFiles", () => {
+    it("should merge hits from several test projects", async () => {
+      const unitTests = write("unit.xml", COBERTURA);
+      const integrationTests = write(
+        "integration.xml",
+        `<coverage><packages><package><classes>
+          <class name="Payments.Api.Services.RefundService" filename="Services/RefundService.cs"><methods>
+            <method name="Validate" line-rate="0.5">
+              <lines>
+                <line number="11" hits="1" branch="True" condition-coverage="100% (2/2)" />
+                <line number="12" hits="1" branch="False" />
+              </lines>
+            </method>
+          </methods></class>
+        </classes></package></packages></coverage>`,
+      );
+
+      const result = await parseCoverageFiles([unitTests, integrationTests]);
+
+      expect(result.files).toEqual([unitTests, integrationTests]);
+      expect(
+        result.methods["Services/RefundService.cs:Validate"],
+      ).toMatchObject({
+        coverage: 80,
+        branchCoverage: 100,
+        uncoveredLines: [{ start: 13, end: 13 }],
+        partialBranches: [],
+      });
+    });
+
+    it("should skip unreadable files and return null when none parse", async () => {
+      const bad = write("bad.xml", "<unknown />");
+
+      await expect(
+        parseCoverageFiles([bad, path.join(dir, "missing.xml")]),
+      ).resolves.toBeNull();
+    });
+  });
+
+  describe("parseLineCoverage", () => {
+    it("should return hits per line for each source file", async () => {
+      const file = write("coverage.cobertura.xml", COBERTURA);
+
+      const result = await parseLineCoverage([file]);
+
+      expect(result.formats).toEqual(["cobertura"]);
+      expect(result.lines["Services/RefundService.cs"]).toEqual({
+        10: 4,
+        11: 4,
+        12: 0,
+        13: 0,
+        15: 4,
+        20: 2,
+        21: 2,
+        22: 0,
+      });
+    });
+
+    it("should add hits across reports", async () => {
+      const first = write("first.xml", COBERTURA);
+      const second = write("second.xml", COBERTURA);
+
+      const result = await parseLineCoverage([first, second]);
+
+      expect(result.lines["Services/RefundService.cs"][10]).toBe(8);
+      expect(result.lines["Services/RefundService.cs"][12]).toBe(0);
+    });
+
+    it("should keep each report's hits apart when asked", async () => {
+      const first = write("first.xml", COBERTURA);
+      const second = write("second.xml", COBERTURA);
+
+      const result = await parseLineCoverage([first, second], {
+        byReport: true,
+      });
+
+      expect(result.reports.map((r) => r.file)).toEqual([first, second]);
+      expect(result.reports[0].lines["Services/RefundService.cs"][10]).toBe(4);
+      expect(result.lines["Services/RefundService.cs"][10]).toBe(8);
+    });
+
+    it("should return null when no file parses", async () => {
+      await expect(
+        parseLineCoverage([path.join(dir, "missing.xml")]),
+      ).resolves.toBeNull();
+    });
+  });
+});
@@ -1,4 +1,6 @@
 import express from 'express';
+import { tracingMiddleware } from '../../../shared/tracing.js';
+import { resolveChangedFiles } from '../../../shared/changedFiles.js';
 import { readFileSync } from 'fs';
 import { glob } from 'glob';
 import parser from '@babel/parser';
@@ -10,6 +12,9 @@ const app = express();
 const PORT = process.env.PORT || 8204;
 
 app.use(express.json());
+app.use(tracingMiddleware('javascript-code-analyzer'));
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.vue'];
 
 // Health check
 app.get('/health', (req, res) => {
@@ -514,13 +519,18 @@ app.post('/analyze', async (req, res) => {
     const {
       app: appName,
       includeTests = false,
-      detailed = false
+      detailed = false,
+      files: changedFiles
     } = req.body;
 
     if (!appName) {
       return res.status(400).json({ error: 'Application name is required' });
     }
 
+    if (changedFiles !== undefined && !Array.isArray(changedFiles)) {
+      return res.status(400).json({ error: 'files must be an array of file paths' });
+    }
+
     const config = loadAppsConfig();
     const appConfig = config.applications.find(a => a.name === appName);
 
@@ -530,14 +540,22 @@ app.post('/analyze', async (req, res) => {
 
     console.log(`[JS Analyzer] Analyzing ${appName} at ${appConfig.path}`);
 
-    // Find JavaScript files
-    const files = findJavaScriptFiles(
-      appConfig.path,
-      appConfig.includePatterns,
-      appConfig.excludePaths
-    );
+    // Only the given files when the file watcher asks for an incremental run,
+    // otherwise find every JavaScript file in the app
+    const incremental = Array.isArray(changedFiles);
+    let files;
+    let removedFiles = [];
+    if (incremental) {
+      ({ files, removedFiles } = resolveChangedFiles(appConfig.path, changedFiles, JS_EXTENSIONS));
+    } else {
+      files = findJavaScriptFiles(
+        appConfig.path,
+        appConfig.includePatterns,
+        appConfig.excludePaths
+      );
+    }
 
-    console.log(`[JS Analyzer] Found ${files.length} JavaScript/TypeScript files`);
+    console.log(`[JS Analyzer] Found ${files.length} JavaScript/TypeScript files${incremental ? ` (incremental, ${removedFiles.length} removed)` : ''}`);
 
     // Analyze each file
     const analysis = {
@@ -552,6 +570,12 @@ app.post('/analyze', async (req, res) => {
       summary: {}
     };
 
+    if (incremental) {
+      analysis.incremental = true;
+      analysis.files = files;
+      analysis.removedFiles = removedFiles;
+    }
+
     let totalComplexity = 0;
 
     for (const file of files) {
@@ -8,6 +8,7 @@ import { parse as parseVue } from "@vue/compiler-sfc";
 // Mock dependencies
 const mockReadFileSync = jest.fn();
 const mockGlobSync = jest.fn();
+const mockResolveChangedFiles = jest.fn();
 
 // Mock fs module
 jest.unstable_mockModule("fs", () => ({
@@ -29,6 +30,10 @@ jest.unstable_mockModule("glob", () => ({
   },
 }));
 
+jest.unstable_mockModule("../../../../shared/changedFiles.js", () => ({
+  resolveChangedFiles: mockResolveChangedFiles,
+}));
+
 describe("JavaScript Code Analyzer Routes", () => {
   let app;
 
@@ -514,6 +519,7 @@ describe("JavaScript Code Analyzer Routes", () => {
           includeTests = false,
           // eslint-disable-next-line no-unused-vars
           detailed = false,
+          files: changedFiles,
         } = req.body;
 
         if (!appName) {
@@ -522,6 +528,12 @@ describe("JavaScript Code Analyzer Routes", () => {
             .json({ error: "Application name is required" });
         }
 
+        if (changedFiles !== undefined && !Array.isArray(changedFiles)) {
+          return res
+            .status(400)
+            .json({ error: "files must be an array of file paths" });
+        }
+
         const config = loadAppsConfig();
         const appConfig = config.applications.find((a) => a.name === appName);
 
@@ -531,11 +543,22 @@ describe("JavaScript Code Analyzer Routes", () => {
             .json({ error: `Application ${appName} not found` });
         }
 
-        const files = findJavaScriptFiles(
-          appConfig.path,
-          appConfig.includePatterns,
-          appConfig.excludePaths,
-        );
+        const incremental = Array.isArray(changedFiles);
+        let files;
+        let removedFiles = [];
+        if (incremental) {
+          ({ files, removedFiles } = mockResolveChangedFiles(
+            appConfig.path,
+            changedFiles,
+            [".js", ".jsx", ".ts", ".tsx", ".vue"],
+          ));
+        } else {
+          files = findJavaScriptFiles(
+            appConfig.path,
+            appConfig.includePatterns,
+            appConfig.excludePaths,
+          );
+        }
 
         const analysis = {
           app: appName,
@@ -549,6 +572,12 @@ describe("JavaScript Code Analyzer Routes", () => {
           summary: {},
         };
 
+        if (incremental) {
+          analysis.incremental = true;
+          analysis.files = files;
+          analysis.removedFiles = removedFiles;
+        }
+
         let totalComplexity = 0;
 
         for (const file of files) {
@@ -975,6 +1004,42 @@ export { add, subtract };
       expect(response.body.analysis.summary).toHaveProperty("totalComplexity");
     });
 
+    it("should only analyze the given files", async () => {
+      mockResolveChangedFiles.mockReturnValueOnce({
+        files: ["/mnt/apps/react-app/src/utils.js"],
+        removedFiles: ["/mnt/apps/react-app/src/old.js"],
+        ignored: [],
+      });
+      mockReadFileSync.mockImplementation((path) =>
+        path === "/app/config/apps.json"
+          ? JSON.stringify({
+              applications: [{ name: "ReactApp", path: "/mnt/apps/react-app" }],
+            })
+          : "export function add(a, b) { return a + b; }",
+      );
+
+      const response = await request(app)
+        .post("/analyze")
+        .send({ app: "ReactApp", files: ["src/utils.js", "src/old.js"] });
+
+      expect(response.status).toBe(200);
+      expect(mockGlobSync).not.toHaveBeenCalled();
+      expect(response.body.analysis).toMatchObject({
+        incremental: true,
+        totalFiles: 1,
+        removedFiles: ["/mnt/apps/react-app/src/old.js"],
+        functions: [{ name: "add", file: "/mnt/apps/react-app/src/utils.js" }],
+      });
+    });
+
+    it("should return 400 when files is not an array", async () => {
+      const response = await request(app)
+        .post("/analyze")
+        .send({ app: "ReactApp", files: "src/utils.js" });
+
+      expect(response.status).toBe(400);
+    });
+
     it("should return 400 for missing app name", async () => {
       const response = await request(app).post("/analyze").send({});
 
@@ -0,0 +1,343 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { parseString } from 'xml2js';
+import { promisify } from 'util';
+import istanbulCoverage from 'istanbul-lib-coverage';
+const { createCoverageMap } = istanbulCoverage;
+
+const parseXml = promisify(parseString);
+
+/**
+ * Supported report formats, most detailed first. When one coverage directory
+ * holds several (Jest writes coverage-final.json, lcov.info and clover.xml
+ * side by side) only the most detailed one is read.
+ */
+export const REPORT_FORMATS = ['istanbul', 'lcov', 'clover'];
+
+const REPORT_FILE_NAMES = {
+  'coverage-final.json': 'istanbul',
+  'coverage.json': 'istanbul',
+  'lcov.info': 'lcov',
+  'clover.xml': 'clover'
+};
+
+/**
+ * Detect the report format from the file content
+ */
+export function detectCoverageFormat(content) {
+  const text = content.trimStart();
+
+  if (text.startsWith('{')) return 'istanbul';
+  if (text.startsWith('<') && /<coverage[\s>]/.test(text) && /<project[\s>]/.test(text)) return 'clover';
+  if (/^(TN|SF):/m.test(text)) return 'lcov';
+  return null;
+}
+
+/**
+ * Keep one report per directory, preferring the most detailed format
+ */
+export function selectCoverageReports(filePaths) {
+  const byDirectory = new Map();
+
+  for (const filePath of filePaths) {
+    const format = REPORT_FILE_NAMES[path.basename(filePath)];
+    if (!format) continue;
+
+    const directory = path.dirname(filePath);
+    const current = byDirectory.get(directory);
+    if (!current || REPORT_FORMATS.indexOf(format) < REPORT_FORMATS.indexOf(current.format)) {
+      byDirectory.set(directory, { filePath, format });
+    }
+  }
+
+  return [...byDirectory.values()].map(r => r.filePath).sort();
+}
+
+/**
+ * LCOV and Clover may name sources relative to the project that produced the
+ * report - the directory above `coverage/` (Karma nests reports one level deeper)
+ */
+function resolveSourcePath(sourcePath, reportPath) {
+  if (path.isAbsolute(sourcePath)) return sourcePath;
+
+  const segments = path.dirname(reportPath).split(path.sep);
+  const coverageIndex = segments.lastIndexOf('coverage');
+  const projectRoot = coverageIndex > 0
+    ? segments.slice(0, coverageIndex).join(path.sep)
+    : path.dirname(reportPath);
+
+  return path.resolve(projectRoot, sourcePath);
+}
+
+/**
+ * LCOV and Clover only carry line numbers, so locations are synthesized:
+ * the column keeps entries on the same line distinct when reports are merged
+ */
+function location(line, column = 0) {
+  return { start: { line, column }, end: { line, column } };
+}
+
+function emptyFileCoverage(filePath) {
+  return { path: filePath, statementMap: {}, fnMap: {}, branchMap: {}, s: {}, f: {}, b: {} };
+}
+
+function addStatement(fileCoverage, line, hits) {
+  const id = Object.keys(fileCoverage.statementMap).length;
+  fileCoverage.statementMap[id] = location(line);
+  fileCoverage.s[id] = hits;
+}
+
+function addFunction(fileCoverage, name, line, hits) {
+  const id = Object.keys(fileCoverage.fnMap).length;
+  const column = Object.values(fileCoverage.fnMap).filter(fn => fn.line === line).length;
+  fileCoverage.fnMap[id] = { name, line, decl: location(line, column), loc: location(line, column) };
+  fileCoverage.f[id] = hits;
+}
+
+function addBranch(fileCoverage, line, hits) {
+  const id = Object.keys(fileCoverage.branchMap).length;
+  const column = Object.values(fileCoverage.branchMap).filter(b => b.line === line).length;
+  fileCoverage.branchMap[id] = {
+    line,
+    type: 'branch',
+    loc: location(line, column),
+    locations: hits.map((_, i) => ({ start: { line, column }, end: { line, column: i } }))
+  };
+  fileCoverage.b[id] = hits;
+}
+
+/**
+ * Parse an LCOV tracefile (lcov.info) into Istanbul coverage data
+ */
+export function parseLcov(content, reportPath = '') {
+  // A tracefile can list the same source more than once (concatenated runs)
+  const coverageMap = createCoverageMap({});
+  let current = null;
+  let functionLines = {};
+  let branches = new Map();
+
+  const finishRecord = () => {
+    if (!current) return;
+    for (const [key, hits] of branches) {
+      addBranch(current, parseInt(key.split(':')[0], 10), hits);
+    }
+    coverageMap.merge({ [current.path]: current });
+    current = null;
+  };
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const separator = line.indexOf(':');
+    const tag = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1);
+
+    if (tag === 'SF') {
+      finishRecord();
+      const filePath = resolveSourcePath(value, reportPath);
+      current = emptyFileCoverage(filePath);
+      functionLines = {};
+      branches = new Map();
+    } else if (tag === 'end_of_record') {
+      finishRecord();
+    } else if (!current) {
+      continue;
+    } else if (tag === 'DA') {
+      const [lineNumber, hits] = value.split(',');
+      addStatement(current, parseInt(lineNumber, 10), parseInt(hits, 10) || 0);
+    } else if (tag === 'FN') {
+      const [lineNumber, ...name] = value.split(',');
+      functionLines[name.join(',')] = parseInt(lineNumber, 10);
+    } else if (tag === 'FNDA') {
+      const [hits, ...name] = value.split(',');
+      const fnName = name.join(',');
+      addFunction(current, fnName, functionLines[fnName] ?? 0, parseInt(hits, 10) || 0);
+    } else if (tag === 'BRDA') {
+      // BRDA:<line>,<block>,<branch>,<taken> where taken is "-" when never evaluated
+      const [lineNumber, block, , taken] = value.split(',');
+      const key = `${lineNumber}:${block}`;
+      if (!branches.has(key)) branches.set(key, []);
+      branches.get(key).push(taken === '-' ? 0 : parseInt(taken, 10) || 0);
+    }
+  }
+
+  finishRecord();
+  return coverageMap.toJSON();
+}
+
+/**
+ * Parse a Clover XML report (clover.xml) into Istanbul coverage data
+ *
+ * Istanbul writes one <line> per statement line; type="cond" lines carry
+ * truecount/falsecount as covered/uncovered branch counts. Functions are
+ * taken from type="method" lines when present, otherwise from the file metrics.
+ */
+export async function parseClover(content, reportPath = '') {
+  const result = await parseXml(content);
+  const project = result.coverage?.project?.[0] || {};
+  const files = [
+    ...(project.file || []),
+    ...(project.package || []).flatMap(pkg => pkg.file || [])
+  ];
+
+  const coverageMap = createCoverageMap({});
+
+  for (const file of files) {
+    const filePath = resolveSourcePath(file.$.path || file.$.name, reportPath);
+    const fileCoverage = emptyFileCoverage(filePath);
+    let hasMethodLines = false;
+
+    for (const { $: line } of file.line || []) {
+      const lineNumber = parseInt(line.num, 10);
+      const count = parseInt(line.count, 10) || 0;
+
+      if (line.type === 'method') {
+        hasMethodLines = true;
+        addFunction(fileCoverage, line.name || line.signature || `(line ${lineNumber})`, lineNumber, count);
+        continue;
+      }
+
+      addStatement(fileCoverage, lineNumber, count);
+
+      if (line.type === 'cond') {
+        const covered = parseInt(line.truecount, 10) || 0;
+        const uncovered = parseInt(line.falsecount, 10) || 0;
+        addBranch(fileCoverage, lineNumber, [
+          ...Array(covered).fill(1),
+          ...Array(uncovered).fill(0)
+        ]);
+      }
+    }
+
+    const metrics = file.metrics?.[0]?.$;
+    if (!hasMethodLines && metrics) {
+      const methods = parseInt(metrics.methods, 10) || 0;
+      const coveredMethods = parseInt(metrics.coveredmethods, 10) || 0;
+      for (let i = 0; i < methods; i++) {
+        addFunction(fileCoverage, `(function ${i + 1})`, 0, i < coveredMethods ? 1 : 0);
+      }
+    }
+
+    coverageMap.merge({ [filePath]: fileCoverage });
+  }
+
+  return coverageMap.toJSON();
+}
+
+/**
+ * Read one report of any supported format as Istanbul coverage data
+ */
+async function readCoverageReport(filePath) {
+  const content = readFileSync(filePath, 'utf-8');
+  const format = detectCoverageFormat(content);
+
+  if (format === 'istanbul') return { format, data: JSON.parse(content) };
+  if (format === 'lcov') return { format, data: parseLcov(content, filePath) };
+  if (format === 'clover') return { format, data: await parseClover(content, filePath) };
+
+  throw new Error('Unrecognized coverage format (expected Istanbul JSON, LCOV or Clover XML)');
+}
+
+/**
+ * Merge reports into one Istanbul coverage map; unreadable files are skipped
+ * With byReport, each report's own line hits are kept as reports: [{ file, lines }]
+ */
+async function buildCoverageMap(filePaths, { byReport = false } = {}) {
+  const coverageMap = createCoverageMap({});
+  const formats = new Set();
+  const files = [];
+  const reports = [];
+
+  for (const filePath of filePaths) {
+    try {
+      const { format, data } = await readCoverageReport(filePath);
+      // Read before merging: the merged map takes over the report's data
+      const lines = byReport ? lineHits(createCoverageMap(data)) : null;
+      coverageMap.merge(data);
+      formats.add(format);
+      files.push(filePath);
+      if (byReport) reports.push({ file: filePath, lines });
+    } catch (error) {
+      console.error(`[JS Coverage] Error parsing coverage file ${filePath}:`, error.message);
+    }
+  }
+
+  return { coverageMap, formats: [...formats], files, reports };
+}
+
+function summarizeFileCoverage(fileName, fileCoverage) {
+  const summary = fileCoverage.toSummary();
+  const metric = name => ({
+    total: summary[name].total,
+    covered: summary[name].covered,
+    skipped: summary[name].skipped,
+    pct: summary[name].pct
+  });
+
+  return {
+    file: fileName,
+    lines: metric('lines'),
+    statements: metric('statements'),
+    functions: metric('functions'),
+    branches: metric('branches')
+  };
+}
+
+/**
+ * Parse and merge coverage reports (Istanbul JSON, LCOV, Clover) into
+ * per-file line/statement/function/branch summaries
+ *
+ * Returns { formats, files, coverage } where coverage is keyed by source path,
+ * or null when no file could be parsed
+ */
+export async function parseCoverageFiles(filePaths) {
+  const { coverageMap, formats, files } = await buildCoverageMap(filePaths);
+
+  if (files.length === 0) return null;
+
+  const coverage = {};
+  for (const fileName of coverageMap.files()) {
+    coverage[fileName] = summarizeFileCoverage(fileName, coverageMap.fileCoverageFor(fileName));
+  }
+
+  console.log(`[JS Coverage] Parsed coverage data for ${Object.keys(coverage).length} files from ${files.length} report(s)`);
+  return { formats, files, coverage };
+}
+
+/**
+ * Parse a single coverage report into per-file summaries, or null if it cannot be read
+ */
+export async function parseCoverageFile(filePath) {
+  const result = await parseCoverageFiles([filePath]);
+  return result ? result.coverage : null;
+}
+
+function lineHits(coverageMap) {
+  const lines = {};
+  for (const fileName of coverageMap.files()) {
+    lines[fileName] = coverageMap.fileCoverageFor(fileName).getLineCoverage();
+  }
+  return lines;
+}
+
+/**
+ * Parse coverage reports into per-line hit counts by source file,
+ * used to join coverage with the lines a pull request changed.
+ * Reports from several test runs are merged; unreadable files are skipped.
+ * With byReport, each report's own hits are also returned as
+ * reports: [{ file, lines }].
+ *
+ * Returns { formats, files, lines } where lines is { [sourcePath]: { [line]: hits } },
+ * or null when no file could be parsed
+ */
+export async function parseLineCoverage(filePaths, { byReport = false } = {}) {
+  const { coverageMap, formats, files, reports } = await buildCoverageMap(filePaths, { byReport });
+
+  if (files.length === 0) return null;
+
+  return {
+    formats,
+    files,
+    lines: lineHits(coverageMap),
+    ...(byReport && { reports })
+  };
+}
@@ -1,14 +1,15 @@
 import express from 'express';
+import { tracingMiddleware } from '../../../shared/tracing.js';
 import { readFileSync, existsSync } from 'fs';
 import { glob } from 'glob';
 import path from 'path';
-import istanbulCoverage from 'istanbul-lib-coverage';
-const { createCoverageMap } = istanbulCoverage;
+import { parseCoverageFiles, parseLineCoverage, selectCoverageReports } from './coverageParser.js';
 
 const app = express();
 const PORT = process.env.PORT || 8205;
 
 app.use(express.json({ limit: '50mb' }));
+app.use(tracingMiddleware('javascript-coverage-analyzer'));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -78,82 +79,33 @@ function isTestFile(filePath) {
 }
 
 /**
- * Find coverage files (Jest/Vitest produce coverage-final.json)
+ * Find coverage reports: Istanbul JSON (Jest/Vitest/nyc), LCOV (Karma,
+ * Angular CLI, CI merges) and Clover XML. Every project's report is returned
+ * so monorepo packages are merged, one report per coverage directory.
  */
 function findCoverageFiles(appDir) {
   const patterns = [
     `${appDir}/**/coverage/coverage-final.json`,
     `${appDir}/**/coverage/coverage.json`,
-    `${appDir}/**/.nyc_output/coverage.json`
+    `${appDir}/**/.nyc_output/coverage.json`,
+    `${appDir}/**/coverage/**/lcov.info`,
+    `${appDir}/**/coverage/**/clover.xml`
   ];
 
+  const found = [];
   for (const pattern of patterns) {
     try {
-      const files = glob.sync(pattern, { nodir: true });
+      const files = glob.sync(pattern, { nodir: true, ignore: '**/node_modules/**' });
       if (files.length > 0) {
         console.log(`[JS Coverage] Found ${files.length} coverage file(s) with pattern: ${pattern}`);
-        return files;
+        found.push(...files);
       }
     } catch (error) {
       console.error(`[JS Coverage] Error searching with pattern ${pattern}:`, error.message);
     }
   }
 
-  return [];
-}
-
-/**
- * Parse Istanbul JSON coverage file
- */
-function parseCoverageFile(filePath) {
-  try {
-    const content = readFileSync(filePath, 'utf-8');
-    const coverageData = JSON.parse(content);
-
-    // Create coverage map from Istanbul data
-    const coverageMap = createCoverageMap(coverageData);
-
-    const coverage = {};
-
-    // Extract coverage for each file
-    for (const [fileName, fileCoverage] of Object.entries(coverageMap.data)) {
-      const summary = fileCoverage.toSummary();
-
-      coverage[fileName] = {
-        file: fileName,
-        lines: {
-          total: summary.lines.total,
-          covered: summary.lines.covered,
-          skipped: summary.lines.skipped,
-          pct: summary.lines.pct
-        },
-        statements: {
-          total: summary.statements.total,
-          covered: summary.statements.covered,
-          skipped: summary.statements.skipped,
-          pct: summary.statements.pct
-        },
-        functions: {
-          total: summary.functions.total,
-          covered: summary.functions.covered,
-          skipped: summary.functions.skipped,
-          pct: summary.functions.pct
-        },
-        branches: {
-          total: summary.branches.total,
-          covered: summary.branches.covered,
-          skipped: summary.branches.skipped,
-          pct: summary.branches.pct
-        }
-      };
-    }
-
-    console.log(`[JS Coverage] Parsed coverage data for ${Object.keys(coverage).length} files`);
-    return coverage;
-  } catch (error) {
-    console.error(`[JS Coverage] Error parsing coverage file ${filePath}:`, error.message);
-    return null;
-  }
+  return selectCoverageReports([...new Set(found)]);
 }
 
 /**
@@ -317,7 +269,7 @@ app.post('/analyze', async (req, res) => {
     // Parse coverage data
     let coverageData = null;
     if (coverageFiles.length > 0) {
-      coverageData = parseCoverageFile(coverageFiles[0]);
+      coverageData = await parseCoverageFiles(coverageFiles);
     }
 
     // Find test files
@@ -341,7 +293,7 @@ app.post('/analyze', async (req, res) => {
       // Get coverage from parsed data
       let coverage = null;
       if (coverageData && item.file) {
-        const fileCov = coverageData[item.file];
+        const fileCov = coverageData.coverage[item.file];
         if (fileCov) {
           // Use line coverage percentage
           coverage = fileCov.lines.pct;
@@ -387,7 +339,7 @@ app.post('/analyze', async (req, res) => {
     const coverage = {
       app: appName,
       timestamp: new Date().toISOString(),
-      dataSource: coverageFiles.length > 0 ? 'istanbul' : 'test-detection-only',
+      dataSource: coverageData ? coverageData.formats.join('+') : 'test-detection-only',
       coverageFilesFound: coverageFiles.length,
       message: coverageFiles.length > 0
         ? `Coverage data from ${coverageFiles.length} file(s)`
@@ -426,6 +378,50 @@ app.post('/analyze', async (req, res) => {
   }
 });
 
+/**
+ * Per-line hit counts by source file, used for pull request (changed line) coverage.
+ * Pass byReport to also get each coverage directory's report on its own.
+ */
+app.post('/line-coverage', async (req, res) => {
+  try {
+    const { app: appName, byReport = false } = req.body;
+
+    if (!appName) {
+      return res.status(400).json({ error: 'Application name is required' });
+    }
+
+    const config = loadAppsConfig();
+    const appConfig = config.applications.find(a => a.name === appName);
+
+    if (!appConfig) {
+      return res.status(404).json({ error: `Application ${appName} not found` });
+    }
+
+    const coverageFiles = findCoverageFiles(appConfig.path);
+    const lineCoverage = coverageFiles.length > 0
+      ? await parseLineCoverage(coverageFiles, { byReport })
+      : null;
+
+    console.log(`[JS Coverage] Line coverage for ${appName}: ${lineCoverage ? Object.keys(lineCoverage.lines).length : 0} source files`);
+
+    res.json({
+      success: true,
+      app: appName,
+      dataSource: lineCoverage ? lineCoverage.formats.join('+') : 'none',
+      coverageFiles: lineCoverage ? lineCoverage.files : [],
+      lines: lineCoverage ? lineCoverage.lines : {},
+      ...(byReport && { reports: lineCoverage ? lineCoverage.reports : [] })
+    });
+  } catch (error) {
+    console.error('[JS Coverage] Line coverage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Line coverage failed',
+      message: error.message
+    });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`JavaScript Coverage Analyzer MCP running on port ${PORT}`);
 });
@@ -0,0 +1,244 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  detectCoverageFormat,
+  parseClover,
+  parseCoverageFile,
+  parseCoverageFiles,
+  parseLcov,
+  parseLineCoverage,
+  selectCoverageReports,
+} from "../../src/coverageParser.js";
+
+// Istanbul coverage-final.json entry: statements 0-2 on lines 1, 2 and 4
+const fileCoverage = (filePath, hits) => ({
+  path: filePath,
+  statementMap: {
+    0: { start: { line: 1, column: 0 }, end: { line: 1, column: 20 } },
+    1: { start: { line: 2, column: 2 }, end: { line: 2, column: 30 } },
+    2: { start: { line: 4, column: 2 }, end: { line: 4, column: 15 } },
+  },
+  fnMap: {},
+  branchMap: {},
+  s: { 0: hits[0], 1: hits[1], 2: hits[2] },
+  f: {},
+  b: {},
+});
+
+describe("coverageParser", () => {
+  let dir;
+
+  const write = (name, content) => {
+    const file = path.join(dir, name);
+    mkdirSync(path.dirname(file), { recursive: true });
+    writeFileSync(
+      file,
+      typeof content === "string" ? content : JSON.stringify(content),
+    );
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), "js-coverage-parser-"));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("parseCoverageFile", () => {
+    it("should summarize coverage per file", async () => {
+      const file = write("coverage-final.json", {
+        "/app/src/cart.js": fileCoverage("/app/src/cart.js", [1, 1, 0]),
+      });
+
+      const result = await parseCoverageFile(file);
+
+      expect(result["/app/src/cart.js"].lines).toMatchObject({
+        total: 3,
+        covered: 2,
+      });
+    });
+  });
+
+  describe("parseLineCoverage", () => {
+    it("should return hits per line for each source file", async () => {
+      const file = write("coverage-final.json", {
+        "/app/src/cart.js": fileCoverage("/app/src/cart.js", [3, 1, 0]),
+      });
+
+      const result = await parseLineCoverage([file]);
+
+      expect(result.formats).toEqual(["istanbul"]);
+      expect(result.files).toEqual([file]);
+      expect(result.lines["/app/src/cart.js"]).toEqual({ 1: 3, 2: 1, 4: 0 });
+    });
+
+    it("should merge hits across coverage files", async () => {
+      const unit = write("unit.json", {
+        "/app/src/cart.js": fileCoverage("/app/src/cart.js", [1, 0, 0]),
+      });
+      const e2e = write("e2e.json", {
+        "/app/src/cart.js": fileCoverage("/app/src/cart.js", [1, 0, 2]),
+      });
+
+      const result = await parseLineCoverage([unit, e2e]);
+
+      expect(result.lines["/app/src/cart.js"]).toEqual({ 1: 2, 2: 0, 4: 2 });
+    });
+
+    it("should keep each report's hits apart when asked", async () => {
+      const unit = write("unit.json", {
+        "/app/src/cart.js": fileCoverage("/app/src/cart.js", [1, 0, 0]),
+      });
+      const e2e = write("e2e.json", {
+        "/app/src/cart.js": fileCoverage("/app/src/cart.js", [1, 0, 2]),
+      });
+
+      const result = await parseLineCoverage([unit, e2e], { byReport: true });
+
+      expect(result.reports).toEqual([
+        { file: unit, lines: { "/app/src/cart.js": { 1: 1, 2: 0, 4: 0 } } },
+        { file: e2e, lines: { "/app/src/cart.js": { 1: 1, 2: 0, 4: 2 } } },
+      ]);
+      expect(result.lines["/app/src/cart.js"]).toEqual({ 1: 2, 2: 0, 4: 2 });
+    });
+
+    it("should merge LCOV with Istanbul data for the same source", async () => {
+      const unit = write("unit/coverage-final.json", {
+        "/app/src/cart.js": fileCoverage("/app/src/cart.js", [1, 0, 0]),
+      });
+      const e2e = write(
+        "e2e/lcov.info",
+        "SF:/app/src/cart.js\nDA:2,4\nDA:7,0\nend_of_record\n",
+      );
+
+      const result = await parseLineCoverage([unit, e2e]);
+
+      expect(result.formats).toEqual(["istanbul", "lcov"]);
+      expect(result.lines["/app/src/cart.js"]).toEqual({
+        1: 1,
+        2: 4,
+        4: 0,
+        7: 0,
+      });
+    });
+
+    it("should return null when no file parses", async () => {
+      await expect(
+        parseLineCoverage([path.join(dir, "missing.json")]),
+      ).resolves.toBeNull();
+    });
+  });
+
+  describe("detectCoverageFormat", () => {
+    it("should recognize each report format from its content", () => {
+      expect(detectCoverageFormat('  {"/app/a.js": {}}')).toBe("istanbul");
+      expect(detectCoverageFormat("TN:\nSF:/app/a.js\n")).toBe("lcov");
+      expect(
+        detectCoverageFormat(
+          '<?xml version="1.0"?>\n<coverage generated="1"><project></project></coverage>',
+        ),
+      ).toBe("clover");
+      expect(detectCoverageFormat("not coverage")).toBeNull();
+    });
+  });
+
+  describe("selectCoverageReports", () => {
+    it("should keep the most detailed report in each directory", () => {
+      const result = selectCoverageReports([
+        "/app/web/coverage/lcov.info",
+        "/app/web/coverage/clover.xml",
+        "/app/web/coverage/coverage-final.json",
+        "/app/admin/coverage/clover.xml",
+        "/app/admin/coverage/lcov.info",
+        "/app/admin/coverage/readme.txt",
+      ]);
+
+      expect(result).toEqual([
+        "/app/admin/coverage/lcov.info",
+        "/app/web/coverage/coverage-final.json",
+      ]);
+    });
+  });
+
+  describe("parseLcov", () => {
+    const lcov = [
+      "TN:",
+      "SF:src/cart.js",
+      "FN:1,addItem",
+      "FN:5,removeItem",
+      "FNDA:3,addItem",
+      "FNDA:0,removeItem",
+      "BRDA:2,0,0,3",
+      "BRDA:2,0,1,-",
+      "DA:1,3",
+      "DA:2,3",
+      "DA:6,0",
+      "end_of_record",
+    ].join("\n");
+
+    it("should convert lines, functions and branches", async () => {
+      const file = write("web/coverage/lcov.info", lcov);
+
+      const result = await parseCoverageFile(file);
+      const cart = result[path.join(dir, "web/src/cart.js")];
+
+      expect(cart.lines).toMatchObject({ total: 3, covered: 2 });
+      expect(cart.functions).toMatchObject({ total: 2, covered: 1 });
+      expect(cart.branches).toMatchObject({ total: 2, covered: 1 });
+    });
+
+    it("should resolve relative sources against the project directory", () => {
+      const data = parseLcov(lcov, "/repo/web/coverage/lcov-report/lcov.info");
+
+      expect(Object.keys(data)).toEqual(["/repo/web/src/cart.js"]);
+    });
+
+    it("should merge repeated records for the same source", () => {
+      const data = parseLcov(
+        `${lcov}\nSF:src/cart.js\nDA:6,2\nend_of_record\n`,
+        "/repo/web/coverage/lcov.info",
+      );
+
+      expect(Object.values(data["/repo/web/src/cart.js"].s)).toEqual([3, 3, 2]);
+    });
+  });
+
+  describe("parseClover", () => {
+    const clover = `<?xml version="1.0" encoding="UTF-8"?>
+<coverage generated="1700000000000" clover="3.2.0">
+  <project timestamp="1700000000000" name="All files">
+    <package name="src">
+      <file name="cart.js" path="/app/src/cart.js">
+        <metrics statements="3" coveredstatements="2" conditionals="2" coveredconditionals="1" methods="2" coveredmethods="1"/>
+        <line num="1" count="3" type="stmt"/>
+        <line num="2" count="3" type="cond" truecount="1" falsecount="1"/>
+        <line num="6" count="0" type="stmt"/>
+      </file>
+    </package>
+  </project>
+</coverage>`;
+
+    it("should convert statement and condition lines", async () => {
+      const data = await parseClover(clover, "/app/coverage/clover.xml");
+      const cart = data["/app/src/cart.js"];
+
+      expect(Object.values(cart.s)).toEqual([3, 3, 0]);
+      expect(Object.values(cart.b)).toEqual([[1, 0]]);
+    });
+
+    it("should take function counts from the file metrics", async () => {
+      const file = write("coverage/clover.xml", clover);
+
+      const result = await parseCoverageFiles([file]);
+
+      expect(result.formats).toEqual(["clover"]);
+      expect(result.coverage["/app/src/cart.js"].functions).toMatchObject({
+        total: 2,
+        covered: 1,
+      });
+    });
+  });
+});
@@ -1,9 +1,11 @@
 import express from 'express';
+import { tracingMiddleware } from '../../../shared/tracing.js';
 
 const app = express();
 const PORT = process.env.PORT || 8203;
 
 app.use(express.json());
+app.use(tracingMiddleware('migration-analyzer'));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -30,7 +30,7 @@ class AzureDevOpsMCP extends BaseMCP {
       environment: process.env.NODE_ENV || "development",
     };
 
-    super(config);
+    super(config, { category: "integration" });
 
     // Initialize ADO service after calling super
     const adoConfig: ADOConfig = {
@@ -4,7 +4,7 @@
 
 import { Router, Request, Response } from "express";
 import { ADOService } from "../services/ado-service";
-import { APIResponse, logError } from "@qe-mcp-stack/shared";
+import { APIResponse, logError, ServiceError } from "@qe-mcp-stack/shared";
 import {
   WorkItemQueryRequest,
   WorkItemUpdateRequest,
@@ -1315,5 +1315,76 @@ export function createWorkItemsRouter(adoService: ADOService): Router {
     },
   );
 
+  /**
+   * @swagger
+   * /work-items/pull-requests/{pullRequestId}/diff:
+   *   get:
+   *     summary: Get lines changed in a pull request
+   *     description: Compares each changed file at the PR merge commit with the target branch and returns the added or modified line numbers
+   *     tags: [Git]
+   *     parameters:
+   *       - in: path
+   *         name: pullRequestId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: repositoryId
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Changed line numbers and hunks per file
+   */
+  router.get(
+    "/pull-requests/:pullRequestId/diff",
+    async (req: Request, res: Response) => {
+      try {
+        const pullRequestId = parseInt(req.params.pullRequestId);
+        const repositoryId = req.query.repositoryId as string | undefined;
+
+        if (isNaN(pullRequestId)) {
+          const response: APIResponse = {
+            success: false,
+            error: {
+              code: "INVALID_REQUEST",
+              message: "Valid pullRequestId is required",
+            },
+          };
+          res.status(400).json(response);
+          return;
+        }
+
+        const diff = await adoService.getPullRequestDiff(
+          pullRequestId,
+          repositoryId,
+        );
+
+        const response: APIResponse = {
+          success: true,
+          data: diff,
+        };
+
+        res.json(response);
+      } catch (error) {
+        logError("Get PR diff failed", {
+          error,
+          pullRequestId: req.params.pullRequestId,
+        });
+        const response: APIResponse = {
+          success: false,
+          error: {
+            code: "GET_PR_DIFF_FAILED",
+            message: (error as Error).message,
+          },
+        };
+        // Unknown pull requests (404) and ones without merge commits (422)
+        res
+          .status(error instanceof ServiceError ? error.statusCode : 500)
+          .json(response);
+      }
+    },
+  );
+
   return router;
 }
@@ -26,12 +26,18 @@ import {
   PullRequest,
   PullRequestChange,
   PullRequestIteration,
+  PullRequestDiff,
+  PullRequestFileDiff,
   ExistingTestCase,
   ParsedTestStep,
   TestCaseComparison,
   TestCaseComparisonResult,
   TestCase,
 } from "../types";
+import { getChangedLines, toLineRanges } from "./line-diff";
+
+// Most work items the work items endpoint returns per request
+const WORK_ITEMS_BATCH_SIZE = 200;
 
 export class ADOService {
   private client: AxiosInstance;
@@ -71,7 +77,7 @@ export class ADOService {
    */
   async queryWorkItems(request: WorkItemQueryRequest): Promise<WorkItem[]> {
     try {
-      const { workItemIds, sprint, query, project, team } = request;
+      const { workItemIds, sprint, query, project, team, top } = request;
 
       // If specific work item IDs are provided, fetch them directly
       if (workItemIds && workItemIds.length > 0) {
@@ -101,8 +107,9 @@ export class ADOService {
       logger.info("Executing WIQL query", { wiql });
 
       // Execute WIQL query
+      const topParam = top ? `&$top=${top}` : "";
       const queryResponse = await this.client.post<WIQLQueryResult>(
-        `/wit/wiql?api-version=${this.config.apiVersion}`,
+        `/wit/wiql?api-version=${this.config.apiVersion}${topParam}`,
         { query: wiql },
       );
 
@@ -131,14 +138,22 @@ export class ADOService {
 
   /**
    * Get specific work items by IDs (project-scoped)
+   * ADO returns at most 200 work items per request, so larger lists are
+   * fetched in batches
    */
   async getWorkItemsByIds(ids: number[]): Promise<WorkItem[]> {
     try {
-      const response = await this.client.get<{ value: WorkItem[] }>(
-        `/wit/workitems?ids=${ids.join(",")}&$expand=relations&api-version=${this.config.apiVersion}`,
-      );
+      const workItems: WorkItem[] = [];
 
-      return response.data.value || [];
+      for (let i = 0; i < ids.length; i += WORK_ITEMS_BATCH_SIZE) {
+        const batch = ids.slice(i, i + WORK_ITEMS_BATCH_SIZE);
+        const response = await this.client.get<{ value: WorkItem[] }>(
+          `/wit/workitems?ids=${batch.join(",")}&$expand=relations&api-version=${this.config.apiVersion}`,
+        );
+        workItems.push(...(response.data.value || []));
+      }
+
+      return workItems;
     } catch (error: any) {
       logger.error("Failed to get work items", {
         error: error.message,
@@ -1510,6 +1525,134 @@ export class ADOService {
     }
   }
 
+  /**
+   * Get the text content of a file at a commit, or null if it does not exist there
+   */
+  async getFileContent(
+    repositoryId: string,
+    path: string,
+    commitId: string,
+  ): Promise<string | null> {
+    try {
+      const response = await this.client.get<{ content?: string }>(
+        `/git/repositories/${repositoryId}/items`,
+        {
+          params: {
+            path,
+            "versionDescriptor.version": commitId,
+            "versionDescriptor.versionType": "commit",
+            includeContent: true,
+            $format: "json",
+            "api-version": this.config.apiVersion,
+          },
+        },
+      );
+
+      return response.data.content ?? "";
+    } catch (error: any) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      logger.error("Failed to get file content", {
+        error: error.message,
+        repositoryId,
+        path,
+        commitId,
+      });
+      throw new ServiceError(
+        `Failed to get file content: ${error.message}`,
+        error.response?.status || 500,
+      );
+    }
+  }
+
+  /**
+   * Get the lines added or modified by a pull request, per file
+   *
+   * The PR's merge commit is compared with the target branch commit it was
+   * merged against, so lines only changed on the target branch are excluded.
+   */
+  async getPullRequestDiff(
+    pullRequestId: number,
+    repositoryId?: string,
+  ): Promise<PullRequestDiff> {
+    try {
+      const pr = await this.getPullRequest(pullRequestId, repositoryId);
+      const repoId = repositoryId || pr.repository?.id;
+      const baseCommit = pr.lastMergeTargetCommit?.commitId;
+      const targetCommit =
+        pr.lastMergeCommit?.commitId || pr.lastMergeSourceCommit?.commitId;
+
+      if (!repoId || !baseCommit || !targetCommit) {
+        throw new ServiceError(
+          `Pull request ${pullRequestId} has no merge commits to compare`,
+          422,
+        );
+      }
+
+      const changes = await this.getPullRequestChanges(repoId, pullRequestId);
+      const files: PullRequestFileDiff[] = [];
+
+      for (const change of changes) {
+        const changeType = String(change.changeType);
+        if (
+          change.item.gitObjectType === "tree" ||
+          changeType.includes("delete")
+        ) {
+          continue;
+        }
+
+        const newContent = await this.getFileContent(
+          repoId,
+          change.item.path,
+          targetCommit,
+        );
+        if (newContent === null) continue;
+
+        const oldContent = changeType.includes("add")
+          ? null
+          : await this.getFileContent(
+              repoId,
+              change.sourceServerItem || change.item.path,
+              baseCommit,
+            );
+
+        const changedLines = getChangedLines(oldContent, newContent);
+
+        files.push({
+          path: change.item.path,
+          changeType: change.changeType,
+          changedLines,
+          hunks: toLineRanges(changedLines),
+        });
+      }
+
+      logger.info("Computed PR diff", {
+        pullRequestId,
+        fileCount: files.length,
+        changedLines: files.reduce((sum, f) => sum + f.changedLines.length, 0),
+      });
+
+      return {
+        pullRequestId,
+        repositoryId: repoId,
+        baseCommit,
+        targetCommit,
+        files,
+      };
+    } catch (error: any) {
+      if (error instanceof ServiceError) throw error;
+      logger.error("Failed to get PR diff", {
+        error: error.message,
+        pullRequestId,
+      });
+      throw new ServiceError(
+        `Failed to get PR diff: ${error.message}`,
+        error.response?.status || 500,
+      );
+    }
+  }
+
   /**
    * Get all files changed in PRs linked to a work item
    */
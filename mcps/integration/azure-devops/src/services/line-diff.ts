@@ -0,0 +1,110 @@
+/**
+ * Line-level diff used to find the lines a pull request added or changed
+ */
+
+import { LineRange } from "../types";
+
+// Above this many LCS cells (old lines × new lines after trimming the common
+// prefix and suffix) every line in the changed region is reported as changed
+const MAX_LCS_CELLS = 4_000_000;
+
+function splitLines(content: string): string[] {
+  if (!content) return [];
+  const lines = content.replace(/\r\n?/g, "\n").split("\n");
+  // A trailing newline does not start another line
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/**
+ * Get the 1-based line numbers in the new content that are not present in
+ * the old content (added or modified lines)
+ */
+export function getChangedLines(
+  oldContent: string | null,
+  newContent: string,
+): number[] {
+  const oldLines = splitLines(oldContent || "");
+  const newLines = splitLines(newContent);
+
+  let prefix = 0;
+  while (
+    prefix < oldLines.length &&
+    prefix < newLines.length &&
+    oldLines[prefix] === newLines[prefix]
+  ) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] ===
+      newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+  const toLineNumber = (index: number) => prefix + index + 1;
+
+  if (b.length === 0) return [];
+
+  if (a.length === 0 || a.length * b.length > MAX_LCS_CELLS) {
+    return b.map((_, index) => toLineNumber(index));
+  }
+
+  // lcs[i * width + j] = length of the LCS of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] =
+        a[i] === b[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const changed: number[] = [];
+  let i = 0;
+  let j = 0;
+
+  while (j < b.length) {
+    if (i < a.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (
+      i < a.length &&
+      lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]
+    ) {
+      i++;
+    } else {
+      changed.push(toLineNumber(j));
+      j++;
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Collapse sorted line numbers into ranges: [3, 4, 5, 9] -> 3-5, 9-9
+ */
+export function toLineRanges(lines: number[]): LineRange[] {
+  const ranges: LineRange[] = [];
+
+  for (const line of lines) {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last.end + 1) {
+      last.end = line;
+    } else {
+      ranges.push({ start: line, end: line });
+    }
+  }
+
+  return ranges;
+}
@@ -81,6 +81,10 @@ export const schemas = {
         type: 'string',
         description: 'Team name (optional)',
       },
+      top: {
+        type: 'number',
+        description: 'Maximum number of work items a WIQL query returns (optional)',
+      },
     },
     example: {
       sprint: '25.Q4.07',
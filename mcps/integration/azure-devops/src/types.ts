@@ -85,6 +85,9 @@ export interface PullRequest {
   targetRefName: string;
   mergeStatus?: string;
   isDraft?: boolean;
+  lastMergeSourceCommit?: { commitId: string };
+  lastMergeTargetCommit?: { commitId: string };
+  lastMergeCommit?: { commitId: string };
   repository: {
     id: string;
     name: string;
@@ -133,6 +136,27 @@ export interface PullRequestIteration {
   commonRefCommit?: { commitId: string };
 }
 
+export interface LineRange {
+  start: number;
+  end: number;
+}
+
+export interface PullRequestFileDiff {
+  path: string;
+  changeType: PullRequestChange["changeType"];
+  /** 1-based line numbers in the new version that were added or modified */
+  changedLines: number[];
+  hunks: LineRange[];
+}
+
+export interface PullRequestDiff {
+  pullRequestId: number;
+  repositoryId: string;
+  baseCommit: string;
+  targetCommit: string;
+  files: PullRequestFileDiff[];
+}
+
 // ============================================
 // ATTACHMENT TYPES
 // ============================================
@@ -248,6 +272,7 @@ export interface WorkItemQueryRequest {
   organization?: string;
   project?: string;
   team?: string;
+  top?: number;
 }
 
 export interface WorkItemUpdateRequest {
@@ -298,6 +298,25 @@ describe("ADOService", () => {
       expect(mockClientInstance.get).not.toHaveBeenCalled();
     });
 
+    it("should limit WIQL results when top is given", async () => {
+      mockClientInstance.post.mockResolvedValueOnce({
+        data: { workItems: [{ id: 1 }] },
+      });
+      mockClientInstance.get.mockResolvedValueOnce({
+        data: { value: [{ id: 1 }] },
+      });
+
+      await service.queryWorkItems({
+        query: "SELECT [System.Id] FROM WorkItems",
+        top: 200,
+      });
+
+      expect(mockClientInstance.post).toHaveBeenCalledWith(
+        expect.stringContaining("/wit/wiql?api-version=7.0&$top=200"),
+        { query: "SELECT [System.Id] FROM WorkItems" },
+      );
+    });
+
     it("should handle API errors and throw ServiceError", async () => {
       mockClientInstance.post.mockRejectedValueOnce({
         message: "Network timeout",
@@ -357,6 +376,24 @@ describe("ADOService", () => {
       );
     });
 
+    it("should fetch more than 200 IDs in batches", async () => {
+      const ids = Array.from({ length: 450 }, (_, i) => i + 1);
+      mockClientInstance.get.mockImplementation((url: string) => {
+        const batch = url.match(/ids=([\d,]+)/)![1].split(",");
+        return Promise.resolve({
+          data: { value: batch.map((id) => ({ id: Number(id) })) },
+        });
+      });
+
+      const result = await service.getWorkItemsByIds(ids);
+
+      expect(result.map((wi) => wi.id)).toEqual(ids);
+      expect(mockClientInstance.get).toHaveBeenCalledTimes(3);
+      expect(mockClientInstance.get.mock.calls[2][0]).toContain(
+        "ids=401,402,",
+      );
+    });
+
     it("should return empty array when API returns no value", async () => {
       mockClientInstance.get.mockResolvedValueOnce({ data: {} });
 
@@ -1333,6 +1370,88 @@ describe("ADOService", () => {
     });
   });
 
+  describe("getPullRequestDiff", () => {
+    const pullRequest = {
+      data: {
+        pullRequestId: 789,
+        repository: { id: "repo-id" },
+        lastMergeTargetCommit: { commitId: "base-sha" },
+        lastMergeCommit: { commitId: "merge-sha" },
+      },
+    };
+
+    it("should return changed lines for edited and added files", async () => {
+      mockClientInstance.get
+        .mockResolvedValueOnce(pullRequest)
+        .mockResolvedValueOnce({ data: { value: [{ id: 1 }] } })
+        .mockResolvedValueOnce({
+          data: {
+            changeEntries: [
+              {
+                item: { path: "/src/Auth.cs", gitObjectType: "blob" },
+                changeType: "edit",
+              },
+              {
+                item: { path: "/src/New.cs", gitObjectType: "blob" },
+                changeType: "add",
+              },
+              {
+                item: { path: "/src/Old.cs", gitObjectType: "blob" },
+                changeType: "delete",
+              },
+              {
+                item: { path: "/src", gitObjectType: "tree" },
+                changeType: "edit",
+              },
+            ],
+          },
+        })
+        // /src/Auth.cs at merge commit, then at base commit
+        .mockResolvedValueOnce({ data: { content: "a\nb\nx\nc\n" } })
+        .mockResolvedValueOnce({ data: { content: "a\nb\nc\n" } })
+        // /src/New.cs at merge commit
+        .mockResolvedValueOnce({ data: { content: "one\ntwo\n" } });
+
+      const result = await service.getPullRequestDiff(789, "repo-id");
+
+      expect(result.baseCommit).toBe("base-sha");
+      expect(result.targetCommit).toBe("merge-sha");
+      expect(result.files).toEqual([
+        {
+          path: "/src/Auth.cs",
+          changeType: "edit",
+          changedLines: [3],
+          hunks: [{ start: 3, end: 3 }],
+        },
+        {
+          path: "/src/New.cs",
+          changeType: "add",
+          changedLines: [1, 2],
+          hunks: [{ start: 1, end: 2 }],
+        },
+      ]);
+      expect(mockClientInstance.get).toHaveBeenCalledWith(
+        "/git/repositories/repo-id/items",
+        expect.objectContaining({
+          params: expect.objectContaining({
+            path: "/src/Auth.cs",
+            "versionDescriptor.version": "base-sha",
+          }),
+        }),
+      );
+    });
+
+    it("should fail when the PR has no merge commits", async () => {
+      mockClientInstance.get.mockResolvedValueOnce({
+        data: { pullRequestId: 789, repository: { id: "repo-id" } },
+      });
+
+      await expect(service.getPullRequestDiff(789)).rejects.toThrow(
+        "has no merge commits",
+      );
+    });
+  });
+
   describe("getExistingTestCasesForWorkItem", () => {
     it("should find test cases linked via TestedBy relation", async () => {
       // Mock enhanced work item with TestedBy relations
@@ -0,0 +1,55 @@
+/**
+ * Unit tests for the pull request line diff
+ */
+
+import { getChangedLines, toLineRanges } from "../../src/services/line-diff";
+
+describe("line-diff", () => {
+  describe("getChangedLines", () => {
+    it("should report every line of a new file", () => {
+      expect(getChangedLines(null, "a\nb\nc\n")).toEqual([1, 2, 3]);
+    });
+
+    it("should report nothing for identical content", () => {
+      expect(getChangedLines("a\nb\n", "a\nb\n")).toEqual([]);
+    });
+
+    it("should report inserted lines at their new position", () => {
+      const oldContent = "a\nb\nc\nd\n";
+      const newContent = "a\nb\nx\ny\nc\nd\n";
+
+      expect(getChangedLines(oldContent, newContent)).toEqual([3, 4]);
+    });
+
+    it("should report modified lines but not removed ones", () => {
+      const oldContent = "a\nb\nc\nd\ne\n";
+      const newContent = "a\nB\nc\ne\n";
+
+      expect(getChangedLines(oldContent, newContent)).toEqual([2]);
+    });
+
+    it("should find changes spread through the file", () => {
+      const oldContent = "1\n2\n3\n4\n5\n6\n7\n8\n";
+      const newContent = "1\nnew\n2\n3\n4\n5\nchanged\n7\n8\nend\n";
+
+      expect(getChangedLines(oldContent, newContent)).toEqual([2, 7, 10]);
+    });
+
+    it("should ignore line ending differences", () => {
+      expect(getChangedLines("a\r\nb\r\n", "a\nb\nc\n")).toEqual([3]);
+    });
+  });
+
+  describe("toLineRanges", () => {
+    it("should collapse consecutive lines", () => {
+      expect(toLineRanges([3, 4, 5, 9])).toEqual([
+        { start: 3, end: 5 },
+        { start: 9, end: 9 },
+      ]);
+    });
+
+    it("should return no ranges for no lines", () => {
+      expect(toLineRanges([])).toEqual([]);
+    });
+  });
+});
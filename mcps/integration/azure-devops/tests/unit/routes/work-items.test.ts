@@ -9,6 +9,7 @@ import express, { Express } from "express";
 import request from "supertest";
 import { ADOService } from "../../../src/services/ado-service";
 import { createWorkItemsRouter } from "../../../src/routes/work-items";
+import { ServiceError } from "@qe-mcp-stack/shared";
 
 // Suppress logger output during tests
 process.env.LOG_LEVEL = "silent";
@@ -33,6 +34,7 @@ describe("Work Items Routes", () => {
       createTestSuite: jest.fn(),
       addTestCasesToSuite: jest.fn(),
       createTestCasesInPlan: jest.fn(),
+      getPullRequestDiff: jest.fn(),
       // eslint-disable-next-line @typescript-eslint/no-explicit-any
     } as any;
 
@@ -1133,4 +1135,71 @@ describe("Work Items Routes", () => {
       });
     });
   });
+
+  describe("GET /work-items/pull-requests/:pullRequestId/diff", () => {
+    it("should return the PR diff", async () => {
+      const diff = {
+        pullRequestId: 42,
+        repositoryId: "repo-id",
+        baseCommit: "base-sha",
+        targetCommit: "merge-sha",
+        files: [
+          {
+            path: "/src/Auth.cs",
+            changeType: "edit",
+            changedLines: [3, 4],
+            hunks: [{ start: 3, end: 4 }],
+          },
+        ],
+      };
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+      mockAdoService.getPullRequestDiff.mockResolvedValueOnce(diff as any);
+
+      const response = await request(app).get(
+        "/work-items/pull-requests/42/diff?repositoryId=repo-id",
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, data: diff });
+      expect(mockAdoService.getPullRequestDiff).toHaveBeenCalledWith(
+        42,
+        "repo-id",
+      );
+    });
+
+    it("should return 400 for a non-numeric pullRequestId", async () => {
+      const response = await request(app).get(
+        "/work-items/pull-requests/abc/diff",
+      );
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe("INVALID_REQUEST");
+    });
+
+    it("should handle service errors with 500 status", async () => {
+      mockAdoService.getPullRequestDiff.mockRejectedValueOnce(
+        new Error("Pull request not found"),
+      );
+
+      const response = await request(app).get(
+        "/work-items/pull-requests/42/diff",
+      );
+
+      expect(response.status).toBe(500);
+      expect(response.body.error.code).toBe("GET_PR_DIFF_FAILED");
+    });
+
+    it("should pass on the status of a pull request that cannot be read", async () => {
+      mockAdoService.getPullRequestDiff.mockRejectedValueOnce(
+        new ServiceError("Failed to get pull request: Not Found", 404),
+      );
+
+      const response = await request(app).get(
+        "/work-items/pull-requests/999/diff",
+      );
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe("GET_PR_DIFF_FAILED");
+    });
+  });
 });
@@ -26,7 +26,7 @@ class BrowserControlMCP extends BaseMCP {
       environment: process.env.NODE_ENV || "development",
     };
 
-    super(config);
+    super(config, { category: "integration" });
 
     // Initialize WebSocket bridge
     const wsPort = getEnvNumber("WS_PORT", 8765);
@@ -1,9 +1,11 @@
 import express from 'express';
+import { tracingMiddleware } from '../../../shared/tracing.js';
 
 const app = express();
 const PORT = process.env.PORT || 8102;
 
 app.use(express.json());
+app.use(tracingMiddleware('test-plan-manager'));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -1,4 +1,5 @@
 import express from 'express';
+import { tracingMiddleware } from '../../../shared/tracing.js';
 import { generateCompletion } from '../../../shared/aiClient.js';
 import fs from 'fs/promises';
 import path from 'path';
@@ -8,6 +9,7 @@ const PORT = process.env.PORT || 8401;
 const DATA_DIR = '/app/data';
 
 app.use(express.json());
+app.use(tracingMiddleware('playwright-analyzer'));
 
 // Ensure data directory exists
 try {
@@ -110,7 +112,8 @@ Return ONLY valid JSON, no markdown or explanations.`;
       model,
       messages: [{ role: 'user', content: analysisPrompt }],
       maxTokens: depth === 'deep' ? 8000 : 4000,
-      temperature: 0.3
+      temperature: 0.3,
+      app: appName
     });
 
     // Parse AI response
@@ -238,7 +241,8 @@ Return ONLY valid JSON.`;
       model,
       messages: [{ role: 'user', content: prioritizationPrompt }],
       maxTokens: 4000,
-      temperature: 0.2
+      temperature: 0.2,
+      app: appName
     });
 
     let prioritizationResult;
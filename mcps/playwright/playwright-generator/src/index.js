@@ -1,10 +1,12 @@
 import express from 'express';
+import { tracingMiddleware } from '../../../shared/tracing.js';
 import { generateCompletion } from '../../../shared/aiClient.js';
 
 const app = express();
 const PORT = process.env.PORT || 3005;
 
 app.use(express.json());
+app.use(tracingMiddleware('playwright-generator'));
 
 app.get('/health', (req, res) => {
   res.json({
@@ -65,7 +67,8 @@ Return ONLY the complete, compilable test code without markdown code blocks.`;
         const response = await generateCompletion({
           model,
           messages: [{ role: 'user', content: prompt }],
-          maxTokens: 3000
+          maxTokens: 3000,
+          app: appName
         });
 
         let testCode = response.text;
@@ -107,7 +110,8 @@ Return ONLY the code for BasePage.ts and relevant page objects.`;
         const response = await generateCompletion({
           model,
           messages: [{ role: 'user', content: prompt }],
-          maxTokens: 4000
+          maxTokens: 4000,
+          app: appName
         });
 
         let pageObjectCode = response.text;
@@ -153,7 +157,8 @@ Return TypeScript code for fixtures.ts`;
         const response = await generateCompletion({
           model,
           messages: [{ role: 'user', content: prompt }],
-          maxTokens: 2000
+          maxTokens: 2000,
+          app: appName
         });
 
         let fixtureCode = response.text;
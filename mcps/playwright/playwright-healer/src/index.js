@@ -1,4 +1,5 @@
 import express from 'express';
+import { tracingMiddleware } from '../../../shared/tracing.js';
 import { generateCompletion } from '../../../shared/aiClient.js';
 import fs from 'fs/promises';
 import path from 'path';
@@ -8,6 +9,7 @@ const PORT = process.env.PORT || 8402;
 const DATA_DIR = '/app/data';
 
 app.use(express.json({ limit: '10mb' })); // Increased limit for screenshots
+app.use(tracingMiddleware('playwright-healer'));
 
 // Ensure data directory exists
 try {
@@ -35,6 +37,7 @@ app.post('/analyze-failures', async (req, res) => {
       testFile,
       errorLog,
       screenshot,
+      app: appName,
       model
     } = req.body;
 
@@ -75,7 +78,8 @@ Return ONLY valid JSON.`;
       model,
       messages: [{ role: 'user', content: analysisPrompt }],
       maxTokens: 2000,
-      temperature: 0.2
+      temperature: 0.2,
+      app: appName
     });
 
     let failureAnalysis;
@@ -141,6 +145,7 @@ app.post('/heal', async (req, res) => {
       testFile,
       testCode,
       errorLog,
+      app: appName,
       model
     } = req.body;
 
@@ -200,7 +205,8 @@ Return ONLY valid JSON.`;
       model,
       messages: [{ role: 'user', content: healingPrompt }],
       maxTokens: 4000,
-      temperature: 0.2
+      temperature: 0.2,
+      app: appName
     });
 
     let healResult;
@@ -269,7 +275,7 @@ Return ONLY valid JSON.`;
  */
 app.post('/detect-flaky', async (req, res) => {
   try {
-    const { testResults, model } = req.body;
+    const { testResults, app: appName, model } = req.body;
 
     if (!testResults || !Array.isArray(testResults)) {
       return res.status(400).json({
@@ -339,7 +345,8 @@ Return ONLY valid JSON.`;
       model,
       messages: [{ role: 'user', content: detectionPrompt }],
       maxTokens: 4000,
-      temperature: 0.2
+      temperature: 0.2,
+      app: appName
     });
 
     let detectionResult;
@@ -0,0 +1,438 @@
+/**
+ * Config-file Integration Discovery
+ *
+ * Finds the hosts an app talks to in each environment from its configuration
+ * rather than its code:
+ *
+ *   appsettings.json, appsettings.<Env>.json      ASP.NET Core (nested keys become "Section:Key")
+ *   Web.config, Web.<Env>.config, App.config      appSettings, connectionStrings, WCF client endpoints
+ *   .env, .env.<env>                              KEY=value ("__" nests like ASP.NET)
+ *   appservice.<env>.json                         `az webapp config appsettings list` exports
+ *
+ * Files without an environment suffix are the base layer; each environment
+ * is the base overlaid with its own files, per project directory. Only
+ * settings holding a URL or a connection string host are reported, and
+ * never their credentials or query strings.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { matchConfigKey } from './patternCatalog.js';
+
+export const BASE_ENVIRONMENT = 'base';
+
+const SKIPPED_DIRS = ['bin', 'obj', 'node_modules', '.git', '.vs', 'packages', 'TestResults'];
+
+// Canonical names for common environment spellings in file names
+const ENVIRONMENT_ALIASES = {
+  development: 'dev',
+  production: 'prod',
+  release: 'prod'
+};
+
+// Host name tokens that mark a host as belonging to an environment
+const ENVIRONMENT_MARKERS = {
+  dev: ['dev', 'development'],
+  qa: ['qa', 'test'],
+  qa2: ['qa2'],
+  staging: ['staging', 'stage', 'stg', 'uat'],
+  preprod: ['preprod'],
+  prod: ['prod', 'production', 'prd']
+};
+
+const PRODUCTION = 'prod';
+
+// What classifyUrl answers when no catalog urlPattern matched
+const UNSPECIFIC_TYPES = ['external', 'internal'];
+
+const CONFIG_FILE_TYPES = [
+  { format: 'appsettings', pattern: /^appsettings(?:\.(.+))?\.json$/i },
+  { format: 'webconfig', pattern: /^(?:web|app)(?:\.(.+))?\.config$/i },
+  { format: 'dotenv', pattern: /^\.env(?:\.(.+))?$/i },
+  { format: 'appservice', pattern: /^app-?service(?:-settings)?\.(.+)\.json$/i }
+];
+
+const TEMPLATE_ENVIRONMENTS = ['example', 'sample', 'template', 'dist'];
+
+/**
+ * Canonical environment name for a file-name suffix
+ */
+export function normalizeEnvironment(name) {
+  if (!name) return BASE_ENVIRONMENT;
+  const lower = name.toLowerCase();
+  return ENVIRONMENT_ALIASES[lower] || lower;
+}
+
+/**
+ * Classify a file name as a config file
+ * @returns {{format: string, environment: string}|null}
+ */
+export function identifyConfigFile(fileName) {
+  for (const { format, pattern } of CONFIG_FILE_TYPES) {
+    const match = pattern.exec(fileName);
+    if (!match) continue;
+    if (TEMPLATE_ENVIRONMENTS.includes(match[1]?.toLowerCase())) return null;
+    return { format, environment: normalizeEnvironment(match[1]) };
+  }
+  return null;
+}
+
+/**
+ * Config files under an app directory
+ * @param {string} rootPath - App root
+ * @param {Array<string>} [excludePaths] - Directory names to skip, from apps.json
+ * @returns {Array<{fullPath: string, relativePath: string, project: string, format: string, environment: string}>}
+ */
+export function findConfigFiles(rootPath, excludePaths = []) {
+  const skipped = new Set([...SKIPPED_DIRS, ...excludePaths]);
+  const files = [];
+
+  const walk = (dir) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      console.warn(`[config-discovery] Cannot read ${dir}: ${error.message}`);
+      return;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!skipped.has(entry.name)) walk(fullPath);
+        continue;
+      }
+
+      const identified = identifyConfigFile(entry.name);
+      if (identified) {
+        const relativePath = path.relative(rootPath, fullPath);
+        files.push({
+          fullPath,
+          relativePath,
+          project: path.dirname(relativePath),
+          ...identified
+        });
+      }
+    }
+  };
+
+  walk(rootPath);
+  return files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+}
+
+/**
+ * Remove // and block comments and trailing commas, which appsettings files allow
+ */
+function stripJsonComments(text) {
+  let result = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      result += char;
+      if (char === '\\') {
+        result += text[++i] ?? '';
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      result += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      i = text.indexOf('*/', i + 2);
+      if (i === -1) break;
+      i++;
+    } else {
+      result += char;
+    }
+  }
+
+  return result.replace(/,(\s*[}\]])/g, '$1');
+}
+
+function flattenJson(value, prefix, settings) {
+  if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      flattenJson(child, prefix ? `${prefix}:${key}` : key, settings);
+    }
+  } else if (prefix && value !== null && value !== undefined) {
+    settings.set(prefix, String(value));
+  }
+  return settings;
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function parseXmlAttributes(text) {
+  const attributes = {};
+  for (const match of text.matchAll(/([\w:.-]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[match[1]] = decodeXml(match[2]);
+  }
+  return attributes;
+}
+
+/**
+ * Settings of a web.config or transform. A transform's xdt:Transform="Remove"
+ * maps the key to null so the layer removes it.
+ */
+function parseWebConfig(text) {
+  const settings = new Map();
+
+  for (const match of text.matchAll(/<(add|endpoint)\s+([^>]*?)\/?>/gi)) {
+    const attributes = parseXmlAttributes(match[2]);
+    const removed = /^Remove/i.test(attributes['xdt:Transform'] || '');
+
+    if (match[1].toLowerCase() === 'endpoint') {
+      const name = attributes.name || attributes.contract;
+      if (name && attributes.address !== undefined) {
+        settings.set(`endpoint:${name}`, removed ? null : attributes.address);
+      }
+    } else if (attributes.key !== undefined) {
+      settings.set(attributes.key, removed ? null : attributes.value ?? '');
+    } else if (attributes.name !== undefined && (attributes.connectionString !== undefined || removed)) {
+      settings.set(`ConnectionStrings:${attributes.name}`, removed ? null : attributes.connectionString);
+    }
+  }
+
+  return settings;
+}
+
+function parseDotEnv(text) {
+  const settings = new Map();
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^\s*(?:export\s+)?([\w.:-]+)\s*=\s*(.*)$/.exec(line);
+    if (!match || line.trim().startsWith('#')) continue;
+
+    let value = match[2].trim();
+    const quote = value[0];
+    if ((quote === '"' || quote === "'") && value.endsWith(quote) && value.length > 1) {
+      value = value.slice(1, -1);
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    settings.set(match[1].replace(/__/g, ':'), value);
+  }
+
+  return settings;
+}
+
+function parseAppServiceExport(entries) {
+  const settings = new Map();
+  for (const { name, value } of entries) {
+    if (name) settings.set(name.replace(/__/g, ':'), value ?? '');
+  }
+  return settings;
+}
+
+/**
+ * Settings in a config file as "Section:Key" -> value
+ * @param {string} text - File content
+ * @param {string} format - appsettings | webconfig | dotenv | appservice
+ * @returns {Map<string, string|null>}
+ */
+export function parseConfigFile(text, format) {
+  if (format === 'webconfig') return parseWebConfig(text);
+  if (format === 'dotenv') return parseDotEnv(text);
+
+  const json = JSON.parse(stripJsonComments(text.replace(/^﻿/, '')));
+  // App Service exports are [{ name, value, slotSetting }] whatever the file is called
+  return Array.isArray(json) ? parseAppServiceExport(json) : flattenJson(json, '', new Map());
+}
+
+/**
+ * Host a setting value points at, without credentials or query string
+ * @param {string} value
+ * @returns {{host: string, target: string, kind: 'url'|'connectionString', database?: string}|null}
+ */
+export function extractHost(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+
+  const parseUrl = (text) => {
+    try {
+      const url = new URL(text);
+      if (!url.hostname) return null;
+      return { host: url.hostname.toLowerCase(), target: `${url.protocol}//${url.host}${url.pathname}` };
+    } catch {
+      return null;
+    }
+  };
+
+  if (/^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(trimmed)) {
+    const url = parseUrl(trimmed);
+    return url ? { ...url, kind: 'url' } : null;
+  }
+
+  const server = /(?:^|;)\s*(?:Server|Data Source|Host|Address|Endpoint|AccountEndpoint)\s*=\s*([^;]+)/i.exec(trimmed);
+  if (!server) return null;
+
+  const raw = server[1].trim();
+  const database = /(?:^|;)\s*(?:Database|Initial Catalog)\s*=\s*([^;]+)/i.exec(trimmed)?.[1].trim();
+  const url = /:\/\//.test(raw) ? parseUrl(raw) : null;
+  const host = url?.host || raw.replace(/^tcp:/i, '').split(/[,\\]/)[0].replace(/:\d+$/, '').toLowerCase();
+  if (!host) return null;
+
+  return {
+    host,
+    target: url?.target || host,
+    kind: 'connectionString',
+    ...(database && { database })
+  };
+}
+
+/**
+ * Integration type of a host-bearing setting
+ *
+ * A URL the catalogs recognise wins (a Service Bus connection string is a
+ * queue whatever its key), then the key's catalog configKeys, then generic
+ * fallbacks.
+ */
+function classifySetting(key, located, patterns, classifyUrl) {
+  const urlType = classifyUrl(located.kind === 'url' ? located.target : `https://${located.host}`, patterns);
+  if (!UNSPECIFIC_TYPES.includes(urlType)) return urlType;
+
+  const keyType = matchConfigKey(key, patterns);
+  if (keyType) return keyType;
+
+  if (urlType === 'internal') return 'internal';
+  return located.kind === 'connectionString' ? 'database' : 'external';
+}
+
+/**
+ * Environments a host name marks, e.g. "payments-qa.example.com" -> ["qa"]
+ */
+export function hostEnvironments(host) {
+  const tokens = host.toLowerCase().split(/[.\-_]/);
+  return Object.entries(ENVIRONMENT_MARKERS)
+    .filter(([, markers]) => markers.some(marker => tokens.includes(marker)))
+    .map(([environment]) => environment);
+}
+
+/**
+ * Mismatches between an integration's environments and the hosts they use
+ *
+ * - A non-production environment sharing the production host, when the base
+ *   layer or another environment proves a separate host exists
+ * - A host whose name marks a different environment, e.g. QA pointing at
+ *   "payments-prod.example.com"
+ *
+ * @param {Object} integration - { project, key, type, environments: { env: { host } } }
+ * @returns {Array} Mismatches
+ */
+export function findMismatches(integration) {
+  const mismatches = [];
+  const { project, key, type, environments } = integration;
+  const production = environments[PRODUCTION];
+  const separateHostExists = Object.entries(environments)
+    .some(([env, { host }]) => env !== PRODUCTION && host !== production?.host);
+
+  for (const [environment, { host }] of Object.entries(environments)) {
+    if (environment === BASE_ENVIRONMENT) continue;
+    const report = (reason, severity) => mismatches.push({ project, key, type, environment, host, reason, severity });
+
+    if (production && environment !== PRODUCTION && host === production.host && separateHostExists) {
+      report(`${environment} uses the production host`, 'high');
+      continue;
+    }
+
+    const marked = hostEnvironments(host);
+    if (ENVIRONMENT_MARKERS[environment] && marked.length > 0 && !marked.includes(environment)) {
+      const severity = environment === PRODUCTION || marked.includes(PRODUCTION) ? 'high' : 'medium';
+      report(`${environment} points at a ${marked.join('/')} host`, severity);
+    }
+  }
+
+  return mismatches;
+}
+
+/**
+ * Resolve the host of every integration setting in every environment
+ *
+ * @param {string} rootPath - App root
+ * @param {Object} options
+ * @param {Object} options.patterns - Pattern catalogs keyed by type
+ * @param {Function} options.classifyUrl - (url, patterns) => type
+ * @param {Array<string>} [options.excludePaths]
+ * @param {string} [options.environment] - Only report this environment
+ * @returns {{environments: Array<string>, integrations: Array, mismatches: Array, files: Array, errors: Array}}
+ */
+export function discoverConfigIntegrations(rootPath, { patterns, classifyUrl, excludePaths = [], environment } = {}) {
+  const files = findConfigFiles(rootPath, excludePaths);
+  const errors = [];
+  const layersByProject = new Map();
+
+  for (const file of files) {
+    try {
+      file.settings = parseConfigFile(fs.readFileSync(file.fullPath, 'utf-8'), file.format);
+    } catch (error) {
+      console.warn(`[config-discovery] Skipping ${file.relativePath}: ${error.message}`);
+      errors.push({ file: file.relativePath, error: error.message });
+      continue;
+    }
+    if (!layersByProject.has(file.project)) layersByProject.set(file.project, []);
+    layersByProject.get(file.project).push(file);
+  }
+
+  const allEnvironments = [...new Set(files.map(f => f.environment).filter(env => env !== BASE_ENVIRONMENT))].sort();
+  const reported = environment ? [normalizeEnvironment(environment)] : allEnvironments;
+  const integrations = [];
+
+  for (const [project, layers] of layersByProject) {
+    const base = layers.filter(layer => layer.environment === BASE_ENVIRONMENT);
+    const byKey = new Map();
+
+    // The base layer is what applies wherever an environment doesn't override it
+    for (const env of [BASE_ENVIRONMENT, ...reported]) {
+      const resolved = new Map();
+      const envLayers = env === BASE_ENVIRONMENT ? base : [...base, ...layers.filter(layer => layer.environment === env)];
+      for (const layer of envLayers) {
+        for (const [key, value] of layer.settings) {
+          if (value === null) resolved.delete(key);
+          else resolved.set(key, { value, file: layer.relativePath });
+        }
+      }
+
+      for (const [key, { value, file }] of resolved) {
+        const located = extractHost(value);
+        if (!located) continue;
+
+        if (!byKey.has(key)) {
+          byKey.set(key, { project, key, type: classifySetting(key, located, patterns, classifyUrl), environments: {} });
+        }
+        const { kind, host, target, database } = located;
+        byKey.get(key).environments[env] = { host, target, kind, file, ...(database && { database }) };
+      }
+    }
+
+    integrations.push(...byKey.values());
+  }
+
+  for (const integration of integrations) {
+    integration.riskWeight = patterns[integration.type]?.riskWeight ?? null;
+  }
+
+  return {
+    environments: reported.length > 0 ? reported : [BASE_ENVIRONMENT],
+    integrations,
+    mismatches: integrations.flatMap(findMismatches),
+    files: files.map(({ relativePath, format, environment: env, settings }) => ({
+      file: relativePath,
+      format,
+      environment: env,
+      settings: settings?.size ?? 0
+    })),
+    errors
+  };
+}
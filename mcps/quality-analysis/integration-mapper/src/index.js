@@ -1,11 +1,21 @@
 import express from "express";
+import { readFile } from "fs/promises";
+import { tracingMiddleware } from "../../../shared/tracing.js";
 import { DotNetAnalyzer } from "../../../shared/dotnet-analyzer.js";
+import { resolveChangedFiles } from "../../../shared/changedFiles.js";
 import { IntegrationDetector } from "./integrationDetector.js";
+import { describeCatalog } from "./patternCatalog.js";
+import {
+  buildIntegrationGraph,
+  exportGraph,
+  GRAPH_FORMATS,
+} from "./integrationGraph.js";
 
 const app = express();
 const PORT = process.env.PORT || 3008;
 
 app.use(express.json());
+app.use(tracingMiddleware("integration-mapper"));
 
 const analyzer = new DotNetAnalyzer();
 const detector = new IntegrationDetector();
@@ -21,7 +31,12 @@ app.get("/health", (req, res) => {
 
 app.post("/map-integrations", async (req, res) => {
   try {
-    const { app: appName, integrationType, includeDiagram } = req.body;
+    const {
+      app: appName,
+      integrationType,
+      includeDiagram,
+      files: changedFiles,
+    } = req.body;
 
     if (!appName) {
       return res.status(400).json({
@@ -30,6 +45,13 @@ app.post("/map-integrations", async (req, res) => {
       });
     }
 
+    if (changedFiles !== undefined && !Array.isArray(changedFiles)) {
+      return res.status(400).json({
+        success: false,
+        error: "files must be an array of file paths",
+      });
+    }
+
     console.log(`[integration-mapper] Mapping integrations for ${appName}...`);
     console.log(
       `[integration-mapper] Integration type filter: ${integrationType || "all"}`,
@@ -42,28 +64,42 @@ app.post("/map-integrations", async (req, res) => {
     const appConfig = await analyzer.loadAppConfig(appName);
     console.log(`[integration-mapper] App path: ${appConfig.path}`);
 
-    // Scan and parse C# files
-    const files = await analyzer.scanCSharpFiles(appConfig.path, false);
+    // Scan and parse C# files - only the given ones when the file watcher
+    // asks for an incremental run
+    const incremental = Array.isArray(changedFiles);
+    let files;
+    let removedFiles = [];
+    if (incremental) {
+      const selection = resolveChangedFiles(appConfig.path, changedFiles, [
+        ".cs",
+      ]);
+      files = selection.files.map((fullPath) => ({ fullPath }));
+      removedFiles = selection.removedFiles;
+    } else {
+      files = await analyzer.scanCSharpFiles(appConfig.path, false);
+    }
     console.log(
-      `[integration-mapper] Found ${files.length} C# files to analyze`,
+      `[integration-mapper] Found ${files.length} C# files to analyze${incremental ? " (incremental)" : ""}`,
     );
 
-    const parsedFiles = [];
-    for (const file of files) {
-      const parsed = await analyzer.parseFile(file.fullPath);
-      if (parsed) {
-        parsedFiles.push(parsed);
-      }
-    }
+    const parsedFiles = await parseFiles(files);
 
     console.log(
       `[integration-mapper] Successfully parsed ${parsedFiles.length} files`,
     );
 
+    // Config files are only read on full runs; the file watcher sends C# files
+    const environmentMap = incremental
+      ? null
+      : detector.discoverEnvironments(appConfig);
+
     // Discover integrations using IntegrationDetector
     const discoveryResult = await detector.discoverIntegrations(
       appConfig,
       parsedFiles,
+      environmentMap
+        ? detector.configIntegrationPoints(environmentMap, appConfig.path)
+        : [],
     );
 
     // Filter by integration type if specified
@@ -100,6 +136,20 @@ app.post("/map-integrations", async (req, res) => {
       },
     };
 
+    if (environmentMap) {
+      response.result.environments = {
+        environments: environmentMap.environments,
+        mismatches: environmentMap.mismatches,
+        files: environmentMap.files,
+      };
+    }
+
+    if (incremental) {
+      response.result.incremental = true;
+      response.result.files = files.map((file) => file.fullPath);
+      response.result.removedFiles = removedFiles;
+    }
+
     // Recalculate summary for filtered results
     for (const [type, items] of Object.entries(filteredByType)) {
       response.result.summary.byType[type] = items.length;
@@ -134,9 +184,237 @@ app.post("/map-integrations", async (req, res) => {
   }
 });
 
+/**
+ * POST /map-environments
+ * Which host each configured integration points at in each environment, from
+ * appsettings*.json, web.config transforms, .env files and App Service exports
+ * Body: { app, environment? }
+ */
+app.post("/map-environments", async (req, res) => {
+  try {
+    const { app: appName, environment } = req.body;
+
+    if (!appName) {
+      return res.status(400).json({
+        success: false,
+        error: "app parameter required",
+      });
+    }
+
+    const appConfig = await analyzer.loadAppConfig(appName);
+    const result = detector.discoverEnvironments(appConfig, { environment });
+
+    console.log(
+      `[integration-mapper] ${appName}: ${result.integrations.length} configured integrations across ${result.environments.length} environments, ${result.mismatches.length} mismatches`,
+    );
+
+    res.json({
+      success: true,
+      app: appName,
+      timestamp: new Date().toISOString(),
+      result,
+    });
+  } catch (error) {
+    console.error(`[integration-mapper] Error mapping environments:`, error);
+    res.status(appNotFound(error) ? 404 : 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /integration-graph
+ * Nodes and edges for how the configured apps call each other and external
+ * systems, as JSON or exported as Mermaid, Graphviz DOT or PlantUML
+ * Body: { apps?, environment?, format?, integrations? } - integrations maps an
+ * app name to its /map-integrations result.integrations; those apps are not
+ * scanned again
+ */
+app.post("/integration-graph", async (req, res) => {
+  try {
+    const {
+      apps: appNames,
+      environment,
+      format = "json",
+      integrations: knownIntegrations = {},
+    } = req.body;
+
+    if (appNames !== undefined && !Array.isArray(appNames)) {
+      return res.status(400).json({
+        success: false,
+        error: "apps must be an array of app names",
+      });
+    }
+
+    if (!GRAPH_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of ${GRAPH_FORMATS.join(", ")}`,
+      });
+    }
+
+    if (
+      typeof knownIntegrations !== "object" ||
+      knownIntegrations === null ||
+      Object.values(knownIntegrations).some((points) => !Array.isArray(points))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "integrations must map app names to arrays of integrations",
+      });
+    }
+
+    const appConfigs = appNames
+      ? await Promise.all(appNames.map((name) => analyzer.loadAppConfig(name)))
+      : await loadAllAppConfigs();
+
+    const apps = [];
+    let scanned = 0;
+    for (const appConfig of appConfigs) {
+      let integrations = knownIntegrations[appConfig.name];
+      if (!integrations) {
+        const files = await analyzer.scanCSharpFiles(appConfig.path, false);
+        const discovery = await detector.discoverIntegrations(
+          appConfig,
+          await parseFiles(files),
+        );
+        integrations = discovery.integrations;
+        scanned++;
+      }
+      apps.push({
+        config: appConfig,
+        integrations,
+        environmentMap: detector.discoverEnvironments(appConfig, {
+          environment,
+        }),
+      });
+    }
+
+    const graph = buildIntegrationGraph(apps);
+
+    console.log(
+      `[integration-mapper] Integration graph: ${graph.summary.apps} apps (${scanned} scanned), ${graph.summary.external} external systems, ${graph.summary.edges} edges (${graph.summary.crossApp} between apps)`,
+    );
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...(format === "json"
+        ? { graph }
+        : { format, diagram: exportGraph(graph, format) }),
+    });
+  } catch (error) {
+    console.error(
+      `[integration-mapper] Error building integration graph:`,
+      error,
+    );
+    res.status(appNotFound(error) ? 404 : 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Parse C# files, skipping the ones the analyzer can't read
+ */
+async function parseFiles(files) {
+  const parsedFiles = [];
+  for (const file of files) {
+    const parsed = await analyzer.parseFile(file.fullPath);
+    if (parsed) {
+      parsedFiles.push(parsed);
+    }
+  }
+  return parsedFiles;
+}
+
+/**
+ * Every app entry in apps.json
+ */
+async function loadAllAppConfigs() {
+  const configPath = process.env.CONFIG_PATH || "/app/config/apps.json";
+  const config = JSON.parse(await readFile(configPath, "utf-8"));
+  return config.applications;
+}
+
+/**
+ * Load an app's entry for the pattern endpoints; null when none was asked for
+ */
+async function loadOptionalAppConfig(appName) {
+  return appName ? analyzer.loadAppConfig(appName) : null;
+}
+
+function appNotFound(error) {
+  return /not found in configuration/.test(error.message);
+}
+
+/**
+ * GET /patterns?app=Payments
+ * The loaded integration pattern catalogs, plus the app's own when given
+ */
+app.get("/patterns", async (req, res) => {
+  try {
+    const appConfig = await loadOptionalAppConfig(req.query.app);
+    const { patterns, errors } = detector.patternsFor(appConfig);
+
+    res.json({
+      success: true,
+      app: req.query.app || null,
+      catalogs: Object.values(patterns).map(describeCatalog),
+      errors: [...detector.loadErrors, ...errors],
+    });
+  } catch (error) {
+    console.error(`[integration-mapper] Error listing patterns:`, error);
+    res.status(appNotFound(error) ? 404 : 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /patterns/test
+ * Run integration detection on a sample snippet
+ * Body: { snippet, app? }
+ */
+app.post("/patterns/test", async (req, res) => {
+  try {
+    const { snippet, app: appName } = req.body;
+
+    if (typeof snippet !== "string" || !snippet.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "snippet parameter required",
+      });
+    }
+
+    const appConfig = await loadOptionalAppConfig(appName);
+    const integrations = detector.testSnippet(snippet, appConfig);
+
+    res.json({
+      success: true,
+      app: appName || null,
+      integrations,
+      types: [...new Set(integrations.map((i) => i.type))],
+    });
+  } catch (error) {
+    console.error(`[integration-mapper] Error testing patterns:`, error);
+    res.status(appNotFound(error) ? 404 : 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`integration-mapper MCP running on port ${PORT}`);
   console.log("Endpoints:");
   console.log("  POST /map-integrations");
+  console.log("  POST /map-environments");
+  console.log("  POST /integration-graph");
+  console.log("  GET  /patterns");
+  console.log("  POST /patterns/test");
   console.log("  GET  /health");
 });
@@ -1,94 +1,64 @@
 import fs from 'fs';
 import path from 'path';
+import { discoverConfigIntegrations } from './configDiscovery.js';
+import { loadPatternCatalogs, matchConfigKey, withAppCatalogs } from './patternCatalog.js';
+
+// Configuration reads whose key names an integration, e.g.
+// Configuration["Payeezy:ApiSecret"] or GetConnectionString("ServiceBus")
+const CONFIG_READ_PATTERNS = [
+  /configuration\s*\[\s*"([^"]+)"\s*\]/gi,
+  /AppSettings\s*\[\s*"([^"]+)"\s*\]/g,
+  /\.GetSection\s*\(\s*"([^"]+)"/g,
+  /\.GetValue\s*<[^>]+>\s*\(\s*"([^"]+)"/g,
+  /\.GetConnectionString\s*\(\s*"([^"]+)"/g
+];
 
 export class IntegrationDetector {
-  constructor() {
-    // Define patterns for different integration types
-    this.integrationPatterns = {
-      epic: {
-        patterns: [
-          /Epic\.Fhir/i,
-          /HL7\.Fhir/i,
-          /\/api\/FHIR\//i,
-          /FhirClient/i,
-          /EpicClient/i,
-          /FHIRClient/i
-        ],
-        urlPatterns: [
-          /https?:\/\/[^\/\s'"]*epic[^\/\s'"]*\/api\/FHIR/i,
-          /https?:\/\/[^\/\s'"]*\/api\/FHIR/i
-        ],
-        keywords: ['epic', 'fhir', 'hl7', 'healthcare']
-      },
-      financial: {
-        patterns: [
-          /Stripe/i,
-          /PayPal/i,
-          /Plaid/i,
-          /stripe\.com\/v[0-9]/i,
-          /paypal\.com\/v[0-9]/i,
-          /StripeClient/i,
-          /PayPalClient/i
-        ],
-        urlPatterns: [
-          /https?:\/\/api\.stripe\.com/i,
-          /https?:\/\/api[^\/\s'"]*\.paypal\.com/i,
-          /https?:\/\/[^\/\s'"]*\.plaid\.com/i
-        ],
-        keywords: ['stripe', 'paypal', 'plaid', 'payment', 'billing']
-      },
-      messaging: {
-        patterns: [
-          /Twilio/i,
-          /SendGrid/i,
-          /MailChimp/i,
-          /TwilioClient/i,
-          /SendGridClient/i,
-          /MailChimpClient/i
-        ],
-        urlPatterns: [
-          /https?:\/\/api\.twilio\.com/i,
-          /https?:\/\/api\.sendgrid\.com/i,
-          /https?:\/\/[^\/\s'"]*\.mailchimp\.com/i
-        ],
-        keywords: ['twilio', 'sendgrid', 'mailchimp', 'sms', 'email']
-      },
-      database: {
-        patterns: [
-          /SqlConnection/i,
-          /MongoClient/i,
-          /DbContext/i,
-          /IRepository/i,
-          /DatabaseContext/i,
-          /ConnectionString/i
-        ],
-        keywords: ['database', 'sql', 'mongo', 'repository', 'dbcontext']
-      },
-      external: {
-        patterns: [
-          /HttpClient/i,
-          /RestClient/i,
-          /WebClient/i,
-          /HttpRequestMessage/i
-        ],
-        keywords: ['api', 'http', 'rest', 'external']
-      }
-    };
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.dirs] - Pattern catalog directories (see patternCatalog.js)
+   */
+  constructor(options = {}) {
+    // Integration types and their patterns, loaded from the catalog files
+    const { catalogs, errors } = loadPatternCatalogs(options);
+    this.integrationPatterns = Object.fromEntries(catalogs);
+    this.loadErrors = errors;
+  }
+
+  /**
+   * Patterns for an app: the loaded catalogs plus the app's own
+   * @returns {{patterns: Object, errors: Array}} patterns keyed by integration type
+   */
+  patternsFor(appConfig) {
+    if (!appConfig?.integrationPatterns?.length) {
+      return { patterns: this.integrationPatterns, errors: [] };
+    }
+
+    const { catalogs, errors } = withAppCatalogs(
+      new Map(Object.entries(this.integrationPatterns)),
+      appConfig
+    );
+    return { patterns: Object.fromEntries(catalogs), errors };
   }
 
   /**
    * Main entry point - discovers all integrations in an app
+   * @param {Object} appConfig - App entry
+   * @param {Array} parsedFiles - Parsed C# files
+   * @param {Array} [configIntegrations] - Integrations found in config files (configIntegrationPoints)
    */
-  async discoverIntegrations(appConfig, parsedFiles) {
+  async discoverIntegrations(appConfig, parsedFiles, configIntegrations = []) {
     console.log(`[IntegrationDetector] Analyzing ${parsedFiles.length} files for integrations...`);
 
+    const { patterns } = this.patternsFor(appConfig);
     const integrations = [];
 
     // Scan each parsed file for integration patterns
     for (const parsedFile of parsedFiles) {
-      const fileIntegrations = await this.detectInFile(parsedFile, appConfig);
+      const fileIntegrations = await this.detectInFile(parsedFile, appConfig, patterns);
       integrations.push(...fileIntegrations);
     }
+    integrations.push(...configIntegrations);
 
     console.log(`[IntegrationDetector] Found ${integrations.length} integration points`);
 
@@ -113,45 +83,114 @@ export class IntegrationDetector {
   }
 
   /**
-   * Detect integrations in a single parsed file
+   * Hosts each integration points at per environment, from the app's config files
+   * @param {Object} appConfig - App entry (path, excludePaths, integrationPatterns)
+   * @param {Object} [options]
+   * @param {string} [options.environment] - Only resolve this environment
+   * @returns {Object} { environments, integrations, mismatches, files, errors }
    */
-  async detectInFile(parsedFile, appConfig) {
-    const integrations = [];
+  discoverEnvironments(appConfig, options = {}) {
+    const { patterns } = this.patternsFor(appConfig);
+    return discoverConfigIntegrations(appConfig.path, {
+      patterns,
+      classifyUrl: (url, catalogs) => this.classifyUrl(url, catalogs),
+      excludePaths: appConfig.excludePaths,
+      environment: options.environment
+    });
+  }
 
+  /**
+   * Config-file integrations as integration points, one per setting
+   * @param {Object} environmentMap - Result of discoverEnvironments
+   * @param {string} appPath - Config file paths are relative to it
+   * @returns {Array} Integrations
+   */
+  configIntegrationPoints(environmentMap, appPath) {
+    return environmentMap.integrations.map(({ project, key, type, environments, riskWeight }) => {
+      const [first] = Object.values(environments);
+      const hosts = Object.fromEntries(Object.entries(environments).map(([env, { host }]) => [env, host]));
+
+      return {
+        file: path.join(appPath, first.file),
+        type,
+        configKey: key,
+        method: 'Config file',
+        details: {
+          project,
+          hosts,
+          detectedBy: 'Configuration file'
+        },
+        description: `${type} integration configured via ${key} in ${first.file}`,
+        riskWeight
+      };
+    });
+  }
+
+  /**
+   * Detect integrations in a single parsed file
+   */
+  async detectInFile(parsedFile, appConfig, patterns = this.patternsFor(appConfig).patterns) {
     try {
       // Read the actual file content for pattern matching
       const content = fs.readFileSync(parsedFile.file, 'utf8');
-      const lines = content.split('\n');
+      return this.detectInContent(content, parsedFile.file, parsedFile.classes || [], patterns);
+    } catch (error) {
+      console.error(`[IntegrationDetector] Error analyzing file ${parsedFile.file}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Detect integrations in source text
+   * @param {string} content - C# source
+   * @param {string} filePath - Reported as each integration's file
+   * @param {Array} classes - Parsed classes ({ name, methods }) for class-name detection
+   * @param {Object} patterns - Catalogs keyed by integration type
+   * @returns {Array} Integrations, each with its type's riskWeight
+   */
+  detectInContent(content, filePath, classes = [], patterns = this.integrationPatterns) {
+    const lines = content.split('\n');
+    const integrations = [];
 
-      // 1. Detect HttpClient and REST API calls
-      const httpIntegrations = this.detectHttpClientUsage(content, parsedFile.file, lines);
-      integrations.push(...httpIntegrations);
+    // 1. Detect HttpClient and REST API calls
+    integrations.push(...this.detectHttpClientUsage(content, filePath, lines, patterns));
 
-      // 2. Detect specific integration library usage
-      const libraryIntegrations = this.detectLibraryUsage(content, parsedFile.file, lines);
-      integrations.push(...libraryIntegrations);
+    // 2. Detect specific integration library usage
+    integrations.push(...this.detectLibraryUsage(content, filePath, lines, patterns));
 
-      // 3. Detect database connections
-      const dbIntegrations = this.detectDatabaseConnections(content, parsedFile.file, lines);
-      integrations.push(...dbIntegrations);
+    // 3. Detect database connections
+    integrations.push(...this.detectDatabaseConnections(content, filePath, lines, patterns));
 
-      // 4. Scan class-level patterns from parsed structure
-      for (const cls of parsedFile.classes || []) {
-        const classIntegrations = this.detectInClass(cls, parsedFile.file, content);
-        integrations.push(...classIntegrations);
-      }
+    // 4. Detect configuration keys that belong to an integration
+    integrations.push(...this.detectConfigKeyUsage(content, filePath, patterns));
 
-    } catch (error) {
-      console.error(`[IntegrationDetector] Error analyzing file ${parsedFile.file}:`, error.message);
+    // 5. Scan class-level patterns from parsed structure
+    for (const cls of classes) {
+      integrations.push(...this.detectInClass(cls, filePath, content, patterns));
     }
 
-    return integrations;
+    return integrations.map(integration => ({
+      ...integration,
+      riskWeight: patterns[integration.type]?.riskWeight ?? null
+    }));
+  }
+
+  /**
+   * Run detection on a sample snippet, e.g. to try out a new catalog
+   * @param {string} snippet - C# source
+   * @param {Object} [appConfig] - Adds the app's own catalogs
+   * @returns {Array} Integrations found in the snippet
+   */
+  testSnippet(snippet, appConfig = null) {
+    const { patterns } = this.patternsFor(appConfig);
+    const classes = [...snippet.matchAll(/class\s+(\w+)/g)].map(match => ({ name: match[1] }));
+    return this.detectInContent(snippet, 'snippet', classes, patterns);
   }
 
   /**
    * Detect HttpClient usage and extract URLs
    */
-  detectHttpClientUsage(content, filePath, lines) {
+  detectHttpClientUsage(content, filePath, lines, patterns = this.integrationPatterns) {
     const integrations = [];
 
     // Pattern to detect HttpClient instantiation or usage
@@ -183,7 +222,7 @@ export class IntegrationDetector {
         if (url && url.startsWith('http') && !foundUrls.has(url)) {
           foundUrls.add(url);
 
-          const type = this.classifyUrl(url);
+          const type = this.classifyUrl(url, patterns);
           const lineNumber = this.getLineNumber(content, match.index);
 
           integrations.push({
@@ -208,10 +247,10 @@ export class IntegrationDetector {
   /**
    * Detect specific integration library usage (Epic, Stripe, etc.)
    */
-  detectLibraryUsage(content, filePath, lines) {
+  detectLibraryUsage(content, filePath, lines, patterns = this.integrationPatterns) {
     const integrations = [];
 
-    for (const [type, config] of Object.entries(this.integrationPatterns)) {
+    for (const [type, config] of Object.entries(patterns)) {
       if (type === 'external') continue; // Skip generic external pattern
 
       for (const pattern of config.patterns) {
@@ -254,12 +293,12 @@ export class IntegrationDetector {
   /**
    * Detect database connections
    */
-  detectDatabaseConnections(content, filePath, lines) {
+  detectDatabaseConnections(content, filePath, lines, patterns = this.integrationPatterns) {
     const integrations = [];
 
-    const dbConfig = this.integrationPatterns.database;
+    const dbConfig = patterns.database;
 
-    for (const pattern of dbConfig.patterns) {
+    for (const pattern of dbConfig?.patterns || []) {
       if (pattern.test(content)) {
         const lineNumber = this.findFirstMatch(content, pattern);
 
@@ -289,16 +328,48 @@ export class IntegrationDetector {
     return integrations;
   }
 
+  /**
+   * Detect configuration keys owned by an integration (catalog configKeys)
+   */
+  detectConfigKeyUsage(content, filePath, patterns = this.integrationPatterns) {
+    const integrations = [];
+    const foundKeys = new Set();
+
+    for (const readPattern of CONFIG_READ_PATTERNS) {
+      for (const match of content.matchAll(readPattern)) {
+        const configKey = match[1];
+        const type = matchConfigKey(configKey, patterns);
+        if (!type || foundKeys.has(configKey)) continue;
+        foundKeys.add(configKey);
+
+        integrations.push({
+          file: filePath,
+          type,
+          configKey,
+          lineNumber: this.getLineNumber(content, match.index),
+          method: 'Configuration',
+          details: {
+            configKey,
+            detectedBy: 'Configuration key'
+          },
+          description: `${type} integration configured via ${configKey}`
+        });
+      }
+    }
+
+    return integrations;
+  }
+
   /**
    * Detect integrations at class level
    */
-  detectInClass(cls, filePath, content) {
+  detectInClass(cls, filePath, content, patterns = this.integrationPatterns) {
     const integrations = [];
 
     // Check if class name suggests an integration
     const className = cls.name || '';
 
-    for (const [type, config] of Object.entries(this.integrationPatterns)) {
+    for (const [type, config] of Object.entries(patterns)) {
       for (const keyword of config.keywords || []) {
         if (className.toLowerCase().includes(keyword)) {
           integrations.push({
@@ -324,8 +395,8 @@ export class IntegrationDetector {
   /**
    * Classify a URL by its domain/pattern
    */
-  classifyUrl(url) {
-    for (const [type, config] of Object.entries(this.integrationPatterns)) {
+  classifyUrl(url, patterns = this.integrationPatterns) {
+    for (const [type, config] of Object.entries(patterns)) {
       if (config.urlPatterns) {
         for (const pattern of config.urlPatterns) {
           if (pattern.test(url)) {
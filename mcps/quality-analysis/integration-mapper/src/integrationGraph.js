@@ -0,0 +1,440 @@
+/**
+ * Cross-app Integration Graph
+ *
+ * One graph for all configured apps: a node per app and per external system,
+ * and an edge per place an app talks to one of them. Edges come from code
+ * detections (HttpClient URLs, libraries, database access, configuration
+ * reads) and from config files, one edge per environment.
+ *
+ * An edge targets another of our apps when its host is one of that app's
+ * `hosts` in config/apps.json, when its integration type is named after the
+ * app (e.g. the "servicelayer" catalog for Core), or - for settings without a
+ * host - when its config key names the app (e.g. "PaymentsApi:BaseUrl").
+ * Other names, such as a database name, never pick an app.
+ * Apps are named by `name`, `infrastructureKey` and `aliases`.
+ *
+ * The graph exports as Mermaid, Graphviz DOT and PlantUML.
+ */
+
+import path from 'path';
+import { BASE_ENVIRONMENT } from './configDiscovery.js';
+
+export const GRAPH_FORMATS = ['json', 'mermaid', 'dot', 'plantuml'];
+
+// Code detections that say where an app connects; class naming only guesses
+const GRAPH_METHODS = ['HTTP', 'Library', 'Database', 'Configuration'];
+
+const PROTOCOLS_BY_SCHEME = {
+  http: 'HTTP',
+  https: 'HTTP',
+  sb: 'AMQP',
+  amqp: 'AMQP',
+  amqps: 'AMQP',
+  redis: 'Redis',
+  rediss: 'Redis',
+  ftp: 'FTP',
+  sftp: 'SFTP',
+  net: 'WCF',
+  'net.tcp': 'WCF'
+};
+
+const PROTOCOLS_BY_TYPE = {
+  database: 'SQL',
+  queue: 'AMQP'
+};
+
+// Section names that say nothing about what a setting connects to
+const GENERIC_SECTIONS = ['ConnectionStrings', 'endpoint'];
+
+/**
+ * Words of an identifier, e.g. "PaymentsApi:BaseUrl" -> ["payments", "api", "base", "url"]
+ */
+function words(text) {
+  return text
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function normalize(text) {
+  return words(text).join('');
+}
+
+function slug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9.]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Protocol of a connection, from the target's scheme or the integration type
+ */
+export function protocolFor(target, type) {
+  const scheme = /^([a-z][a-z0-9+.-]*):\/\//i.exec(target || '')?.[1].toLowerCase();
+  if (scheme) return PROTOCOLS_BY_SCHEME[scheme] || scheme.toUpperCase();
+  return PROTOCOLS_BY_TYPE[type] || 'HTTP';
+}
+
+/**
+ * Lookup of our apps by host and by name
+ * @param {Array} appConfigs - apps.json entries
+ */
+function indexApps(appConfigs) {
+  const byHost = new Map();
+  const aliases = [];
+
+  for (const appConfig of appConfigs) {
+    for (const host of appConfig.hosts || []) {
+      byHost.set(host.toLowerCase(), appConfig.name);
+    }
+    const names = [appConfig.name, appConfig.infrastructureKey, ...(appConfig.aliases || [])].filter(Boolean);
+    for (const name of names) {
+      aliases.push({ alias: normalize(name), app: appConfig.name });
+    }
+  }
+
+  // Longest first, so "Core.Common" wins over "Core"
+  aliases.sort((a, b) => b.alias.length - a.alias.length);
+  return { byHost, aliases };
+}
+
+/**
+ * App a URL's host belongs to; "host:port" entries only match that port
+ */
+function appForTarget(target, host, index) {
+  let url = null;
+  try {
+    url = target ? new URL(target) : null;
+  } catch {
+    // Not a URL (connection string server)
+  }
+  const candidates = [url?.host, url?.hostname, host].filter(Boolean).map(h => h.toLowerCase());
+  for (const candidate of candidates) {
+    if (index.byHost.has(candidate)) return index.byHost.get(candidate);
+  }
+  return null;
+}
+
+/**
+ * App an identifier names: some run of its words spells the alias
+ */
+function appForName(name, index) {
+  if (!name) return null;
+  const tokens = words(name);
+
+  for (const { alias, app } of index.aliases) {
+    for (let start = 0; start < tokens.length; start++) {
+      let joined = '';
+      for (let end = start; end < tokens.length && joined.length < alias.length; end++) {
+        joined += tokens[end];
+      }
+      if (joined === alias) return app;
+    }
+  }
+  return null;
+}
+
+/**
+ * Name of the system a setting configures, e.g. "Payeezy" for
+ * "Payeezy:BaseUrl" and "PaymentsDb" for "ConnectionStrings:PaymentsDb"
+ */
+function settingName(key) {
+  const sections = key.split(':');
+  return GENERIC_SECTIONS.includes(sections[0]) && sections[1] ? sections[1] : sections[0];
+}
+
+/**
+ * Where a connection goes: one of our apps or an external system
+ * @returns {{app: string}|{external: string, label: string}}
+ */
+function resolveTarget({ target, host, type, name, configKey }, index) {
+  const hostApp = appForTarget(target, host, index);
+  if (hostApp) return { app: hostApp };
+
+  const typeApp = appForName(type, index);
+  if (typeApp) return { app: typeApp };
+
+  if (host) return { external: host, label: host };
+
+  const nameApp = configKey ? appForName(name, index) : null;
+  if (nameApp) return { app: nameApp };
+
+  return { external: slug(name || type), label: name || type };
+}
+
+function appNodeId(appName) {
+  return `app:${appName}`;
+}
+
+/**
+ * Connection a code detection describes
+ */
+function codeConnection(point) {
+  let host = null;
+  if (point.url) {
+    try {
+      host = new URL(point.url).hostname.toLowerCase();
+    } catch {
+      // Relative or templated URL
+    }
+  }
+
+  let name = point.pattern;
+  if (point.configKey) name = settingName(point.configKey);
+  if (point.method === 'Database') {
+    const databaseName = point.details?.databaseName;
+    name = databaseName && databaseName !== 'Unknown' ? databaseName : 'Database';
+  }
+
+  return { target: point.url, host, type: point.type, name, configKey: point.configKey };
+}
+
+/**
+ * Build the integration graph for a set of apps
+ *
+ * @param {Array} apps - [{ config, integrations, environmentMap }] where
+ *   integrations are code detections (discoverIntegrations) and
+ *   environmentMap is discoverEnvironments' result
+ * @returns {{nodes: Array, edges: Array, environments: Array<string>, summary: Object}}
+ *   Edges are { id, source, target, type, protocol, environment, file, line,
+ *   detectedBy, configKey? }. environment is null for code detections, which
+ *   apply everywhere; line is null for config files.
+ */
+export function buildIntegrationGraph(apps) {
+  const index = indexApps(apps.map(app => app.config));
+  const nodes = new Map();
+  const edges = new Map();
+  const environments = new Set();
+
+  for (const { config } of apps) {
+    nodes.set(appNodeId(config.name), {
+      id: appNodeId(config.name),
+      label: config.displayName || config.name,
+      kind: 'app',
+      app: config.name
+    });
+  }
+
+  const addEdge = (appConfig, connection, evidence) => {
+    const resolved = resolveTarget(connection, index);
+    if (resolved.app === appConfig.name) return;
+
+    const source = appNodeId(appConfig.name);
+    let target;
+    if (resolved.app) {
+      target = appNodeId(resolved.app);
+    } else {
+      target = `external:${resolved.external}`;
+      if (!nodes.has(target)) {
+        nodes.set(target, { id: target, label: resolved.label, kind: 'external', type: connection.type });
+      }
+    }
+
+    const edge = {
+      source,
+      target,
+      type: connection.type,
+      protocol: protocolFor(connection.target, connection.type),
+      ...evidence
+    };
+    edge.id = [source, target, edge.protocol, edge.environment || '*', edge.file, edge.line ?? ''].join('|');
+    if (!edges.has(edge.id)) edges.set(edge.id, edge);
+  };
+
+  for (const { config, integrations = [], environmentMap } of apps) {
+    // Code reading "Payeezy:ApiSecret" talks to wherever "Payeezy:BaseUrl" points
+    const configuredHosts = new Map();
+    for (const integration of environmentMap?.integrations || []) {
+      const located = integration.environments[BASE_ENVIRONMENT] || Object.values(integration.environments)[0];
+      const name = settingName(integration.key);
+      if (located && !configuredHosts.has(name)) configuredHosts.set(name, located);
+    }
+
+    for (const point of integrations) {
+      if (!GRAPH_METHODS.includes(point.method)) continue;
+
+      const connection = codeConnection(point);
+      const configured = point.configKey && configuredHosts.get(connection.name);
+      if (configured) {
+        connection.target = configured.target;
+        connection.host = configured.host;
+      }
+
+      addEdge(config, connection, {
+        environment: null,
+        file: path.relative(config.path, point.file),
+        line: point.lineNumber ?? null,
+        detectedBy: point.method,
+        ...(point.configKey && { configKey: point.configKey })
+      });
+    }
+
+    for (const integration of environmentMap?.integrations || []) {
+      const entries = Object.entries(integration.environments);
+      const perEnvironment = entries.filter(([env]) => env !== BASE_ENVIRONMENT);
+
+      for (const [env, located] of perEnvironment.length > 0 ? perEnvironment : entries) {
+        const environment = env === BASE_ENVIRONMENT ? null : env;
+        if (environment) environments.add(environment);
+
+        addEdge(
+          config,
+          {
+            target: located.target,
+            host: located.host,
+            type: integration.type,
+            name: settingName(integration.key),
+            configKey: integration.key
+          },
+          {
+            environment,
+            file: located.file,
+            line: null,
+            detectedBy: 'Config file',
+            configKey: integration.key
+          }
+        );
+      }
+    }
+  }
+
+  const edgeList = [...edges.values()];
+  const nodeList = [...nodes.values()];
+
+  return {
+    nodes: nodeList,
+    edges: edgeList,
+    environments: [...environments].sort(),
+    summary: {
+      apps: nodeList.filter(node => node.kind === 'app').length,
+      external: nodeList.filter(node => node.kind === 'external').length,
+      edges: edgeList.length,
+      crossApp: edgeList.filter(edge => edge.target.startsWith('app:')).length
+    }
+  };
+}
+
+/**
+ * Edges merged per source and target for diagrams, labelled with their
+ * protocols and - unless they apply everywhere - their environments
+ */
+export function collapseEdges(edges) {
+  const merged = new Map();
+
+  for (const edge of edges) {
+    const key = `${edge.source}->${edge.target}`;
+    if (!merged.has(key)) {
+      merged.set(key, { source: edge.source, target: edge.target, protocols: new Set(), environments: new Set(), everywhere: false });
+    }
+    const entry = merged.get(key);
+    entry.protocols.add(edge.protocol);
+    if (edge.environment) entry.environments.add(edge.environment);
+    else entry.everywhere = true;
+  }
+
+  return [...merged.values()].map(({ source, target, protocols, environments, everywhere }) => {
+    const envs = everywhere ? '' : ` (${[...environments].sort().join(', ')})`;
+    return { source, target, label: `${[...protocols].sort().join('/')}${envs}` };
+  });
+}
+
+/**
+ * Identifier safe for Mermaid, DOT and PlantUML
+ */
+function diagramId(nodeId) {
+  return nodeId.replace(/[^a-zA-Z0-9_]/g, '_');
+}
+
+function escapeLabel(text) {
+  return String(text).replace(/"/g, '\'');
+}
+
+/**
+ * Mermaid flowchart
+ */
+export function toMermaid(graph) {
+  const lines = ['graph LR'];
+
+  for (const node of graph.nodes) {
+    const label = escapeLabel(node.label);
+    lines.push(node.kind === 'app'
+      ? `  ${diagramId(node.id)}["${label}"]:::app`
+      : `  ${diagramId(node.id)}(["${label}"]):::external`);
+  }
+
+  for (const edge of collapseEdges(graph.edges)) {
+    lines.push(`  ${diagramId(edge.source)} -->|"${escapeLabel(edge.label)}"| ${diagramId(edge.target)}`);
+  }
+
+  lines.push('  classDef app fill:#e3f2fd,stroke:#1976d2,stroke-width:2px');
+  lines.push('  classDef external fill:#fce4ec,stroke:#c2185b,stroke-width:1px');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Graphviz DOT digraph
+ */
+export function toDot(graph) {
+  const lines = [
+    'digraph integrations {',
+    '  rankdir=LR;',
+    '  node [fontname="Helvetica", style=filled];'
+  ];
+
+  for (const node of graph.nodes) {
+    const style = node.kind === 'app'
+      ? 'shape=box, fillcolor="#e3f2fd", color="#1976d2"'
+      : `shape=${node.type === 'database' ? 'cylinder' : 'ellipse'}, fillcolor="#fce4ec", color="#c2185b"`;
+    lines.push(`  ${diagramId(node.id)} [label="${escapeLabel(node.label)}", ${style}];`);
+  }
+
+  for (const edge of collapseEdges(graph.edges)) {
+    lines.push(`  ${diagramId(edge.source)} -> ${diagramId(edge.target)} [label="${escapeLabel(edge.label)}"];`);
+  }
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+// PlantUML element per external integration type
+const PLANTUML_ELEMENTS = {
+  database: 'database',
+  queue: 'queue'
+};
+
+/**
+ * PlantUML component diagram
+ */
+export function toPlantUml(graph) {
+  const lines = ['@startuml', 'left to right direction'];
+
+  for (const node of graph.nodes) {
+    const element = node.kind === 'app' ? 'component' : PLANTUML_ELEMENTS[node.type] || 'cloud';
+    lines.push(`${element} "${escapeLabel(node.label)}" as ${diagramId(node.id)}`);
+  }
+
+  for (const edge of collapseEdges(graph.edges)) {
+    lines.push(`${diagramId(edge.source)} --> ${diagramId(edge.target)} : ${edge.label}`);
+  }
+
+  lines.push('@enduml');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render a graph in one of the diagram formats
+ * @param {Object} graph - buildIntegrationGraph result
+ * @param {string} format - mermaid | dot | plantuml
+ */
+export function exportGraph(graph, format) {
+  switch (format) {
+    case 'mermaid':
+      return toMermaid(graph);
+    case 'dot':
+      return toDot(graph);
+    case 'plantuml':
+      return toPlantUml(graph);
+    default:
+      throw new Error(`Unknown graph format "${format}" (expected one of ${GRAPH_FORMATS.join(', ')})`);
+  }
+}
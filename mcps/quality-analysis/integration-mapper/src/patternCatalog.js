@@ -0,0 +1,217 @@
+/**
+ * Integration Pattern Catalogs
+ *
+ * Each catalog file describes one integration type:
+ *
+ *   {
+ *     "type": "financial",
+ *     "description": "Card and bank payment providers",
+ *     "riskWeight": 1,                                  // 0-1, how risky a change to it is
+ *     "patterns": ["Payeezy", "StripeClient"],          // regexes matched against code
+ *     "urlPatterns": ["https?://api\\.stripe\\.com"],   // regexes classifying outbound URLs
+ *     "configKeys": ["Payeezy", "Stripe"],              // configuration key prefixes
+ *     "keywords": ["payment"]                           // class name fragments
+ *   }
+ *
+ * Regexes are case-insensitive. The built-in catalogs ship in ../patterns,
+ * INTEGRATION_PATTERNS_DIR adds a directory of extra catalogs, and an app's
+ * `integrationPatterns` in config/apps.json lists catalog files (relative to
+ * the config directory) or inline catalogs. A catalog for a type that is
+ * already loaded extends it.
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const BUILTIN_CATALOG_DIR = path.resolve(__dirname, '../patterns');
+export const DEFAULT_RISK_WEIGHT = 0.5;
+
+function compileRegexes(sources, field) {
+  if (sources === undefined) return [];
+  if (!Array.isArray(sources)) {
+    throw new Error(`${field} must be an array`);
+  }
+  return sources.map(source => {
+    try {
+      return new RegExp(source, 'i');
+    } catch (error) {
+      throw new Error(`${field}: ${error.message}`);
+    }
+  });
+}
+
+function stringList(values, field) {
+  if (values === undefined) return [];
+  if (!Array.isArray(values) || values.some(v => typeof v !== 'string')) {
+    throw new Error(`${field} must be an array of strings`);
+  }
+  return values;
+}
+
+/**
+ * Validate and compile a catalog
+ *
+ * @param {Object} catalog - Parsed catalog
+ * @param {string} source - File or app it came from
+ * @returns {Object} { type, description, riskWeight, patterns, urlPatterns, configKeys, keywords, sources }
+ * @throws {Error} When the type is missing, riskWeight is out of range or a regex is invalid
+ */
+export function compileCatalog(catalog, source) {
+  if (!catalog || typeof catalog.type !== 'string' || !catalog.type) {
+    throw new Error('catalog needs a type');
+  }
+
+  const { riskWeight } = catalog;
+  if (riskWeight !== undefined && (typeof riskWeight !== 'number' || riskWeight < 0 || riskWeight > 1)) {
+    throw new Error('riskWeight must be a number between 0 and 1');
+  }
+
+  return {
+    type: catalog.type,
+    description: catalog.description || '',
+    riskWeight,
+    patterns: compileRegexes(catalog.patterns, 'patterns'),
+    urlPatterns: compileRegexes(catalog.urlPatterns, 'urlPatterns'),
+    configKeys: stringList(catalog.configKeys, 'configKeys'),
+    keywords: stringList(catalog.keywords, 'keywords').map(k => k.toLowerCase()),
+    sources: [source]
+  };
+}
+
+/**
+ * Add a compiled catalog to a type -> catalog map, extending a loaded type
+ */
+function addCatalog(catalogs, compiled) {
+  const existing = catalogs.get(compiled.type);
+  if (!existing) {
+    catalogs.set(compiled.type, { ...compiled, riskWeight: compiled.riskWeight ?? DEFAULT_RISK_WEIGHT });
+    return;
+  }
+
+  catalogs.set(compiled.type, {
+    ...existing,
+    description: compiled.description || existing.description,
+    riskWeight: compiled.riskWeight ?? existing.riskWeight,
+    patterns: [...existing.patterns, ...compiled.patterns],
+    urlPatterns: [...existing.urlPatterns, ...compiled.urlPatterns],
+    configKeys: [...existing.configKeys, ...compiled.configKeys],
+    keywords: [...existing.keywords, ...compiled.keywords],
+    sources: [...existing.sources, ...compiled.sources]
+  });
+}
+
+function loadCatalogFile(catalogs, errors, file) {
+  try {
+    addCatalog(catalogs, compileCatalog(JSON.parse(readFileSync(file, 'utf-8')), file));
+  } catch (error) {
+    console.warn(`[integration-mapper] Skipping pattern catalog ${file}: ${error.message}`);
+    errors.push({ source: file, error: error.message });
+  }
+}
+
+/**
+ * Load every *.json catalog in the built-in and configured directories
+ *
+ * Invalid catalogs are skipped and reported in `errors`; they don't stop the
+ * others from loading.
+ *
+ * @param {Object} [options]
+ * @param {Array<string>} [options.dirs] - Catalog directories, in load order
+ * @returns {{catalogs: Map<string, Object>, errors: Array<{source: string, error: string}>}}
+ */
+export function loadPatternCatalogs(options = {}) {
+  const dirs = options.dirs || [BUILTIN_CATALOG_DIR, process.env.INTEGRATION_PATTERNS_DIR].filter(Boolean);
+  const catalogs = new Map();
+  const errors = [];
+
+  for (const dir of dirs) {
+    if (!existsSync(dir)) {
+      console.warn(`[integration-mapper] Pattern catalog directory ${dir} not found`);
+      continue;
+    }
+    const files = readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+    for (const file of files) {
+      loadCatalogFile(catalogs, errors, path.join(dir, file));
+    }
+  }
+
+  return { catalogs, errors };
+}
+
+/**
+ * The loaded catalogs plus an app's own from config/apps.json
+ *
+ * @param {Map<string, Object>} catalogs - Loaded catalogs (not modified)
+ * @param {Object} appConfig - App entry; `integrationPatterns` holds catalog
+ *   file paths relative to the config directory, or inline catalogs
+ * @param {string} [configDir] - Defaults to the directory of CONFIG_PATH
+ * @returns {{catalogs: Map<string, Object>, errors: Array<{source: string, error: string}>}}
+ */
+export function withAppCatalogs(catalogs, appConfig, configDir) {
+  const entries = appConfig?.integrationPatterns || [];
+  const merged = new Map(catalogs);
+  const errors = [];
+  const baseDir = configDir || path.dirname(process.env.CONFIG_PATH || '/app/config/apps.json');
+
+  entries.forEach((entry, index) => {
+    if (typeof entry === 'string') {
+      loadCatalogFile(merged, errors, path.resolve(baseDir, entry));
+      return;
+    }
+
+    const source = `${appConfig.name}.integrationPatterns[${index}]`;
+    try {
+      addCatalog(merged, compileCatalog(entry, source));
+    } catch (error) {
+      console.warn(`[integration-mapper] Skipping pattern catalog ${source}: ${error.message}`);
+      errors.push({ source, error: error.message });
+    }
+  });
+
+  return { catalogs: merged, errors };
+}
+
+/**
+ * Integration type a configuration key belongs to
+ *
+ * Keys match a catalog's configKeys by case-insensitive prefix, so "Payeezy"
+ * covers "PayeezyPaymentJsApiSecret" and "Payeezy:BaseUrl". The longest
+ * matching prefix wins.
+ *
+ * @param {string} key - e.g. "ServiceBus:ConnectionString"
+ * @param {Map<string, Object>|Object} catalogs
+ * @returns {string|null} Integration type
+ */
+export function matchConfigKey(key, catalogs) {
+  const lowerKey = key.toLowerCase();
+  let best = null;
+
+  for (const catalog of catalogs instanceof Map ? catalogs.values() : Object.values(catalogs)) {
+    for (const prefix of catalog.configKeys) {
+      if (lowerKey.startsWith(prefix.toLowerCase()) && (!best || prefix.length > best.prefix.length)) {
+        best = { type: catalog.type, prefix };
+      }
+    }
+  }
+
+  return best?.type || null;
+}
+
+/**
+ * JSON-friendly view of a compiled catalog
+ */
+export function describeCatalog(catalog) {
+  return {
+    type: catalog.type,
+    description: catalog.description,
+    riskWeight: catalog.riskWeight,
+    patterns: catalog.patterns.map(p => p.source),
+    urlPatterns: catalog.urlPatterns.map(p => p.source),
+    configKeys: catalog.configKeys,
+    keywords: catalog.keywords,
+    sources: catalog.sources
+  };
+}
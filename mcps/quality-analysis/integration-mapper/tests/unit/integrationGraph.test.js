@@ -0,0 +1,342 @@
+/**
+ * Unit tests for the cross-app integration graph and its exports
+ */
+
+import {
+  buildIntegrationGraph,
+  collapseEdges,
+  exportGraph,
+  protocolFor,
+  toDot,
+  toMermaid,
+  toPlantUml,
+} from "../../src/integrationGraph.js";
+
+describe("integrationGraph", () => {
+  const core = {
+    name: "Core",
+    displayName: "Core Application",
+    infrastructureKey: "servicelayer",
+    path: "/mnt/apps/Core",
+    hosts: ["localhost:15155", "servicelayer-qa.example.net"],
+  };
+  const coreCommon = {
+    name: "Core.Common",
+    path: "/mnt/apps/Core.Common",
+  };
+  const payments = {
+    name: "Payments",
+    path: "/mnt/apps/Payments",
+    hosts: ["qapaymentsapi.example.com"],
+  };
+  const precare = {
+    name: "PreCare",
+    path: "/mnt/apps/PreCare",
+  };
+
+  const apps = [
+    { config: core, integrations: [] },
+    { config: coreCommon, integrations: [] },
+    {
+      config: payments,
+      integrations: [
+        {
+          file: "/mnt/apps/Payments/Payments.Api/ServiceLayerClient.cs",
+          type: "external",
+          url: "http://localhost:15155/api/accounts",
+          method: "HTTP",
+          lineNumber: 42,
+        },
+        {
+          file: "/mnt/apps/Payments/Payments.Api/PayeezyClient.cs",
+          type: "financial",
+          configKey: "Payeezy:ApiSecret",
+          method: "Configuration",
+          lineNumber: 12,
+        },
+        {
+          file: "/mnt/apps/Payments/Payments.Api/PaymentsDbContext.cs",
+          type: "database",
+          method: "Database",
+          lineNumber: 3,
+          details: { databaseName: "Unknown" },
+        },
+        {
+          file: "/mnt/apps/Payments/Payments.Api/PayeezyService.cs",
+          type: "financial",
+          className: "PayeezyService",
+          method: "Class naming",
+        },
+      ],
+      environmentMap: {
+        integrations: [
+          {
+            key: "Payeezy:BaseUrl",
+            type: "financial",
+            environments: {
+              base: {
+                host: "cert.api.firstdata.com",
+                target: "https://cert.api.firstdata.com/",
+                file: "Payments.Api/appsettings.json",
+              },
+              qa: {
+                host: "cert.api.firstdata.com",
+                target: "https://cert.api.firstdata.com/",
+                file: "Payments.Api/appsettings.json",
+              },
+              prod: {
+                host: "api.firstdata.com",
+                target: "https://api.firstdata.com/",
+                file: "Payments.Api/appsettings.Production.json",
+              },
+            },
+          },
+        ],
+      },
+    },
+    {
+      config: precare,
+      integrations: [
+        {
+          file: "/mnt/apps/PreCare/PreCare.Api/AccountService.cs",
+          type: "servicelayer",
+          pattern: "IServiceLayerClient",
+          method: "Library",
+          lineNumber: 7,
+        },
+        {
+          file: "/mnt/apps/PreCare/PreCare.Api/Startup.cs",
+          type: "external",
+          configKey: "CoreCommonApi:Url",
+          method: "Configuration",
+          lineNumber: 30,
+        },
+      ],
+      environmentMap: {
+        integrations: [
+          {
+            key: "PaymentsApi:BaseUrl",
+            type: "external",
+            environments: {
+              qa: {
+                host: "qapaymentsapi.example.com",
+                target: "https://qapaymentsapi.example.com/",
+                file: "PreCare.Api/appsettings.QA.json",
+              },
+            },
+          },
+          {
+            key: "ConnectionStrings:Bus",
+            type: "queue",
+            environments: {
+              base: {
+                host: "precare.servicebus.windows.net",
+                target: "sb://precare.servicebus.windows.net/",
+                kind: "connectionString",
+                file: "PreCare.Api/appsettings.json",
+              },
+            },
+          },
+        ],
+      },
+    },
+  ];
+
+  describe("protocolFor", () => {
+    it("should use the target's scheme, then the integration type", () => {
+      expect(protocolFor("https://api.example.com/", "financial")).toBe("HTTP");
+      expect(protocolFor("sb://bus.servicebus.windows.net/", "queue")).toBe(
+        "AMQP",
+      );
+      expect(protocolFor("sql-qa.example.com", "database")).toBe("SQL");
+      expect(protocolFor(undefined, "epic")).toBe("HTTP");
+    });
+  });
+
+  describe("buildIntegrationGraph", () => {
+    const graph = buildIntegrationGraph(apps);
+    const edgesBetween = (source, target) =>
+      graph.edges.filter((e) => e.source === source && e.target === target);
+
+    it("should add a node for every app and external system", () => {
+      expect(graph.nodes).toEqual(
+        expect.arrayContaining([
+          {
+            id: "app:Core",
+            label: "Core Application",
+            kind: "app",
+            app: "Core",
+          },
+          {
+            id: "external:cert.api.firstdata.com",
+            label: "cert.api.firstdata.com",
+            kind: "external",
+            type: "financial",
+          },
+          {
+            id: "external:database",
+            label: "Database",
+            kind: "external",
+            type: "database",
+          },
+        ]),
+      );
+      expect(graph.summary).toEqual({
+        apps: 4,
+        external: 4,
+        edges: 9,
+        crossApp: 4,
+      });
+    });
+
+    it("should link apps by host, integration type and config key", () => {
+      expect(edgesBetween("app:Payments", "app:Core")).toEqual([
+        {
+          id: "app:Payments|app:Core|HTTP|*|Payments.Api/ServiceLayerClient.cs|42",
+          source: "app:Payments",
+          target: "app:Core",
+          type: "external",
+          protocol: "HTTP",
+          environment: null,
+          file: "Payments.Api/ServiceLayerClient.cs",
+          line: 42,
+          detectedBy: "HTTP",
+        },
+      ]);
+      expect(edgesBetween("app:PreCare", "app:Core")).toHaveLength(1);
+      expect(edgesBetween("app:PreCare", "app:Core.Common")).toMatchObject([
+        { configKey: "CoreCommonApi:Url", line: 30 },
+      ]);
+      expect(edgesBetween("app:PreCare", "app:Payments")).toMatchObject([
+        {
+          environment: "qa",
+          file: "PreCare.Api/appsettings.QA.json",
+          line: null,
+          detectedBy: "Config file",
+        },
+      ]);
+    });
+
+    it("should add an edge per environment for config files", () => {
+      expect(
+        edgesBetween("app:Payments", "external:api.firstdata.com"),
+      ).toMatchObject([{ environment: "prod", configKey: "Payeezy:BaseUrl" }]);
+      expect(graph.environments).toEqual(["prod", "qa"]);
+    });
+
+    it("should point configuration reads at the configured host", () => {
+      expect(
+        edgesBetween("app:Payments", "external:cert.api.firstdata.com"),
+      ).toContainEqual(
+        expect.objectContaining({
+          configKey: "Payeezy:ApiSecret",
+          environment: null,
+          line: 12,
+        }),
+      );
+    });
+
+    it("should use the protocol of base-only settings everywhere", () => {
+      expect(
+        edgesBetween("app:PreCare", "external:precare.servicebus.windows.net"),
+      ).toMatchObject([{ protocol: "AMQP", environment: null }]);
+    });
+
+    it("should leave out class-name guesses", () => {
+      expect(JSON.stringify(graph.edges)).not.toContain("PayeezyService");
+    });
+
+    it("should only match app names for config keys", () => {
+      const { edges } = buildIntegrationGraph([
+        { config: payments, integrations: [] },
+        {
+          config: precare,
+          integrations: [
+            {
+              file: "/mnt/apps/PreCare/PreCare.Data/LedgerContext.cs",
+              type: "database",
+              method: "Database",
+              lineNumber: 5,
+              details: { databaseName: "PaymentsArchive" },
+            },
+            {
+              file: "/mnt/apps/PreCare/PreCare.Api/Startup.cs",
+              type: "external",
+              configKey: "PaymentsApi:Url",
+              method: "Configuration",
+              lineNumber: 9,
+            },
+          ],
+        },
+      ]);
+
+      expect(edges.map((e) => [e.detectedBy, e.target])).toEqual([
+        ["Database", "external:paymentsarchive"],
+        ["Configuration", "app:Payments"],
+      ]);
+    });
+  });
+
+  describe("exports", () => {
+    const graph = buildIntegrationGraph(apps);
+
+    it("should merge edges per pair with their protocols and environments", () => {
+      expect(
+        collapseEdges(graph.edges).filter((e) => e.source === "app:Payments"),
+      ).toEqual(
+        expect.arrayContaining([
+          {
+            source: "app:Payments",
+            target: "external:api.firstdata.com",
+            label: "HTTP (prod)",
+          },
+          {
+            source: "app:Payments",
+            target: "external:cert.api.firstdata.com",
+            label: "HTTP",
+          },
+        ]),
+      );
+    });
+
+    it("should render Mermaid", () => {
+      const mermaid = toMermaid(graph);
+
+      expect(mermaid).toMatch(/^graph LR\n/);
+      expect(mermaid).toContain('app_Core["Core Application"]:::app');
+      expect(mermaid).toContain(
+        'external_api_firstdata_com(["api.firstdata.com"]):::external',
+      );
+      expect(mermaid).toContain('app_Payments -->|"HTTP"| app_Core');
+    });
+
+    it("should render Graphviz DOT", () => {
+      const dot = toDot(graph);
+
+      expect(dot).toMatch(/^digraph integrations \{\n {2}rankdir=LR;/);
+      expect(dot).toContain(
+        'external_database [label="Database", shape=cylinder',
+      );
+      expect(dot).toContain('app_PreCare -> app_Payments [label="HTTP (qa)"];');
+      expect(dot.trim().endsWith("}")).toBe(true);
+    });
+
+    it("should render PlantUML", () => {
+      const plantUml = toPlantUml(graph);
+
+      expect(plantUml).toMatch(/^@startuml\n/);
+      expect(plantUml).toContain('component "Core Application" as app_Core');
+      expect(plantUml).toContain(
+        'queue "precare.servicebus.windows.net" as external_precare_servicebus_windows_net',
+      );
+      expect(plantUml).toContain("app_Payments --> app_Core : HTTP");
+      expect(plantUml.trim().endsWith("@enduml")).toBe(true);
+    });
+
+    it("should reject unknown formats", () => {
+      expect(() => exportGraph(graph, "svg")).toThrow(
+        /Unknown graph format "svg"/,
+      );
+    });
+  });
+});
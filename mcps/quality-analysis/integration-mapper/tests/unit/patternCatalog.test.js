@@ -0,0 +1,284 @@
+/**
+ * Unit tests for integration pattern catalogs and catalog-driven detection
+ */
+
+import { jest } from "@jest/globals";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  BUILTIN_CATALOG_DIR,
+  compileCatalog,
+  describeCatalog,
+  loadPatternCatalogs,
+  matchConfigKey,
+  withAppCatalogs,
+} from "../../src/patternCatalog.js";
+import { IntegrationDetector } from "../../src/integrationDetector.js";
+
+describe("patternCatalog", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), "integration-patterns-"));
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("built-in catalogs", () => {
+    it("should load one catalog per integration type", () => {
+      const { catalogs, errors } = loadPatternCatalogs();
+
+      expect(errors).toEqual([]);
+      expect([...catalogs.keys()].sort()).toEqual([
+        "background",
+        "database",
+        "epic",
+        "external",
+        "financial",
+        "messaging",
+        "queue",
+      ]);
+      expect(catalogs.get("financial").sources).toEqual([
+        path.join(BUILTIN_CATALOG_DIR, "financial.json"),
+      ]);
+    });
+
+    it("should give every catalog a risk weight", () => {
+      const { catalogs } = loadPatternCatalogs();
+
+      for (const catalog of catalogs.values()) {
+        expect(catalog.riskWeight).toBeGreaterThanOrEqual(0);
+        expect(catalog.riskWeight).toBeLessThanOrEqual(1);
+      }
+    });
+  });
+
+  describe("compileCatalog", () => {
+    it("should compile regexes case-insensitively", () => {
+      const catalog = compileCatalog(
+        { type: "queue", patterns: ["ServiceBusClient"], keywords: ["Queue"] },
+        "inline",
+      );
+
+      expect(catalog.patterns[0].test("new servicebusclient()")).toBe(true);
+      expect(catalog.keywords).toEqual(["queue"]);
+      expect(catalog.riskWeight).toBeUndefined();
+    });
+
+    it("should reject catalogs without a type, bad weights or bad regexes", () => {
+      expect(() => compileCatalog({ patterns: [] }, "x")).toThrow(
+        "catalog needs a type",
+      );
+      expect(() => compileCatalog({ type: "a", riskWeight: 3 }, "x")).toThrow(
+        "riskWeight must be a number between 0 and 1",
+      );
+      expect(() => compileCatalog({ type: "a", patterns: ["("] }, "x")).toThrow(
+        /^patterns: /,
+      );
+    });
+  });
+
+  describe("loadPatternCatalogs", () => {
+    it("should extend loaded types and skip invalid files", () => {
+      writeFileSync(
+        path.join(dir, "a-financial.json"),
+        JSON.stringify({
+          type: "financial",
+          riskWeight: 0.8,
+          patterns: ["Authorize\\.Net"],
+          configKeys: ["AuthorizeNet"],
+        }),
+      );
+      writeFileSync(path.join(dir, "b-broken.json"), "{ not json");
+
+      const { catalogs, errors } = loadPatternCatalogs({
+        dirs: [BUILTIN_CATALOG_DIR, dir],
+      });
+
+      const financial = catalogs.get("financial");
+      expect(financial.riskWeight).toBe(0.8);
+      expect(financial.patterns.map((p) => p.source)).toEqual(
+        expect.arrayContaining(["Payeezy", "Authorize\\.Net"]),
+      );
+      expect(financial.sources).toHaveLength(2);
+      expect(errors).toEqual([
+        {
+          source: path.join(dir, "b-broken.json"),
+          error: expect.any(String),
+        },
+      ]);
+    });
+
+    it("should default the risk weight of new types", () => {
+      writeFileSync(
+        path.join(dir, "cache.json"),
+        JSON.stringify({ type: "cache", patterns: ["StackExchange\\.Redis"] }),
+      );
+
+      const { catalogs } = loadPatternCatalogs({ dirs: [dir] });
+
+      expect(catalogs.get("cache").riskWeight).toBe(0.5);
+    });
+  });
+
+  describe("withAppCatalogs", () => {
+    it("should add catalog files and inline catalogs from the app", () => {
+      mkdirSync(path.join(dir, "integration-patterns"));
+      writeFileSync(
+        path.join(dir, "integration-patterns", "servicelayer.json"),
+        JSON.stringify({
+          type: "servicelayer",
+          riskWeight: 0.9,
+          patterns: ["ServiceLayerClient"],
+        }),
+      );
+      const { catalogs } = loadPatternCatalogs();
+
+      const result = withAppCatalogs(
+        catalogs,
+        {
+          name: "Payments",
+          integrationPatterns: [
+            "integration-patterns/servicelayer.json",
+            { type: "queue", patterns: ["PaymentEventsTopic"] },
+            { patterns: ["NoType"] },
+          ],
+        },
+        dir,
+      );
+
+      expect(result.catalogs.get("servicelayer").riskWeight).toBe(0.9);
+      expect(
+        result.catalogs.get("queue").patterns.map((p) => p.source),
+      ).toContain("PaymentEventsTopic");
+      expect(result.errors).toEqual([
+        {
+          source: "Payments.integrationPatterns[2]",
+          error: "catalog needs a type",
+        },
+      ]);
+      // The shared catalogs are left alone
+      expect(catalogs.has("servicelayer")).toBe(false);
+    });
+  });
+
+  describe("matchConfigKey", () => {
+    it("should match configuration keys by the longest prefix", () => {
+      const { catalogs } = loadPatternCatalogs();
+
+      expect(matchConfigKey("PayeezyPaymentJsApiSecret", catalogs)).toBe(
+        "financial",
+      );
+      expect(matchConfigKey("Hangfire:DashboardPath", catalogs)).toBe(
+        "background",
+      );
+      expect(matchConfigKey("servicebus:connectionstring", catalogs)).toBe(
+        "queue",
+      );
+      expect(matchConfigKey("Logging:LogLevel", catalogs)).toBeNull();
+    });
+  });
+
+  describe("describeCatalog", () => {
+    it("should list regexes as their source", () => {
+      const catalog = compileCatalog(
+        { type: "queue", urlPatterns: ["\\.servicebus\\.windows\\.net"] },
+        "inline",
+      );
+
+      expect(describeCatalog(catalog)).toMatchObject({
+        type: "queue",
+        urlPatterns: ["\\.servicebus\\.windows\\.net"],
+        sources: ["inline"],
+      });
+    });
+  });
+});
+
+describe("IntegrationDetector with catalogs", () => {
+  const snippet = `
+using Azure.Messaging.ServiceBus;
+
+public class SettlementPublisher
+{
+    public SettlementPublisher(IConfiguration configuration)
+    {
+        _secret = configuration["PayeezyPaymentJsApiSecret"];
+        _client = new HttpClient { BaseAddress = new Uri("https://cert.api.firstdata.com/v1") };
+        _bus = new ServiceBusClient(configuration.GetConnectionString("ServiceBus"));
+        RecurringJob.AddOrUpdate("settlement", () => Settle(), Cron.Daily(2));
+    }
+}`;
+  let detector;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    detector = new IntegrationDetector();
+  });
+
+  it("should recognise Payeezy, Hangfire and Azure Service Bus", () => {
+    const integrations = detector.testSnippet(snippet);
+
+    expect(integrations).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          type: "financial",
+          method: "HTTP",
+          url: "https://cert.api.firstdata.com/v1",
+          riskWeight: 1,
+        }),
+        expect.objectContaining({
+          type: "financial",
+          method: "Configuration",
+          configKey: "PayeezyPaymentJsApiSecret",
+        }),
+        expect.objectContaining({
+          type: "queue",
+          method: "Library",
+          pattern: "Azure.Messaging.ServiceBus",
+        }),
+        expect.objectContaining({
+          type: "queue",
+          method: "Configuration",
+          configKey: "ServiceBus",
+        }),
+        expect.objectContaining({
+          type: "background",
+          pattern: "RecurringJob.AddOrUpdate",
+        }),
+      ]),
+    );
+    expect(integrations.some((i) => i.type === "external")).toBe(false);
+  });
+
+  it("should apply the app's own catalogs", () => {
+    const appConfig = {
+      name: "Payments",
+      integrationPatterns: [
+        {
+          type: "settlement",
+          riskWeight: 0.95,
+          keywords: ["settlement"],
+        },
+      ],
+    };
+
+    const integrations = detector.testSnippet(snippet, appConfig);
+
+    expect(integrations).toContainEqual(
+      expect.objectContaining({
+        type: "settlement",
+        className: "SettlementPublisher",
+        riskWeight: 0.95,
+      }),
+    );
+    expect(detector.testSnippet(snippet).map((i) => i.type)).not.toContain(
+      "settlement",
+    );
+  });
+});
@@ -1,6 +1,16 @@
 import { jest } from "@jest/globals";
 import express from "express";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
 import request from "supertest";
+import { IntegrationDetector } from "../../src/integrationDetector.js";
+import { describeCatalog } from "../../src/patternCatalog.js";
+import {
+  buildIntegrationGraph,
+  exportGraph,
+  GRAPH_FORMATS,
+} from "../../src/integrationGraph.js";
 
 describe("Integration Mapper Routes", () => {
   let app;
@@ -229,4 +239,409 @@ describe("Integration Mapper Routes", () => {
       );
     });
   });
+
+  describe("Pattern catalogs", () => {
+    let patternsApp;
+
+    beforeEach(() => {
+      jest.spyOn(console, "log").mockImplementation(() => {});
+      const detector = new IntegrationDetector();
+      const appConfigs = {
+        Payments: {
+          name: "Payments",
+          integrationPatterns: [
+            { type: "servicelayer", patterns: ["ServiceLayerClient"] },
+          ],
+        },
+      };
+      const loadAppConfig = async (appName) => {
+        if (!appName) return null;
+        if (!appConfigs[appName]) {
+          throw new Error(`Application ${appName} not found in configuration`);
+        }
+        return appConfigs[appName];
+      };
+
+      patternsApp = express();
+      patternsApp.use(express.json());
+
+      patternsApp.get("/patterns", async (req, res) => {
+        try {
+          const { patterns, errors } = detector.patternsFor(
+            await loadAppConfig(req.query.app),
+          );
+          res.json({
+            success: true,
+            app: req.query.app || null,
+            catalogs: Object.values(patterns).map(describeCatalog),
+            errors: [...detector.loadErrors, ...errors],
+          });
+        } catch (error) {
+          res.status(404).json({ success: false, error: error.message });
+        }
+      });
+
+      patternsApp.post("/patterns/test", async (req, res) => {
+        const { snippet, app: appName } = req.body;
+        if (typeof snippet !== "string" || !snippet.trim()) {
+          return res.status(400).json({
+            success: false,
+            error: "snippet parameter required",
+          });
+        }
+        try {
+          const integrations = detector.testSnippet(
+            snippet,
+            await loadAppConfig(appName),
+          );
+          res.json({
+            success: true,
+            app: appName || null,
+            integrations,
+            types: [...new Set(integrations.map((i) => i.type))],
+          });
+        } catch (error) {
+          res.status(404).json({ success: false, error: error.message });
+        }
+      });
+    });
+
+    it("GET /patterns should list the loaded catalogs", async () => {
+      const response = await request(patternsApp).get("/patterns");
+
+      expect(response.status).toBe(200);
+      expect(response.body.errors).toEqual([]);
+      expect(response.body.catalogs).toContainEqual(
+        expect.objectContaining({
+          type: "financial",
+          patterns: expect.arrayContaining(["Payeezy"]),
+          configKeys: expect.arrayContaining(["Payeezy"]),
+          riskWeight: 1,
+        }),
+      );
+    });
+
+    it("GET /patterns should include the app's own catalogs", async () => {
+      const response = await request(patternsApp).get("/patterns?app=Payments");
+
+      expect(response.body.catalogs.map((c) => c.type)).toContain(
+        "servicelayer",
+      );
+    });
+
+    it("GET /patterns should return 404 for an unknown app", async () => {
+      const response = await request(patternsApp).get("/patterns?app=Nope");
+
+      expect(response.status).toBe(404);
+    });
+
+    it("POST /patterns/test should detect integrations in a snippet", async () => {
+      const response = await request(patternsApp).post("/patterns/test").send({
+        app: "Payments",
+        snippet:
+          "var client = new ServiceLayerClient();\nBackgroundJob.Enqueue(() => Run());",
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.types).toEqual(
+        expect.arrayContaining(["servicelayer", "background"]),
+      );
+    });
+
+    it("POST /patterns/test should require a snippet", async () => {
+      const response = await request(patternsApp)
+        .post("/patterns/test")
+        .send({ snippet: "  " });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("snippet parameter required");
+    });
+  });
+
+  describe("POST /map-environments", () => {
+    let environmentsApp;
+    let dir;
+
+    beforeEach(() => {
+      jest.spyOn(console, "log").mockImplementation(() => {});
+      dir = mkdtempSync(path.join(tmpdir(), "map-environments-"));
+      mkdirSync(path.join(dir, "Payments.Api"));
+      writeFileSync(
+        path.join(dir, "Payments.Api", "appsettings.json"),
+        JSON.stringify({
+          Payeezy: { BaseUrl: "https://cert.api.firstdata.com" },
+        }),
+      );
+      writeFileSync(
+        path.join(dir, "Payments.Api", "appsettings.QA.json"),
+        JSON.stringify({ Payeezy: { BaseUrl: "https://api.firstdata.com" } }),
+      );
+      writeFileSync(
+        path.join(dir, "Payments.Api", "appsettings.Production.json"),
+        JSON.stringify({ Payeezy: { BaseUrl: "https://api.firstdata.com" } }),
+      );
+
+      const detector = new IntegrationDetector();
+      const loadAppConfig = async (appName) => {
+        if (appName !== "Payments") {
+          throw new Error(`Application ${appName} not found in configuration`);
+        }
+        return { name: "Payments", path: dir };
+      };
+
+      environmentsApp = express();
+      environmentsApp.use(express.json());
+
+      environmentsApp.post("/map-environments", async (req, res) => {
+        try {
+          const { app: appName, environment } = req.body;
+          if (!appName) {
+            return res.status(400).json({
+              success: false,
+              error: "app parameter required",
+            });
+          }
+
+          const appConfig = await loadAppConfig(appName);
+          res.json({
+            success: true,
+            app: appName,
+            result: detector.discoverEnvironments(appConfig, { environment }),
+          });
+        } catch (error) {
+          res.status(
+            /not found in configuration/.test(error.message) ? 404 : 500,
+          );
+          res.json({ success: false, error: error.message });
+        }
+      });
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should map hosts per environment and report mismatches", async () => {
+      const response = await request(environmentsApp)
+        .post("/map-environments")
+        .send({ app: "Payments" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.result.environments).toEqual(["prod", "qa"]);
+      expect(response.body.result.mismatches).toEqual([
+        expect.objectContaining({
+          key: "Payeezy:BaseUrl",
+          environment: "qa",
+          reason: "qa uses the production host",
+        }),
+      ]);
+    });
+
+    it("should return 400 for missing app parameter", async () => {
+      const response = await request(environmentsApp)
+        .post("/map-environments")
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should return 404 for an unknown app", async () => {
+      const response = await request(environmentsApp)
+        .post("/map-environments")
+        .send({ app: "Nope" });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("POST /integration-graph", () => {
+    let graphApp;
+    let dir;
+    let scanApp;
+
+    beforeEach(() => {
+      jest.spyOn(console, "log").mockImplementation(() => {});
+      dir = mkdtempSync(path.join(tmpdir(), "integration-graph-"));
+      mkdirSync(path.join(dir, "PreCare.Api"));
+      writeFileSync(
+        path.join(dir, "PreCare.Api", "appsettings.QA.json"),
+        JSON.stringify({
+          PaymentsApi: { BaseUrl: "https://qapaymentsapi.example.com/" },
+        }),
+      );
+
+      const detector = new IntegrationDetector();
+      const appConfigs = [
+        { name: "Payments", path: dir, hosts: ["qapaymentsapi.example.com"] },
+        { name: "PreCare", path: dir },
+      ];
+      const loadAppConfig = async (appName) => {
+        const appConfig = appConfigs.find((a) => a.name === appName);
+        if (!appConfig) {
+          throw new Error(`Application ${appName} not found in configuration`);
+        }
+        return appConfig;
+      };
+
+      scanApp = jest.fn(async () => []);
+
+      graphApp = express();
+      graphApp.use(express.json());
+
+      graphApp.post("/integration-graph", async (req, res) => {
+        try {
+          const {
+            apps: appNames,
+            environment,
+            format = "json",
+            integrations: knownIntegrations = {},
+          } = req.body;
+
+          if (appNames !== undefined && !Array.isArray(appNames)) {
+            return res.status(400).json({
+              success: false,
+              error: "apps must be an array of app names",
+            });
+          }
+          if (!GRAPH_FORMATS.includes(format)) {
+            return res.status(400).json({
+              success: false,
+              error: `format must be one of ${GRAPH_FORMATS.join(", ")}`,
+            });
+          }
+          if (
+            typeof knownIntegrations !== "object" ||
+            knownIntegrations === null ||
+            Object.values(knownIntegrations).some(
+              (points) => !Array.isArray(points),
+            )
+          ) {
+            return res.status(400).json({
+              success: false,
+              error:
+                "integrations must map app names to arrays of integrations",
+            });
+          }
+
+          const selected = appNames
+            ? await Promise.all(appNames.map(loadAppConfig))
+            : appConfigs;
+          const apps = [];
+          for (const appConfig of selected) {
+            apps.push({
+              config: appConfig,
+              integrations:
+                knownIntegrations[appConfig.name] || (await scanApp(appConfig)),
+              environmentMap: detector.discoverEnvironments(appConfig, {
+                environment,
+              }),
+            });
+          }
+          const graph = buildIntegrationGraph(apps);
+
+          res.json({
+            success: true,
+            ...(format === "json"
+              ? { graph }
+              : { format, diagram: exportGraph(graph, format) }),
+          });
+        } catch (error) {
+          res.status(
+            /not found in configuration/.test(error.message) ? 404 : 500,
+          );
+          res.json({ success: false, error: error.message });
+        }
+      });
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should link apps that call each other's APIs", async () => {
+      const response = await request(graphApp)
+        .post("/integration-graph")
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.graph.edges).toEqual([
+        expect.objectContaining({
+          source: "app:PreCare",
+          target: "app:Payments",
+          protocol: "HTTP",
+          environment: "qa",
+          file: path.join("PreCare.Api", "appsettings.QA.json"),
+        }),
+      ]);
+    });
+
+    it("should export the graph as DOT", async () => {
+      const response = await request(graphApp)
+        .post("/integration-graph")
+        .send({ format: "dot" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.format).toBe("dot");
+      expect(response.body.diagram).toContain(
+        'app_PreCare -> app_Payments [label="HTTP (qa)"];',
+      );
+    });
+
+    it("should return 400 for an unknown format", async () => {
+      const response = await request(graphApp)
+        .post("/integration-graph")
+        .send({ format: "svg" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(
+        "format must be one of json, mermaid, dot, plantuml",
+      );
+    });
+
+    it("should return 404 for an unknown app", async () => {
+      const response = await request(graphApp)
+        .post("/integration-graph")
+        .send({ apps: ["Nope"] });
+
+      expect(response.status).toBe(404);
+    });
+
+    it("should only scan apps without given integrations", async () => {
+      const response = await request(graphApp)
+        .post("/integration-graph")
+        .send({
+          integrations: {
+            Payments: [
+              {
+                file: path.join(dir, "Payments.Api", "Ledger.cs"),
+                type: "database",
+                url: "https://ledger.example.com/",
+                method: "HTTP",
+                lineNumber: 4,
+              },
+            ],
+          },
+        });
+
+      expect(response.status).toBe(200);
+      expect(scanApp.mock.calls.map(([config]) => config.name)).toEqual([
+        "PreCare",
+      ]);
+      expect(response.body.graph.edges).toContainEqual(
+        expect.objectContaining({
+          source: "app:Payments",
+          target: "external:ledger.example.com",
+        }),
+      );
+    });
+
+    it("should return 400 for malformed integrations", async () => {
+      const response = await request(graphApp)
+        .post("/integration-graph")
+        .send({ integrations: { Payments: "none" } });
+
+      expect(response.status).toBe(400);
+      expect(scanApp).not.toHaveBeenCalled();
+    });
+  });
 });
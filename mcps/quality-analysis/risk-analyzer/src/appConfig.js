@@ -0,0 +1,22 @@
+import { readFileSync } from 'fs';
+
+/**
+ * Load an application's entry from config/apps.json
+ * Returns null when the config file or the app cannot be found
+ */
+export function getAppConfig(appName) {
+  try {
+    const configPath = process.env.CONFIG_PATH || '/app/config/apps.json';
+    const config = JSON.parse(readFileSync(configPath, 'utf-8'));
+
+    const app = config.applications.find(a => a.name === appName);
+    if (!app) {
+      throw new Error(`Application ${appName} not found in configuration`);
+    }
+
+    return app;
+  } catch (error) {
+    console.error('Error loading app config:', error.message);
+    return null;
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Risk score calibration against escaped defects
+ *
+ * Compares the levels the risk model predicted for past stories with the
+ * number of bugs later filed against them, and suggests weight changes
+ * that move the model toward the factors that actually tracked defects.
+ */
+
+export const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Minimum escaped defects for a story to count as each level
+export const DEFAULT_DEFECT_BANDS = {
+  low: 0,
+  medium: 1,
+  high: 2,
+  critical: 4
+};
+
+/**
+ * The level a story "should" have had given how many defects escaped
+ */
+export function expectedLevel(escapedDefects, bands = DEFAULT_DEFECT_BANDS) {
+  return [...RISK_LEVELS]
+    .reverse()
+    .find(level => escapedDefects >= bands[level]) || 'low';
+}
+
+/**
+ * Pearson correlation coefficient, or null when either series is constant
+ */
+export function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    covariance += dx * dy;
+    varianceX += dx * dx;
+    varianceY += dy * dy;
+  }
+
+  if (varianceX === 0 || varianceY === 0) return null;
+
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+/**
+ * Precision and recall of each predicted level against the defect bands
+ */
+export function levelMetrics(samples, bands = DEFAULT_DEFECT_BANDS) {
+  return Object.fromEntries(RISK_LEVELS.map(level => {
+    const predicted = samples.filter(s => s.level === level);
+    const actual = samples.filter(s => expectedLevel(s.escapedDefects, bands) === level);
+    const truePositives = predicted.filter(s => expectedLevel(s.escapedDefects, bands) === level);
+    const escapedDefects = predicted.reduce((sum, s) => sum + s.escapedDefects, 0);
+
+    return [level, {
+      predicted: predicted.length,
+      actual: actual.length,
+      precision: ratio(truePositives.length, predicted.length),
+      recall: ratio(truePositives.length, actual.length),
+      escapedDefects,
+      avgEscapedDefects: ratio(escapedDefects, predicted.length),
+      // Share of stories at this level that had at least one escaped defect
+      defectRate: ratio(predicted.filter(s => s.escapedDefects > 0).length, predicted.length)
+    }];
+  }));
+}
+
+/**
+ * Suggest new factor weights from how well each factor tracked escaped defects
+ *
+ * Each weight is nudged by (factor correlation - mean correlation) × learningRate,
+ * floored at minWeight and rescaled so the weights sum to 1.
+ */
+export function suggestWeights(samples, profile, options = {}) {
+  const learningRate = options.learningRate ?? 0.5;
+  const minWeight = options.minWeight ?? 0.02;
+
+  const defects = samples.map(s => s.escapedDefects);
+
+  const correlations = Object.fromEntries(profile.enabledFactors.map(factor => {
+    const scores = samples.map(s => s.factors?.[factor]?.score);
+    const usable = scores.every(score => typeof score === 'number');
+    return [factor, usable ? pearson(scores, defects) : null];
+  }));
+
+  const known = Object.values(correlations).filter(c => c !== null);
+  const meanCorrelation = known.length > 0
+    ? known.reduce((a, b) => a + b, 0) / known.length
+    : 0;
+
+  const raw = Object.fromEntries(profile.enabledFactors.map(factor => {
+    const correlation = correlations[factor] ?? meanCorrelation;
+    const adjusted = profile.weights[factor] * (1 + learningRate * (correlation - meanCorrelation));
+    return [factor, Math.max(minWeight, adjusted)];
+  }));
+
+  const total = Object.values(raw).reduce((a, b) => a + b, 0);
+
+  return Object.fromEntries(profile.enabledFactors.map(factor => {
+    const current = profile.weights[factor];
+    const suggested = Math.round((raw[factor] / total) * 1000) / 1000;
+
+    return [factor, {
+      current: Math.round(current * 1000) / 1000,
+      suggested,
+      change: Math.round((suggested - current) * 1000) / 1000,
+      correlation: correlations[factor] === null ? null : Math.round(correlations[factor] * 1000) / 1000
+    }];
+  }));
+}
+
+/**
+ * Build a calibration report
+ *
+ * @param {Array} samples - [{ storyId, score, level, factors, escapedDefects }]
+ * @param {Object} profile - Normalized risk profile the samples were scored with
+ */
+export function calibrate(samples, profile, options = {}) {
+  const bands = { ...DEFAULT_DEFECT_BANDS, ...(options.defectBands || {}) };
+  const minSamples = options.minSamples ?? 10;
+
+  const correct = samples.filter(s => s.level === expectedLevel(s.escapedDefects, bands));
+  const scoreCorrelation = pearson(
+    samples.map(s => s.score),
+    samples.map(s => s.escapedDefects)
+  );
+
+  const weights = suggestWeights(samples, profile, options);
+
+  const warnings = [];
+  if (samples.length < minSamples) {
+    warnings.push(`Only ${samples.length} stories - at least ${minSamples} are needed for reliable suggestions`);
+  }
+  if (samples.every(s => s.escapedDefects === 0)) {
+    warnings.push('No escaped defects found - weight suggestions cannot be derived');
+  }
+
+  return {
+    profile: profile.name,
+    defectBands: bands,
+    summary: {
+      stories: samples.length,
+      storiesWithEscapedDefects: samples.filter(s => s.escapedDefects > 0).length,
+      escapedDefects: samples.reduce((sum, s) => sum + s.escapedDefects, 0),
+      accuracy: ratio(correct.length, samples.length),
+      scoreCorrelation: scoreCorrelation === null ? null : Math.round(scoreCorrelation * 1000) / 1000
+    },
+    levels: levelMetrics(samples, bands),
+    weights,
+    suggestedProfile: {
+      weights: Object.fromEntries(
+        Object.entries(weights).map(([factor, w]) => [factor, w.suggested])
+      ),
+      levels: profile.levels,
+      enabledFactors: profile.enabledFactors
+    },
+    reliable: warnings.length === 0,
+    warnings
+  };
+}
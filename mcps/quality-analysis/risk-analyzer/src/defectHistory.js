@@ -0,0 +1,169 @@
+import axios from 'axios';
+import path from 'path';
+
+const PARENT_LINK = 'System.LinkTypes.Hierarchy-Reverse';
+
+// Most bugs a file or area query returns; the newest are kept
+const MAX_BUGS_PER_QUERY = 200;
+
+/**
+ * Extract the numeric work item ID from an ADO relation URL
+ * e.g. https://dev.azure.com/org/_apis/wit/workItems/123 -> 123
+ */
+function idFromRelationUrl(url) {
+  const match = (url || '').match(/workItems\/(\d+)$/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Get the parent work item ID (usually the Feature) of a work item
+ */
+export function getParentId(workItem) {
+  const parent = (workItem.relations || []).find(r => r.rel === PARENT_LINK);
+  return parent ? idFromRelationUrl(parent.url) : null;
+}
+
+/**
+ * Get IDs of all work items linked to a work item (excluding artifact links,
+ * hyperlinks and attachments)
+ */
+export function getLinkedIds(workItem) {
+  return (workItem.relations || [])
+    .filter(r => (r.rel || '').startsWith('System.LinkTypes'))
+    .map(r => idFromRelationUrl(r.url))
+    .filter(id => id !== null);
+}
+
+/**
+ * Number of times a bug has been reopened
+ * Uses a Custom.ReopenCount field when the process defines one, otherwise
+ * counts a "Reopened" tag and a current "Reactivated" state reason
+ */
+export function getReopenCount(fields = {}) {
+  const customCount = parseInt(fields['Custom.ReopenCount'], 10);
+  if (!isNaN(customCount)) {
+    return customCount;
+  }
+
+  const tags = (fields['System.Tags'] || '').toLowerCase().split(';').map(t => t.trim());
+  let count = tags.includes('reopened') ? 1 : 0;
+
+  if (/reactivated|reopened/i.test(fields['System.Reason'] || '')) {
+    count = Math.max(count, 1);
+  }
+
+  return count;
+}
+
+function escapeWiql(value) {
+  return String(value).replace(/'/g, "''");
+}
+
+export class DefectHistory {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || process.env.AZURE_DEVOPS_MCP_URL || 'http://azure-devops:8100';
+    this.timeout = options.timeout || 15000;
+  }
+
+  async queryWorkItems(body) {
+    const response = await axios.post(`${this.baseUrl}/work-items/query`, body, {
+      timeout: this.timeout
+    });
+
+    return response.data?.data || [];
+  }
+
+  /**
+   * Find Bug work items related to a story
+   *
+   * Sources:
+   * - story:   bugs linked directly to the story
+   * - feature: bugs linked to the story's parent work item
+   * - file:    bugs whose title or repro steps mention an affected file
+   * - area:    bugs in the story's area path
+   *
+   * File and area matches are limited to bugs created within windowDays,
+   * newest first, and to MAX_BUGS_PER_QUERY per query.
+   * Returns { parentId, areaPath, bugs: [{ workItem, sources, files }] }
+   */
+  async findRelatedBugs(storyId, affectedFiles, windowDays) {
+    const [story] = await this.queryWorkItems({ workItemIds: [parseInt(storyId, 10)] });
+    if (!story) {
+      throw new Error(`Work item ${storyId} not found`);
+    }
+
+    const parentId = getParentId(story);
+    const parent = parentId
+      ? (await this.queryWorkItems({ workItemIds: [parentId] }))[0]
+      : null;
+
+    const bugs = new Map();
+    const addBugs = (workItems, source) => {
+      workItems
+        .filter(wi => wi.id !== story.id && wi.fields?.['System.WorkItemType'] === 'Bug')
+        .forEach(wi => {
+          if (!bugs.has(wi.id)) {
+            bugs.set(wi.id, { workItem: wi, sources: [], files: [] });
+          }
+          const entry = bugs.get(wi.id);
+          if (!entry.sources.includes(source)) {
+            entry.sources.push(source);
+          }
+        });
+    };
+
+    const storyLinks = getLinkedIds(story).filter(id => id !== parentId);
+    if (storyLinks.length > 0) {
+      addBugs(await this.queryWorkItems({ workItemIds: storyLinks }), 'story');
+    }
+
+    if (parent) {
+      const parentLinks = getLinkedIds(parent).filter(id => id !== story.id);
+      if (parentLinks.length > 0) {
+        addBugs(await this.queryWorkItems({ workItemIds: parentLinks }), 'feature');
+      }
+    }
+
+    const fileNames = [...new Set(affectedFiles.map(f => path.basename(f)))];
+    if (fileNames.length > 0) {
+      const fileConditions = fileNames
+        .map(name => `[System.Title] CONTAINS '${escapeWiql(name)}' OR [Microsoft.VSTS.TCM.ReproSteps] CONTAINS '${escapeWiql(name)}'`)
+        .join(' OR ');
+
+      const fileBugs = await this.queryWorkItems({
+        query: `SELECT [System.Id] FROM WorkItems
+          WHERE [System.WorkItemType] = 'Bug'
+          AND [System.CreatedDate] >= @Today - ${windowDays}
+          AND (${fileConditions})
+          ORDER BY [System.CreatedDate] DESC`,
+        top: MAX_BUGS_PER_QUERY
+      });
+      addBugs(fileBugs, 'file');
+
+      fileBugs.forEach(wi => {
+        const entry = bugs.get(wi.id);
+        if (!entry) return;
+        const text = `${wi.fields['System.Title'] || ''} ${wi.fields['Microsoft.VSTS.TCM.ReproSteps'] || ''}`;
+        entry.files = fileNames.filter(name => text.includes(name));
+      });
+    }
+
+    const areaPath = story.fields?.['System.AreaPath'];
+    if (areaPath) {
+      addBugs(await this.queryWorkItems({
+        query: `SELECT [System.Id] FROM WorkItems
+          WHERE [System.WorkItemType] = 'Bug'
+          AND [System.AreaPath] UNDER '${escapeWiql(areaPath)}'
+          AND [System.CreatedDate] >= @Today - ${windowDays}
+          ORDER BY [System.CreatedDate] DESC`,
+        top: MAX_BUGS_PER_QUERY
+      }), 'area');
+    }
+
+    return {
+      parentId,
+      areaPath: areaPath || null,
+      bugs: [...bugs.values()]
+    };
+  }
+}
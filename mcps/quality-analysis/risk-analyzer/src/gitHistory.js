@@ -0,0 +1,110 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { getAppConfig } from './appConfig.js';
+
+const execFileAsync = promisify(execFile);
+
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+
+/**
+ * Resolve the repository path for an app from config/apps.json
+ * Falls back to the conventional /mnt/apps/<app> mount
+ */
+export function getAppRepoPath(appName) {
+  return getAppConfig(appName)?.path || `/mnt/apps/${appName}`;
+}
+
+/**
+ * Parse `git log --numstat` output produced with the record/field
+ * separators used by GitHistory.getFileStats
+ *
+ * Returns per-file stats keyed by repo-relative path:
+ * { commits, authors, additions, deletions, churn, lastModified }
+ */
+export function parseGitLog(output) {
+  const files = {};
+
+  const records = output.split(RECORD_SEPARATOR).filter(r => r.trim());
+
+  for (const record of records) {
+    const [header, ...lines] = record.split('\n');
+    const [hash, author, date] = header.split(FIELD_SEPARATOR);
+    if (!hash) continue;
+
+    for (const line of lines) {
+      const [added, deleted, filePath] = line.split('\t');
+      if (!filePath) continue;
+
+      if (!files[filePath]) {
+        files[filePath] = {
+          commits: 0,
+          authors: new Set(),
+          additions: 0,
+          deletions: 0,
+          lastModified: null
+        };
+      }
+
+      const stats = files[filePath];
+      stats.commits++;
+      stats.authors.add((author || '').toLowerCase());
+      // Binary files report '-' for line counts
+      stats.additions += parseInt(added, 10) || 0;
+      stats.deletions += parseInt(deleted, 10) || 0;
+
+      // git log is newest first, so the first date seen is the latest
+      if (!stats.lastModified && date) {
+        stats.lastModified = date;
+      }
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(files).map(([filePath, stats]) => [
+      filePath,
+      {
+        commits: stats.commits,
+        authors: stats.authors.size,
+        additions: stats.additions,
+        deletions: stats.deletions,
+        churn: stats.additions + stats.deletions,
+        lastModified: stats.lastModified
+      }
+    ])
+  );
+}
+
+export class GitHistory {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 15000;
+    this.maxBuffer = options.maxBuffer || 20 * 1024 * 1024;
+  }
+
+  /**
+   * Collect commit count, distinct authors and churn per file
+   *
+   * @param {string} repoPath - Path to the git working tree
+   * @param {string[]} files - Partial paths (e.g. Services/UserService.cs); matched at any depth
+   * @param {number} windowDays - How far back to look
+   */
+  async getFileStats(repoPath, files, windowDays) {
+    const pathspecs = files.map(file => `:(glob)**/${file.replace(/^\/+/, '')}`);
+
+    const { stdout } = await execFileAsync('git', [
+      // Repos are mounted read-only and owned by the host user
+      '-c', 'safe.directory=*',
+      '-C', repoPath,
+      'log',
+      `--since=${windowDays} days ago`,
+      '--no-merges',
+      '--no-renames',
+      '--numstat',
+      `--format=${RECORD_SEPARATOR}%H${FIELD_SEPARATOR}%ae${FIELD_SEPARATOR}%aI`,
+      '--',
+      ...pathspecs
+    ], { timeout: this.timeout, maxBuffer: this.maxBuffer });
+
+    return parseGitLog(stdout);
+  }
+}
@@ -1,10 +1,14 @@
 import express from "express";
+import { tracingMiddleware } from "../../../shared/tracing.js";
 import { RiskScorer } from "./riskScorer.js";
+import { resolveRiskProfile, listRiskProfiles } from "./riskProfiles.js";
+import { calibrate } from "./calibration.js";
 
 const app = express();
 const PORT = process.env.PORT || 3009;
 
 app.use(express.json());
+app.use(tracingMiddleware("risk-analyzer"));
 
 const riskScorer = new RiskScorer();
 
@@ -19,7 +23,7 @@ app.get("/health", (req, res) => {
 
 app.post("/analyze-risk", async (req, res) => {
   try {
-    const { app: appName, story } = req.body;
+    const { app: appName, story, profile: profileName, noCache } = req.body;
 
     if (!appName) {
       return res.status(400).json({
@@ -36,12 +40,25 @@ app.post("/analyze-risk", async (req, res) => {
       });
     }
 
+    const profile = resolveRiskProfile(appName, profileName);
+    if (!profile) {
+      return res.status(400).json({
+        success: false,
+        error: unknownProfileError(profileName),
+      });
+    }
+
     console.log(
       `[risk-analyzer] Analyzing story ${story.id} for app ${appName}...`,
     );
 
-    // Calculate risk using the RiskScorer
-    const riskAnalysis = await riskScorer.calculateRisk(appName, story);
+    // Calculate risk using the RiskScorer; noCache re-runs the AI assessment
+    const riskAnalysis = await riskScorer.calculateRisk(
+      appName,
+      story,
+      profile,
+      { noCache: noCache === true },
+    );
 
     console.log(
       `[risk-analyzer] Risk analysis complete: ${riskAnalysis.level} (${riskAnalysis.score}/100)`,
@@ -51,6 +68,7 @@ app.post("/analyze-risk", async (req, res) => {
       success: true,
       app: appName,
       storyId: story.id,
+      profile: riskAnalysis.profile,
       timestamp: new Date().toISOString(),
       result: {
         risk: riskAnalysis,
@@ -76,7 +94,13 @@ app.post("/analyze-risk", async (req, res) => {
  */
 app.post("/risk-matrix", async (req, res) => {
   try {
-    const { app: appName, story, acceptanceCriteria } = req.body;
+    const {
+      app: appName,
+      story,
+      acceptanceCriteria,
+      profile: profileName,
+      noCache,
+    } = req.body;
 
     if (!appName) {
       return res.status(400).json({
@@ -92,30 +116,33 @@ app.post("/risk-matrix", async (req, res) => {
       });
     }
 
+    const profile = resolveRiskProfile(appName, profileName);
+    if (!profile) {
+      return res.status(400).json({
+        success: false,
+        error: unknownProfileError(profileName),
+      });
+    }
+
     console.log(
       `[risk-analyzer] Calculating QE Risk Matrix for story ${story.id}...`,
     );
 
     // Calculate full risk analysis
-    const riskAnalysis = await riskScorer.calculateRisk(appName, story);
+    const riskAnalysis = await riskScorer.calculateRisk(
+      appName,
+      story,
+      profile,
+      { noCache: noCache === true },
+    );
+
+    const probabilityScore = calculateProbabilityScore(riskAnalysis.factors);
 
     // Build QE Risk Matrix (Probability × Impact)
     const riskMatrix = {
       probability: {
-        score: Math.round(
-          riskAnalysis.factors.complexity.score * 0.25 +
-            riskAnalysis.factors.changeFrequency.score * 0.2 +
-            riskAnalysis.factors.integration.score * 0.25 +
-            (100 - riskAnalysis.factors.coverage.score) * 0.15 +
-            riskAnalysis.factors.defectHistory.score * 0.15,
-        ),
-        level: getProbabilityLevel(
-          riskAnalysis.factors.complexity.score * 0.25 +
-            riskAnalysis.factors.changeFrequency.score * 0.2 +
-            riskAnalysis.factors.integration.score * 0.25 +
-            (100 - riskAnalysis.factors.coverage.score) * 0.15 +
-            riskAnalysis.factors.defectHistory.score * 0.15,
-        ),
+        score: Math.round(probabilityScore),
+        level: getProbabilityLevel(probabilityScore),
         factors: {
           codeComplexity: {
             score: riskAnalysis.factors.complexity.score,
@@ -136,6 +163,7 @@ app.post("/risk-matrix", async (req, res) => {
           defectHistory: {
             score: riskAnalysis.factors.defectHistory.score,
             reason: riskAnalysis.factors.defectHistory.description,
+            bugIds: riskAnalysis.factors.defectHistory.details?.bugIds || [],
           },
         },
       },
@@ -158,6 +186,15 @@ app.post("/risk-matrix", async (req, res) => {
         level: riskAnalysis.level,
         recommendation: getTestDepthRecommendation(riskAnalysis.level),
       },
+      profile: riskAnalysis.profile,
+      model: riskAnalysis.model,
+      // Raw factor scores behind the matrix, for risk history
+      factorScores: Object.fromEntries(
+        Object.entries(riskAnalysis.factors).map(([name, factor]) => [
+          name,
+          { score: factor.score, ...(factor.disabled && { disabled: true }) },
+        ]),
+      ),
     };
 
     // Map ACs to risk levels if provided
@@ -221,6 +258,7 @@ app.post("/risk-matrix", async (req, res) => {
       success: true,
       app: appName,
       storyId: story.id,
+      profile: riskAnalysis.profile,
       timestamp: new Date().toISOString(),
       riskMatrix,
       acRiskMapping,
@@ -260,7 +298,220 @@ app.post("/risk-matrix", async (req, res) => {
   }
 });
 
+/**
+ * List available risk profiles
+ * GET /profiles
+ */
+app.get("/profiles", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      profiles: listRiskProfiles(),
+    });
+  } catch (error) {
+    console.error(`[risk-analyzer] Profiles error:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * AI response cache hit/miss counters
+ * GET /ai-cache
+ */
+app.get("/ai-cache", async (req, res) => {
+  try {
+    const { getCacheStats } = await import("../../../shared/aiClient.js");
+    res.json({
+      success: true,
+      cache: getCacheStats(),
+    });
+  } catch (error) {
+    console.error(`[risk-analyzer] AI cache stats error:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Re-score a story under two or more risk profiles side by side
+ * POST /compare-profiles
+ * Pass `factors` from a previous /analyze-risk result to re-score a past
+ * assessment without re-running the analyzers
+ */
+app.post("/compare-profiles", async (req, res) => {
+  try {
+    const { app: appName, story, profiles, factors } = req.body;
+
+    if (!appName) {
+      return res.status(400).json({
+        success: false,
+        error: "app parameter required",
+      });
+    }
+
+    if (!story && !factors) {
+      return res.status(400).json({
+        success: false,
+        error: "story or factors parameter required",
+      });
+    }
+
+    if (!Array.isArray(profiles) || profiles.length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: "profiles parameter required (array of at least 2 names)",
+      });
+    }
+
+    const resolved = profiles.map((name) => resolveRiskProfile(appName, name));
+    const missing = profiles.filter((name, i) => !resolved[i]);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: unknownProfileError(missing.join(", ")),
+      });
+    }
+
+    console.log(
+      `[risk-analyzer] Comparing profiles ${profiles.join(" vs ")} for story ${story?.id}...`,
+    );
+
+    const comparison = await riskScorer.compareProfiles(
+      appName,
+      story || {},
+      resolved,
+      factors || null,
+    );
+
+    res.json({
+      success: true,
+      app: appName,
+      storyId: story?.id,
+      timestamp: new Date().toISOString(),
+      comparison,
+    });
+  } catch (error) {
+    console.error(`[risk-analyzer] Profile comparison error:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Calibrate risk levels against escaped defects
+ * POST /calibrate
+ * Each sample is a past story's risk result plus the number of bugs later
+ * filed against it. Samples with factors are re-scored under the profile
+ * being calibrated; others keep their recorded score and level.
+ */
+app.post("/calibrate", (req, res) => {
+  try {
+    const {
+      app: appName,
+      samples,
+      profile: profileName,
+      defectBands,
+      minSamples,
+    } = req.body;
+
+    if (!appName) {
+      return res.status(400).json({
+        success: false,
+        error: "app parameter required",
+      });
+    }
+
+    if (!Array.isArray(samples) || samples.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "samples parameter required (array of { storyId, score, level, factors, escapedDefects })",
+      });
+    }
+
+    const profile = resolveRiskProfile(appName, profileName);
+    if (!profile) {
+      return res.status(400).json({
+        success: false,
+        error: unknownProfileError(profileName),
+      });
+    }
+
+    console.log(
+      `[risk-analyzer] Calibrating profile ${profile.name} against ${samples.length} stories...`,
+    );
+
+    const scored = samples.map((sample) => {
+      const escapedDefects = Number(sample.escapedDefects) || 0;
+
+      if (!sample.factors) {
+        return { ...sample, escapedDefects };
+      }
+
+      const { score, level } = riskScorer.scoreFactors(
+        riskScorer.completeFactors(sample.factors),
+        profile,
+      );
+      return { ...sample, score, level, escapedDefects };
+    });
+
+    res.json({
+      success: true,
+      app: appName,
+      timestamp: new Date().toISOString(),
+      calibration: calibrate(scored, profile, { defectBands, minSamples }),
+    });
+  } catch (error) {
+    console.error(`[risk-analyzer] Calibration error:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+function unknownProfileError(profileName) {
+  const available = listRiskProfiles()
+    .map((p) => p.name)
+    .join(", ");
+  return `Unknown risk profile: ${profileName} (available: ${available})`;
+}
+
 // Helper functions for QE Risk Matrix
+
+/**
+ * Probability score from the likelihood factors
+ * Factors disabled by the risk profile are left out and the remaining
+ * weights rescaled
+ */
+function calculateProbabilityScore(factors) {
+  const parts = [
+    ["complexity", 0.25, (score) => score],
+    ["changeFrequency", 0.2, (score) => score],
+    ["integration", 0.25, (score) => score],
+    ["coverage", 0.15, (score) => 100 - score],
+    ["defectHistory", 0.15, (score) => score],
+  ].filter(([factor]) => !factors[factor].disabled);
+
+  const totalWeight = parts.reduce((sum, [, weight]) => sum + weight, 0);
+  if (totalWeight === 0) return 0;
+
+  return (
+    parts.reduce(
+      (sum, [factor, weight, transform]) =>
+        sum + transform(factors[factor].score) * weight,
+      0,
+    ) / totalWeight
+  );
+}
+
 function getProbabilityLevel(score) {
   if (score >= 80) return "Very High";
   if (score >= 60) return "High";
@@ -342,5 +593,9 @@ app.listen(PORT, () => {
   console.log("Endpoints:");
   console.log("  POST /analyze-risk");
   console.log("  POST /risk-matrix");
+  console.log("  POST /compare-profiles");
+  console.log("  POST /calibrate");
+  console.log("  GET  /profiles");
+  console.log("  GET  /ai-cache");
   console.log("  GET  /health");
 });
@@ -0,0 +1,120 @@
+import { readFileSync, existsSync } from 'fs';
+import { getAppConfig } from './appConfig.js';
+
+export const RISK_FACTORS = [
+  'complexity',
+  'coverage',
+  'integration',
+  'changeFrequency',
+  'businessImpact',
+  'defectHistory'
+];
+
+export const DEFAULT_PROFILE = {
+  description: 'Balanced risk model used when no profile is configured',
+  weights: {
+    complexity: 0.20,
+    coverage: 0.15,
+    integration: 0.25,
+    changeFrequency: 0.10,
+    businessImpact: 0.20,
+    defectHistory: 0.10
+  },
+  // Minimum score for each level; anything below medium is low
+  levels: {
+    critical: 100,
+    high: 60,
+    medium: 30
+  },
+  enabledFactors: RISK_FACTORS
+};
+
+/**
+ * Load named profiles from config/risk-profiles.json
+ * The built-in default profile is always available and can be overridden
+ */
+export function loadRiskProfiles() {
+  const profilesPath = process.env.RISK_PROFILES_PATH || '/app/config/risk-profiles.json';
+
+  if (!existsSync(profilesPath)) {
+    return { default: DEFAULT_PROFILE };
+  }
+
+  try {
+    const config = JSON.parse(readFileSync(profilesPath, 'utf-8'));
+    return { default: DEFAULT_PROFILE, ...(config.profiles || {}) };
+  } catch (error) {
+    console.error('Error loading risk profiles:', error.message);
+    return { default: DEFAULT_PROFILE };
+  }
+}
+
+/**
+ * Fill a profile from the defaults, drop disabled factors from the weights
+ * and rescale the remaining weights so they sum to 1
+ */
+export function normalizeProfile(name, profile, source) {
+  const enabledFactors = (profile.enabledFactors || RISK_FACTORS)
+    .filter(factor => RISK_FACTORS.includes(factor));
+
+  const rawWeights = { ...DEFAULT_PROFILE.weights, ...(profile.weights || {}) };
+  const total = enabledFactors.reduce((sum, factor) => sum + rawWeights[factor], 0);
+
+  const weights = Object.fromEntries(
+    enabledFactors.map(factor => [
+      factor,
+      // Leave weights that already sum to 1 untouched to avoid float drift
+      total > 0 && Math.abs(total - 1) > 1e-9 ? rawWeights[factor] / total : rawWeights[factor]
+    ])
+  );
+
+  return {
+    name,
+    source,
+    description: profile.description || '',
+    weights,
+    levels: { ...DEFAULT_PROFILE.levels, ...(profile.levels || {}) },
+    enabledFactors
+  };
+}
+
+/**
+ * Resolve the risk profile for an app
+ *
+ * Order: explicit profile name > app's `riskProfile` in config/apps.json > default
+ * An app's `riskProfile` may be a profile name or an inline profile object.
+ * Returns null when an explicitly requested profile does not exist.
+ */
+export function resolveRiskProfile(appName, profileName) {
+  const profiles = loadRiskProfiles();
+
+  if (profileName) {
+    return profiles[profileName]
+      ? normalizeProfile(profileName, profiles[profileName], 'request')
+      : null;
+  }
+
+  const appProfile = getAppConfig(appName)?.riskProfile;
+
+  if (appProfile && typeof appProfile === 'object') {
+    return normalizeProfile(appProfile.name || `${appName}-custom`, appProfile, 'app');
+  }
+
+  if (appProfile) {
+    if (profiles[appProfile]) {
+      return normalizeProfile(appProfile, profiles[appProfile], 'app');
+    }
+    console.warn(`Risk profile '${appProfile}' for ${appName} not found - using default`);
+  }
+
+  return normalizeProfile('default', profiles.default, 'default');
+}
+
+/**
+ * List all named profiles in normalized form
+ */
+export function listRiskProfiles() {
+  return Object.entries(loadRiskProfiles()).map(([name, profile]) =>
+    normalizeProfile(name, profile, 'config')
+  );
+}
@@ -1,48 +1,175 @@
 import axios from 'axios';
 import path from 'path';
 import fs from 'fs';
+import { GitHistory, getAppRepoPath } from './gitHistory.js';
+import { DefectHistory, getReopenCount } from './defectHistory.js';
+import { DEFAULT_PROFILE, RISK_FACTORS, resolveRiskProfile } from './riskProfiles.js';
 
 export class RiskScorer {
-  constructor() {
-    this.weights = {
-      complexity: 0.20,
-      coverage: 0.15,
-      integration: 0.25,
-      changeFrequency: 0.10,
-      businessImpact: 0.20,
-      defectHistory: 0.10
+  constructor(options = {}) {
+    this.gitHistory = options.gitHistory || new GitHistory();
+    this.changeFrequencyWindowDays = options.changeFrequencyWindowDays ||
+      parseInt(process.env.CHANGE_FREQUENCY_WINDOW_DAYS, 10) || 90;
+
+    this.defectHistory = options.defectHistory || new DefectHistory();
+    this.defectWindowDays = options.defectWindowDays ||
+      parseInt(process.env.DEFECT_HISTORY_WINDOW_DAYS, 10) || 365;
+    // Age at which a bug counts half as much as a new one
+    this.defectHalfLifeDays = 180;
+
+    this.severityWeights = {
+      '1 - Critical': 1.0,
+      '2 - High': 0.7,
+      '3 - Medium': 0.4,
+      '4 - Low': 0.2
     };
+
+    // How strongly a bug relates to the story, by how it was found
+    this.defectSourceWeights = {
+      story: 1.0,
+      feature: 0.8,
+      file: 0.7,
+      area: 0.4
+    };
+
+    // Per-file values at which each volatility signal saturates
+    this.changeFrequencyThresholds = {
+      commits: 20,
+      authors: 5,
+      churn: 1000
+    };
+
+    this.weights = { ...DEFAULT_PROFILE.weights };
+
+    this.factorAnalyzers = {
+      complexity: this.analyzeComplexity,
+      coverage: this.analyzeCoverage,
+      integration: this.analyzeIntegrationRisk,
+      changeFrequency: this.analyzeChangeFrequency,
+      businessImpact: this.analyzeBusinessImpact,
+      defectHistory: this.analyzeDefectHistory
+    };
+  }
+
+  /**
+   * Calculate overall risk for a story under a risk profile
+   * Uses the app's configured profile (or the default) when none is given;
+   * options.noCache re-runs the AI assessment instead of reusing a cached one
+   */
+  async calculateRisk(app, story, profile = resolveRiskProfile(app), options = {}) {
+    console.log(`Calculating risk for story ${story.id} in app ${app} (profile: ${profile.name})`);
+
+    const factors = await this.analyzeFactors(app, story, profile.enabledFactors, options);
+
+    return {
+      ...this.scoreFactors(factors, profile),
+      // AI model behind the business impact factor, null when it fell back to keywords
+      model: factors.businessImpact.details?.model || null,
+      // When the AI assessment was answered from the response cache
+      cachedAt: factors.businessImpact.details?.cachedAt || null
+    };
+  }
+
+  /**
+   * Run the analyzers for the enabled factors
+   * Disabled factors are reported with a zero score so consumers can rely on
+   * every factor key being present
+   */
+  async analyzeFactors(app, story, enabledFactors = RISK_FACTORS, options = {}) {
+    const factors = {};
+
+    for (const factor of RISK_FACTORS) {
+      factors[factor] = enabledFactors.includes(factor)
+        ? await this.factorAnalyzers[factor].call(this, app, story, options)
+        : this.disabledFactor();
+    }
+
+    return factors;
   }
 
-  async calculateRisk(app, story) {
-    console.log(`Calculating risk for story ${story.id} in app ${app}`);
+  /**
+   * Past assessments may predate a factor; treat missing ones as disabled
+   */
+  completeFactors(factors) {
+    return Object.fromEntries(
+      RISK_FACTORS.map(factor => [factor, factors[factor] || this.disabledFactor()])
+    );
+  }
 
-    const factors = {
-      complexity: await this.analyzeComplexity(app, story),
-      coverage: await this.analyzeCoverage(app, story),
-      integration: await this.analyzeIntegrationRisk(app, story),
-      changeFrequency: await this.analyzeChangeFrequency(app, story),
-      businessImpact: await this.analyzeBusinessImpact(app, story),
-      defectHistory: await this.analyzeDefectHistory(app, story)
+  disabledFactor() {
+    return {
+      score: 0,
+      disabled: true,
+      details: {},
+      description: 'Disabled by risk profile'
     };
+  }
 
-    const totalScore = Object.keys(factors).reduce((sum, key) => {
-      return sum + (factors[key].score * this.weights[key]);
+  /**
+   * Combine factor scores using a profile's weights and level cutoffs
+   */
+  scoreFactors(factors, profile) {
+    const contributions = Object.fromEntries(
+      profile.enabledFactors.map(factor => [
+        factor,
+        Math.round(factors[factor].score * profile.weights[factor] * 10) / 10
+      ])
+    );
+
+    const totalScore = profile.enabledFactors.reduce((sum, factor) => {
+      return sum + (factors[factor].score * profile.weights[factor]);
     }, 0);
 
     return {
       score: Math.round(totalScore),
-      level: this.getRiskLevel(totalScore),
+      level: this.getRiskLevel(totalScore, profile.levels),
       factors,
-      weights: this.weights,
-      recommendations: this.generateRecommendations(factors, totalScore)
+      weights: profile.weights,
+      contributions,
+      profile: {
+        name: profile.name,
+        source: profile.source,
+        description: profile.description,
+        levels: profile.levels,
+        enabledFactors: profile.enabledFactors
+      },
+      recommendations: this.generateRecommendations(factors, totalScore, profile.levels)
+    };
+  }
+
+  /**
+   * Re-score the same story under several profiles
+   * Factors are analyzed once for every factor any profile enables, or taken
+   * from a previous assessment when `factors` is supplied
+   */
+  async compareProfiles(app, story, profiles, factors = null) {
+    const enabledFactors = RISK_FACTORS.filter(factor =>
+      profiles.some(profile => profile.enabledFactors.includes(factor))
+    );
+
+    const analyzed = this.completeFactors(
+      factors || await this.analyzeFactors(app, story, enabledFactors)
+    );
+
+    const results = profiles.map(profile => {
+      const { score, level, weights, contributions, profile: summary } = this.scoreFactors(analyzed, profile);
+      return { profile: summary, score, level, weights, contributions };
+    });
+
+    return {
+      factors: analyzed,
+      results,
+      difference: {
+        score: results[results.length - 1].score - results[0].score,
+        levelChanged: new Set(results.map(r => r.level)).size > 1
+      }
     };
   }
 
-  getRiskLevel(score) {
-    if (score >= 100) return 'critical';
-    if (score >= 60) return 'high';
-    if (score >= 30) return 'medium';
+  getRiskLevel(score, levels = DEFAULT_PROFILE.levels) {
+    if (score >= levels.critical) return 'critical';
+    if (score >= levels.high) return 'high';
+    if (score >= levels.medium) return 'medium';
     return 'low';
   }
 
@@ -217,45 +344,95 @@ export class RiskScorer {
   }
 
   async analyzeChangeFrequency(app, story) {
-    // Simplified implementation - in production would query git history
-    // For now, return moderate risk based on story complexity indicators
+    const affectedFiles = this.extractAffectedFiles(story);
+    const windowDays = this.changeFrequencyWindowDays;
+
+    if (affectedFiles.length === 0) {
+      return {
+        score: 30,
+        details: {
+          windowDays,
+          fileCount: 0,
+          hotFiles: []
+        },
+        description: 'No affected files specified - baseline change frequency assumed'
+      };
+    }
 
-    const description = story.description || '';
-    const acceptanceCriteria = story.acceptanceCriteria || '';
-    const combined = (description + acceptanceCriteria).toLowerCase();
+    try {
+      const repoPath = getAppRepoPath(app);
+      const history = await this.gitHistory.getFileStats(repoPath, affectedFiles, windowDays);
+
+      const fileStats = affectedFiles.map(file => {
+        // History paths are repo-relative; affected files may be partial paths
+        const matches = Object.entries(history)
+          .filter(([historyPath]) => historyPath === file || historyPath.endsWith(`/${file}`))
+          .map(([, stats]) => stats);
+
+        const stats = {
+          file,
+          commits: matches.reduce((sum, m) => sum + m.commits, 0),
+          authors: matches.reduce((max, m) => Math.max(max, m.authors), 0),
+          churn: matches.reduce((sum, m) => sum + m.churn, 0)
+        };
 
-    // Simple heuristic: look for keywords indicating complexity
-    let score = 30; // baseline
+        const volatility = this.scoreFileVolatility(stats);
 
-    if (combined.includes('refactor') || combined.includes('redesign')) {
-      score += 20;
-    }
-    if (combined.includes('legacy') || combined.includes('old code')) {
-      score += 15;
-    }
-    if (combined.includes('migration') || combined.includes('upgrade')) {
-      score += 15;
+        return {
+          ...stats,
+          score: Math.round(volatility),
+          // Each file's share of the averaged story score
+          contribution: Math.round((volatility / affectedFiles.length) * 10) / 10
+        };
+      });
+
+      const score = fileStats.reduce((sum, f) => sum + f.contribution, 0);
+
+      const hotFiles = fileStats
+        .filter(f => f.commits > 0)
+        .sort((a, b) => b.contribution - a.contribution)
+        .slice(0, 5);
+
+      return {
+        score: Math.min(100, Math.round(score)),
+        details: {
+          windowDays,
+          fileCount: affectedFiles.length,
+          filesWithHistory: fileStats.filter(f => f.commits > 0).length,
+          totalCommits: fileStats.reduce((sum, f) => sum + f.commits, 0),
+          hotFiles
+        },
+        description: score > 60 ? 'High-churn area' :
+                     score > 40 ? 'Moderate change frequency' :
+                     'Stable area'
+      };
+
+    } catch (error) {
+      console.error('Git history error:', error.message);
+      return {
+        score: 30,
+        details: { error: 'Git history unavailable', windowDays },
+        description: 'Could not read git history - baseline change frequency assumed'
+      };
     }
+  }
 
-    return {
-      score: Math.min(100, score),
-      details: {
-        indicators: {
-          refactor: combined.includes('refactor'),
-          legacy: combined.includes('legacy'),
-          migration: combined.includes('migration')
-        }
-      },
-      description: score > 60 ? 'High-churn area' :
-                   score > 40 ? 'Moderate change frequency' :
-                   'Stable area'
-    };
+  /**
+   * Score a single file's volatility (0-100) from its git history
+   * Commits weigh 50%, distinct authors 25%, line churn 25%
+   */
+  scoreFileVolatility({ commits, authors, churn }) {
+    const t = this.changeFrequencyThresholds;
+
+    return Math.min(1, commits / t.commits) * 50 +
+           Math.min(1, authors / t.authors) * 25 +
+           Math.min(1, churn / t.churn) * 25;
   }
 
-  async analyzeBusinessImpact(app, story) {
+  async analyzeBusinessImpact(app, story, { noCache = false } = {}) {
     try {
       // Use AI to assess business impact from story description
-      const { generateCompletion } = await import('../../shared/aiClient.js');
+      const { generateCompletion } = await import('../../../shared/aiClient.js');
 
       const storyText = `
 Title: ${story.title}
@@ -263,8 +440,10 @@ Description: ${story.description || 'No description'}
 Acceptance Criteria: ${story.acceptanceCriteria || 'No criteria'}
       `.trim();
 
+      const model = process.env.DEFAULT_FAST_MODEL || 'claude-haiku-4-20250610';
+
       const response = await generateCompletion({
-        model: process.env.DEFAULT_FAST_MODEL || 'claude-haiku-4-20250610',
+        model,
         messages: [{
           role: 'user',
           content: `You are a software risk analyst. Analyze the business impact of this user story and rate it from 0-100 where:
@@ -287,11 +466,13 @@ Respond ONLY with valid JSON in this format:
 Do not include any text before or after the JSON.`
         }],
         maxTokens: 300,
-        temperature: 0.3
+        temperature: 0.3,
+        noCache,
+        app
       });
 
       // Parse AI response
-      const content = response.content.trim();
+      const content = response.text.trim();
       const jsonMatch = content.match(/\{[\s\S]*\}/);
 
       if (!jsonMatch) {
@@ -304,7 +485,9 @@ Do not include any text before or after the JSON.`
         score: Math.min(100, Math.max(0, analysis.score)),
         details: {
           impactAreas: analysis.impactAreas || [],
-          aiReasoning: analysis.reasoning
+          aiReasoning: analysis.reasoning,
+          model,
+          cachedAt: response.cachedAt
         },
         description: analysis.reasoning
       };
@@ -332,31 +515,70 @@ Do not include any text before or after the JSON.`
   }
 
   async analyzeDefectHistory(app, story) {
-    // Simplified implementation - would query ADO for linked defects
-    // For now, check story description for defect-related keywords
-
-    const combined = ((story.title || '') + (story.description || '')).toLowerCase();
+    const windowDays = this.defectWindowDays;
 
-    let score = 20; // baseline low risk
-
-    if (combined.includes('bug') || combined.includes('defect') || combined.includes('issue')) {
-      score += 30;
-    }
-    if (combined.includes('fix') || combined.includes('hotfix')) {
-      score += 20;
+    if (!story.id) {
+      return {
+        score: 20,
+        details: { bugIds: [], windowDays },
+        description: 'No story ID - defect history not queried'
+      };
     }
-    if (combined.includes('regression') || combined.includes('broken')) {
-      score += 25;
+
+    const affectedFiles = this.extractAffectedFiles(story);
+    let related;
+    try {
+      related = await this.defectHistory.findRelatedBugs(story.id, affectedFiles, windowDays);
+    } catch (error) {
+      console.error('Defect history error:', error.message);
+      return {
+        score: 20,
+        details: { error: 'Azure DevOps MCP unavailable', bugIds: [], windowDays },
+        description: 'Defect history unavailable - low risk assumed'
+      };
     }
 
+    const bugs = related.bugs
+      .map(({ workItem, sources, files }) => {
+        const fields = workItem.fields || {};
+        const createdDate = fields['System.CreatedDate'];
+        const ageDays = createdDate
+          ? Math.max(0, Math.floor((Date.now() - new Date(createdDate).getTime()) / 86400000))
+          : null;
+
+        const bug = {
+          id: workItem.id,
+          title: fields['System.Title'],
+          state: fields['System.State'],
+          severity: fields['Microsoft.VSTS.Common.Severity'] || null,
+          ageDays,
+          reopenCount: getReopenCount(fields),
+          sources,
+          files
+        };
+
+        return { ...bug, points: Math.round(this.scoreDefect(bug) * 10) / 10 };
+      })
+      .sort((a, b) => b.points - a.points);
+
+    const score = bugs.reduce((sum, b) => sum + b.points, 0);
+
+    const bySource = Object.fromEntries(
+      Object.keys(this.defectSourceWeights).map(source => [
+        source,
+        bugs.filter(b => b.sources.includes(source)).length
+      ])
+    );
+
     return {
-      score: Math.min(100, score),
+      score: Math.min(100, Math.round(score)),
       details: {
-        keywords: {
-          hasBugKeywords: combined.includes('bug') || combined.includes('defect'),
-          isFixRelated: combined.includes('fix'),
-          isRegressionRelated: combined.includes('regression')
-        }
+        bugIds: bugs.map(b => b.id),
+        bugs: bugs.slice(0, 10),
+        bySource,
+        parentId: related.parentId,
+        areaPath: related.areaPath,
+        windowDays
       },
       description: score > 60 ? 'History of defects in this area' :
                    score > 40 ? 'Some defect history' :
@@ -364,7 +586,20 @@ Do not include any text before or after the JSON.`
     };
   }
 
-  generateRecommendations(factors, totalScore) {
+  /**
+   * Points a single bug adds to the defect history score
+   * 25 × severity × recency × reopen multiplier × source relevance
+   */
+  scoreDefect({ severity, ageDays, reopenCount, sources }) {
+    const severityWeight = this.severityWeights[severity] ?? this.severityWeights['3 - Medium'];
+    const recency = ageDays === null ? 1 : Math.pow(0.5, ageDays / this.defectHalfLifeDays);
+    const reopenMultiplier = 1 + 0.5 * (reopenCount || 0);
+    const relevance = Math.max(0, ...sources.map(s => this.defectSourceWeights[s] || 0));
+
+    return 25 * severityWeight * recency * reopenMultiplier * relevance;
+  }
+
+  generateRecommendations(factors, totalScore, levels = DEFAULT_PROFILE.levels) {
     const recommendations = [];
 
     // Complexity recommendations
@@ -432,7 +667,7 @@ Do not include any text before or after the JSON.`
     }
 
     // Overall risk recommendations
-    if (totalScore >= 100) {
+    if (totalScore >= levels.critical) {
       recommendations.push({
         priority: 'critical',
         category: 'approval',
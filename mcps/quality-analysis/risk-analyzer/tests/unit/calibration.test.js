@@ -0,0 +1,151 @@
+/**
+ * Unit tests for risk calibration against escaped defects
+ */
+
+import {
+  calibrate,
+  expectedLevel,
+  levelMetrics,
+  pearson,
+  suggestWeights,
+} from "../../src/calibration.js";
+import { DEFAULT_PROFILE, normalizeProfile } from "../../src/riskProfiles.js";
+
+const profile = normalizeProfile("default", DEFAULT_PROFILE, "default");
+
+const sample = (level, escapedDefects, factors) => ({
+  storyId: Math.floor(Math.random() * 10000),
+  score: { low: 10, medium: 40, high: 70, critical: 100 }[level],
+  level,
+  escapedDefects,
+  factors,
+});
+
+describe("calibration", () => {
+  describe("expectedLevel", () => {
+    it("should map escaped defect counts to levels", () => {
+      expect(expectedLevel(0)).toBe("low");
+      expect(expectedLevel(1)).toBe("medium");
+      expect(expectedLevel(3)).toBe("high");
+      expect(expectedLevel(7)).toBe("critical");
+    });
+
+    it("should honour custom bands", () => {
+      expect(
+        expectedLevel(3, { low: 0, medium: 1, high: 5, critical: 10 }),
+      ).toBe("medium");
+    });
+  });
+
+  describe("pearson", () => {
+    it("should return 1 for perfectly correlated series", () => {
+      expect(pearson([1, 2, 3], [2, 4, 6])).toBeCloseTo(1);
+    });
+
+    it("should return -1 for inversely correlated series", () => {
+      expect(pearson([1, 2, 3], [3, 2, 1])).toBeCloseTo(-1);
+    });
+
+    it("should return null for constant series", () => {
+      expect(pearson([1, 1, 1], [1, 2, 3])).toBeNull();
+      expect(pearson([1], [1])).toBeNull();
+    });
+  });
+
+  describe("levelMetrics", () => {
+    it("should compute precision and recall per level", () => {
+      const samples = [
+        sample("high", 2),
+        sample("high", 0),
+        sample("low", 0),
+        sample("low", 3),
+      ];
+
+      const metrics = levelMetrics(samples);
+
+      // high: predicted 2, one correct; actual high = 2 (2 and 3 defects)
+      expect(metrics.high).toMatchObject({
+        predicted: 2,
+        actual: 2,
+        precision: 0.5,
+        recall: 0.5,
+        defectRate: 0.5,
+      });
+      expect(metrics.low).toMatchObject({ precision: 0.5, recall: 0.5 });
+      expect(metrics.critical).toMatchObject({
+        predicted: 0,
+        precision: null,
+        recall: null,
+      });
+    });
+  });
+
+  describe("suggestWeights", () => {
+    it("should shift weight toward factors that tracked defects", () => {
+      const samples = [0, 1, 2, 3, 4].map((defects) =>
+        sample("medium", defects, {
+          complexity: { score: defects * 20 },
+          coverage: { score: 50 - defects * 5 },
+          integration: { score: 50 },
+          changeFrequency: { score: 40 + defects * 2 },
+          businessImpact: { score: 100 - defects * 20 },
+          defectHistory: { score: defects * 10 },
+        }),
+      );
+
+      const weights = suggestWeights(samples, profile);
+
+      expect(weights.complexity.correlation).toBeCloseTo(1);
+      expect(weights.complexity.change).toBeGreaterThan(0);
+      expect(weights.businessImpact.change).toBeLessThan(0);
+      expect(weights.integration.correlation).toBeNull();
+
+      const total = Object.values(weights).reduce(
+        (sum, w) => sum + w.suggested,
+        0,
+      );
+      expect(total).toBeCloseTo(1, 2);
+    });
+
+    it("should leave weights unchanged without factor data", () => {
+      const samples = [sample("low", 0), sample("high", 3)];
+
+      const weights = suggestWeights(samples, profile);
+
+      expect(weights.complexity.suggested).toBeCloseTo(0.2);
+      expect(weights.integration.change).toBeCloseTo(0);
+    });
+  });
+
+  describe("calibrate", () => {
+    it("should build a report with summary, levels and suggestions", () => {
+      const samples = [
+        sample("critical", 5),
+        sample("high", 2),
+        sample("medium", 1),
+        sample("low", 0),
+      ];
+
+      const report = calibrate(samples, profile, { minSamples: 4 });
+
+      expect(report.profile).toBe("default");
+      expect(report.summary).toMatchObject({
+        stories: 4,
+        storiesWithEscapedDefects: 3,
+        escapedDefects: 8,
+        accuracy: 1,
+      });
+      expect(report.summary.scoreCorrelation).toBeGreaterThan(0.9);
+      expect(report.levels.critical.precision).toBe(1);
+      expect(report.suggestedProfile.weights).toHaveProperty("complexity");
+      expect(report.reliable).toBe(true);
+    });
+
+    it("should warn when there are too few stories or no defects", () => {
+      const report = calibrate([sample("low", 0)], profile);
+
+      expect(report.reliable).toBe(false);
+      expect(report.warnings).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Unit tests for DefectHistory - ADO bug lookup for the defect history factor
+ */
+
+import { jest } from "@jest/globals";
+import axios from "axios";
+import {
+  DefectHistory,
+  getParentId,
+  getLinkedIds,
+  getReopenCount,
+} from "../../src/defectHistory.js";
+
+const mockAxiosPost = jest.fn();
+axios.post = mockAxiosPost;
+
+const relation = (rel, id) => ({
+  rel,
+  url: `https://dev.azure.com/org/_apis/wit/workItems/${id}`,
+});
+
+const workItem = (id, type, extra = {}) => ({
+  id,
+  fields: { "System.WorkItemType": type, "System.Title": `Item ${id}` },
+  relations: [],
+  ...extra,
+});
+
+describe("defectHistory helpers", () => {
+  it("should find the parent ID from hierarchy links", () => {
+    const wi = workItem(1, "User Story", {
+      relations: [
+        relation("System.LinkTypes.Related", 5),
+        relation("System.LinkTypes.Hierarchy-Reverse", 10),
+      ],
+    });
+
+    expect(getParentId(wi)).toBe(10);
+    expect(getParentId(workItem(2, "User Story"))).toBeNull();
+  });
+
+  it("should list linked work item IDs, ignoring artifact links", () => {
+    const wi = workItem(1, "User Story", {
+      relations: [
+        relation("System.LinkTypes.Related", 5),
+        relation("System.LinkTypes.Hierarchy-Forward", 6),
+        { rel: "ArtifactLink", url: "vstfs:///Git/Commit/abc" },
+        { rel: "Hyperlink", url: "https://example.com" },
+      ],
+    });
+
+    expect(getLinkedIds(wi)).toEqual([5, 6]);
+  });
+
+  it("should count reopens from custom field, tags or reason", () => {
+    expect(getReopenCount({ "Custom.ReopenCount": 3 })).toBe(3);
+    expect(getReopenCount({ "System.Tags": "UAT; Reopened" })).toBe(1);
+    expect(getReopenCount({ "System.Reason": "Reactivated" })).toBe(1);
+    expect(getReopenCount({ "System.Reason": "New defect reported" })).toBe(0);
+  });
+});
+
+describe("DefectHistory.findRelatedBugs", () => {
+  let defectHistory;
+
+  beforeEach(() => {
+    defectHistory = new DefectHistory({ baseUrl: "http://ado" });
+    mockAxiosPost.mockReset();
+  });
+
+  it("should collect bugs from story, feature, files and area path", async () => {
+    const story = workItem(100, "User Story", {
+      fields: {
+        "System.WorkItemType": "User Story",
+        "System.AreaPath": "Core\\Billing",
+      },
+      relations: [
+        relation("System.LinkTypes.Hierarchy-Reverse", 10),
+        relation("System.LinkTypes.Related", 1),
+      ],
+    });
+    const feature = workItem(10, "Feature", {
+      relations: [
+        relation("System.LinkTypes.Hierarchy-Forward", 100),
+        relation("System.LinkTypes.Hierarchy-Forward", 2),
+        relation("System.LinkTypes.Hierarchy-Forward", 101),
+      ],
+    });
+
+    mockAxiosPost
+      .mockResolvedValueOnce({ data: { data: [story] } })
+      .mockResolvedValueOnce({ data: { data: [feature] } })
+      .mockResolvedValueOnce({ data: { data: [workItem(1, "Bug")] } })
+      .mockResolvedValueOnce({
+        data: { data: [workItem(2, "Bug"), workItem(101, "User Story")] },
+      })
+      .mockResolvedValueOnce({
+        data: {
+          data: [
+            workItem(3, "Bug", {
+              fields: {
+                "System.WorkItemType": "Bug",
+                "System.Title": "Null ref in UserService.cs",
+              },
+            }),
+          ],
+        },
+      })
+      .mockResolvedValueOnce({
+        data: { data: [workItem(1, "Bug"), workItem(4, "Bug")] },
+      });
+
+    const result = await defectHistory.findRelatedBugs(
+      100,
+      ["Services/UserService.cs"],
+      365,
+    );
+
+    expect(result.parentId).toBe(10);
+    expect(result.areaPath).toBe("Core\\Billing");
+
+    const byId = Object.fromEntries(result.bugs.map((b) => [b.workItem.id, b]));
+    expect(Object.keys(byId).map(Number).sort()).toEqual([1, 2, 3, 4]);
+    expect(byId[1].sources).toEqual(["story", "area"]);
+    expect(byId[2].sources).toEqual(["feature"]);
+    expect(byId[3].sources).toEqual(["file"]);
+    expect(byId[3].files).toEqual(["UserService.cs"]);
+    expect(byId[4].sources).toEqual(["area"]);
+
+    expect(mockAxiosPost).toHaveBeenCalledWith(
+      "http://ado/work-items/query",
+      { workItemIds: [100] },
+      expect.any(Object),
+    );
+    const fileQuery = mockAxiosPost.mock.calls[4][1].query;
+    expect(fileQuery).toContain("[System.Title] CONTAINS 'UserService.cs'");
+    expect(fileQuery).toContain("@Today - 365");
+    const areaQuery = mockAxiosPost.mock.calls[5][1].query;
+    expect(areaQuery).toContain("[System.AreaPath] UNDER 'Core\\Billing'");
+  });
+
+  it("should keep only the newest bugs of busy files and areas", async () => {
+    const story = workItem(100, "User Story", {
+      fields: {
+        "System.WorkItemType": "User Story",
+        "System.AreaPath": "Core",
+      },
+    });
+    mockAxiosPost
+      .mockResolvedValueOnce({ data: { data: [story] } })
+      .mockResolvedValue({ data: { data: [] } });
+
+    await defectHistory.findRelatedBugs(100, ["UserService.cs"], 365);
+
+    for (const [, body] of mockAxiosPost.mock.calls.slice(1)) {
+      expect(body.top).toBe(200);
+      expect(body.query).toContain("ORDER BY [System.CreatedDate] DESC");
+    }
+    expect(mockAxiosPost).toHaveBeenCalledTimes(3);
+  });
+
+  it("should throw when the story does not exist", async () => {
+    mockAxiosPost.mockResolvedValueOnce({ data: { data: [] } });
+
+    await expect(defectHistory.findRelatedBugs(999, [], 365)).rejects.toThrow(
+      "Work item 999 not found",
+    );
+  });
+});
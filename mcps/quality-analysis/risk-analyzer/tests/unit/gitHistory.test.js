@@ -0,0 +1,49 @@
+/**
+ * Unit tests for git history parsing used by the change frequency factor
+ */
+
+import { parseGitLog } from "../../src/gitHistory.js";
+
+const RS = "\x1e";
+const FS = "\x1f";
+
+describe("parseGitLog", () => {
+  it("should return empty stats for empty output", () => {
+    expect(parseGitLog("")).toEqual({});
+  });
+
+  it("should aggregate commits, authors and churn per file", () => {
+    const output = [
+      `${RS}abc123${FS}Dev.One@example.com${FS}2026-10-01T10:00:00+00:00`,
+      "10\t2\tsrc/Services/UserService.cs",
+      "3\t1\tsrc/Models/User.cs",
+      "",
+      `${RS}def456${FS}dev.two@example.com${FS}2026-09-01T10:00:00+00:00`,
+      "5\t5\tsrc/Services/UserService.cs",
+      "",
+      `${RS}0a0b0c${FS}dev.one@example.com${FS}2026-08-01T10:00:00+00:00`,
+      "1\t0\tsrc/Services/UserService.cs",
+    ].join("\n");
+
+    const stats = parseGitLog(output);
+
+    expect(stats["src/Services/UserService.cs"]).toEqual({
+      commits: 3,
+      authors: 2,
+      additions: 16,
+      deletions: 7,
+      churn: 23,
+      lastModified: "2026-10-01T10:00:00+00:00",
+    });
+    expect(stats["src/Models/User.cs"].commits).toBe(1);
+  });
+
+  it("should treat binary file line counts as zero", () => {
+    const output = `${RS}abc${FS}a@b.c${FS}2026-10-01T00:00:00Z\n-\t-\tassets/logo.png`;
+
+    const stats = parseGitLog(output);
+
+    expect(stats["assets/logo.png"].commits).toBe(1);
+    expect(stats["assets/logo.png"].churn).toBe(0);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for risk profile loading and resolution
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  DEFAULT_PROFILE,
+  normalizeProfile,
+  resolveRiskProfile,
+  listRiskProfiles,
+} from "../../src/riskProfiles.js";
+
+describe("riskProfiles", () => {
+  let dir;
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), "risk-profiles-"));
+
+    writeFileSync(
+      path.join(dir, "risk-profiles.json"),
+      JSON.stringify({
+        profiles: {
+          "payments-strict": {
+            description: "Strict",
+            weights: { integration: 0.4, businessImpact: 0.1 },
+            levels: { critical: 75, high: 50, medium: 25 },
+          },
+          "internal-tool": {
+            weights: { complexity: 0.5, coverage: 0.5 },
+            enabledFactors: ["complexity", "coverage"],
+          },
+        },
+      }),
+    );
+
+    writeFileSync(
+      path.join(dir, "apps.json"),
+      JSON.stringify({
+        applications: [
+          { name: "Payments", riskProfile: "payments-strict" },
+          {
+            name: "Admin",
+            riskProfile: {
+              name: "admin-inline",
+              enabledFactors: ["coverage"],
+            },
+          },
+          { name: "Legacy", riskProfile: "does-not-exist" },
+          { name: "Core" },
+        ],
+      }),
+    );
+
+    process.env.RISK_PROFILES_PATH = path.join(dir, "risk-profiles.json");
+    process.env.CONFIG_PATH = path.join(dir, "apps.json");
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    process.env = { ...originalEnv };
+  });
+
+  describe("normalizeProfile", () => {
+    it("should keep default weights unchanged", () => {
+      const profile = normalizeProfile("default", DEFAULT_PROFILE, "default");
+
+      expect(profile.weights).toEqual(DEFAULT_PROFILE.weights);
+      expect(profile.levels).toEqual({ critical: 100, high: 60, medium: 30 });
+    });
+
+    it("should drop disabled factors and rescale remaining weights", () => {
+      const profile = normalizeProfile(
+        "partial",
+        { enabledFactors: ["complexity", "integration"] },
+        "config",
+      );
+
+      expect(Object.keys(profile.weights)).toEqual([
+        "complexity",
+        "integration",
+      ]);
+      expect(profile.weights.complexity).toBeCloseTo(0.2 / 0.45);
+      expect(profile.weights.integration).toBeCloseTo(0.25 / 0.45);
+    });
+
+    it("should ignore unknown factor names", () => {
+      const profile = normalizeProfile(
+        "typo",
+        { enabledFactors: ["complexity", "complexityy"] },
+        "config",
+      );
+
+      expect(profile.enabledFactors).toEqual(["complexity"]);
+    });
+  });
+
+  describe("resolveRiskProfile", () => {
+    it("should use an explicitly requested profile", () => {
+      const profile = resolveRiskProfile("Core", "payments-strict");
+
+      expect(profile.name).toBe("payments-strict");
+      expect(profile.source).toBe("request");
+      expect(profile.levels.critical).toBe(75);
+    });
+
+    it("should return null for an unknown requested profile", () => {
+      expect(resolveRiskProfile("Core", "nope")).toBeNull();
+    });
+
+    it("should use the app's configured profile", () => {
+      const profile = resolveRiskProfile("Payments");
+
+      expect(profile.name).toBe("payments-strict");
+      expect(profile.source).toBe("app");
+    });
+
+    it("should support inline profiles in apps.json", () => {
+      const profile = resolveRiskProfile("Admin");
+
+      expect(profile.name).toBe("admin-inline");
+      expect(profile.weights).toEqual({ coverage: 1 });
+    });
+
+    it("should fall back to default", () => {
+      expect(resolveRiskProfile("Core").name).toBe("default");
+      expect(resolveRiskProfile("Legacy").name).toBe("default");
+      expect(resolveRiskProfile("Unknown").source).toBe("default");
+    });
+
+    it("should fall back to built-in default without a profiles file", () => {
+      process.env.RISK_PROFILES_PATH = path.join(dir, "missing.json");
+
+      expect(listRiskProfiles().map((p) => p.name)).toEqual(["default"]);
+    });
+  });
+});
@@ -5,15 +5,23 @@
  * - Complexity (20%)
  * - Coverage (15%)
  * - Integration (25%)
- * - Change Frequency (10%)
+ * - Change Frequency (10%) - git history of affected files
  * - Business Impact (20%)
- * - Defect History (10%)
+ * - Defect History (10%) - linked ADO bugs
  */
 
 import { jest } from "@jest/globals";
-import { RiskScorer } from "../../src/riskScorer.js";
 import axios from "axios";
 
+const mockGenerateCompletion = jest.fn();
+jest.unstable_mockModule("../../../../shared/aiClient.js", () => ({
+  generateCompletion: mockGenerateCompletion,
+}));
+
+const { RiskScorer } = await import("../../src/riskScorer.js");
+const { DEFAULT_PROFILE, normalizeProfile } =
+  await import("../../src/riskProfiles.js");
+
 // Mock axios with proper mock functions
 const mockAxiosPost = jest.fn();
 const mockAxiosGet = jest.fn();
@@ -34,6 +42,9 @@ describe("RiskScorer", () => {
     mockAxiosGet.mockResolvedValue({
       data: { integrations: [] },
     });
+    mockGenerateCompletion.mockRejectedValue(
+      new Error("ANTHROPIC_API_KEY not configured"),
+    );
   });
 
   describe("constructor", () => {
@@ -312,7 +323,14 @@ describe("RiskScorer", () => {
   });
 
   describe("analyzeChangeFrequency", () => {
-    it("should return baseline score for simple story", async () => {
+    let mockGetFileStats;
+
+    beforeEach(() => {
+      mockGetFileStats = jest.fn();
+      scorer.gitHistory.getFileStats = mockGetFileStats;
+    });
+
+    it("should return baseline score when no affected files specified", async () => {
       const story = {
         description: "Simple feature",
         acceptanceCriteria: "Add button",
@@ -321,50 +339,155 @@ describe("RiskScorer", () => {
       const result = await scorer.analyzeChangeFrequency("App1", story);
 
       expect(result.score).toBe(30);
-      expect(result.description).toContain("Stable area");
+      expect(result.details.fileCount).toBe(0);
+      expect(mockGetFileStats).not.toHaveBeenCalled();
     });
 
-    it("should increase score for refactor keywords", async () => {
+    it("should query git history for affected files over the window", async () => {
+      mockGetFileStats.mockResolvedValueOnce({});
       const story = {
-        description: "Refactor legacy code",
+        description: "Update Services/UserService.cs",
         acceptanceCriteria: "",
       };
 
+      await scorer.analyzeChangeFrequency("App1", story);
+
+      expect(mockGetFileStats).toHaveBeenCalledWith(
+        expect.any(String),
+        ["Services/UserService.cs"],
+        90,
+      );
+    });
+
+    it("should honour a configured window", async () => {
+      scorer = new RiskScorer({ changeFrequencyWindowDays: 30 });
+      scorer.gitHistory.getFileStats = mockGetFileStats;
+      mockGetFileStats.mockResolvedValueOnce({});
+
+      const result = await scorer.analyzeChangeFrequency("App1", {
+        description: "Services/UserService.cs",
+      });
+
+      expect(mockGetFileStats.mock.calls[0][2]).toBe(30);
+      expect(result.details.windowDays).toBe(30);
+    });
+
+    it("should score stable files low", async () => {
+      mockGetFileStats.mockResolvedValueOnce({});
+      const story = { description: "Services/UserService.cs" };
+
       const result = await scorer.analyzeChangeFrequency("App1", story);
 
-      expect(result.score).toBeGreaterThan(30);
-      expect(result.details.indicators.refactor).toBe(true);
-      expect(result.details.indicators.legacy).toBe(true);
+      expect(result.score).toBe(0);
+      expect(result.details.hotFiles).toEqual([]);
+      expect(result.description).toContain("Stable area");
     });
 
-    it("should increase score for migration keywords", async () => {
-      const story = {
-        description: "Migration and upgrade",
-        acceptanceCriteria: "",
-      };
+    it("should score volatile files high and list hot files", async () => {
+      mockGetFileStats.mockResolvedValueOnce({
+        "src/Api/Services/UserService.cs": {
+          commits: 25,
+          authors: 6,
+          churn: 1500,
+        },
+      });
+      const story = { description: "Services/UserService.cs" };
 
       const result = await scorer.analyzeChangeFrequency("App1", story);
 
-      expect(result.score).toBeGreaterThan(30);
-      expect(result.details.indicators.migration).toBe(true);
+      expect(result.score).toBe(100);
+      expect(result.description).toBe("High-churn area");
+      expect(result.details.hotFiles).toEqual([
+        {
+          file: "Services/UserService.cs",
+          commits: 25,
+          authors: 6,
+          churn: 1500,
+          score: 100,
+          contribution: 100,
+        },
+      ]);
     });
 
-    it("should cap score at 100", async () => {
+    it("should average file scores and rank contributions", async () => {
+      mockGetFileStats.mockResolvedValueOnce({
+        "Api/Services/UserService.cs": { commits: 20, authors: 5, churn: 1000 },
+        "Api/Models/User.cs": { commits: 2, authors: 1, churn: 100 },
+      });
       const story = {
-        description: "Refactor legacy code migration redesign old code upgrade",
-        acceptanceCriteria: "",
+        description: "Services/UserService.cs and Models/User.cs",
       };
 
       const result = await scorer.analyzeChangeFrequency("App1", story);
 
-      expect(result.score).toBeGreaterThanOrEqual(70);
-      expect(result.score).toBeLessThanOrEqual(100);
+      // UserService: 100, User: 5 + 5 + 2.5 = 12.5
+      expect(result.details.hotFiles[0].file).toBe("Services/UserService.cs");
+      expect(result.details.hotFiles[0].contribution).toBe(50);
+      expect(result.details.hotFiles[1].contribution).toBe(6.3);
+      expect(result.score).toBe(56);
+      expect(result.details.totalCommits).toBe(22);
+    });
+
+    it("should handle git history unavailable", async () => {
+      mockGetFileStats.mockRejectedValueOnce(new Error("not a git repository"));
+      const story = { description: "Services/UserService.cs" };
+
+      const result = await scorer.analyzeChangeFrequency("App1", story);
+
+      expect(result.score).toBe(30);
+      expect(result.details.error).toBe("Git history unavailable");
+    });
+  });
+
+  describe("scoreFileVolatility", () => {
+    it("should saturate each signal at its threshold", () => {
+      expect(
+        scorer.scoreFileVolatility({ commits: 100, authors: 50, churn: 9999 }),
+      ).toBe(100);
+    });
+
+    it("should weight commits, authors and churn", () => {
+      expect(
+        scorer.scoreFileVolatility({ commits: 10, authors: 0, churn: 0 }),
+      ).toBe(25);
+      expect(
+        scorer.scoreFileVolatility({ commits: 0, authors: 5, churn: 500 }),
+      ).toBe(37.5);
     });
   });
 
   describe("analyzeBusinessImpact", () => {
+    it("should assess business impact with the AI model", async () => {
+      mockGenerateCompletion.mockResolvedValue({
+        text: '{"score": 72, "reasoning": "Checkout flow", "impactAreas": ["payments"]}',
+        cached: true,
+        cachedAt: "2026-03-01T10:00:00.000Z",
+      });
+
+      const result = await scorer.analyzeBusinessImpact(
+        "App1",
+        { title: "Checkout" },
+        { noCache: true },
+      );
+
+      expect(mockGenerateCompletion).toHaveBeenCalledWith(
+        expect.objectContaining({
+          temperature: 0.3,
+          noCache: true,
+          app: "App1",
+        }),
+      );
+      expect(result).toMatchObject({
+        score: 72,
+        description: "Checkout flow",
+        details: {
+          impactAreas: ["payments"],
+          cachedAt: "2026-03-01T10:00:00.000Z",
+        },
+      });
+    });
+
     it("should use fallback when AI analysis is not available", async () => {
-      // The aiClient.js module doesn't exist, so this will test the fallback behavior
       const story = {
         title: "Payment Gateway",
         description: "Update payment processing",
@@ -417,52 +540,195 @@ describe("RiskScorer", () => {
   });
 
   describe("analyzeDefectHistory", () => {
-    it("should return low score for clean story", async () => {
-      const story = {
-        title: "New Feature",
-        description: "Add new functionality",
-      };
+    let mockFindRelatedBugs;
+
+    const daysAgo = (days) =>
+      new Date(Date.now() - days * 86400000).toISOString();
+
+    const bug = (id, fields = {}) => ({
+      id,
+      fields: {
+        "System.Title": `Bug ${id}`,
+        "System.State": "Active",
+        "System.WorkItemType": "Bug",
+        "System.CreatedDate": daysAgo(0),
+        ...fields,
+      },
+    });
+
+    beforeEach(() => {
+      mockFindRelatedBugs = jest.fn();
+      scorer.defectHistory.findRelatedBugs = mockFindRelatedBugs;
+    });
 
-      const result = await scorer.analyzeDefectHistory("App1", story);
+    it("should return baseline score when story has no ID", async () => {
+      const result = await scorer.analyzeDefectHistory("App1", {
+        title: "New Feature",
+      });
 
       expect(result.score).toBe(20);
+      expect(result.details.bugIds).toEqual([]);
+      expect(mockFindRelatedBugs).not.toHaveBeenCalled();
+    });
+
+    it("should return zero score when no related bugs exist", async () => {
+      mockFindRelatedBugs.mockResolvedValueOnce({
+        parentId: 10,
+        areaPath: "Core\\Billing",
+        bugs: [],
+      });
+
+      const result = await scorer.analyzeDefectHistory("App1", {
+        id: 123,
+        description: "Update Services/UserService.cs",
+      });
+
+      expect(mockFindRelatedBugs).toHaveBeenCalledWith(
+        123,
+        ["Services/UserService.cs"],
+        365,
+      );
+      expect(result.score).toBe(0);
       expect(result.description).toContain("Stable area");
     });
 
-    it("should increase score for bug keywords", async () => {
-      const story = {
-        title: "Bug Fix",
-        description: "Fix defect in checkout",
-      };
+    it("should weight bugs by severity and list bug IDs", async () => {
+      mockFindRelatedBugs.mockResolvedValueOnce({
+        parentId: 10,
+        areaPath: "Core",
+        bugs: [
+          {
+            workItem: bug(1, {
+              "Microsoft.VSTS.Common.Severity": "1 - Critical",
+            }),
+            sources: ["story"],
+            files: [],
+          },
+          {
+            workItem: bug(2, { "Microsoft.VSTS.Common.Severity": "4 - Low" }),
+            sources: ["story"],
+            files: [],
+          },
+        ],
+      });
 
-      const result = await scorer.analyzeDefectHistory("App1", story);
+      const result = await scorer.analyzeDefectHistory("App1", { id: 123 });
 
-      expect(result.score).toBeGreaterThan(20);
-      expect(result.details.keywords.hasBugKeywords).toBe(true);
+      expect(result.details.bugIds).toEqual([1, 2]);
+      expect(result.details.bugs[0].points).toBe(25);
+      expect(result.details.bugs[1].points).toBe(5);
+      expect(result.score).toBe(30);
+      expect(result.details.bySource.story).toBe(2);
     });
 
-    it("should increase score for fix keywords", async () => {
-      const story = {
-        title: "Hotfix",
-        description: "Fix broken functionality",
-      };
+    it("should decay older bugs and boost reopened bugs", async () => {
+      mockFindRelatedBugs.mockResolvedValueOnce({
+        parentId: null,
+        areaPath: null,
+        bugs: [
+          {
+            workItem: bug(1, {
+              "Microsoft.VSTS.Common.Severity": "1 - Critical",
+              "System.CreatedDate": daysAgo(180),
+            }),
+            sources: ["story"],
+            files: [],
+          },
+          {
+            workItem: bug(2, {
+              "Microsoft.VSTS.Common.Severity": "1 - Critical",
+              "System.Reason": "Reactivated",
+            }),
+            sources: ["story"],
+            files: [],
+          },
+        ],
+      });
 
-      const result = await scorer.analyzeDefectHistory("App1", story);
+      const result = await scorer.analyzeDefectHistory("App1", { id: 123 });
+      const byId = Object.fromEntries(
+        result.details.bugs.map((b) => [b.id, b]),
+      );
 
-      expect(result.score).toBeGreaterThan(20);
-      expect(result.details.keywords.isFixRelated).toBe(true);
+      expect(byId[1].points).toBeCloseTo(12.5, 0);
+      expect(byId[2].reopenCount).toBe(1);
+      expect(byId[2].points).toBe(37.5);
     });
 
-    it("should increase score for regression keywords", async () => {
-      const story = {
-        title: "Regression Issue",
-        description: "Broken after last release",
-      };
+    it("should weight bugs by how they relate to the story", async () => {
+      mockFindRelatedBugs.mockResolvedValueOnce({
+        parentId: 10,
+        areaPath: "Core",
+        bugs: [
+          {
+            workItem: bug(1, {
+              "Microsoft.VSTS.Common.Severity": "1 - Critical",
+            }),
+            sources: ["area"],
+            files: [],
+          },
+          {
+            workItem: bug(2, {
+              "Microsoft.VSTS.Common.Severity": "1 - Critical",
+            }),
+            sources: ["area", "feature"],
+            files: [],
+          },
+        ],
+      });
 
-      const result = await scorer.analyzeDefectHistory("App1", story);
+      const result = await scorer.analyzeDefectHistory("App1", { id: 123 });
 
-      expect(result.score).toBeGreaterThan(20);
-      expect(result.details.keywords.isRegressionRelated).toBe(true);
+      expect(result.details.bugs[0]).toMatchObject({ id: 2, points: 20 });
+      expect(result.details.bugs[1]).toMatchObject({ id: 1, points: 10 });
+      expect(result.details.bySource).toEqual({
+        story: 0,
+        feature: 1,
+        file: 0,
+        area: 2,
+      });
+    });
+
+    it("should cap score at 100", async () => {
+      mockFindRelatedBugs.mockResolvedValueOnce({
+        parentId: null,
+        areaPath: null,
+        bugs: [1, 2, 3, 4, 5, 6].map((id) => ({
+          workItem: bug(id, {
+            "Microsoft.VSTS.Common.Severity": "1 - Critical",
+          }),
+          sources: ["story"],
+          files: [],
+        })),
+      });
+
+      const result = await scorer.analyzeDefectHistory("App1", { id: 123 });
+
+      expect(result.score).toBe(100);
+      expect(result.description).toBe("History of defects in this area");
+      expect(result.details.bugIds).toHaveLength(6);
+    });
+
+    it("should handle Azure DevOps MCP unavailable", async () => {
+      mockFindRelatedBugs.mockRejectedValueOnce(new Error("ECONNREFUSED"));
+
+      const result = await scorer.analyzeDefectHistory("App1", { id: 123 });
+
+      expect(result.score).toBe(20);
+      expect(result.details.error).toBe("Azure DevOps MCP unavailable");
+      expect(result.details.bugIds).toEqual([]);
+    });
+
+    it("should not hide errors in scoring the bugs", async () => {
+      mockFindRelatedBugs.mockResolvedValueOnce({
+        parentId: null,
+        areaPath: null,
+        bugs: [{ workItem: null, sources: ["story"], files: [] }],
+      });
+
+      await expect(
+        scorer.analyzeDefectHistory("App1", { id: 123 }),
+      ).rejects.toThrow(TypeError);
     });
   });
 
@@ -554,6 +820,129 @@ describe("RiskScorer", () => {
     });
   });
 
+  describe("scoreFactors", () => {
+    const factors = {
+      complexity: { score: 80 },
+      coverage: { score: 60 },
+      integration: { score: 40 },
+      changeFrequency: { score: 20 },
+      businessImpact: { score: 100 },
+      defectHistory: { score: 0 },
+    };
+
+    it("should apply profile weights and report contributions", () => {
+      const profile = normalizeProfile("default", DEFAULT_PROFILE, "default");
+
+      const result = scorer.scoreFactors(factors, profile);
+
+      // 16 + 9 + 10 + 2 + 20 + 0
+      expect(result.score).toBe(57);
+      expect(result.level).toBe("medium");
+      expect(result.contributions.businessImpact).toBe(20);
+      expect(result.profile.name).toBe("default");
+    });
+
+    it("should use profile level cutoffs", () => {
+      const profile = normalizeProfile(
+        "strict",
+        { levels: { critical: 75, high: 50, medium: 25 } },
+        "request",
+      );
+
+      const result = scorer.scoreFactors(factors, profile);
+
+      expect(result.level).toBe("high");
+    });
+
+    it("should only weigh enabled factors", () => {
+      const profile = normalizeProfile(
+        "internal",
+        { enabledFactors: ["complexity", "coverage"] },
+        "request",
+      );
+
+      const result = scorer.scoreFactors(factors, profile);
+
+      // 80 * (0.2 / 0.35) + 60 * (0.15 / 0.35)
+      expect(result.score).toBe(71);
+      expect(Object.keys(result.contributions)).toEqual([
+        "complexity",
+        "coverage",
+      ]);
+    });
+  });
+
+  describe("analyzeFactors", () => {
+    it("should skip disabled factors", async () => {
+      scorer.analyzeBusinessImpact = jest.fn();
+
+      const factors = await scorer.analyzeFactors("App1", {}, [
+        "complexity",
+        "coverage",
+      ]);
+
+      expect(scorer.analyzeBusinessImpact).not.toHaveBeenCalled();
+      expect(factors.businessImpact).toMatchObject({
+        score: 0,
+        disabled: true,
+      });
+      expect(factors.complexity.disabled).toBeUndefined();
+    });
+  });
+
+  describe("compareProfiles", () => {
+    it("should re-score supplied factors under each profile", async () => {
+      const factors = {
+        complexity: { score: 80 },
+        coverage: { score: 60 },
+        integration: { score: 40 },
+        changeFrequency: { score: 20 },
+        businessImpact: { score: 100 },
+        defectHistory: { score: 0 },
+      };
+      scorer.analyzeFactors = jest.fn();
+
+      const comparison = await scorer.compareProfiles(
+        "App1",
+        {},
+        [
+          normalizeProfile("default", DEFAULT_PROFILE, "request"),
+          normalizeProfile(
+            "strict",
+            { levels: { critical: 75, high: 50, medium: 25 } },
+            "request",
+          ),
+        ],
+        factors,
+      );
+
+      expect(scorer.analyzeFactors).not.toHaveBeenCalled();
+      expect(comparison.results.map((r) => r.level)).toEqual([
+        "medium",
+        "high",
+      ]);
+      expect(comparison.difference).toEqual({ score: 0, levelChanged: true });
+    });
+
+    it("should analyze the union of enabled factors once", async () => {
+      scorer.analyzeFactors = jest.fn().mockResolvedValue({
+        complexity: { score: 50 },
+        coverage: { score: 50 },
+      });
+
+      await scorer.compareProfiles("App1", { id: 1 }, [
+        normalizeProfile("a", { enabledFactors: ["complexity"] }, "request"),
+        normalizeProfile("b", { enabledFactors: ["coverage"] }, "request"),
+      ]);
+
+      expect(scorer.analyzeFactors).toHaveBeenCalledTimes(1);
+      expect(scorer.analyzeFactors).toHaveBeenCalledWith("App1", { id: 1 }, [
+        "complexity",
+        "coverage",
+      ]);
+    });
+  });
+
   describe("calculateRisk", () => {
     it("should calculate overall risk score from all factors", async () => {
       const story = {
@@ -588,6 +977,24 @@ describe("RiskScorer", () => {
       expect(result.factors).toHaveProperty("changeFrequency");
       expect(result.factors).toHaveProperty("businessImpact");
       expect(result.factors).toHaveProperty("defectHistory");
+
+      // Business impact fell back to keywords, so no AI model was used
+      expect(result.model).toBeNull();
+      expect(result.cachedAt).toBeNull();
+    });
+
+    it("should report when the AI assessment came from the response cache", async () => {
+      mockGenerateCompletion.mockResolvedValue({
+        text: '{"score": 40, "reasoning": "Internal report"}',
+        cachedAt: "2026-03-01T10:00:00.000Z",
+      });
+
+      const result = await scorer.calculateRisk("App1", { id: 1 });
+
+      expect(result.cachedAt).toBe("2026-03-01T10:00:00.000Z");
+      expect(mockGenerateCompletion).toHaveBeenCalledWith(
+        expect.objectContaining({ noCache: false }),
+      );
     });
 
     it("should apply weights correctly", async () => {
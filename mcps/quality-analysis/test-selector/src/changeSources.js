@@ -0,0 +1,97 @@
+import axios from 'axios';
+import path from 'path';
+
+const DOTNET_EXTENSIONS = ['.cs'];
+const JAVASCRIPT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue'];
+
+/**
+ * Coverage analyzers to ask for a set of changed files, by language
+ * Returns a subset of ['dotnet', 'javascript']
+ */
+export function coverageAnalyzersFor(changedFiles) {
+  const extensions = changedFiles.map(f => path.extname(f.path).toLowerCase());
+  return [
+    extensions.some(ext => DOTNET_EXTENSIONS.includes(ext)) && 'dotnet',
+    extensions.some(ext => JAVASCRIPT_EXTENSIONS.includes(ext)) && 'javascript'
+  ].filter(Boolean);
+}
+
+/**
+ * Data from the other MCPs that test selection builds on: pull request
+ * diffs (azure-devops), the dependency graph (blast-radius-analyzer) and
+ * per-project line coverage (coverage-analyzer, javascript-coverage-analyzer)
+ */
+export class ChangeSources {
+  constructor(options = {}) {
+    this.azureDevOpsUrl = options.azureDevOpsUrl || process.env.AZURE_DEVOPS_MCP_URL || 'http://azure-devops:8100';
+    this.blastRadiusUrl = options.blastRadiusUrl || process.env.BLAST_RADIUS_ANALYZER_MCP_URL || 'http://blast-radius-analyzer:8202';
+    this.coverageUrls = {
+      dotnet: options.coverageUrl || process.env.COVERAGE_ANALYZER_MCP_URL || 'http://coverage-analyzer:8201',
+      javascript: options.javascriptCoverageUrl || process.env.JAVASCRIPT_COVERAGE_ANALYZER_MCP_URL || 'http://javascript-coverage-analyzer:8205'
+    };
+    this.timeout = options.timeout || 60000;
+  }
+
+  /**
+   * Files a pull request changed, with their changed lines
+   * Returns { files: [{ path, changedLines }], baseCommit, targetCommit }
+   * Throws with statusCode: azure-devops' own 4xx (e.g. 404 for an unknown
+   * pull request), or 502 when it failed or could not be reached
+   */
+  async getPullRequestChanges(pullRequestId, repositoryId) {
+    const query = repositoryId ? `?repositoryId=${encodeURIComponent(repositoryId)}` : '';
+    let response;
+    try {
+      response = await axios.get(
+        `${this.azureDevOpsUrl}/work-items/pull-requests/${pullRequestId}/diff${query}`,
+        { timeout: this.timeout }
+      );
+    } catch (error) {
+      const status = error.response?.status;
+      const failure = new Error(
+        `Could not read pull request ${pullRequestId}: ${error.response?.data?.error?.message || error.message}`
+      );
+      failure.statusCode = status >= 400 && status < 500 ? status : 502;
+      throw failure;
+    }
+
+    const diff = response.data?.data;
+    if (!diff) {
+      const error = new Error(`No diff returned for pull request ${pullRequestId}`);
+      error.statusCode = 502;
+      throw error;
+    }
+
+    return {
+      files: diff.files || [],
+      baseCommit: diff.baseCommit,
+      targetCommit: diff.targetCommit
+    };
+  }
+
+  /**
+   * Blast radius analysis of the changed files
+   */
+  async getBlastRadius(app, files, depth = 2) {
+    const response = await axios.post(`${this.blastRadiusUrl}/analyze`, {
+      app,
+      changedFiles: files,
+      depth
+    }, { timeout: this.timeout });
+
+    return response.data?.result || null;
+  }
+
+  /**
+   * Line coverage of each coverage report (one per test project or package)
+   * Returns [{ analyzer, file, lines }]
+   */
+  async getCoverageReports(app, analyzer) {
+    const response = await axios.post(`${this.coverageUrls[analyzer]}/line-coverage`, {
+      app,
+      byReport: true
+    }, { timeout: this.timeout });
+
+    return (response.data?.reports || []).map(report => ({ analyzer, ...report }));
+  }
+}
@@ -1,9 +1,23 @@
 import express from 'express';
+import { readFileSync } from 'fs';
+import { tracingMiddleware } from '../../../shared/tracing.js';
+import { discoverTests } from './testCatalog.js';
+import {
+  coverageByProject,
+  DEFAULT_MIN_CONFIDENCE,
+  fromBlastRadius,
+  normalizeChangedFiles,
+  selectTests
+} from './testSelector.js';
+import { ChangeSources, coverageAnalyzersFor } from './changeSources.js';
 
 const app = express();
 const PORT = process.env.PORT || 8302;
 
 app.use(express.json());
+app.use(tracingMiddleware('test-selector'));
+
+const sources = new ChangeSources();
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -15,17 +29,245 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Test selection endpoints (placeholder)
-app.post('/api/select-tests', (req, res) => {
-  res.json({ message: 'Select tests based on code changes' });
+/**
+ * Load an application's entry from config/apps.json
+ */
+function loadAppConfig(appName) {
+  const configPath = process.env.CONFIG_PATH || '/app/config/apps.json';
+  const config = JSON.parse(readFileSync(configPath, 'utf-8'));
+  return config.applications.find(a => a.name === appName) || null;
+}
+
+/**
+ * Blast radius and per-project coverage for a change. Either one being
+ * unavailable only weakens the selection, so failures become warnings.
+ */
+async function gatherEvidence(appName, changedFiles, depth) {
+  const warnings = [];
+  let blastRadius = null;
+  const coverageReports = [];
+
+  try {
+    const result = await sources.getBlastRadius(appName, changedFiles.map(f => f.path), depth);
+    blastRadius = fromBlastRadius(result, changedFiles);
+  } catch (error) {
+    console.warn(`[test-selector] Blast radius unavailable for ${appName}: ${error.message}`);
+    warnings.push(`Blast radius unavailable: ${error.message}`);
+  }
+
+  for (const analyzer of coverageAnalyzersFor(changedFiles)) {
+    try {
+      coverageReports.push(...await sources.getCoverageReports(appName, analyzer));
+    } catch (error) {
+      console.warn(`[test-selector] ${analyzer} coverage unavailable for ${appName}: ${error.message}`);
+      warnings.push(`${analyzer} coverage unavailable: ${error.message}`);
+    }
+  }
+
+  return {
+    blastRadius,
+    coverageReports,
+    sources: {
+      blastRadius: blastRadius
+        ? { dependents: blastRadius.dependents.length, tests: blastRadius.tests.length }
+        : null,
+      coverageReports: coverageReports.map(r => ({ analyzer: r.analyzer, file: r.file }))
+    },
+    warnings
+  };
+}
+
+/**
+ * Parse the blast radius depth from a body or query value; null when invalid
+ */
+function parseDepth(depth) {
+  const value = Number(depth);
+  return Number.isInteger(value) && value >= 1 ? value : null;
+}
+
+/**
+ * Parse minConfidence and maxTests; returns an error message when invalid
+ */
+function parseLimits({ minConfidence = DEFAULT_MIN_CONFIDENCE, maxTests = null }) {
+  const confidence = Number(minConfidence);
+  if (isNaN(confidence) || confidence < 0 || confidence > 1) {
+    return { error: 'minConfidence must be a number between 0 and 1' };
+  }
+
+  const limit = maxTests === null || maxTests === undefined || maxTests === '' ? null : Number(maxTests);
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    return { error: 'maxTests must be a positive integer' };
+  }
+
+  return { minConfidence: confidence, maxTests: limit };
+}
+
+/**
+ * POST /api/select-tests
+ * Ranked unit, integration and Playwright tests to run for changed files or
+ * a pull request, with `dotnet test --filter` / `playwright test --grep` arguments
+ * Body: { app, files? | pullRequestId?, repositoryId?, depth?, minConfidence?, maxTests? }
+ */
+app.post('/api/select-tests', async (req, res) => {
+  try {
+    const { app: appName, files, pullRequestId, repositoryId, depth = 2 } = req.body;
+
+    if (!appName) {
+      return res.status(400).json({ success: false, error: 'app is required' });
+    }
+
+    if (files === undefined && !pullRequestId) {
+      return res.status(400).json({ success: false, error: 'files or pullRequestId is required' });
+    }
+
+    if (files !== undefined && !Array.isArray(files)) {
+      return res.status(400).json({ success: false, error: 'files must be an array of file paths' });
+    }
+
+    const limits = parseLimits(req.body);
+    if (limits.error) {
+      return res.status(400).json({ success: false, error: limits.error });
+    }
+
+    const blastDepth = parseDepth(depth);
+    if (blastDepth === null) {
+      return res.status(400).json({ success: false, error: 'depth must be a positive integer' });
+    }
+
+    const appConfig = loadAppConfig(appName);
+    if (!appConfig) {
+      return res.status(404).json({ success: false, error: `Application ${appName} not found` });
+    }
+
+    const pullRequest = files === undefined
+      ? await sources.getPullRequestChanges(pullRequestId, repositoryId)
+      : null;
+    const changedFiles = normalizeChangedFiles(pullRequest ? pullRequest.files : files, appConfig.path);
+
+    console.log(`[test-selector] Selecting tests for ${changedFiles.length} changed files in ${appName}${pullRequestId ? ` (PR ${pullRequestId})` : ''}`);
+
+    const catalog = discoverTests(appConfig.path);
+    const evidence = await gatherEvidence(appName, changedFiles, blastDepth);
+    const selection = selectTests({
+      changedFiles,
+      catalog,
+      blastRadius: evidence.blastRadius,
+      coverageReports: evidence.coverageReports,
+      appPath: appConfig.path,
+      ...limits
+    });
+
+    console.log(`[test-selector] Selected ${selection.summary.selected} of ${selection.summary.candidates} test classes/specs for ${appName}`);
+
+    res.json({
+      success: true,
+      app: appName,
+      pullRequestId: pullRequestId || null,
+      baseCommit: pullRequest?.baseCommit,
+      targetCommit: pullRequest?.targetCommit,
+      timestamp: new Date().toISOString(),
+      changedFiles: changedFiles.map(f => f.path),
+      ...selection,
+      sources: evidence.sources,
+      warnings: evidence.warnings
+    });
+  } catch (error) {
+    console.error('[test-selector] Test selection error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
 });
 
-app.get('/api/test-coverage', (req, res) => {
-  res.json({ message: 'Test coverage analysis endpoint' });
+/**
+ * GET /api/test-coverage?app=Payments
+ * Each test project's tests and the source files its last coverage run hit
+ */
+app.get('/api/test-coverage', async (req, res) => {
+  try {
+    const appName = req.query.app;
+
+    if (!appName) {
+      return res.status(400).json({ success: false, error: 'app is required' });
+    }
+
+    const appConfig = loadAppConfig(appName);
+    if (!appConfig) {
+      return res.status(404).json({ success: false, error: `Application ${appName} not found` });
+    }
+
+    const catalog = discoverTests(appConfig.path);
+    const coverageReports = [];
+    const warnings = [];
+    for (const analyzer of ['dotnet', 'javascript']) {
+      try {
+        coverageReports.push(...await sources.getCoverageReports(appName, analyzer));
+      } catch (error) {
+        warnings.push(`${analyzer} coverage unavailable: ${error.message}`);
+      }
+    }
+
+    res.json({
+      success: true,
+      app: appName,
+      timestamp: new Date().toISOString(),
+      projects: coverageByProject(catalog, coverageReports, appConfig.path),
+      warnings
+    });
+  } catch (error) {
+    console.error('[test-selector] Test coverage error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-app.get('/api/test-impact', (req, res) => {
-  res.json({ message: 'Test impact analysis endpoint' });
+/**
+ * GET /api/test-impact?app=Payments&file=Payments.Api/Services/RefundService.cs
+ * Every test a file (or several, with repeated file parameters) affects and
+ * why, without the confidence cut-off
+ */
+app.get('/api/test-impact', async (req, res) => {
+  try {
+    const { app: appName, file, depth = 2 } = req.query;
+    const files = [].concat(file || []);
+
+    if (!appName || files.length === 0) {
+      return res.status(400).json({ success: false, error: 'app and file are required' });
+    }
+
+    const blastDepth = parseDepth(depth);
+    if (blastDepth === null) {
+      return res.status(400).json({ success: false, error: 'depth must be a positive integer' });
+    }
+
+    const appConfig = loadAppConfig(appName);
+    if (!appConfig) {
+      return res.status(404).json({ success: false, error: `Application ${appName} not found` });
+    }
+
+    const changedFiles = normalizeChangedFiles(files, appConfig.path);
+    const catalog = discoverTests(appConfig.path);
+    const evidence = await gatherEvidence(appName, changedFiles, blastDepth);
+    const { tests, summary } = selectTests({
+      changedFiles,
+      catalog,
+      blastRadius: evidence.blastRadius,
+      coverageReports: evidence.coverageReports,
+      appPath: appConfig.path,
+      minConfidence: 0
+    });
+
+    res.json({
+      success: true,
+      app: appName,
+      timestamp: new Date().toISOString(),
+      files: changedFiles.map(f => f.path),
+      tests,
+      summary,
+      sources: evidence.sources,
+      warnings: evidence.warnings
+    });
+  } catch (error) {
+    console.error('[test-selector] Test impact error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 app.listen(PORT, () => {
@@ -0,0 +1,301 @@
+/**
+ * Test Catalog
+ *
+ * Finds the tests an application has, so they can be matched to changes:
+ * - .NET test classes ([Fact], [Theory], [Test], [TestCase], [TestMethod]),
+ *   grouped by the project (.csproj) they belong to
+ * - Playwright specs (*.spec.ts etc. importing @playwright/test), grouped by
+ *   the package they live in
+ *
+ * .NET tests are unit tests unless their project, file or class says
+ * integration (or e2e, acceptance, functional).
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import path from 'path';
+
+const SKIPPED_DIRECTORIES = new Set([
+  'node_modules',
+  '.git',
+  'bin',
+  'obj',
+  'dist',
+  'build',
+  'coverage',
+  'TestResults',
+  'test-results',
+  'playwright-report'
+]);
+
+const DOTNET_TEST_METHOD = /\[(?:Fact|Theory|Test|TestCase|TestMethod)\b[^\]]*\][\s\S]*?(?:public|private|internal)\s+(?:async\s+)?(?:Task|void)\s+(\w+)\s*\(/g;
+const DOTNET_CLASS = /\bclass\s+(\w+)/g;
+const DOTNET_NAMESPACE = /\bnamespace\s+([\w.]+)/;
+const INTEGRATION_TEST = /integration|e2e|acceptance|functional/i;
+
+const JS_TEST_FILE = /\.(spec|test)\.[cm]?[jt]sx?$/;
+const PLAYWRIGHT_TEST = /\btest(?:\.(?:only|skip|fixme|fail|slow))?\(\s*(['"`])((?:\\.|(?!\1).)*)\1/g;
+const PLAYWRIGHT_DESCRIBE = /\btest\.describe(?:\.(?:only|skip|fixme|parallel|serial))?\(\s*(['"`])((?:\\.|(?!\1).)*)\1/g;
+const JS_IMPORT = /(?:\bfrom\s+|\brequire\(\s*|\bimport\(\s*)['"]([^'"]+)['"]/g;
+
+// Identifiers a test mentions, matched against changed class names
+const IDENTIFIER = /\b[A-Z][A-Za-z0-9_]{3,}\b/g;
+
+function toPosix(filePath) {
+  return filePath.replace(/\\/g, '/');
+}
+
+/**
+ * Every file under a directory, skipping build output and dependencies
+ */
+function walk(dir, files = []) {
+  let entries;
+  try {
+    entries = readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    console.error(`[test-selector] Cannot read ${dir}:`, error.message);
+    return files;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRECTORIES.has(entry.name)) {
+        walk(fullPath, files);
+      }
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Test type of a .NET test from its project, file and class names
+ */
+export function dotnetTestType(...names) {
+  return names.some(name => INTEGRATION_TEST.test(name || '')) ? 'integration' : 'unit';
+}
+
+/**
+ * Test classes in a C# file, with their test methods
+ * Returns [{ className, namespace, methods: string[], identifiers: string[] }]
+ */
+export function parseDotnetTestFile(content) {
+  const namespace = content.match(DOTNET_NAMESPACE)?.[1] || null;
+  const classes = [...content.matchAll(DOTNET_CLASS)].map(match => ({
+    className: match[1],
+    index: match.index
+  }));
+
+  const byClass = new Map();
+  for (const match of content.matchAll(DOTNET_TEST_METHOD)) {
+    const owner = classes.filter(c => c.index < match.index).pop();
+    if (!owner) continue;
+    const methods = byClass.get(owner.className) || [];
+    if (!methods.includes(match[1])) {
+      methods.push(match[1]);
+    }
+    byClass.set(owner.className, methods);
+  }
+
+  if (byClass.size === 0) return [];
+
+  const identifiers = [...new Set(content.match(IDENTIFIER) || [])];
+  return [...byClass].map(([className, methods]) => ({
+    className,
+    namespace,
+    methods,
+    identifiers
+  }));
+}
+
+function unescapeTitle(title) {
+  return title.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Test and describe titles of a Playwright spec, or null when the file is
+ * not a Playwright spec
+ * Returns { titles: string[], describes: string[], imports: string[] }
+ */
+export function parsePlaywrightSpec(content) {
+  if (!content.includes('@playwright/test')) return null;
+
+  const describes = [...content.matchAll(PLAYWRIGHT_DESCRIBE)].map(m => unescapeTitle(m[2]));
+  const titles = [...content.matchAll(PLAYWRIGHT_TEST)].map(m => unescapeTitle(m[2]));
+  const imports = [...content.matchAll(JS_IMPORT)]
+    .map(m => m[1])
+    .filter(specifier => specifier.startsWith('.'));
+
+  return { titles, describes, imports };
+}
+
+/**
+ * Nearest directory from a file up to the app root that holds a file
+ * matching the predicate; the app root when none does
+ */
+function nearestDirectory(filePath, appPath, predicate) {
+  let dir = path.dirname(filePath);
+  while (dir.startsWith(appPath) && dir.length >= appPath.length) {
+    try {
+      if (readdirSync(dir).some(predicate)) return dir;
+    } catch {
+      // unreadable directories are skipped
+    }
+    if (dir === appPath) break;
+    dir = path.dirname(dir);
+  }
+  return appPath;
+}
+
+/**
+ * Playwright package name from its package.json, or the directory name
+ */
+function packageName(dir) {
+  const packagePath = path.join(dir, 'package.json');
+  if (existsSync(packagePath)) {
+    try {
+      return JSON.parse(readFileSync(packagePath, 'utf-8')).name || path.basename(dir);
+    } catch {
+      // fall back to the directory name
+    }
+  }
+  return path.basename(dir);
+}
+
+/**
+ * Longest dotted prefix shared by a project's test namespaces
+ */
+function commonNamespace(namespaces) {
+  const parts = namespaces.filter(Boolean).map(ns => ns.split('.'));
+  if (parts.length === 0) return null;
+
+  const common = [];
+  for (let i = 0; i < parts[0].length; i++) {
+    if (parts.every(p => p[i] === parts[0][i])) {
+      common.push(parts[0][i]);
+    } else {
+      break;
+    }
+  }
+  return common.length > 0 ? common.join('.') : null;
+}
+
+/**
+ * Find every .NET test class and Playwright spec under an app
+ *
+ * Returns { tests, projects }:
+ *   tests    - [{ id, name, framework, type, project, file, subject, tests, ... }]
+ *              one per .NET test class and per Playwright spec; paths are
+ *              relative to the app root
+ *   projects - [{ name, dir, framework, namespace }] for the test projects
+ *              and Playwright packages
+ */
+export function discoverTests(appPath) {
+  const root = path.resolve(appPath);
+  const tests = [];
+  const projects = new Map();
+
+  for (const fullPath of walk(root)) {
+    const extension = path.extname(fullPath).toLowerCase();
+    const isDotnet = extension === '.cs';
+    if (!isDotnet && !JS_TEST_FILE.test(fullPath)) continue;
+
+    let content;
+    try {
+      content = readFileSync(fullPath, 'utf-8');
+    } catch (error) {
+      console.error(`[test-selector] Cannot read ${fullPath}:`, error.message);
+      continue;
+    }
+
+    const file = toPosix(path.relative(root, fullPath));
+
+    if (isDotnet) {
+      const classes = parseDotnetTestFile(content);
+      if (classes.length === 0) continue;
+
+      const projectDir = nearestDirectory(fullPath, root, name => name.endsWith('.csproj'));
+      const projectFile = readdirSync(projectDir).find(name => name.endsWith('.csproj'));
+      const projectName = projectFile ? path.basename(projectFile, '.csproj') : path.basename(projectDir);
+      const project = toPosix(path.relative(root, projectDir));
+      const entry = projects.get(`dotnet:${project}`) || {
+        name: projectName,
+        dir: project,
+        framework: 'dotnet',
+        namespaces: []
+      };
+      projects.set(`dotnet:${project}`, entry);
+
+      for (const testClass of classes) {
+        const fullName = testClass.namespace
+          ? `${testClass.namespace}.${testClass.className}`
+          : testClass.className;
+        entry.namespaces.push(testClass.namespace);
+        tests.push({
+          id: `dotnet:${fullName}`,
+          name: fullName,
+          framework: 'dotnet',
+          type: dotnetTestType(projectName, file, testClass.className),
+          project,
+          file,
+          subject: testSubject(testClass.className),
+          tests: testClass.methods,
+          identifiers: testClass.identifiers
+        });
+      }
+    } else {
+      const spec = parsePlaywrightSpec(content);
+      if (!spec || spec.titles.length === 0) continue;
+
+      const packageDir = nearestDirectory(
+        fullPath,
+        root,
+        name => name === 'package.json' || name.startsWith('playwright.config.')
+      );
+      const project = toPosix(path.relative(root, packageDir));
+      if (!projects.has(`playwright:${project}`)) {
+        projects.set(`playwright:${project}`, {
+          name: packageName(packageDir),
+          dir: project,
+          framework: 'playwright',
+          namespaces: []
+        });
+      }
+
+      tests.push({
+        id: `playwright:${file}`,
+        name: file,
+        framework: 'playwright',
+        type: 'playwright',
+        project,
+        file,
+        subject: testSubject(path.basename(file).replace(JS_TEST_FILE, '')),
+        tests: spec.titles,
+        describes: spec.describes,
+        imports: spec.imports.map(specifier => toPosix(path.join(path.dirname(file), specifier)))
+      });
+    }
+  }
+
+  console.log(`[test-selector] Found ${tests.length} test classes/specs in ${projects.size} projects under ${root}`);
+
+  return {
+    tests,
+    projects: [...projects.values()].map(({ namespaces, ...project }) => ({
+      ...project,
+      namespace: project.framework === 'dotnet' ? commonNamespace(namespaces) : null
+    }))
+  };
+}
+
+/**
+ * What a test is named after: RefundServiceTests -> RefundService,
+ * checkout-flow.spec -> checkout-flow
+ */
+export function testSubject(name) {
+  return name
+    .replace(/[._-]?(?:Integration|E2E|Unit)?(?:Tests?|Should|Specs?|Fixture)$/i, '')
+    || name;
+}
@@ -0,0 +1,538 @@
+/**
+ * Change-based Test Selection
+ *
+ * Ranks an app's tests (see testCatalog.js) by how likely a change breaks
+ * them. Each test gets the signals that tie it to a changed file:
+ *
+ * - changed:     the test file itself changed
+ * - named:       the test is named after a changed file (RefundServiceTests)
+ * - imports:     a Playwright spec imports a changed file
+ * - references:  a .NET test mentions a changed class (RefundService, IRefundService)
+ * - partialName: the test shares a name with a changed file's feature
+ *                (RefundController -> RefundServiceTests, refund.spec.ts)
+ * - blastRadius: the blast radius analyzer lists the test as depending on the change
+ * - coverage:    the test's project ran the changed lines in its last coverage run
+ *
+ * Name, import and reference signals also count for files in the change's
+ * blast radius, at a lower confidence. Coverage is per test project (one
+ * report per project), so it backs up the other signals for tests in that
+ * project; when nothing else in the project matched it selects the whole
+ * project.
+ *
+ * A test's confidence is its strongest signal plus a little for each other
+ * kind of signal. The selection feeds `dotnet test --filter` and
+ * `npx playwright test --grep`.
+ */
+
+import path from 'path';
+
+export const CONFIDENCE = {
+  changed: 1,
+  named: 0.85,
+  imports: 0.8,
+  blastRadius: 0.75,
+  references: 0.7,
+  coveredLines: 0.65,
+  partialName: 0.6,
+  coveredFile: 0.5
+};
+
+export const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+// Signals found through a file in the blast radius rather than a changed file
+const DEPENDENT_FACTOR = 0.7;
+const EXTRA_SIGNAL_BONUS = 0.05;
+const MAX_INFERRED_CONFIDENCE = 0.99;
+
+export const TEST_TYPES = ['unit', 'integration', 'playwright'];
+
+// Coverage analyzer -> framework of the tests its reports come from
+const REPORT_FRAMEWORKS = { dotnet: 'dotnet', javascript: 'playwright' };
+
+const LAYER_SUFFIX = /(Controller|Service|Repository|Handler|Manager|Provider|Client|Page|Component|View|Store)$/i;
+const MIN_FEATURE_LENGTH = 4;
+
+function toPosix(filePath) {
+  return filePath.replace(/\\/g, '/');
+}
+
+function stripExtension(filePath) {
+  return filePath.replace(/\.[^./]+$/, '');
+}
+
+/**
+ * File name up to its first dot: Services/RefundService.cs -> RefundService
+ */
+function stem(filePath) {
+  return path.posix.basename(toPosix(filePath)).split('.')[0];
+}
+
+/**
+ * Lower case letters and digits only, so RefundService, refund-service and
+ * refund_service compare equal
+ */
+function squash(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Changed files as [{ path, changedLines }] with paths relative to the app
+ * root. Accepts paths or { path, changedLines } objects (the Azure DevOps PR
+ * diff); repository paths (/Payments.Api/...) and absolute paths under the
+ * app both work. changedLines is null when unknown.
+ */
+export function normalizeChangedFiles(files, appPath) {
+  const root = toPosix(path.resolve(appPath));
+  const normalized = new Map();
+
+  for (const file of files || []) {
+    const rawPath = typeof file === 'string' ? file : file?.path;
+    if (!rawPath) continue;
+
+    let filePath = toPosix(String(rawPath));
+    if (filePath.startsWith(`${root}/`)) {
+      filePath = filePath.slice(root.length + 1);
+    }
+    filePath = filePath.replace(/^\/+/, '');
+
+    const key = filePath.toLowerCase();
+    if (normalized.has(key)) continue;
+
+    const changedLines = Array.isArray(file?.changedLines) ? file.changedLines : null;
+    normalized.set(key, { path: filePath, changedLines });
+  }
+
+  return [...normalized.values()];
+}
+
+/**
+ * Files the blast radius analyzer found around a change
+ * Returns { dependents, tests } with paths relative to the app root
+ */
+export function fromBlastRadius(result, changedFiles) {
+  if (!result?.impact) return { dependents: [], tests: [] };
+
+  const changed = new Set(changedFiles.map(f => f.path.toLowerCase()));
+  for (const file of result.changedFiles || []) {
+    if (file.exists) changed.add(toPosix(file.path).toLowerCase());
+  }
+
+  const tests = (result.impact.affectedTests || []).map(toPosix);
+  const testSet = new Set(tests.map(t => t.toLowerCase()));
+  const dependents = (result.impact.affectedComponents || [])
+    .map(toPosix)
+    .filter(file => !changed.has(file.toLowerCase()) && !testSet.has(file.toLowerCase()));
+
+  return { dependents, tests };
+}
+
+/**
+ * Find the coverage report path for a repository path
+ *
+ * Matched on the longest common trailing path segments, as the orchestrator
+ * does for pull request coverage. Returns null when nothing matches or the
+ * best match is ambiguous.
+ */
+export function matchCoverageFile(repoPath, coveragePaths) {
+  const segments = p => toPosix(p).toLowerCase().split('/').filter(Boolean);
+  const target = segments(repoPath);
+  let best = null;
+  let bestScore = 0;
+  let ambiguous = false;
+
+  for (const coveragePath of coveragePaths) {
+    const candidate = segments(coveragePath);
+    let score = 0;
+    while (
+      score < target.length &&
+      score < candidate.length &&
+      target[target.length - 1 - score] === candidate[candidate.length - 1 - score]
+    ) {
+      score++;
+    }
+
+    if (score > bestScore) {
+      best = coveragePath;
+      bestScore = score;
+      ambiguous = false;
+    } else if (score > 0 && score === bestScore) {
+      ambiguous = true;
+    }
+  }
+
+  return ambiguous ? null : best;
+}
+
+/**
+ * Test project (or Playwright package) a coverage report belongs to: the
+ * deepest project directory that contains the report
+ */
+export function projectForReport(report, projects, appPath) {
+  const relative = toPosix(path.relative(path.resolve(appPath), report.file));
+  if (relative.startsWith('..')) return null;
+
+  const framework = REPORT_FRAMEWORKS[report.analyzer];
+  return projects
+    .filter(p => p.framework === framework && (p.dir === '' || relative.startsWith(`${p.dir}/`)))
+    .sort((a, b) => b.dir.length - a.dir.length)[0] || null;
+}
+
+/**
+ * Name, import and reference signals between a test and a source file
+ */
+function fileSignals(test, filePath) {
+  const signals = [];
+  const fileStem = stem(filePath);
+  const name = path.posix.basename(filePath);
+
+  if (squash(test.subject) === squash(fileStem)) {
+    signals.push({ kind: 'named', confidence: CONFIDENCE.named, reason: `Named after ${name}` });
+  }
+
+  if (test.imports?.some(specifier => {
+    const target = stripExtension(specifier).toLowerCase();
+    const file = stripExtension(filePath).toLowerCase();
+    return target === file || `${target}/index` === file;
+  })) {
+    signals.push({ kind: 'imports', confidence: CONFIDENCE.imports, reason: `Imports ${name}` });
+  }
+
+  if (
+    test.identifiers &&
+    path.extname(filePath).toLowerCase() === '.cs' &&
+    squash(test.subject) !== squash(fileStem) &&
+    (test.identifiers.includes(fileStem) || test.identifiers.includes(`I${fileStem}`))
+  ) {
+    signals.push({ kind: 'references', confidence: CONFIDENCE.references, reason: `References ${fileStem}` });
+  }
+
+  const feature = squash(fileStem.replace(LAYER_SUFFIX, ''));
+  if (
+    signals.length === 0 &&
+    feature.length >= MIN_FEATURE_LENGTH &&
+    squash(test.subject).includes(feature)
+  ) {
+    signals.push({ kind: 'partialName', confidence: CONFIDENCE.partialName, reason: `Named like ${name}` });
+  }
+
+  return signals.map(signal => ({ ...signal, source: filePath }));
+}
+
+/**
+ * Lines of a changed file that a coverage report ran, or null when the
+ * report does not cover the file
+ */
+function coveredLines(changedFile, report) {
+  const coverageFile = matchCoverageFile(changedFile.path, Object.keys(report.lines || {}));
+  if (!coverageFile) return null;
+
+  const hits = report.lines[coverageFile];
+  const lines = changedFile.changedLines || Object.keys(hits).map(Number);
+  const ran = lines.filter(line => hits[line] > 0).length;
+  return ran > 0 ? ran : null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function shellQuote(text) {
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Drop filter values another value already matches: FullyQualifiedName~
+ * is a contains match, so Payments.Tests. covers Payments.Tests.RefundTests.
+ */
+function dropCoveredFilters(values) {
+  const unique = [...new Set(values)];
+  return unique.filter(value => !unique.some(other => other !== value && value.includes(other)));
+}
+
+/**
+ * Entry that runs a whole test project, for coverage-only matches
+ */
+function projectEntry(project, tests) {
+  const members = tests.filter(t => t.framework === project.framework && t.project === project.dir);
+  const isDotnet = project.framework === 'dotnet';
+
+  return {
+    id: `${project.framework}-project:${project.dir}`,
+    name: isDotnet ? project.namespace || project.name : project.name,
+    framework: project.framework,
+    type: isDotnet
+      ? (members.every(t => t.type === 'integration') && members.length > 0 ? 'integration' : 'unit')
+      : 'playwright',
+    project: project.dir,
+    file: null,
+    scope: 'project',
+    tests: members.map(t => t.name),
+    filterValues: isDotnet
+      ? (project.namespace ? [`${project.namespace}.`] : members.map(t => `${t.name}.`))
+      : undefined,
+    grepPatterns: isDotnet ? undefined : members.flatMap(grepPatternsFor)
+  };
+}
+
+/**
+ * Playwright titles to grep for: a spec's describe blocks when it has any,
+ * otherwise its tests
+ */
+function grepPatternsFor(test) {
+  const titles = test.describes?.length > 0 ? test.describes : test.tests;
+  return titles.map(escapeRegExp);
+}
+
+function confidenceOf(signals) {
+  if (signals.some(s => s.kind === 'changed')) return CONFIDENCE.changed;
+
+  const best = Math.max(...signals.map(s => s.confidence));
+  const kinds = new Set(signals.map(s => s.kind)).size;
+  const confidence = Math.min(MAX_INFERRED_CONFIDENCE, best + EXTRA_SIGNAL_BONUS * (kinds - 1));
+  return Math.round(confidence * 100) / 100;
+}
+
+function compareSelections(a, b) {
+  return b.confidence - a.confidence ||
+    TEST_TYPES.indexOf(a.type) - TEST_TYPES.indexOf(b.type) ||
+    a.name.localeCompare(b.name);
+}
+
+/**
+ * `dotnet test --filter` and `npx playwright test --grep` arguments per test type
+ * Returns { unit, integration, playwright }, each null when nothing of that type was selected
+ */
+export function buildCommands(selected) {
+  const commands = {};
+
+  for (const type of TEST_TYPES) {
+    const ofType = selected.filter(s => s.type === type);
+    if (ofType.length === 0) {
+      commands[type] = null;
+    } else if (type === 'playwright') {
+      const grep = [...new Set(ofType.flatMap(s => s.grepPatterns))].join('|');
+      commands[type] = { grep, command: `npx playwright test --grep ${shellQuote(grep)}` };
+    } else {
+      const filter = dropCoveredFilters(ofType.flatMap(s => s.filterValues))
+        .map(value => `FullyQualifiedName~${value}`)
+        .join('|');
+      commands[type] = { filter, command: `dotnet test --filter ${shellQuote(filter)}` };
+    }
+  }
+
+  return commands;
+}
+
+/**
+ * Select and rank the tests to run for a change
+ *
+ * @param {Object} options
+ * @param {Array} options.changedFiles - from normalizeChangedFiles
+ * @param {Object} options.catalog - from discoverTests
+ * @param {Object} [options.blastRadius] - from fromBlastRadius
+ * @param {Array} [options.coverageReports] - [{ analyzer: 'dotnet'|'javascript', file, lines }]
+ * @param {string} options.appPath - app root the catalog was built from
+ * @param {number} [options.minConfidence] - leave out tests below this
+ * @param {number} [options.maxTests] - keep only the highest ranked
+ *
+ * Returns { tests, commands, summary }
+ */
+export function selectTests({
+  changedFiles,
+  catalog,
+  blastRadius = null,
+  coverageReports = [],
+  appPath,
+  minConfidence = DEFAULT_MIN_CONFIDENCE,
+  maxTests = null
+}) {
+  const candidates = new Map();
+  const addSignals = (entry, signals) => {
+    if (signals.length === 0) return;
+    const candidate = candidates.get(entry.id) || { entry, signals: [] };
+    candidate.signals.push(...signals);
+    candidates.set(entry.id, candidate);
+  };
+
+  const testsByFile = new Map();
+  for (const test of catalog.tests) {
+    const key = test.file.toLowerCase();
+    testsByFile.set(key, [...(testsByFile.get(key) || []), test]);
+  }
+
+  // Changed files: the tests themselves, then anything named after or using them
+  for (const changedFile of changedFiles) {
+    const changedTests = testsByFile.get(changedFile.path.toLowerCase());
+    if (changedTests) {
+      changedTests.forEach(test => addSignals(test, [{
+        kind: 'changed',
+        confidence: CONFIDENCE.changed,
+        reason: 'Test file changed',
+        source: changedFile.path
+      }]));
+      continue;
+    }
+
+    for (const test of catalog.tests) {
+      addSignals(test, fileSignals(test, changedFile.path));
+    }
+  }
+
+  // Blast radius: tests that depend on the change, and tests of its dependents
+  for (const testFile of blastRadius?.tests || []) {
+    for (const test of testsByFile.get(testFile.toLowerCase()) || []) {
+      addSignals(test, [{
+        kind: 'blastRadius',
+        confidence: CONFIDENCE.blastRadius,
+        reason: 'Depends on the change (blast radius)',
+        source: testFile
+      }]);
+    }
+  }
+
+  for (const dependent of blastRadius?.dependents || []) {
+    for (const test of catalog.tests) {
+      addSignals(test, fileSignals(test, dependent).map(signal => ({
+        ...signal,
+        confidence: Math.round(signal.confidence * DEPENDENT_FACTOR * 100) / 100,
+        reason: `${signal.reason}, which is in the blast radius of the change`
+      })));
+    }
+  }
+
+  // Coverage: backs up matches in the covering project, or selects the project
+  for (const report of coverageReports) {
+    const project = projectForReport(report, catalog.projects, appPath);
+    if (!project) continue;
+
+    for (const changedFile of changedFiles) {
+      if (testsByFile.has(changedFile.path.toLowerCase())) continue;
+
+      const ran = coveredLines(changedFile, report);
+      if (!ran) continue;
+
+      const signal = changedFile.changedLines
+        ? {
+          kind: 'coverage',
+          confidence: CONFIDENCE.coveredLines,
+          reason: `${project.name} ran ${ran} changed line${ran === 1 ? '' : 's'} of ${path.posix.basename(changedFile.path)} in its last coverage run`
+        }
+        : {
+          kind: 'coverage',
+          confidence: CONFIDENCE.coveredFile,
+          reason: `${project.name} covers ${path.posix.basename(changedFile.path)} in its last coverage run`
+        };
+      signal.source = changedFile.path;
+
+      const matched = [...candidates.values()].filter(({ entry, signals }) =>
+        entry.framework === project.framework &&
+        entry.project === project.dir &&
+        signals.some(s => s.source === changedFile.path)
+      );
+
+      if (matched.length > 0) {
+        matched.forEach(({ entry }) => addSignals(entry, [signal]));
+      } else {
+        addSignals(projectEntry(project, catalog.tests), [signal]);
+      }
+    }
+  }
+
+  const ranked = [...candidates.values()]
+    .map(({ entry, signals }) => {
+      const reasons = [...new Set(
+        [...signals].sort((a, b) => b.confidence - a.confidence).map(s => s.reason)
+      )];
+      return {
+        ...entry,
+        filterValues: entry.filterValues || (entry.framework === 'dotnet' ? [`${entry.name}.`] : undefined),
+        grepPatterns: entry.grepPatterns || (entry.framework === 'playwright' ? grepPatternsFor(entry) : undefined),
+        confidence: confidenceOf(signals),
+        reason: reasons[0],
+        reasons
+      };
+    })
+    .filter(selection => selection.confidence >= minConfidence)
+    .sort(compareSelections);
+
+  const selected = maxTests ? ranked.slice(0, maxTests) : ranked;
+
+  const byType = Object.fromEntries(
+    TEST_TYPES.map(type => [type, selected.filter(s => s.type === type).length])
+  );
+
+  return {
+    tests: selected.map(toSelection),
+    commands: buildCommands(selected),
+    summary: {
+      changedFiles: changedFiles.length,
+      candidates: catalog.tests.length,
+      selected: selected.length,
+      truncated: ranked.length - selected.length,
+      byType
+    }
+  };
+}
+
+/**
+ * What a selected test looks like in the API response
+ */
+function toSelection(selection) {
+  const output = {
+    id: selection.id,
+    name: selection.name,
+    type: selection.type,
+    framework: selection.framework,
+    scope: selection.scope || (selection.framework === 'dotnet' ? 'class' : 'spec'),
+    project: selection.project,
+    file: selection.file,
+    tests: selection.tests,
+    confidence: selection.confidence,
+    reason: selection.reason,
+    reasons: selection.reasons
+  };
+
+  if (selection.framework === 'dotnet') {
+    output.filter = dropCoveredFilters(selection.filterValues)
+      .map(value => `FullyQualifiedName~${value}`)
+      .join('|');
+  } else {
+    output.grep = [...new Set(selection.grepPatterns)].join('|');
+  }
+
+  return output;
+}
+
+/**
+ * Which source files each test project covers, from per-report line coverage
+ * Returns [{ name, dir, framework, tests, coverageFiles, sourceFiles }]
+ */
+export function coverageByProject(catalog, coverageReports, appPath) {
+  const projects = catalog.projects.map(project => ({
+    ...project,
+    tests: catalog.tests.filter(t => t.framework === project.framework && t.project === project.dir).length,
+    coverageFiles: [],
+    sourceFiles: new Map()
+  }));
+
+  for (const report of coverageReports) {
+    const match = projectForReport(report, catalog.projects, appPath);
+    const project = match && projects.find(p => p.framework === match.framework && p.dir === match.dir);
+    if (!project) continue;
+
+    project.coverageFiles.push(report.file);
+    for (const [sourceFile, hits] of Object.entries(report.lines || {})) {
+      const covered = Object.values(hits).filter(count => count > 0).length;
+      if (covered > 0) {
+        project.sourceFiles.set(sourceFile, (project.sourceFiles.get(sourceFile) || 0) + covered);
+      }
+    }
+  }
+
+  return projects.map(project => ({
+    ...project,
+    sourceFiles: [...project.sourceFiles]
+      .map(([file, coveredLines]) => ({ file, coveredLines }))
+      .sort((a, b) => a.file.localeCompare(b.file))
+  }));
+}
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for ChangeSources - PR diffs, blast radius and coverage from the other MCPs
+ */
+
+import { jest } from "@jest/globals";
+import axios from "axios";
+import {
+  ChangeSources,
+  coverageAnalyzersFor,
+} from "../../src/changeSources.js";
+
+const mockAxiosGet = jest.fn();
+const mockAxiosPost = jest.fn();
+axios.get = mockAxiosGet;
+axios.post = mockAxiosPost;
+
+describe("ChangeSources", () => {
+  const sources = new ChangeSources({
+    azureDevOpsUrl: "http://ado",
+    blastRadiusUrl: "http://blast",
+    coverageUrl: "http://coverage",
+    javascriptCoverageUrl: "http://js-coverage",
+  });
+
+  beforeEach(() => {
+    mockAxiosGet.mockReset();
+    mockAxiosPost.mockReset();
+  });
+
+  it("should read a pull request's changed files from its diff", async () => {
+    mockAxiosGet.mockResolvedValue({
+      data: {
+        success: true,
+        data: {
+          baseCommit: "abc",
+          targetCommit: "def",
+          files: [{ path: "/Api/RefundService.cs", changedLines: [3] }],
+        },
+      },
+    });
+
+    const changes = await sources.getPullRequestChanges(42, "my repo");
+
+    expect(mockAxiosGet).toHaveBeenCalledWith(
+      "http://ado/work-items/pull-requests/42/diff?repositoryId=my%20repo",
+      expect.any(Object),
+    );
+    expect(changes).toEqual({
+      files: [{ path: "/Api/RefundService.cs", changedLines: [3] }],
+      baseCommit: "abc",
+      targetCommit: "def",
+    });
+  });
+
+  it("should fail when the diff is missing", async () => {
+    mockAxiosGet.mockResolvedValue({ data: { success: false } });
+
+    await expect(sources.getPullRequestChanges(42)).rejects.toThrow(
+      "No diff returned for pull request 42",
+    );
+  });
+
+  it("should pass on azure-devops' 4xx for a pull request", async () => {
+    mockAxiosGet.mockRejectedValue(
+      Object.assign(new Error("Request failed with status code 404"), {
+        response: {
+          status: 404,
+          data: { error: { message: "Failed to get pull request: Not Found" } },
+        },
+      }),
+    );
+
+    await expect(sources.getPullRequestChanges(999)).rejects.toMatchObject({
+      statusCode: 404,
+      message:
+        "Could not read pull request 999: Failed to get pull request: Not Found",
+    });
+  });
+
+  it("should report a failing or unreachable azure-devops as a bad gateway", async () => {
+    mockAxiosGet.mockRejectedValueOnce(
+      Object.assign(new Error("Request failed with status code 500"), {
+        response: { status: 500, data: {} },
+      }),
+    );
+    mockAxiosGet.mockRejectedValueOnce(new Error("connect ECONNREFUSED"));
+
+    await expect(sources.getPullRequestChanges(42)).rejects.toMatchObject({
+      statusCode: 502,
+    });
+    await expect(sources.getPullRequestChanges(42)).rejects.toMatchObject({
+      statusCode: 502,
+      message: "Could not read pull request 42: connect ECONNREFUSED",
+    });
+  });
+
+  it("should ask the blast radius analyzer about the changed files", async () => {
+    mockAxiosPost.mockResolvedValue({
+      data: { success: true, result: { impact: {} } },
+    });
+
+    await expect(
+      sources.getBlastRadius("Payments", ["Api/RefundService.cs"], 3),
+    ).resolves.toEqual({ impact: {} });
+    expect(mockAxiosPost).toHaveBeenCalledWith(
+      "http://blast/analyze",
+      { app: "Payments", changedFiles: ["Api/RefundService.cs"], depth: 3 },
+      expect.any(Object),
+    );
+  });
+
+  it("should request coverage per report and tag it with its analyzer", async () => {
+    mockAxiosPost.mockResolvedValue({
+      data: {
+        success: true,
+        reports: [{ file: "/web/coverage/coverage-final.json", lines: {} }],
+      },
+    });
+
+    const reports = await sources.getCoverageReports("Payments", "javascript");
+
+    expect(mockAxiosPost).toHaveBeenCalledWith(
+      "http://js-coverage/line-coverage",
+      { app: "Payments", byReport: true },
+      expect.any(Object),
+    );
+    expect(reports).toEqual([
+      {
+        analyzer: "javascript",
+        file: "/web/coverage/coverage-final.json",
+        lines: {},
+      },
+    ]);
+  });
+
+  it("should pick coverage analyzers by the languages changed", () => {
+    expect(
+      coverageAnalyzersFor([{ path: "Api/A.cs" }, { path: "web/b.tsx" }]),
+    ).toEqual(["dotnet", "javascript"]);
+    expect(coverageAnalyzersFor([{ path: "web/Cart.vue" }])).toEqual([
+      "javascript",
+    ]);
+    expect(coverageAnalyzersFor([{ path: "appsettings.json" }])).toEqual([]);
+  });
+});
@@ -1,12 +1,89 @@
-// eslint-disable-next-line no-unused-vars
 import { jest } from "@jest/globals";
 import express from "express";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
 import request from "supertest";
+import { discoverTests } from "../../src/testCatalog.js";
+import {
+  coverageByProject,
+  DEFAULT_MIN_CONFIDENCE,
+  fromBlastRadius,
+  normalizeChangedFiles,
+  selectTests,
+} from "../../src/testSelector.js";
+import { coverageAnalyzersFor } from "../../src/changeSources.js";
 
 describe("Test Selector Routes", () => {
   let app;
+  let dir;
+  let mockSources;
+
+  const write = (relativePath, content) => {
+    const filePath = path.join(dir, relativePath);
+    mkdirSync(path.dirname(filePath), { recursive: true });
+    writeFileSync(filePath, content);
+  };
 
   beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    dir = mkdtempSync(path.join(tmpdir(), "test-selector-"));
+    write("Payments.Tests/Payments.Tests.csproj", "<Project />");
+    write(
+      "Payments.Tests/Services/RefundServiceTests.cs",
+      "namespace Payments.Tests.Services; public class RefundServiceTests { [Fact] public void Refunds() {} }",
+    );
+    write(
+      "Payments.Tests/Services/LedgerTests.cs",
+      "namespace Payments.Tests.Services; public class LedgerTests { [Fact] public void Balances() {} }",
+    );
+    write("web/package.json", JSON.stringify({ name: "payments-web" }));
+    write(
+      "web/e2e/refund.spec.ts",
+      "import { test } from '@playwright/test';\ntest('submits a refund', async () => {});",
+    );
+
+    const appConfigs = [{ name: "Payments", path: dir }];
+    const loadAppConfig = (appName) =>
+      appConfigs.find((a) => a.name === appName) || null;
+
+    mockSources = {
+      getPullRequestChanges: jest.fn(),
+      getBlastRadius: jest.fn().mockResolvedValue(null),
+      getCoverageReports: jest.fn().mockResolvedValue([]),
+    };
+
+    const gatherEvidence = async (appName, changedFiles, depth) => {
+      const warnings = [];
+      let blastRadius = null;
+      const coverageReports = [];
+
+      try {
+        const result = await mockSources.getBlastRadius(
+          appName,
+          changedFiles.map((f) => f.path),
+          depth,
+        );
+        blastRadius = fromBlastRadius(result, changedFiles);
+      } catch (error) {
+        warnings.push(`Blast radius unavailable: ${error.message}`);
+      }
+
+      for (const analyzer of coverageAnalyzersFor(changedFiles)) {
+        try {
+          coverageReports.push(
+            ...(await mockSources.getCoverageReports(appName, analyzer)),
+          );
+        } catch (error) {
+          warnings.push(`${analyzer} coverage unavailable: ${error.message}`);
+        }
+      }
+
+      return { blastRadius, coverageReports, warnings };
+    };
+
     app = express();
     app.use(express.json());
 
@@ -21,19 +98,157 @@ describe("Test Selector Routes", () => {
       });
     });
 
-    app.post("/api/select-tests", (req, res) => {
-      res.json({ message: "Select tests based on code changes" });
+    app.post("/api/select-tests", async (req, res) => {
+      try {
+        const {
+          app: appName,
+          files,
+          pullRequestId,
+          repositoryId,
+          depth = 2,
+          minConfidence = DEFAULT_MIN_CONFIDENCE,
+          maxTests = null,
+        } = req.body;
+
+        if (!appName) {
+          return res
+            .status(400)
+            .json({ success: false, error: "app is required" });
+        }
+        if (files === undefined && !pullRequestId) {
+          return res.status(400).json({
+            success: false,
+            error: "files or pullRequestId is required",
+          });
+        }
+        if (files !== undefined && !Array.isArray(files)) {
+          return res.status(400).json({
+            success: false,
+            error: "files must be an array of file paths",
+          });
+        }
+
+        const blastDepth = Number(depth);
+        if (!Number.isInteger(blastDepth) || blastDepth < 1) {
+          return res.status(400).json({
+            success: false,
+            error: "depth must be a positive integer",
+          });
+        }
+
+        const appConfig = loadAppConfig(appName);
+        if (!appConfig) {
+          return res.status(404).json({
+            success: false,
+            error: `Application ${appName} not found`,
+          });
+        }
+
+        const pullRequest =
+          files === undefined
+            ? await mockSources.getPullRequestChanges(
+                pullRequestId,
+                repositoryId,
+              )
+            : null;
+        const changedFiles = normalizeChangedFiles(
+          pullRequest ? pullRequest.files : files,
+          appConfig.path,
+        );
+        const evidence = await gatherEvidence(
+          appName,
+          changedFiles,
+          blastDepth,
+        );
+        const selection = selectTests({
+          changedFiles,
+          catalog: discoverTests(appConfig.path),
+          blastRadius: evidence.blastRadius,
+          coverageReports: evidence.coverageReports,
+          appPath: appConfig.path,
+          minConfidence,
+          maxTests,
+        });
+
+        res.json({
+          success: true,
+          app: appName,
+          pullRequestId: pullRequestId || null,
+          changedFiles: changedFiles.map((f) => f.path),
+          ...selection,
+          warnings: evidence.warnings,
+        });
+      } catch (error) {
+        res
+          .status(error.statusCode || 500)
+          .json({ success: false, error: error.message });
+      }
     });
 
-    app.get("/api/test-coverage", (req, res) => {
-      res.json({ message: "Test coverage analysis endpoint" });
+    app.get("/api/test-coverage", async (req, res) => {
+      const appConfig = loadAppConfig(req.query.app);
+      if (!appConfig) {
+        return res.status(404).json({
+          success: false,
+          error: `Application ${req.query.app} not found`,
+        });
+      }
+
+      const coverageReports = [];
+      for (const analyzer of ["dotnet", "javascript"]) {
+        coverageReports.push(
+          ...(await mockSources.getCoverageReports(req.query.app, analyzer)),
+        );
+      }
+
+      res.json({
+        success: true,
+        app: req.query.app,
+        projects: coverageByProject(
+          discoverTests(appConfig.path),
+          coverageReports,
+          appConfig.path,
+        ),
+      });
     });
 
-    app.get("/api/test-impact", (req, res) => {
-      res.json({ message: "Test impact analysis endpoint" });
+    app.get("/api/test-impact", async (req, res) => {
+      const { app: appName, file } = req.query;
+      const files = [].concat(file || []);
+
+      if (!appName || files.length === 0) {
+        return res
+          .status(400)
+          .json({ success: false, error: "app and file are required" });
+      }
+
+      const appConfig = loadAppConfig(appName);
+      const changedFiles = normalizeChangedFiles(files, appConfig.path);
+      const evidence = await gatherEvidence(appName, changedFiles, 2);
+      const { tests, summary } = selectTests({
+        changedFiles,
+        catalog: discoverTests(appConfig.path),
+        blastRadius: evidence.blastRadius,
+        coverageReports: evidence.coverageReports,
+        appPath: appConfig.path,
+        minConfidence: 0,
+      });
+
+      res.json({
+        success: true,
+        app: appName,
+        files: changedFiles.map((f) => f.path),
+        tests,
+        summary,
+      });
     });
   });
 
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
   describe("GET /health", () => {
     it("should return healthy status", async () => {
       const response = await request(app).get("/health");
@@ -60,50 +275,194 @@ describe("Test Selector Routes", () => {
   });
 
   describe("POST /api/select-tests", () => {
-    it("should return test selection message", async () => {
-      const response = await request(app).post("/api/select-tests").send({});
+    it("should select tests for changed files with commands to run them", async () => {
+      const response = await request(app)
+        .post("/api/select-tests")
+        .send({
+          app: "Payments",
+          files: ["Payments.Api/Services/RefundService.cs"],
+        });
 
       expect(response.status).toBe(200);
-      expect(response.body.message).toBe("Select tests based on code changes");
+      expect(response.body.tests.map((t) => [t.id, t.reason])).toEqual([
+        [
+          "dotnet:Payments.Tests.Services.RefundServiceTests",
+          "Named after RefundService.cs",
+        ],
+        ["playwright:web/e2e/refund.spec.ts", "Named like RefundService.cs"],
+      ]);
+      expect(response.body.commands).toEqual({
+        unit: {
+          filter:
+            "FullyQualifiedName~Payments.Tests.Services.RefundServiceTests.",
+          command:
+            "dotnet test --filter 'FullyQualifiedName~Payments.Tests.Services.RefundServiceTests.'",
+        },
+        integration: null,
+        playwright: {
+          grep: "submits a refund",
+          command: "npx playwright test --grep 'submits a refund'",
+        },
+      });
+      expect(mockSources.getCoverageReports).toHaveBeenCalledWith(
+        "Payments",
+        "dotnet",
+      );
     });
 
-    it("should return JSON response", async () => {
-      const response = await request(app).post("/api/select-tests").send({});
+    it("should read the changed files of a pull request", async () => {
+      mockSources.getPullRequestChanges.mockResolvedValue({
+        files: [
+          {
+            path: "/Payments.Tests/Services/LedgerTests.cs",
+            changedLines: [1],
+          },
+        ],
+      });
+
+      const response = await request(app)
+        .post("/api/select-tests")
+        .send({ app: "Payments", pullRequestId: 42, repositoryId: "repo" });
 
       expect(response.status).toBe(200);
-      expect(response.headers["content-type"]).toMatch(/json/);
+      expect(mockSources.getPullRequestChanges).toHaveBeenCalledWith(
+        42,
+        "repo",
+      );
+      expect(response.body.changedFiles).toEqual([
+        "Payments.Tests/Services/LedgerTests.cs",
+      ]);
+      expect(response.body.tests).toEqual([
+        expect.objectContaining({
+          id: "dotnet:Payments.Tests.Services.LedgerTests",
+          confidence: 1,
+          reason: "Test file changed",
+        }),
+      ]);
     });
-  });
 
-  describe("GET /api/test-coverage", () => {
-    it("should return test coverage endpoint message", async () => {
-      const response = await request(app).get("/api/test-coverage");
+    it("should pass on the status of a pull request that cannot be read", async () => {
+      mockSources.getPullRequestChanges.mockRejectedValue(
+        Object.assign(new Error("Could not read pull request 999"), {
+          statusCode: 404,
+        }),
+      );
+
+      const response = await request(app)
+        .post("/api/select-tests")
+        .send({ app: "Payments", pullRequestId: 999 });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe("Could not read pull request 999");
+    });
+
+    it("should still select tests when the analyzers are down", async () => {
+      mockSources.getBlastRadius.mockRejectedValue(new Error("ECONNREFUSED"));
+      mockSources.getCoverageReports.mockRejectedValue(
+        new Error("ECONNREFUSED"),
+      );
+
+      const response = await request(app)
+        .post("/api/select-tests")
+        .send({ app: "Payments", files: ["Services/RefundService.cs"] });
 
       expect(response.status).toBe(200);
-      expect(response.body.message).toBe("Test coverage analysis endpoint");
+      expect(response.body.summary.selected).toBe(2);
+      expect(response.body.warnings).toEqual([
+        "Blast radius unavailable: ECONNREFUSED",
+        "dotnet coverage unavailable: ECONNREFUSED",
+      ]);
     });
 
-    it("should return JSON response", async () => {
-      const response = await request(app).get("/api/test-coverage");
+    it("should require an app and changed files or a pull request", async () => {
+      const noApp = await request(app)
+        .post("/api/select-tests")
+        .send({ files: [] });
+      const noChanges = await request(app)
+        .post("/api/select-tests")
+        .send({ app: "Payments" });
+      const badFiles = await request(app)
+        .post("/api/select-tests")
+        .send({ app: "Payments", files: "a.cs" });
+
+      const badDepth = await request(app)
+        .post("/api/select-tests")
+        .send({ app: "Payments", files: ["a.cs"], depth: "deep" });
+
+      expect(noApp.status).toBe(400);
+      expect(noChanges.body.error).toBe("files or pullRequestId is required");
+      expect(badFiles.status).toBe(400);
+      expect(badDepth.status).toBe(400);
+      expect(badDepth.body.error).toBe("depth must be a positive integer");
+    });
+
+    it("should return 404 for unknown apps", async () => {
+      const response = await request(app)
+        .post("/api/select-tests")
+        .send({ app: "Unknown", files: ["a.cs"] });
+
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe("GET /api/test-coverage", () => {
+    it("should list what each test project covers", async () => {
+      mockSources.getCoverageReports.mockImplementation(
+        async (appName, analyzer) =>
+          analyzer === "dotnet"
+            ? [
+                {
+                  analyzer,
+                  file: path.join(
+                    dir,
+                    "Payments.Tests/TestResults/a/coverage.cobertura.xml",
+                  ),
+                  lines: { "Services/RefundService.cs": { 3: 1 } },
+                },
+              ]
+            : [],
+      );
+
+      const response = await request(app).get(
+        "/api/test-coverage?app=Payments",
+      );
 
       expect(response.status).toBe(200);
-      expect(response.headers["content-type"]).toMatch(/json/);
+      expect(response.body.projects).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({
+            name: "Payments.Tests",
+            tests: 2,
+            sourceFiles: [
+              { file: "Services/RefundService.cs", coveredLines: 1 },
+            ],
+          }),
+          expect.objectContaining({ name: "payments-web", sourceFiles: [] }),
+        ]),
+      );
     });
   });
 
   describe("GET /api/test-impact", () => {
-    it("should return test impact endpoint message", async () => {
-      const response = await request(app).get("/api/test-impact");
+    it("should list every test a file affects without the cut-off", async () => {
+      const response = await request(app).get(
+        "/api/test-impact?app=Payments&file=Payments.Api/LedgerController.cs",
+      );
 
       expect(response.status).toBe(200);
-      expect(response.body.message).toBe("Test impact analysis endpoint");
+      expect(response.body.tests).toEqual([
+        expect.objectContaining({
+          id: "dotnet:Payments.Tests.Services.LedgerTests",
+          reason: "Named like LedgerController.cs",
+        }),
+      ]);
     });
 
-    it("should return JSON response", async () => {
-      const response = await request(app).get("/api/test-impact");
+    it("should require a file", async () => {
+      const response = await request(app).get("/api/test-impact?app=Payments");
 
-      expect(response.status).toBe(200);
-      expect(response.headers["content-type"]).toMatch(/json/);
+      expect(response.status).toBe(400);
     });
   });
 });
@@ -0,0 +1,231 @@
+/**
+ * Unit tests for the test catalog - .NET test classes and Playwright specs
+ */
+
+import { jest } from "@jest/globals";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  discoverTests,
+  dotnetTestType,
+  parseDotnetTestFile,
+  parsePlaywrightSpec,
+  testSubject,
+} from "../../src/testCatalog.js";
+
+const REFUND_TESTS = `using Xunit;
+
+namespace Payments.Tests.Services
+{
+    public class RefundServiceTests
+    {
+        private readonly IRefundService _service;
+
+        [Fact]
+        public void Refund_IsValidated() { }
+
+        [Theory]
+        [InlineData(10)]
+        public async Task Refund_Processes(int amount) { }
+
+        private void Helper() { }
+    }
+}
+`;
+
+const REFUND_SPEC = `import { test, expect } from '@playwright/test';
+import { RefundPage } from '../src/pages/RefundPage';
+
+test.describe('Refund flow', () => {
+  test('submits a refund', async ({ page }) => {});
+  test("shows \\"amount\\" errors", async () => {});
+});
+`;
+
+describe("testCatalog", () => {
+  describe("parseDotnetTestFile", () => {
+    it("should list test methods per class with the namespace", () => {
+      expect(parseDotnetTestFile(REFUND_TESTS)).toEqual([
+        {
+          className: "RefundServiceTests",
+          namespace: "Payments.Tests.Services",
+          methods: ["Refund_IsValidated", "Refund_Processes"],
+          identifiers: expect.arrayContaining([
+            "IRefundService",
+            "RefundServiceTests",
+          ]),
+        },
+      ]);
+    });
+
+    it("should read NUnit and MSTest attributes and file-scoped namespaces", () => {
+      const content = `namespace Core.Tests;
+public class LedgerTests
+{
+    [Test]
+    public void Balances() { }
+}
+public class AuditTests
+{
+    [TestMethod]
+    public void Records() { }
+    [TestCase(1)]
+    public void Counts(int n) { }
+}`;
+
+      expect(
+        parseDotnetTestFile(content).map(
+          ({ className, namespace, methods }) => ({
+            className,
+            namespace,
+            methods,
+          }),
+        ),
+      ).toEqual([
+        {
+          className: "LedgerTests",
+          namespace: "Core.Tests",
+          methods: ["Balances"],
+        },
+        {
+          className: "AuditTests",
+          namespace: "Core.Tests",
+          methods: ["Records", "Counts"],
+        },
+      ]);
+    });
+
+    it("should ignore classes without tests", () => {
+      expect(
+        parseDotnetTestFile(
+          "public class RefundService { public void Run() {} }",
+        ),
+      ).toEqual([]);
+    });
+  });
+
+  describe("parsePlaywrightSpec", () => {
+    it("should read describe and test titles and relative imports", () => {
+      expect(parsePlaywrightSpec(REFUND_SPEC)).toEqual({
+        titles: ["submits a refund", 'shows "amount" errors'],
+        describes: ["Refund flow"],
+        imports: ["../src/pages/RefundPage"],
+      });
+    });
+
+    it("should skip specs that are not Playwright", () => {
+      expect(
+        parsePlaywrightSpec("import { render } from '@testing-library/react';"),
+      ).toBeNull();
+    });
+  });
+
+  describe("naming", () => {
+    it("should find what a test is named after", () => {
+      expect(testSubject("RefundServiceTests")).toBe("RefundService");
+      expect(testSubject("RefundServiceIntegrationTests")).toBe(
+        "RefundService",
+      );
+      expect(testSubject("LedgerShould")).toBe("Ledger");
+      expect(testSubject("checkout-flow")).toBe("checkout-flow");
+      expect(testSubject("Tests")).toBe("Tests");
+    });
+
+    it("should tell integration from unit tests", () => {
+      expect(dotnetTestType("Payments.IntegrationTests", "a.cs", "A")).toBe(
+        "integration",
+      );
+      expect(dotnetTestType("Payments.Tests", "Api/RefundApiE2ETests.cs")).toBe(
+        "integration",
+      );
+      expect(dotnetTestType("Payments.Tests", "Services/RefundTests.cs")).toBe(
+        "unit",
+      );
+    });
+  });
+
+  describe("discoverTests", () => {
+    let dir;
+
+    const write = (relativePath, content) => {
+      const filePath = path.join(dir, relativePath);
+      mkdirSync(path.dirname(filePath), { recursive: true });
+      writeFileSync(filePath, content);
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, "log").mockImplementation(() => {});
+      dir = mkdtempSync(path.join(tmpdir(), "test-catalog-"));
+      write("Payments.Api/Payments.Api.csproj", "<Project />");
+      write(
+        "Payments.Api/Services/RefundService.cs",
+        "namespace Payments.Api.Services; public class RefundService {}",
+      );
+      write("Payments.Tests/Payments.Tests.csproj", "<Project />");
+      write("Payments.Tests/Services/RefundServiceTests.cs", REFUND_TESTS);
+      write("Payments.Tests/bin/Debug/Copied.cs", REFUND_TESTS);
+      write(
+        "Payments.IntegrationTests/Payments.IntegrationTests.csproj",
+        "<Project />",
+      );
+      write(
+        "Payments.IntegrationTests/RefundApiTests.cs",
+        "namespace Payments.IntegrationTests; public class RefundApiTests { [Fact] public async Task Post() {} }",
+      );
+      write("web/package.json", JSON.stringify({ name: "payments-web" }));
+      write("web/e2e/refund.spec.ts", REFUND_SPEC);
+      write("web/src/cart.test.ts", "import { it } from 'vitest';");
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    it("should find .NET test classes and Playwright specs", () => {
+      const { tests } = discoverTests(dir);
+
+      expect(tests.map((t) => [t.id, t.type, t.project])).toEqual(
+        expect.arrayContaining([
+          [
+            "dotnet:Payments.Tests.Services.RefundServiceTests",
+            "unit",
+            "Payments.Tests",
+          ],
+          [
+            "dotnet:Payments.IntegrationTests.RefundApiTests",
+            "integration",
+            "Payments.IntegrationTests",
+          ],
+          ["playwright:web/e2e/refund.spec.ts", "playwright", "web"],
+        ]),
+      );
+      expect(tests).toHaveLength(3);
+      expect(tests.find((t) => t.framework === "playwright")).toMatchObject({
+        file: "web/e2e/refund.spec.ts",
+        subject: "refund",
+        imports: ["web/src/pages/RefundPage"],
+      });
+    });
+
+    it("should describe the test projects", () => {
+      expect(discoverTests(dir).projects).toEqual(
+        expect.arrayContaining([
+          {
+            name: "Payments.Tests",
+            dir: "Payments.Tests",
+            framework: "dotnet",
+            namespace: "Payments.Tests.Services",
+          },
+          {
+            name: "payments-web",
+            dir: "web",
+            framework: "playwright",
+            namespace: null,
+          },
+        ]),
+      );
+    });
+  });
+});
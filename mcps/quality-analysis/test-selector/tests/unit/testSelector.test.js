@@ -0,0 +1,471 @@
+/**
+ * Unit tests for change-based test selection and ranking
+ */
+
+import {
+  buildCommands,
+  CONFIDENCE,
+  coverageByProject,
+  fromBlastRadius,
+  matchCoverageFile,
+  normalizeChangedFiles,
+  projectForReport,
+  selectTests,
+} from "../../src/testSelector.js";
+
+const APP_PATH = "/mnt/apps/Payments";
+
+const catalog = {
+  tests: [
+    {
+      id: "dotnet:Payments.Tests.Services.RefundServiceTests",
+      name: "Payments.Tests.Services.RefundServiceTests",
+      framework: "dotnet",
+      type: "unit",
+      project: "Payments.Tests",
+      file: "Payments.Tests/Services/RefundServiceTests.cs",
+      subject: "RefundService",
+      tests: ["Refund_IsValidated", "Refund_Processes"],
+      identifiers: ["RefundServiceTests", "IRefundService", "RefundService"],
+    },
+    {
+      id: "dotnet:Payments.Tests.Services.LedgerTests",
+      name: "Payments.Tests.Services.LedgerTests",
+      framework: "dotnet",
+      type: "unit",
+      project: "Payments.Tests",
+      file: "Payments.Tests/Services/LedgerTests.cs",
+      subject: "Ledger",
+      tests: ["Ledger_Balances"],
+      identifiers: ["LedgerTests", "IRefundService"],
+    },
+    {
+      id: "dotnet:Payments.Tests.Services.InvoiceTests",
+      name: "Payments.Tests.Services.InvoiceTests",
+      framework: "dotnet",
+      type: "unit",
+      project: "Payments.Tests",
+      file: "Payments.Tests/Services/InvoiceTests.cs",
+      subject: "Invoice",
+      tests: ["Invoice_Totals"],
+      identifiers: ["InvoiceTests"],
+    },
+    {
+      id: "dotnet:Payments.IntegrationTests.RefundApiTests",
+      name: "Payments.IntegrationTests.RefundApiTests",
+      framework: "dotnet",
+      type: "integration",
+      project: "Payments.IntegrationTests",
+      file: "Payments.IntegrationTests/RefundApiTests.cs",
+      subject: "RefundApi",
+      tests: ["Post_Refund_Returns200"],
+      identifiers: ["RefundApiTests"],
+    },
+    {
+      id: "dotnet:Payments.IntegrationTests.ChargeApiTests",
+      name: "Payments.IntegrationTests.ChargeApiTests",
+      framework: "dotnet",
+      type: "integration",
+      project: "Payments.IntegrationTests",
+      file: "Payments.IntegrationTests/ChargeApiTests.cs",
+      subject: "ChargeApi",
+      tests: ["Post_Charge_Returns200"],
+      identifiers: ["ChargeApiTests"],
+    },
+    {
+      id: "playwright:web/e2e/refund.spec.ts",
+      name: "web/e2e/refund.spec.ts",
+      framework: "playwright",
+      type: "playwright",
+      project: "web",
+      file: "web/e2e/refund.spec.ts",
+      subject: "refund",
+      tests: ["submits a refund", "shows errors"],
+      describes: ["Refund flow (v2)"],
+      imports: ["web/src/pages/RefundPage"],
+    },
+    {
+      id: "playwright:web/e2e/checkout.spec.ts",
+      name: "web/e2e/checkout.spec.ts",
+      framework: "playwright",
+      type: "playwright",
+      project: "web",
+      file: "web/e2e/checkout.spec.ts",
+      subject: "checkout",
+      tests: ["pays by card"],
+      describes: [],
+      imports: [],
+    },
+  ],
+  projects: [
+    {
+      name: "Payments.Tests",
+      dir: "Payments.Tests",
+      framework: "dotnet",
+      namespace: "Payments.Tests",
+    },
+    {
+      name: "Payments.IntegrationTests",
+      dir: "Payments.IntegrationTests",
+      framework: "dotnet",
+      namespace: "Payments.IntegrationTests",
+    },
+    {
+      name: "payments-web",
+      dir: "web",
+      framework: "playwright",
+      namespace: null,
+    },
+  ],
+};
+
+const select = (files, options = {}) =>
+  selectTests({
+    changedFiles: normalizeChangedFiles(files, APP_PATH),
+    catalog,
+    appPath: APP_PATH,
+    ...options,
+  });
+
+const byId = (result, id) => result.tests.find((t) => t.id === id);
+
+describe("testSelector", () => {
+  describe("normalizeChangedFiles", () => {
+    it("should make repository and absolute paths relative to the app", () => {
+      expect(
+        normalizeChangedFiles(
+          [
+            {
+              path: "/Payments.Api/Services/RefundService.cs",
+              changedLines: [4],
+            },
+            "/mnt/apps/Payments/web/src/pages/RefundPage.ts",
+            "Payments.Api\\Startup.cs",
+            "/payments.api/services/refundservice.cs",
+          ],
+          APP_PATH,
+        ),
+      ).toEqual([
+        { path: "Payments.Api/Services/RefundService.cs", changedLines: [4] },
+        { path: "web/src/pages/RefundPage.ts", changedLines: null },
+        { path: "Payments.Api/Startup.cs", changedLines: null },
+      ]);
+    });
+  });
+
+  describe("selectTests", () => {
+    it("should rank tests named after, referencing or sharing a name with a change", () => {
+      const result = select(["Payments.Api/Services/RefundService.cs"]);
+
+      expect(result.tests.map((t) => [t.id, t.confidence, t.reason])).toEqual([
+        [
+          "dotnet:Payments.Tests.Services.RefundServiceTests",
+          CONFIDENCE.named,
+          "Named after RefundService.cs",
+        ],
+        [
+          "dotnet:Payments.Tests.Services.LedgerTests",
+          CONFIDENCE.references,
+          "References RefundService",
+        ],
+        [
+          "dotnet:Payments.IntegrationTests.RefundApiTests",
+          CONFIDENCE.partialName,
+          "Named like RefundService.cs",
+        ],
+        [
+          "playwright:web/e2e/refund.spec.ts",
+          CONFIDENCE.partialName,
+          "Named like RefundService.cs",
+        ],
+      ]);
+      expect(result.summary).toEqual({
+        changedFiles: 1,
+        candidates: 7,
+        selected: 4,
+        truncated: 0,
+        byType: { unit: 2, integration: 1, playwright: 1 },
+      });
+    });
+
+    it("should always run a changed test file", () => {
+      const result = select(["Payments.Tests/Services/InvoiceTests.cs"]);
+
+      expect(result.tests).toEqual([
+        expect.objectContaining({
+          id: "dotnet:Payments.Tests.Services.InvoiceTests",
+          confidence: 1,
+          reason: "Test file changed",
+          filter: "FullyQualifiedName~Payments.Tests.Services.InvoiceTests.",
+        }),
+      ]);
+    });
+
+    it("should select Playwright specs that import a changed file", () => {
+      const spec = byId(
+        select(["web/src/pages/RefundPage.ts"]),
+        "playwright:web/e2e/refund.spec.ts",
+      );
+
+      expect(spec).toMatchObject({
+        scope: "spec",
+        confidence: CONFIDENCE.imports,
+        reasons: ["Imports RefundPage.ts"],
+        grep: "Refund flow \\(v2\\)",
+      });
+    });
+
+    it("should match the blast radius at a lower confidence", () => {
+      const result = select(["Payments.Api/Data/RefundRepository.cs"], {
+        minConfidence: 0,
+        blastRadius: {
+          dependents: ["Payments.Api/Services/RefundService.cs"],
+          tests: ["Payments.IntegrationTests/ChargeApiTests.cs"],
+        },
+      });
+
+      expect(
+        byId(result, "dotnet:Payments.Tests.Services.RefundServiceTests"),
+      ).toMatchObject({
+        confidence: 0.65,
+        reasons: [
+          "Named like RefundRepository.cs",
+          "Named after RefundService.cs, which is in the blast radius of the change",
+        ],
+      });
+      expect(
+        byId(result, "dotnet:Payments.IntegrationTests.ChargeApiTests"),
+      ).toMatchObject({
+        confidence: CONFIDENCE.blastRadius,
+        reason: "Depends on the change (blast radius)",
+      });
+    });
+
+    it("should back up matches with the coverage of their test project", () => {
+      const result = select(
+        [
+          {
+            path: "/Payments.Api/Services/RefundService.cs",
+            changedLines: [10, 11, 12],
+          },
+        ],
+        {
+          coverageReports: [
+            {
+              analyzer: "dotnet",
+              file: "/mnt/apps/Payments/Payments.Tests/TestResults/abc/coverage.cobertura.xml",
+              lines: {
+                "C:\\build\\Payments.Api\\Services\\RefundService.cs": {
+                  10: 3,
+                  11: 3,
+                  12: 0,
+                },
+              },
+            },
+          ],
+        },
+      );
+
+      expect(
+        byId(result, "dotnet:Payments.Tests.Services.RefundServiceTests"),
+      ).toMatchObject({
+        confidence: 0.9,
+        reasons: [
+          "Named after RefundService.cs",
+          "Payments.Tests ran 2 changed lines of RefundService.cs in its last coverage run",
+        ],
+      });
+      expect(
+        byId(result, "dotnet:Payments.Tests.Services.InvoiceTests"),
+      ).toBeUndefined();
+    });
+
+    it("should select the whole project when only its coverage matches", () => {
+      const result = select(["Payments.Api/Services/FeeCalculator.cs"], {
+        coverageReports: [
+          {
+            analyzer: "dotnet",
+            file: "/mnt/apps/Payments/Payments.IntegrationTests/TestResults/x/coverage.cobertura.xml",
+            lines: { "Payments.Api/Services/FeeCalculator.cs": { 5: 1 } },
+          },
+        ],
+      });
+
+      expect(result.tests).toEqual([
+        expect.objectContaining({
+          id: "dotnet-project:Payments.IntegrationTests",
+          name: "Payments.IntegrationTests",
+          type: "integration",
+          scope: "project",
+          file: null,
+          confidence: CONFIDENCE.coveredFile,
+          reason:
+            "Payments.IntegrationTests covers FeeCalculator.cs in its last coverage run",
+          filter: "FullyQualifiedName~Payments.IntegrationTests.",
+        }),
+      ]);
+    });
+
+    it("should leave out weak matches and cap the number of tests", () => {
+      const files = ["Payments.Api/Services/RefundService.cs"];
+
+      expect(
+        select(files, { minConfidence: 0.7 }).tests.map((t) => t.id),
+      ).toEqual([
+        "dotnet:Payments.Tests.Services.RefundServiceTests",
+        "dotnet:Payments.Tests.Services.LedgerTests",
+      ]);
+      expect(select(files, { maxTests: 1 }).summary).toMatchObject({
+        selected: 1,
+        truncated: 3,
+      });
+    });
+  });
+
+  describe("buildCommands", () => {
+    it("should build dotnet test filters and Playwright greps per type", () => {
+      const { commands } = select([
+        "Payments.Api/Services/RefundService.cs",
+        "web/e2e/checkout.spec.ts",
+      ]);
+
+      expect(commands.unit).toEqual({
+        filter:
+          "FullyQualifiedName~Payments.Tests.Services.RefundServiceTests.|FullyQualifiedName~Payments.Tests.Services.LedgerTests.",
+        command:
+          "dotnet test --filter 'FullyQualifiedName~Payments.Tests.Services.RefundServiceTests.|FullyQualifiedName~Payments.Tests.Services.LedgerTests.'",
+      });
+      expect(commands.integration.filter).toBe(
+        "FullyQualifiedName~Payments.IntegrationTests.RefundApiTests.",
+      );
+      expect(commands.playwright).toEqual({
+        grep: "pays by card|Refund flow \\(v2\\)",
+        command:
+          "npx playwright test --grep 'pays by card|Refund flow \\(v2\\)'",
+      });
+    });
+
+    it("should drop filters a project filter already covers", () => {
+      expect(
+        buildCommands([
+          {
+            type: "unit",
+            filterValues: ["Payments.Tests.Services.RefundServiceTests."],
+          },
+          { type: "unit", filterValues: ["Payments.Tests."] },
+        ]),
+      ).toEqual({
+        unit: {
+          filter: "FullyQualifiedName~Payments.Tests.",
+          command: "dotnet test --filter 'FullyQualifiedName~Payments.Tests.'",
+        },
+        integration: null,
+        playwright: null,
+      });
+    });
+
+    it("should quote titles for the shell", () => {
+      expect(
+        buildCommands([{ type: "playwright", grepPatterns: ["it's paid"] }])
+          .playwright.command,
+      ).toBe("npx playwright test --grep 'it'\\''s paid'");
+    });
+  });
+
+  describe("helpers", () => {
+    it("should read dependents and tests from a blast radius result", () => {
+      const changedFiles = normalizeChangedFiles(["Api/RefundService.cs"], "/");
+
+      expect(
+        fromBlastRadius(
+          {
+            changedFiles: [{ path: "Api/RefundService.cs", exists: true }],
+            impact: {
+              affectedComponents: [
+                "Api/RefundService.cs",
+                "Api/RefundController.cs",
+                "Tests/RefundServiceTests.cs",
+              ],
+              affectedTests: ["Tests/RefundServiceTests.cs"],
+            },
+          },
+          changedFiles,
+        ),
+      ).toEqual({
+        dependents: ["Api/RefundController.cs"],
+        tests: ["Tests/RefundServiceTests.cs"],
+      });
+      expect(fromBlastRadius(null, changedFiles)).toEqual({
+        dependents: [],
+        tests: [],
+      });
+    });
+
+    it("should match coverage paths on trailing segments", () => {
+      expect(
+        matchCoverageFile("Payments.Api/Services/RefundService.cs", [
+          "/src/Payments.Api/Services/RefundService.cs",
+          "/src/Core/Services/RefundService.cs",
+        ]),
+      ).toBe("/src/Payments.Api/Services/RefundService.cs");
+      expect(
+        matchCoverageFile("RefundService.cs", [
+          "/a/RefundService.cs",
+          "/b/RefundService.cs",
+        ]),
+      ).toBeNull();
+    });
+
+    it("should find the project a coverage report belongs to", () => {
+      expect(
+        projectForReport(
+          {
+            analyzer: "javascript",
+            file: "/mnt/apps/Payments/web/coverage/coverage-final.json",
+          },
+          catalog.projects,
+          APP_PATH,
+        ),
+      ).toMatchObject({ name: "payments-web" });
+      expect(
+        projectForReport(
+          {
+            analyzer: "dotnet",
+            file: "/mnt/apps/Payments/TestResults/coverage.xml",
+          },
+          catalog.projects,
+          APP_PATH,
+        ),
+      ).toBeNull();
+    });
+
+    it("should list the source files each project covers", () => {
+      const projects = coverageByProject(
+        catalog,
+        [
+          {
+            analyzer: "dotnet",
+            file: "/mnt/apps/Payments/Payments.Tests/TestResults/a/coverage.cobertura.xml",
+            lines: {
+              "Services/RefundService.cs": { 1: 2, 2: 0, 3: 1 },
+              "Services/Unused.cs": { 1: 0 },
+            },
+          },
+        ],
+        APP_PATH,
+      );
+
+      expect(projects.find((p) => p.name === "Payments.Tests")).toEqual({
+        name: "Payments.Tests",
+        dir: "Payments.Tests",
+        framework: "dotnet",
+        namespace: "Payments.Tests",
+        tests: 3,
+        coverageFiles: [
+          "/mnt/apps/Payments/Payments.Tests/TestResults/a/coverage.cobertura.xml",
+        ],
+        sourceFiles: [{ file: "Services/RefundService.cs", coveredLines: 2 }],
+      });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * AI Response Cache
+ *
+ * Content-addressed, disk-backed cache of AI completions. A completion is
+ * keyed by a SHA-256 of the model, the normalized prompt, temperature, max
+ * tokens and provider options (such as the system prompt), so re-analysing an
+ * unchanged story returns the stored answer instead of paying for another
+ * call. The cache is off unless enabled:
+ *
+ *   AI_CACHE_ENABLED=true             (turns the cache on)
+ *   AI_CACHE_DIR=/app/data/ai-cache   (default)
+ *   AI_CACHE_TTL_MS=86400000          (24h default)
+ *
+ * Entries are JSON files sharded by the first two hex characters of the key.
+ * Expired entries are removed when read. A cache that can't be read or
+ * written never fails the completion. Uses Node built-ins only.
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const DEFAULT_CACHE_DIR = '/app/data/ai-cache';
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize prompt text so whitespace-only differences share a cache entry
+ *
+ * @param {Array} messages - Message objects [{role, content}]
+ * @returns {Array} Messages with CRLF line endings, trailing whitespace and
+ *   surrounding blank lines removed from string content
+ */
+export function normalizePrompt(messages = []) {
+  const normalizeText = (text) => text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+
+  return messages.map(({ role, content }) => ({
+    role,
+    content: typeof content === 'string'
+      ? normalizeText(content)
+      : content.map(part => (part.type === 'text' ? { ...part, text: normalizeText(part.text) } : part))
+  }));
+}
+
+/**
+ * Cache key of a completion request
+ *
+ * @param {Object} request
+ * @param {string} request.model - Effective model ID
+ * @param {Array} request.messages
+ * @param {number} request.temperature
+ * @param {number} request.maxTokens
+ * @param {Object} [request.options] - Provider-specific options, e.g. system
+ * @returns {string} Hex SHA-256 digest
+ */
+export function cacheKey({ model, messages, temperature, maxTokens, options = {} }) {
+  return createHash('sha256')
+    .update(JSON.stringify({
+      model,
+      messages: normalizePrompt(messages),
+      temperature,
+      maxTokens,
+      options
+    }))
+    .digest('hex');
+}
+
+export class AiResponseCache {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.dir] - Cache directory
+   * @param {number} [config.ttlMs] - How long an entry stays valid
+   * @param {boolean} [config.enabled] - Defaults to AI_CACHE_ENABLED=true
+   */
+  constructor(config = {}) {
+    this.dir = config.dir || process.env.AI_CACHE_DIR || DEFAULT_CACHE_DIR;
+    this.ttlMs = config.ttlMs ?? (Number(process.env.AI_CACHE_TTL_MS) || DEFAULT_TTL_MS);
+    this.enabled = config.enabled ?? process.env.AI_CACHE_ENABLED === 'true';
+    this.hits = 0;
+    this.misses = 0;
+    this.writes = 0;
+  }
+
+  entryPath(key) {
+    return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+  }
+
+  /**
+   * Cached completion for a key
+   *
+   * @param {string} key
+   * @returns {Promise<Object|null>} { response, cachedAt }, or null on a miss
+   */
+  async get(key) {
+    if (!this.enabled) return null;
+
+    try {
+      const entry = JSON.parse(await fs.readFile(this.entryPath(key), 'utf-8'));
+      if (Date.now() - new Date(entry.cachedAt).getTime() < this.ttlMs) {
+        this.hits++;
+        return entry;
+      }
+      await fs.rm(this.entryPath(key), { force: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[ai-cache] Could not read entry ${key}: ${error.message}`);
+      }
+    }
+
+    this.misses++;
+    return null;
+  }
+
+  /**
+   * Store a completion
+   *
+   * @param {string} key
+   * @param {Object} response - Completion returned by the provider
+   * @returns {Promise<Object|null>} The stored entry, or null when not stored
+   */
+  async set(key, response) {
+    if (!this.enabled) return null;
+
+    const entry = { key, cachedAt: new Date().toISOString(), response };
+    try {
+      await fs.mkdir(path.dirname(this.entryPath(key)), { recursive: true });
+      await fs.writeFile(this.entryPath(key), JSON.stringify(entry), 'utf-8');
+      this.writes++;
+      return entry;
+    } catch (error) {
+      console.warn(`[ai-cache] Could not store entry ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Hit/miss counters since the process started
+   */
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.enabled,
+      hits: this.hits,
+      misses: this.misses,
+      writes: this.writes,
+      hitRate: lookups ? Math.round((this.hits / lookups) * 1000) / 1000 : 0,
+      dir: this.dir,
+      ttlMs: this.ttlMs
+    };
+  }
+
+  /**
+   * Remove every entry and reset the counters
+   */
+  async clear() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+    this.hits = 0;
+    this.misses = 0;
+    this.writes = 0;
+  }
+}
+
+export const aiCache = new AiResponseCache();
+
+export default {
+  aiCache,
+  AiResponseCache,
+  cacheKey,
+  normalizePrompt
+};
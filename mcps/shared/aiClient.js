@@ -1,81 +1,140 @@
 /**
  * Unified AI Client
  *
- * Abstracts Anthropic (Claude) and OpenAI APIs behind a single interface.
- * Supports on-demand model selection for all AI-powered MCP services.
+ * Abstracts Anthropic (Claude), OpenAI and other registered providers (see
+ * aiProviders.js, e.g. a local OpenAI-compatible server) behind a single
+ * interface. Supports on-demand model selection for all AI-powered MCP
+ * services and per-app provider routing policies.
  */
 
 import Anthropic from '@anthropic-ai/sdk';
-import OpenAI from 'openai';
+import { getServiceName, withSpan } from './tracing.js';
+import { usageMeter } from './aiUsage.js';
+import { aiCache, cacheKey } from './aiCache.js';
+import { getProvider, registerProvider, resolveModel } from './aiProviders.js';
 
 // Initialize clients with trimmed API keys (to handle trailing newlines from .env)
 const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY?.trim()
 });
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY?.trim()
-});
+// Loaded on first use, so services that only call Claude don't need `openai`
+let openai = null;
+
+async function openaiClient() {
+  if (!openai) {
+    const { default: OpenAI } = await import('openai');
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY?.trim()
+    });
+  }
+  return openai;
+}
 
 // Default models
 const DEFAULT_ANTHROPIC_MODEL = 'claude-3-haiku-20240307';
 const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
 
-/**
- * Detect provider from model name
- * @param {string} model - Model identifier
- * @returns {string} Provider name ('anthropic' or 'openai')
- */
-function detectProvider(model) {
-  if (!model) return 'anthropic'; // Default to Anthropic
-  if (model.startsWith('claude-')) return 'anthropic';
-  if (model.startsWith('gpt-') || model.startsWith('o1')) return 'openai';
-  throw new Error(`Unknown model format: ${model}`);
-}
-
 /**
  * Generate AI completion using specified model
  *
  * @param {Object} params - Generation parameters
- * @param {string} params.model - Model ID (e.g., 'claude-sonnet-4-20250514', 'gpt-4o')
+ * @param {string} params.model - Model ID (e.g., 'claude-sonnet-4-20250514', 'gpt-4o', 'local/llama3.1:8b')
  * @param {Array} params.messages - Array of message objects [{role: 'user', content: '...'}]
  * @param {number} params.maxTokens - Maximum tokens to generate (default: 4096)
  * @param {number} params.temperature - Temperature 0-1 (default: 0.4)
  * @param {Object} params.options - Additional provider-specific options
- * @returns {Promise<{text: string, usage: object, provider: string, model: string}>}
+ * @param {string} params.source - Caller billed in AI usage reports (default: this service's name)
+ * @param {boolean} params.noCache - Skip the response cache lookup (the fresh answer is still cached)
+ * @param {string} params.app - Application the prompt is about; applies its provider routing policy and bills its team
+ * @returns {Promise<{text: string, usage: object, provider: string, model: string, cached: boolean, cachedAt: string|null}>}
+ * @throws {AiProviderPolicyError} When the app's policy allows no provider for the request
  */
 export async function generateCompletion({
   model,
   messages,
   maxTokens = 4096,
   temperature = 0.4,
-  options = {}
+  options = {},
+  source = getServiceName(),
+  noCache = false,
+  app
 }) {
-  // Determine effective model (with fallbacks)
-  const effectiveModel = model || process.env.CLAUDE_MODEL || DEFAULT_ANTHROPIC_MODEL;
-  const provider = detectProvider(effectiveModel);
-
-  try {
-    if (provider === 'anthropic') {
-      return await callAnthropic({
-        model: effectiveModel,
-        messages,
-        maxTokens,
-        temperature,
-        options
-      });
-    } else {
-      return await callOpenAI({
-        model: effectiveModel,
-        messages,
-        maxTokens,
-        temperature,
-        options
-      });
+  // Determine effective model (with fallbacks), honouring the app's routing policy
+  const { model: effectiveModel, provider } = resolveModel({
+    model,
+    app,
+    fallbackModel: process.env.CLAUDE_MODEL || DEFAULT_ANTHROPIC_MODEL
+  });
+  const backend = getProvider(provider);
+  if (!backend) {
+    throw new Error(`AI provider '${provider}' is not registered`);
+  }
+
+  // Identical prompts are answered from the cache without spending budget
+  const key = cacheKey({ model: effectiveModel, messages, temperature, maxTokens, options });
+  if (!noCache) {
+    const entry = await aiCache.get(key);
+    if (entry) {
+      return { ...entry.response, cached: true, cachedAt: entry.cachedAt };
     }
-  } catch (error) {
-    throw new Error(`AI API error (${provider}/${effectiveModel}): ${error.message}`);
   }
+
+  // Throws AiBudgetExceededError once the caller's hard limit is spent
+  await usageMeter.checkBudget({ source, app });
+
+  // Recorded as a span with token usage when the request is traced
+  return withSpan(`chat ${effectiveModel}`, {
+    kind: 'client',
+    attributes: {
+      'gen_ai.system': provider,
+      'gen_ai.request.model': effectiveModel,
+      'gen_ai.request.max_tokens': maxTokens
+    }
+  }, async (span) => {
+    const startTime = Date.now();
+    let result;
+    try {
+      result = {
+        ...await backend.complete({
+          model: effectiveModel,
+          messages,
+          maxTokens,
+          temperature,
+          options
+        }),
+        provider,
+        model: effectiveModel
+      };
+    } catch (error) {
+      throw new Error(`AI API error (${provider}/${effectiveModel}): ${error.message}`);
+    }
+
+    span.setAttributes({
+      'gen_ai.usage.input_tokens': result.usage.promptTokens,
+      'gen_ai.usage.output_tokens': result.usage.completionTokens
+    });
+    usageMeter.record({
+      model: effectiveModel,
+      provider,
+      source,
+      app,
+      inputTokens: result.usage.promptTokens,
+      outputTokens: result.usage.completionTokens,
+      durationMs: Date.now() - startTime,
+      traceId: span.traceId
+    });
+    await aiCache.set(key, result);
+    return { ...result, cached: false, cachedAt: null };
+  });
+}
+
+/**
+ * Response cache hit/miss counters of this service
+ * @returns {Object} { enabled, hits, misses, writes, hitRate, dir, ttlMs }
+ */
+export function getCacheStats() {
+  return aiCache.stats();
 }
 
 /**
@@ -116,7 +175,8 @@ async function callOpenAI({ model, messages, maxTokens, temperature, options })
     throw new Error('OPENAI_API_KEY not configured');
   }
 
-  const response = await openai.chat.completions.create({
+  const client = await openaiClient();
+  const response = await client.chat.completions.create({
     model,
     messages,
     max_tokens: maxTokens,
@@ -136,6 +196,9 @@ async function callOpenAI({ model, messages, maxTokens, temperature, options })
   };
 }
 
+registerProvider({ name: 'anthropic', complete: callAnthropic });
+registerProvider({ name: 'openai', complete: callOpenAI });
+
 /**
  * Validate API keys are configured
  * @returns {Object} Validation result with { valid: boolean, errors: string[] }
@@ -159,5 +222,6 @@ export function validateApiKeys() {
 
 export default {
   generateCompletion,
+  getCacheStats,
   validateApiKeys
 };
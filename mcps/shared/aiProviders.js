@@ -0,0 +1,275 @@
+/**
+ * AI Providers
+ *
+ * Registry of the backends generateCompletion can route a model to, and the
+ * per-app routing policies in config/apps.json. A provider is
+ *
+ *   { name, matches(modelId), complete({ model, messages, maxTokens, temperature, options }) }
+ *
+ * where complete resolves to { text, usage: { promptTokens, completionTokens, totalTokens } }.
+ * Anthropic ("claude-*") and OpenAI ("gpt-*", "o1*") models are recognised
+ * here and served by aiClient. The 'local' provider serves "local/<model>"
+ * from any OpenAI-compatible endpoint (Ollama, llama.cpp server, vLLM):
+ *
+ *   LOCAL_LLM_BASE_URL=http://ollama:11434/v1   (default http://localhost:11434/v1)
+ *   LOCAL_LLM_API_KEY=...                       (only if the server wants one)
+ *
+ * An app's `ai` block limits which providers may see its code:
+ *
+ *   "ai": { "allowedProviders": ["local"], "defaultModel": "local/qwen2.5-coder:14b" }
+ *
+ * Uses Node built-ins only, so the orchestrator can load it from mcps/shared.
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+
+export const LOCAL_MODEL_PREFIX = 'local/';
+export const STUB_MODEL_PREFIX = 'stub/';
+
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_LOCAL_TIMEOUT_MS = 120000;
+
+const providers = new Map();
+
+/**
+ * Thrown when an app's routing policy forbids every model it could use
+ */
+export class AiProviderPolicyError extends Error {
+  constructor(message, { app, provider }) {
+    super(message);
+    this.name = 'AiProviderPolicyError';
+    this.statusCode = 403;
+    this.app = app;
+    this.provider = provider;
+  }
+}
+
+/**
+ * Register a provider, replacing any provider of the same name
+ * @param {Object} provider - { name, matches?, complete, listModels? }
+ * @returns {Object} The provider
+ */
+export function registerProvider(provider) {
+  if (!provider?.name || typeof provider.complete !== 'function') {
+    throw new Error('A provider needs a name and a complete() function');
+  }
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+/**
+ * Remove a registered provider
+ * @param {string} name
+ */
+export function unregisterProvider(name) {
+  providers.delete(name);
+}
+
+/**
+ * @param {string} name
+ * @returns {Object|null} Registered provider
+ */
+export function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * @returns {Array<string>} Names of the registered providers
+ */
+export function listProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * Detect provider from model name
+ * @param {string} model - Model identifier
+ * @returns {string} Provider name
+ */
+export function detectProvider(model) {
+  if (!model) return 'anthropic'; // Default to Anthropic
+
+  const registered = [...providers.values()].find(p => p.matches?.(model));
+  if (registered) return registered.name;
+
+  if (model.startsWith('claude-')) return 'anthropic';
+  if (model.startsWith('gpt-') || model.startsWith('o1')) return 'openai';
+  throw new Error(`Unknown model format: ${model}`);
+}
+
+/**
+ * An app's AI routing policy from config/apps.json
+ * @param {string} appName
+ * @returns {Object|null} { allowedProviders?, defaultModel? }, null when the app has none
+ */
+export function getAppAiPolicy(appName) {
+  if (!appName) return null;
+
+  try {
+    const configPath = process.env.CONFIG_PATH || '/app/config/apps.json';
+    const config = JSON.parse(readFileSync(configPath, 'utf-8'));
+    return config.applications?.find(a => a.name === appName)?.ai || null;
+  } catch (error) {
+    console.warn(`[ai-providers] Could not read AI policy for ${appName}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Pick the model and provider for a completion
+ *
+ * Without a requested model the app's defaultModel, then fallbackModel, is
+ * used. A model whose provider the app doesn't allow is replaced by the
+ * app's defaultModel.
+ *
+ * @param {Object} params
+ * @param {string} [params.model] - Requested model
+ * @param {string} [params.app] - Application whose code is in the prompt
+ * @param {string} [params.fallbackModel] - Model used when nothing else applies
+ * @returns {{model: string, provider: string, rerouted: boolean}}
+ * @throws {AiProviderPolicyError} When the app allows no provider for the model and has no usable default
+ */
+export function resolveModel({ model, app, fallbackModel } = {}) {
+  const policy = getAppAiPolicy(app);
+  const requested = model || policy?.defaultModel || fallbackModel;
+  const provider = detectProvider(requested);
+  const allowed = policy?.allowedProviders;
+
+  if (!allowed || allowed.includes(provider)) {
+    return { model: requested, provider, rerouted: false };
+  }
+
+  const fallbackProvider = policy.defaultModel && detectProvider(policy.defaultModel);
+  if (!fallbackProvider || !allowed.includes(fallbackProvider)) {
+    throw new AiProviderPolicyError(
+      `${app} may only use ${allowed.join(', ')} AI providers, not ${provider}`,
+      { app, provider }
+    );
+  }
+
+  console.warn(`[ai-providers] ${app} may not use ${provider}; routing ${requested} to ${policy.defaultModel}`);
+  return { model: policy.defaultModel, provider: fallbackProvider, rerouted: true };
+}
+
+/**
+ * Provider for an OpenAI-compatible chat completions endpoint
+ *
+ * @param {Object} [config]
+ * @param {string} [config.name] - Provider name (default 'local')
+ * @param {string} [config.prefix] - Model ID prefix routed here, stripped before sending
+ * @param {string} [config.baseUrl] - e.g. http://ollama:11434/v1 (default LOCAL_LLM_BASE_URL)
+ * @param {string} [config.apiKey] - Bearer token (default LOCAL_LLM_API_KEY)
+ * @param {number} [config.timeoutMs]
+ * @returns {Object} Provider
+ */
+export function createOpenAICompatibleProvider(config = {}) {
+  const prefix = config.prefix || LOCAL_MODEL_PREFIX;
+  const baseUrl = () =>
+    (config.baseUrl || process.env.LOCAL_LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL).replace(/\/$/, '');
+  const headers = () => {
+    const apiKey = config.apiKey || process.env.LOCAL_LLM_API_KEY;
+    return {
+      'Content-Type': 'application/json',
+      ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+    };
+  };
+  const timeoutMs = config.timeoutMs || Number(process.env.LOCAL_LLM_TIMEOUT_MS) || DEFAULT_LOCAL_TIMEOUT_MS;
+
+  return {
+    name: config.name || 'local',
+    matches: model => model.startsWith(prefix),
+
+    async complete({ model, messages, maxTokens, temperature, options = {} }) {
+      const response = await fetch(`${baseUrl()}/chat/completions`, {
+        method: 'POST',
+        headers: headers(),
+        body: JSON.stringify({
+          model: model.slice(prefix.length),
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+          ...options
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+      }
+
+      const data = await response.json();
+      const promptTokens = data.usage?.prompt_tokens || 0;
+      const completionTokens = data.usage?.completion_tokens || 0;
+      return {
+        text: data.choices[0].message.content,
+        usage: {
+          promptTokens,
+          completionTokens,
+          totalTokens: data.usage?.total_tokens || promptTokens + completionTokens
+        }
+      };
+    },
+
+    /**
+     * Models the server has loaded, as prefixed model IDs
+     */
+    async listModels() {
+      const response = await fetch(`${baseUrl()}/models`, {
+        headers: headers(),
+        signal: AbortSignal.timeout(5000)
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      return (data.data || []).map(m => `${prefix}${m.id}`);
+    }
+  };
+}
+
+/**
+ * Deterministic provider for tests: the same prompt always gets the same answer
+ *
+ * Register it and request "stub/<anything>" models. Calls are kept in
+ * `provider.calls` for assertions.
+ *
+ * @param {Object} [config]
+ * @param {string} [config.name] - Provider name (default 'stub')
+ * @param {Function} [config.respond] - (messages, request) => text; defaults to a digest of the prompt
+ * @returns {Object} Provider
+ */
+export function createStubProvider(config = {}) {
+  const respond = config.respond || (messages =>
+    `stub:${createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 16)}`);
+  const countTokens = text => Math.ceil(text.length / 4);
+
+  const provider = {
+    name: config.name || 'stub',
+    calls: [],
+    matches: model => model.startsWith(STUB_MODEL_PREFIX),
+
+    async complete(request) {
+      provider.calls.push(request);
+      const text = await respond(request.messages, request);
+      const promptTokens = countTokens(JSON.stringify(request.messages));
+      const completionTokens = countTokens(text);
+      return {
+        text,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+      };
+    }
+  };
+  return provider;
+}
+
+registerProvider(createOpenAICompatibleProvider());
+
+export default {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  listProviders,
+  detectProvider,
+  getAppAiPolicy,
+  resolveModel,
+  createOpenAICompatibleProvider,
+  createStubProvider,
+  AiProviderPolicyError
+};
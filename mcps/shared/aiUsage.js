@@ -0,0 +1,156 @@
+/**
+ * AI Usage Metering for MCP Services
+ *
+ * Reports the tokens and cost of every AI completion to the orchestrator's
+ * usage ledger, which serves the /api/ai/usage breakdowns, and checks the
+ * caller's team and daily budgets before a completion is requested:
+ *
+ *   AI_USAGE_ENDPOINT=http://orchestrator:3000/api/ai/usage
+ *
+ * Usage events are sent with the ORCHESTRATOR_INTERNAL_TOKEN; the ledger
+ * refuses them without it. The billed team is resolved by the ledger from the
+ * calling MCP and app. With no endpoint set, usage is not recorded and budgets are not enforced.
+ * An unreachable ledger never blocks a completion. Uses Node built-ins only,
+ * so CommonJS MCPs can load it with import().
+ */
+
+import { calculateCost } from './modelMapper.js';
+
+const RECORD_BATCH_SIZE = 20;
+const RECORD_INTERVAL_MS = 2000;
+const BUDGET_TIMEOUT_MS = 2000;
+
+/**
+ * Thrown before a completion when the caller's hard budget limit is spent
+ */
+export class AiBudgetExceededError extends Error {
+  /**
+   * @param {Object} budget - Budget status returned by the ledger
+   */
+  constructor(budget) {
+    super(budget.message || `AI budget exceeded for team '${budget.team}'`);
+    this.name = 'AiBudgetExceededError';
+    this.statusCode = 429;
+    this.budget = budget;
+  }
+}
+
+/**
+ * Batches usage events and sends them to the orchestrator's ledger
+ */
+class UsageMeter {
+  constructor() {
+    this.pending = [];
+    this.timer = null;
+  }
+
+  get endpoint() {
+    const base = process.env.AI_USAGE_ENDPOINT;
+    return base ? base.replace(/\/$/, '') : null;
+  }
+
+  /**
+   * Check the budgets that apply to a caller
+   *
+   * Soft limits only log a warning; hard limits throw AiBudgetExceededError.
+   *
+   * @param {Object} caller
+   * @param {string} caller.source - Calling MCP or route
+   * @param {string} [caller.app] - Application the prompt is about
+   * @returns {Promise<Object|null>} Budget status, or null when it could not be checked
+   */
+  async checkBudget({ source, app } = {}) {
+    if (!this.endpoint) return null;
+
+    let budget;
+    try {
+      const params = new URLSearchParams({ source: source || '' });
+      if (app) params.set('app', app);
+
+      const response = await fetch(`${this.endpoint}/budget?${params}`, {
+        signal: AbortSignal.timeout(BUDGET_TIMEOUT_MS)
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      budget = await response.json();
+    } catch (error) {
+      console.warn(`[ai-usage] Could not check budget, allowing call: ${error.message}`);
+      return null;
+    }
+
+    if (budget.status === 'hard') throw new AiBudgetExceededError(budget);
+    if (budget.status === 'soft') console.warn(`[ai-usage] ${budget.message}`);
+    return budget;
+  }
+
+  /**
+   * Record one completion
+   *
+   * @param {Object} usage
+   * @param {string} usage.model - Model that served the completion
+   * @param {string} usage.provider - 'anthropic' or 'openai'
+   * @param {string} usage.source - Calling MCP or route
+   * @param {string} [usage.app] - Application the prompt was about
+   * @param {number} usage.inputTokens
+   * @param {number} usage.outputTokens
+   * @param {number} [usage.durationMs]
+   * @returns {Object|null} The queued event, or null when metering is off
+   */
+  record({ model, provider, source, app, inputTokens = 0, outputTokens = 0, durationMs, traceId }) {
+    if (!this.endpoint) return null;
+
+    const event = {
+      timestamp: new Date().toISOString(),
+      model,
+      provider,
+      source,
+      app: app || null,
+      inputTokens,
+      outputTokens,
+      cost: calculateCost(model, { inputTokens, outputTokens }),
+      durationMs: durationMs ?? null,
+      traceId: traceId || null
+    };
+
+    this.pending.push(event);
+    if (this.pending.length >= RECORD_BATCH_SIZE) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), RECORD_INTERVAL_MS);
+      this.timer.unref?.();
+    }
+    return event;
+  }
+
+  /**
+   * Send queued events now (short-lived processes call this before exiting)
+   */
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const events = this.pending.splice(0);
+    if (events.length === 0 || !this.endpoint) return;
+
+    try {
+      const token = process.env.ORCHESTRATOR_INTERNAL_TOKEN;
+      const response = await fetch(`${this.endpoint}/events`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify({ events })
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      // Metering must never break the service
+      console.warn(`[ai-usage] Could not record ${events.length} usage events: ${error.message}`);
+    }
+  }
+}
+
+export const usageMeter = new UsageMeter();
+
+export default {
+  usageMeter,
+  AiBudgetExceededError
+};
@@ -0,0 +1,49 @@
+/**
+ * Changed File Selection for Incremental Analysis
+ *
+ * The orchestrator's file watcher posts the files that changed since the last
+ * analysis as `files`, so analyzers can re-analyze just those instead of
+ * rescanning the whole application. Paths may be absolute or relative to the
+ * app root; anything outside the root is ignored.
+ *
+ * Uses Node built-ins only, like tracing.js.
+ */
+
+import { existsSync } from 'fs';
+import path from 'path';
+
+/**
+ * Resolve requested files against an application root.
+ *
+ * Returns { files, removedFiles, ignored }:
+ *   files        - absolute paths that exist and have one of the extensions
+ *   removedFiles - absolute paths with a matching extension that no longer exist
+ *   ignored      - requested paths outside the root or with other extensions
+ */
+export function resolveChangedFiles(basePath, requested = [], extensions = []) {
+  const root = path.resolve(basePath);
+  const wanted = extensions.map(ext => ext.toLowerCase());
+  const files = [];
+  const removedFiles = [];
+  const ignored = [];
+  const seen = new Set();
+
+  for (const file of requested) {
+    const fullPath = path.resolve(root, String(file));
+    if (seen.has(fullPath)) continue;
+    seen.add(fullPath);
+    const relativePath = path.relative(root, fullPath);
+    const inside = relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+    const matches = wanted.length === 0 || wanted.includes(path.extname(fullPath).toLowerCase());
+
+    if (!inside || !matches) {
+      ignored.push(file);
+    } else if (existsSync(fullPath)) {
+      files.push(fullPath);
+    } else {
+      removedFiles.push(fullPath);
+    }
+  }
+
+  return { files, removedFiles, ignored };
+}
@@ -41,6 +41,40 @@ export const MODEL_CATALOG = {
     costPerMToken: { input: 15.0, output: 75.0 },
     tierMapping: 'o1'
   },
+  'claude-opus-4-5-20251101': {
+    provider: 'anthropic',
+    tier: MODEL_TIERS.ADVANCED,
+    displayName: 'Claude Opus 4.5',
+    description: 'Most capable for complex reasoning at a lower price',
+    costPerMToken: { input: 5.0, output: 25.0 },
+    tierMapping: 'o1'
+  },
+
+  // Older Claude models still used as service defaults; kept for cost reporting
+  'claude-3-5-sonnet-20241022': {
+    provider: 'anthropic',
+    tier: MODEL_TIERS.BALANCED,
+    displayName: 'Claude 3.5 Sonnet',
+    description: 'Previous generation balanced model',
+    costPerMToken: { input: 3.0, output: 15.0 },
+    tierMapping: 'gpt-4o'
+  },
+  'claude-3-5-haiku-20241022': {
+    provider: 'anthropic',
+    tier: MODEL_TIERS.FAST,
+    displayName: 'Claude 3.5 Haiku',
+    description: 'Previous generation fast model',
+    costPerMToken: { input: 0.8, output: 4.0 },
+    tierMapping: 'gpt-4o-mini'
+  },
+  'claude-3-haiku-20240307': {
+    provider: 'anthropic',
+    tier: MODEL_TIERS.FAST,
+    displayName: 'Claude 3 Haiku',
+    description: 'Lowest cost Claude model',
+    costPerMToken: { input: 0.25, output: 1.25 },
+    tierMapping: 'gpt-4o-mini'
+  },
 
   // OpenAI Models
   'gpt-4o-mini': {
@@ -75,6 +109,34 @@ export const MODEL_CATALOG = {
     description: 'Efficient reasoning model',
     costPerMToken: { input: 3.0, output: 12.0 },
     tierMapping: 'claude-haiku-4-20250610'
+  },
+
+  // Local models served by an OpenAI-compatible endpoint (LOCAL_LLM_BASE_URL);
+  // IDs are "local/" plus the server's model name. Prompts never leave the network.
+  'local/llama3.1:8b': {
+    provider: 'local',
+    tier: MODEL_TIERS.FAST,
+    displayName: 'Llama 3.1 8B (local)',
+    description: 'Fast on-premises model',
+    costPerMToken: { input: 0, output: 0 },
+    tierMapping: 'claude-haiku-4-20250610',
+    default: true
+  },
+  'local/qwen2.5-coder:14b': {
+    provider: 'local',
+    tier: MODEL_TIERS.BALANCED,
+    displayName: 'Qwen 2.5 Coder 14B (local)',
+    description: 'On-premises code model',
+    costPerMToken: { input: 0, output: 0 },
+    tierMapping: 'claude-sonnet-4-20250514'
+  },
+  'local/llama3.3:70b': {
+    provider: 'local',
+    tier: MODEL_TIERS.ADVANCED,
+    displayName: 'Llama 3.3 70B (local)',
+    description: 'Most capable on-premises model',
+    costPerMToken: { input: 0, output: 0 },
+    tierMapping: 'claude-opus-4-20250514'
   }
 };
 
@@ -90,7 +152,7 @@ export function getTierMapping(modelId) {
 
 /**
  * Get all models for a specific provider
- * @param {string} provider - Provider name ('anthropic' or 'openai')
+ * @param {string} provider - Provider name ('anthropic', 'openai' or 'local')
  * @returns {Array} Array of model objects with id and metadata
  */
 export function getModelsByProvider(provider) {
@@ -110,7 +172,7 @@ export function getModelMetadata(modelId) {
 
 /**
  * Get default model for provider
- * @param {string} provider - Provider name ('anthropic' or 'openai')
+ * @param {string} provider - Provider name ('anthropic', 'openai' or 'local')
  * @returns {string} Default model ID
  */
 export function getDefaultModel(provider) {
@@ -136,6 +198,20 @@ export function getAllModelIds() {
   return Object.keys(MODEL_CATALOG);
 }
 
+/**
+ * Cost in USD of a completion, from the catalog's per-million-token prices
+ * @param {string} modelId - Model identifier
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {number|null} Cost rounded to a millionth of a dollar, or null for unknown models
+ */
+export function calculateCost(modelId, { inputTokens = 0, outputTokens = 0 } = {}) {
+  const pricing = MODEL_CATALOG[modelId]?.costPerMToken;
+  if (!pricing) return null;
+
+  const cost = (inputTokens * pricing.input + outputTokens * pricing.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
 export default {
   MODEL_TIERS,
   MODEL_CATALOG,
@@ -144,5 +220,6 @@ export default {
   getModelMetadata,
   getDefaultModel,
   isValidModel,
-  getAllModelIds
+  getAllModelIds,
+  calculateCost
 };
@@ -0,0 +1,72 @@
+/**
+ * Long-lived STDIO worker mode for STDIO MCPs
+ *
+ * STDIO MCPs normally read one JSON request from stdin, write one result and
+ * exit. An MCP opts in to the orchestrator's worker pool by also supporting
+ * `--worker`, where it stays running and answers line-delimited JSON-RPC 2.0:
+ *
+ *   stdin:  {"jsonrpc":"2.0","id":1,"method":"run","params":{...}}
+ *   stdout: {"jsonrpc":"2.0","id":1,"result":{...}}
+ *
+ * Only responses may go to stdout; log to stderr. The MCP is then listed
+ * under stdioWorkers in config/mcp-registry.json.
+ *
+ * CommonJS so both CommonJS and ES module MCPs can load it.
+ */
+
+const { createInterface } = require('readline');
+
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+
+function isWorkerMode(argv = process.argv) {
+  return argv.includes('--worker');
+}
+
+/**
+ * Serve requests from stdin until it closes
+ *
+ * @param {Object<string, Function>} methods - async (params) => result, by
+ *   JSON-RPC method; the orchestrator calls "run" with the one-shot input
+ * @param {Object} [streams] - { input, output } (defaults to stdin/stdout)
+ */
+function serveStdioWorker(methods, { input = process.stdin, output = process.stdout } = {}) {
+  const send = message => output.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+
+  const handle = async line => {
+    if (!line.trim()) return;
+
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (error) {
+      return send({ id: null, error: { code: PARSE_ERROR, message: `Parse error: ${error.message}` } });
+    }
+
+    const { id = null, method, params } = request || {};
+    if (typeof method !== 'string') {
+      return send({ id, error: { code: INVALID_REQUEST, message: 'Invalid request: method is required' } });
+    }
+    if (!Object.prototype.hasOwnProperty.call(methods, method)) {
+      return send({ id, error: { code: METHOD_NOT_FOUND, message: `Method not found: ${method}` } });
+    }
+
+    try {
+      send({ id, result: await methods[method](params) });
+    } catch (error) {
+      process.stderr.write(`Error: ${error.message}\n${error.stack}\n`);
+      // The HTTP status the error maps to (budget exceeded, provider policy)
+      const data = error.statusCode ? { statusCode: error.statusCode } : undefined;
+      send({ id, error: { code: INTERNAL_ERROR, message: error.message, data } });
+    }
+  };
+
+  const lines = createInterface({ input });
+  lines.on('line', handle);
+  return lines;
+}
+
+module.exports = { isWorkerMode, serveStdioWorker };
@@ -0,0 +1,151 @@
+import { jest } from "@jest/globals";
+import { existsSync, mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import { AiResponseCache, cacheKey, normalizePrompt } from "../aiCache.js";
+
+describe("AI response cache", () => {
+  const request = {
+    model: "claude-sonnet-4-20250514",
+    messages: [{ role: "user", content: "Assess the risk of story 42" }],
+    temperature: 0.2,
+    maxTokens: 2000,
+  };
+  const response = {
+    text: '{"score": 6}',
+    usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 },
+    provider: "anthropic",
+    model: "claude-sonnet-4-20250514",
+  };
+  let dir, cache;
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), "ai-cache-"));
+    cache = new AiResponseCache({ dir, ttlMs: 60000, enabled: true });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("cacheKey", () => {
+    it("should ignore line endings and trailing whitespace in the prompt", () => {
+      const messy = {
+        ...request,
+        messages: [
+          { role: "user", content: "\r\nAssess the risk of story 42   \r\n" },
+        ],
+      };
+
+      expect(cacheKey(messy)).toBe(cacheKey(request));
+      expect(normalizePrompt(messy.messages)).toEqual(request.messages);
+    });
+
+    it("should differ by model, temperature, max tokens, prompt and options", () => {
+      const keys = new Set([
+        cacheKey(request),
+        cacheKey({ ...request, model: "gpt-4o" }),
+        cacheKey({ ...request, temperature: 0.3 }),
+        cacheKey({ ...request, maxTokens: 4000 }),
+        cacheKey({
+          ...request,
+          messages: [{ role: "user", content: "Assess story 43" }],
+        }),
+        cacheKey({ ...request, options: { system: "You are a QA lead" } }),
+      ]);
+
+      expect(keys.size).toBe(6);
+    });
+  });
+
+  describe("get/set", () => {
+    it("should store entries on disk sharded by key prefix", async () => {
+      const key = cacheKey(request);
+      await cache.set(key, response);
+
+      expect(existsSync(path.join(dir, key.slice(0, 2), `${key}.json`))).toBe(
+        true,
+      );
+      await expect(
+        new AiResponseCache({ dir, ttlMs: 60000, enabled: true }).get(key),
+      ).resolves.toMatchObject({ response, cachedAt: expect.any(String) });
+    });
+
+    it("should expire entries after the TTL", async () => {
+      jest.useFakeTimers({ now: new Date("2026-03-01T10:00:00Z") });
+      const key = cacheKey(request);
+      await cache.set(key, response);
+
+      jest.setSystemTime(new Date("2026-03-01T10:01:01Z"));
+
+      await expect(cache.get(key)).resolves.toBeNull();
+      expect(existsSync(path.join(dir, key.slice(0, 2), `${key}.json`))).toBe(
+        false,
+      );
+    });
+
+    it("should count hits, misses and writes", async () => {
+      const key = cacheKey(request);
+      await cache.get(key);
+      await cache.set(key, response);
+      await cache.get(key);
+      await cache.get(key);
+
+      expect(cache.stats()).toEqual({
+        enabled: true,
+        hits: 2,
+        misses: 1,
+        writes: 1,
+        hitRate: 0.667,
+        dir,
+        ttlMs: 60000,
+      });
+    });
+
+    it("should be off unless AI_CACHE_ENABLED is true", () => {
+      const original = process.env.AI_CACHE_ENABLED;
+      try {
+        delete process.env.AI_CACHE_ENABLED;
+        expect(new AiResponseCache({ dir }).enabled).toBe(false);
+        process.env.AI_CACHE_ENABLED = "true";
+        expect(new AiResponseCache({ dir }).enabled).toBe(true);
+      } finally {
+        if (original === undefined) delete process.env.AI_CACHE_ENABLED;
+        else process.env.AI_CACHE_ENABLED = original;
+      }
+    });
+
+    it("should do nothing when disabled", async () => {
+      cache = new AiResponseCache({ dir, enabled: false });
+      const key = cacheKey(request);
+
+      await expect(cache.set(key, response)).resolves.toBeNull();
+      await expect(cache.get(key)).resolves.toBeNull();
+      expect(cache.stats()).toMatchObject({ hits: 0, misses: 0 });
+    });
+
+    it("should not throw when the directory can't be written", async () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      cache = new AiResponseCache({ dir: "/dev/null/ai-cache", enabled: true });
+
+      await expect(cache.set(cacheKey(request), response)).resolves.toBeNull();
+      expect(warnSpy).toHaveBeenCalledWith(
+        expect.stringContaining("Could not store entry"),
+      );
+    });
+  });
+
+  describe("clear", () => {
+    it("should remove all entries and reset the counters", async () => {
+      const key = cacheKey(request);
+      await cache.set(key, response);
+      await cache.get(key);
+
+      await cache.clear();
+
+      expect(cache.stats()).toMatchObject({ hits: 0, misses: 0, writes: 0 });
+      await expect(cache.get(key)).resolves.toBeNull();
+    });
+  });
+});
@@ -1,4 +1,7 @@
 import { jest } from "@jest/globals";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
 
 // Mock the SDK modules BEFORE importing aiClient
 const mockAnthropicCreate = jest.fn();
@@ -23,7 +26,13 @@ jest.unstable_mockModule("openai", () => ({
 }));
 
 // Import aiClient AFTER mocking
-const { generateCompletion, validateApiKeys } = await import("../aiClient.js");
+const { generateCompletion, getCacheStats, validateApiKeys } =
+  await import("../aiClient.js");
+const { exporter } = await import("../tracing.js");
+const { usageMeter, AiBudgetExceededError } = await import("../aiUsage.js");
+const { aiCache } = await import("../aiCache.js");
+const { createStubProvider, registerProvider, unregisterProvider } =
+  await import("../aiProviders.js");
 
 describe("AI Client", () => {
   const originalEnv = process.env;
@@ -34,6 +43,9 @@ describe("AI Client", () => {
     process.env.ANTHROPIC_API_KEY = "test-anthropic-key";
     process.env.OPENAI_API_KEY = "test-openai-key";
 
+    // Every call reaches the mocked SDK unless a test enables the cache
+    aiCache.enabled = false;
+
     // Clear all mocks
     jest.clearAllMocks();
 
@@ -87,6 +99,8 @@ describe("AI Client", () => {
         },
         provider: "anthropic",
         model: "claude-sonnet-4-20250514",
+        cached: false,
+        cachedAt: null,
       });
     });
 
@@ -216,6 +230,8 @@ describe("AI Client", () => {
         },
         provider: "openai",
         model: "gpt-4o",
+        cached: false,
+        cachedAt: null,
       });
     });
 
@@ -550,4 +566,233 @@ describe("AI Client", () => {
       expect(result.valid).toBe(true);
     });
   });
+
+  describe("Tracing", () => {
+    it("should record a client span with token usage", async () => {
+      const exportSpy = jest.spyOn(exporter, "export");
+
+      await generateCompletion({
+        model: "gpt-4o",
+        messages: [{ role: "user", content: "Hello" }],
+        maxTokens: 512,
+      });
+
+      expect(exportSpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          name: "chat gpt-4o",
+          kind: "client",
+          status: "ok",
+          attributes: {
+            "gen_ai.system": "openai",
+            "gen_ai.request.model": "gpt-4o",
+            "gen_ai.request.max_tokens": 512,
+            "gen_ai.usage.input_tokens": 150,
+            "gen_ai.usage.output_tokens": 250,
+          },
+        }),
+      );
+      exportSpy.mockRestore();
+    });
+
+    it("should record failed calls as error spans", async () => {
+      const exportSpy = jest.spyOn(exporter, "export");
+      mockAnthropicCreate.mockRejectedValue(new Error("overloaded"));
+
+      await expect(
+        generateCompletion({ messages: [{ role: "user", content: "Hi" }] }),
+      ).rejects.toThrow("overloaded");
+
+      expect(exportSpy).toHaveBeenCalledWith(
+        expect.objectContaining({ status: "error" }),
+      );
+      exportSpy.mockRestore();
+    });
+  });
+
+  describe("Usage metering", () => {
+    const budget = (status) => ({
+      ok: true,
+      json: async () => ({ team: "qe", status, message: `qe is ${status}` }),
+    });
+
+    beforeEach(() => {
+      process.env.AI_USAGE_ENDPOINT = "http://orchestrator:3000/api/ai/usage";
+    });
+
+    afterEach(() => {
+      usageMeter.pending = [];
+      jest.restoreAllMocks();
+    });
+
+    it("should record tokens, cost and source of each completion", async () => {
+      jest.spyOn(global, "fetch").mockResolvedValue(budget("ok"));
+
+      await generateCompletion({
+        model: "claude-sonnet-4-20250514",
+        messages: [{ role: "user", content: "Hello" }],
+        source: "playwright-generator",
+      });
+
+      expect(usageMeter.pending).toEqual([
+        expect.objectContaining({
+          model: "claude-sonnet-4-20250514",
+          provider: "anthropic",
+          source: "playwright-generator",
+          app: null,
+          inputTokens: 100,
+          outputTokens: 200,
+          cost: 0.0033,
+        }),
+      ]);
+    });
+
+    it("should refuse completions once the hard budget is spent", async () => {
+      jest.spyOn(global, "fetch").mockResolvedValue(budget("hard"));
+
+      await expect(
+        generateCompletion({
+          messages: [{ role: "user", content: "Hi" }],
+        }),
+      ).rejects.toThrow(AiBudgetExceededError);
+      expect(mockAnthropicCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Response caching", () => {
+    const request = {
+      model: "claude-sonnet-4-20250514",
+      messages: [{ role: "user", content: "Assess story 42" }],
+      temperature: 0,
+    };
+    let dir;
+
+    beforeEach(() => {
+      dir = mkdtempSync(path.join(tmpdir(), "ai-client-cache-"));
+      Object.assign(aiCache, { enabled: true, dir, hits: 0, misses: 0 });
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should answer a repeated prompt from the cache", async () => {
+      const first = await generateCompletion(request);
+      const second = await generateCompletion({
+        ...request,
+        messages: [{ role: "user", content: "Assess story 42  \r\n" }],
+      });
+
+      expect(mockAnthropicCreate).toHaveBeenCalledTimes(1);
+      expect(first).toMatchObject({ cached: false, cachedAt: null });
+      expect(second).toMatchObject({
+        text: "Anthropic response",
+        cached: true,
+        cachedAt: expect.any(String),
+      });
+      expect(getCacheStats()).toMatchObject({ hits: 1, misses: 1 });
+    });
+
+    it("should call the model again for a different temperature or max tokens", async () => {
+      await generateCompletion(request);
+      await generateCompletion({ ...request, temperature: 0.7 });
+      await generateCompletion({ ...request, maxTokens: 1000 });
+
+      expect(mockAnthropicCreate).toHaveBeenCalledTimes(3);
+    });
+
+    it("should bypass the lookup with noCache and refresh the entry", async () => {
+      await generateCompletion(request);
+      mockAnthropicCreate.mockResolvedValue({
+        content: [{ text: "Fresh response" }],
+        usage: { input_tokens: 100, output_tokens: 200 },
+      });
+
+      const refreshed = await generateCompletion({ ...request, noCache: true });
+      const cached = await generateCompletion(request);
+
+      expect(refreshed).toMatchObject({
+        text: "Fresh response",
+        cached: false,
+      });
+      expect(cached).toMatchObject({ text: "Fresh response", cached: true });
+    });
+
+    it("should not spend budget on cached answers", async () => {
+      process.env.AI_USAGE_ENDPOINT = "http://orchestrator:3000/api/ai/usage";
+      const fetchSpy = jest.spyOn(global, "fetch").mockResolvedValue({
+        ok: true,
+        json: async () => ({ status: "ok" }),
+      });
+
+      await generateCompletion(request);
+      await generateCompletion(request);
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+      expect(usageMeter.pending).toHaveLength(1);
+      usageMeter.pending = [];
+    });
+  });
+
+  describe("Provider routing", () => {
+    let dir, stub;
+
+    beforeEach(() => {
+      dir = mkdtempSync(path.join(tmpdir(), "ai-client-apps-"));
+      process.env.CONFIG_PATH = path.join(dir, "apps.json");
+      writeFileSync(
+        process.env.CONFIG_PATH,
+        JSON.stringify({
+          applications: [
+            {
+              name: "Payments",
+              ai: { allowedProviders: ["stub"], defaultModel: "stub/payments" },
+            },
+          ],
+        }),
+      );
+      stub = registerProvider(
+        createStubProvider({ respond: () => "Stub response" }),
+      );
+    });
+
+    afterEach(() => {
+      unregisterProvider("stub");
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should send registered models to their provider", async () => {
+      const result = await generateCompletion({
+        model: "stub/test",
+        messages: [{ role: "user", content: "Hello" }],
+        temperature: 0,
+      });
+
+      expect(result).toMatchObject({
+        text: "Stub response",
+        provider: "stub",
+        model: "stub/test",
+      });
+      expect(stub.calls[0]).toMatchObject({
+        model: "stub/test",
+        temperature: 0,
+      });
+      expect(mockAnthropicCreate).not.toHaveBeenCalled();
+    });
+
+    it("should keep an app's prompts on its allowed providers", async () => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      const result = await generateCompletion({
+        model: "claude-sonnet-4-20250514",
+        messages: [{ role: "user", content: "Review PaymentService.cs" }],
+        app: "Payments",
+      });
+
+      expect(result).toMatchObject({
+        provider: "stub",
+        model: "stub/payments",
+      });
+      expect(mockAnthropicCreate).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,229 @@
+import { jest } from "@jest/globals";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  AiProviderPolicyError,
+  createOpenAICompatibleProvider,
+  createStubProvider,
+  detectProvider,
+  getProvider,
+  listProviders,
+  registerProvider,
+  resolveModel,
+  unregisterProvider,
+} from "../aiProviders.js";
+
+describe("AI providers", () => {
+  const originalEnv = process.env;
+  let dir;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    dir = mkdtempSync(path.join(tmpdir(), "ai-providers-"));
+    process.env.CONFIG_PATH = path.join(dir, "apps.json");
+    writeFileSync(
+      process.env.CONFIG_PATH,
+      JSON.stringify({
+        applications: [
+          {
+            name: "Payments",
+            ai: {
+              allowedProviders: ["local"],
+              defaultModel: "local/qwen2.5-coder:14b",
+            },
+          },
+          { name: "PreCare", ai: { allowedProviders: ["local"] } },
+          { name: "Core" },
+        ],
+      }),
+    );
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    rmSync(dir, { recursive: true, force: true });
+    unregisterProvider("stub");
+  });
+
+  describe("detectProvider", () => {
+    it("should recognise hosted, local and registered models", () => {
+      registerProvider(createStubProvider());
+
+      expect(detectProvider("claude-sonnet-4-20250514")).toBe("anthropic");
+      expect(detectProvider("o1-mini")).toBe("openai");
+      expect(detectProvider("local/llama3.1:8b")).toBe("local");
+      expect(detectProvider("stub/any")).toBe("stub");
+      expect(detectProvider(undefined)).toBe("anthropic");
+      expect(() => detectProvider("mistral-large")).toThrow(
+        "Unknown model format: mistral-large",
+      );
+    });
+
+    it("should register the local provider by default", () => {
+      expect(listProviders()).toContain("local");
+    });
+
+    it("should reject providers without complete()", () => {
+      expect(() => registerProvider({ name: "broken" })).toThrow(
+        "A provider needs a name and a complete() function",
+      );
+    });
+  });
+
+  describe("resolveModel", () => {
+    it("should leave apps without a policy alone", () => {
+      expect(
+        resolveModel({ model: "gpt-4o", app: "Core", fallbackModel: "x" }),
+      ).toEqual({ model: "gpt-4o", provider: "openai", rerouted: false });
+      expect(
+        resolveModel({ fallbackModel: "claude-3-haiku-20240307" }),
+      ).toMatchObject({ model: "claude-3-haiku-20240307" });
+    });
+
+    it("should default to the app's model", () => {
+      expect(
+        resolveModel({
+          app: "Payments",
+          fallbackModel: "claude-3-haiku-20240307",
+        }),
+      ).toEqual({
+        model: "local/qwen2.5-coder:14b",
+        provider: "local",
+        rerouted: false,
+      });
+    });
+
+    it("should route forbidden providers to the app's default model", () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      expect(
+        resolveModel({ model: "claude-opus-4-20250514", app: "Payments" }),
+      ).toEqual({
+        model: "local/qwen2.5-coder:14b",
+        provider: "local",
+        rerouted: true,
+      });
+      expect(warnSpy).toHaveBeenCalledWith(
+        expect.stringContaining("Payments may not use anthropic"),
+      );
+    });
+
+    it("should refuse when the app has no allowed default", () => {
+      const error = (() => {
+        try {
+          return resolveModel({ model: "gpt-4o", app: "PreCare" });
+        } catch (e) {
+          return e;
+        }
+      })();
+
+      expect(error).toBeInstanceOf(AiProviderPolicyError);
+      expect(error).toMatchObject({
+        statusCode: 403,
+        app: "PreCare",
+        provider: "openai",
+        message: "PreCare may only use local AI providers, not openai",
+      });
+      expect(
+        resolveModel({ model: "local/llama3.1:8b", app: "PreCare" }),
+      ).toMatchObject({ provider: "local" });
+    });
+  });
+
+  describe("OpenAI-compatible provider", () => {
+    const provider = createOpenAICompatibleProvider({
+      baseUrl: "http://ollama:11434/v1/",
+      apiKey: "secret",
+    });
+
+    it("should POST chat completions without the model prefix", async () => {
+      const fetchSpy = jest.spyOn(global, "fetch").mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          choices: [{ message: { content: "Local answer" } }],
+          usage: { prompt_tokens: 12, completion_tokens: 3 },
+        }),
+      });
+
+      const result = await provider.complete({
+        model: "local/llama3.1:8b",
+        messages: [{ role: "user", content: "Hi" }],
+        maxTokens: 100,
+        temperature: 0,
+      });
+
+      expect(result).toEqual({
+        text: "Local answer",
+        usage: { promptTokens: 12, completionTokens: 3, totalTokens: 15 },
+      });
+      const [url, init] = fetchSpy.mock.calls[0];
+      expect(url).toBe("http://ollama:11434/v1/chat/completions");
+      expect(init.headers.Authorization).toBe("Bearer secret");
+      expect(JSON.parse(init.body)).toEqual({
+        model: "llama3.1:8b",
+        messages: [{ role: "user", content: "Hi" }],
+        max_tokens: 100,
+        temperature: 0,
+      });
+    });
+
+    it("should surface server errors", async () => {
+      jest.spyOn(global, "fetch").mockResolvedValue({
+        ok: false,
+        status: 404,
+        text: async () => 'model "llama9" not found',
+      });
+
+      await expect(
+        provider.complete({ model: "local/llama9", messages: [] }),
+      ).rejects.toThrow('HTTP 404: model "llama9" not found');
+    });
+
+    it("should list the server's models as local model IDs", async () => {
+      jest.spyOn(global, "fetch").mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          data: [{ id: "llama3.1:8b" }, { id: "phi4" }],
+        }),
+      });
+
+      await expect(provider.listModels()).resolves.toEqual([
+        "local/llama3.1:8b",
+        "local/phi4",
+      ]);
+    });
+  });
+
+  describe("stub provider", () => {
+    it("should answer the same prompt the same way", async () => {
+      const stub = registerProvider(createStubProvider());
+      const request = {
+        model: "stub/test",
+        messages: [{ role: "user", content: "Assess story 42" }],
+      };
+
+      const first = await getProvider("stub").complete(request);
+      const second = await stub.complete(request);
+      const other = await stub.complete({
+        ...request,
+        messages: [{ role: "user", content: "Assess story 43" }],
+      });
+
+      expect(first).toEqual(second);
+      expect(first.text).toMatch(/^stub:[0-9a-f]{16}$/);
+      expect(other.text).not.toBe(first.text);
+      expect(stub.calls).toHaveLength(3);
+    });
+
+    it("should use canned responses", async () => {
+      const stub = createStubProvider({
+        respond: (messages) => `echo ${messages[0].content}`,
+      });
+
+      await expect(
+        stub.complete({ messages: [{ role: "user", content: "ping" }] }),
+      ).resolves.toMatchObject({ text: "echo ping" });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { jest } from "@jest/globals";
+import { AiBudgetExceededError, usageMeter } from "../aiUsage.js";
+
+describe("AI usage metering", () => {
+  const originalEnv = process.env;
+  const usage = {
+    model: "gpt-4o",
+    provider: "openai",
+    source: "risk-analyzer",
+    inputTokens: 1000,
+    outputTokens: 500,
+  };
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    process.env.AI_USAGE_ENDPOINT = "http://orchestrator:3000/api/ai/usage/";
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    usageMeter.pending = [];
+    clearTimeout(usageMeter.timer);
+    usageMeter.timer = null;
+    jest.restoreAllMocks();
+  });
+
+  describe("record", () => {
+    it("should do nothing when no endpoint is configured", () => {
+      delete process.env.AI_USAGE_ENDPOINT;
+
+      expect(usageMeter.record(usage)).toBeNull();
+      expect(usageMeter.pending).toHaveLength(0);
+    });
+
+    it("should price the completion from the model catalog", () => {
+      expect(usageMeter.record(usage)).toEqual(
+        expect.objectContaining({
+          model: "gpt-4o",
+          source: "risk-analyzer",
+          app: null,
+          cost: 0.0125,
+        }),
+      );
+    });
+
+    it("should POST queued events to the ledger on flush", async () => {
+      const fetchSpy = jest
+        .spyOn(global, "fetch")
+        .mockResolvedValue({ ok: true });
+
+      usageMeter.record(usage);
+      usageMeter.record({ ...usage, model: "unknown-model" });
+      await usageMeter.flush();
+
+      expect(fetchSpy).toHaveBeenCalledWith(
+        "http://orchestrator:3000/api/ai/usage/events",
+        expect.objectContaining({ method: "POST" }),
+      );
+      const { events } = JSON.parse(fetchSpy.mock.calls[0][1].body);
+      expect(events.map((e) => e.cost)).toEqual([0.0125, null]);
+      expect(usageMeter.pending).toHaveLength(0);
+    });
+
+    it("should send the internal token with the events", async () => {
+      process.env.ORCHESTRATOR_INTERNAL_TOKEN = "s3cret";
+      const fetchSpy = jest
+        .spyOn(global, "fetch")
+        .mockResolvedValue({ ok: true });
+
+      usageMeter.record(usage);
+      await usageMeter.flush();
+
+      expect(fetchSpy.mock.calls[0][1].headers).toEqual({
+        "Content-Type": "application/json",
+        Authorization: "Bearer s3cret",
+      });
+    });
+
+    it("should not throw when the ledger is unreachable", async () => {
+      jest.spyOn(global, "fetch").mockRejectedValue(new Error("ECONNREFUSED"));
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      usageMeter.record(usage);
+      await expect(usageMeter.flush()).resolves.toBeUndefined();
+
+      expect(warnSpy).toHaveBeenCalledWith(
+        expect.stringContaining("ECONNREFUSED"),
+      );
+    });
+  });
+
+  describe("checkBudget", () => {
+    const respond = (budget) =>
+      jest
+        .spyOn(global, "fetch")
+        .mockResolvedValue({ ok: true, json: async () => budget });
+
+    it("should ask the ledger for the caller's budget", async () => {
+      const fetchSpy = respond({ team: "qe", status: "ok" });
+
+      await expect(
+        usageMeter.checkBudget({
+          source: "playwright-healer",
+          app: "Payments",
+        }),
+      ).resolves.toEqual({ team: "qe", status: "ok" });
+      expect(fetchSpy.mock.calls[0][0]).toBe(
+        "http://orchestrator:3000/api/ai/usage/budget?source=playwright-healer&app=Payments",
+      );
+    });
+
+    it("should warn past the soft limit and throw past the hard limit", async () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      respond({ team: "qe", status: "soft", message: "qe at 85% of $20" });
+
+      await usageMeter.checkBudget({ source: "playwright-healer" });
+      expect(warnSpy).toHaveBeenCalledWith("[ai-usage] qe at 85% of $20");
+
+      respond({ team: "qe", status: "hard", message: "qe spent $40 of $40" });
+      const error = await usageMeter
+        .checkBudget({ source: "playwright-healer" })
+        .catch((e) => e);
+      expect(error).toBeInstanceOf(AiBudgetExceededError);
+      expect(error).toMatchObject({
+        statusCode: 429,
+        message: "qe spent $40 of $40",
+      });
+    });
+
+    it("should allow the call when the ledger can't be reached", async () => {
+      jest.spyOn(global, "fetch").mockRejectedValue(new Error("timeout"));
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      await expect(
+        usageMeter.checkBudget({ source: "risk-analyzer" }),
+      ).resolves.toBeNull();
+    });
+  });
+});
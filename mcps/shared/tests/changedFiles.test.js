@@ -0,0 +1,62 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import { resolveChangedFiles } from "../changedFiles.js";
+
+describe("Changed Files", () => {
+  let root;
+
+  beforeEach(() => {
+    root = mkdtempSync(path.join(tmpdir(), "changed-files-"));
+    mkdirSync(path.join(root, "src"));
+    writeFileSync(path.join(root, "src", "Payment.cs"), "class Payment {}");
+    writeFileSync(path.join(root, "src", "app.js"), "export {}");
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it("should resolve relative and absolute paths inside the app", () => {
+    const result = resolveChangedFiles(
+      root,
+      ["src/Payment.cs", path.join(root, "src", "Payment.cs")],
+      [".cs"],
+    );
+
+    expect(result).toEqual({
+      files: [path.join(root, "src", "Payment.cs")],
+      removedFiles: [],
+      ignored: [],
+    });
+  });
+
+  it("should report deleted files as removed", () => {
+    const result = resolveChangedFiles(root, ["src/Gone.cs"], [".cs"]);
+
+    expect(result.files).toEqual([]);
+    expect(result.removedFiles).toEqual([path.join(root, "src", "Gone.cs")]);
+  });
+
+  it("should ignore other extensions and paths outside the app", () => {
+    const result = resolveChangedFiles(
+      root,
+      ["src/app.js", "../other/Secret.cs", "/etc/passwd", ""],
+      [".cs"],
+    );
+
+    expect(result.files).toEqual([]);
+    expect(result.ignored).toEqual([
+      "src/app.js",
+      "../other/Secret.cs",
+      "/etc/passwd",
+      "",
+    ]);
+  });
+
+  it("should accept any extension when none are given", () => {
+    expect(resolveChangedFiles(root, ["src/app.js"]).files).toEqual([
+      path.join(root, "src", "app.js"),
+    ]);
+  });
+});
@@ -9,6 +9,7 @@ import {
   getDefaultModel,
   isValidModel,
   getAllModelIds,
+  calculateCost,
 } from "../modelMapper.js";
 
 describe("Model Mapper", () => {
@@ -86,6 +87,19 @@ describe("Model Mapper", () => {
       expect(models.every((m) => m.provider === "openai")).toBe(true);
     });
 
+    it("should return free local models with a default", () => {
+      const models = getModelsByProvider("local");
+      expect(models.length).toBeGreaterThan(0);
+      expect(models.every((m) => m.id.startsWith("local/"))).toBe(true);
+      expect(getDefaultModel("local")).toBe("local/llama3.1:8b");
+      expect(
+        calculateCost("local/llama3.1:8b", {
+          inputTokens: 100000,
+          outputTokens: 5000,
+        }),
+      ).toBe(0);
+    });
+
     it("should include model ID in returned objects", () => {
       const models = getModelsByProvider("anthropic");
       expect(models[0]).toHaveProperty("id");
@@ -180,4 +194,28 @@ describe("Model Mapper", () => {
       expect(ids.length).toBe(catalogKeys.length);
     });
   });
+
+  describe("calculateCost()", () => {
+    it("should price input and output tokens per million", () => {
+      expect(
+        calculateCost("claude-sonnet-4-20250514", {
+          inputTokens: 10000,
+          outputTokens: 2000,
+        }),
+      ).toBe(0.06);
+      expect(
+        calculateCost("gpt-4o-mini", { inputTokens: 1, outputTokens: 1 }),
+      ).toBe(0.000001);
+    });
+
+    it("should price older models used as service defaults", () => {
+      expect(
+        calculateCost("claude-3-haiku-20240307", { inputTokens: 1000000 }),
+      ).toBe(0.25);
+    });
+
+    it("should return null for unknown models", () => {
+      expect(calculateCost("unknown-model", { inputTokens: 100 })).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,115 @@
+import { jest } from "@jest/globals";
+import { PassThrough } from "stream";
+import { isWorkerMode, serveStdioWorker } from "../stdioWorker.cjs";
+
+describe("STDIO worker", () => {
+  /**
+   * Serve methods over in-memory streams and collect the responses
+   */
+  const serve = (methods) => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const responses = [];
+    output.on("data", (data) =>
+      data
+        .toString()
+        .split("\n")
+        .filter(Boolean)
+        .forEach((line) => responses.push(JSON.parse(line))),
+    );
+    serveStdioWorker(methods, { input, output });
+
+    const send = (line) => input.write(line + "\n");
+    const waitFor = (count) =>
+      new Promise((resolve) => {
+        const check = () =>
+          responses.length >= count ? resolve(responses) : setImmediate(check);
+        check();
+      });
+
+    return { send, waitFor };
+  };
+
+  it("should detect worker mode from --worker", () => {
+    expect(isWorkerMode(["node", "index.js", "--worker"])).toBe(true);
+    expect(isWorkerMode(["node", "index.js"])).toBe(false);
+  });
+
+  it("should answer requests by id", async () => {
+    const run = jest.fn(async (params) => ({ success: true, echo: params }));
+    const { send, waitFor } = serve({ run });
+
+    send(JSON.stringify({ jsonrpc: "2.0", id: 1, method: "run", params: 1 }));
+    send(JSON.stringify({ jsonrpc: "2.0", id: 2, method: "run", params: 2 }));
+
+    expect(await waitFor(2)).toEqual([
+      { jsonrpc: "2.0", id: 1, result: { success: true, echo: 1 } },
+      { jsonrpc: "2.0", id: 2, result: { success: true, echo: 2 } },
+    ]);
+  });
+
+  it("should report handler failures as JSON-RPC errors", async () => {
+    const stderr = jest
+      .spyOn(process.stderr, "write")
+      .mockImplementation(() => true);
+    const { send, waitFor } = serve({
+      run: async () => {
+        throw new Error("API key missing");
+      },
+    });
+
+    send(JSON.stringify({ jsonrpc: "2.0", id: 7, method: "run" }));
+
+    expect(await waitFor(1)).toEqual([
+      {
+        jsonrpc: "2.0",
+        id: 7,
+        error: { code: -32603, message: "API key missing" },
+      },
+    ]);
+    stderr.mockRestore();
+  });
+
+  it("should pass the HTTP status of a failure along", async () => {
+    const stderr = jest
+      .spyOn(process.stderr, "write")
+      .mockImplementation(() => true);
+    const { send, waitFor } = serve({
+      run: async () => {
+        throw Object.assign(new Error("AI budget exceeded"), {
+          statusCode: 429,
+        });
+      },
+    });
+
+    send(JSON.stringify({ jsonrpc: "2.0", id: 8, method: "run" }));
+
+    expect(await waitFor(1)).toEqual([
+      {
+        jsonrpc: "2.0",
+        id: 8,
+        error: {
+          code: -32603,
+          message: "AI budget exceeded",
+          data: { statusCode: 429 },
+        },
+      },
+    ]);
+    stderr.mockRestore();
+  });
+
+  it("should reject malformed lines and unknown methods", async () => {
+    const { send, waitFor } = serve({ run: async () => null });
+
+    send("{not json");
+    send(JSON.stringify({ jsonrpc: "2.0", id: 1 }));
+    send(JSON.stringify({ jsonrpc: "2.0", id: 2, method: "toString" }));
+
+    const responses = await waitFor(3);
+    expect(responses.map((r) => [r.id, r.error.code])).toEqual([
+      [null, -32700],
+      [1, -32600],
+      [2, -32601],
+    ]);
+  });
+});
@@ -0,0 +1,262 @@
+import { jest } from "@jest/globals";
+import { EventEmitter } from "events";
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  currentTraceparent,
+  exporter,
+  formatTraceparent,
+  parseTraceparent,
+  setSpanRecorder,
+  toOtlp,
+  tracingMiddleware,
+  withSpan,
+} from "../tracing.js";
+
+describe("Tracing", () => {
+  const traceId = "4bf92f3577b34da6a3ce929d0e0e4736";
+  const incoming = `00-${traceId}-00f067aa0ba902b7-01`;
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+    delete process.env.TRACE_FILE;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    exporter.pending = [];
+    jest.restoreAllMocks();
+  });
+
+  describe("traceparent", () => {
+    it("should parse and format traceparent headers", () => {
+      expect(parseTraceparent(incoming)).toEqual({
+        traceId,
+        spanId: "00f067aa0ba902b7",
+        sampled: true,
+      });
+      expect(formatTraceparent(parseTraceparent(incoming))).toBe(incoming);
+    });
+
+    it("should reject invalid headers", () => {
+      expect(parseTraceparent("00-abc-def-01")).toBeNull();
+      expect(parseTraceparent(null)).toBeNull();
+    });
+  });
+
+  describe("withSpan", () => {
+    it("should propagate the trace to child spans", async () => {
+      const exportSpy = jest.spyOn(exporter, "export");
+
+      const outer = await withSpan("outer", {}, async (span) => {
+        await withSpan("inner", {}, async () => {});
+        return span;
+      });
+
+      const [inner] = exportSpy.mock.calls[0];
+      expect(inner).toEqual(
+        expect.objectContaining({
+          name: "inner",
+          traceId: outer.traceId,
+          parentSpanId: outer.spanId,
+        }),
+      );
+      expect(currentTraceparent()).toBeUndefined();
+    });
+
+    it("should mark the span as failed and rethrow", async () => {
+      const exportSpy = jest.spyOn(exporter, "export");
+
+      await expect(
+        withSpan("failing", {}, async () => {
+          throw new Error("boom");
+        }),
+      ).rejects.toThrow("boom");
+
+      expect(exportSpy.mock.calls[0][0]).toEqual(
+        expect.objectContaining({ status: "error", error: "boom" }),
+      );
+    });
+  });
+
+  describe("tracingMiddleware", () => {
+    const createRequest = (reqPath, headers = {}) => ({
+      method: "POST",
+      path: reqPath,
+      originalUrl: reqPath,
+      get: (name) => headers[name.toLowerCase()],
+    });
+
+    const createResponse = () => {
+      const res = new EventEmitter();
+      res.headers = {};
+      res.statusCode = 200;
+      res.set = (name, value) => {
+        res.headers[name] = value;
+      };
+      return res;
+    };
+
+    it("should continue the caller's trace as a server span", () => {
+      const exportSpy = jest.spyOn(exporter, "export");
+      const req = createRequest("/analyze-risk", { traceparent: incoming });
+      const res = createResponse();
+      let traceparentInHandler;
+
+      tracingMiddleware("risk-analyzer")(req, res, () => {
+        traceparentInHandler = currentTraceparent();
+      });
+      res.emit("finish");
+
+      const [span] = exportSpy.mock.calls[0];
+      expect(req.traceId).toBe(traceId);
+      expect(res.headers.traceparent).toBe(traceparentInHandler);
+      expect(span).toEqual(
+        expect.objectContaining({
+          name: "POST /analyze-risk",
+          kind: "server",
+          service: "risk-analyzer",
+          parentSpanId: "00f067aa0ba902b7",
+        }),
+      );
+    });
+
+    it("should skip the given untraced paths", () => {
+      const req = createRequest("/api/traces/abc");
+      const next = jest.fn();
+
+      tracingMiddleware("risk-analyzer", { untracedPaths: ["/api/traces"] })(
+        req,
+        createResponse(),
+        next,
+      );
+
+      expect(next).toHaveBeenCalled();
+      expect(req.traceId).toBeUndefined();
+    });
+
+    it("should not trace health checks", () => {
+      const req = createRequest("/health");
+      const next = jest.fn();
+
+      tracingMiddleware("risk-analyzer")(req, createResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.traceId).toBeUndefined();
+    });
+  });
+
+  describe("setSpanRecorder", () => {
+    afterEach(() => {
+      setSpanRecorder(null);
+    });
+
+    it("should hand finished spans to the recorder instead of the exporter", async () => {
+      const exportSpy = jest.spyOn(exporter, "export");
+      const record = jest.fn();
+      setSpanRecorder(record);
+
+      await withSpan("recorded", {}, async () => {});
+
+      expect(record).toHaveBeenCalledWith([
+        expect.objectContaining({ name: "recorded", status: "ok" }),
+      ]);
+      expect(exportSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("exporter", () => {
+    it("should drop spans when no destination is configured", async () => {
+      await withSpan("untraced", {}, async () => {});
+
+      expect(exporter.pending).toHaveLength(0);
+    });
+
+    it("should append spans to TRACE_FILE", async () => {
+      const dir = mkdtempSync(path.join(tmpdir(), "traces-"));
+      process.env.TRACE_FILE = path.join(dir, "traces.jsonl");
+
+      try {
+        await withSpan("filed", {}, async () => {});
+        await exporter.flush();
+
+        const [line] = readFileSync(process.env.TRACE_FILE, "utf-8")
+          .trim()
+          .split("\n");
+        expect(JSON.parse(line)).toEqual(
+          expect.objectContaining({ name: "filed", status: "ok" }),
+        );
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("should POST OTLP JSON to the configured endpoint", async () => {
+      process.env.OTEL_EXPORTER_OTLP_ENDPOINT =
+        "http://orchestrator:3000/api/traces/";
+      const fetchSpy = jest
+        .spyOn(global, "fetch")
+        .mockResolvedValue({ ok: true });
+
+      await withSpan("exported", {}, async () => {});
+      await exporter.flush();
+
+      expect(fetchSpy).toHaveBeenCalledWith(
+        "http://orchestrator:3000/api/traces/v1/traces",
+        expect.objectContaining({ method: "POST" }),
+      );
+      const body = JSON.parse(fetchSpy.mock.calls[0][1].body);
+      expect(body.resourceSpans[0].scopeSpans[0].spans[0].name).toBe(
+        "exported",
+      );
+    });
+
+    it("should not throw when the export fails", async () => {
+      process.env.OTEL_EXPORTER_OTLP_ENDPOINT =
+        "http://orchestrator:3000/api/traces";
+      jest.spyOn(global, "fetch").mockRejectedValue(new Error("ECONNREFUSED"));
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      await withSpan("lost", {}, async () => {});
+      await expect(exporter.flush()).resolves.toBeUndefined();
+
+      expect(warnSpy).toHaveBeenCalledWith(
+        expect.stringContaining("ECONNREFUSED"),
+      );
+    });
+  });
+
+  describe("toOtlp", () => {
+    it("should group spans by service", () => {
+      const span = {
+        traceId,
+        spanId: "00f067aa0ba902b7",
+        parentSpanId: null,
+        name: "chat gpt-4o",
+        kind: "client",
+        service: "test-selector",
+        startTime: 1000,
+        endTime: 1200,
+        status: "ok",
+        attributes: { "gen_ai.usage.input_tokens": 10, skipped: null },
+      };
+
+      const { resourceSpans } = toOtlp([span]);
+
+      expect(resourceSpans).toHaveLength(1);
+      expect(resourceSpans[0].scopeSpans[0].spans[0]).toEqual(
+        expect.objectContaining({
+          kind: 3,
+          startTimeUnixNano: "1000000000",
+          attributes: [
+            { key: "gen_ai.usage.input_tokens", value: { intValue: 10 } },
+          ],
+          status: { code: 1 },
+        }),
+      );
+    });
+  });
+});
@@ -0,0 +1,316 @@
+/**
+ * Request Tracing for MCP Services
+ *
+ * W3C Trace Context (traceparent) propagation and span recording for the
+ * plain-JS MCPs, so one dashboard action can be followed from the
+ * orchestrator through every MCP and AI call it fans out to.
+ *
+ * Spans are exported to an OTLP/HTTP (JSON) endpoint - by default the
+ * orchestrator's collector at /api/traces, which serves the waterfall - or
+ * appended to a JSON lines file:
+ *
+ *   OTEL_EXPORTER_OTLP_ENDPOINT=http://orchestrator:3000/api/traces
+ *   TRACE_FILE=/app/data/traces.jsonl
+ *
+ * With neither set, trace context is still propagated but spans are dropped.
+ * Uses Node built-ins only, so any MCP can import it without installing
+ * mcps/shared dependencies. The orchestrator uses it too, recording its own
+ * spans straight into its trace store (setSpanRecorder).
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomBytes } from 'crypto';
+import { appendFile } from 'fs/promises';
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// OTLP SpanKind values
+const SPAN_KINDS = { internal: 1, server: 2, client: 3 };
+
+const EXPORT_BATCH_SIZE = 50;
+const EXPORT_INTERVAL_MS = 2000;
+
+const spanContext = new AsyncLocalStorage();
+
+/**
+ * Parse a traceparent header into { traceId, spanId, sampled }, or null
+ */
+export function parseTraceparent(header) {
+  const match = TRACEPARENT_PATTERN.exec((header || '').trim().toLowerCase());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) return null;
+  return { traceId: match[1], spanId: match[2], sampled: (parseInt(match[3], 16) & 1) === 1 };
+}
+
+export function formatTraceparent({ traceId, spanId, sampled = true }) {
+  return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+/**
+ * The active span of the current request, if any
+ */
+export function currentSpan() {
+  return spanContext.getStore();
+}
+
+/**
+ * traceparent header for outgoing calls from the current span
+ */
+export function currentTraceparent() {
+  const span = currentSpan();
+  return span ? formatTraceparent(span) : undefined;
+}
+
+class Span {
+  constructor(name, { kind = 'internal', attributes = {}, parent, service }) {
+    this.traceId = parent?.traceId || randomBytes(16).toString('hex');
+    this.spanId = randomBytes(8).toString('hex');
+    this.parentSpanId = parent?.spanId || null;
+    this.sampled = parent?.sampled ?? true;
+    this.name = name;
+    this.kind = kind;
+    this.service = service;
+    this.attributes = { ...attributes };
+    this.startTime = Date.now();
+    this.endTime = null;
+    this.status = 'ok';
+    this.error = null;
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  end(error) {
+    if (this.endTime) return;
+    this.endTime = Date.now();
+    if (error) {
+      this.status = 'error';
+      this.error = error.message || String(error);
+    }
+    if (!this.sampled) return;
+    if (spanRecorder) {
+      spanRecorder([this.toJSON()]);
+    } else {
+      exporter.export(this);
+    }
+  }
+
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      service: this.service,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      duration: this.endTime - this.startTime,
+      status: this.status,
+      error: this.error,
+      attributes: this.attributes
+    };
+  }
+}
+
+let serviceName = process.env.SERVICE_NAME || 'mcp-service';
+let spanRecorder = null;
+
+/**
+ * Name this service records on its spans
+ */
+export function getServiceName() {
+  return serviceName;
+}
+
+/**
+ * Set the name this service records on its spans (SERVICE_NAME wins)
+ */
+export function setServiceName(service) {
+  if (service && !process.env.SERVICE_NAME) {
+    serviceName = service;
+  }
+}
+
+/**
+ * Hand finished spans to `record` instead of the exporter
+ *
+ * @param {Function|null} record - (spans) => void, or null for the exporter
+ */
+export function setSpanRecorder(record) {
+  spanRecorder = record;
+}
+
+/**
+ * Start a span as a child of the current span (or of `parent`)
+ */
+export function startSpan(name, { kind, attributes, parent } = {}) {
+  return new Span(name, {
+    kind,
+    attributes,
+    parent: parent || currentSpan(),
+    service: serviceName
+  });
+}
+
+/**
+ * Run fn inside a new child span; the span ends when fn settles
+ *
+ * @param {Function} fn - async (span) => result
+ */
+export async function withSpan(name, options, fn) {
+  const span = startSpan(name, options);
+  try {
+    const result = await spanContext.run(span, () => fn(span));
+    span.end();
+    return result;
+  } catch (error) {
+    span.end(error);
+    throw error;
+  }
+}
+
+/**
+ * Express middleware: continue the caller's trace (traceparent header) or
+ * start one, and record the request as a server span. The trace ID is
+ * returned in X-Trace-Id.
+ *
+ * @param {string} service - Service name recorded on the spans
+ * @param {Object} [options]
+ * @param {string[]} [options.untracedPaths] - Path prefixes not worth a trace
+ */
+export function tracingMiddleware(service, { untracedPaths = ['/health'] } = {}) {
+  setServiceName(service);
+
+  return (req, res, next) => {
+    if (untracedPaths.some(path => req.path.startsWith(path))) return next();
+
+    const span = startSpan(`${req.method} ${req.path}`, {
+      kind: 'server',
+      parent: parseTraceparent(req.get('traceparent')),
+      attributes: { 'http.method': req.method, 'http.target': req.originalUrl }
+    });
+    req.traceId = span.traceId;
+    res.set('traceparent', formatTraceparent(span));
+    res.set('X-Trace-Id', span.traceId);
+
+    res.on('finish', () => {
+      if (req.route) {
+        span.name = `${req.method} ${req.baseUrl}${req.route.path}`;
+      }
+      span.setAttributes({ 'http.status_code': res.statusCode });
+      span.end(res.statusCode >= 500 ? new Error(`HTTP ${res.statusCode}`) : undefined);
+    });
+
+    spanContext.run(span, next);
+  };
+}
+
+function otlpValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: value };
+  if (typeof value === 'number') return { doubleValue: value };
+  return { stringValue: String(value) };
+}
+
+/**
+ * Spans as an OTLP/HTTP JSON ExportTraceServiceRequest
+ */
+export function toOtlp(spans) {
+  const byService = new Map();
+  for (const span of spans) {
+    if (!byService.has(span.service)) byService.set(span.service, []);
+    byService.get(span.service).push(span);
+  }
+
+  return {
+    resourceSpans: [...byService].map(([service, serviceSpans]) => ({
+      resource: { attributes: [{ key: 'service.name', value: { stringValue: service } }] },
+      scopeSpans: [{
+        scope: { name: 'qe-mcp-tracing' },
+        spans: serviceSpans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+          name: span.name,
+          kind: SPAN_KINDS[span.kind] || SPAN_KINDS.internal,
+          startTimeUnixNano: `${span.startTime}000000`,
+          endTimeUnixNano: `${span.endTime}000000`,
+          attributes: Object.entries(span.attributes)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => ({ key, value: otlpValue(value) })),
+          status: span.status === 'error'
+            ? { code: 2, message: span.error }
+            : { code: 1 }
+        }))
+      }]
+    }))
+  };
+}
+
+/**
+ * Batches finished spans and sends them to the configured destination
+ */
+class SpanExporter {
+  constructor() {
+    this.pending = [];
+    this.timer = null;
+  }
+
+  get endpoint() {
+    const base = process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+    return base ? `${base.replace(/\/$/, '')}/v1/traces` : null;
+  }
+
+  export(span) {
+    if (!this.endpoint && !process.env.TRACE_FILE) return;
+
+    this.pending.push(span.toJSON());
+    if (this.pending.length >= EXPORT_BATCH_SIZE) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), EXPORT_INTERVAL_MS);
+      this.timer.unref?.();
+    }
+  }
+
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const spans = this.pending.splice(0);
+    if (spans.length === 0) return;
+
+    try {
+      if (this.endpoint) {
+        await fetch(this.endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(toOtlp(spans))
+        });
+      }
+      if (process.env.TRACE_FILE) {
+        await appendFile(process.env.TRACE_FILE, spans.map(s => JSON.stringify(s)).join('\n') + '\n');
+      }
+    } catch (error) {
+      // Tracing must never break the service
+      console.warn(`[tracing] Could not export ${spans.length} spans: ${error.message}`);
+    }
+  }
+}
+
+export const exporter = new SpanExporter();
+
+export default {
+  tracingMiddleware,
+  setServiceName,
+  setSpanRecorder,
+  startSpan,
+  withSpan,
+  currentSpan,
+  currentTraceparent,
+  parseTraceparent,
+  formatTraceparent,
+  toOtlp,
+  exporter
+};
@@ -2,35 +2,58 @@
 
 /**
  * .NET Unit Test Generator STDIO MCP
- * Generates xUnit/NUnit/MSTest unit tests for .NET code using Claude AI
+ * Generates xUnit/NUnit/MSTest unit tests for .NET code, and API integration
+ * tests with `testType: "integration"`, through the shared AI client, so the
+ * app's provider policy (allowedProviders) applies
  */
 
-const Anthropic = require("@anthropic-ai/sdk");
+const {
+  isWorkerMode,
+  serveStdioWorker,
+} = require("../../shared/stdioWorker.cjs");
 
-// Read input from stdin
-let inputData = "";
+const USAGE_SOURCE = "dotnet-unit-test-generator";
 
-process.stdin.on("data", (chunk) => {
-  inputData += chunk.toString();
-});
+if (isWorkerMode()) {
+  // Long-lived worker for the orchestrator's pool: one JSON-RPC request per line
+  serveStdioWorker({
+    run: async (input) => ({
+      success: true,
+      result: await generateTests(input.data),
+    }),
+  });
+} else {
+  // Read input from stdin
+  let inputData = "";
 
-process.stdin.on("end", async () => {
-  try {
-    const input = JSON.parse(inputData);
-    const result = await generateUnitTests(input.data);
-
-    process.stdout.write(
-      JSON.stringify({
-        success: true,
-        result,
-      }),
-    );
-    process.exit(0);
-  } catch (error) {
-    process.stderr.write(`Error: ${error.message}\n${error.stack}\n`);
-    process.exit(1);
-  }
-});
+  process.stdin.on("data", (chunk) => {
+    inputData += chunk.toString();
+  });
+
+  process.stdin.on("end", async () => {
+    try {
+      const input = JSON.parse(inputData);
+      const result = await generateTests(input.data);
+
+      process.stdout.write(
+        JSON.stringify({
+          success: true,
+          result,
+        }),
+      );
+      process.exit(0);
+    } catch (error) {
+      process.stderr.write(`Error: ${error.message}\n${error.stack}\n`);
+      process.exit(1);
+    }
+  });
+}
+
+async function generateTests(data = {}) {
+  return data.testType === "integration"
+    ? generateIntegrationTests(data)
+    : generateUnitTests(data);
+}
 
 async function generateUnitTests(data) {
   const {
@@ -41,21 +64,9 @@ async function generateUnitTests(data) {
     includeMocks = true,
     onlyNegativeTests = false,
     testFramework = "xUnit",
-    model = "claude-3-5-sonnet-20241022",
+    model,
   } = data;
 
-  // Check API key
-  if (!process.env.ANTHROPIC_API_KEY) {
-    throw new Error("ANTHROPIC_API_KEY environment variable is not set");
-  }
-
-  // Initialize Anthropic client
-  const anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY,
-    maxRetries: 2,
-    timeout: 60000,
-  });
-
   // Build prompt
   const testType = onlyNegativeTests
     ? "negative/error scenario"
@@ -91,26 +102,8 @@ Generate the complete test file. Include:
 
 Return ONLY the complete C# test file code, no explanations or markdown.`;
 
-  // Call Claude API
-  let response;
-  try {
-    response = await anthropic.messages.create({
-      model: model,
-      max_tokens: 4096,
-      messages: [
-        {
-          role: "user",
-          content: prompt,
-        },
-      ],
-    });
-  } catch (apiError) {
-    throw new Error(
-      `Anthropic API error: ${apiError.message}\nStatus: ${apiError.status}\nDetails: ${JSON.stringify(apiError)}`,
-    );
-  }
-
-  const testCode = response.content[0].text;
+  const response = await complete({ app, model, prompt });
+  const testCode = response.text;
 
   return {
     className,
@@ -121,8 +114,80 @@ Return ONLY the complete C# test file code, no explanations or markdown.`;
       includeNegativeTests,
       includeMocks,
       onlyNegativeTests,
-      model,
-      tokensUsed: response.usage.input_tokens + response.usage.output_tokens,
+      model: response.model,
+      tokensUsed: response.usage.totalTokens,
+    },
+  };
+}
+
+async function generateIntegrationTests(data) {
+  const {
+    app,
+    apiEndpoint,
+    scenario = `Integration tests for ${apiEndpoint}`,
+    includeAuth = true,
+    includeDatabase = true,
+    testFramework = "xUnit",
+    model,
+  } = data;
+
+  const authInfo = includeAuth
+    ? "\n- Cover authenticated and unauthenticated requests"
+    : "";
+  const databaseInfo = includeDatabase
+    ? "\n- Use a test database that is seeded and reset for each test"
+    : "\n- Replace the database with in-memory fakes";
+
+  const prompt = `You are a senior .NET test engineer. Generate integration tests for the ${apiEndpoint} API endpoint using ${testFramework} and WebApplicationFactory.
+
+**Scenario:** ${scenario}
+
+**Requirements:**
+- Generate complete, production-ready test class
+- Send real HTTP requests through the client from WebApplicationFactory<Program>
+- Assert on status codes and response bodies
+- Cover success, validation failure and not found responses${authInfo}${databaseInfo}
+- Use clear, descriptive test method names
+- Ensure tests are isolated and independent
+
+Return ONLY the complete C# test file code, no explanations or markdown.`;
+
+  const response = await complete({ app, model, prompt });
+  const testCode = response.text;
+
+  return {
+    apiEndpoint,
+    testFramework,
+    testCode,
+    completeTestFile: testCode,
+    metadata: {
+      scenario,
+      includeAuth,
+      includeDatabase,
+      model: response.model,
+      tokensUsed: response.usage.totalTokens,
     },
   };
 }
+
+/**
+ * Ask the shared AI client, which picks the model the app may use, checks
+ * the budget and meters the call (ES modules)
+ */
+async function complete({ app, model, prompt }) {
+  const { generateCompletion } = await import("../../shared/aiClient.js");
+  const { usageMeter } = await import("../../shared/aiUsage.js");
+
+  try {
+    return await generateCompletion({
+      model,
+      messages: [{ role: "user", content: prompt }],
+      maxTokens: 4096,
+      source: USAGE_SOURCE,
+      app,
+    });
+  } finally {
+    // Sent now: a one-shot process exits as soon as the result is written
+    await usageMeter.flush();
+  }
+}
@@ -316,4 +316,100 @@ describe(".NET Unit Test Generator STDIO MCP", () => {
       expect([0, 1]).toContain(result.code);
     });
   });
+
+  describe("Worker mode", () => {
+    const workers = [];
+
+    // Stopped here too, so a failed assertion doesn't leave a worker running
+    afterEach(() => {
+      for (const child of workers.splice(0)) {
+        if (child.exitCode === null && child.signalCode === null) {
+          child.kill();
+        }
+      }
+    });
+
+    /**
+     * Start a long-lived worker and collect its JSON-RPC responses by id
+     */
+    function startWorker(env = {}) {
+      const child = spawn("node", [indexPath, "--worker"], {
+        env: { ...process.env, ...env },
+      });
+      workers.push(child);
+      const responses = [];
+      let buffered = "";
+
+      child.stdout.on("data", (data) => {
+        buffered += data.toString();
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+        responses.push(...lines.map((line) => JSON.parse(line)));
+      });
+
+      const waitFor = (count) =>
+        new Promise((resolve) => {
+          const check = () =>
+            responses.length >= count
+              ? resolve(responses)
+              : setTimeout(check, 20);
+          check();
+        });
+
+      return { child, waitFor };
+    }
+
+    it("should answer several requests without exiting", async () => {
+      const { child, waitFor } = startWorker({ ANTHROPIC_API_KEY: "" });
+      const request = (id) =>
+        JSON.stringify({
+          jsonrpc: "2.0",
+          id,
+          method: "run",
+          params: { data: { className: "UserService", sourceCode: "" } },
+        }) + "\n";
+
+      child.stdin.write(request(1));
+      child.stdin.write(request(2));
+      const responses = await waitFor(2);
+
+      expect(responses.map((r) => r.id).sort()).toEqual([1, 2]);
+      expect(responses[0].error.message).toContain("ANTHROPIC_API_KEY");
+      expect(child.exitCode).toBeNull();
+    });
+
+    it("should return JSON-RPC errors for bad lines and unknown methods", async () => {
+      const { child, waitFor } = startWorker();
+
+      child.stdin.write("not json\n");
+      child.stdin.write(
+        JSON.stringify({ jsonrpc: "2.0", id: 3, method: "unknown" }) + "\n",
+      );
+      const [parseError, unknownMethod] = await waitFor(2);
+
+      expect(parseError).toEqual(
+        expect.objectContaining({
+          id: null,
+          error: expect.objectContaining({ code: -32700 }),
+        }),
+      );
+      expect(unknownMethod).toEqual(
+        expect.objectContaining({
+          id: 3,
+          error: expect.objectContaining({ code: -32601 }),
+        }),
+      );
+    });
+
+    it("should exit when stdin closes", (done) => {
+      const { child } = startWorker();
+
+      child.on("close", (code) => {
+        expect(code).toBe(0);
+        done();
+      });
+
+      child.stdin.end();
+    });
+  });
 });
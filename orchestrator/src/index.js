@@ -17,9 +17,31 @@ import infrastructureRouter from "./routes/infrastructure.js";
 import docsRouter from "./routes/docs.js";
 import proxyRouter from "./routes/proxy.js";
 import aiRouter from "./routes/ai.js";
+import mcpProtocolRouter, { handleParseError } from "./routes/mcpProtocol.js";
+import jobsRouter from "./routes/jobs.js";
+import tracesRouter from "./routes/traces.js";
+import workflowsRouter from "./routes/workflows.js";
 import { logger } from "./utils/logger.js";
 import { MCPManager } from "./services/mcpManager.js";
 import { fileWatcher } from "./services/fileWatcher.js";
+import { riskHistory } from "./services/riskHistory.js";
+import { coverageHistory } from "./services/coverageHistory.js";
+import { infrastructureGenerator } from "./services/infrastructureGenerator.js";
+import { MCPServer } from "./services/mcpServer.js";
+import {
+  JobQueue,
+  createLoopbackRunner,
+  jobContextMiddleware,
+} from "./services/jobQueue.js";
+import { traceStore, tracingMiddleware } from "./services/tracing.js";
+import { WorkflowEngine } from "./services/workflowEngine.js";
+import { AnalysisCache } from "./services/analysisCache.js";
+import { aiUsage, aiUsageContext } from "./services/aiUsage.js";
+import {
+  createRouteCaller,
+  createRouteToolRegistry,
+} from "./utils/mcpToolRegistry.js";
+import { orchestratorApiSpec } from "./swagger/orchestrator-api-spec.js";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -43,6 +65,27 @@ const PORT = process.env.PORT || 3000;
 // Initialize MCP Manager
 const mcpManager = new MCPManager();
 
+// Model Context Protocol server; its tools call this orchestrator's routes
+const callRoute = createRouteCaller(`http://127.0.0.1:${PORT}`);
+const mcpServer = new MCPServer({
+  tools: createRouteToolRegistry(orchestratorApiSpec, callRoute),
+  callRoute,
+});
+
+// Background jobs replay workflow routes against this orchestrator
+const jobQueue = new JobQueue({
+  runner: createLoopbackRunner(`http://127.0.0.1:${PORT}`),
+});
+
+// Declarative workflows chaining MCP calls (config/workflows)
+const workflowEngine = new WorkflowEngine({ mcpManager, callRoute });
+
+// Dashboard analyses, re-analyzed incrementally from file watcher batches
+const analysisCache = new AnalysisCache({ mcpManager }).attach(fileWatcher);
+analysisCache.on("update", (update) =>
+  io.to("analysis").emit("analysis:updated", update),
+);
+
 // Middleware
 // Determine if we're in development mode
 const isDevelopment = process.env.NODE_ENV !== "production";
@@ -69,7 +112,9 @@ app.use(
     },
   }),
 );
-app.use(cors());
+// Let dashboards read the trace ID to link to /api/traces/:id
+app.use(cors({ exposedHeaders: ["X-Trace-Id", "traceparent"] }));
+app.use(tracingMiddleware());
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 app.use(
@@ -78,13 +123,29 @@ app.use(
   }),
 );
 
-// Make io and mcpManager available to routes
+// Make io, mcpManager and the history stores available to routes
 app.use((req, res, next) => {
   req.io = io;
   req.mcpManager = mcpManager;
+  req.riskHistory = riskHistory;
+  req.coverageHistory = coverageHistory;
+  req.mcpServer = mcpServer;
+  req.jobQueue = jobQueue;
+  req.traceStore = traceStore;
+  req.workflowEngine = workflowEngine;
+  req.analysisCache = analysisCache;
+  req.fileWatcher = fileWatcher;
+  req.aiUsage = aiUsage;
+  req.infrastructureGenerator = infrastructureGenerator;
   next();
 });
 
+// Bill AI calls to the route of the request making them
+app.use(aiUsageContext());
+
+// Run requests replayed by background jobs inside their job
+app.use(jobContextMiddleware(jobQueue));
+
 // Routes
 app.use("/api/mcp", mcpRouter);
 app.use("/api/analysis", analysisRouter);
@@ -96,7 +157,11 @@ app.use("/api/playwright", playwrightRouter);
 app.use("/api/infrastructure", infrastructureRouter);
 app.use("/api/proxy", proxyRouter);
 app.use("/api/ai", aiRouter);
+app.use("/api/jobs", jobsRouter);
+app.use("/api/traces", tracesRouter);
+app.use("/api/workflows", workflowsRouter);
 app.use("/docs", docsRouter);
+app.use("/mcp", mcpProtocolRouter);
 
 // Aggregated Swagger UI
 app.use("/api-docs", swaggerUi.serve, async (req, res, next) => {
@@ -490,6 +555,7 @@ io.on("connection", (socket) => {
 });
 
 // Error handling
+app.use("/mcp", handleParseError);
 app.use((err, req, res, _next) => {
   logger.error("Error:", err);
   res.status(err.status || 500).json({
@@ -517,9 +583,15 @@ async function start() {
     // Initialize all MCPs
     await mcpManager.initialize();
 
+    // Restore persisted jobs (JOB_PERSISTENCE=true)
+    await jobQueue.load();
+
+    // Load workflow definitions
+    workflowEngine.load();
+
     // Start file watcher for repository monitoring
     fileWatcher.start();
-    logger.info("📁 File system watcher started for repository monitoring");
+    logger.info("📁 File system watcher started for configured applications");
 
     httpServer.listen(PORT, () => {
       logger.info(`🚀 Orchestrator running on port ${PORT}`);
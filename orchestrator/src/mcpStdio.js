@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * MCP stdio server
+ * Runs the orchestrator's Model Context Protocol server over stdio for AI IDE
+ * agents that start MCP servers as subprocesses. Tools call a running
+ * orchestrator over HTTP (ORCHESTRATOR_URL, default http://localhost:3000).
+ *
+ * stdout carries only protocol messages, so console logging goes to stderr.
+ */
+
+import dotenv from "dotenv";
+import winston from "winston";
+import { logger } from "./utils/logger.js";
+import { MCPServer, serveStdio } from "./services/mcpServer.js";
+import {
+  createRouteCaller,
+  createRouteToolRegistry,
+} from "./utils/mcpToolRegistry.js";
+import { orchestratorApiSpec } from "./swagger/orchestrator-api-spec.js";
+
+dotenv.config({ path: "../config/.env" });
+
+logger.transports
+  .filter((transport) => transport instanceof winston.transports.Console)
+  .forEach((transport) => logger.remove(transport));
+logger.add(
+  new winston.transports.Console({
+    stderrLevels: Object.keys(logger.levels),
+    format: winston.format.simple(),
+  }),
+);
+
+const orchestratorUrl = process.env.ORCHESTRATOR_URL || "http://localhost:3000";
+const callRoute = createRouteCaller(orchestratorUrl);
+const server = new MCPServer({
+  tools: createRouteToolRegistry(orchestratorApiSpec, callRoute),
+  callRoute,
+});
+
+logger.info(`MCP stdio server started (orchestrator: ${orchestratorUrl})`);
+
+serveStdio(server, process.stdin, process.stdout)
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error("MCP stdio server failed:", error);
+    process.exit(1);
+  });
@@ -1,6 +1,12 @@
 import express from "express";
 import { logger } from "../utils/logger.js";
-import { callClaude } from "../utils/aiHelper.js";
+import {
+  callClaude,
+  callClaudeWithMetadata,
+  oldestCachedAt,
+} from "../utils/aiHelper.js";
+import { getStoryDefects } from "../utils/storyDefects.js";
+import { runAsJob } from "../services/jobQueue.js";
 
 const router = express.Router();
 
@@ -104,9 +110,16 @@ router.get("/work-item/:id", async (req, res) => {
 });
 
 // Analyze requirements using AI (Claude)
+// Unchanged stories are answered from the AI response cache; results carry the
+// cachedAt of their oldest cached answer and `noCache: true` re-runs the AI
 router.post("/analyze-requirements", async (req, res) => {
   try {
-    const { storyIds, includeGapAnalysis = true, model } = req.body;
+    const {
+      storyIds,
+      includeGapAnalysis = true,
+      model,
+      noCache = false,
+    } = req.body;
 
     logger.info(
       `Analyzing requirements for ${storyIds?.length || 0} stories with AI`,
@@ -217,7 +230,8 @@ Please analyze this story and provide a structured requirements analysis in JSON
 Return ONLY the JSON object, no markdown formatting.`;
 
           // Call Claude AI
-          const aiResponse = await callClaude(prompt, model, 3000);
+          const { text: aiResponse, cachedAt: aiCachedAt } =
+            await callClaudeWithMetadata(prompt, model, 3000, { noCache });
 
           // Parse AI response
           let requirementsAnalysis;
@@ -260,6 +274,7 @@ Return ONLY the JSON object, no markdown formatting.`;
                   state: story.fields["System.State"],
                   priority: story.fields["Microsoft.VSTS.Common.Priority"],
                 },
+                noCache,
               },
             );
             riskAnalysis = riskResponse.result?.risk || riskAnalysis;
@@ -286,6 +301,7 @@ Return ONLY the JSON object, no markdown formatting.`;
               riskScore: riskAnalysis.score || 50,
               recommendations: riskAnalysis.recommendations || [],
             },
+            cachedAt: oldestCachedAt([aiCachedAt, riskAnalysis.cachedAt]),
           };
         } catch (error) {
           logger.error(`Error analyzing story ${story.id}:`, error);
@@ -305,6 +321,7 @@ Return ONLY the JSON object, no markdown formatting.`;
       timestamp: new Date().toISOString(),
       count: analysisResults.length,
       results: analysisResults,
+      cachedAt: oldestCachedAt(analysisResults.map((r) => r.cachedAt)),
       summary: {
         analyzed: analysisResults.filter((r) => r.requirementsAnalysis).length,
         failed: analysisResults.filter((r) => r.error).length,
@@ -332,105 +349,109 @@ Return ONLY the JSON object, no markdown formatting.`;
  *   updateADO?: boolean,
  *   model?: string
  * }
+ *
+ * With ?async=true it runs as a background job (see /api/jobs)
  */
-router.post("/generate-test-cases", async (req, res) => {
-  try {
-    const {
-      storyId,
-      story,
-      parsedAcceptanceCriteria,
-      riskAnalysis,
-      integrationAnalysis,
-      blastRadiusAnalysis,
-      options = {},
-      updateADO = false,
-      includeNegativeTests = options.includeNegative ?? true,
-      includeEdgeCases = options.includeEdgeCases ?? true,
-      includeIntegration = options.includeIntegration ?? true,
-      includePRContext = true, // Phase 2: Fetch PR files for enhanced test generation
-      model,
-    } = req.body;
-
-    if (!storyId) {
-      return res.status(400).json({
-        error: "Story ID is required",
-        message: "Please provide a storyId in the request body",
-      });
-    }
-
-    logger.info(`Generating MANUAL test cases for story ${storyId}`);
-
-    // Use provided story data or fetch from ADO
-    let storyData = story;
-    if (!storyData) {
-      const storiesResponse = await req.mcpManager.callDockerMcp(
-        "azureDevOps",
-        "/work-items/get",
-        { ids: [parseInt(storyId)] },
-      );
-
-      const stories = storiesResponse?.data || [];
-      if (!stories || stories.length === 0) {
-        return res.status(404).json({
-          error: "Story not found",
-          message: `Work item ${storyId} not found in Azure DevOps`,
+router.post(
+  "/generate-test-cases",
+  runAsJob("ado.generate-test-cases"),
+  async (req, res) => {
+    try {
+      const {
+        storyId,
+        story,
+        parsedAcceptanceCriteria,
+        riskAnalysis,
+        integrationAnalysis,
+        blastRadiusAnalysis,
+        options = {},
+        updateADO = false,
+        includeNegativeTests = options.includeNegative ?? true,
+        includeEdgeCases = options.includeEdgeCases ?? true,
+        includeIntegration = options.includeIntegration ?? true,
+        includePRContext = true, // Phase 2: Fetch PR files for enhanced test generation
+        model,
+      } = req.body;
+
+      if (!storyId) {
+        return res.status(400).json({
+          error: "Story ID is required",
+          message: "Please provide a storyId in the request body",
         });
       }
-      storyData = {
-        id: stories[0].id,
-        title: stories[0].fields["System.Title"],
-        description: stories[0].fields["System.Description"] || "",
-        acceptanceCriteria:
-          stories[0].fields["Microsoft.VSTS.Common.AcceptanceCriteria"] || "",
-      };
-    }
 
-    const title = storyData.title;
-    const cleanDescription = (storyData.description || "")
-      .replace(/<[^>]*>/g, "")
-      .trim();
-    const cleanCriteria = (storyData.acceptanceCriteria || "")
-      .replace(/<[^>]*>/g, "")
-      .trim();
-
-    // Build QE Risk Methodology context if risk analysis is provided
-    let qeRiskContext = "";
-    let acRiskMapping = {};
-    let prioritizedACs = []; // ACs sorted by risk (Critical first)
-
-    if (riskAnalysis) {
-      const riskLevel = riskAnalysis.level || "medium";
-      const riskScore = riskAnalysis.score || 50;
-      const riskFactors = riskAnalysis.factors || {};
-
-      // Use the actual AC risk mapping from risk analysis if available
-      if (
-        riskAnalysis.acRiskMapping &&
-        Array.isArray(riskAnalysis.acRiskMapping)
-      ) {
-        riskAnalysis.acRiskMapping.forEach((ac) => {
-          acRiskMapping[ac.ac] = ac.riskLevel || "medium";
-        });
-        // Sort ACs by risk level (critical > high > medium > low)
-        const riskOrder = { critical: 0, high: 1, medium: 2, low: 3 };
-        prioritizedACs = [...riskAnalysis.acRiskMapping].sort(
-          (a, b) =>
-            (riskOrder[a.riskLevel] || 2) - (riskOrder[b.riskLevel] || 2),
-        );
-      }
+      logger.info(`Generating MANUAL test cases for story ${storyId}`);
 
-      // Use testing priority order if available
-      if (riskAnalysis.formattedOutput?.testingPriority?.order) {
-        prioritizedACs = riskAnalysis.formattedOutput.testingPriority.order.map(
-          (item) => ({
-            ac: item.ac,
-            riskLevel: item.riskLevel,
-            reason: item.reason,
-          }),
+      // Use provided story data or fetch from ADO
+      let storyData = story;
+      if (!storyData) {
+        const storiesResponse = await req.mcpManager.callDockerMcp(
+          "azureDevOps",
+          "/work-items/get",
+          { ids: [parseInt(storyId)] },
         );
+
+        const stories = storiesResponse?.data || [];
+        if (!stories || stories.length === 0) {
+          return res.status(404).json({
+            error: "Story not found",
+            message: `Work item ${storyId} not found in Azure DevOps`,
+          });
+        }
+        storyData = {
+          id: stories[0].id,
+          title: stories[0].fields["System.Title"],
+          description: stories[0].fields["System.Description"] || "",
+          acceptanceCriteria:
+            stories[0].fields["Microsoft.VSTS.Common.AcceptanceCriteria"] || "",
+        };
       }
 
-      qeRiskContext = `
+      const title = storyData.title;
+      const cleanDescription = (storyData.description || "")
+        .replace(/<[^>]*>/g, "")
+        .trim();
+      const cleanCriteria = (storyData.acceptanceCriteria || "")
+        .replace(/<[^>]*>/g, "")
+        .trim();
+
+      // Build QE Risk Methodology context if risk analysis is provided
+      let qeRiskContext = "";
+      let acRiskMapping = {};
+      let prioritizedACs = []; // ACs sorted by risk (Critical first)
+
+      if (riskAnalysis) {
+        const riskLevel = riskAnalysis.level || "medium";
+        const riskScore = riskAnalysis.score || 50;
+        const riskFactors = riskAnalysis.factors || {};
+
+        // Use the actual AC risk mapping from risk analysis if available
+        if (
+          riskAnalysis.acRiskMapping &&
+          Array.isArray(riskAnalysis.acRiskMapping)
+        ) {
+          riskAnalysis.acRiskMapping.forEach((ac) => {
+            acRiskMapping[ac.ac] = ac.riskLevel || "medium";
+          });
+          // Sort ACs by risk level (critical > high > medium > low)
+          const riskOrder = { critical: 0, high: 1, medium: 2, low: 3 };
+          prioritizedACs = [...riskAnalysis.acRiskMapping].sort(
+            (a, b) =>
+              (riskOrder[a.riskLevel] || 2) - (riskOrder[b.riskLevel] || 2),
+          );
+        }
+
+        // Use testing priority order if available
+        if (riskAnalysis.formattedOutput?.testingPriority?.order) {
+          prioritizedACs =
+            riskAnalysis.formattedOutput.testingPriority.order.map((item) => ({
+              ac: item.ac,
+              riskLevel: item.riskLevel,
+              reason: item.reason,
+            }));
+        }
+
+        qeRiskContext = `
 ## QE Risk Analysis Context
 Overall Risk Level: ${riskLevel.toUpperCase()} (Score: ${riskScore}/100)
 Key Risk Factors:
@@ -446,79 +467,79 @@ ${
       ? "- Generate COMPREHENSIVE tests: happy paths, key negative scenarios, important edge cases"
       : "- Generate STANDARD tests: primary happy path, obvious negative cases"
 }`;
-    }
+      }
 
-    // Build AC-specific context if parsed ACs are provided
-    let acContext = "";
-    if (parsedAcceptanceCriteria && parsedAcceptanceCriteria.length > 0) {
-      // If we don't have risk analysis AC mapping, do keyword-based analysis
-      if (Object.keys(acRiskMapping).length === 0) {
-        parsedAcceptanceCriteria.forEach((ac) => {
-          const acText = ac.text.toLowerCase();
-          let acRisk = "medium";
-
-          if (
-            acText.includes("payment") ||
-            acText.includes("billing") ||
-            acText.includes("financial")
-          ) {
-            acRisk = "critical";
-          } else if (
-            acText.includes("epic") ||
-            acText.includes("ehr") ||
-            acText.includes("patient")
-          ) {
-            acRisk = "critical";
-          } else if (
-            acText.includes("security") ||
-            acText.includes("authentication") ||
-            acText.includes("authorization")
-          ) {
-            acRisk = "high";
-          } else if (
-            acText.includes("api") ||
-            acText.includes("integration") ||
-            acText.includes("external")
-          ) {
-            acRisk = "high";
-          } else if (acText.includes("database") || acText.includes("data")) {
-            acRisk = "high";
-          }
+      // Build AC-specific context if parsed ACs are provided
+      let acContext = "";
+      if (parsedAcceptanceCriteria && parsedAcceptanceCriteria.length > 0) {
+        // If we don't have risk analysis AC mapping, do keyword-based analysis
+        if (Object.keys(acRiskMapping).length === 0) {
+          parsedAcceptanceCriteria.forEach((ac) => {
+            const acText = ac.text.toLowerCase();
+            let acRisk = "medium";
+
+            if (
+              acText.includes("payment") ||
+              acText.includes("billing") ||
+              acText.includes("financial")
+            ) {
+              acRisk = "critical";
+            } else if (
+              acText.includes("epic") ||
+              acText.includes("ehr") ||
+              acText.includes("patient")
+            ) {
+              acRisk = "critical";
+            } else if (
+              acText.includes("security") ||
+              acText.includes("authentication") ||
+              acText.includes("authorization")
+            ) {
+              acRisk = "high";
+            } else if (
+              acText.includes("api") ||
+              acText.includes("integration") ||
+              acText.includes("external")
+            ) {
+              acRisk = "high";
+            } else if (acText.includes("database") || acText.includes("data")) {
+              acRisk = "high";
+            }
 
-          acRiskMapping[ac.id] = acRisk;
-        });
+            acRiskMapping[ac.id] = acRisk;
+          });
 
-        // Build prioritizedACs from keyword analysis
-        const riskOrder = { critical: 0, high: 1, medium: 2, low: 3 };
-        prioritizedACs = parsedAcceptanceCriteria
-          .map((ac) => ({
-            ac: ac.id,
-            text: ac.text,
-            riskLevel: acRiskMapping[ac.id] || "medium",
-          }))
-          .sort(
-            (a, b) =>
-              (riskOrder[a.riskLevel] || 2) - (riskOrder[b.riskLevel] || 2),
-          );
-      } else {
-        // Merge text from parsedAcceptanceCriteria into prioritizedACs
-        prioritizedACs = prioritizedACs.map((pAc) => {
-          const matchedAc = parsedAcceptanceCriteria.find(
-            (ac) => ac.id === pAc.ac,
-          );
-          return { ...pAc, text: matchedAc?.text || "" };
-        });
-      }
+          // Build prioritizedACs from keyword analysis
+          const riskOrder = { critical: 0, high: 1, medium: 2, low: 3 };
+          prioritizedACs = parsedAcceptanceCriteria
+            .map((ac) => ({
+              ac: ac.id,
+              text: ac.text,
+              riskLevel: acRiskMapping[ac.id] || "medium",
+            }))
+            .sort(
+              (a, b) =>
+                (riskOrder[a.riskLevel] || 2) - (riskOrder[b.riskLevel] || 2),
+            );
+        } else {
+          // Merge text from parsedAcceptanceCriteria into prioritizedACs
+          prioritizedACs = prioritizedACs.map((pAc) => {
+            const matchedAc = parsedAcceptanceCriteria.find(
+              (ac) => ac.id === pAc.ac,
+            );
+            return { ...pAc, text: matchedAc?.text || "" };
+          });
+        }
 
-      // Check if we have hierarchical ACs (with steps)
-      const hasHierarchicalACs = parsedAcceptanceCriteria.some(
-        (ac) => ac.steps && ac.steps.length > 0,
-      );
+        // Check if we have hierarchical ACs (with steps)
+        const hasHierarchicalACs = parsedAcceptanceCriteria.some(
+          (ac) => ac.steps && ac.steps.length > 0,
+        );
 
-      // Build AC list in RISK PRIORITY ORDER (Critical first)
-      if (hasHierarchicalACs) {
-        // Use hierarchical format for smarter test generation
-        acContext = `
+        // Build AC list in RISK PRIORITY ORDER (Critical first)
+        if (hasHierarchicalACs) {
+          // Use hierarchical format for smarter test generation
+          acContext = `
 ## Acceptance Criteria - HIERARCHICAL STRUCTURE (Generate tests using steps as test steps):
 
 ${prioritizedACs
@@ -549,9 +570,9 @@ HIERARCHICAL TEST GENERATION INSTRUCTIONS:
 - Use this naming convention: TC{nn} PBI-${storyId} AC{originalAcNumber}: [{type}] {test description}
 
 Types: positive (happy path), negative (error scenarios), edge (boundary cases), integration (API/external system tests)`;
-      } else {
-        // Fallback to flat format
-        acContext = `
+        } else {
+          // Fallback to flat format
+          acContext = `
 ## Acceptance Criteria - LISTED IN RISK PRIORITY ORDER (Generate tests in this order):
 ${prioritizedACs.map((ac, idx) => `${idx + 1}. [${ac.riskLevel.toUpperCase()}] ${ac.ac}: ${ac.text}`).join("\n")}
 
@@ -563,39 +584,39 @@ CRITICAL INSTRUCTION - TEST GENERATION ORDER:
 - The AC number in the name should match the ORIGINAL AC number (AC1, AC2, etc.), not the priority order
 
 Types: positive, negative, edge, integration`;
-      }
+        }
 
-      acContext += `
+        acContext += `
 
 AC Risk Summary:
 ${prioritizedACs.map((ac) => `- ${ac.ac}: ${ac.riskLevel.toUpperCase()} risk`).join("\n")}`;
-    }
+      }
 
-    // Add integration context if available
-    let integrationContext = "";
-    if (integrationAnalysis && integrationAnalysis.result) {
-      const integrations = integrationAnalysis.result.integrations || [];
-      if (integrations.length > 0) {
-        integrationContext = `
+      // Add integration context if available
+      let integrationContext = "";
+      if (integrationAnalysis && integrationAnalysis.result) {
+        const integrations = integrationAnalysis.result.integrations || [];
+        if (integrations.length > 0) {
+          integrationContext = `
 ## Integration Points to Test:
 ${integrations
   .slice(0, 10)
   .map((i) => `- ${i.type}: ${i.name || i.file || "Unknown"}`)
   .join("\n")}`;
+        }
       }
-    }
 
-    // Add blast radius context if available
-    let blastRadiusContext = "";
-    if (blastRadiusAnalysis && blastRadiusAnalysis.result) {
-      const blast = blastRadiusAnalysis.result;
-      const affectedFiles =
-        blast.affectedFiles || blast.impact?.affectedComponents || [];
-      const affectedTests =
-        blast.affectedTests || blast.impact?.affectedTests || [];
-
-      if (affectedFiles.length > 0 || affectedTests.length > 0) {
-        blastRadiusContext = `
+      // Add blast radius context if available
+      let blastRadiusContext = "";
+      if (blastRadiusAnalysis && blastRadiusAnalysis.result) {
+        const blast = blastRadiusAnalysis.result;
+        const affectedFiles =
+          blast.affectedFiles || blast.impact?.affectedComponents || [];
+        const affectedTests =
+          blast.affectedTests || blast.impact?.affectedTests || [];
+
+        if (affectedFiles.length > 0 || affectedTests.length > 0) {
+          blastRadiusContext = `
 ## Blast Radius Analysis - Areas Requiring Extra Testing:
 ${blast.risk ? `Risk Level: ${blast.risk.level?.toUpperCase()} (Score: ${blast.risk.score}/100)` : ""}
 ${
@@ -628,63 +649,63 @@ ${blast.recommendations
   .join("\n")}`
     : ""
 }`;
+        }
       }
-    }
 
-    // Phase 2: Fetch PR files for enhanced test generation context
-    let prContext = "";
-    let prFiles = [];
-    let pullRequests = [];
+      // Phase 2: Fetch PR files for enhanced test generation context
+      let prContext = "";
+      let prFiles = [];
+      let pullRequests = [];
 
-    if (includePRContext) {
-      try {
-        logger.info(`Fetching PR files for story ${storyId}`);
-        const prFilesResponse = await req.mcpManager.callDockerMcp(
-          "azureDevOps",
-          `/work-items/${storyId}/files-changed`,
-          {},
-          "GET",
-        );
+      if (includePRContext) {
+        try {
+          logger.info(`Fetching PR files for story ${storyId}`);
+          const prFilesResponse = await req.mcpManager.callDockerMcp(
+            "azureDevOps",
+            `/work-items/${storyId}/files-changed`,
+            {},
+            "GET",
+          );
 
-        const prData = prFilesResponse?.data || {};
-        prFiles = prData.files || [];
-        pullRequests = prData.pullRequests || [];
-
-        if (prFiles.length > 0) {
-          // Group files by type for better context
-          const filesByType = prFiles.reduce((acc, file) => {
-            const ext = file.split(".").pop()?.toLowerCase() || "other";
-            if (!acc[ext]) acc[ext] = [];
-            acc[ext].push(file);
-            return acc;
-          }, {});
-
-          // Identify components being changed for component-based testing
-          const componentPatterns = {
-            Redis: /redis|cache|session/i,
-            Hangfire: /hangfire|job|batch|queue/i,
-            Payment: /payment|fiserv|ach|credit/i,
-            Portal: /portal|carelink|provider|member/i,
-            API: /api|client|proxy|service/i,
-            Database: /repository|entity|migration|sql/i,
-            Integration: /marketing|transunion|revspring|nice|satmetrix/i,
-          };
+          const prData = prFilesResponse?.data || {};
+          prFiles = prData.files || [];
+          pullRequests = prData.pullRequests || [];
+
+          if (prFiles.length > 0) {
+            // Group files by type for better context
+            const filesByType = prFiles.reduce((acc, file) => {
+              const ext = file.split(".").pop()?.toLowerCase() || "other";
+              if (!acc[ext]) acc[ext] = [];
+              acc[ext].push(file);
+              return acc;
+            }, {});
+
+            // Identify components being changed for component-based testing
+            const componentPatterns = {
+              Redis: /redis|cache|session/i,
+              Hangfire: /hangfire|job|batch|queue/i,
+              Payment: /payment|fiserv|ach|credit/i,
+              Portal: /portal|carelink|provider|member/i,
+              API: /api|client|proxy|service/i,
+              Database: /repository|entity|migration|sql/i,
+              Integration: /marketing|transunion|revspring|nice|satmetrix/i,
+            };
 
-          const detectedComponents = [];
-          prFiles.forEach((file) => {
-            Object.entries(componentPatterns).forEach(
-              ([component, pattern]) => {
-                if (
-                  pattern.test(file) &&
-                  !detectedComponents.includes(component)
-                ) {
-                  detectedComponents.push(component);
-                }
-              },
-            );
-          });
+            const detectedComponents = [];
+            prFiles.forEach((file) => {
+              Object.entries(componentPatterns).forEach(
+                ([component, pattern]) => {
+                  if (
+                    pattern.test(file) &&
+                    !detectedComponents.includes(component)
+                  ) {
+                    detectedComponents.push(component);
+                  }
+                },
+              );
+            });
 
-          prContext = `
+            prContext = `
 ## PR-Based Code Changes (${prFiles.length} files changed across ${pullRequests.length} PR(s)):
 ${
   pullRequests.length > 0
@@ -723,45 +744,47 @@ IMPORTANT: These files have been modified in the linked PR. Ensure test cases co
 2. Regression testing for existing features in modified files
 3. Integration testing if multiple components are affected`;
 
-          logger.info(
-            `PR context added: ${prFiles.length} files from ${pullRequests.length} PRs, detected components: ${detectedComponents.join(", ")}`,
+            logger.info(
+              `PR context added: ${prFiles.length} files from ${pullRequests.length} PRs, detected components: ${detectedComponents.join(", ")}`,
+            );
+          }
+        } catch (prError) {
+          logger.warn(
+            `Could not fetch PR files for context: ${prError.message}`,
           );
+          // Continue without PR context
         }
-      } catch (prError) {
-        logger.warn(`Could not fetch PR files for context: ${prError.message}`);
-        // Continue without PR context
       }
-    }
 
-    // Phase 3: Fetch attachment content for enhanced context (QA guides, test plans, etc.)
-    let attachmentContext = "";
-    try {
-      logger.info(`Fetching attachments for story ${storyId}`);
-      const attachmentsResponse = await req.mcpManager.callDockerMcp(
-        "azureDevOps",
-        `/work-items/${storyId}/attachments`,
-        {},
-        "GET",
-      );
+      // Phase 3: Fetch attachment content for enhanced context (QA guides, test plans, etc.)
+      let attachmentContext = "";
+      try {
+        logger.info(`Fetching attachments for story ${storyId}`);
+        const attachmentsResponse = await req.mcpManager.callDockerMcp(
+          "azureDevOps",
+          `/work-items/${storyId}/attachments`,
+          {},
+          "GET",
+        );
 
-      const attachmentsData = attachmentsResponse?.data || {};
-      const textAttachments = attachmentsData.textAttachments || [];
+        const attachmentsData = attachmentsResponse?.data || {};
+        const textAttachments = attachmentsData.textAttachments || [];
 
-      if (textAttachments.length > 0) {
-        // Truncate content if too large (max 50KB total for attachments)
-        let totalSize = 0;
-        const maxTotalSize = 50000;
-        const includedAttachments = [];
+        if (textAttachments.length > 0) {
+          // Truncate content if too large (max 50KB total for attachments)
+          let totalSize = 0;
+          const maxTotalSize = 50000;
+          const includedAttachments = [];
 
-        for (const att of textAttachments) {
-          if (totalSize + att.content.length <= maxTotalSize) {
-            includedAttachments.push(att);
-            totalSize += att.content.length;
+          for (const att of textAttachments) {
+            if (totalSize + att.content.length <= maxTotalSize) {
+              includedAttachments.push(att);
+              totalSize += att.content.length;
+            }
           }
-        }
 
-        if (includedAttachments.length > 0) {
-          attachmentContext = `
+          if (includedAttachments.length > 0) {
+            attachmentContext = `
 ## QA Documentation Attachments (${includedAttachments.length} files):
 ${includedAttachments
   .map(
@@ -781,20 +804,20 @@ IMPORTANT: Use the attached QA documentation to:
 4. Include performance/load testing scenarios if mentioned
 5. Include rollback indicators and monitoring points`;
 
-          logger.info(
-            `Attachment context added: ${includedAttachments.length} files, ${totalSize} bytes`,
-          );
+            logger.info(
+              `Attachment context added: ${includedAttachments.length} files, ${totalSize} bytes`,
+            );
+          }
         }
+      } catch (attachError) {
+        logger.warn(
+          `Could not fetch attachments for context: ${attachError.message}`,
+        );
+        // Continue without attachment context
       }
-    } catch (attachError) {
-      logger.warn(
-        `Could not fetch attachments for context: ${attachError.message}`,
-      );
-      // Continue without attachment context
-    }
 
-    // Build AI prompt for manual test case generation using QE Component-Based Methodology
-    const prompt = `You are a Senior QA Engineer using QE (Quality Engineering) methodology. Your task is to generate COMPREHENSIVE manual test cases by breaking down the story into distinct QE STORIES (components), not just acceptance criteria.
+      // Build AI prompt for manual test case generation using QE Component-Based Methodology
+      const prompt = `You are a Senior QA Engineer using QE (Quality Engineering) methodology. Your task is to generate COMPREHENSIVE manual test cases by breaking down the story into distinct QE STORIES (components), not just acceptance criteria.
 
 ## CRITICAL PARADIGM SHIFT - QE STORY-BASED APPROACH
 
@@ -1135,234 +1158,236 @@ If you cannot generate 79+ tests, explain which sub-categories are not applicabl
 
 Return ONLY the JSON object, no markdown.`;
 
-    try {
-      logger.info(
-        `Calling Claude AI to generate comprehensive QE story-based test cases`,
-      );
-
-      // Call Claude AI - use higher token limit to support comprehensive QE story-based generation (30+ tests)
-      const aiResponse = await callClaude(prompt, model, 16384);
-
-      // Parse AI response
-      let testCasesData;
       try {
-        // Remove markdown code blocks if present
-        const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-        const jsonText = jsonMatch ? jsonMatch[0] : aiResponse;
-        testCasesData = JSON.parse(jsonText);
-      } catch (parseError) {
-        logger.error(`Failed to parse AI response for story ${storyId}`);
-        return res.status(500).json({
-          error: "AI response parsing failed",
-          message: "Could not parse test cases from AI response",
-          storyId: parseInt(storyId),
-          storyTitle: title,
-        });
-      }
+        logger.info(
+          `Calling Claude AI to generate comprehensive QE story-based test cases`,
+        );
 
-      const testCases = testCasesData.testCases || [];
-      const qeStories = testCasesData.qeStories || [];
-
-      // Add IDs and automated flag, ensure proper format
-      testCases.forEach((tc, index) => {
-        tc.id = index + 1;
-        tc.automated = false; // These are MANUAL test cases
-        tc.storyId = parseInt(storyId);
-
-        // Handle new step format with action/expected pairs
-        if (tc.steps && Array.isArray(tc.steps)) {
-          tc.steps = tc.steps.map((step, stepIdx) => {
-            if (typeof step === "object" && step.action) {
-              // New format: {action: "...", expected: "..."}
-              return {
-                stepNumber: stepIdx + 1,
-                action: step.action,
-                expectedResult:
-                  step.expected ||
-                  tc.expectedResult ||
-                  "Verify operation completes successfully",
-              };
-            } else if (typeof step === "string") {
-              // Legacy format: plain string
-              return {
-                stepNumber: stepIdx + 1,
-                action: step,
-                expectedResult:
-                  tc.expectedResult ||
-                  "Verify operation completes successfully",
-              };
-            }
-            return step;
+        // Call Claude AI - use higher token limit to support comprehensive QE story-based generation (30+ tests)
+        const aiResponse = await callClaude(prompt, model, 16384);
+
+        // Parse AI response
+        let testCasesData;
+        try {
+          // Remove markdown code blocks if present
+          const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
+          const jsonText = jsonMatch ? jsonMatch[0] : aiResponse;
+          testCasesData = JSON.parse(jsonText);
+        } catch (parseError) {
+          logger.error(`Failed to parse AI response for story ${storyId}`);
+          return res.status(500).json({
+            error: "AI response parsing failed",
+            message: "Could not parse test cases from AI response",
+            storyId: parseInt(storyId),
+            storyTitle: title,
           });
         }
 
-        // Extract QE story from name if present
-        if (!tc.qeStory && tc.name) {
-          const qeMatch = tc.name.match(/QE-([A-Z0-9]+)/i);
-          if (qeMatch) {
-            tc.qeStory = `QE-${qeMatch[1].toUpperCase()}`;
+        const testCases = testCasesData.testCases || [];
+        const qeStories = testCasesData.qeStories || [];
+
+        // Add IDs and automated flag, ensure proper format
+        testCases.forEach((tc, index) => {
+          tc.id = index + 1;
+          tc.automated = false; // These are MANUAL test cases
+          tc.storyId = parseInt(storyId);
+
+          // Handle new step format with action/expected pairs
+          if (tc.steps && Array.isArray(tc.steps)) {
+            tc.steps = tc.steps.map((step, stepIdx) => {
+              if (typeof step === "object" && step.action) {
+                // New format: {action: "...", expected: "..."}
+                return {
+                  stepNumber: stepIdx + 1,
+                  action: step.action,
+                  expectedResult:
+                    step.expected ||
+                    tc.expectedResult ||
+                    "Verify operation completes successfully",
+                };
+              } else if (typeof step === "string") {
+                // Legacy format: plain string
+                return {
+                  stepNumber: stepIdx + 1,
+                  action: step,
+                  expectedResult:
+                    tc.expectedResult ||
+                    "Verify operation completes successfully",
+                };
+              }
+              return step;
+            });
           }
-        }
 
-        // Detect [GAP] coverage from name
-        if (tc.name && tc.name.includes("[GAP]")) {
-          tc.isGapCoverage = true;
-          // Clear AC ref for gap tests since they don't map to ACs
-          if (!tc.acceptanceCriteriaRef) {
-            tc.acceptanceCriteriaRef = null;
+          // Extract QE story from name if present
+          if (!tc.qeStory && tc.name) {
+            const qeMatch = tc.name.match(/QE-([A-Z0-9]+)/i);
+            if (qeMatch) {
+              tc.qeStory = `QE-${qeMatch[1].toUpperCase()}`;
+            }
           }
-        } else if (tc.isGapCoverage === undefined) {
-          tc.isGapCoverage = false;
-        }
 
-        // Ensure acceptanceCriteriaRef is present (extract from name if needed)
-        // Only for non-gap tests
-        if (!tc.isGapCoverage && !tc.acceptanceCriteriaRef && tc.name) {
-          const acMatch = tc.name.match(/\/AC(\d+)/i);
-          if (acMatch) {
-            tc.acceptanceCriteriaRef = `AC${acMatch[1]}`;
-            tc.acRef = `AC${acMatch[1]}`; // Alias for compatibility
+          // Detect [GAP] coverage from name
+          if (tc.name && tc.name.includes("[GAP]")) {
+            tc.isGapCoverage = true;
+            // Clear AC ref for gap tests since they don't map to ACs
+            if (!tc.acceptanceCriteriaRef) {
+              tc.acceptanceCriteriaRef = null;
+            }
+          } else if (tc.isGapCoverage === undefined) {
+            tc.isGapCoverage = false;
           }
-        }
-        // Ensure type is lowercase for consistency
-        if (tc.type) {
-          tc.type = tc.type.toLowerCase();
-        }
-      });
-
-      // Count by new type categories
-      const typeCounts = {
-        positive: testCases.filter(
-          (tc) => tc.type === "positive" || tc.type === "functional",
-        ).length,
-        negative: testCases.filter((tc) => tc.type === "negative").length,
-        edge: testCases.filter(
-          (tc) =>
-            tc.type === "edge" ||
-            tc.type === "edgecase" ||
-            tc.type === "edge case",
-        ).length,
-        integration: testCases.filter((tc) => tc.type === "integration").length,
-      };
-
-      // Count by priority
-      const priorityCounts = {
-        critical: testCases.filter(
-          (tc) => tc.priority === "critical" || tc.priority === 1,
-        ).length,
-        high: testCases.filter(
-          (tc) => tc.priority === "high" || tc.priority === 2,
-        ).length,
-        medium: testCases.filter(
-          (tc) => tc.priority === "medium" || tc.priority === 3,
-        ).length,
-        low: testCases.filter(
-          (tc) => tc.priority === "low" || tc.priority === 4,
-        ).length,
-      };
-
-      // Count by QE Story
-      const qeStoryCounts = testCases.reduce((acc, tc) => {
-        const qeStory = tc.qeStory || "UNCATEGORIZED";
-        if (!acc[qeStory]) acc[qeStory] = 0;
-        acc[qeStory]++;
-        return acc;
-      }, {});
-
-      // Count gap coverage vs AC-aligned tests
-      const gapCoverageCounts = {
-        gapTests: testCases.filter((tc) => tc.isGapCoverage === true).length,
-        acAlignedTests: testCases.filter(
-          (tc) => tc.isGapCoverage === false && tc.acceptanceCriteriaRef,
-        ).length,
-        uncategorized: testCases.filter(
-          (tc) => tc.isGapCoverage === false && !tc.acceptanceCriteriaRef,
-        ).length,
-      };
 
-      const response = {
-        success: true,
-        timestamp: new Date().toISOString(),
-        storyId: parseInt(storyId),
-        storyTitle: title,
-        testCases: testCases,
-        qeStories: qeStories, // Include QE story breakdown from AI
-        summary: {
-          totalTestCases: testCases.length,
-          byType: typeCounts,
-          byPriority: priorityCounts,
-          byQEStory: qeStoryCounts, // Tests grouped by QE story
-          byCoverage: gapCoverageCounts, // Gap vs AC-aligned breakdown
-          // Legacy fields for backward compatibility
-          functionalTests: typeCounts.positive,
-          integrationTests: typeCounts.integration,
-          negativeTests: typeCounts.negative,
-          edgeCaseTests: typeCounts.edge,
-          highPriority: priorityCounts.critical + priorityCounts.high,
-          mediumPriority: priorityCounts.medium,
-          lowPriority: priorityCounts.low,
-        },
-        // Include risk context if available
-        riskContext: riskAnalysis
-          ? {
-              level: riskAnalysis.level,
-              score: riskAnalysis.score,
-              acRiskMapping: acRiskMapping,
+          // Ensure acceptanceCriteriaRef is present (extract from name if needed)
+          // Only for non-gap tests
+          if (!tc.isGapCoverage && !tc.acceptanceCriteriaRef && tc.name) {
+            const acMatch = tc.name.match(/\/AC(\d+)/i);
+            if (acMatch) {
+              tc.acceptanceCriteriaRef = `AC${acMatch[1]}`;
+              tc.acRef = `AC${acMatch[1]}`; // Alias for compatibility
             }
-          : null,
-        // Phase 2: Include PR context if available
-        prContext:
-          prFiles.length > 0
+          }
+          // Ensure type is lowercase for consistency
+          if (tc.type) {
+            tc.type = tc.type.toLowerCase();
+          }
+        });
+
+        // Count by new type categories
+        const typeCounts = {
+          positive: testCases.filter(
+            (tc) => tc.type === "positive" || tc.type === "functional",
+          ).length,
+          negative: testCases.filter((tc) => tc.type === "negative").length,
+          edge: testCases.filter(
+            (tc) =>
+              tc.type === "edge" ||
+              tc.type === "edgecase" ||
+              tc.type === "edge case",
+          ).length,
+          integration: testCases.filter((tc) => tc.type === "integration")
+            .length,
+        };
+
+        // Count by priority
+        const priorityCounts = {
+          critical: testCases.filter(
+            (tc) => tc.priority === "critical" || tc.priority === 1,
+          ).length,
+          high: testCases.filter(
+            (tc) => tc.priority === "high" || tc.priority === 2,
+          ).length,
+          medium: testCases.filter(
+            (tc) => tc.priority === "medium" || tc.priority === 3,
+          ).length,
+          low: testCases.filter(
+            (tc) => tc.priority === "low" || tc.priority === 4,
+          ).length,
+        };
+
+        // Count by QE Story
+        const qeStoryCounts = testCases.reduce((acc, tc) => {
+          const qeStory = tc.qeStory || "UNCATEGORIZED";
+          if (!acc[qeStory]) acc[qeStory] = 0;
+          acc[qeStory]++;
+          return acc;
+        }, {});
+
+        // Count gap coverage vs AC-aligned tests
+        const gapCoverageCounts = {
+          gapTests: testCases.filter((tc) => tc.isGapCoverage === true).length,
+          acAlignedTests: testCases.filter(
+            (tc) => tc.isGapCoverage === false && tc.acceptanceCriteriaRef,
+          ).length,
+          uncategorized: testCases.filter(
+            (tc) => tc.isGapCoverage === false && !tc.acceptanceCriteriaRef,
+          ).length,
+        };
+
+        const response = {
+          success: true,
+          timestamp: new Date().toISOString(),
+          storyId: parseInt(storyId),
+          storyTitle: title,
+          testCases: testCases,
+          qeStories: qeStories, // Include QE story breakdown from AI
+          summary: {
+            totalTestCases: testCases.length,
+            byType: typeCounts,
+            byPriority: priorityCounts,
+            byQEStory: qeStoryCounts, // Tests grouped by QE story
+            byCoverage: gapCoverageCounts, // Gap vs AC-aligned breakdown
+            // Legacy fields for backward compatibility
+            functionalTests: typeCounts.positive,
+            integrationTests: typeCounts.integration,
+            negativeTests: typeCounts.negative,
+            edgeCaseTests: typeCounts.edge,
+            highPriority: priorityCounts.critical + priorityCounts.high,
+            mediumPriority: priorityCounts.medium,
+            lowPriority: priorityCounts.low,
+          },
+          // Include risk context if available
+          riskContext: riskAnalysis
             ? {
-                fileCount: prFiles.length,
-                prCount: pullRequests.length,
-                pullRequests: pullRequests.map((pr) => ({
-                  id: pr.pullRequestId,
-                  title: pr.title,
-                  status: pr.status,
-                })),
-                files: prFiles.slice(0, 20), // Limit to first 20 for response size
-                usedForGeneration: true,
+                level: riskAnalysis.level,
+                score: riskAnalysis.score,
+                acRiskMapping: acRiskMapping,
               }
             : null,
-      };
+          // Phase 2: Include PR context if available
+          prContext:
+            prFiles.length > 0
+              ? {
+                  fileCount: prFiles.length,
+                  prCount: pullRequests.length,
+                  pullRequests: pullRequests.map((pr) => ({
+                    id: pr.pullRequestId,
+                    title: pr.title,
+                    status: pr.status,
+                  })),
+                  files: prFiles.slice(0, 20), // Limit to first 20 for response size
+                  usedForGeneration: true,
+                }
+              : null,
+        };
 
-      // If updateADO is true, add test cases to Azure DevOps
-      if (updateADO) {
-        try {
-          // Note: This would require implementing test case creation in Azure DevOps MCP
-          logger.info(
-            `Would update ADO with ${testCases.length} test cases for story ${storyId}`,
-          );
-          response.adoUpdateStatus =
-            "Feature not yet implemented - test cases not added to ADO";
-          response.adoUpdateMessage =
-            "Azure DevOps Test Case creation API not yet implemented";
-        } catch (adoError) {
-          logger.error("Failed to update ADO:", adoError);
-          response.adoUpdateStatus = "Failed";
-          response.adoUpdateError = adoError.message;
+        // If updateADO is true, add test cases to Azure DevOps
+        if (updateADO) {
+          try {
+            // Note: This would require implementing test case creation in Azure DevOps MCP
+            logger.info(
+              `Would update ADO with ${testCases.length} test cases for story ${storyId}`,
+            );
+            response.adoUpdateStatus =
+              "Feature not yet implemented - test cases not added to ADO";
+            response.adoUpdateMessage =
+              "Azure DevOps Test Case creation API not yet implemented";
+          } catch (adoError) {
+            logger.error("Failed to update ADO:", adoError);
+            response.adoUpdateStatus = "Failed";
+            response.adoUpdateError = adoError.message;
+          }
         }
-      }
 
-      res.json(response);
-    } catch (genError) {
-      logger.error("Test generation failed:", genError);
-      return res.status(500).json({
-        error: "Test generation failed",
-        message: genError.message,
-        storyId: parseInt(storyId),
-        storyTitle: title,
+        res.json(response);
+      } catch (genError) {
+        logger.error("Test generation failed:", genError);
+        return res.status(500).json({
+          error: "Test generation failed",
+          message: genError.message,
+          storyId: parseInt(storyId),
+          storyTitle: title,
+        });
+      }
+    } catch (error) {
+      logger.error("Test case generation error:", error);
+      res.status(500).json({
+        error: "Test case generation failed",
+        message: error.message,
       });
     }
-  } catch (error) {
-    logger.error("Test case generation error:", error);
-    res.status(500).json({
-      error: "Test case generation failed",
-      message: error.message,
-    });
-  }
-});
+  },
+);
 
 /**
  * Helper function to parse test cases from Playwright test code
@@ -1784,21 +1809,8 @@ router.get("/defects/by-story/:storyId", async (req, res) => {
 
     logger.info(`Getting defects for story ${storyId}`);
 
-    // Query defects linked to story
-    const wiql = `SELECT [System.Id], [System.Title], [System.State], [System.Tags],
-                  [Microsoft.VSTS.Common.Severity], [Microsoft.VSTS.Common.Priority]
-                  FROM WorkItemLinks
-                  WHERE ([Source].[System.Id] = ${storyId} 
-                         AND [Target].[System.WorkItemType] = 'Bug')
-                  OR ([Target].[System.Id] = ${storyId} 
-                      AND [Source].[System.WorkItemType] = 'Bug')
-                  ORDER BY [Microsoft.VSTS.Common.Priority] ASC`;
-
-    const defects = await req.mcpManager.callDockerMcp(
-      "azureDevOps",
-      "/work-items/query",
-      { wiql },
-    );
+    // Bugs linked to the story through work item relations
+    const defects = await getStoryDefects(req.mcpManager, storyId);
 
     const metrics = calculateDefectMetrics(defects);
 
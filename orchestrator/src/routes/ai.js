@@ -1,10 +1,16 @@
 /**
- * AI Routes - Query Generation and Schema Analysis
+ * AI Routes - Query Generation, Schema Analysis, AI Usage, Response Cache and Models
  */
 
 import express from "express";
-import { callClaude } from "../utils/aiHelper.js";
+import {
+  callClaude,
+  getCacheStats,
+  listAvailableModels,
+} from "../utils/aiHelper.js";
+import { usageEventError } from "../utils/aiUsageEvents.js";
 import { logger } from "../utils/logger.js";
+import { requireInternalCaller } from "../utils/internalAuth.js";
 import fs from "fs/promises";
 import path from "path";
 
@@ -247,7 +253,7 @@ Return your response as JSON with this structure:
     });
   } catch (error) {
     logger.error(`Query generation error: ${error.message}`);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message,
     });
@@ -341,11 +347,152 @@ Respond with JSON:
     });
   } catch (error) {
     logger.error(`Query explanation error: ${error.message}`);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message,
     });
   }
 });
 
+// ============================================================================
+// AI Usage & Budgets
+// ============================================================================
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * GET /api/ai/usage
+ * Tokens and cost of AI calls, broken down by model, source, team and day
+ * Query: from, to (YYYY-MM-DD, default last 30 days), team, source, model
+ */
+router.get("/usage", async (req, res) => {
+  try {
+    const { from, to, team, source, model } = req.query;
+    if ([from, to].some((d) => d && !DATE_PATTERN.test(d))) {
+      return res
+        .status(400)
+        .json({ success: false, error: "from and to must be YYYY-MM-DD" });
+    }
+
+    const usage = await req.aiUsage.getUsage({
+      from,
+      to,
+      team,
+      source,
+      model,
+    });
+    res.json({ success: true, ...usage });
+  } catch (error) {
+    logger.error(`AI usage error: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/ai/usage/events
+ * Most recent AI calls, newest first
+ */
+router.get("/usage/events", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const events = await req.aiUsage.getEvents({ limit });
+    res.json({ success: true, events });
+  } catch (error) {
+    logger.error(`AI usage events error: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/ai/usage/events
+ * Record AI calls made by MCPs (mcps/shared/aiUsage.js); requires the
+ * internal token so only the MCPs can add spend
+ * Body: { events: [{ model, provider, source, app?, timestamp?, inputTokens, outputTokens, cost? }] }
+ * timestamp is an ISO 8601 string; token counts are non-negative numbers
+ */
+router.post("/usage/events", requireInternalCaller, async (req, res) => {
+  try {
+    const { events } = req.body;
+    if (!Array.isArray(events)) {
+      return res.status(400).json({
+        success: false,
+        error: "events must be an array of usage events",
+      });
+    }
+
+    const invalid = events
+      .map((event, index) => [index, usageEventError(event)])
+      .find(([, error]) => error);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid usage event ${invalid[0]}: ${invalid[1]}`,
+      });
+    }
+
+    const recorded = await req.aiUsage.record(events);
+    res.status(201).json({ success: true, recorded: recorded.length });
+  } catch (error) {
+    logger.error(`AI usage recording error: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/ai/usage/budget
+ * Today's spend against the global and team daily limits for a caller
+ * Query: source (calling route or MCP), app (application the prompt is about)
+ */
+router.get("/usage/budget", async (req, res) => {
+  try {
+    const { source, app } = req.query;
+    const budget = await req.aiUsage.checkBudget({ source, app });
+    res.json(budget);
+  } catch (error) {
+    logger.error(`AI budget error: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/ai/cache
+ * Hit/miss counters of the orchestrator's AI response cache
+ */
+router.get("/cache", async (req, res) => {
+  try {
+    const stats = await getCacheStats();
+    if (!stats) {
+      return res.status(503).json({
+        success: false,
+        error: "AI response cache unavailable (mcps/shared not mounted)",
+      });
+    }
+    res.json({ success: true, cache: stats });
+  } catch (error) {
+    logger.error(`AI cache stats error: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/ai/models
+ * Models for the model selectors, grouped by provider, including the models
+ * loaded on the local LLM server
+ */
+router.get("/models", async (req, res) => {
+  try {
+    const models = await listAvailableModels();
+    if (!models) {
+      return res.status(503).json({
+        success: false,
+        error: "Model catalog unavailable (mcps/shared not mounted)",
+      });
+    }
+    res.json({ success: true, ...models });
+  } catch (error) {
+    logger.error(`AI models error: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 export default router;
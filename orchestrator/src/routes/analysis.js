@@ -1,8 +1,21 @@
 import express from "express";
 import { logger } from "../utils/logger.js";
+import { oldestCachedAt } from "../utils/aiHelper.js";
+import { getStoryDefects } from "../utils/storyDefects.js";
+import { mcpErrorResponse } from "../utils/mcpErrors.js";
+import { runAsJob } from "../services/jobQueue.js";
+import {
+  computeDiffCoverage,
+  isCodeFile,
+  DOTNET_EXTENSIONS,
+  JAVASCRIPT_EXTENSIONS,
+} from "../utils/diffCoverage.js";
 
 const router = express.Router();
 
+// Work item types that count as stories for risk calibration
+const STORY_TYPES = ["User Story", "Product Backlog Item"];
+
 // Analyze code coverage for an application
 router.post("/coverage", async (req, res) => {
   try {
@@ -49,6 +62,95 @@ router.post("/coverage", async (req, res) => {
   }
 });
 
+// Coverage of the lines changed by a pull request ("new code coverage")
+router.post("/coverage/pull-request", async (req, res) => {
+  try {
+    const { pullRequestId, app, repositoryId, threshold = 80 } = req.body;
+
+    if (!pullRequestId || !app) {
+      return res
+        .status(400)
+        .json({ error: "pullRequestId and app are required" });
+    }
+
+    logger.info(`Computing coverage of PR ${pullRequestId} for ${app}`);
+
+    const query = repositoryId
+      ? `?repositoryId=${encodeURIComponent(repositoryId)}`
+      : "";
+    const diffResponse = await req.mcpManager.callDockerMcp(
+      "azureDevOps",
+      `/work-items/pull-requests/${encodeURIComponent(pullRequestId)}/diff${query}`,
+      {},
+      "GET",
+    );
+    const diff = diffResponse?.data || {};
+    const changedFiles = diff.files || [];
+
+    // Only ask the analyzers whose languages the PR touched
+    const codeFiles = changedFiles.filter((f) => isCodeFile(f.path));
+    const hasExtension = (extensions) =>
+      codeFiles.some((f) =>
+        extensions.some((ext) => f.path.toLowerCase().endsWith(ext)),
+      );
+    const analyzers = [
+      hasExtension(DOTNET_EXTENSIONS) && "dotnetCoverageAnalyzer",
+      hasExtension(JAVASCRIPT_EXTENSIONS) && "javascriptCoverageAnalyzer",
+    ].filter(Boolean);
+
+    const lineCoverage = {};
+    const dataSources = [];
+    for (const analyzer of analyzers) {
+      try {
+        const result = await req.mcpManager.callDockerMcp(
+          analyzer,
+          "/line-coverage",
+          { app },
+        );
+        Object.assign(lineCoverage, result.lines || {});
+        dataSources.push({
+          analyzer,
+          dataSource: result.dataSource,
+          coverageFiles: result.coverageFiles || [],
+        });
+      } catch (error) {
+        logger.warn(
+          `Could not get line coverage from ${analyzer}: ${error.message}`,
+        );
+      }
+    }
+
+    const result = computeDiffCoverage(changedFiles, lineCoverage);
+    const { percentage } = result.coverage;
+
+    res.json({
+      success: true,
+      pullRequestId,
+      app,
+      baseCommit: diff.baseCommit,
+      targetCommit: diff.targetCommit,
+      timestamp: new Date().toISOString(),
+      coverage: {
+        ...result.coverage,
+        threshold,
+        passed: percentage === null ? null : percentage >= threshold,
+      },
+      files: result.files,
+      uncoveredLines: result.uncoveredLines,
+      filesWithoutCoverage: result.filesWithoutCoverage,
+      dataSources,
+    });
+  } catch (error) {
+    logger.error("Pull request coverage error:", error);
+    const { status, message } = mcpErrorResponse(error);
+    res.status(status).json({
+      success: false,
+      error: "Pull request coverage failed",
+      message,
+    });
+  }
+});
+
 // Analyze code structure for all applications
 router.post("/code-scan", async (req, res) => {
   try {
@@ -180,9 +282,11 @@ router.post("/test-gaps", async (req, res) => {
 // ============================================
 
 // Analyze risk for a story (supports multiple apps)
+// cachedAt reports the oldest AI assessment reused from the response cache;
+// `noCache: true` re-runs them
 router.post("/risk/analyze-story", async (req, res) => {
   try {
-    const { app, apps, story } = req.body;
+    const { app, apps, story, profile, noCache } = req.body;
     // Support both single app and array of apps
     const appList = apps || (app ? [app] : []);
 
@@ -204,6 +308,8 @@ router.post("/risk/analyze-story", async (req, res) => {
         req.mcpManager.callDockerMcp("riskAnalyzer", "/analyze-risk", {
           app: appName,
           story,
+          ...(profile && { profile }),
+          ...(noCache && { noCache: true }),
         }),
       ),
     );
@@ -219,15 +325,30 @@ router.post("/risk/analyze-story", async (req, res) => {
       }, "low"),
       findings: results.flatMap((r) => r.findings || []),
       byApp: results.map((r, i) => ({ app: appList[i], ...r })),
+      cachedAt: oldestCachedAt(results.map((r) => r.result?.risk?.cachedAt)),
     };
 
+    await recordRiskAssessments(
+      req,
+      story,
+      results.map((r, i) => ({
+        app: appList[i],
+        risk: r.result?.risk && {
+          ...r.result.risk,
+          profile: r.result.risk.profile?.name,
+        },
+      })),
+      "analyze-story",
+    );
+
     res.json(aggregated);
   } catch (error) {
     logger.error("Risk analysis error:", error);
-    res.status(500).json({
+    const { status, message } = mcpErrorResponse(error);
+    res.status(status).json({
       success: false,
       error: "Risk analysis failed",
-      message: error.message,
+      message,
     });
   }
 });
@@ -235,7 +356,8 @@ router.post("/risk/analyze-story", async (req, res) => {
 // Enhanced risk analysis with per-AC Likelihood × Impact scoring (supports multiple apps)
 router.post("/risk/analyze-ac", async (req, res) => {
   try {
-    const { app, apps, story, acceptanceCriteria, extractedData } = req.body;
+    const { app, apps, story, acceptanceCriteria, extractedData, profile } =
+      req.body;
     // Support both single app and array of apps
     const appList = apps || (app ? [app] : []);
 
@@ -264,10 +386,27 @@ router.post("/risk/analyze-ac", async (req, res) => {
           app: appName,
           story,
           acceptanceCriteria: parsedACs,
+          ...(profile && { profile }),
         }),
       ),
     );
 
+    await recordRiskAssessments(
+      req,
+      story,
+      results.map((r, i) => ({
+        app: appList[i],
+        risk: r.riskMatrix?.overall && {
+          score: r.riskMatrix.overall.score,
+          level: r.riskMatrix.overall.level,
+          factors: r.riskMatrix.factorScores,
+          profile: r.profile?.name,
+          model: r.riskMatrix.model,
+        },
+      })),
+      "analyze-ac",
+    );
+
     // Aggregate - merge findings, take highest risk levels
     const result = results[0] || {}; // Use first result as base
     if (results.length > 1) {
@@ -311,14 +450,292 @@ router.post("/risk/analyze-ac", async (req, res) => {
     res.json(result);
   } catch (error) {
     logger.error("Per-AC risk analysis error:", error);
-    res.status(500).json({
+    const { status, message } = mcpErrorResponse(error);
+    res.status(status).json({
       success: false,
       error: "Per-AC risk analysis failed",
+      message,
+    });
+  }
+});
+
+// List risk profiles available in the risk analyzer
+router.get("/risk/profiles", async (req, res) => {
+  try {
+    const result = await req.mcpManager.callDockerMcp(
+      "riskAnalyzer",
+      "/profiles",
+      {},
+      "GET",
+    );
+
+    res.json(result);
+  } catch (error) {
+    logger.error("Risk profiles error:", error);
+    const { status, message } = mcpErrorResponse(error);
+    res.status(status).json({
+      success: false,
+      error: "Failed to list risk profiles",
+      message,
+    });
+  }
+});
+
+// Re-score a story under two risk profiles side by side
+router.post("/risk/compare-profiles", async (req, res) => {
+  try {
+    const { app, story, profiles, factors } = req.body;
+
+    if (!app) {
+      return res.status(400).json({ error: "app parameter required" });
+    }
+
+    if (!Array.isArray(profiles) || profiles.length < 2) {
+      return res
+        .status(400)
+        .json({ error: "profiles parameter required (at least 2 names)" });
+    }
+
+    logger.info(
+      `Comparing risk profiles ${profiles.join(" vs ")} for story ${story?.id}`,
+    );
+
+    const result = await req.mcpManager.callDockerMcp(
+      "riskAnalyzer",
+      "/compare-profiles",
+      { app, story, profiles, factors },
+    );
+
+    res.json(result);
+  } catch (error) {
+    logger.error("Risk profile comparison error:", error);
+    const { status, message } = mcpErrorResponse(error);
+    res.status(status).json({
+      success: false,
+      error: "Risk profile comparison failed",
+      message,
+    });
+  }
+});
+
+// Risk assessments recorded for a story, oldest first
+router.get("/risk/history/:storyId", async (req, res) => {
+  try {
+    const { storyId } = req.params;
+    const { app } = req.query;
+
+    const history = await req.riskHistory.getStoryHistory(storyId, { app });
+
+    res.json({
+      success: true,
+      storyId,
+      count: history.length,
+      history,
+    });
+  } catch (error) {
+    logger.error("Risk history error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to get risk history",
       message: error.message,
     });
   }
 });
 
+// Risk by sprint from the latest assessment of each story
+router.get("/risk/trend", async (req, res) => {
+  try {
+    const { app, sprints } = req.query;
+
+    const trend = await req.riskHistory.getSprintTrend({
+      app,
+      sprints: sprints ? sprints.split(",").map((s) => s.trim()) : undefined,
+    });
+
+    res.json({
+      success: true,
+      app: app || null,
+      sprints: trend,
+    });
+  } catch (error) {
+    logger.error("Risk trend error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to get risk trend",
+      message: error.message,
+    });
+  }
+});
+
+// Calibrate a risk profile against bugs filed on past stories
+// Stories come from the request or from the given sprints. A story without a
+// risk result in the request uses its first assessment in the risk history,
+// so defects filed after it was scored never feed back into its score
+router.post("/risk/calibrate", async (req, res) => {
+  try {
+    const {
+      app,
+      profile,
+      sprints,
+      stories,
+      project,
+      team,
+      defectBands,
+      minSamples,
+    } = req.body;
+
+    if (!app) {
+      return res.status(400).json({ error: "app parameter required" });
+    }
+
+    if (!Array.isArray(stories) && !Array.isArray(sprints)) {
+      return res
+        .status(400)
+        .json({ error: "stories or sprints parameter required" });
+    }
+
+    const candidates = Array.isArray(stories)
+      ? stories
+      : await getSprintStories(req.mcpManager, sprints, { project, team });
+
+    logger.info(
+      `Calibrating risk for ${app} against ${candidates.length} stories`,
+    );
+
+    const samples = [];
+    const skipped = [];
+
+    // Sequential to keep load on ADO and the risk analyzer predictable
+    for (const candidate of candidates) {
+      const storyId = candidate.storyId ?? candidate.story?.id;
+
+      try {
+        const { risk, assessedAt } = candidate.risk
+          ? candidate
+          : await getRecordedRisk(req.riskHistory, app, storyId);
+
+        const defects = await getStoryDefects(req.mcpManager, storyId, {
+          since: assessedAt,
+        });
+
+        samples.push({
+          storyId,
+          score: risk.score,
+          level: risk.level,
+          factors: risk.factors,
+          escapedDefects: defects.length,
+          defectIds: defects.map((d) => d.id),
+        });
+      } catch (error) {
+        logger.warn(
+          `Skipping story ${storyId} in calibration: ${error.message}`,
+        );
+        skipped.push({ storyId, reason: error.message });
+      }
+    }
+
+    if (samples.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No stories could be scored for calibration",
+        skipped,
+      });
+    }
+
+    const result = await req.mcpManager.callDockerMcp(
+      "riskAnalyzer",
+      "/calibrate",
+      {
+        app,
+        samples,
+        ...(profile && { profile }),
+        ...(defectBands && { defectBands }),
+        ...(minSamples && { minSamples }),
+      },
+    );
+
+    res.json({
+      ...result,
+      // Factor breakdowns are already summarized in the calibration
+      samples: samples.map((sample) => ({
+        storyId: sample.storyId,
+        score: sample.score,
+        level: sample.level,
+        escapedDefects: sample.escapedDefects,
+        defectIds: sample.defectIds,
+      })),
+      skipped,
+    });
+  } catch (error) {
+    logger.error("Risk calibration error:", error);
+    const { status, message } = mcpErrorResponse(error);
+    res.status(status).json({
+      success: false,
+      error: "Risk calibration failed",
+      message,
+    });
+  }
+});
+
+// Helper: Store risk assessments in the risk history
+// History is best effort - a failed write never fails the analysis
+async function recordRiskAssessments(req, story, assessments, source) {
+  if (!req.riskHistory) return;
+
+  for (const { app, risk } of assessments) {
+    if (!risk) continue;
+
+    try {
+      await req.riskHistory.record({ story, app, risk, source });
+    } catch (error) {
+      logger.warn(
+        `Failed to record risk assessment for story ${story.id}: ${error.message}`,
+      );
+    }
+  }
+}
+
+// Helper: Load stories in the given sprints as calibration candidates
+// The azure-devops MCP resolves short sprint names to the project's
+// iteration path
+async function getSprintStories(mcpManager, sprints, { project, team } = {}) {
+  const candidates = [];
+
+  for (const sprint of sprints) {
+    const response = await mcpManager.callDockerMcp(
+      "azureDevOps",
+      "/work-items/query",
+      { sprint, project, team },
+    );
+
+    (response?.data || [])
+      .filter((wi) => STORY_TYPES.includes(wi.fields?.["System.WorkItemType"]))
+      .forEach((wi) => candidates.push({ storyId: wi.id }));
+  }
+
+  return candidates;
+}
+
+// Helper: The risk a story was first assessed at, from the risk history
+async function getRecordedRisk(riskHistory, app, storyId) {
+  const [assessment] = riskHistory
+    ? await riskHistory.getStoryHistory(storyId, { app })
+    : [];
+
+  if (!assessment) {
+    throw new Error("No risk assessment recorded");
+  }
+
+  return {
+    risk: {
+      score: assessment.score,
+      level: assessment.level,
+      factors: assessment.factors,
+    },
+    assessedAt: assessment.assessedAt,
+  };
+}
+
 // Helper: Parse acceptance criteria from HTML with hierarchical structure awareness
 // Recognizes: Headers (bold/title case) → Bullets (steps) → Sub-bullets (details)
 function parseAcceptanceCriteriaHtml(html) {
@@ -986,261 +1403,269 @@ router.post("/blast-radius/analyze", async (req, res) => {
  * 1. Uses Impact field as initial input (user's expectation of what's affected)
  * 2. If PRs are linked, fetches the actual changed files to EXPAND the analysis
  * 3. Returns combined blast radius from both sources
+ *
+ * With ?async=true it runs as a background job (see /api/jobs)
  */
-router.post("/blast-radius/enhanced", async (req, res) => {
-  try {
-    const {
-      storyId,
-      app,
-      apps,
-      impactDescription,
-      includePRFiles = true,
-      includeIntegrations = true,
-      depth = 2,
-    } = req.body;
-
-    const appList = apps || (app ? [app] : []);
-
-    if (!storyId) {
-      return res.status(400).json({
-        success: false,
-        error: "storyId is required",
-      });
-    }
-
-    if (appList.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: "app or apps parameter required",
-      });
-    }
-
-    logger.info(
-      `Enhanced blast radius analysis for story ${storyId} in apps: ${appList.join(", ")}`,
-    );
-
-    // Step 1: Extract files from Impact field (initial expectation)
-    let impactFiles = [];
-    let impactMethods = [];
-    let impactApis = [];
-
-    if (impactDescription) {
-      // Parse file paths from impact description (common patterns)
-      const filePatterns = impactDescription.match(
-        /(?:[\w-]+\/)*[\w-]+\.(?:cs|ts|js|tsx|jsx|json|xml|config)/gi,
-      );
-      if (filePatterns) {
-        impactFiles = [...new Set(filePatterns)];
-      }
-
-      // Parse method names (e.g., "ProcessPayment", "GetUser", etc.)
-      const methodPatterns = impactDescription.match(
-        /\b[A-Z][a-zA-Z]+(?:Async)?\s*\(/g,
-      );
-      if (methodPatterns) {
-        impactMethods = [
-          ...new Set(methodPatterns.map((m) => m.replace(/\s*\($/, ""))),
-        ];
+router.post(
+  "/blast-radius/enhanced",
+  runAsJob("analysis.blast-radius-enhanced"),
+  async (req, res) => {
+    try {
+      const {
+        storyId,
+        app,
+        apps,
+        impactDescription,
+        includePRFiles = true,
+        includeIntegrations = true,
+        depth = 2,
+      } = req.body;
+
+      const appList = apps || (app ? [app] : []);
+
+      if (!storyId) {
+        return res.status(400).json({
+          success: false,
+          error: "storyId is required",
+        });
       }
 
-      // Parse API endpoints
-      const apiPatterns = impactDescription.match(
-        /(?:\/api\/[\w/-]+|(?:GET|POST|PUT|DELETE|PATCH)\s+\/[\w/-]+)/gi,
-      );
-      if (apiPatterns) {
-        impactApis = [...new Set(apiPatterns)];
+      if (appList.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "app or apps parameter required",
+        });
       }
 
       logger.info(
-        `Parsed from Impact field: ${impactFiles.length} files, ${impactMethods.length} methods, ${impactApis.length} APIs`,
+        `Enhanced blast radius analysis for story ${storyId} in apps: ${appList.join(", ")}`,
       );
-    }
 
-    // Step 2: Fetch PR files if enabled and PRs are linked
-    let prFiles = [];
-    let pullRequests = [];
+      // Step 1: Extract files from Impact field (initial expectation)
+      let impactFiles = [];
+      let impactMethods = [];
+      let impactApis = [];
 
-    if (includePRFiles) {
-      try {
-        const prFilesResponse = await req.mcpManager.callDockerMcp(
-          "azureDevOps",
-          `/work-items/${storyId}/files-changed`,
-          {},
-          "GET",
+      if (impactDescription) {
+        // Parse file paths from impact description (common patterns)
+        const filePatterns = impactDescription.match(
+          /(?:[\w-]+\/)*[\w-]+\.(?:cs|ts|js|tsx|jsx|json|xml|config)/gi,
+        );
+        if (filePatterns) {
+          impactFiles = [...new Set(filePatterns)];
+        }
+
+        // Parse method names (e.g., "ProcessPayment", "GetUser", etc.)
+        const methodPatterns = impactDescription.match(
+          /\b[A-Z][a-zA-Z]+(?:Async)?\s*\(/g,
         );
+        if (methodPatterns) {
+          impactMethods = [
+            ...new Set(methodPatterns.map((m) => m.replace(/\s*\($/, ""))),
+          ];
+        }
 
-        const prData = prFilesResponse?.data || {};
-        prFiles = prData.files || [];
-        pullRequests = prData.pullRequests || [];
+        // Parse API endpoints
+        const apiPatterns = impactDescription.match(
+          /(?:\/api\/[\w/-]+|(?:GET|POST|PUT|DELETE|PATCH)\s+\/[\w/-]+)/gi,
+        );
+        if (apiPatterns) {
+          impactApis = [...new Set(apiPatterns)];
+        }
 
         logger.info(
-          `Fetched ${prFiles.length} files from ${pullRequests.length} PRs`,
+          `Parsed from Impact field: ${impactFiles.length} files, ${impactMethods.length} methods, ${impactApis.length} APIs`,
         );
-      } catch (prError) {
-        logger.warn(`Could not fetch PR files: ${prError.message}`);
-        // Continue without PR files
       }
-    }
 
-    // Step 3: Combine Impact files + PR files for comprehensive analysis
-    const allChangedFiles = [...new Set([...impactFiles, ...prFiles])];
-
-    logger.info(
-      `Combined analysis: ${allChangedFiles.length} total files (${impactFiles.length} from Impact, ${prFiles.length} from PRs)`,
-    );
+      // Step 2: Fetch PR files if enabled and PRs are linked
+      let prFiles = [];
+      let pullRequests = [];
+
+      if (includePRFiles) {
+        try {
+          const prFilesResponse = await req.mcpManager.callDockerMcp(
+            "azureDevOps",
+            `/work-items/${storyId}/files-changed`,
+            {},
+            "GET",
+          );
+
+          const prData = prFilesResponse?.data || {};
+          prFiles = prData.files || [];
+          pullRequests = prData.pullRequests || [];
+
+          logger.info(
+            `Fetched ${prFiles.length} files from ${pullRequests.length} PRs`,
+          );
+        } catch (prError) {
+          logger.warn(`Could not fetch PR files: ${prError.message}`);
+          // Continue without PR files
+        }
+      }
 
-    // Step 4: Run blast radius analysis
-    let blastRadiusResult = null;
+      // Step 3: Combine Impact files + PR files for comprehensive analysis
+      const allChangedFiles = [...new Set([...impactFiles, ...prFiles])];
 
-    if (allChangedFiles.length > 0 || impactMethods.length > 0) {
-      const blastRadiusResults = await Promise.all(
-        appList.map((appName) =>
-          req.mcpManager.callDockerMcp("blastRadiusAnalyzer", "/analyze", {
-            app: appName,
-            changedFiles: allChangedFiles,
-            methods: impactMethods,
-            apis: impactApis,
-            components: [],
-            depth,
-          }),
-        ),
+      logger.info(
+        `Combined analysis: ${allChangedFiles.length} total files (${impactFiles.length} from Impact, ${prFiles.length} from PRs)`,
       );
 
-      // Aggregate blast radius results
-      blastRadiusResult = {
-        apps: appList,
-        changedFiles: allChangedFiles,
-        methods: impactMethods,
-        apis: impactApis,
-        impactedFiles: [
-          ...new Set(blastRadiusResults.flatMap((r) => r.impactedFiles || [])),
-        ],
-        impactScore: Math.max(
-          ...blastRadiusResults.map((r) => r.impactScore || 0),
-        ),
-        byApp: blastRadiusResults.map((r, i) => ({ app: appList[i], ...r })),
-      };
-    }
-
-    // Step 5: Run integration mapping if enabled
-    let integrationResult = null;
+      // Step 4: Run blast radius analysis
+      let blastRadiusResult = null;
 
-    if (includeIntegrations && allChangedFiles.length > 0) {
-      try {
-        const integrationResults = await Promise.all(
+      if (allChangedFiles.length > 0 || impactMethods.length > 0) {
+        const blastRadiusResults = await Promise.all(
           appList.map((appName) =>
-            req.mcpManager.callDockerMcp(
-              "integrationMapper",
-              "/map-integrations",
-              {
-                app: appName,
-                changedFiles: allChangedFiles,
-              },
-            ),
+            req.mcpManager.callDockerMcp("blastRadiusAnalyzer", "/analyze", {
+              app: appName,
+              changedFiles: allChangedFiles,
+              methods: impactMethods,
+              apis: impactApis,
+              components: [],
+              depth,
+            }),
           ),
         );
 
-        // Merge integration results
-        const mergedIntegrations = integrationResults.flatMap(
-          (r) => r.result?.integrations || [],
-        );
+        // Aggregate blast radius results
+        blastRadiusResult = {
+          apps: appList,
+          changedFiles: allChangedFiles,
+          methods: impactMethods,
+          apis: impactApis,
+          impactedFiles: [
+            ...new Set(
+              blastRadiusResults.flatMap((r) => r.impactedFiles || []),
+            ),
+          ],
+          impactScore: Math.max(
+            ...blastRadiusResults.map((r) => r.impactScore || 0),
+          ),
+          byApp: blastRadiusResults.map((r, i) => ({ app: appList[i], ...r })),
+        };
+      }
 
-        // Filter integrations to only those from changed files
-        const filteredIntegrations = mergedIntegrations.filter(
-          (integration) => {
-            const integrationFile = (
-              integration.file ||
-              integration.sourceFile ||
-              ""
-            )
-              .toLowerCase()
-              .replace(/\\/g, "/");
-
-            return allChangedFiles.some((changedFile) => {
-              const normalizedChanged = changedFile
+      // Step 5: Run integration mapping if enabled
+      let integrationResult = null;
+
+      if (includeIntegrations && allChangedFiles.length > 0) {
+        try {
+          const integrationResults = await Promise.all(
+            appList.map((appName) =>
+              req.mcpManager.callDockerMcp(
+                "integrationMapper",
+                "/map-integrations",
+                {
+                  app: appName,
+                  changedFiles: allChangedFiles,
+                },
+              ),
+            ),
+          );
+
+          // Merge integration results
+          const mergedIntegrations = integrationResults.flatMap(
+            (r) => r.result?.integrations || [],
+          );
+
+          // Filter integrations to only those from changed files
+          const filteredIntegrations = mergedIntegrations.filter(
+            (integration) => {
+              const integrationFile = (
+                integration.file ||
+                integration.sourceFile ||
+                ""
+              )
                 .toLowerCase()
                 .replace(/\\/g, "/");
-              const changedFileName = normalizedChanged.split("/").pop();
-              return (
-                integrationFile.includes(normalizedChanged) ||
-                integrationFile.endsWith(changedFileName)
-              );
-            });
-          },
-        );
 
-        integrationResult = {
-          apps: appList,
-          integrations: filteredIntegrations,
-          summary: {
-            total: filteredIntegrations.length,
-            byType: filteredIntegrations.reduce((acc, i) => {
-              const type = i.type || "unknown";
-              acc[type] = (acc[type] || 0) + 1;
-              return acc;
-            }, {}),
-          },
-        };
+              return allChangedFiles.some((changedFile) => {
+                const normalizedChanged = changedFile
+                  .toLowerCase()
+                  .replace(/\\/g, "/");
+                const changedFileName = normalizedChanged.split("/").pop();
+                return (
+                  integrationFile.includes(normalizedChanged) ||
+                  integrationFile.endsWith(changedFileName)
+                );
+              });
+            },
+          );
+
+          integrationResult = {
+            apps: appList,
+            integrations: filteredIntegrations,
+            summary: {
+              total: filteredIntegrations.length,
+              byType: filteredIntegrations.reduce((acc, i) => {
+                const type = i.type || "unknown";
+                acc[type] = (acc[type] || 0) + 1;
+                return acc;
+              }, {}),
+            },
+          };
 
-        logger.info(
-          `Found ${filteredIntegrations.length} integrations in changed files`,
-        );
-      } catch (intError) {
-        logger.warn(`Could not analyze integrations: ${intError.message}`);
+          logger.info(
+            `Found ${filteredIntegrations.length} integrations in changed files`,
+          );
+        } catch (intError) {
+          logger.warn(`Could not analyze integrations: ${intError.message}`);
+        }
       }
-    }
 
-    // Step 6: Build comprehensive response
-    const response = {
-      success: true,
-      storyId: parseInt(storyId),
-      apps: appList,
-      sources: {
-        impactField: {
-          files: impactFiles,
-          methods: impactMethods,
-          apis: impactApis,
-          available: !!impactDescription,
+      // Step 6: Build comprehensive response
+      const response = {
+        success: true,
+        storyId: parseInt(storyId),
+        apps: appList,
+        sources: {
+          impactField: {
+            files: impactFiles,
+            methods: impactMethods,
+            apis: impactApis,
+            available: !!impactDescription,
+          },
+          pullRequests: {
+            files: prFiles,
+            prCount: pullRequests.length,
+            prs: pullRequests.map((pr) => ({
+              id: pr.pullRequestId,
+              title: pr.title,
+              status: pr.status,
+              fileCount: pr.fileCount,
+            })),
+            available: prFiles.length > 0,
+          },
         },
-        pullRequests: {
-          files: prFiles,
-          prCount: pullRequests.length,
-          prs: pullRequests.map((pr) => ({
-            id: pr.pullRequestId,
-            title: pr.title,
-            status: pr.status,
-            fileCount: pr.fileCount,
-          })),
-          available: prFiles.length > 0,
+        combined: {
+          totalFiles: allChangedFiles.length,
+          files: allChangedFiles,
+          uniqueFromImpact: impactFiles.filter((f) => !prFiles.includes(f)),
+          uniqueFromPRs: prFiles.filter((f) => !impactFiles.includes(f)),
+          overlapping: impactFiles.filter((f) => prFiles.includes(f)),
         },
-      },
-      combined: {
-        totalFiles: allChangedFiles.length,
-        files: allChangedFiles,
-        uniqueFromImpact: impactFiles.filter((f) => !prFiles.includes(f)),
-        uniqueFromPRs: prFiles.filter((f) => !impactFiles.includes(f)),
-        overlapping: impactFiles.filter((f) => prFiles.includes(f)),
-      },
-      blastRadius: blastRadiusResult,
-      integrations: integrationResult,
-      recommendations: generateEnhancedRecommendations(
-        blastRadiusResult,
-        integrationResult,
-        impactFiles,
-        prFiles,
-      ),
-    };
+        blastRadius: blastRadiusResult,
+        integrations: integrationResult,
+        recommendations: generateEnhancedRecommendations(
+          blastRadiusResult,
+          integrationResult,
+          impactFiles,
+          prFiles,
+        ),
+      };
 
-    res.json(response);
-  } catch (error) {
-    logger.error("Enhanced blast radius analysis error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Enhanced blast radius analysis failed",
-      message: error.message,
-    });
-  }
-});
+      res.json(response);
+    } catch (error) {
+      logger.error("Enhanced blast radius analysis error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Enhanced blast radius analysis failed",
+        message: error.message,
+      });
+    }
+  },
+);
 
 /**
  * Generate recommendations based on enhanced analysis
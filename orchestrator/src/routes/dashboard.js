@@ -1,5 +1,6 @@
 import express from "express";
 import { logger } from "../utils/logger.js";
+import { COVERAGE_LANGUAGES } from "../services/coverageHistory.js";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -8,6 +9,26 @@ const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
+const SSE_KEEPALIVE_MS = 15000;
+
+/**
+ * Analyzer response from the incremental analysis cache, or a full analysis
+ * that then seeds the cache. ?refresh=true forces a full analysis.
+ */
+async function cachedAnalysis(req, appName, kind, analyze) {
+  const cache = req.analysisCache;
+  const cached =
+    req.query.refresh === "true" ? null : cache?.get(appName, kind);
+  if (cached) {
+    logger.info(`[Dashboard] Serving cached ${kind} analysis for ${appName}`);
+    return cached;
+  }
+
+  const response = await analyze();
+  cache?.set(appName, kind, response);
+  return response;
+}
+
 /**
  * Dashboard Routes
  * These endpoints proxy to the working /api/analysis endpoints
@@ -67,15 +88,13 @@ router.get("/code-analysis", async (req, res) => {
 
     logger.info(`[Dashboard] Getting code analysis for ${appName}`);
 
-    // Call Code Analyzer MCP
-    const response = await req.mcpManager.callDockerMcp(
-      "dotnetCodeAnalyzer",
-      "/analyze",
-      {
+    // Call Code Analyzer MCP (kept current by the file watcher once cached)
+    const response = await cachedAnalysis(req, appName, "dotnet", () =>
+      req.mcpManager.callDockerMcp("dotnetCodeAnalyzer", "/analyze", {
         app: appName,
         includeTests: true,
         includeIntegrations: true,
-      },
+      }),
     );
 
     // Call Coverage Analyzer MCP
@@ -118,6 +137,8 @@ router.get("/coverage", async (req, res) => {
       { app: appName, detailed: true },
     );
 
+    await snapshotCoverage(req, appName, "dotnet", coverage);
+
     res.json(coverage);
   } catch (error) {
     logger.error("[Dashboard] Coverage error:", error);
@@ -142,15 +163,13 @@ router.get("/javascript-analysis", async (req, res) => {
 
     logger.info(`[Dashboard] Getting JavaScript analysis for ${appName}`);
 
-    // Call JavaScript Code Analyzer MCP
-    const response = await req.mcpManager.callDockerMcp(
-      "javascriptCodeAnalyzer",
-      "/analyze",
-      {
+    // Call JavaScript Code Analyzer MCP (kept current by the file watcher once cached)
+    const response = await cachedAnalysis(req, appName, "javascript", () =>
+      req.mcpManager.callDockerMcp("javascriptCodeAnalyzer", "/analyze", {
         app: appName,
         includeTests: false,
         detailed: true,
-      },
+      }),
     );
 
     // Call JavaScript Coverage Analyzer MCP
@@ -196,6 +215,8 @@ router.get("/javascript-coverage", async (req, res) => {
       { app: appName, detailed: true },
     );
 
+    await snapshotCoverage(req, appName, "javascript", coverage);
+
     res.json(coverage);
   } catch (error) {
     logger.error("[Dashboard] JavaScript coverage error:", error);
@@ -206,6 +227,136 @@ router.get("/javascript-coverage", async (req, res) => {
   }
 });
 
+/**
+ * Cached analyses and the file watcher's watched applications
+ * GET /api/dashboard/analysis/cache
+ */
+router.get("/analysis/cache", (req, res) => {
+  res.json({
+    success: true,
+    entries: req.analysisCache ? req.analysisCache.list() : [],
+    watcher: req.fileWatcher ? req.fileWatcher.getStatus() : null,
+  });
+});
+
+/**
+ * Server-Sent Events: an "analysis" event whenever changed files have been
+ * re-analyzed and merged into a cached analysis (optionally for one app)
+ * GET /api/dashboard/analysis/events?app=App1
+ */
+router.get("/analysis/events", (req, res) => {
+  const { analysisCache } = req;
+  if (!analysisCache) {
+    return res.status(503).json({ error: "Analysis cache not available" });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(": connected\n\n");
+
+  const onUpdate = (update) => {
+    if (req.query.app && update.app !== req.query.app) return;
+    res.write(`event: analysis\ndata: ${JSON.stringify(update)}\n\n`);
+  };
+  const keepAlive = setInterval(
+    () => res.write(": keepalive\n\n"),
+    SSE_KEEPALIVE_MS,
+  );
+
+  analysisCache.on("update", onUpdate);
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    analysisCache.off("update", onUpdate);
+  });
+});
+
+/**
+ * Get coverage over time from stored snapshots
+ * GET /api/dashboard/coverage/trend?app=App1&language=dotnet&limit=50
+ */
+router.get("/coverage/trend", async (req, res) => {
+  try {
+    const appName = req.query.app || "App1";
+    const languages = req.query.language
+      ? [req.query.language]
+      : COVERAGE_LANGUAGES;
+
+    if (languages.some((l) => !COVERAGE_LANGUAGES.includes(l))) {
+      return res.status(400).json({
+        error: `language must be one of: ${COVERAGE_LANGUAGES.join(", ")}`,
+      });
+    }
+
+    const trend = await req.coverageHistory.getTrend({
+      app: appName,
+      languages,
+      limit: parseInt(req.query.limit, 10) || 50,
+    });
+
+    res.json({ success: true, app: appName, trend });
+  } catch (error) {
+    logger.error("[Dashboard] Coverage trend error:", error);
+    res.status(500).json({
+      error: "Failed to get coverage trend",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Flag files and methods whose coverage dropped between two snapshots
+ * GET /api/dashboard/coverage/drops?app=App1&language=dotnet&threshold=5&from=<sha>&to=<sha>
+ */
+router.get("/coverage/drops", async (req, res) => {
+  try {
+    const appName = req.query.app || "App1";
+    const language = req.query.language || "dotnet";
+    const threshold =
+      req.query.threshold !== undefined ? parseFloat(req.query.threshold) : 5;
+
+    if (!COVERAGE_LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        error: `language must be one of: ${COVERAGE_LANGUAGES.join(", ")}`,
+      });
+    }
+
+    if (isNaN(threshold) || threshold < 0) {
+      return res
+        .status(400)
+        .json({ error: "threshold must be a non-negative number" });
+    }
+
+    const drops = await req.coverageHistory.detectDrops({
+      app: appName,
+      language,
+      threshold,
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    if (!drops) {
+      return res.json({
+        success: true,
+        app: appName,
+        language,
+        dropped: false,
+        message: "Not enough coverage snapshots to compare",
+      });
+    }
+
+    res.json({ success: true, ...drops });
+  } catch (error) {
+    logger.error("[Dashboard] Coverage drops error:", error);
+    res.status(500).json({
+      error: "Failed to detect coverage drops",
+      message: error.message,
+    });
+  }
+});
+
 /**
  * Get overview analysis (aggregates .NET + JavaScript)
  * GET /api/dashboard/overview?app=App1
@@ -690,6 +841,29 @@ function calculateByState(workItems) {
   return counts;
 }
 
+/**
+ * Snapshot a coverage result for the trend (best effort)
+ * The commit SHA comes from ?commit= or the app repository's checked out HEAD
+ */
+async function snapshotCoverage(req, appName, language, result) {
+  if (!req.coverageHistory) return;
+
+  try {
+    const commitSha =
+      req.query.commit || (await req.coverageHistory.getCommitSha(appName));
+    await req.coverageHistory.record({
+      app: appName,
+      language,
+      commitSha,
+      result,
+    });
+  } catch (error) {
+    logger.warn(
+      `Failed to snapshot ${language} coverage for ${appName}: ${error.message}`,
+    );
+  }
+}
+
 // ============================================
 // CONFIGURATION ENDPOINTS
 // ============================================
@@ -2,12 +2,13 @@ import express from "express";
 import { logger } from "../utils/logger.js";
 import { infrastructureData } from "../data/carePaymentApps.js";
 import { fileWatcher } from "../services/fileWatcher.js";
+import { runAsJob } from "../services/jobQueue.js";
+import { mcpErrorResponse } from "../utils/mcpErrors.js";
 
 const router = express.Router();
 
-// Track when repos were last scanned to prevent excessive rescanning
-const repoLastScan = {};
-const RESCAN_DEBOUNCE_MS = 30000; // Wait 30 seconds between rescans
+// Formats the integration-mapper exports the integration graph in
+const GRAPH_FORMATS = ["json", "mermaid", "dot", "plantuml"];
 
 // Map repository names to integration-mapper app names
 const repoAppMap = {
@@ -19,83 +20,37 @@ const repoAppMap = {
 };
 
 /**
- * Trigger automatic rescan for a repository
+ * Infrastructure data to serve: the hand-maintained data, or with
+ * ?source=generated (default INFRASTRUCTURE_SOURCE) the latest generated
+ * version with the manual overrides on top. Falls back to the
+ * hand-maintained data until something has been generated.
  */
-async function triggerAutoRescan(repo, mcpManager) {
-  // Check if we recently scanned this repo
-  const now = Date.now();
-  const lastScan = repoLastScan[repo] || 0;
-
-  if (now - lastScan < RESCAN_DEBOUNCE_MS) {
-    logger.info(
-      `Skipping rescan of ${repo} - recently scanned (${Math.round((now - lastScan) / 1000)}s ago)`,
-    );
-    return;
-  }
-
-  logger.info(`Triggering automatic rescan of ${repo}...`);
-
-  try {
-    if (!mcpManager) {
-      logger.warn("MCPManager not available for auto-rescan");
-      return;
-    }
-
-    const appName = repoAppMap[repo];
-    if (!appName) {
-      logger.warn(`Unknown repository for auto-rescan: ${repo}`);
-      return;
+async function resolveInfrastructure(req) {
+  const source =
+    req.query.source || process.env.INFRASTRUCTURE_SOURCE || "static";
+
+  if (source === "generated" && req.infrastructureGenerator) {
+    const served = await req.infrastructureGenerator.getServedData();
+    if (served) {
+      return {
+        data: served.data,
+        source: "generated",
+        version: served.version,
+      };
     }
-
-    const scanResult = await mcpManager.callDockerMcp(
-      "integrationMapper",
-      "/map-integrations",
-      {
-        app: appName,
-        includeSchemas: true,
-      },
-    );
-
-    repoLastScan[repo] = now;
-    logger.info(`✓ Auto-rescan completed for ${repo}`);
-
-    // TODO: Update cached infrastructure data with new scan results
-    // For now, the data is available via the scan endpoint
-  } catch (error) {
-    logger.error(`Failed to auto-rescan ${repo}:`, error.message);
   }
-}
-
-// Store mcpManager reference for file watcher events
-let mcpManagerRef = null;
 
-// Set up file watcher event listener
-fileWatcher.on("fileChanged", async ({ repo, path, type }) => {
-  logger.info(`File change detected in ${repo}: ${type} - ${path}`);
-
-  if (mcpManagerRef) {
-    await triggerAutoRescan(repo, mcpManagerRef);
-  }
-});
-
-// Middleware to capture mcpManager reference
-router.use((req, res, next) => {
-  if (req.mcpManager && !mcpManagerRef) {
-    mcpManagerRef = req.mcpManager;
-    logger.info("MCPManager reference captured for auto-rescan functionality");
-  }
-  next();
-});
+  return { data: infrastructureData, source: "static" };
+}
 
 /**
  * GET /api/infrastructure/status
  * Returns infrastructure data for the 5 CarePayment repositories
+ * Query: source=static|generated
  */
 router.get("/status", async (req, res) => {
   try {
-    // Return CarePayment application architecture data
-    // This data represents the 5 repositories and their integrations
-    res.json({ data: infrastructureData });
+    res.json(await resolveInfrastructure(req));
   } catch (error) {
     logger.error("Error fetching infrastructure status:", error);
     res.status(500).json({
@@ -113,7 +68,8 @@ router.get("/status", async (req, res) => {
 router.get("/applications/:appKey", async (req, res) => {
   try {
     const { appKey } = req.params;
-    const app = infrastructureData.applications[appKey];
+    const { data } = await resolveInfrastructure(req);
+    const app = data.applications[appKey];
 
     if (!app) {
       return res.status(404).json({
@@ -157,6 +113,7 @@ router.post("/scan", async (req, res) => {
             includeSchemas: true,
           },
         );
+        req.analysisCache?.set(repoAppMap[repo], "integrations", scanResult);
         results.push({ repo, status: "success", data: scanResult });
         logger.info(`Successfully scanned ${repo}`);
       } catch (error) {
@@ -175,6 +132,7 @@ router.post("/scan", async (req, res) => {
               includeSchemas: true,
             },
           );
+          req.analysisCache?.set(appName, "integrations", scanResult);
           results.push({ repo: repoName, status: "success", data: scanResult });
           logger.info(`Successfully scanned ${repoName}`);
         } catch (error) {
@@ -236,6 +194,245 @@ router.get("/changes", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/infrastructure/integrations/:app
+ * Integration-mapper results for an application, kept current by the file
+ * watcher once scanned. ?refresh=true forces a full scan.
+ */
+router.get("/integrations/:app", async (req, res) => {
+  try {
+    const { app } = req.params;
+    const cached =
+      req.query.refresh === "true"
+        ? null
+        : req.analysisCache?.get(app, "integrations");
+    if (cached) {
+      return res.json({ ...cached, cached: true });
+    }
+
+    const scanResult = await req.mcpManager.callDockerMcp(
+      "integrationMapper",
+      "/map-integrations",
+      { app, includeSchemas: true },
+    );
+    req.analysisCache?.set(app, "integrations", scanResult);
+
+    res.json({ ...scanResult, cached: false });
+  } catch (error) {
+    logger.error("Error fetching integrations:", error);
+    const { status, message } = mcpErrorResponse(error);
+    res.status(status).json({
+      status: "error",
+      message: "Failed to fetch integrations",
+      error: message,
+    });
+  }
+});
+
+/**
+ * GET /api/infrastructure/environments/:app
+ * Which host each configured integration points at per environment, read
+ * from the app's config files, with mismatches such as QA on a prod host.
+ * ?environment=qa resolves a single environment.
+ */
+router.get("/environments/:app", async (req, res) => {
+  try {
+    const { app } = req.params;
+    const result = await req.mcpManager.callDockerMcp(
+      "integrationMapper",
+      "/map-environments",
+      { app, environment: req.query.environment },
+    );
+
+    res.json(result);
+  } catch (error) {
+    logger.error("Error mapping environments:", error);
+    const { status, message } = mcpErrorResponse(error);
+    res.status(status).json({
+      status: "error",
+      message: "Failed to map environments",
+      error: message,
+    });
+  }
+});
+
+/**
+ * Cached integration-mapper detections per app, so the graph only scans the
+ * apps that have not been scanned yet
+ */
+function cachedIntegrations(analysisCache, appNames) {
+  const cached = {};
+  for (const { app, kind } of analysisCache?.list() || []) {
+    if (kind !== "integrations" || (appNames && !appNames.includes(app))) {
+      continue;
+    }
+    const integrations = analysisCache.get(app, kind)?.result?.integrations;
+    if (Array.isArray(integrations)) cached[app] = integrations;
+  }
+  return cached;
+}
+
+/**
+ * GET /api/infrastructure/graph
+ * How the apps call each other and external systems: nodes and edges with
+ * the source file/line, protocol and environment of each connection. Apps
+ * with cached /integrations results are not scanned again.
+ * Query: apps=Core,Payments (default all), environment=qa,
+ * format=json|mermaid|dot|plantuml (default json)
+ */
+router.get("/graph", async (req, res) => {
+  try {
+    const { apps, environment, format = "json" } = req.query;
+    if (!GRAPH_FORMATS.includes(format)) {
+      return res.status(400).json({
+        status: "error",
+        message: `format must be one of ${GRAPH_FORMATS.join(", ")}`,
+      });
+    }
+
+    const appNames = apps
+      ? apps.split(",").map((name) => name.trim())
+      : undefined;
+    const result = await req.mcpManager.callDockerMcp(
+      "integrationMapper",
+      "/integration-graph",
+      {
+        apps: appNames,
+        environment,
+        format,
+        integrations: cachedIntegrations(req.analysisCache, appNames),
+      },
+    );
+
+    res.json(result);
+  } catch (error) {
+    logger.error("Error building integration graph:", error);
+    const { status, message } = mcpErrorResponse(error);
+    res.status(status).json({
+      status: "error",
+      message: "Failed to build integration graph",
+      error: message,
+    });
+  }
+});
+
+/**
+ * POST /api/infrastructure/generate
+ * Regenerate infrastructure data from integration-mapper results, config
+ * files and Swagger specs, saving a new version when anything changed
+ * Body: { apps? } - app names from apps.json; the others keep their last data
+ *
+ * With ?async=true it runs as a background job (see /api/jobs)
+ */
+router.post(
+  "/generate",
+  runAsJob("infrastructure.generate"),
+  async (req, res) => {
+    try {
+      const { apps } = req.body || {};
+      if (apps !== undefined && !Array.isArray(apps)) {
+        return res.status(400).json({
+          status: "error",
+          message: "apps must be an array of application names",
+        });
+      }
+
+      const result = await req.infrastructureGenerator.generate({
+        mcpManager: req.mcpManager,
+        analysisCache: req.analysisCache,
+        apps,
+      });
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error("Error generating infrastructure data:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Failed to generate infrastructure data",
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * GET /api/infrastructure/generated/versions
+ * Saved generations, oldest first
+ */
+router.get("/generated/versions", async (req, res) => {
+  try {
+    const versions = await req.infrastructureGenerator.listVersions();
+    res.json({ success: true, versions });
+  } catch (error) {
+    logger.error("Error listing infrastructure versions:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to list infrastructure versions",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/infrastructure/generated/diff
+ * What changed between two generations
+ * Query: from, to - version numbers (default: the latest and the one before)
+ */
+router.get("/generated/diff", async (req, res) => {
+  try {
+    const toVersion = (value) =>
+      value === undefined ? undefined : parseInt(value, 10);
+    const diff = await req.infrastructureGenerator.diff({
+      from: toVersion(req.query.from),
+      to: toVersion(req.query.to),
+    });
+
+    if (!diff) {
+      return res.status(404).json({
+        status: "error",
+        message: "Both versions must exist to compare them",
+      });
+    }
+
+    res.json({ success: true, ...diff });
+  } catch (error) {
+    logger.error("Error diffing infrastructure versions:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to diff infrastructure versions",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/infrastructure/generated/versions/:version
+ * A saved generation as generated, without overrides ("latest" for the newest)
+ */
+router.get("/generated/versions/:version", async (req, res) => {
+  try {
+    const saved = await req.infrastructureGenerator.getVersion(
+      req.params.version,
+    );
+
+    if (!saved) {
+      return res.status(404).json({
+        status: "error",
+        message: `Infrastructure version '${req.params.version}' not found`,
+      });
+    }
+
+    res.json({ success: true, ...saved });
+  } catch (error) {
+    logger.error("Error fetching infrastructure version:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to fetch infrastructure version",
+      error: error.message,
+    });
+  }
+});
+
 // ============================================================================
 // Authentication Testing & Endpoint Execution Routes
 // ============================================================================
@@ -0,0 +1,133 @@
+/**
+ * Job Routes
+ * Status, progress streams, cancellation and retry of background jobs.
+ * Workflow routes queue jobs when called with ?async=true.
+ */
+
+import express from "express";
+import { JOB_STATUSES, isFinished } from "../services/jobQueue.js";
+
+const router = express.Router();
+
+const SSE_KEEPALIVE_MS = 15000;
+
+function notFound(res, id) {
+  return res.status(404).json({ error: `Job not found: ${id}` });
+}
+
+/**
+ * GET /api/jobs
+ * Recent jobs, newest first
+ * Query: { status?, type?, limit? }
+ */
+router.get("/", (req, res) => {
+  const { status, type } = req.query;
+  const limit = parseInt(req.query.limit, 10) || 50;
+
+  if (status && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `Invalid status: ${status}`,
+      validStatuses: JOB_STATUSES,
+    });
+  }
+
+  const jobs = req.jobQueue.list({ status, type, limit });
+  res.json({ success: true, count: jobs.length, jobs });
+});
+
+/**
+ * GET /api/jobs/:id
+ * Job status, progress, steps with partial results, and the final result
+ */
+router.get("/:id", (req, res) => {
+  const job = req.jobQueue.get(req.params.id);
+  if (!job) return notFound(res, req.params.id);
+  res.json({ success: true, job });
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Server-Sent Events: the job on connect and on every change ("job"
+ * events), ending once the job has finished
+ */
+router.get("/:id/events", (req, res) => {
+  const { jobQueue } = req;
+  const job = jobQueue.get(req.params.id);
+  if (!job) return notFound(res, req.params.id);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (update) =>
+    res.write(`event: job\ndata: ${JSON.stringify(update)}\n\n`);
+
+  const keepAlive = setInterval(
+    () => res.write(": keepalive\n\n"),
+    SSE_KEEPALIVE_MS,
+  );
+  const close = () => {
+    clearInterval(keepAlive);
+    jobQueue.off("update", onUpdate);
+    res.end();
+  };
+  const onUpdate = (update) => {
+    if (update.id !== job.id) return;
+    send(update);
+    if (isFinished(update)) close();
+  };
+
+  send(job);
+  if (isFinished(job)) return close();
+
+  jobQueue.on("update", onUpdate);
+  req.on("close", close);
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued or running job; in-flight MCP calls are aborted
+ */
+router.post("/:id/cancel", (req, res) => {
+  const job = req.jobQueue.get(req.params.id);
+  if (!job) return notFound(res, req.params.id);
+
+  if (isFinished(job)) {
+    return res.status(409).json({
+      error: `Job already ${job.status}`,
+      job,
+    });
+  }
+
+  res.json({ success: true, job: req.jobQueue.cancel(job.id) });
+});
+
+/**
+ * POST /api/jobs/:id/retry
+ * Queue a failed or cancelled job again; returns the new job
+ */
+router.post("/:id/retry", (req, res) => {
+  const job = req.jobQueue.get(req.params.id);
+  if (!job) return notFound(res, req.params.id);
+
+  const retry = req.jobQueue.retry(job.id);
+  if (!retry) {
+    return res.status(409).json({
+      error: `Only failed or cancelled jobs can be retried (job is ${job.status})`,
+      job,
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    jobId: retry.id,
+    status: retry.status,
+    statusUrl: `/api/jobs/${retry.id}`,
+    eventsUrl: `/api/jobs/${retry.id}/events`,
+    job: retry,
+  });
+});
+
+export default router;
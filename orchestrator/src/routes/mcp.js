@@ -1,5 +1,6 @@
 import express from 'express';
 import { logger } from '../utils/logger.js';
+import { isInternalCaller } from '../utils/internalAuth.js';
 
 const router = express.Router();
 
@@ -14,6 +15,52 @@ router.get('/status', (req, res) => {
   });
 });
 
+// Register an MCP at runtime (MCPs built on BaseMCP call this on start)
+// Changing the URL of a registered MCP requires the internal token
+router.post('/register', (req, res) => {
+  try {
+    const { name, url, category, version, swaggerPath } = req.body || {};
+    const result = req.mcpManager.register(
+      { name, url, category, version, swaggerPath },
+      { authenticated: isInternalCaller(req) }
+    );
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      name: result.name,
+      created: result.created,
+      mcp: result.mcp
+    });
+  } catch (error) {
+    logger.error('MCP registration failed:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Close the circuit breaker of one MCP ({ mcpName }) or of all MCPs
+router.post('/circuit/reset', (req, res) => {
+  try {
+    const { mcpName } = req.body || {};
+    const reset = req.mcpManager.resetCircuit(mcpName);
+
+    res.json({
+      success: true,
+      reset,
+      message: mcpName
+        ? `Circuit breaker reset for ${mcpName}`
+        : 'All circuit breakers reset'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Check health of specific MCP
 router.get('/health/:mcpName', async (req, res) => {
   try {
@@ -0,0 +1,147 @@
+/**
+ * MCP Protocol Routes
+ * Streamable HTTP transport for the orchestrator's Model Context Protocol
+ * server (mounted at /mcp). Clients POST JSON-RPC messages; tool calls are
+ * answered over SSE when the client accepts it, so long-running tools keep
+ * the connection alive, and as plain JSON otherwise.
+ */
+
+import express from "express";
+import {
+  JSON_RPC_ERRORS,
+  SUPPORTED_PROTOCOL_VERSIONS,
+} from "../services/mcpServer.js";
+
+const router = express.Router();
+
+const SSE_KEEPALIVE_MS = 15000;
+
+function jsonRpcError(res, status, code, message) {
+  res
+    .status(status)
+    .json({ jsonrpc: "2.0", id: null, error: { code, message } });
+}
+
+function isInitialize(message) {
+  return [message]
+    .flat()
+    .some((m) => m && m.method === "initialize" && "id" in m);
+}
+
+function hasToolCall(message) {
+  return [message].flat().some((m) => m && m.method === "tools/call");
+}
+
+/**
+ * Reject unknown sessions and unsupported protocol versions
+ */
+function validateRequest(req, res, next) {
+  const sessionId = req.get("Mcp-Session-Id");
+  if (sessionId && !req.mcpServer.hasSession(sessionId)) {
+    return jsonRpcError(
+      res,
+      404,
+      JSON_RPC_ERRORS.INVALID_REQUEST,
+      "Session not found",
+    );
+  }
+
+  const protocolVersion = req.get("MCP-Protocol-Version");
+  if (
+    protocolVersion &&
+    !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)
+  ) {
+    return jsonRpcError(
+      res,
+      400,
+      JSON_RPC_ERRORS.INVALID_REQUEST,
+      `Unsupported protocol version: ${protocolVersion}`,
+    );
+  }
+
+  next();
+}
+
+/**
+ * POST /mcp
+ * JSON-RPC request, notification or batch
+ */
+router.post("/", validateRequest, async (req, res) => {
+  const message = req.body;
+
+  if (isInitialize(message)) {
+    res.set("Mcp-Session-Id", req.mcpServer.createSession());
+  }
+
+  const acceptsSse = (req.get("Accept") || "").includes("text/event-stream");
+  if (acceptsSse && hasToolCall(message)) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    const keepAlive = setInterval(
+      () => res.write(": keepalive\n\n"),
+      SSE_KEEPALIVE_MS,
+    );
+
+    try {
+      const response = await req.mcpServer.handleMessage(message);
+      if (response) {
+        res.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+      }
+    } finally {
+      clearInterval(keepAlive);
+      res.end();
+    }
+    return;
+  }
+
+  const response = await req.mcpServer.handleMessage(message);
+  if (!response) {
+    return res.status(202).end();
+  }
+  res.json(response);
+});
+
+/**
+ * GET /mcp
+ * The server sends no server-initiated messages, so no standalone stream
+ */
+router.get("/", (req, res) => {
+  res.set("Allow", "POST, DELETE");
+  jsonRpcError(
+    res,
+    405,
+    JSON_RPC_ERRORS.INVALID_REQUEST,
+    "Server-initiated streams are not supported; POST JSON-RPC messages",
+  );
+});
+
+/**
+ * DELETE /mcp
+ * End the session named by the Mcp-Session-Id header
+ */
+router.delete("/", (req, res) => {
+  const sessionId = req.get("Mcp-Session-Id");
+  if (!sessionId || !req.mcpServer.endSession(sessionId)) {
+    return jsonRpcError(
+      res,
+      404,
+      JSON_RPC_ERRORS.INVALID_REQUEST,
+      "Session not found",
+    );
+  }
+  res.status(204).end();
+});
+
+/**
+ * JSON-RPC clients expect a parse error response for malformed bodies
+ * instead of the generic error handler's body
+ */
+export function handleParseError(err, req, res, next) {
+  if (err.type !== "entity.parse.failed") return next(err);
+  jsonRpcError(res, 400, JSON_RPC_ERRORS.PARSE_ERROR, "Parse error");
+}
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import { logger } from '../utils/logger.js';
+import { runAsJob } from '../services/jobQueue.js';
 
 const router = express.Router();
 
@@ -7,9 +8,10 @@ const router = express.Router();
  * Full Automation Workflow
  * POST /api/playwright/full-automation
  *
- * Chains analyzer → generator to discover paths and create tests
+ * Chains analyzer → generator to discover paths and create tests.
+ * With ?async=true it runs as a background job (see /api/jobs)
  */
-router.post('/full-automation', async (req, res) => {
+router.post('/full-automation', runAsJob('playwright.full-automation'), async (req, res) => {
   try {
     const { app, maxPaths = 5, depth = 'deep', model } = req.body;
 
@@ -32,6 +34,7 @@ router.post('/full-automation', async (req, res) => {
 
     // Step 1: Analyze app for critical paths
     logger.info(`Step 1: Analyzing ${app} for UI paths (depth: ${depth})...`);
+    req.job?.progress(`Analyzing ${app} for UI paths`, { totalSteps: 3 });
     let pathsResult;
     try {
       pathsResult = await req.mcpManager.callDockerMcp(
@@ -77,6 +80,7 @@ router.post('/full-automation', async (req, res) => {
 
     // Step 2: Prioritize top N paths
     logger.info(`Step 2: Prioritizing top ${maxPaths} paths...`);
+    req.job?.progress(`Prioritizing top ${maxPaths} paths`);
     let prioritizedPaths;
     try {
       const prioritizeStart = Date.now();
@@ -114,6 +118,7 @@ router.post('/full-automation', async (req, res) => {
 
     // Step 3: Generate tests for prioritized paths
     logger.info(`Step 3: Generating Playwright tests for ${prioritizedPaths.length} paths...`);
+    req.job?.progress(`Generating Playwright tests for ${prioritizedPaths.length} paths`);
     let testsResult;
     try {
       const generateStart = Date.now();
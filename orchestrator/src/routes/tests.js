@@ -1,6 +1,5 @@
 import express from "express";
 import { logger } from "../utils/logger.js";
-import { callClaude } from "../utils/aiHelper.js";
 import { readFile } from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -266,67 +265,35 @@ router.post("/generate-for-file", async (req, res) => {
       });
     }
 
-    // Build prompt for Claude AI
-    const testType = onlyNegativeTests
-      ? "negative/error scenario"
-      : "comprehensive";
-    const mockInfo = includeMocks
-      ? "\n- Use Moq for mocking dependencies"
-      : "\n- Do not use mocking frameworks";
-    const negativeInfo = includeNegativeTests
-      ? "\n- Include negative test cases (null checks, invalid inputs, exceptions)"
-      : "";
-
-    const prompt = `You are a senior .NET test engineer. Generate ${testType} unit tests for the following C# class using ${testFramework}.
-
-**Requirements:**
-- Generate complete, production-ready test class${mockInfo}${negativeInfo}
-- Follow ${testFramework} best practices and conventions
-- Use clear, descriptive test method names
-- Include Arrange-Act-Assert pattern
-- Add helpful comments for complex test scenarios
-- Ensure tests are isolated and independent
-${onlyNegativeTests ? "- ONLY generate tests for error scenarios, edge cases, and exception handling\n- Focus on null checks, invalid inputs, boundary conditions" : "- Cover happy path and edge cases\n- Test all public methods"}
-
-**Source Code:**
-\`\`\`csharp
-${sourceCode}
-\`\`\`
-
-Generate the complete test file. Include:
-1. All necessary using statements
-2. Test class with proper naming (${className}Tests)
-3. Test methods with proper attributes (${testFramework === "xUnit" ? "[Fact]" : testFramework === "NUnit" ? "[Test]" : "[TestMethod]"})
-4. Setup/cleanup if needed
-
-Return ONLY the complete C# test file code, no explanations or markdown.`;
-
-    // Call Claude API
+    // Pooled .NET test generator (stdioWorkers in config/mcp-registry.json)
     logger.info(
       `[Test Gen] 🚀 Generating tests for ${className} with ${testFramework}`,
     );
-    const testCode = await callClaude(prompt, model, 4096);
-
-    logger.info(`[Test Gen] ✅ Successfully generated tests for ${className}`);
-
-    res.json({
-      success: true,
-      result: {
-        className,
-        testFramework,
-        testCode,
-        completeTestFile: testCode,
-        metadata: {
+    const generated = await req.mcpManager.callStdioMcp(
+      "dotnet-unit-test-generator",
+      {
+        data: {
+          app,
+          className,
+          sourceCode,
           includeNegativeTests,
           includeMocks,
           onlyNegativeTests,
-          model: model || "default",
+          testFramework,
+          model,
         },
       },
+    );
+
+    logger.info(`[Test Gen] ✅ Successfully generated tests for ${className}`);
+
+    res.json({
+      success: true,
+      result: generated.result,
     });
   } catch (error) {
     logger.error("[Test Gen] ❌ Error:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: "Test generation failed",
       message: error.message,
     });
@@ -357,13 +324,17 @@ router.post("/generate-integration-for-file", async (req, res) => {
 
     logger.info(`[Test Gen] Generating integration tests for ${apiEndpoint}`);
 
-    // Call integration-test-generator STDIO MCP
+    const testFramework = await getTestFramework(app);
+
+    // The pooled .NET test generator also writes integration tests
     const integrationTests = await req.mcpManager.callStdioMcp(
-      "dotnet-integration-test-generator",
+      "dotnet-unit-test-generator",
       {
         data: {
+          testType: "integration",
           app,
           apiEndpoint,
+          testFramework,
           scenario: scenario || `Integration tests for ${apiEndpoint}`,
           includeAuth,
           includeDatabase,
@@ -382,7 +353,7 @@ router.post("/generate-integration-for-file", async (req, res) => {
     });
   } catch (error) {
     logger.error("[Test Gen] ❌ Integration error:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: "Integration test generation failed",
       message: error.message,
     });
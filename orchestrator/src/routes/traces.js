@@ -0,0 +1,70 @@
+/**
+ * Trace Routes
+ * OTLP/HTTP span receiver for the MCPs and waterfall views of traces
+ */
+
+import express from "express";
+import { logger } from "../utils/logger.js";
+import { buildWaterfall, fromOtlp } from "../services/tracing.js";
+
+const router = express.Router();
+
+/**
+ * POST /api/traces/v1/traces
+ * OTLP/HTTP trace export (JSON encoding); MCPs set
+ * OTEL_EXPORTER_OTLP_ENDPOINT to /api/traces
+ */
+router.post("/v1/traces", (req, res) => {
+  if (!req.is("application/json")) {
+    return res.status(415).json({
+      error: "Only the OTLP JSON encoding is supported",
+    });
+  }
+
+  try {
+    const spans = fromOtlp(req.body);
+    req.traceStore.record(spans);
+    res.json({ partialSuccess: {} });
+  } catch (error) {
+    logger.warn(`Rejected OTLP export: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/traces
+ * Most recent traces, newest first
+ * Query: { limit? }
+ */
+router.get("/", (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || 50;
+  const traces = req.traceStore.list(limit);
+  res.json({ success: true, count: traces.length, traces });
+});
+
+/**
+ * GET /api/traces/:traceId
+ * One workflow's waterfall across the orchestrator and MCPs, with AI token
+ * usage per span and in total
+ */
+router.get("/:traceId", async (req, res) => {
+  try {
+    const spans = await req.traceStore.getSpans(
+      req.params.traceId.toLowerCase(),
+    );
+    const trace = buildWaterfall(spans);
+
+    if (!trace) {
+      return res.status(404).json({
+        error: `Trace not found: ${req.params.traceId}`,
+      });
+    }
+
+    res.json({ success: true, trace });
+  } catch (error) {
+    logger.error("Error reading trace:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
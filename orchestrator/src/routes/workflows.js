@@ -0,0 +1,86 @@
+/**
+ * Workflow Routes
+ * List and run the declarative workflows in config/workflows.
+ * Runs can be queued as background jobs with ?async=true.
+ */
+
+import express from "express";
+import { logger } from "../utils/logger.js";
+import { runAsJob } from "../services/jobQueue.js";
+
+const router = express.Router();
+
+function notFound(res, name) {
+  return res.status(404).json({ error: `Workflow not found: ${name}` });
+}
+
+/**
+ * GET /api/workflows
+ * Loaded workflows, and files that failed to load
+ */
+router.get("/", (req, res) => {
+  const workflows = req.workflowEngine.list();
+  res.json({
+    success: true,
+    count: workflows.length,
+    workflows,
+    errors: req.workflowEngine.loadErrors,
+  });
+});
+
+/**
+ * POST /api/workflows/reload
+ * Re-read the workflow directory after definitions change
+ */
+router.post("/reload", (req, res) => {
+  const engine = req.workflowEngine.load();
+  res.json({
+    success: true,
+    count: engine.workflows.size,
+    workflows: engine.list().map((workflow) => workflow.name),
+    errors: engine.loadErrors,
+  });
+});
+
+/**
+ * GET /api/workflows/:name
+ * A workflow's definition
+ */
+router.get("/:name", (req, res) => {
+  const workflow = req.workflowEngine.get(req.params.name);
+  if (!workflow) return notFound(res, req.params.name);
+  res.json({ success: true, workflow });
+});
+
+function requireWorkflow(req, res, next) {
+  if (!req.workflowEngine.get(req.params.name)) {
+    return notFound(res, req.params.name);
+  }
+  next();
+}
+
+/**
+ * POST /api/workflows/:name/run
+ * Run a workflow with the request body as its inputs. Failed runs answer
+ * with the steps that ran so far.
+ */
+router.post(
+  "/:name/run",
+  requireWorkflow,
+  runAsJob((req) => `workflow.${req.params.name}`),
+  async (req, res) => {
+    try {
+      const run = await req.workflowEngine.run(req.params.name, req.body);
+      res.json({ success: true, ...run });
+    } catch (error) {
+      logger.error(`Workflow ${req.params.name} failed:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message,
+        ...(error.run && { run: error.run }),
+      });
+    }
+  },
+);
+
+export default router;
@@ -0,0 +1,410 @@
+/**
+ * AI Usage Ledger
+ * Records the tokens and cost of every AI completion - the orchestrator's own
+ * Claude calls and those MCPs report to POST /api/ai/usage/events - and
+ * enforces the daily budgets in config/ai-budgets.json.
+ *
+ * Usage is appended to a JSON Lines file under the data directory. Costs come
+ * from MODEL_CATALOG in mcps/shared/modelMapper.js; callers are billed to the
+ * team whose configured apps or sources match the app the prompt is about or
+ * the calling route or MCP. Callers can't pick the team themselves. Past a
+ * soft limit calls are logged as warnings; past a hard limit they are refused.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { isUsageEntry } from "../utils/aiUsageEvents.js";
+import { logger } from "../utils/logger.js";
+import { importShared } from "../utils/sharedModules.js";
+
+export const UNASSIGNED_TEAM = "unassigned";
+
+const BUDGET_STATUSES = ["ok", "soft", "hard"];
+const DEFAULT_RANGE_DAYS = 30;
+
+const usageContext = new AsyncLocalStorage();
+
+// Budget refusals throw the same error here as in the MCPs
+const sharedUsage = await importShared("shared/aiUsage.js");
+if (!sharedUsage) {
+  throw new Error("mcps/shared/aiUsage.js not found; mount the mcps directory");
+}
+export const { AiBudgetExceededError } = sharedUsage;
+
+/**
+ * Express middleware: bill AI calls made while handling a request to its
+ * route (e.g. "/api/ado/stories/:id/analyze")
+ */
+export function aiUsageContext() {
+  return (req, res, next) => {
+    usageContext.run({ req }, next);
+  };
+}
+
+/**
+ * Source of the request the current code runs in, if any
+ */
+export function currentUsageCaller() {
+  const req = usageContext.getStore()?.req;
+  if (!req) return {};
+
+  return {
+    source: req.route ? `${req.baseUrl}${req.route.path}` : req.path,
+  };
+}
+
+function dayOf(timestamp) {
+  return timestamp.slice(0, 10);
+}
+
+function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+function formatCost(cost) {
+  return `$${cost.toFixed(2)}`;
+}
+
+/**
+ * Sum calls, tokens and cost of events grouped by a key
+ */
+function breakdown(events, keyOf) {
+  const groups = new Map();
+
+  for (const event of events) {
+    const key = keyOf(event);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        calls: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cost: 0,
+        unpricedCalls: 0,
+      });
+    }
+    const group = groups.get(key);
+    group.calls++;
+    group.inputTokens += event.inputTokens;
+    group.outputTokens += event.outputTokens;
+    if (event.cost === null) {
+      group.unpricedCalls++;
+    } else {
+      group.cost = roundCost(group.cost + event.cost);
+    }
+  }
+
+  return groups;
+}
+
+function totalsOf(events) {
+  return (
+    breakdown(events, () => "all").get("all") || {
+      calls: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cost: 0,
+      unpricedCalls: 0,
+    }
+  );
+}
+
+function listBreakdown(events, field) {
+  return [...breakdown(events, (e) => e[field])]
+    .map(([key, totals]) => ({ [field]: key, ...totals }))
+    .sort((a, b) => b.cost - a.cost || b.calls - a.calls);
+}
+
+/**
+ * Compare spend with one soft/hard limit pair
+ */
+function evaluateLimit(scope, limit, spent) {
+  let status = "ok";
+  if (limit.hard !== undefined && limit.hard !== null && spent >= limit.hard) {
+    status = "hard";
+  } else if (
+    limit.soft !== undefined &&
+    limit.soft !== null &&
+    spent >= limit.soft
+  ) {
+    status = "soft";
+  }
+
+  return {
+    scope,
+    period: "daily",
+    soft: limit.soft ?? null,
+    hard: limit.hard ?? null,
+    spent,
+    status,
+  };
+}
+
+export class AiUsageLedger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dataDir] - Directory of ai-usage.jsonl
+   * @param {string} [options.budgetsPath] - ai-budgets.json location
+   * @param {Function} [options.calculateCost] - (model, usage) => cost; defaults to modelMapper's
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || process.env.AI_USAGE_DIR || "/app/data";
+    this.budgetsPath =
+      options.budgetsPath ||
+      process.env.AI_BUDGETS_PATH ||
+      "/app/config/ai-budgets.json";
+    this.filePath = path.join(this.dataDir, "ai-usage.jsonl");
+    this.calculateCost = options.calculateCost;
+    this.events = null;
+  }
+
+  async load() {
+    if (this.events) return this.events;
+
+    try {
+      const content = await fs.readFile(this.filePath, "utf-8");
+      this.events = content
+        .split("\n")
+        .filter((line) => line.trim())
+        .flatMap((line) => {
+          try {
+            const entry = JSON.parse(line);
+            if (isUsageEntry(entry)) return [entry];
+            logger.warn("Skipping malformed AI usage entry");
+          } catch {
+            logger.warn("Skipping unreadable AI usage entry");
+          }
+          return [];
+        });
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.events = [];
+    }
+
+    return this.events;
+  }
+
+  /**
+   * Budgets from ai-budgets.json; no budgets when it can't be read
+   */
+  async loadBudgets() {
+    try {
+      return JSON.parse(await fs.readFile(this.budgetsPath, "utf-8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.warn(`Could not read AI budgets: ${error.message}`);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * modelMapper's calculateCost, loaded from the mounted mcps/ directory
+   */
+  async getCostCalculator() {
+    if (this.calculateCost === undefined) {
+      const modelMapper = await importShared("shared/modelMapper.js");
+      this.calculateCost = modelMapper?.calculateCost || null;
+      if (!this.calculateCost) {
+        logger.warn("Model pricing unavailable; AI usage is recorded unpriced");
+      }
+    }
+    return this.calculateCost;
+  }
+
+  /**
+   * Team billed for a call: the first team listing its app, otherwise the
+   * first team listing its source itself or a prefix of it ("/api/ado"
+   * covers "/api/ado/stories/:id/analyze")
+   */
+  resolveTeam({ source, app }, budgets) {
+    const teams = Object.entries(budgets.teams || {});
+    const owner =
+      (app && teams.find(([, config]) => config.apps?.includes(app))) ||
+      teams.find(([, config]) =>
+        (config.sources || []).some(
+          (s) => source === s || source?.startsWith(`${s}/`),
+        ),
+      );
+    return owner ? owner[0] : UNASSIGNED_TEAM;
+  }
+
+  /**
+   * Record completions
+   *
+   * @param {Object[]} events
+   * @param {string} events[].model - Model that served the completion
+   * @param {string} [events[].provider]
+   * @param {string} events[].source - Calling route or MCP
+   * @param {string} [events[].app] - Application the prompt was about
+   * @param {number} events[].inputTokens
+   * @param {number} events[].outputTokens
+   * @param {number|null} [events[].cost] - Computed from the model catalog when omitted
+   * @returns {Object[]} The stored entries
+   */
+  async record(events) {
+    const stored = await this.load();
+    const budgets = await this.loadBudgets();
+    const calculateCost = await this.getCostCalculator();
+
+    const entries = events.map((event) => {
+      const source = event.source || "unknown";
+      const inputTokens = Number(event.inputTokens) || 0;
+      const outputTokens = Number(event.outputTokens) || 0;
+      const cost =
+        event.cost ??
+        calculateCost?.(event.model, { inputTokens, outputTokens }) ??
+        null;
+
+      return {
+        id: randomUUID(),
+        timestamp: event.timestamp || new Date().toISOString(),
+        model: event.model,
+        provider: event.provider || null,
+        source,
+        app: event.app || null,
+        team: this.resolveTeam({ source, app: event.app }, budgets),
+        inputTokens,
+        outputTokens,
+        cost,
+        durationMs: event.durationMs ?? null,
+        traceId: event.traceId || null,
+      };
+    });
+    if (entries.length === 0) return entries;
+
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.appendFile(
+      this.filePath,
+      entries.map((e) => JSON.stringify(e)).join("\n") + "\n",
+      "utf-8",
+    );
+    stored.push(...entries);
+
+    return entries;
+  }
+
+  /**
+   * Today's spend against the global and team daily limits
+   *
+   * @param {Object} caller
+   * @param {string} [caller.source] - Calling route or MCP
+   * @param {string} [caller.app] - Application the prompt is about
+   * @returns {Object} { team, status: "ok"|"soft"|"hard", allowed, limits, message }
+   */
+  async checkBudget({ source, app } = {}) {
+    const budgets = await this.loadBudgets();
+    const billedTeam = this.resolveTeam({ source, app }, budgets);
+    const today = dayOf(new Date().toISOString());
+    const todays = (await this.load()).filter(
+      (e) => dayOf(e.timestamp) === today,
+    );
+
+    const limits = [];
+    if (budgets.daily) {
+      limits.push(
+        evaluateLimit("global", budgets.daily, totalsOf(todays).cost),
+      );
+    }
+    const teamLimit = budgets.teams?.[billedTeam]?.daily;
+    if (teamLimit) {
+      const spent = totalsOf(todays.filter((e) => e.team === billedTeam)).cost;
+      limits.push(evaluateLimit("team", teamLimit, spent));
+    }
+
+    const worst = limits.reduce(
+      (a, b) =>
+        BUDGET_STATUSES.indexOf(b.status) > BUDGET_STATUSES.indexOf(a.status)
+          ? b
+          : a,
+      { status: "ok" },
+    );
+
+    let message = null;
+    if (worst.status !== "ok") {
+      const who = worst.scope === "team" ? `Team '${billedTeam}'` : "All teams";
+      const limit = worst.status === "hard" ? worst.hard : worst.soft;
+      message =
+        worst.status === "hard"
+          ? `AI budget exceeded: ${who} spent ${formatCost(worst.spent)} of the ${formatCost(limit)} daily limit`
+          : `AI spend warning: ${who} spent ${formatCost(worst.spent)}, past the ${formatCost(limit)} daily soft limit`;
+    }
+
+    return {
+      team: billedTeam,
+      status: worst.status,
+      allowed: worst.status !== "hard",
+      limits,
+      message,
+    };
+  }
+
+  /**
+   * Refuse a completion past a hard limit; warn past a soft limit
+   *
+   * @throws {AiBudgetExceededError}
+   */
+  async assertWithinBudget(caller) {
+    const budget = await this.checkBudget(caller);
+    if (budget.status === "hard") throw new AiBudgetExceededError(budget);
+    if (budget.status === "soft") logger.warn(budget.message);
+    return budget;
+  }
+
+  /**
+   * Usage between two days (inclusive) with breakdowns
+   *
+   * @param {Object} [options]
+   * @param {string} [options.from] - YYYY-MM-DD, defaults to 30 days ago
+   * @param {string} [options.to] - YYYY-MM-DD, defaults to today
+   * @param {string} [options.team]
+   * @param {string} [options.source]
+   * @param {string} [options.model]
+   */
+  async getUsage({ from, to, team, source, model } = {}) {
+    const now = new Date();
+    const end = to || dayOf(now.toISOString());
+    const start =
+      from ||
+      dayOf(
+        new Date(
+          now.getTime() - (DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000,
+        ).toISOString(),
+      );
+
+    const events = (await this.load()).filter((e) => {
+      const day = dayOf(e.timestamp);
+      return (
+        day >= start &&
+        day <= end &&
+        (!team || e.team === team) &&
+        (!source || e.source === source) &&
+        (!model || e.model === model)
+      );
+    });
+
+    return {
+      from: start,
+      to: end,
+      totals: totalsOf(events),
+      byModel: listBreakdown(events, "model"),
+      bySource: listBreakdown(events, "source"),
+      byTeam: listBreakdown(events, "team"),
+      byDay: [...breakdown(events, (e) => dayOf(e.timestamp))]
+        .map(([day, totals]) => ({ day, ...totals }))
+        .sort((a, b) => a.day.localeCompare(b.day)),
+    };
+  }
+
+  /**
+   * Most recent usage events, newest first
+   */
+  async getEvents({ limit = 100 } = {}) {
+    const events = await this.load();
+    return events.slice(-limit).reverse();
+  }
+}
+
+// Export singleton instance
+export const aiUsage = new AiUsageLedger();
@@ -0,0 +1,338 @@
+/**
+ * Analysis Cache
+ * Keeps the latest code-analyzer, javascript-code-analyzer and
+ * integration-mapper results per application, and keeps them current from
+ * file watcher batches: only the changed files are sent back to the
+ * analyzers, and their entries replace the old ones in the cached result.
+ *
+ * Only results a dashboard has already asked for are updated; anything else
+ * is analyzed in full on first request. Every update is emitted as an
+ * "update" event, which index.js pushes to the socket.io "analysis" room and
+ * GET /api/dashboard/analysis/events streams over SSE.
+ */
+
+import { EventEmitter } from "events";
+import path from "path";
+import { logger } from "../utils/logger.js";
+
+// Matches the cacheTTL default in config/apps.json settings
+const DEFAULT_TTL_MS = 3600 * 1000;
+
+/**
+ * Analyzers re-run for changed files, by cache kind. options match the
+ * dashboard's full analysis request so merged entries look the same.
+ */
+export const ANALYZERS = {
+  dotnet: {
+    mcp: "dotnetCodeAnalyzer",
+    endpoint: "/analyze",
+    extensions: [".cs"],
+    options: { includeTests: true, includeIntegrations: true },
+    merge: mergeCodeAnalysis,
+  },
+  javascript: {
+    mcp: "javascriptCodeAnalyzer",
+    endpoint: "/analyze",
+    extensions: [".js", ".jsx", ".ts", ".tsx", ".vue"],
+    options: { includeTests: false, detailed: true },
+    merge: mergeJavaScriptAnalysis,
+  },
+  integrations: {
+    mcp: "integrationMapper",
+    endpoint: "/map-integrations",
+    extensions: [".cs"],
+    options: { includeSchemas: true },
+    merge: mergeIntegrations,
+  },
+};
+
+/**
+ * Drop the entries of changed files and append their fresh entries
+ */
+function replaceEntries(previous = [], fresh = [], changed) {
+  return previous.filter((entry) => !changed.has(entry.file)).concat(fresh);
+}
+
+function countFiles(previous, change) {
+  return Math.max(0, (previous || 0) + change.added - change.removed);
+}
+
+function mergeCodeAnalysis(cached, delta, change) {
+  const previous = cached.analysis;
+  const fresh = delta.analysis;
+  const { changed } = change;
+
+  const analysis = {
+    ...previous,
+    timestamp: fresh.timestamp,
+    totalFiles: countFiles(previous.totalFiles, change),
+    classes: replaceEntries(previous.classes, fresh.classes, changed),
+    methods: replaceEntries(previous.methods, fresh.methods, changed),
+    integrations: {
+      epic: replaceEntries(
+        previous.integrations?.epic,
+        fresh.integrations?.epic,
+        changed,
+      ),
+      financial: replaceEntries(
+        previous.integrations?.financial,
+        fresh.integrations?.financial,
+        changed,
+      ),
+    },
+    tests: replaceEntries(previous.tests, fresh.tests, changed),
+  };
+
+  analysis.summary = {
+    totalClasses: analysis.classes.length,
+    totalMethods: analysis.methods.length,
+    totalTests: analysis.tests.reduce(
+      (sum, t) => sum + (t.testMethods?.length || 0),
+      0,
+    ),
+    epicIntegrationPoints: analysis.integrations.epic.length,
+    financialIntegrationPoints: analysis.integrations.financial.length,
+    averageMethodsPerClass:
+      Math.round(analysis.methods.length / analysis.classes.length) || 0,
+  };
+
+  return { ...cached, analysis };
+}
+
+function mergeJavaScriptAnalysis(cached, delta, change) {
+  const previous = cached.analysis;
+  const fresh = delta.analysis;
+  const { changed } = change;
+
+  const analysis = { ...previous, timestamp: fresh.timestamp };
+  for (const key of [
+    "components",
+    "functions",
+    "classes",
+    "hooks",
+    "apiCalls",
+  ]) {
+    analysis[key] = replaceEntries(previous[key], fresh[key], changed);
+  }
+  analysis.totalFiles = countFiles(previous.totalFiles, change);
+
+  const totalComplexity = analysis.functions.reduce(
+    (sum, fn) => sum + (fn.complexity || 0),
+    0,
+  );
+  analysis.summary = {
+    totalFiles: analysis.totalFiles,
+    totalComponents: analysis.components.length,
+    totalFunctions: analysis.functions.length,
+    totalClasses: analysis.classes.length,
+    totalHooks: analysis.hooks.length,
+    totalApiCalls: analysis.apiCalls.length,
+    averageComplexity:
+      analysis.functions.length > 0
+        ? Math.round(totalComplexity / analysis.functions.length)
+        : 0,
+    totalComplexity,
+  };
+
+  return { ...cached, analysis };
+}
+
+function mergeIntegrations(cached, delta, change) {
+  const previous = cached.result;
+  const integrations = replaceEntries(
+    previous.integrations,
+    delta.result.integrations,
+    change.changed,
+  );
+
+  const integrationsByType = {};
+  for (const integration of integrations) {
+    const type = integration.type || "unknown";
+    (integrationsByType[type] ||= []).push(integration);
+  }
+  const byType = Object.fromEntries(
+    Object.entries(integrationsByType).map(([type, items]) => [
+      type,
+      items.length,
+    ]),
+  );
+
+  return {
+    ...cached,
+    timestamp: delta.timestamp,
+    result: {
+      ...previous,
+      integrations,
+      integrationsByType,
+      summary: { ...previous.summary, total: integrations.length, byType },
+      metadata: {
+        ...previous.metadata,
+        totalFilesScanned: countFiles(
+          previous.metadata?.totalFilesScanned,
+          change,
+        ),
+      },
+    },
+  };
+}
+
+function summaryOf(response) {
+  return (response.analysis || response.result)?.summary || null;
+}
+
+export class AnalysisCache extends EventEmitter {
+  constructor({ mcpManager, ttlMs = DEFAULT_TTL_MS } = {}) {
+    super();
+    this.mcpManager = mcpManager;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    // Batches for one app are applied in order
+    this.queues = new Map();
+  }
+
+  key(app, kind) {
+    return `${app}:${kind}`;
+  }
+
+  /**
+   * Cached analyzer response, or null when missing or expired
+   */
+  get(app, kind) {
+    const entry = this.entries.get(this.key(app, kind));
+    if (!entry) return null;
+    if (Date.now() - entry.storedAt > this.ttlMs) {
+      this.entries.delete(this.key(app, kind));
+      return null;
+    }
+    return entry.response;
+  }
+
+  /**
+   * Store a full analyzer response
+   */
+  set(app, kind, response) {
+    if (!ANALYZERS[kind] || !response || response.success === false) return;
+    this.entries.set(this.key(app, kind), {
+      app,
+      kind,
+      response,
+      storedAt: Date.now(),
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Forget one app's results, or everything
+   */
+  invalidate(app, kind) {
+    for (const [key, entry] of this.entries) {
+      if ((!app || entry.app === app) && (!kind || entry.kind === kind)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Cached results with their age, without the results themselves
+   */
+  list() {
+    return [...this.entries.values()]
+      .filter((entry) => this.get(entry.app, entry.kind))
+      .map(({ app, kind, response, updatedAt }) => ({
+        app,
+        kind,
+        updatedAt,
+        summary: summaryOf(response),
+      }));
+  }
+
+  /**
+   * Apply the file watcher's batches as they arrive
+   */
+  attach(watcher) {
+    watcher.on("batch", (batch) => {
+      this.applyBatch(batch).catch((error) =>
+        logger.error(
+          `Incremental analysis failed for ${batch.app}:`,
+          error.message,
+        ),
+      );
+    });
+    return this;
+  }
+
+  /**
+   * Re-analyze the changed files of one app and merge them into every
+   * cached result they belong to. Resolves to the emitted updates.
+   */
+  applyBatch(batch) {
+    const previous = this.queues.get(batch.app) || Promise.resolve();
+    const run = previous.then(() => this.runBatch(batch));
+    const queued = run.catch(() => {});
+    this.queues.set(batch.app, queued);
+    queued.then(() => {
+      if (this.queues.get(batch.app) === queued) this.queues.delete(batch.app);
+    });
+    return run;
+  }
+
+  async runBatch({ app, files }) {
+    const updates = [];
+
+    for (const [kind, analyzer] of Object.entries(ANALYZERS)) {
+      const cached = this.get(app, kind);
+      if (!cached) continue;
+
+      const changedFiles = files.filter((file) =>
+        analyzer.extensions.includes(path.extname(file.path).toLowerCase()),
+      );
+      if (changedFiles.length === 0) continue;
+
+      try {
+        const delta = await this.mcpManager.callDockerMcp(
+          analyzer.mcp,
+          analyzer.endpoint,
+          {
+            app,
+            ...analyzer.options,
+            files: changedFiles.map((file) => file.relativePath),
+          },
+        );
+        const result = delta.analysis || delta.result || {};
+        const change = {
+          changed: new Set([
+            ...(result.files || []),
+            ...(result.removedFiles || []),
+          ]),
+          added: changedFiles.filter((file) => file.type === "added").length,
+          removed: (result.removedFiles || []).length,
+        };
+
+        const merged = analyzer.merge(cached, delta, change);
+        this.set(app, kind, merged);
+
+        const update = {
+          app,
+          kind,
+          files: result.files || [],
+          removedFiles: result.removedFiles || [],
+          summary: summaryOf(merged),
+          updatedAt: new Date().toISOString(),
+        };
+        logger.info(
+          `Incremental ${kind} analysis for ${app}: ${changedFiles.length} file(s)`,
+        );
+        updates.push(update);
+        this.emit("update", update);
+      } catch (error) {
+        // Drop the stale result so the next request runs a full analysis
+        logger.warn(
+          `Incremental ${kind} analysis for ${app} failed, cache dropped: ${error.message}`,
+        );
+        this.invalidate(app, kind);
+      }
+    }
+
+    return updates;
+  }
+}
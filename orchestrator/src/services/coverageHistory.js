@@ -0,0 +1,360 @@
+/**
+ * Coverage History
+ * Snapshots every coverage result the dashboard serves so coverage can be
+ * charted over time and drops between snapshots flagged.
+ *
+ * Snapshots are appended to a JSON Lines file under the data directory and
+ * keyed by app, language and the app repository's commit SHA when it can be
+ * read. A result identical to the latest snapshot is not stored again, and a
+ * changed result for the same commit replaces that commit's snapshot.
+ */
+
+import { randomUUID } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { logger } from "../utils/logger.js";
+
+export const COVERAGE_LANGUAGES = ["dotnet", "javascript"];
+
+function average(values) {
+  return values.length > 0
+    ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length)
+    : null;
+}
+
+/**
+ * Reduce a coverage analyzer result to per-file and per-method percentages
+ *
+ * .NET results list methods (file coverage is the average of its methods);
+ * JavaScript results list functions and components that carry their file's
+ * line coverage.
+ *
+ * @returns {Object|null} null when the result has no coverage data
+ */
+export function summarizeCoverage(result, language) {
+  const coverage = result?.coverage || {};
+  const items =
+    (language === "javascript" ? coverage.functions : coverage.methods) || [];
+
+  const methods = {};
+  const byFile = {};
+
+  for (const item of items) {
+    if (item.coverage === null || item.coverage === undefined) continue;
+
+    const name = item.className ? `${item.className}.${item.name}` : item.name;
+    methods[`${item.file}::${name}`] = {
+      file: item.file,
+      method: name,
+      coverage: item.coverage,
+    };
+    (byFile[item.file] = byFile[item.file] || []).push(item.coverage);
+  }
+
+  const files = Object.fromEntries(
+    Object.entries(byFile).map(([file, values]) => [
+      file,
+      language === "javascript" ? values[0] : average(values),
+    ]),
+  );
+
+  const overallPercentage = coverage.overallPercentage ?? null;
+  if (overallPercentage === null && Object.keys(files).length === 0) {
+    return null;
+  }
+
+  return {
+    overallPercentage,
+    branchCoveragePercentage:
+      coverage.summary?.branchCoveragePercentage ?? null,
+    dataSource: coverage.dataSource || null,
+    files,
+    methods,
+  };
+}
+
+/**
+ * Whether two snapshots hold the same coverage
+ */
+function sameCoverage(a, b) {
+  return (
+    a.overallPercentage === b.overallPercentage &&
+    a.branchCoveragePercentage === b.branchCoveragePercentage &&
+    JSON.stringify(a.files) === JSON.stringify(b.files) &&
+    JSON.stringify(a.methods) === JSON.stringify(b.methods)
+  );
+}
+
+/**
+ * Compare two snapshots and list files and methods whose coverage fell by
+ * more than the threshold (in percentage points)
+ */
+export function findCoverageDrops(previous, current, threshold = 5) {
+  const compare = (before, after) =>
+    before === null ||
+    before === undefined ||
+    after === null ||
+    after === undefined
+      ? null
+      : Math.round((after - before) * 10) / 10;
+
+  const files = Object.entries(current.files)
+    .map(([file, coverage]) => ({
+      file,
+      previous: previous.files[file],
+      current: coverage,
+      change: compare(previous.files[file], coverage),
+    }))
+    .filter((f) => f.change !== null && -f.change > threshold)
+    .sort((a, b) => a.change - b.change);
+
+  const methods = Object.entries(current.methods)
+    .map(([key, m]) => ({
+      file: m.file,
+      method: m.method,
+      previous: previous.methods[key]?.coverage,
+      current: m.coverage,
+      change: compare(previous.methods[key]?.coverage, m.coverage),
+    }))
+    .filter((m) => m.change !== null && -m.change > threshold)
+    .sort((a, b) => a.change - b.change);
+
+  const overallChange = compare(
+    previous.overallPercentage,
+    current.overallPercentage,
+  );
+
+  return {
+    threshold,
+    overall: {
+      previous: previous.overallPercentage,
+      current: current.overallPercentage,
+      change: overallChange,
+      dropped: overallChange !== null && -overallChange > threshold,
+    },
+    files,
+    methods,
+    dropped:
+      files.length > 0 ||
+      methods.length > 0 ||
+      (overallChange !== null && -overallChange > threshold),
+  };
+}
+
+/**
+ * Read the checked out commit of a git repository without the git binary
+ */
+export async function readCommitSha(repoPath) {
+  const gitDir = path.join(repoPath, ".git");
+
+  try {
+    const head = (await fs.readFile(path.join(gitDir, "HEAD"), "utf-8")).trim();
+    if (!head.startsWith("ref:")) return head;
+
+    const ref = head.slice(4).trim();
+    try {
+      return (await fs.readFile(path.join(gitDir, ref), "utf-8")).trim();
+    } catch {
+      const packed = await fs.readFile(
+        path.join(gitDir, "packed-refs"),
+        "utf-8",
+      );
+      const line = packed.split("\n").find((l) => l.endsWith(` ${ref}`));
+      return line ? line.split(" ")[0] : null;
+    }
+  } catch {
+    return null;
+  }
+}
+
+export class CoverageHistory {
+  constructor(options = {}) {
+    this.dataDir =
+      options.dataDir || process.env.COVERAGE_HISTORY_DIR || "/app/data";
+    this.configPath =
+      options.configPath || process.env.CONFIG_PATH || "/app/config/apps.json";
+    this.filePath = path.join(this.dataDir, "coverage-history.jsonl");
+    this.snapshots = null;
+  }
+
+  async load() {
+    if (this.snapshots) return this.snapshots;
+
+    try {
+      const content = await fs.readFile(this.filePath, "utf-8");
+      this.snapshots = content
+        .split("\n")
+        .filter((line) => line.trim())
+        .flatMap((line) => {
+          try {
+            return [JSON.parse(line)];
+          } catch {
+            logger.warn("Skipping unreadable coverage history entry");
+            return [];
+          }
+        });
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.snapshots = [];
+    }
+
+    return this.snapshots;
+  }
+
+  /**
+   * Commit SHA of the app repository configured in apps.json, or null
+   */
+  async getCommitSha(app) {
+    try {
+      const config = JSON.parse(await fs.readFile(this.configPath, "utf-8"));
+      const appConfig = (config.applications || []).find((a) => a.name === app);
+      return appConfig?.path ? await readCommitSha(appConfig.path) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Snapshot a coverage analyzer result
+   *
+   * @param {Object} snapshot
+   * @param {string} snapshot.app - Application analyzed
+   * @param {string} snapshot.language - "dotnet" or "javascript"
+   * @param {string|null} snapshot.commitSha - Commit the coverage was taken at
+   * @param {Object} snapshot.result - Coverage analyzer response
+   * @returns {Object|null} The stored snapshot (the existing one when nothing
+   *   changed), or null when the result had no coverage data
+   */
+  async record({ app, language, commitSha, result }) {
+    const summary = summarizeCoverage(result, language);
+    if (!summary) return null;
+
+    const snapshots = await this.load();
+    const sha = commitSha || null;
+
+    const latest = snapshots.findLast(
+      (s) => s.app === app && s.language === language,
+    );
+    if (latest && latest.commitSha === sha && sameCoverage(latest, summary)) {
+      return latest;
+    }
+
+    const entry = {
+      id: randomUUID(),
+      app,
+      language,
+      commitSha: sha,
+      takenAt: new Date().toISOString(),
+      ...summary,
+    };
+
+    await fs.mkdir(this.dataDir, { recursive: true });
+
+    const replaced = sha
+      ? snapshots.filter(
+          (s) =>
+            s.app === app && s.language === language && s.commitSha === sha,
+        )
+      : [];
+
+    if (replaced.length > 0) {
+      this.snapshots = snapshots.filter((s) => !replaced.includes(s));
+      this.snapshots.push(entry);
+      await fs.writeFile(
+        this.filePath,
+        this.snapshots.map((s) => JSON.stringify(s) + "\n").join(""),
+        "utf-8",
+      );
+    } else {
+      await fs.appendFile(this.filePath, JSON.stringify(entry) + "\n", "utf-8");
+      snapshots.push(entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Snapshots of an app and language, oldest first, keeping only the latest
+   * snapshot of each commit
+   */
+  async getSnapshots({ app, language }) {
+    const snapshots = await this.load();
+
+    const latestByCommit = new Map();
+    const matching = snapshots.filter(
+      (s) => s.app === app && s.language === language,
+    );
+    matching.forEach((s) => {
+      if (s.commitSha) latestByCommit.set(s.commitSha, s);
+    });
+
+    return matching
+      .filter((s) => !s.commitSha || latestByCommit.get(s.commitSha) === s)
+      .sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+  }
+
+  /**
+   * Overall coverage over time for charting
+   *
+   * @param {Object} options
+   * @param {string} options.app
+   * @param {string[]} [options.languages] - Defaults to all languages
+   * @param {number} [options.limit] - Most recent snapshots per language
+   */
+  async getTrend({ app, languages = COVERAGE_LANGUAGES, limit = 50 }) {
+    const trend = {};
+
+    for (const language of languages) {
+      const snapshots = await this.getSnapshots({ app, language });
+      trend[language] = snapshots.slice(-limit).map((s) => ({
+        commitSha: s.commitSha,
+        takenAt: s.takenAt,
+        overallPercentage: s.overallPercentage,
+        branchCoveragePercentage: s.branchCoveragePercentage,
+        files: Object.keys(s.files).length,
+        methods: Object.keys(s.methods).length,
+      }));
+    }
+
+    return trend;
+  }
+
+  /**
+   * Files and methods whose coverage dropped between two snapshots
+   *
+   * @param {Object} options
+   * @param {string} options.app
+   * @param {string} options.language
+   * @param {number} [options.threshold] - Minimum drop in percentage points
+   * @param {string} [options.from] - Commit SHA of the baseline (defaults to the snapshot before `to`)
+   * @param {string} [options.to] - Commit SHA to check (defaults to the latest snapshot)
+   * @returns {Object|null} null when there are not two snapshots to compare
+   */
+  async detectDrops({ app, language, threshold = 5, from, to }) {
+    const snapshots = await this.getSnapshots({ app, language });
+
+    const toIndex = to
+      ? snapshots.findIndex((s) => s.commitSha === to)
+      : snapshots.length - 1;
+    const fromIndex = from
+      ? snapshots.findIndex((s) => s.commitSha === from)
+      : toIndex - 1;
+
+    if (toIndex < 0 || fromIndex < 0) return null;
+
+    const previous = snapshots[fromIndex];
+    const current = snapshots[toIndex];
+    const describe = (s) => ({ commitSha: s.commitSha, takenAt: s.takenAt });
+
+    return {
+      app,
+      language,
+      from: describe(previous),
+      to: describe(current),
+      ...findCoverageDrops(previous, current, threshold),
+    };
+  }
+}
+
+// Export singleton instance
+export const coverageHistory = new CoverageHistory();
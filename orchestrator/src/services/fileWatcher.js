@@ -1,120 +1,200 @@
 /**
- * File System Watcher for CarePayment Repositories
- * Monitors .cs files for changes and triggers rescans
+ * File System Watcher for Configured Applications
+ * Watches every application in config/apps.json (C#, JS/TS, Vue) using its
+ * path, includePatterns and excludePaths, and emits debounced batches of
+ * changed files for incremental re-analysis.
+ *
+ * Events:
+ *   fileChanged - { app, repo, path, type } for every matching change
+ *   batch       - { app, type, files: [{ path, relativePath, type }] } once an
+ *                 app has been quiet for the debounce interval
  */
 
 import chokidar from 'chokidar';
-import { logger } from '../utils/logger.js';
+import picomatch from 'picomatch';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
 import { EventEmitter } from 'events';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_DEBOUNCE_MS = 2000;
+
+// Older changes are dropped when nobody polls GET /api/infrastructure/changes
+const MAX_BUFFERED_CHANGES = 1000;
 
-// Repository paths - these should match the mounted volumes in docker-compose.yml
-const REPO_PATHS = {
-  Core: '/mnt/apps/Core',
-  'Core.Common': '/mnt/apps/Core.Common',
-  Payments: '/mnt/apps/Payments',
-  PreCare: '/mnt/apps/PreCare',
-  ThirdPartyIntegrations: '/mnt/apps/ThirdPartyIntegrations'
+// Used when an application has no includePatterns
+const DEFAULT_INCLUDE_PATTERNS = {
+  dotnet: ['**/*.cs', '**/*.csproj'],
+  javascript: ['**/*.{js,jsx,ts,tsx,vue}']
 };
 
-class FileWatcher extends EventEmitter {
-  constructor() {
+const DEFAULT_EXCLUDE_PATHS = ['node_modules', 'bin', 'obj', 'dist', 'build', 'coverage'];
+
+/**
+ * Matcher for the files of one application that should be watched
+ */
+export function createFileMatcher(app) {
+  const includePatterns = app.includePatterns?.length
+    ? app.includePatterns
+    : DEFAULT_INCLUDE_PATTERNS[app.type] || DEFAULT_INCLUDE_PATTERNS.javascript;
+  const excludePaths = (app.excludePaths || DEFAULT_EXCLUDE_PATHS).map(p => p.replace(/\\/g, '/').replace(/\/+$/, ''));
+  const isIncluded = picomatch(includePatterns);
+
+  const isExcluded = (relativePath) => {
+    const segments = relativePath.split('/');
+    return segments.some(segment => segment.startsWith('.') || excludePaths.includes(segment)) ||
+      excludePaths.some(p => relativePath === p || relativePath.startsWith(`${p}/`));
+  };
+
+  return {
+    // Directories are only skipped when excluded; files must also be included
+    ignores(filePath, stats) {
+      const relativePath = toRelative(app.path, filePath);
+      if (relativePath === '') return false;
+      if (relativePath === null || isExcluded(relativePath)) return true;
+      return stats?.isFile() ? !isIncluded(relativePath) : false;
+    },
+    matches(filePath) {
+      const relativePath = toRelative(app.path, filePath);
+      return Boolean(relativePath) && !isExcluded(relativePath) && isIncluded(relativePath);
+    }
+  };
+}
+
+function toRelative(root, filePath) {
+  const relativePath = path.relative(root, filePath);
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) return null;
+  return relativePath.split(path.sep).join('/');
+}
+
+export class FileWatcher extends EventEmitter {
+  constructor(options = {}) {
     super();
+    this.configPath = options.configPath || process.env.CONFIG_PATH || '/app/config/apps.json';
+    this.debounceMs = options.debounceMs ?? (Number(process.env.FILE_WATCH_DEBOUNCE_MS) || DEFAULT_DEBOUNCE_MS);
+    this.awaitWriteFinish = options.awaitWriteFinish ?? true;
+    this.apps = [];
+    this.watchers = new Map();
+    this.pending = new Map();
     this.changes = [];
     this.lastScan = new Date();
-    this.watcher = null;
     this.enabled = false;
   }
 
   /**
-   * Start watching repositories
+   * Applications from apps.json, or none when it can't be read
+   */
+  loadApps() {
+    try {
+      const config = JSON.parse(readFileSync(this.configPath, 'utf-8'));
+      return (config.applications || []).filter(app => app.name && app.path);
+    } catch (error) {
+      logger.error(`File watcher could not read ${this.configPath}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Start watching every configured application whose path exists
    */
   start() {
-    if (this.watcher) {
+    if (this.enabled) {
       logger.warn('File watcher already running');
       return;
     }
 
-    try {
-      // Build watch patterns for all repos
-      const watchPatterns = Object.entries(REPO_PATHS).map(([name, path]) => {
-        return `${path}/**/*.cs`; // Watch all C# files
-      });
-
-      logger.info(`Starting file watcher for ${Object.keys(REPO_PATHS).length} repositories`);
-
-      this.watcher = chokidar.watch(watchPatterns, {
-        ignored: /(^|[\/\\])\../, // Ignore dotfiles
-        persistent: true,
-        ignoreInitial: true, // Don't fire events for existing files on startup
-        awaitWriteFinish: {
-          stabilityThreshold: 2000, // Wait 2s after last change
-          pollInterval: 100
-        }
-      });
-
-      this.watcher
-        .on('change', (path) => {
-          const repo = this.getRepoFromPath(path);
-          logger.info(`File changed: ${path} (${repo})`);
-
-          this.changes.push({
-            type: 'modified',
-            file: path,
-            repo,
-            timestamp: new Date()
-          });
-
-          // Emit change event for other services to listen to
-          this.emit('fileChanged', { repo, path, type: 'modified' });
-        })
-        .on('add', (path) => {
-          const repo = this.getRepoFromPath(path);
-          logger.info(`File added: ${path} (${repo})`);
-
-          this.changes.push({
-            type: 'added',
-            file: path,
-            repo,
-            timestamp: new Date()
-          });
-
-          this.emit('fileChanged', { repo, path, type: 'added' });
-        })
-        .on('unlink', (path) => {
-          const repo = this.getRepoFromPath(path);
-          logger.info(`File removed: ${path} (${repo})`);
-
-          this.changes.push({
-            type: 'removed',
-            file: path,
-            repo,
-            timestamp: new Date()
-          });
-
-          this.emit('fileChanged', { repo, path, type: 'removed' });
-        })
-        .on('error', (error) => {
-          logger.error('File watcher error:', error);
+    this.apps = this.loadApps();
+
+    for (const app of this.apps) {
+      if (!existsSync(app.path)) {
+        logger.warn(`File watcher skipping ${app.name}: ${app.path} does not exist`);
+        continue;
+      }
+
+      try {
+        const matcher = createFileMatcher(app);
+        const watcher = chokidar.watch(app.path, {
+          ignored: (filePath, stats) => matcher.ignores(filePath, stats),
+          persistent: true,
+          ignoreInitial: true, // Don't fire events for existing files on startup
+          awaitWriteFinish: this.awaitWriteFinish && {
+            stabilityThreshold: 2000, // Wait 2s after last write
+            pollInterval: 100
+          }
         });
 
-      this.enabled = true;
-      logger.info('File watcher started successfully');
-    } catch (error) {
-      logger.error('Failed to start file watcher:', error);
-      this.enabled = false;
+        watcher
+          .on('add', filePath => this.record(app, matcher, filePath, 'added'))
+          .on('change', filePath => this.record(app, matcher, filePath, 'modified'))
+          .on('unlink', filePath => this.record(app, matcher, filePath, 'removed'))
+          .on('error', error => logger.error(`File watcher error (${app.name}):`, error));
+
+        this.watchers.set(app.name, watcher);
+      } catch (error) {
+        logger.error(`Failed to watch ${app.name}:`, error);
+      }
     }
+
+    this.enabled = this.watchers.size > 0;
+    logger.info(`File watcher started for ${this.watchers.size} of ${this.apps.length} applications`);
   }
 
   /**
-   * Stop watching
+   * Stop watching and drop batches that haven't been emitted
    */
   async stop() {
-    if (this.watcher) {
-      await this.watcher.close();
-      this.watcher = null;
-      this.enabled = false;
+    for (const { timer } of this.pending.values()) {
+      clearTimeout(timer);
+    }
+    this.pending.clear();
+
+    await Promise.all([...this.watchers.values()].map(watcher => watcher.close()));
+    if (this.watchers.size > 0) {
       logger.info('File watcher stopped');
     }
+    this.watchers.clear();
+    this.enabled = false;
+  }
+
+  /**
+   * Record a change and (re)start the app's debounce timer
+   */
+  record(app, matcher, filePath, type) {
+    if (!matcher.matches(filePath)) return;
+
+    logger.info(`File ${type}: ${filePath} (${app.name})`);
+
+    this.changes.push({ type, file: filePath, repo: app.name, timestamp: new Date() });
+    if (this.changes.length > MAX_BUFFERED_CHANGES) {
+      this.changes.splice(0, this.changes.length - MAX_BUFFERED_CHANGES);
+    }
+    this.emit('fileChanged', { app: app.name, repo: app.name, path: filePath, type });
+
+    const batch = this.pending.get(app.name) || { app, files: new Map() };
+    batch.files.set(filePath, mergeChangeType(batch.files.get(filePath), type));
+    clearTimeout(batch.timer);
+    batch.timer = setTimeout(() => this.flush(app.name), this.debounceMs);
+    this.pending.set(app.name, batch);
+  }
+
+  /**
+   * Emit the pending batch for an application
+   */
+  flush(appName) {
+    const batch = this.pending.get(appName);
+    if (!batch) return;
+
+    clearTimeout(batch.timer);
+    this.pending.delete(appName);
+
+    const files = [...batch.files].map(([filePath, type]) => ({
+      path: filePath,
+      relativePath: toRelative(batch.app.path, filePath),
+      type
+    }));
+
+    logger.info(`File watcher batch for ${appName}: ${files.length} file(s)`);
+    this.emit('batch', { app: appName, type: batch.app.type, files });
   }
 
   /**
@@ -127,15 +207,28 @@ class FileWatcher extends EventEmitter {
   }
 
   /**
-   * Get repository name from file path
+   * Get application name from file path
    */
   getRepoFromPath(filePath) {
-    for (const [name, path] of Object.entries(REPO_PATHS)) {
-      if (filePath.startsWith(path)) {
-        return name;
-      }
-    }
-    return 'unknown';
+    const app = this.apps.find(a => toRelative(a.path, filePath) !== null);
+    return app ? app.name : 'unknown';
+  }
+
+  /**
+   * Watched applications and pending batch sizes
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      debounceMs: this.debounceMs,
+      apps: this.apps.map(app => ({
+        name: app.name,
+        type: app.type,
+        path: app.path,
+        watching: this.watchers.has(app.name),
+        pendingFiles: this.pending.get(app.name)?.files.size || 0
+      }))
+    };
   }
 
   /**
@@ -160,5 +253,15 @@ class FileWatcher extends EventEmitter {
   }
 }
 
+/**
+ * Combine two changes to the same file within one batch
+ */
+function mergeChangeType(previous, next) {
+  if (!previous) return next;
+  if (previous === 'added' && next === 'modified') return 'added';
+  if (previous === 'removed' && next === 'added') return 'modified';
+  return next;
+}
+
 // Export singleton instance
 export const fileWatcher = new FileWatcher();
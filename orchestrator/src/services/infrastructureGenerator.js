@@ -0,0 +1,640 @@
+/**
+ * Infrastructure Generator
+ * Builds the infrastructure dashboard's `infrastructureData` from what the
+ * stack discovers, instead of the hand-maintained data/carePaymentApps.js:
+ *
+ *   config/apps.json                        applications, repository, tech
+ *   integration-mapper /map-integrations    integrations found in code
+ *   integration-mapper /map-environments    integration hosts per environment
+ *   Swagger specs                           endpoints of each application
+ *
+ * Every generation that changes something is saved as a numbered version
+ * under the data directory, so the changes between two can be listed.
+ * Manual overrides (config/infrastructure-overrides.json) are layered on top
+ * when the data is served: colors, descriptions, the apps' own base URLs,
+ * Swagger URLs and anything else that can't be discovered.
+ */
+
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { logger } from "../utils/logger.js";
+import { fetchSwaggerSpec } from "../utils/resilientFetch.js";
+
+// integration-mapper types -> dashboard integration types
+const INTEGRATION_TYPES = {
+  financial: "payment",
+  epic: "api",
+  queue: "cloud",
+  messaging: "email",
+  background: "background",
+  database: "database",
+  external: "external",
+  internal: "service",
+};
+
+const TYPE_COLORS = {
+  payment: "text-green-700",
+  api: "text-purple-600",
+  cloud: "text-blue-600",
+  email: "text-pink-600",
+  background: "text-yellow-600",
+  database: "text-gray-600",
+  external: "text-orange-600",
+  service: "text-indigo-600",
+};
+
+const HTTP_METHODS = [
+  "get",
+  "post",
+  "put",
+  "patch",
+  "delete",
+  "head",
+  "options",
+];
+
+// Keys of configured integrations whose second section names the integration
+const NAMED_SECTIONS = ["connectionstrings", "endpoint"];
+
+/**
+ * Key of an application in infrastructureData, e.g. "Core.Common" -> "corecommon".
+ * An app's `infrastructureKey` in apps.json overrides it.
+ */
+export function applicationKey(appConfig) {
+  return appConfig.infrastructureKey || slug(appConfig.name);
+}
+
+function slug(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Human-readable target framework, e.g. "net48" -> ".NET Framework 4.8"
+ */
+export function describeFramework(framework) {
+  const legacy = /^net(\d)(\d+)$/.exec(framework || "");
+  if (legacy) return `.NET Framework ${legacy[1]}.${legacy[2]}`;
+
+  const core = /^net(?:coreapp)?(\d+\.\d+)$/.exec(framework || "");
+  if (core) {
+    return `${framework.startsWith("netcoreapp") ? ".NET Core" : ".NET"} ${core[1]}`;
+  }
+
+  return framework || "";
+}
+
+/**
+ * Dashboard integrations from integration-mapper results
+ *
+ * Configured integrations are grouped by the first section of their key
+ * ("Payeezy:BaseUrl" -> payeezy) and carry their URL per environment. Code
+ * detections join the configured integration on the same host or key
+ * section; otherwise HTTP calls are grouped by host, library usage by
+ * library and anything else by type.
+ *
+ * @param {Array} codeIntegrations - /map-integrations result.integrations
+ * @param {Array} configIntegrations - /map-environments result.integrations
+ * @param {string} appPath - Reported file paths are relative to it
+ * @returns {Object} Integrations keyed by ID, sorted
+ */
+export function buildIntegrations(
+  codeIntegrations = [],
+  configIntegrations = [],
+  appPath = "",
+) {
+  const integrations = {};
+  const byHost = new Map();
+
+  const entry = (id, name, mapperType) => {
+    if (!integrations[id]) {
+      const type = INTEGRATION_TYPES[mapperType] || "service";
+      integrations[id] = {
+        name,
+        type,
+        color: TYPE_COLORS[type],
+        purpose: "",
+        detectedBy: [],
+        files: [],
+      };
+    }
+    return integrations[id];
+  };
+  const addUnique = (list, value) => {
+    if (value && !list.includes(value)) list.push(value);
+  };
+
+  for (const { key, type, environments } of configIntegrations) {
+    const sections = key.split(":");
+    const name =
+      NAMED_SECTIONS.includes(sections[0].toLowerCase()) && sections[1]
+        ? sections[1]
+        : sections[0];
+    const integration = entry(slug(name), name, type);
+
+    addUnique(integration.detectedBy, "Config file");
+    integration.configuration = integration.configuration || {};
+    integration.configuration[key] = [
+      ...new Set(Object.values(environments).map((e) => e.file)),
+    ].join(", ");
+
+    for (const [environment, resolved] of Object.entries(environments)) {
+      byHost.set(resolved.host, slug(name));
+      addUnique(integration.files, resolved.file);
+      if (resolved.database) {
+        integration.databases = integration.databases || [];
+        addUnique(integration.databases, resolved.database);
+      }
+      if (environment === "base") {
+        integration.baseUrl = resolved.target;
+      } else {
+        integration.baseUrls = integration.baseUrls || {};
+        integration.baseUrls[environment] = resolved.target;
+      }
+    }
+  }
+
+  for (const detected of codeIntegrations) {
+    if (detected.method === "Config file") continue;
+
+    let integration;
+    if (detected.url) {
+      let host;
+      try {
+        host = new URL(detected.url).hostname.toLowerCase();
+      } catch {
+        host = detected.url;
+      }
+      integration = byHost.has(host)
+        ? integrations[byHost.get(host)]
+        : entry(slug(host), host, detected.type);
+      integration.baseUrl = integration.baseUrl || detected.url;
+    } else if (detected.configKey) {
+      const section = detected.configKey.split(":")[0];
+      integration = entry(slug(section), section, detected.type);
+    } else if (detected.method === "Library" && detected.pattern) {
+      integration = entry(
+        slug(detected.pattern),
+        detected.pattern,
+        detected.type,
+      );
+    } else {
+      const type = detected.type || "unknown";
+      integration = entry(
+        slug(type),
+        type.charAt(0).toUpperCase() + type.slice(1),
+        type,
+      );
+    }
+
+    addUnique(integration.detectedBy, detected.method);
+    addUnique(
+      integration.files,
+      detected.file && appPath
+        ? path.relative(appPath, detected.file)
+        : detected.file,
+    );
+  }
+
+  return Object.fromEntries(
+    Object.keys(integrations)
+      .sort()
+      .map((id) => {
+        const integration = integrations[id];
+        integration.files.sort();
+        integration.purpose = `Discovered via ${integration.detectedBy.join(", ")}`;
+        return [id, integration];
+      }),
+  );
+}
+
+/**
+ * Endpoints of a Swagger 2 / OpenAPI 3 spec
+ * @returns {Array<{method: string, path: string, purpose: string}>}
+ */
+export function endpointsFromSpec(spec) {
+  const endpoints = [];
+
+  for (const [route, operations] of Object.entries(spec?.paths || {})) {
+    for (const [method, operation] of Object.entries(operations || {})) {
+      if (!HTTP_METHODS.includes(method)) continue;
+      endpoints.push({
+        method: method.toUpperCase(),
+        path: route,
+        purpose: operation?.summary || operation?.operationId || "",
+      });
+    }
+  }
+
+  return endpoints.sort(
+    (a, b) => a.path.localeCompare(b.path) || a.method.localeCompare(b.method),
+  );
+}
+
+/**
+ * Layer overrides onto data: objects merge, anything else replaces, and a
+ * null override removes the key
+ */
+export function applyOverrides(data, overrides) {
+  if (!isPlainObject(data) || !isPlainObject(overrides)) {
+    return overrides === undefined ? data : overrides;
+  }
+
+  const merged = { ...data };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === null) {
+      delete merged[key];
+    } else {
+      merged[key] = applyOverrides(data[key], value);
+    }
+  }
+  return merged;
+}
+
+function diffValues(before, after, valuePath, changes) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      diffValues(
+        before[key],
+        after[key],
+        valuePath ? `${valuePath}.${key}` : key,
+        changes,
+      );
+    }
+  } else if (Array.isArray(before) && Array.isArray(after)) {
+    const beforeItems = new Set(before.map((item) => JSON.stringify(item)));
+    const afterItems = new Set(after.map((item) => JSON.stringify(item)));
+    const added = after.filter(
+      (item) => !beforeItems.has(JSON.stringify(item)),
+    );
+    const removed = before.filter(
+      (item) => !afterItems.has(JSON.stringify(item)),
+    );
+    if (added.length > 0 || removed.length > 0) {
+      changes.push({ path: valuePath, change: "items", added, removed });
+    }
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    const change =
+      before === undefined
+        ? "added"
+        : after === undefined
+          ? "removed"
+          : "changed";
+    changes.push({ path: valuePath, change, before, after });
+  }
+  return changes;
+}
+
+/**
+ * What changed between two generations of infrastructure data
+ *
+ * Lists are compared as sets, so reordering isn't a change.
+ *
+ * @returns {{added: string[], removed: string[], changed: Object, unchanged: boolean}}
+ *   `changed` maps an application key to its changes:
+ *   { path, change: "added"|"removed"|"changed", before, after } or
+ *   { path, change: "items", added, removed } for lists
+ */
+export function diffInfrastructure(before = {}, after = {}) {
+  const beforeApps = before.applications || {};
+  const afterApps = after.applications || {};
+
+  const added = Object.keys(afterApps).filter((key) => !(key in beforeApps));
+  const removed = Object.keys(beforeApps).filter((key) => !(key in afterApps));
+  const changed = {};
+
+  for (const key of Object.keys(afterApps)) {
+    if (!(key in beforeApps)) continue;
+    const changes = diffValues(beforeApps[key], afterApps[key], "", []);
+    if (changes.length > 0) changed[key] = changes;
+  }
+
+  return {
+    added,
+    removed,
+    changed,
+    unchanged:
+      added.length === 0 &&
+      removed.length === 0 &&
+      Object.keys(changed).length === 0,
+  };
+}
+
+function hashApplications(applications) {
+  return createHash("sha1")
+    .update(JSON.stringify(applications))
+    .digest("hex")
+    .slice(0, 12);
+}
+
+export class InfrastructureGenerator {
+  constructor(options = {}) {
+    this.dataDir =
+      options.dataDir || process.env.INFRASTRUCTURE_DATA_DIR || "/app/data";
+    this.configPath =
+      options.configPath || process.env.CONFIG_PATH || "/app/config/apps.json";
+    this.overridesPath =
+      options.overridesPath ||
+      process.env.INFRASTRUCTURE_OVERRIDES_PATH ||
+      path.join(path.dirname(this.configPath), "infrastructure-overrides.json");
+    this.versionsDir = path.join(this.dataDir, "infrastructure");
+    this.fetchSwagger =
+      options.fetchSwagger ||
+      (async (url) => (await fetchSwaggerSpec(url)).data);
+    // Generations run one at a time, so each numbers its version after the last
+    this.queue = Promise.resolve();
+  }
+
+  async loadApps() {
+    const config = JSON.parse(await fs.readFile(this.configPath, "utf-8"));
+    return config.applications || [];
+  }
+
+  /**
+   * Manual overrides, { applications: { key: partial application } }
+   */
+  async loadOverrides() {
+    try {
+      return JSON.parse(await fs.readFile(this.overridesPath, "utf-8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return {};
+      throw new Error(
+        `Invalid infrastructure overrides ${this.overridesPath}: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Numbers of the saved versions from their file names, oldest first
+   */
+  async versionNumbers() {
+    let files;
+    try {
+      files = await fs.readdir(this.versionsDir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    return files
+      .map((file) => /^v(\d+)\.json$/.exec(file))
+      .filter(Boolean)
+      .map((match) => Number(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Saved versions, oldest first
+   * @returns {Promise<Array<{version: number, generatedAt: string, hash: string, applications: number}>>}
+   */
+  async listVersions() {
+    const versions = [];
+    for (const version of await this.versionNumbers()) {
+      const saved = await this.getVersion(version);
+      if (saved) {
+        versions.push({
+          version: saved.version,
+          generatedAt: saved.generatedAt,
+          hash: saved.hash,
+          applications: Object.keys(saved.data.applications || {}).length,
+          errors: saved.errors.length,
+        });
+      }
+    }
+    return versions;
+  }
+
+  /**
+   * A saved version, or the latest with "latest"
+   * @returns {Promise<Object|null>} { version, generatedAt, hash, errors, data }
+   */
+  async getVersion(version) {
+    if (version === "latest") {
+      // Only the newest readable file is parsed
+      for (const number of (await this.versionNumbers()).reverse()) {
+        const saved = await this.getVersion(number);
+        if (saved) return saved;
+      }
+      return null;
+    }
+
+    try {
+      const content = await fs.readFile(
+        path.join(this.versionsDir, `v${Number(version)}.json`),
+        "utf-8",
+      );
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      logger.warn(
+        `Skipping unreadable infrastructure version ${version}: ${error.message}`,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * The latest generated data with the overrides layered on top
+   * @returns {Promise<Object|null>} { version, generatedAt, data }, null before the first generation
+   */
+  async getServedData() {
+    const latest = await this.getVersion("latest");
+    if (!latest) return null;
+
+    return {
+      version: latest.version,
+      generatedAt: latest.generatedAt,
+      data: applyOverrides(latest.data, await this.loadOverrides()),
+    };
+  }
+
+  /**
+   * Generate one application. A source that fails keeps what the previous
+   * version had, so an unreachable MCP doesn't read as removed integrations.
+   */
+  async generateApplication(appConfig, context) {
+    const { mcpManager, analysisCache, overrides, previous } = context;
+    const key = applicationKey(appConfig);
+    const errors = [];
+    const fail = (source, error) => {
+      logger.warn(
+        `Infrastructure generation: ${source} failed for ${appConfig.name}: ${error.message}`,
+      );
+      errors.push({ app: appConfig.name, source, error: error.message });
+    };
+
+    const application = {
+      name: appConfig.displayName || appConfig.name,
+      repository: appConfig.name,
+      tech: describeFramework(appConfig.framework),
+      color: "bg-gray-500",
+      framework: /^net\d+$/.test(appConfig.framework || "")
+        ? "ASP.NET"
+        : "ASP.NET Core",
+      deployment: "",
+      baseUrl: "",
+      authentication: "",
+      features: [],
+      integrations: {},
+    };
+
+    try {
+      const mapped =
+        analysisCache?.get(appConfig.name, "integrations") ||
+        (await mcpManager.callDockerMcp(
+          "integrationMapper",
+          "/map-integrations",
+          {
+            app: appConfig.name,
+          },
+        ));
+      const environments = await mcpManager.callDockerMcp(
+        "integrationMapper",
+        "/map-environments",
+        { app: appConfig.name },
+      );
+
+      application.integrations = buildIntegrations(
+        mapped.result?.integrations,
+        environments.result?.integrations,
+        appConfig.path,
+      );
+      application.configMismatches = environments.result?.mismatches || [];
+    } catch (error) {
+      fail("integrations", error);
+      application.integrations = previous?.integrations || {};
+      application.configMismatches = previous?.configMismatches || [];
+    }
+
+    const swaggerUrl = overrides.applications?.[key]?.swagger?.url;
+    if (swaggerUrl) {
+      try {
+        const spec = await this.fetchSwagger(swaggerUrl);
+        application.swagger = {
+          enabled: true,
+          url: swaggerUrl,
+          version: spec?.info?.version || "",
+          endpoints: endpointsFromSpec(spec),
+        };
+      } catch (error) {
+        fail("swagger", error);
+        if (previous?.swagger) application.swagger = previous.swagger;
+      }
+    }
+
+    return { key, application, errors };
+  }
+
+  /**
+   * Generate infrastructure data for every app in apps.json and save it as a
+   * new version when it differs from the latest
+   *
+   * @param {Object} options
+   * @param {Object} options.mcpManager
+   * @param {Object} [options.analysisCache] - Cached integration-mapper results are reused
+   * @param {string[]} [options.apps] - Only regenerate these apps; the rest are kept
+   * @returns {Promise<Object>} { version, generatedAt, unchanged, errors, diff }
+   */
+  generate(options = {}) {
+    const run = this.queue.then(() => this.runGeneration(options));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async runGeneration({ mcpManager, analysisCache, apps }) {
+    const [appConfigs, overrides, latest] = await Promise.all([
+      this.loadApps(),
+      this.loadOverrides(),
+      this.getVersion("latest"),
+    ]);
+    const previousApps = latest?.data.applications || {};
+
+    const applications = {};
+    const errors = [];
+    for (const appConfig of appConfigs) {
+      const key = applicationKey(appConfig);
+      if (apps && !apps.includes(appConfig.name)) {
+        if (previousApps[key]) applications[key] = previousApps[key];
+        continue;
+      }
+
+      const generated = await this.generateApplication(appConfig, {
+        mcpManager,
+        analysisCache,
+        overrides,
+        previous: previousApps[key],
+      });
+      applications[key] = generated.application;
+      errors.push(...generated.errors);
+    }
+
+    const hash = hashApplications(applications);
+    const diff = diffInfrastructure(latest?.data, { applications });
+    if (latest && latest.hash === hash) {
+      return {
+        version: latest.version,
+        generatedAt: latest.generatedAt,
+        unchanged: true,
+        errors,
+        diff,
+      };
+    }
+
+    const saved = {
+      version: (latest?.version || 0) + 1,
+      generatedAt: new Date().toISOString(),
+      hash,
+      errors,
+      data: { applications, lastUpdated: new Date().toISOString() },
+    };
+    await fs.mkdir(this.versionsDir, { recursive: true });
+    // wx: never overwrite a version another orchestrator saved meanwhile
+    await fs.writeFile(
+      path.join(this.versionsDir, `v${saved.version}.json`),
+      JSON.stringify(saved, null, 2),
+      { encoding: "utf-8", flag: "wx" },
+    );
+    logger.info(
+      `Generated infrastructure data version ${saved.version} (${Object.keys(applications).length} applications)`,
+    );
+
+    return {
+      version: saved.version,
+      generatedAt: saved.generatedAt,
+      unchanged: false,
+      errors,
+      diff,
+    };
+  }
+
+  /**
+   * Changes between two saved versions
+   * @param {Object} [options]
+   * @param {number} [options.from] - Defaults to the version before `to`
+   * @param {number} [options.to] - Defaults to the latest
+   * @returns {Promise<Object|null>} null when either version doesn't exist
+   */
+  async diff({ from, to } = {}) {
+    const target = await this.getVersion(to ?? "latest");
+    if (!target) return null;
+
+    const baseline = await this.getVersion(from ?? target.version - 1);
+    if (!baseline) return null;
+
+    return {
+      from: { version: baseline.version, generatedAt: baseline.generatedAt },
+      to: { version: target.version, generatedAt: target.generatedAt },
+      ...diffInfrastructure(baseline.data, target.data),
+    };
+  }
+}
+
+// Export singleton instance
+export const infrastructureGenerator = new InfrastructureGenerator();
@@ -0,0 +1,409 @@
+/**
+ * Job Queue
+ * Runs long orchestrator workflows in the background so requests return a
+ * job ID immediately instead of holding the HTTP connection open.
+ *
+ * A job replays the workflow route against this orchestrator over loopback
+ * HTTP with the job's ID and token. The job context middleware then runs the
+ * route inside the job (AsyncLocalStorage), so every MCP call it makes is
+ * recorded as a step with its result, gets the longer job timeout and is
+ * aborted when the job is cancelled. Routes may report extra progress
+ * through currentJob().
+ *
+ * The queue is in-process (no Redis). Jobs can optionally be persisted to the
+ * data directory so they survive restarts; jobs interrupted by a restart are
+ * marked failed and can be retried.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+import { EventEmitter } from "events";
+import { promises as fs } from "fs";
+import path from "path";
+import axios from "axios";
+import { logger } from "../utils/logger.js";
+import { currentTraceparent } from "./tracing.js";
+
+export const JOB_STATUSES = [
+  "queued",
+  "running",
+  "succeeded",
+  "failed",
+  "cancelled",
+];
+const FINISHED = ["succeeded", "failed", "cancelled"];
+
+// Step results larger than this are stored as a size note
+const MAX_STEP_RESULT_BYTES = 100000;
+
+const jobContext = new AsyncLocalStorage();
+
+/**
+ * Handle of the job the current request runs in, or undefined outside jobs
+ */
+export function currentJob() {
+  return jobContext.getStore();
+}
+
+export function isFinished(job) {
+  return FINISHED.includes(job.status);
+}
+
+function storableResult(result) {
+  if (result === undefined) return null;
+  const size = Buffer.byteLength(JSON.stringify(result) || "");
+  return size > MAX_STEP_RESULT_BYTES ? { truncated: true, size } : result;
+}
+
+/**
+ * Replay a job's request against the orchestrator over loopback HTTP
+ */
+export function createLoopbackRunner(baseUrl) {
+  return async (job, { signal, token }) => {
+    const response = await axios({
+      method: job.request.method,
+      url: `${baseUrl}${job.request.path}`,
+      data: job.request.body,
+      headers: {
+        ...job.request.headers,
+        "X-Job-Id": job.id,
+        "X-Job-Token": token,
+      },
+      signal,
+    });
+    return response.data;
+  };
+}
+
+export class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.runner] - async (job, { signal, token }) => result
+   * @param {number} [options.concurrency] - Jobs run at once
+   * @param {boolean} [options.persist] - Save jobs to the data directory
+   * @param {string} [options.dataDir]
+   * @param {number} [options.maxJobs] - Finished jobs kept, oldest dropped first
+   */
+  constructor(options = {}) {
+    super();
+    this.runner =
+      options.runner ||
+      createLoopbackRunner(`http://127.0.0.1:${process.env.PORT || 3000}`);
+    this.concurrency =
+      options.concurrency || parseInt(process.env.JOB_CONCURRENCY || "2", 10);
+    this.persist = options.persist ?? process.env.JOB_PERSISTENCE === "true";
+    this.dataDir = options.dataDir || process.env.JOB_DATA_DIR || "/app/data";
+    this.filePath = path.join(this.dataDir, "jobs.json");
+    this.maxJobs = options.maxJobs || 200;
+
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = new Map(); // id -> { controller, token }
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Restore persisted jobs; jobs that were queued or running are failed
+   */
+  async load() {
+    if (!this.persist) return;
+
+    try {
+      const jobs = JSON.parse(await fs.readFile(this.filePath, "utf-8"));
+      for (const job of jobs) {
+        if (!isFinished(job)) {
+          job.status = "failed";
+          job.error = { message: "Interrupted by an orchestrator restart" };
+          job.finishedAt = new Date().toISOString();
+        }
+        this.jobs.set(job.id, job);
+      }
+      logger.info(`Restored ${jobs.length} jobs from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.warn(`Could not restore jobs: ${error.message}`);
+      }
+    }
+  }
+
+  save() {
+    if (!this.persist) return this.saving;
+
+    const jobs = [...this.jobs.values()];
+    this.saving = this.saving
+      .then(async () => {
+        await fs.mkdir(this.dataDir, { recursive: true });
+        await fs.writeFile(this.filePath, JSON.stringify(jobs), "utf-8");
+      })
+      .catch((error) => logger.warn(`Could not save jobs: ${error.message}`));
+    return this.saving;
+  }
+
+  update(job, changes = {}) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.emit("update", job);
+    if (changes.status) this.save();
+  }
+
+  /**
+   * Queue a workflow
+   *
+   * @param {Object} spec
+   * @param {string} spec.type - Workflow name, e.g. "playwright.full-automation"
+   * @param {Object} spec.request - { method, path, body } of the workflow route
+   * @param {string} [spec.retryOf] - ID of the job this one retries
+   * @param {number} [spec.attempt]
+   */
+  enqueue({ type, request, retryOf = null, attempt = 1 }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: randomUUID(),
+      type,
+      status: "queued",
+      request,
+      attempt,
+      retryOf,
+      progress: { completedSteps: 0, totalSteps: null, message: "Queued" },
+      steps: [],
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    this.prune();
+    this.emit("update", job);
+    this.save();
+    logger.info(`Job ${job.id} queued (${type})`);
+
+    this.drain();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Jobs, newest first
+   */
+  list({ status, type, limit = 50 } = {}) {
+    return [...this.jobs.values()]
+      .filter(
+        (j) => (!status || j.status === status) && (!type || j.type === type),
+      )
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Cancel a queued or running job
+   *
+   * @returns {Object|null} The job, or null if unknown
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || isFinished(job)) return job || null;
+
+    if (job.status === "queued") {
+      this.queue = this.queue.filter((queuedId) => queuedId !== id);
+    } else {
+      this.running.get(id)?.controller.abort();
+    }
+
+    this.finish(job, "cancelled", { error: { message: "Cancelled" } });
+    return job;
+  }
+
+  /**
+   * Queue a failed or cancelled job again as a new job
+   *
+   * @returns {Object|null} The new job, or null if the job cannot be retried
+   */
+  retry(id) {
+    const job = this.jobs.get(id);
+    if (!job || !["failed", "cancelled"].includes(job.status)) return null;
+
+    return this.enqueue({
+      type: job.type,
+      request: job.request,
+      retryOf: job.id,
+      attempt: job.attempt + 1,
+    });
+  }
+
+  /**
+   * Job handle for the request running the job, if the token matches
+   */
+  handleFor(id, token) {
+    const running = this.running.get(id);
+    if (!running || running.token !== token) return undefined;
+
+    const job = this.jobs.get(id);
+    return {
+      id,
+      signal: running.controller.signal,
+      // Lets nested calls back into the orchestrator run inside this job
+      headers: { "X-Job-Id": id, "X-Job-Token": token },
+      progress: (message, { completedSteps, totalSteps } = {}) =>
+        this.update(job, {
+          progress: {
+            completedSteps: completedSteps ?? job.progress.completedSteps,
+            totalSteps: totalSteps ?? job.progress.totalSteps,
+            message,
+          },
+        }),
+      startStep: (name) => this.startStep(job, name),
+    };
+  }
+
+  /**
+   * Record a step; returns done(result) and fail(error) to close it
+   */
+  startStep(job, name) {
+    const step = {
+      name,
+      status: "running",
+      startedAt: new Date().toISOString(),
+      duration: null,
+      result: null,
+      error: null,
+    };
+    const startTime = Date.now();
+    job.steps.push(step);
+    this.update(job, { progress: { ...job.progress, message: name } });
+
+    const close = (changes) => {
+      Object.assign(step, changes, { duration: Date.now() - startTime });
+      this.update(job, {
+        progress: {
+          ...job.progress,
+          completedSteps: job.steps.filter((s) => s.status !== "running")
+            .length,
+        },
+      });
+    };
+
+    return {
+      done: (result) =>
+        close({ status: "succeeded", result: storableResult(result) }),
+      fail: (error) => close({ status: "failed", error: error.message }),
+    };
+  }
+
+  finish(job, status, changes = {}) {
+    this.update(job, {
+      ...changes,
+      status,
+      finishedAt: new Date().toISOString(),
+      progress: { ...job.progress, message: status },
+    });
+    logger.info(`Job ${job.id} ${status}`);
+  }
+
+  drain() {
+    while (this.running.size < this.concurrency && this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift());
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    const controller = new AbortController();
+    const token = randomUUID();
+    this.running.set(job.id, { controller, token });
+    this.update(job, {
+      status: "running",
+      startedAt: new Date().toISOString(),
+    });
+
+    try {
+      const result = await this.runner(job, {
+        signal: controller.signal,
+        token,
+      });
+      if (job.status === "running") {
+        this.finish(job, "succeeded", { result });
+      }
+    } catch (error) {
+      if (job.status === "running") {
+        this.finish(job, "failed", {
+          error: {
+            message: error.message,
+            status: error.response?.status,
+          },
+          // Workflow routes report partial progress in their error body
+          result: error.response?.data ?? null,
+        });
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.drain();
+    }
+  }
+
+  prune() {
+    const finished = [...this.jobs.values()]
+      .filter(isFinished)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    while (this.jobs.size > this.maxJobs && finished.length > 0) {
+      this.jobs.delete(finished.shift().id);
+    }
+  }
+}
+
+/**
+ * Run requests replayed by a job inside the job's context
+ */
+export function jobContextMiddleware(queue) {
+  return (req, res, next) => {
+    const id = req.get("X-Job-Id");
+    const handle = id && queue.handleFor(id, req.get("X-Job-Token"));
+    if (!handle) return next();
+
+    req.job = handle;
+    jobContext.run(handle, next);
+  };
+}
+
+/**
+ * Let a workflow route run as a job: with ?async=true or
+ * "Prefer: respond-async" it answers 202 with the job ID instead of waiting
+ *
+ * @param {string|Function} type - Job type, or (req) => type
+ */
+export function runAsJob(type) {
+  return (req, res, next) => {
+    const wantsAsync =
+      req.query.async === "true" ||
+      /respond-async/.test(req.get("Prefer") || "");
+    if (!wantsAsync || req.job) return next();
+
+    const url = new URL(req.originalUrl, "http://orchestrator");
+    url.searchParams.delete("async");
+
+    // The job's spans join the trace of the request that queued it
+    const traceparent = currentTraceparent();
+    const job = req.jobQueue.enqueue({
+      type: typeof type === "function" ? type(req) : type,
+      request: {
+        method: req.method.toLowerCase(),
+        path: `${url.pathname}${url.search}`,
+        body: req.body,
+        ...(traceparent ? { headers: { traceparent } } : {}),
+      },
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+    });
+  };
+}
@@ -1,113 +1,132 @@
 import { spawn } from "child_process";
+import { existsSync, readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
 import axios from "axios";
 import { logger } from "../utils/logger.js";
+import { currentJob } from "./jobQueue.js";
+import { formatTraceparent, startSpan } from "./tracing.js";
+import { StdioWorkerPool } from "./stdioWorkerPool.js";
+import { McpResilience } from "./mcpResilience.js";
 import { orchestratorApiSpec } from "../swagger/orchestrator-api-spec.js";
 
-export class MCPManager {
-  constructor() {
-    // Integration MCPs (8100-8199)
-    this.integrationMcps = {
-      azureDevOps: {
-        url: "http://azure-devops:8100",
-        status: "unknown",
-        category: "integration",
-      },
-      thirdParty: {
-        url: "http://third-party:8101",
-        status: "unknown",
-        category: "integration",
-      },
-      testPlanManager: {
-        url: "http://test-plan-manager:8102",
-        status: "unknown",
-        category: "integration",
-      },
-      browserControl: {
-        url: "http://browser-control-mcp:8103",
-        status: "unknown",
-        category: "integration",
-      },
-    };
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Registry file locations: mounted config in the container, repo config locally
+const REGISTRY_PATHS = [
+  "/app/config/mcp-registry.json",
+  path.resolve(__dirname, "../../../config/mcp-registry.json"),
+];
+
+/**
+ * MCP categories and the group each is reported under
+ * (ports: integration 8100-8199, code analysis 8200-8299,
+ * quality analysis 8300-8399, playwright 8400-8499)
+ */
+export const MCP_CATEGORIES = {
+  integration: { group: "integrationMcps", statusKey: "integration" },
+  "code-analysis": { group: "codeAnalysisMcps", statusKey: "codeAnalysis" },
+  "quality-analysis": {
+    group: "qualityAnalysisMcps",
+    statusKey: "qualityAnalysis",
+  },
+  playwright: { group: "playwrightMcps", statusKey: "playwright" },
+};
+
+const DEFAULT_SWAGGER_PATH = "/api-docs.json";
+
+// STDIO MCP sources: mounted mcps/ in the container, the repo locally
+export const MCPS_PATHS = [
+  "/app/mcps",
+  path.resolve(__dirname, "../../../mcps"),
+];
+
+/**
+ * Validate an MCP registration (registry file entry or self-registration)
+ *
+ * @returns {string[]} Validation errors, empty when the registration is valid
+ */
+export function validateMcpRegistration(registration) {
+  const errors = [];
+  const { name, url, category, version, swaggerPath, resilience } =
+    registration || {};
+
+  if (typeof name !== "string" || !/^[A-Za-z][\w-]*$/.test(name)) {
+    errors.push(
+      "name must start with a letter and contain only letters, digits, - and _",
+    );
+  } else if (name in Object.prototype) {
+    // MCPs are kept in plain objects, where these names are already taken
+    errors.push(`name ${name} is reserved`);
+  }
 
-    // Code Analysis MCPs (8200-8299)
-    this.codeAnalysisMcps = {
-      dotnetCodeAnalyzer: {
-        url: "http://code-analyzer:8200",
-        status: "unknown",
-        category: "code-analysis",
-      },
-      dotnetCoverageAnalyzer: {
-        url: "http://coverage-analyzer:8201",
-        status: "unknown",
-        category: "code-analysis",
-      },
-      blastRadiusAnalyzer: {
-        url: "http://blast-radius-analyzer:8202",
-        status: "unknown",
-        category: "code-analysis",
-      },
-      javascriptCodeAnalyzer: {
-        url: "http://javascript-code-analyzer:8204",
-        status: "unknown",
-        category: "code-analysis",
-      },
-      javascriptCoverageAnalyzer: {
-        url: "http://javascript-coverage-analyzer:8205",
-        status: "unknown",
-        category: "code-analysis",
-      },
-      migrationAnalyzer: {
-        url: "http://migration-analyzer:8203",
-        status: "unknown",
-        category: "code-analysis",
-      },
-    };
+  try {
+    if (!["http:", "https:"].includes(new URL(url).protocol)) {
+      errors.push("url must be an http(s) URL");
+    }
+  } catch {
+    errors.push("url must be an http(s) URL");
+  }
 
-    // Quality Analysis MCPs (8300-8399)
-    this.qualityAnalysisMcps = {
-      riskAnalyzer: {
-        url: "http://risk-analyzer:8300",
-        status: "unknown",
-        category: "quality-analysis",
-      },
-      integrationMapper: {
-        url: "http://integration-mapper:8301",
-        status: "unknown",
-        category: "quality-analysis",
-      },
-      testSelector: {
-        url: "http://test-selector:8302",
-        status: "unknown",
-        category: "quality-analysis",
-      },
-    };
+  if (!MCP_CATEGORIES[category]) {
+    errors.push(
+      `category must be one of: ${Object.keys(MCP_CATEGORIES).join(", ")}`,
+    );
+  }
 
-    // Playwright MCPs (8400-8499)
-    this.playwrightMcps = {
-      playwrightGenerator: {
-        url: "http://playwright-generator:8400",
-        status: "unknown",
-        category: "playwright",
-      },
-      playwrightAnalyzer: {
-        url: "http://playwright-analyzer:8401",
-        status: "unknown",
-        category: "playwright",
-      },
-      playwrightHealer: {
-        url: "http://playwright-healer:8402",
-        status: "unknown",
-        category: "playwright",
-      },
-    };
+  if (
+    version !== undefined &&
+    version !== null &&
+    typeof version !== "string"
+  ) {
+    errors.push("version must be a string");
+  }
 
-    // All MCPs combined for easy iteration
-    this.dockerMcps = {
-      ...this.integrationMcps,
-      ...this.codeAnalysisMcps,
-      ...this.qualityAnalysisMcps,
-      ...this.playwrightMcps,
-    };
+  if (
+    swaggerPath !== undefined &&
+    swaggerPath !== null &&
+    (typeof swaggerPath !== "string" || !swaggerPath.startsWith("/"))
+  ) {
+    errors.push("swaggerPath must be a path starting with /");
+  }
+
+  if (
+    resilience !== undefined &&
+    (typeof resilience !== "object" ||
+      resilience === null ||
+      Array.isArray(resilience))
+  ) {
+    errors.push("resilience must be an object");
+  }
+
+  return errors;
+}
+
+export class MCPManager {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.registryPath] - MCP registry file (defaults to
+   *   MCP_REGISTRY_PATH, then config/mcp-registry.json)
+   */
+  constructor(options = {}) {
+    // MCPs grouped by category; dockerMcps holds the same entries by name
+    this.integrationMcps = {};
+    this.codeAnalysisMcps = {};
+    this.qualityAnalysisMcps = {};
+    this.playwrightMcps = {};
+    this.dockerMcps = {};
+    // Long-lived STDIO MCP workers (stdioWorkers in the registry), by name
+    this.stdioPools = {};
+    // Retry, circuit breaker, bulkhead and fallback policy per MCP
+    this.resilience = {};
+    this.resilienceDefaults = {};
+
+    this.registryPath =
+      options.registryPath ||
+      process.env.MCP_REGISTRY_PATH ||
+      REGISTRY_PATHS.find((p) => existsSync(p)) ||
+      REGISTRY_PATHS[0];
+    this.loadRegistry();
 
     // Dashboard Services (nginx containers with health endpoints)
     this.dashboards = {
@@ -128,6 +147,186 @@ export class MCPManager {
     this.healthCheckInterval = null;
   }
 
+  /**
+   * Load MCPs from the registry file. A missing or unreadable file leaves the
+   * registry empty; MCPs can still self-register through POST /api/mcp/register.
+   */
+  loadRegistry() {
+    let entries = [];
+    let stdioWorkers = [];
+
+    try {
+      const registry = JSON.parse(readFileSync(this.registryPath, "utf-8"));
+      entries = registry.mcps || [];
+      stdioWorkers = registry.stdioWorkers || [];
+      this.resilienceDefaults = registry.resilience || {};
+    } catch (error) {
+      logger.warn(
+        `MCP registry ${this.registryPath} not loaded (${error.message}), waiting for MCPs to self-register`,
+      );
+      return;
+    }
+
+    for (const entry of entries) {
+      const errors = validateMcpRegistration(entry);
+      if (errors.length > 0) {
+        logger.warn(
+          `Skipping MCP registry entry ${entry?.name}: ${errors.join("; ")}`,
+        );
+        continue;
+      }
+      this.addMcp(entry, "registry");
+    }
+
+    for (const entry of stdioWorkers) {
+      this.addStdioWorkerPool(entry);
+    }
+
+    logger.info(
+      `Loaded ${Object.keys(this.dockerMcps).length} MCPs from ${this.registryPath}`,
+    );
+  }
+
+  addMcp({ name, url, category, version, swaggerPath, resilience }, source) {
+    const mcp = {
+      url: url.replace(/\/+$/, ""),
+      status: "unknown",
+      category,
+      version: version || null,
+      swaggerPath: swaggerPath || DEFAULT_SWAGGER_PATH,
+      source,
+      registeredAt: new Date().toISOString(),
+    };
+
+    this[MCP_CATEGORIES[category].group][name] = mcp;
+    this.dockerMcps[name] = mcp;
+
+    // Re-registering keeps the MCP's circuit and bulkhead state
+    if (!this.resilience[name] || resilience) {
+      this.resilience[name] = new McpResilience(name, {
+        ...this.resilienceDefaults,
+        ...resilience,
+      });
+    }
+    return mcp;
+  }
+
+  /**
+   * Set up a worker pool for a STDIO MCP that supports --worker mode. The
+   * workers start on the first call.
+   *
+   * @param {Object} entry - { name, path, poolSize?, timeout? }; path is
+   *   relative to mcps/
+   */
+  addStdioWorkerPool({ name, path: scriptPath, poolSize, timeout }) {
+    const mcpsDir = MCPS_PATHS.find((p) => existsSync(p)) || MCPS_PATHS[0];
+    const valid =
+      typeof name === "string" &&
+      typeof scriptPath === "string" &&
+      !path.isAbsolute(scriptPath) &&
+      (poolSize === undefined ||
+        (Number.isInteger(poolSize) && poolSize > 0)) &&
+      (timeout === undefined || (Number.isInteger(timeout) && timeout > 0));
+
+    if (!valid) {
+      logger.warn(
+        `Skipping STDIO worker entry ${name}: needs a name, a path relative to mcps/ and positive integer poolSize/timeout`,
+      );
+      return;
+    }
+
+    this.stdioPools[name] = new StdioWorkerPool({
+      name,
+      script: path.join(mcpsDir, scriptPath),
+      ...(poolSize ? { size: poolSize } : {}),
+      ...(timeout ? { timeout } : {}),
+    });
+  }
+
+  /**
+   * Register (or re-register) an MCP at runtime
+   *
+   * An MCP already in the registry under another name is matched by URL, so
+   * a service registering as "azure-devops" updates the "azureDevOps" entry
+   * the routes call instead of adding a duplicate.
+   *
+   * Moving an existing MCP to another URL would redirect its traffic, so
+   * only authenticated callers may do that.
+   *
+   * @param {Object} registration - { name, url, category, version?, swaggerPath? }
+   * @param {Object} [options]
+   * @param {boolean} [options.authenticated] - Caller sent the internal token
+   * @returns {{ name: string, created: boolean, mcp: Object }}
+   * @throws {Error} with statusCode 400 when the registration is invalid, or
+   *   403 when an unauthenticated caller changes an existing MCP's URL
+   */
+  register(registration, { authenticated = false } = {}) {
+    const errors = validateMcpRegistration(registration);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid MCP registration: ${errors.join("; ")}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const url = registration.url.replace(/\/+$/, "");
+    const name =
+      (Object.hasOwn(this.dockerMcps, registration.name) &&
+        registration.name) ||
+      Object.keys(this.dockerMcps).find(
+        (key) => this.dockerMcps[key].url === url,
+      ) ||
+      registration.name;
+
+    const existing = Object.hasOwn(this.dockerMcps, name)
+      ? this.dockerMcps[name]
+      : null;
+    if (existing && existing.url !== url && !authenticated) {
+      const error = new Error(
+        `MCP ${name} is already registered at ${existing.url}; changing its URL requires the internal token`,
+      );
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (existing) {
+      delete this[MCP_CATEGORIES[existing.category].group][name];
+    }
+
+    const mcp = this.addMcp({ ...registration, name, url }, "self-registered");
+    // Keep the last known health when nothing about the endpoint changed
+    if (existing && existing.url === mcp.url) {
+      mcp.status = existing.status;
+    }
+
+    logger.info(
+      `MCP ${name} ${existing ? "re-registered" : "registered"} at ${mcp.url} (${mcp.category})`,
+    );
+
+    // Pick the new MCP up right away instead of at the next health check
+    this.checkMcpHealth(name).catch(() => {});
+
+    return { name, created: !existing, mcp };
+  }
+
+  async checkMcpHealth(name) {
+    const mcp = this.dockerMcps[name];
+
+    try {
+      await axios.get(`${mcp.url}/health`, { timeout: 2000 });
+      if (mcp.status !== "healthy") {
+        mcp.status = "healthy";
+        logger.info(`${name} is now healthy`);
+      }
+    } catch (error) {
+      if (mcp.status !== "unhealthy") {
+        mcp.status = "unhealthy";
+        logger.error(`${name} is unhealthy`);
+      }
+    }
+
+    return mcp.status;
+  }
+
   async initialize() {
     logger.info("Initializing MCP Manager...");
 
@@ -198,20 +397,9 @@ export class MCPManager {
 
   startHealthChecks() {
     this.healthCheckInterval = setInterval(async () => {
-      // Check API MCPs
-      for (const [name, mcp] of Object.entries(this.dockerMcps)) {
-        try {
-          await axios.get(`${mcp.url}/health`, { timeout: 2000 });
-          if (mcp.status !== "healthy") {
-            mcp.status = "healthy";
-            logger.info(`${name} is now healthy`);
-          }
-        } catch (error) {
-          if (mcp.status !== "unhealthy") {
-            mcp.status = "unhealthy";
-            logger.error(`${name} is unhealthy`);
-          }
-        }
+      // Check API MCPs (including any that registered since startup)
+      for (const name of Object.keys(this.dockerMcps)) {
+        await this.checkMcpHealth(name);
       }
 
       // Check Dashboards
@@ -232,36 +420,90 @@ export class MCPManager {
     }, 30000); // Check every 30 seconds
   }
 
-  async callDockerMcp(mcpName, endpoint, data = {}, method = "POST") {
+  /**
+   * Call an MCP endpoint under the MCP's resilience policy. The health poll
+   * does not block calls; the circuit breaker stops calls to an MCP that
+   * keeps failing.
+   *
+   * @param {Object} [options]
+   * @param {*} [options.fallback] - Response (or (error) => response) to
+   *   return instead of throwing once retries are exhausted or the circuit
+   *   is open
+   */
+  async callDockerMcp(
+    mcpName,
+    endpoint,
+    data = {},
+    method = "POST",
+    options = {},
+  ) {
     const mcp = this.dockerMcps[mcpName];
 
     if (!mcp) {
       throw new Error(`Unknown MCP: ${mcpName}`);
     }
 
-    if (mcp.status !== "healthy") {
-      throw new Error(`MCP ${mcpName} is not healthy (status: ${mcp.status})`);
+    // Inside a background job the call is recorded as a job step and
+    // aborted when the job is cancelled
+    const job = currentJob();
+    if (job?.signal.aborted) {
+      throw new Error("Job cancelled");
     }
+    const step = job?.startStep(`${mcpName} ${method} ${endpoint}`);
+
+    // The MCP continues this call's trace from the traceparent header
+    const span = startSpan(`${mcpName} ${method} ${endpoint}`, {
+      kind: "client",
+      attributes: {
+        "peer.service": mcpName,
+        "http.method": method,
+        "http.url": `${mcp.url}${endpoint}`,
+      },
+    });
 
     try {
       // Longer timeout for operations that may create multiple items (e.g., test cases with suites)
+      // or scan every app (integration graph)
       const isLongRunningOperation =
         endpoint.includes("create-test-cases") ||
         endpoint.includes("bulk-update") ||
-        endpoint.includes("create-test-plan");
+        endpoint.includes("create-test-plan") ||
+        endpoint.includes("integration-graph");
       const config = {
         method,
         url: `${mcp.url}${endpoint}`,
-        timeout: isLongRunningOperation ? 120000 : 30000, // 2 min for long ops, 30s default
+        headers: { traceparent: formatTraceparent(span) },
+        // 2 min for long ops, 30s default, 10 min inside jobs
+        timeout: job ? 600000 : isLongRunningOperation ? 120000 : 30000,
+        ...(job ? { signal: job.signal } : {}),
       };
 
       if (method === "POST" || method === "PUT") {
         config.data = data;
       }
 
-      const response = await axios(config);
-      return response.data;
+      const result = await this.resilience[mcpName].execute(
+        async (attempt) => {
+          const response = await axios(config);
+          span.setAttributes({
+            "http.status_code": response.status,
+            "http.attempts": attempt + 1,
+          });
+          return response.data;
+        },
+        {
+          method,
+          endpoint,
+          fallback: options.fallback,
+          signal: job?.signal,
+        },
+      );
+      span.end();
+      step?.done(result);
+      return result;
     } catch (error) {
+      span.end(error);
+      step?.fail(error);
       logger.error(`Error calling ${mcpName}:`, error.message);
       throw error;
     }
@@ -296,6 +538,12 @@ export class MCPManager {
   }
 
   async callStdioMcp(mcpName, input) {
+    // Pooled MCPs answer on a long-lived worker instead of a fresh process
+    const pool = this.stdioPools[mcpName];
+    if (pool) {
+      return pool.call("run", input, { signal: currentJob()?.signal });
+    }
+
     return new Promise((resolve, reject) => {
       const child = this.spawnStdioMcp(mcpName);
 
@@ -330,44 +578,22 @@ export class MCPManager {
   getStatus() {
     return {
       // Group by category
-      integration: Object.fromEntries(
-        Object.entries(this.integrationMcps).map(([name, mcp]) => [
-          name,
-          {
-            status: mcp.status,
-            url: mcp.url,
-            category: mcp.category,
-          },
-        ]),
-      ),
-      codeAnalysis: Object.fromEntries(
-        Object.entries(this.codeAnalysisMcps).map(([name, mcp]) => [
-          name,
-          {
-            status: mcp.status,
-            url: mcp.url,
-            category: mcp.category,
-          },
-        ]),
-      ),
-      qualityAnalysis: Object.fromEntries(
-        Object.entries(this.qualityAnalysisMcps).map(([name, mcp]) => [
-          name,
-          {
-            status: mcp.status,
-            url: mcp.url,
-            category: mcp.category,
-          },
-        ]),
-      ),
-      playwright: Object.fromEntries(
-        Object.entries(this.playwrightMcps).map(([name, mcp]) => [
-          name,
-          {
-            status: mcp.status,
-            url: mcp.url,
-            category: mcp.category,
-          },
+      ...Object.fromEntries(
+        Object.values(MCP_CATEGORIES).map(({ group, statusKey }) => [
+          statusKey,
+          Object.fromEntries(
+            Object.entries(this[group]).map(([name, mcp]) => [
+              name,
+              {
+                status: mcp.status,
+                url: mcp.url,
+                category: mcp.category,
+                version: mcp.version,
+                source: mcp.source,
+                ...this.resilience[name]?.getStatus(),
+              },
+            ]),
+          ),
         ]),
       ),
       // Dashboards
@@ -383,23 +609,56 @@ export class MCPManager {
       ),
       // STDIO MCPs
       stdioMcps: Object.keys(this.stdioMcps),
+      stdioWorkers: Object.fromEntries(
+        Object.entries(this.stdioPools).map(([name, pool]) => [
+          name,
+          pool.getStatus(),
+        ]),
+      ),
       // Summary counts
       summary: {
         mcpsHealthy: Object.values(this.dockerMcps).filter(
           (m) => m.status === "healthy",
         ).length,
         mcpsTotal: Object.keys(this.dockerMcps).length,
+        circuitsOpen: Object.values(this.resilience).filter(
+          (policy) => policy.getStatus().circuit.state !== "CLOSED",
+        ).length,
         dashboardsAvailable: Object.values(this.dashboards).filter(
           (d) => d.status === "available",
         ).length,
         dashboardsTotal: Object.keys(this.dashboards).length,
         stdioActive: Object.keys(this.stdioMcps).length,
+        stdioWorkersBusy: Object.values(this.stdioPools).reduce(
+          (busy, pool) => busy + pool.getStatus().busy,
+          0,
+        ),
       },
     };
   }
 
+  /**
+   * Close the circuit breaker of one MCP, or of all MCPs
+   *
+   * @returns {string[]} Names of the MCPs whose circuits were reset
+   * @throws {Error} with statusCode 404 for an unknown MCP
+   */
+  resetCircuit(mcpName) {
+    if (mcpName && !Object.hasOwn(this.resilience, mcpName)) {
+      const error = new Error(`Unknown MCP: ${mcpName}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const names = mcpName ? [mcpName] : Object.keys(this.resilience);
+    names.forEach((name) => this.resilience[name].reset());
+    return names;
+  }
+
   async getSwaggerDocs(mcpName) {
-    const mcp = this.dockerMcps[mcpName];
+    const mcp = Object.hasOwn(this.dockerMcps, mcpName)
+      ? this.dockerMcps[mcpName]
+      : null;
 
     if (!mcp) {
       throw new Error(`Unknown MCP: ${mcpName}`);
@@ -410,7 +669,7 @@ export class MCPManager {
     }
 
     try {
-      const response = await axios.get(`${mcp.url}/api-docs.json`, {
+      const response = await axios.get(`${mcp.url}${mcp.swaggerPath}`, {
         timeout: 5000,
       });
       return response.data;
@@ -455,7 +714,19 @@ export class MCPManager {
     logger.info(
       `API specification includes ${Object.keys(orchestratorApiSpec.paths).length} endpoints`,
     );
-    return orchestratorApiSpec;
+
+    // Registered MCPs are listed with a link to their own spec
+    return {
+      ...orchestratorApiSpec,
+      "x-mcp-services": Object.entries(this.dockerMcps).map(([name, mcp]) => ({
+        name,
+        url: mcp.url,
+        category: mcp.category,
+        version: mcp.version,
+        status: mcp.status,
+        docs: `/api/swagger/${name}`,
+      })),
+    };
   }
 
   async shutdown() {
@@ -472,6 +743,10 @@ export class MCPManager {
       child.kill();
     }
 
+    for (const pool of Object.values(this.stdioPools)) {
+      pool.shutdown();
+    }
+
     logger.info("MCP Manager shutdown complete");
   }
 }
@@ -0,0 +1,251 @@
+/**
+ * MCP Resilience Policies
+ *
+ * Every MCP call runs through its MCP's policy:
+ * - Bulkhead: at most maxConcurrent calls in flight, maxQueue waiting
+ * - Circuit breaker: after failureThreshold service failures in a row the
+ *   MCP is not called for resetTimeout ms
+ * - Retry with exponential backoff: connection errors for any method,
+ *   timeouts, resets and 429/502/503/504 only for retryMethods
+ * - Fallback: a response returned instead of the error once the above give
+ *   up, configured per endpoint or passed by the caller
+ *
+ * Policies come from the MCP registry: a top-level "resilience" object sets
+ * the defaults and an MCP entry's own "resilience" overrides them.
+ */
+
+import { logger } from "../utils/logger.js";
+import {
+  CircuitBreaker,
+  ErrorTypes,
+  FetchError,
+  getBackoffDelay,
+  sleep,
+} from "../utils/resilientFetch.js";
+
+export const DEFAULT_RESILIENCE = {
+  retries: 2,
+  retryDelay: 500,
+  maxRetryDelay: 5000,
+  retryMethods: ["GET", "HEAD", "PUT", "DELETE"],
+  failureThreshold: 5,
+  resetTimeout: 30000,
+  maxConcurrent: 10,
+  maxQueue: 50,
+  // { "/endpoint": response }
+  fallback: {},
+};
+
+// The request never reached the MCP, so retrying cannot repeat its work
+const CONNECT_ERRORS = [
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+];
+
+// The MCP may have started the work; only safe to repeat if idempotent
+const TRANSIENT_ERRORS = ["ECONNRESET", "ECONNABORTED", "ETIMEDOUT", "EPIPE"];
+const TRANSIENT_STATUSES = [429, 502, 503, 504];
+
+/**
+ * Whether a failed call may be retried
+ *
+ * @param {Error} error - axios error
+ * @param {string} method - HTTP method of the call
+ * @param {string[]} retryMethods - Methods treated as idempotent
+ */
+export function isRetryable(error, method, retryMethods) {
+  if (CONNECT_ERRORS.includes(error.code)) return true;
+  if (!retryMethods.includes(method.toUpperCase())) return false;
+  return (
+    TRANSIENT_ERRORS.includes(error.code) ||
+    TRANSIENT_STATUSES.includes(error.response?.status)
+  );
+}
+
+/**
+ * Whether an error counts against the MCP's circuit breaker; 4xx responses
+ * are the caller's problem, not the MCP's
+ */
+function isServiceFailure(error) {
+  if (error.code === "ERR_CANCELED") return false;
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 429;
+}
+
+export class McpResilience {
+  /**
+   * @param {string} name - MCP name (also the circuit key)
+   * @param {Object} [options] - Overrides for DEFAULT_RESILIENCE
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = { ...DEFAULT_RESILIENCE, ...options };
+    this.breaker = new CircuitBreaker({
+      failureThreshold: this.options.failureThreshold,
+      resetTimeout: this.options.resetTimeout,
+    });
+    this.active = 0;
+    this.waiting = [];
+    this.stats = { calls: 0, retries: 0, rejected: 0, fallbacks: 0 };
+  }
+
+  /**
+   * Run an MCP call under this policy
+   *
+   * @param {Function} call - (attempt) => Promise of the response data
+   * @param {Object} [context]
+   * @param {string} [context.method] - HTTP method, decides what is retried
+   * @param {string} [context.endpoint] - Looks up the configured fallback
+   * @param {*} [context.fallback] - Response (or (error) => response) used
+   *   instead of the configured fallback
+   * @param {AbortSignal} [context.signal] - Stops retries and queueing
+   */
+  async execute(call, context = {}) {
+    const { endpoint, signal } = context;
+    this.stats.calls++;
+
+    try {
+      return await this.attempt(call, context);
+    } catch (error) {
+      const fallback =
+        context.fallback !== undefined
+          ? context.fallback
+          : this.options.fallback?.[endpoint];
+      if (fallback === undefined || signal?.aborted) throw error;
+
+      this.stats.fallbacks++;
+      logger.warn(
+        `${this.name} ${endpoint} failed (${error.message}), returning fallback response`,
+      );
+      return typeof fallback === "function" ? fallback(error) : fallback;
+    }
+  }
+
+  async attempt(call, { method = "POST", signal }) {
+    const { retries, retryDelay, maxRetryDelay, retryMethods } = this.options;
+
+    this.checkCircuit();
+    await this.acquire(signal);
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const result = await call(attempt);
+          this.breaker.recordSuccess(this.name);
+          return result;
+        } catch (error) {
+          if (isServiceFailure(error)) {
+            this.breaker.recordFailure(this.name);
+          }
+
+          const retry =
+            attempt < retries &&
+            !signal?.aborted &&
+            isRetryable(error, method, retryMethods) &&
+            this.breaker.canRequest(this.name);
+          if (!retry) throw error;
+
+          const delay = getBackoffDelay(attempt, retryDelay, maxRetryDelay);
+          this.stats.retries++;
+          logger.warn(
+            `${this.name} call failed (attempt ${attempt + 1}/${retries + 1}), retrying in ${Math.round(delay)}ms: ${error.message}`,
+          );
+          await sleep(delay);
+        }
+      }
+    } finally {
+      this.release();
+    }
+  }
+
+  checkCircuit() {
+    if (this.breaker.canRequest(this.name)) return;
+
+    this.stats.rejected++;
+    const { lastFailure } = this.breaker.getCircuit(this.name);
+    throw new FetchError(
+      `Circuit breaker is OPEN for ${this.name}. Service appears to be unavailable.`,
+      ErrorTypes.CIRCUIT_OPEN,
+      {
+        mcp: this.name,
+        willRetryAt: new Date(
+          lastFailure + this.options.resetTimeout,
+        ).toISOString(),
+      },
+    );
+  }
+
+  /**
+   * Wait for a bulkhead slot
+   */
+  acquire(signal) {
+    if (this.active < this.options.maxConcurrent) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    if (this.waiting.length >= this.options.maxQueue) {
+      this.stats.rejected++;
+      return Promise.reject(
+        new FetchError(
+          `Too many concurrent calls to ${this.name} (${this.options.maxConcurrent} running, ${this.options.maxQueue} waiting)`,
+          ErrorTypes.BULKHEAD_FULL,
+          { mcp: this.name },
+        ),
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve };
+      if (signal) {
+        waiter.onAbort = () => {
+          this.waiting.splice(this.waiting.indexOf(waiter), 1);
+          reject(new Error("Job cancelled"));
+        };
+        signal.addEventListener("abort", waiter.onAbort, { once: true });
+        waiter.signal = signal;
+      }
+      this.waiting.push(waiter);
+    });
+  }
+
+  /**
+   * Hand the slot to the next waiting call, or free it
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (!next) {
+      this.active--;
+      return;
+    }
+    next.signal?.removeEventListener("abort", next.onAbort);
+    next.resolve();
+  }
+
+  reset() {
+    this.breaker.reset(this.name);
+    logger.info(`Circuit breaker for ${this.name} reset`);
+  }
+
+  getStatus() {
+    const circuit = this.breaker.getCircuit(this.name);
+    return {
+      circuit: {
+        state: this.breaker.getState(this.name),
+        failures: circuit.failures,
+        lastFailure: circuit.lastFailure
+          ? new Date(circuit.lastFailure).toISOString()
+          : null,
+      },
+      bulkhead: {
+        active: this.active,
+        queued: this.waiting.length,
+        maxConcurrent: this.options.maxConcurrent,
+        maxQueue: this.options.maxQueue,
+      },
+      stats: { ...this.stats },
+    };
+  }
+}
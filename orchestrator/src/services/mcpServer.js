@@ -0,0 +1,373 @@
+/**
+ * MCP Server
+ * Model Context Protocol (JSON-RPC 2.0) message handling for the
+ * orchestrator. Transport independent: the streamable HTTP route (/mcp) and
+ * the stdio entry point (src/mcpStdio.js) pass messages to handleMessage().
+ *
+ * Tools come from the route tool registry; resources expose read-only
+ * orchestrator state and prompts describe common multi-tool workflows.
+ */
+
+import { randomUUID } from "crypto";
+import readline from "readline";
+import { logger } from "../utils/logger.js";
+
+// Oldest HTTP sessions are forgotten beyond this many
+const MAX_SESSIONS = 1000;
+
+export const SUPPORTED_PROTOCOL_VERSIONS = [
+  "2025-06-18",
+  "2025-03-26",
+  "2024-11-05",
+];
+export const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+export const JSON_RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+};
+
+export const RESOURCES = [
+  {
+    uri: "qe://applications",
+    name: "applications",
+    description: "Applications configured for analysis (config/apps.json)",
+    mimeType: "application/json",
+    path: "/api/dashboard/applications",
+  },
+  {
+    uri: "qe://mcp/status",
+    name: "mcp-status",
+    description: "Health and registry status of the MCP services",
+    mimeType: "application/json",
+    path: "/api/mcp/status",
+  },
+];
+
+export const PROMPTS = [
+  {
+    name: "sprint_risk_review",
+    description:
+      "Pull a sprint's stories and assess the risk of each to plan testing",
+    arguments: [
+      { name: "sprint", description: "Sprint name", required: true },
+      { name: "app", description: "Application name", required: true },
+    ],
+    text: ({ sprint, app }) =>
+      `Call ado_pull_stories with sprint "${sprint}". For each story, call analyze_story_risk with app "${app}" and the story. ` +
+      "Summarize the stories from highest to lowest risk with the factors driving each score, and recommend where to focus testing.",
+  },
+  {
+    name: "change_impact_review",
+    description:
+      "Find what a set of changed files affects and generate tests for the gaps",
+    arguments: [
+      { name: "app", description: "Application name", required: true },
+      {
+        name: "changedFiles",
+        description: "Comma-separated changed file paths",
+        required: true,
+      },
+    ],
+    text: ({ app, changedFiles }) =>
+      `Call analyze_blast_radius with app "${app}" and changedFiles ${JSON.stringify(
+        changedFiles.split(",").map((f) => f.trim()),
+      )}. ` +
+      "List the affected components and tests, then call generate_unit_tests for the highest-risk affected files that lack tests.",
+  },
+  {
+    name: "heal_failing_test",
+    description: "Repair a failing Playwright test from its error output",
+    arguments: [
+      { name: "testFile", description: "Test file path", required: true },
+    ],
+    text: ({ testFile }) =>
+      `Read ${testFile} and its latest failure output, then call heal_playwright_tests with testFile, testCode and errorLog. ` +
+      "Explain the root cause and show the proposed fix before applying it.",
+  },
+];
+
+export class McpProtocolError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+export class MCPServer {
+  /**
+   * @param {Object} options
+   * @param {import("../utils/mcpToolRegistry.js").MCPToolRegistry} options.tools
+   * @param {Function} options.callRoute - ({ method, path, args }) => response data
+   * @param {Object} [options.serverInfo] - { name, version }
+   */
+  constructor({ tools, callRoute, serverInfo } = {}) {
+    this.tools = tools;
+    this.callRoute = callRoute;
+    this.serverInfo = serverInfo || {
+      name: "qe-mcp-orchestrator",
+      version: "1.0.0",
+    };
+    this.sessions = new Set();
+  }
+
+  /**
+   * Start an HTTP session (Mcp-Session-Id); stdio needs none
+   */
+  createSession() {
+    const sessionId = randomUUID();
+    this.sessions.add(sessionId);
+    if (this.sessions.size > MAX_SESSIONS) {
+      this.sessions.delete(this.sessions.values().next().value);
+    }
+    return sessionId;
+  }
+
+  hasSession(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  endSession(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Handle one JSON-RPC message or a batch
+   *
+   * @returns {Promise<Object|Object[]|null>} Response(s), or null when the
+   *   input held only notifications or responses
+   */
+  async handleMessage(message) {
+    if (Array.isArray(message)) {
+      if (message.length === 0) {
+        return this.errorResponse(
+          null,
+          JSON_RPC_ERRORS.INVALID_REQUEST,
+          "Empty batch",
+        );
+      }
+      const responses = (
+        await Promise.all(message.map((m) => this.handleSingle(m)))
+      ).filter(Boolean);
+      return responses.length > 0 ? responses : null;
+    }
+
+    return this.handleSingle(message);
+  }
+
+  async handleSingle(message) {
+    if (
+      !message ||
+      typeof message !== "object" ||
+      message.jsonrpc !== "2.0" ||
+      (typeof message.method !== "string" &&
+        !("result" in message || "error" in message))
+    ) {
+      return this.errorResponse(
+        message?.id ?? null,
+        JSON_RPC_ERRORS.INVALID_REQUEST,
+        "Invalid JSON-RPC 2.0 message",
+      );
+    }
+
+    // Responses to server requests: the server never sends any
+    if (typeof message.method !== "string") return null;
+
+    const isNotification = !("id" in message);
+
+    try {
+      const result = await this.dispatch(message.method, message.params || {});
+      return isNotification ? null : { jsonrpc: "2.0", id: message.id, result };
+    } catch (error) {
+      if (isNotification) return null;
+      if (error instanceof McpProtocolError) {
+        return this.errorResponse(
+          message.id,
+          error.code,
+          error.message,
+          error.data,
+        );
+      }
+      logger.error(`MCP ${message.method} failed:`, error);
+      return this.errorResponse(
+        message.id,
+        JSON_RPC_ERRORS.INTERNAL_ERROR,
+        error.message,
+      );
+    }
+  }
+
+  errorResponse(id, code, message, data) {
+    return {
+      jsonrpc: "2.0",
+      id,
+      error: { code, message, ...(data !== undefined ? { data } : {}) },
+    };
+  }
+
+  async dispatch(method, params) {
+    switch (method) {
+      case "initialize":
+        return this.initialize(params);
+      case "ping":
+        return {};
+      case "tools/list":
+        return this.tools.listTools();
+      case "tools/call":
+        return this.callTool(params);
+      case "resources/list":
+        return {
+          resources: RESOURCES.map(({ uri, name, description, mimeType }) => ({
+            uri,
+            name,
+            description,
+            mimeType,
+          })),
+        };
+      case "resources/read":
+        return this.readResource(params);
+      case "prompts/list":
+        return {
+          prompts: PROMPTS.map(({ name, description, arguments: args }) => ({
+            name,
+            description,
+            arguments: args,
+          })),
+        };
+      case "prompts/get":
+        return this.getPrompt(params);
+      default:
+        if (method.startsWith("notifications/")) return {};
+        throw new McpProtocolError(
+          JSON_RPC_ERRORS.METHOD_NOT_FOUND,
+          `Method not found: ${method}`,
+        );
+    }
+  }
+
+  initialize({ protocolVersion }) {
+    return {
+      // Echo a supported requested version, otherwise offer the latest
+      protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)
+        ? protocolVersion
+        : LATEST_PROTOCOL_VERSION,
+      capabilities: {
+        tools: { listChanged: false },
+        resources: { listChanged: false, subscribe: false },
+        prompts: { listChanged: false },
+      },
+      serverInfo: this.serverInfo,
+      instructions:
+        "QE stack tools: pull Azure DevOps stories, score story risk, analyze the blast radius of changes, and generate or heal tests.",
+    };
+  }
+
+  async callTool({ name, arguments: args }) {
+    if (typeof name !== "string" || !this.tools.has(name)) {
+      throw new McpProtocolError(
+        JSON_RPC_ERRORS.INVALID_PARAMS,
+        `Unknown tool: ${name}`,
+      );
+    }
+    if (args !== undefined && (typeof args !== "object" || args === null)) {
+      throw new McpProtocolError(
+        JSON_RPC_ERRORS.INVALID_PARAMS,
+        "Tool arguments must be an object",
+      );
+    }
+
+    logger.info(`MCP tool call: ${name}`);
+    return this.tools.callTool(name, args || {});
+  }
+
+  async readResource({ uri }) {
+    const resource = RESOURCES.find((r) => r.uri === uri);
+    if (!resource) {
+      throw new McpProtocolError(
+        JSON_RPC_ERRORS.INVALID_PARAMS,
+        `Unknown resource: ${uri}`,
+      );
+    }
+
+    const data = await this.callRoute({
+      method: "get",
+      path: resource.path,
+      args: {},
+    });
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: resource.mimeType,
+          text: JSON.stringify(data, null, 2),
+        },
+      ],
+    };
+  }
+
+  getPrompt({ name, arguments: args = {} }) {
+    const prompt = PROMPTS.find((p) => p.name === name);
+    if (!prompt) {
+      throw new McpProtocolError(
+        JSON_RPC_ERRORS.INVALID_PARAMS,
+        `Unknown prompt: ${name}`,
+      );
+    }
+
+    const missing = prompt.arguments
+      .filter((a) => a.required && !args[a.name])
+      .map((a) => a.name);
+    if (missing.length > 0) {
+      throw new McpProtocolError(
+        JSON_RPC_ERRORS.INVALID_PARAMS,
+        `Missing prompt arguments: ${missing.join(", ")}`,
+      );
+    }
+
+    return {
+      description: prompt.description,
+      messages: [
+        { role: "user", content: { type: "text", text: prompt.text(args) } },
+      ],
+    };
+  }
+}
+
+/**
+ * Serve MCP over stdio: newline-delimited JSON-RPC messages on input, one
+ * response per line on output. Resolves when input ends and every pending
+ * message has been answered.
+ */
+export async function serveStdio(server, input, output) {
+  const pending = new Set();
+  const write = (response) => {
+    if (response) output.write(`${JSON.stringify(response)}\n`);
+  };
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      write(
+        server.errorResponse(null, JSON_RPC_ERRORS.PARSE_ERROR, "Parse error"),
+      );
+      continue;
+    }
+
+    // Handle messages concurrently so a slow tool call does not block pings
+    const handling = server.handleMessage(message).then(write);
+    pending.add(handling);
+    handling.finally(() => pending.delete(handling));
+  }
+
+  await Promise.all(pending);
+}
@@ -0,0 +1,209 @@
+/**
+ * Risk Assessment History
+ * Stores every risk assessment the orchestrator runs so a story's risk can be
+ * followed across acceptance criteria edits and reported per sprint.
+ *
+ * Assessments are appended to a JSON Lines file under the data directory
+ * (one assessment per line) and kept in memory once loaded.
+ */
+
+import { createHash, randomUUID } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { logger } from "../utils/logger.js";
+
+const LEVEL_ORDER = ["low", "medium", "high", "critical"];
+
+/**
+ * Short fingerprint of a story's acceptance criteria, used to tell whether
+ * the criteria changed between two assessments
+ */
+export function hashAcceptanceCriteria(acceptanceCriteria) {
+  if (!acceptanceCriteria) return null;
+
+  const text =
+    typeof acceptanceCriteria === "string"
+      ? acceptanceCriteria
+      : JSON.stringify(acceptanceCriteria);
+
+  return createHash("sha1")
+    .update(text.replace(/\s+/g, " ").trim())
+    .digest("hex")
+    .slice(0, 12);
+}
+
+/**
+ * Reduce a factor breakdown to the score and disabled flag of each factor
+ */
+function summarizeFactors(factors = {}) {
+  return Object.fromEntries(
+    Object.entries(factors).map(([name, factor]) => [
+      name,
+      {
+        score: factor?.score ?? null,
+        ...(factor?.disabled && { disabled: true }),
+      },
+    ]),
+  );
+}
+
+export class RiskHistory {
+  constructor(options = {}) {
+    this.dataDir =
+      options.dataDir || process.env.RISK_HISTORY_DIR || "/app/data";
+    this.filePath = path.join(this.dataDir, "risk-history.jsonl");
+    this.assessments = null;
+  }
+
+  async load() {
+    if (this.assessments) return this.assessments;
+
+    try {
+      const content = await fs.readFile(this.filePath, "utf-8");
+      this.assessments = content
+        .split("\n")
+        .filter((line) => line.trim())
+        .flatMap((line) => {
+          try {
+            return [JSON.parse(line)];
+          } catch {
+            logger.warn("Skipping unreadable risk history entry");
+            return [];
+          }
+        });
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.assessments = [];
+    }
+
+    return this.assessments;
+  }
+
+  /**
+   * Record a risk assessment
+   *
+   * @param {Object} assessment
+   * @param {Object} assessment.story - Story as sent to the risk analyzer
+   * @param {string} assessment.app - Application analyzed
+   * @param {Object} assessment.risk - { score, level, factors, profile, model }
+   * @param {string} assessment.source - Endpoint that produced the assessment
+   */
+  async record({ story, app, risk, source }) {
+    const assessments = await this.load();
+
+    const entry = {
+      id: randomUUID(),
+      storyId: String(story.id),
+      app,
+      sprint: story.iterationPath || story.sprint || null,
+      title: story.title || null,
+      acceptanceCriteriaHash: hashAcceptanceCriteria(story.acceptanceCriteria),
+      score: risk.score,
+      level: risk.level,
+      factors: summarizeFactors(risk.factors),
+      profile: risk.profile || null,
+      model: risk.model || null,
+      source,
+      assessedAt: new Date().toISOString(),
+    };
+
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.appendFile(this.filePath, JSON.stringify(entry) + "\n", "utf-8");
+    assessments.push(entry);
+
+    return entry;
+  }
+
+  /**
+   * Assessments of a story, oldest first, with the change from the previous
+   * assessment of the same app
+   */
+  async getStoryHistory(storyId, { app } = {}) {
+    const assessments = await this.load();
+
+    const history = assessments
+      .filter((a) => a.storyId === String(storyId) && (!app || a.app === app))
+      .sort((a, b) => a.assessedAt.localeCompare(b.assessedAt));
+
+    const previousByApp = {};
+
+    return history.map((assessment) => {
+      const previous = previousByApp[assessment.app];
+      previousByApp[assessment.app] = assessment;
+
+      return {
+        ...assessment,
+        change: previous
+          ? {
+              score: assessment.score - previous.score,
+              levelChanged: assessment.level !== previous.level,
+              acceptanceCriteriaChanged:
+                assessment.acceptanceCriteriaHash !==
+                previous.acceptanceCriteriaHash,
+            }
+          : null,
+      };
+    });
+  }
+
+  /**
+   * Risk by sprint, using the latest assessment of each story and app
+   *
+   * @param {Object} options
+   * @param {string} [options.app] - Only include this app
+   * @param {string[]} [options.sprints] - Only include these sprints
+   * @returns {Array} Sprints in the order they were first assessed
+   */
+  async getSprintTrend({ app, sprints } = {}) {
+    const assessments = await this.load();
+
+    const latest = new Map();
+    assessments
+      .filter(
+        (a) =>
+          a.sprint &&
+          (!app || a.app === app) &&
+          (!sprints || sprints.includes(a.sprint)),
+      )
+      .forEach((a) => {
+        const key = `${a.sprint}|${a.app}|${a.storyId}`;
+        const current = latest.get(key);
+        if (!current || a.assessedAt >= current.assessedAt) {
+          latest.set(key, a);
+        }
+      });
+
+    const bySprint = new Map();
+    [...latest.values()]
+      .sort((a, b) => a.assessedAt.localeCompare(b.assessedAt))
+      .forEach((a) => {
+        if (!bySprint.has(a.sprint)) bySprint.set(a.sprint, []);
+        bySprint.get(a.sprint).push(a);
+      });
+
+    return [...bySprint.entries()].map(([sprint, sprintAssessments]) => {
+      const scores = sprintAssessments.map((a) => a.score);
+      const levels = Object.fromEntries(LEVEL_ORDER.map((l) => [l, 0]));
+      sprintAssessments.forEach((a) => {
+        if (a.level in levels) levels[a.level]++;
+      });
+
+      return {
+        sprint,
+        stories: new Set(sprintAssessments.map((a) => a.storyId)).size,
+        assessments: sprintAssessments.length,
+        averageScore: Math.round(
+          scores.reduce((sum, s) => sum + s, 0) / scores.length,
+        ),
+        maxScore: Math.max(...scores),
+        levels,
+        highRiskStories: sprintAssessments
+          .filter((a) => a.level === "high" || a.level === "critical")
+          .map((a) => ({ storyId: a.storyId, app: a.app, score: a.score })),
+      };
+    });
+  }
+}
+
+// Export singleton instance
+export const riskHistory = new RiskHistory();
@@ -0,0 +1,317 @@
+/**
+ * STDIO Worker Pool
+ *
+ * Keeps long-lived STDIO MCP processes running and sends them requests as
+ * line-delimited JSON-RPC 2.0 instead of spawning a process per call:
+ *
+ *   → {"jsonrpc":"2.0","id":7,"method":"run","params":{...}}\n
+ *   ← {"jsonrpc":"2.0","id":7,"result":{...}}\n
+ *
+ * Each worker handles one request at a time, so the pool size is the
+ * concurrency limit; further calls wait in a queue. A call that times out
+ * or is aborted kills its worker, and crashed workers are restarted with
+ * backoff. Lines on stdout that are not JSON-RPC responses are logged.
+ */
+
+import { spawn } from "child_process";
+import { createInterface } from "readline";
+import { logger } from "../utils/logger.js";
+
+const DEFAULTS = {
+  size: 2,
+  timeout: 120000,
+  maxQueue: 100,
+  restartDelay: 1000,
+  maxRestartDelay: 30000,
+};
+
+export class StdioWorkerPool {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - MCP name, used in logs and errors
+   * @param {string} options.script - Entry point, run with node
+   * @param {string[]} [options.args] - Extra arguments (defaults to --worker)
+   * @param {number} [options.size] - Worker processes (concurrency limit)
+   * @param {number} [options.timeout] - Per-call timeout in ms
+   * @param {number} [options.maxQueue] - Calls allowed to wait for a worker
+   * @param {number} [options.restartDelay] - First restart delay in ms;
+   *   doubles per consecutive crash up to maxRestartDelay
+   */
+  constructor(options) {
+    Object.assign(this, DEFAULTS, options);
+    this.args = options.args || ["--worker"];
+    this.workers = [];
+    this.queue = [];
+    this.nextRequestId = 1;
+    this.restarts = 0;
+    this.stopped = false;
+  }
+
+  /**
+   * Start the workers (called on first use)
+   */
+  start() {
+    if (this.workers.length > 0) return;
+    this.stopped = false;
+    for (let i = 0; i < this.size; i++) {
+      this.workers.push(this.spawnWorker({ index: i, restarts: 0 }));
+    }
+    logger.info(`Started ${this.size} STDIO workers for ${this.name}`);
+  }
+
+  spawnWorker(worker) {
+    const child = spawn("node", [this.script, ...this.args], {
+      stdio: ["pipe", "pipe", "pipe"],
+      env: process.env,
+    });
+
+    Object.assign(worker, {
+      child,
+      pid: child.pid,
+      status: "idle",
+      current: null,
+      startedAt: new Date().toISOString(),
+      handled: worker.handled || 0,
+      failed: worker.failed || 0,
+      crashes: worker.crashes || 0,
+    });
+
+    createInterface({ input: child.stdout }).on("line", (line) =>
+      this.handleLine(worker, line),
+    );
+    child.stderr.on("data", (data) => {
+      logger.error(`[${this.name}#${worker.index}] ${data.toString().trim()}`);
+    });
+    const onError = (error) => {
+      worker.lastError = error.message;
+      logger.error(`[${this.name}#${worker.index}] ${error.message}`);
+    };
+    child.on("error", onError);
+    // EPIPE when writing to a worker that just died; its exit handles the rest
+    child.stdin.on("error", onError);
+    child.on("exit", (code, signal) =>
+      this.handleExit(worker, child, code, signal),
+    );
+
+    return worker;
+  }
+
+  handleLine(worker, line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      message = null;
+    }
+
+    const request = worker.current;
+    if (message?.jsonrpc !== "2.0" || !request || message.id !== request.id) {
+      if (line.trim()) logger.info(`[${this.name}#${worker.index}] ${line}`);
+      return;
+    }
+
+    if (message.error) {
+      const error = new Error(message.error.message || "STDIO MCP error");
+      error.code = message.error.code;
+      error.data = message.error.data;
+      if (message.error.data?.statusCode) {
+        error.statusCode = message.error.data.statusCode;
+      }
+      worker.failed++;
+      this.settle(worker, request, error);
+    } else {
+      worker.handled++;
+      worker.crashes = 0;
+      this.settle(worker, request, null, message.result);
+    }
+  }
+
+  handleExit(worker, child, code, signal) {
+    // Ignore exits of processes this worker has already replaced
+    if (worker.child !== child) return;
+
+    const reason = signal ? `signal ${signal}` : `code ${code}`;
+    const request = worker.current;
+    // Workers killed by abort() are already marked restarting
+    if (worker.status !== "restarting") {
+      worker.lastError = `Exited with ${reason}`;
+    }
+    worker.status = this.stopped ? "stopped" : "restarting";
+
+    if (request) {
+      worker.failed++;
+      this.settle(
+        worker,
+        request,
+        new Error(`${this.name} worker exited with ${reason}`),
+      );
+    }
+
+    if (this.stopped) return;
+
+    worker.crashes++;
+    const delay = Math.min(
+      this.restartDelay * 2 ** (worker.crashes - 1),
+      this.maxRestartDelay,
+    );
+    logger.warn(
+      `[${this.name}#${worker.index}] exited with ${reason}, restarting in ${delay}ms`,
+    );
+
+    worker.restartTimer = setTimeout(() => {
+      if (this.stopped) return;
+      this.restarts++;
+      worker.restarts++;
+      this.spawnWorker(worker);
+      this.dispatch();
+    }, delay);
+    worker.restartTimer.unref?.();
+  }
+
+  /**
+   * Send a request to the next free worker
+   *
+   * @param {string} method - JSON-RPC method
+   * @param {*} params - JSON-RPC params
+   * @param {Object} [options] - { timeout?, signal? }
+   * @returns {Promise<*>} The worker's result
+   */
+  call(method, params, { timeout = this.timeout, signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(new Error("Job cancelled"));
+    }
+    if (this.queue.length >= this.maxQueue) {
+      return Promise.reject(
+        new Error(`${this.name} queue is full (${this.maxQueue} waiting)`),
+      );
+    }
+
+    this.start();
+
+    return new Promise((resolve, reject) => {
+      const request = {
+        id: this.nextRequestId++,
+        method,
+        params,
+        timeout,
+        signal,
+        resolve,
+        reject,
+      };
+
+      if (signal) {
+        request.onAbort = () => this.abort(request, new Error("Job cancelled"));
+        signal.addEventListener("abort", request.onAbort, { once: true });
+      }
+
+      this.queue.push(request);
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    for (const worker of this.workers) {
+      if (this.queue.length === 0) return;
+      if (worker.status !== "idle") continue;
+
+      const request = this.queue.shift();
+      worker.status = "busy";
+      worker.current = request;
+      request.worker = worker;
+      request.timer = setTimeout(
+        () =>
+          this.abort(
+            request,
+            new Error(`${this.name} timed out after ${request.timeout}ms`),
+          ),
+        request.timeout,
+      );
+
+      worker.child.stdin.write(
+        JSON.stringify({
+          jsonrpc: "2.0",
+          id: request.id,
+          method: request.method,
+          params: request.params,
+        }) + "\n",
+      );
+    }
+  }
+
+  /**
+   * Fail a queued or in-flight request; an in-flight request's worker is
+   * killed because it may still be busy with it
+   */
+  abort(request, error) {
+    const queued = this.queue.indexOf(request);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      this.cleanup(request);
+      request.reject(error);
+      return;
+    }
+
+    const { worker } = request;
+    if (worker?.current === request) {
+      worker.status = "restarting";
+      worker.lastError = error.message;
+      worker.failed++;
+      this.settle(worker, request, error);
+      worker.child.kill("SIGKILL");
+    }
+  }
+
+  settle(worker, request, error, result) {
+    this.cleanup(request);
+    worker.current = null;
+    if (worker.status === "busy") worker.status = "idle";
+
+    if (error) {
+      request.reject(error);
+    } else {
+      request.resolve(result);
+    }
+    this.dispatch();
+  }
+
+  cleanup(request) {
+    clearTimeout(request.timer);
+    if (request.onAbort) {
+      request.signal.removeEventListener("abort", request.onAbort);
+    }
+  }
+
+  getStatus() {
+    return {
+      size: this.size,
+      busy: this.workers.filter((w) => w.status === "busy").length,
+      queued: this.queue.length,
+      restarts: this.restarts,
+      workers: this.workers.map((w) => ({
+        index: w.index,
+        pid: w.pid,
+        status: w.status,
+        startedAt: w.startedAt,
+        handled: w.handled,
+        failed: w.failed,
+        restarts: w.restarts,
+        lastError: w.lastError || null,
+      })),
+    };
+  }
+
+  /**
+   * Stop all workers and fail anything still waiting
+   */
+  shutdown() {
+    this.stopped = true;
+    for (const request of this.queue.splice(0)) {
+      this.cleanup(request);
+      request.reject(new Error(`${this.name} pool is shutting down`));
+    }
+    for (const worker of this.workers) {
+      clearTimeout(worker.restartTimer);
+      if (worker.status !== "stopped") worker.child.kill();
+    }
+  }
+}
@@ -0,0 +1,314 @@
+/**
+ * Tracing
+ * W3C Trace Context (traceparent) propagation and span collection, so a
+ * dashboard action can be followed end to end: the orchestrator request,
+ * each MCP call it makes (callDockerMcp, resilientFetch), the MCP's own
+ * request and AI spans, and the AI calls made here (aiHelper).
+ *
+ * Spans and trace context come from mcps/shared/tracing.js, which the MCPs
+ * use too. The orchestrator is the collector: MCPs export spans to its
+ * OTLP/HTTP JSON receiver (POST /api/traces/v1/traces) and its own spans are
+ * recorded directly. Recent traces are kept in memory for /api/traces/:id;
+ * spans can also be appended to a JSON lines file (TRACE_FILE) and forwarded
+ * to an external OTLP collector (OTEL_EXPORTER_OTLP_ENDPOINT).
+ */
+
+import { createReadStream, existsSync, promises as fs } from "fs";
+import path from "path";
+import readline from "readline";
+import { fileURLToPath, pathToFileURL } from "url";
+import axios from "axios";
+import { logger } from "../utils/logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SERVICE_NAME = "orchestrator";
+
+// Shared tracing module: mounted mcps/ in the container, the repo locally
+const SHARED_TRACING_PATHS = [
+  "/app/mcps/shared/tracing.js",
+  path.resolve(__dirname, "../../../mcps/shared/tracing.js"),
+];
+
+const SPAN_KIND_NAMES = {
+  1: "internal",
+  2: "server",
+  3: "client",
+  4: "producer",
+  5: "consumer",
+};
+
+// Requests that are not worth a trace
+const UNTRACED_PATHS = ["/health", "/api/traces", "/socket.io", "/api-docs"];
+
+const sharedTracingPath = SHARED_TRACING_PATHS.find((p) => existsSync(p));
+if (!sharedTracingPath) {
+  throw new Error(
+    `mcps/shared/tracing.js not found (looked in ${SHARED_TRACING_PATHS.join(", ")})`,
+  );
+}
+const shared = await import(pathToFileURL(sharedTracingPath).href);
+
+export const {
+  parseTraceparent,
+  formatTraceparent,
+  currentSpan,
+  currentTraceparent,
+  startSpan,
+  withSpan,
+  toOtlp,
+} = shared;
+
+/**
+ * Continue the caller's trace (traceparent header) or start one, and record
+ * the request as a server span. The trace ID is returned in X-Trace-Id.
+ */
+export function tracingMiddleware() {
+  return shared.tracingMiddleware(SERVICE_NAME, {
+    untracedPaths: UNTRACED_PATHS,
+  });
+}
+
+/**
+ * Recent traces in memory, plus the optional file and OTLP destinations
+ */
+export class TraceStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxTraces] - Traces kept in memory
+   * @param {string} [options.filePath] - JSON lines file to append spans to
+   * @param {string} [options.otlpEndpoint] - OTLP/HTTP base URL to forward to
+   */
+  constructor(options = {}) {
+    this.maxTraces = options.maxTraces || 500;
+    this.filePath = options.filePath ?? process.env.TRACE_FILE;
+    this.otlpEndpoint =
+      options.otlpEndpoint ?? process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+    this.traces = new Map(); // traceId -> spans
+    this.pending = [];
+    this.flushTimer = null;
+  }
+
+  record(spans) {
+    for (const span of spans) {
+      if (!this.traces.has(span.traceId)) {
+        this.traces.set(span.traceId, []);
+        if (this.traces.size > this.maxTraces) {
+          this.traces.delete(this.traces.keys().next().value);
+        }
+      }
+      this.traces.get(span.traceId).push(span);
+    }
+
+    if (this.filePath || this.otlpEndpoint) {
+      this.pending.push(...spans);
+      if (!this.flushTimer) {
+        this.flushTimer = setTimeout(() => this.flush(), 2000);
+        this.flushTimer.unref?.();
+      }
+    }
+  }
+
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    const spans = this.pending.splice(0);
+    if (spans.length === 0) return;
+
+    try {
+      if (this.filePath) {
+        await fs.appendFile(
+          this.filePath,
+          spans.map((s) => JSON.stringify(s)).join("\n") + "\n",
+        );
+      }
+      if (this.otlpEndpoint) {
+        await axios.post(
+          `${this.otlpEndpoint.replace(/\/$/, "")}/v1/traces`,
+          toOtlp(spans),
+          { timeout: 5000 },
+        );
+      }
+    } catch (error) {
+      logger.warn(`Could not export ${spans.length} spans: ${error.message}`);
+    }
+  }
+
+  /**
+   * Spans of a trace, from memory or else the trace file
+   */
+  async getSpans(traceId) {
+    if (this.traces.has(traceId)) return this.traces.get(traceId);
+    if (!this.filePath) return [];
+
+    const spans = [];
+    try {
+      const lines = readline.createInterface({
+        input: createReadStream(this.filePath),
+        crlfDelay: Infinity,
+      });
+      for await (const line of lines) {
+        if (!line.includes(traceId)) continue;
+        let span;
+        try {
+          span = JSON.parse(line);
+        } catch {
+          // A partly written or corrupted line; the rest of the file is fine
+          continue;
+        }
+        if (span.traceId === traceId) spans.push(span);
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    return spans;
+  }
+
+  /**
+   * Summaries of the most recent traces in memory, newest first
+   */
+  list(limit = 50) {
+    return [...this.traces.values()]
+      .map((spans) => summarizeTrace(spans))
+      .sort((a, b) => b.startTime - a.startTime)
+      .slice(0, limit);
+  }
+}
+
+export const traceStore = new TraceStore();
+
+shared.setServiceName(SERVICE_NAME);
+shared.setSpanRecorder((spans) => traceStore.record(spans));
+
+function fromOtlpValue(value = {}) {
+  if ("intValue" in value) return Number(value.intValue);
+  if ("doubleValue" in value) return value.doubleValue;
+  if ("boolValue" in value) return value.boolValue;
+  return value.stringValue;
+}
+
+/**
+ * Spans from an OTLP/HTTP JSON ExportTraceServiceRequest
+ */
+export function fromOtlp(body) {
+  const spans = [];
+
+  for (const resourceSpans of body?.resourceSpans || []) {
+    const resource = Object.fromEntries(
+      (resourceSpans.resource?.attributes || []).map((a) => [
+        a.key,
+        fromOtlpValue(a.value),
+      ]),
+    );
+
+    for (const scopeSpans of resourceSpans.scopeSpans || []) {
+      for (const span of scopeSpans.spans || []) {
+        const startTime = Math.round(Number(span.startTimeUnixNano) / 1e6);
+        const endTime = Math.round(Number(span.endTimeUnixNano) / 1e6);
+        spans.push({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          parentSpanId: span.parentSpanId || null,
+          name: span.name,
+          kind: SPAN_KIND_NAMES[span.kind] || "internal",
+          service: resource["service.name"] || "unknown",
+          startTime,
+          endTime,
+          duration: endTime - startTime,
+          status: span.status?.code === 2 ? "error" : "ok",
+          error: span.status?.code === 2 ? span.status.message || null : null,
+          attributes: Object.fromEntries(
+            (span.attributes || []).map((a) => [a.key, fromOtlpValue(a.value)]),
+          ),
+        });
+      }
+    }
+  }
+
+  return spans;
+}
+
+/**
+ * Token usage recorded on an AI span (OpenTelemetry gen_ai attributes)
+ */
+function aiUsage(attributes) {
+  const inputTokens = attributes["gen_ai.usage.input_tokens"];
+  const outputTokens = attributes["gen_ai.usage.output_tokens"];
+  if (inputTokens === undefined && outputTokens === undefined) return null;
+
+  return {
+    provider: attributes["gen_ai.system"] || null,
+    model: attributes["gen_ai.request.model"] || null,
+    inputTokens: inputTokens || 0,
+    outputTokens: outputTokens || 0,
+    totalTokens: (inputTokens || 0) + (outputTokens || 0),
+  };
+}
+
+function summarizeTrace(spans) {
+  const spanIds = new Set(spans.map((s) => s.spanId));
+  const root =
+    spans.find((s) => !s.parentSpanId || !spanIds.has(s.parentSpanId)) ||
+    spans[0];
+  const startTime = Math.min(...spans.map((s) => s.startTime));
+  const endTime = Math.max(...spans.map((s) => s.endTime));
+
+  return {
+    traceId: root.traceId,
+    name: root.name,
+    startTime,
+    duration: endTime - startTime,
+    spanCount: spans.length,
+    errorCount: spans.filter((s) => s.status === "error").length,
+    services: [...new Set(spans.map((s) => s.service))],
+  };
+}
+
+/**
+ * A trace's spans as a waterfall: ordered parent-first by start time, each
+ * with its depth and offset from the trace start, plus AI token totals
+ */
+export function buildWaterfall(spans) {
+  if (spans.length === 0) return null;
+
+  const spanIds = new Set(spans.map((s) => s.spanId));
+  const children = new Map();
+  const roots = [];
+  for (const span of [...spans].sort((a, b) => a.startTime - b.startTime)) {
+    if (span.parentSpanId && spanIds.has(span.parentSpanId)) {
+      if (!children.has(span.parentSpanId)) {
+        children.set(span.parentSpanId, []);
+      }
+      children.get(span.parentSpanId).push(span);
+    } else {
+      roots.push(span);
+    }
+  }
+
+  const summary = summarizeTrace(spans);
+  const ordered = [];
+  const visit = (span, depth) => {
+    ordered.push({
+      ...span,
+      depth,
+      offset: span.startTime - summary.startTime,
+      aiUsage: aiUsage(span.attributes || {}),
+    });
+    (children.get(span.spanId) || []).forEach((child) =>
+      visit(child, depth + 1),
+    );
+  };
+  roots.forEach((root) => visit(root, 0));
+
+  const aiSpans = ordered.filter((s) => s.aiUsage);
+  return {
+    ...summary,
+    aiUsage: {
+      calls: aiSpans.length,
+      inputTokens: aiSpans.reduce((sum, s) => sum + s.aiUsage.inputTokens, 0),
+      outputTokens: aiSpans.reduce((sum, s) => sum + s.aiUsage.outputTokens, 0),
+      totalTokens: aiSpans.reduce((sum, s) => sum + s.aiUsage.totalTokens, 0),
+    },
+    spans: ordered,
+  };
+}
@@ -0,0 +1,649 @@
+/**
+ * Workflow Engine
+ * Runs declarative workflows that chain MCP calls, so flows like
+ * "for every story in the sprint: risk → test cases → push preview" need a
+ * YAML or JSON file instead of orchestrator route code.
+ *
+ * Workflows are loaded from config/workflows (WORKFLOWS_DIR overrides it),
+ * one definition per .yaml, .yml or .json file:
+ *
+ *   name: story-risk
+ *   inputs:
+ *     app: { required: true }
+ *     stories: { required: true, default: [] }
+ *   steps:
+ *     - id: risk
+ *       forEach: ${inputs.stories}
+ *       as: story
+ *       mcp: riskAnalyzer
+ *       endpoint: /analyze-risk
+ *       input: { app: "${inputs.app}", data: { story: "${story}" } }
+ *   output:
+ *     risks: ${steps.risk}
+ *
+ * A step calls a Docker MCP (mcp + endpoint [+ method]), a STDIO MCP (mcp
+ * only) or an orchestrator route (route: "POST /api/..."), or groups nested
+ * steps. `${...}` expressions read inputs, earlier step outputs (steps.<id>)
+ * and the forEach item; a string that is a single expression keeps the
+ * value's type. Steps also take `when` (skip unless true), `forEach` with
+ * `as` and `concurrency`, `output` (reshapes the call's `result`), `retries`,
+ * and `onError: continue` with an optional `fallback` output.
+ */
+
+import { existsSync, readdirSync, readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import yaml from "js-yaml";
+import { logger } from "../utils/logger.js";
+import { currentJob } from "./jobQueue.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Workflow locations: mounted config in the container, repo config locally
+const WORKFLOW_DIRS = [
+  "/app/config/workflows",
+  path.resolve(__dirname, "../../../config/workflows"),
+];
+
+const WORKFLOW_EXTENSIONS = [".yaml", ".yml", ".json"];
+const ON_ERROR = ["fail", "continue"];
+const HTTP_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+export class WorkflowError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [statusCode] - HTTP status for routes
+   * @param {Object} [run] - Partial run record of a failed workflow
+   */
+  constructor(message, statusCode = 500, run = null) {
+    super(message);
+    this.name = "WorkflowError";
+    this.statusCode = statusCode;
+    this.run = run;
+  }
+}
+
+// ============================================
+// EXPRESSIONS
+// ============================================
+
+const TOKEN_PATTERN =
+  /\s*(?:('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(-?\d+(?:\.\d+)?)|(==|!=|>=|<=|&&|\|\||[<>!()])|([A-Za-z_$][\w$]*(?:\.[\w$]+|\[\d+\]|\['[^']*'\]|\["[^"]*"\])*))/y;
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    if (!expression.slice(TOKEN_PATTERN.lastIndex).trim()) break;
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      throw new WorkflowError(
+        `Invalid expression "${expression}" at position ${start}`,
+        400,
+      );
+    }
+    const [, string, number, operator, name] = match;
+    if (string) tokens.push({ value: string.slice(1, -1) });
+    else if (number) tokens.push({ value: Number(number) });
+    else if (operator) tokens.push({ operator });
+    else tokens.push({ name });
+  }
+  return tokens;
+}
+
+const PATH_KEY = /\.?([\w$]+)|\[(\d+)\]|\['([^']*)'\]|\["([^"]*)"\]/g;
+
+/**
+ * Read a path (a.b[0].c, fields['System.Title']) from the scope; only own
+ * properties and length are visible
+ */
+function lookup(name, scope) {
+  const keys = [...name.matchAll(PATH_KEY)].map((m) =>
+    m.slice(1).find((key) => key !== undefined),
+  );
+  return keys.reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    if (key === "length" && (Array.isArray(value) || typeof value === "string"))
+      return value.length;
+    return Object.prototype.hasOwnProperty.call(value, key)
+      ? value[key]
+      : undefined;
+  }, scope);
+}
+
+const LITERALS = { true: true, false: false, null: null };
+
+const COMPARE = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+
+/**
+ * Evaluate an expression: paths, string/number/boolean/null literals,
+ * comparisons, !, && and || with parentheses
+ */
+export function evaluate(expression, scope) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const accept = (operator) => {
+    if (peek()?.operator !== operator) return false;
+    position++;
+    return true;
+  };
+
+  const primary = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw new WorkflowError(
+        `Unexpected end of expression "${expression}"`,
+        400,
+      );
+    }
+    if (token.operator === "(") {
+      const value = or();
+      if (!accept(")")) {
+        throw new WorkflowError(`Missing ) in "${expression}"`, 400);
+      }
+      return value;
+    }
+    if ("value" in token) return token.value;
+    if (token.name in LITERALS) return LITERALS[token.name];
+    if (token.name) return lookup(token.name, scope);
+    throw new WorkflowError(
+      `Unexpected "${token.operator}" in "${expression}"`,
+      400,
+    );
+  };
+  const not = () => (accept("!") ? !not() : primary());
+  const comparison = () => {
+    const left = not();
+    const operator = peek()?.operator;
+    if (!COMPARE[operator]) return left;
+    position++;
+    return COMPARE[operator](left, not());
+  };
+  const and = () => {
+    let value = comparison();
+    while (accept("&&")) {
+      const right = comparison();
+      value = value && right;
+    }
+    return value;
+  };
+  const or = () => {
+    let value = and();
+    while (accept("||")) {
+      const right = and();
+      value = value || right;
+    }
+    return value;
+  };
+
+  const value = or();
+  if (position < tokens.length) {
+    throw new WorkflowError(`Unexpected token in "${expression}"`, 400);
+  }
+  return value;
+}
+
+const WHOLE_EXPRESSION = /^\$\{([^}]+)\}$/;
+const EMBEDDED_EXPRESSION = /\$\{([^}]+)\}/g;
+
+/**
+ * Resolve ${...} expressions throughout a template value
+ */
+export function resolveTemplate(template, scope) {
+  if (typeof template === "string") {
+    const whole = template.match(WHOLE_EXPRESSION);
+    if (whole) return evaluate(whole[1], scope);
+    return template.replace(EMBEDDED_EXPRESSION, (_, expression) => {
+      const value = evaluate(expression, scope);
+      if (value === null || value === undefined) return "";
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map((value) => resolveTemplate(value, scope));
+  }
+  if (template && typeof template === "object") {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [
+        key,
+        resolveTemplate(value, scope),
+      ]),
+    );
+  }
+  return template;
+}
+
+function isTrue(condition, scope) {
+  if (typeof condition === "boolean") return condition;
+  const whole = String(condition).match(WHOLE_EXPRESSION);
+  return Boolean(evaluate(whole ? whole[1] : String(condition), scope));
+}
+
+// ============================================
+// DEFINITIONS
+// ============================================
+
+function validateSteps(steps, where, errors) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    errors.push(`${where} must be a non-empty array`);
+    return;
+  }
+
+  const ids = new Set();
+  steps.forEach((step, index) => {
+    const at = `${where}[${index}]`;
+    if (!step || typeof step !== "object") {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+
+    if (typeof step.id !== "string" || !/^[A-Za-z_][\w]*$/.test(step.id)) {
+      errors.push(
+        `${at}.id must start with a letter or _ and contain only letters, digits and _`,
+      );
+    } else if (ids.has(step.id)) {
+      errors.push(`${at}.id "${step.id}" is used twice`);
+    }
+    ids.add(step.id);
+
+    const kinds = ["mcp", "route", "steps"].filter((k) => step[k]);
+    if (kinds.length !== 1) {
+      errors.push(`${at} needs exactly one of mcp, route or steps`);
+    }
+    if (step.endpoint !== undefined && !step.mcp) {
+      errors.push(`${at}.endpoint needs mcp`);
+    }
+    if (
+      step.method !== undefined &&
+      !HTTP_METHODS.includes(String(step.method).toUpperCase())
+    ) {
+      errors.push(`${at}.method must be one of: ${HTTP_METHODS.join(", ")}`);
+    }
+    if (step.route !== undefined) {
+      const [method, routePath] = String(step.route).split(/\s+/);
+      if (
+        !HTTP_METHODS.includes(method?.toUpperCase()) ||
+        !routePath?.startsWith("/")
+      ) {
+        errors.push(`${at}.route must look like "POST /api/..."`);
+      }
+    }
+    if (step.onError !== undefined && !ON_ERROR.includes(step.onError)) {
+      errors.push(`${at}.onError must be one of: ${ON_ERROR.join(", ")}`);
+    }
+    if (
+      step.retries !== undefined &&
+      (!Number.isInteger(step.retries) || step.retries < 0)
+    ) {
+      errors.push(`${at}.retries must be a non-negative integer`);
+    }
+    if (
+      step.concurrency !== undefined &&
+      (!Number.isInteger(step.concurrency) || step.concurrency < 1)
+    ) {
+      errors.push(`${at}.concurrency must be a positive integer`);
+    }
+    if (step.steps) validateSteps(step.steps, `${at}.steps`, errors);
+  });
+}
+
+/**
+ * Check a workflow definition
+ *
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateWorkflow(definition) {
+  const errors = [];
+  const { name, inputs, steps } = definition || {};
+
+  if (typeof name !== "string" || !/^[A-Za-z][\w-]*$/.test(name)) {
+    errors.push(
+      "name must start with a letter and contain only letters, digits, - and _",
+    );
+  }
+
+  if (
+    inputs !== undefined &&
+    (typeof inputs !== "object" || inputs === null || Array.isArray(inputs))
+  ) {
+    errors.push("inputs must be an object");
+  }
+
+  validateSteps(steps, "steps", errors);
+  return errors;
+}
+
+/**
+ * Parse a workflow file (YAML or JSON by extension)
+ */
+export function parseWorkflowFile(filePath) {
+  const text = readFileSync(filePath, "utf-8");
+  return path.extname(filePath) === ".json"
+    ? JSON.parse(text)
+    : yaml.load(text);
+}
+
+// ============================================
+// ENGINE
+// ============================================
+
+function throwIfCancelled() {
+  if (currentJob()?.signal.aborted) {
+    throw new WorkflowError("Job cancelled");
+  }
+}
+
+/**
+ * Run fn over items with at most `concurrency` in flight, keeping order
+ */
+async function mapConcurrent(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, worker),
+  );
+  return results;
+}
+
+export class WorkflowEngine {
+  /**
+   * @param {Object} options
+   * @param {Object} options.mcpManager - Calls Docker and STDIO MCPs
+   * @param {Function} [options.callRoute] - async ({ method, path, args }) =>
+   *   data, for route steps
+   * @param {string} [options.dir] - Workflow directory (defaults to
+   *   WORKFLOWS_DIR, then config/workflows)
+   */
+  constructor({ mcpManager, callRoute, dir } = {}) {
+    this.mcpManager = mcpManager;
+    this.callRoute = callRoute;
+    this.dir =
+      dir ||
+      process.env.WORKFLOWS_DIR ||
+      WORKFLOW_DIRS.find((d) => existsSync(d)) ||
+      WORKFLOW_DIRS[0];
+    this.workflows = new Map();
+    this.loadErrors = [];
+  }
+
+  /**
+   * (Re)load every workflow file in the directory; invalid files are logged
+   * and reported by list() but do not stop the others from loading
+   */
+  load() {
+    this.workflows.clear();
+    this.loadErrors = [];
+
+    let files = [];
+    try {
+      files = readdirSync(this.dir).filter((file) =>
+        WORKFLOW_EXTENSIONS.includes(path.extname(file)),
+      );
+    } catch (error) {
+      logger.warn(
+        `Workflow directory ${this.dir} not loaded (${error.message})`,
+      );
+      return this;
+    }
+
+    for (const file of files.sort()) {
+      const filePath = path.join(this.dir, file);
+      try {
+        const definition = parseWorkflowFile(filePath);
+        const errors = validateWorkflow(definition);
+        if (this.workflows.has(definition?.name)) {
+          errors.push(`name "${definition.name}" is already used`);
+        }
+        if (errors.length > 0) {
+          throw new Error(errors.join("; "));
+        }
+        this.workflows.set(definition.name, { ...definition, file });
+      } catch (error) {
+        logger.warn(`Skipping workflow ${file}: ${error.message}`);
+        this.loadErrors.push({ file, error: error.message });
+      }
+    }
+
+    logger.info(`Loaded ${this.workflows.size} workflows from ${this.dir}`);
+    return this;
+  }
+
+  list() {
+    return [...this.workflows.values()].map(
+      ({ name, description, inputs, steps, file }) => ({
+        name,
+        description: description || null,
+        inputs: inputs || {},
+        steps: steps.map((step) => step.id),
+        file,
+      }),
+    );
+  }
+
+  get(name) {
+    return this.workflows.get(name) || null;
+  }
+
+  /**
+   * Apply input defaults and check required inputs
+   */
+  resolveInputs(workflow, inputs = {}) {
+    const resolved = { ...inputs };
+    const missing = [];
+    for (const [name, spec] of Object.entries(workflow.inputs || {})) {
+      if (resolved[name] === undefined && spec?.default !== undefined) {
+        resolved[name] = spec.default;
+      }
+      if (resolved[name] === undefined && spec?.required) missing.push(name);
+    }
+    if (missing.length > 0) {
+      throw new WorkflowError(
+        `Missing required inputs: ${missing.join(", ")}`,
+        400,
+      );
+    }
+    return resolved;
+  }
+
+  /**
+   * Run a workflow
+   *
+   * @param {string} name
+   * @param {Object} [inputs]
+   * @returns {Promise<Object>} { workflow, status, inputs, steps, output,
+   *   duration }; a failed run throws a WorkflowError carrying it as `run`
+   */
+  async run(name, inputs = {}) {
+    const workflow = this.get(name);
+    if (!workflow) {
+      throw new WorkflowError(`Workflow not found: ${name}`, 404);
+    }
+
+    const startTime = Date.now();
+    const run = {
+      workflow: name,
+      status: "running",
+      inputs: this.resolveInputs(workflow, inputs),
+      startedAt: new Date(startTime).toISOString(),
+      steps: [],
+      output: null,
+      duration: null,
+    };
+    const scope = { inputs: run.inputs, steps: {} };
+
+    logger.info(`Running workflow ${name}`);
+    try {
+      await this.runSteps(workflow.steps, scope, run.steps, {
+        progress: true,
+      });
+      run.output = workflow.output
+        ? resolveTemplate(workflow.output, scope)
+        : scope.steps;
+      run.status = "succeeded";
+      return run;
+    } catch (error) {
+      run.status = "failed";
+      run.error = error.message;
+      throw new WorkflowError(
+        `Workflow ${name} failed: ${error.message}`,
+        error.statusCode || 500,
+        run,
+      );
+    } finally {
+      run.duration = Date.now() - startTime;
+      logger.info(`Workflow ${name} ${run.status} in ${run.duration}ms`);
+    }
+  }
+
+  /**
+   * Run steps in order, recording each in `records` and its output in
+   * scope.steps
+   */
+  async runSteps(steps, scope, records, { progress = false } = {}) {
+    for (const [index, step] of steps.entries()) {
+      throwIfCancelled();
+      if (progress) {
+        currentJob()?.progress(`Step ${step.id}`, {
+          completedSteps: index,
+          totalSteps: steps.length,
+        });
+      }
+
+      const record = { id: step.id, status: "running", duration: null };
+      records.push(record);
+      const startTime = Date.now();
+
+      try {
+        if (step.when !== undefined && !isTrue(step.when, scope)) {
+          record.status = "skipped";
+          scope.steps[step.id] = null;
+          continue;
+        }
+
+        scope.steps[step.id] =
+          step.forEach !== undefined
+            ? await this.runForEach(step, scope, record)
+            : await this.runStep(step, scope, record);
+        record.status = "succeeded";
+      } catch (error) {
+        record.error = error.message;
+        if (step.onError !== "continue") {
+          record.status = "failed";
+          throw error;
+        }
+        record.status = "continued";
+        scope.steps[step.id] = step.fallback ?? null;
+        logger.warn(
+          `Workflow step ${step.id} failed, continuing: ${error.message}`,
+        );
+      } finally {
+        record.duration = Date.now() - startTime;
+      }
+    }
+  }
+
+  async runForEach(step, scope, record) {
+    const items = resolveTemplate(step.forEach, scope);
+    if (!Array.isArray(items)) {
+      throw new WorkflowError(`forEach of step ${step.id} is not an array`);
+    }
+
+    const as = step.as || "item";
+    record.items = new Array(items.length);
+    return mapConcurrent(items, step.concurrency || 1, (item, index) => {
+      throwIfCancelled();
+      const itemScope = {
+        ...scope,
+        steps: { ...scope.steps },
+        [as]: item,
+        index,
+      };
+      return this.runStep(step, itemScope, record, index);
+    });
+  }
+
+  /**
+   * Run one step (or one forEach item), with retries
+   */
+  async runStep(step, scope, record, index) {
+    const retries = step.retries || 0;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        if (step.steps) {
+          const records = [];
+          if (index === undefined) record.steps = records;
+          else record.items[index] = { steps: records };
+          await this.runSteps(step.steps, scope, records);
+          return step.output
+            ? resolveTemplate(step.output, scope)
+            : Object.fromEntries(
+                step.steps.map(({ id }) => [id, scope.steps[id]]),
+              );
+        }
+
+        const result = await this.call(step, scope);
+        if (index !== undefined) record.items[index] = { status: "succeeded" };
+        return step.output
+          ? resolveTemplate(step.output, { ...scope, result })
+          : result;
+      } catch (error) {
+        if (attempt >= retries || currentJob()?.signal.aborted) {
+          if (index !== undefined && !step.steps) {
+            record.items[index] = { status: "failed", error: error.message };
+          }
+          throw error;
+        }
+        logger.warn(
+          `Workflow step ${step.id} failed (attempt ${attempt + 1}/${retries + 1}), retrying: ${error.message}`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Make the call a step describes
+   */
+  call(step, scope) {
+    const input = resolveTemplate(step.input ?? {}, scope);
+
+    if (step.route) {
+      if (!this.callRoute) {
+        throw new WorkflowError("Route steps are not available");
+      }
+      const [method, routePath] = step.route.split(/\s+/);
+      return this.callRoute({
+        method: method.toLowerCase(),
+        path: resolveTemplate(routePath, scope),
+        args: input,
+      });
+    }
+
+    if (step.endpoint) {
+      return this.mcpManager.callDockerMcp(
+        step.mcp,
+        resolveTemplate(step.endpoint, scope),
+        input,
+        (step.method || "POST").toUpperCase(),
+      );
+    }
+
+    return this.mcpManager.callStdioMcp(step.mcp, input);
+  }
+}
@@ -3,6 +3,15 @@
  * Complete API documentation for all orchestrator endpoints
  */
 
+// Workflow routes that can run as background jobs (see /api/jobs)
+const asyncJobParameter = {
+  name: 'async',
+  in: 'query',
+  schema: { type: 'boolean' },
+  description: 'Run as a background job and return its ID immediately (same as the header "Prefer: respond-async")'
+};
+const asyncJobResponse = { description: 'Job queued; poll statusUrl or stream eventsUrl' };
+
 export const orchestratorApiSpec = {
   openapi: '3.0.0',
   info: {
@@ -27,6 +36,10 @@ export const orchestratorApiSpec = {
     { name: 'Tests', description: 'Test file analysis and generation' },
     { name: 'Dashboard', description: 'Dashboard data and metrics' },
     { name: 'MCP', description: 'MCP service management' },
+    { name: 'Jobs', description: 'Background jobs for long-running workflows' },
+    { name: 'Traces', description: 'Request traces across the orchestrator, MCPs and AI calls' },
+    { name: 'Workflows', description: 'Declarative workflows chaining MCP calls (config/workflows)' },
+    { name: 'AI Usage', description: 'AI token usage, cost and budgets (config/ai-budgets.json)' },
     { name: 'Swagger', description: 'API documentation endpoints' }
   ],
   paths: {
@@ -42,11 +55,12 @@ export const orchestratorApiSpec = {
               schema: {
                 type: 'object',
                 properties: {
+                  sprint: { type: 'string', description: 'Sprint (iteration) name' },
+                  workItemIds: { type: 'array', items: { type: 'integer' }, description: 'Specific work item IDs to fetch' },
+                  query: { type: 'string', description: 'WIQL query' },
                   organization: { type: 'string', description: 'Azure DevOps organization' },
                   project: { type: 'string', description: 'Project name' },
-                  team: { type: 'string', description: 'Team name' },
-                  iterationPath: { type: 'string', description: 'Sprint iteration path' },
-                  workItemTypes: { type: 'array', items: { type: 'string' }, description: 'Types of work items to fetch' }
+                  team: { type: 'string', description: 'Team name' }
                 }
               }
             }
@@ -73,14 +87,15 @@ export const orchestratorApiSpec = {
                 properties: {
                   storyId: { type: 'integer', description: 'Work item ID' },
                   app: { type: 'string', description: 'Application name' },
-                  aiModel: { type: 'string', description: 'AI model to use (optional)' }
+                  aiModel: { type: 'string', description: 'AI model to use (optional)' },
+                  noCache: { type: 'boolean', description: 'Re-run the AI instead of reusing cached answers' }
                 }
               }
             }
           }
         },
         responses: {
-          200: { description: 'Requirements analysis completed' },
+          200: { description: 'Requirements analysis completed; cachedAt is when the oldest reused AI answer was cached, null when all are fresh' },
           500: { description: 'Server error' }
         }
       }
@@ -90,6 +105,7 @@ export const orchestratorApiSpec = {
         tags: ['Azure DevOps'],
         summary: 'Generate manual test cases for a story',
         description: 'Uses AI to generate detailed manual test cases with steps, preconditions, and expected results',
+        parameters: [asyncJobParameter],
         requestBody: {
           required: true,
           content: {
@@ -110,6 +126,7 @@ export const orchestratorApiSpec = {
         },
         responses: {
           200: { description: 'Test cases generated successfully' },
+          202: asyncJobResponse,
           500: { description: 'Server error' }
         }
       }
@@ -462,6 +479,35 @@ export const orchestratorApiSpec = {
         }
       }
     },
+    '/api/analysis/coverage/pull-request': {
+      post: {
+        tags: ['Analysis'],
+        summary: 'Coverage of lines changed by a pull request',
+        description: 'Joins the pull request diff from Azure DevOps with Cobertura/OpenCover or Istanbul line coverage and returns the percentage of changed executable lines that are covered, plus the uncovered changed lines',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['pullRequestId', 'app'],
+                properties: {
+                  pullRequestId: { type: 'integer', description: 'Pull request ID' },
+                  app: { type: 'string', description: 'Application name' },
+                  repositoryId: { type: 'string', description: 'Repository ID or name (optional)' },
+                  threshold: { type: 'number', description: 'Minimum changed-line coverage percentage to pass (default 80)' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'Changed-line coverage, per-file breakdown and uncovered changed lines' },
+          400: { description: 'pullRequestId and app are required' },
+          500: { description: 'Server error' }
+        }
+      }
+    },
     '/api/analysis/code-scan': {
       post: {
         tags: ['Analysis'],
@@ -526,14 +572,129 @@ export const orchestratorApiSpec = {
                 required: ['app', 'story'],
                 properties: {
                   app: { type: 'string' },
-                  story: { type: 'object' }
+                  story: { type: 'object' },
+                  profile: { type: 'string', description: 'Risk profile name (defaults to the app profile from config/apps.json)' },
+                  noCache: { type: 'boolean', description: 'Re-run the AI assessment instead of reusing a cached one' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'Risk analysis results; cachedAt is when the oldest reused AI assessment was cached' },
+          500: { description: 'Server error' }
+        }
+      }
+    },
+    '/api/analysis/risk/profiles': {
+      get: {
+        tags: ['Analysis'],
+        summary: 'List risk profiles',
+        description: 'Named risk models with factor weights, level cutoffs and enabled factors',
+        responses: {
+          200: { description: 'Available risk profiles' },
+          500: { description: 'Server error' }
+        }
+      }
+    },
+    '/api/analysis/risk/compare-profiles': {
+      post: {
+        tags: ['Analysis'],
+        summary: 'Compare risk profiles',
+        description: 'Re-scores a story under two or more risk profiles side by side. Pass factors from a previous assessment to skip re-analysis.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['app', 'profiles'],
+                properties: {
+                  app: { type: 'string' },
+                  story: { type: 'object' },
+                  profiles: { type: 'array', items: { type: 'string' }, example: ['default', 'payments-strict'] },
+                  factors: { type: 'object', description: 'Factor breakdown from a previous risk assessment' }
                 }
               }
             }
           }
         },
         responses: {
-          200: { description: 'Risk analysis results' },
+          200: { description: 'Per-profile scores and the difference between them' },
+          400: { description: 'Invalid request' },
+          500: { description: 'Server error' }
+        }
+      }
+    },
+    '/api/analysis/risk/history/{storyId}': {
+      get: {
+        tags: ['Analysis'],
+        summary: 'Get risk history for a story',
+        description: 'Returns every recorded risk assessment of a story, oldest first, with the score change from the previous assessment and whether the acceptance criteria changed in between',
+        parameters: [
+          { name: 'storyId', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'app', in: 'query', schema: { type: 'string' }, description: 'Only include assessments for this app' }
+        ],
+        responses: {
+          200: { description: 'Risk assessments of the story' },
+          500: { description: 'Server error' }
+        }
+      }
+    },
+    '/api/analysis/risk/trend': {
+      get: {
+        tags: ['Analysis'],
+        summary: 'Get risk trend by sprint',
+        description: 'Summarizes the latest risk assessment of each story per sprint: average and max score, stories per level and high-risk stories',
+        parameters: [
+          { name: 'app', in: 'query', schema: { type: 'string' } },
+          { name: 'sprints', in: 'query', schema: { type: 'string' }, description: 'Comma-separated iteration paths' }
+        ],
+        responses: {
+          200: { description: 'Risk summary per sprint' },
+          500: { description: 'Server error' }
+        }
+      }
+    },
+    '/api/analysis/risk/calibrate': {
+      post: {
+        tags: ['Analysis'],
+        summary: 'Calibrate risk scores against escaped defects',
+        description: 'Counts bugs linked to past stories and reports how well each risk level predicted them (precision and recall per level), with suggested weight changes. Pass stories with a previous risk result, or sprints. Stories without a result use their first assessment in the risk history; stories never assessed are skipped.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['app'],
+                properties: {
+                  app: { type: 'string' },
+                  profile: { type: 'string', description: 'Risk profile to calibrate (defaults to the app profile)' },
+                  sprints: { type: 'array', items: { type: 'string' }, example: ['Sprint 41', 'Sprint 42'] },
+                  project: { type: 'string', description: 'ADO project of the sprints (defaults to the azure-devops MCP project)' },
+                  team: { type: 'string', description: 'ADO team of the sprints' },
+                  stories: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        storyId: { type: 'integer' },
+                        risk: { type: 'object', description: 'Previous risk result ({ score, level, factors })' },
+                        assessedAt: { type: 'string', format: 'date-time', description: 'Only bugs created after this date count (with risk)' }
+                      }
+                    }
+                  },
+                  defectBands: { type: 'object', description: 'Minimum escaped defects per level', example: { medium: 1, high: 2, critical: 4 } },
+                  minSamples: { type: 'integer', example: 10 }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'Calibration report with per-level precision/recall and suggested weights' },
+          400: { description: 'Invalid request or no stories could be scored' },
           500: { description: 'Server error' }
         }
       }
@@ -591,11 +752,45 @@ export const orchestratorApiSpec = {
         }
       }
     },
+    '/api/analysis/blast-radius/enhanced': {
+      post: {
+        tags: ['Analysis'],
+        summary: 'Analyze story blast radius with PR files',
+        description: 'Combines the story Impact field with the files changed by its linked pull requests to find affected components, tests and integrations',
+        parameters: [asyncJobParameter],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['storyId'],
+                properties: {
+                  storyId: { type: 'integer', description: 'Work item ID' },
+                  app: { type: 'string' },
+                  apps: { type: 'array', items: { type: 'string' } },
+                  impactDescription: { type: 'string', description: 'Impact field content' },
+                  includePRFiles: { type: 'boolean', default: true },
+                  includeIntegrations: { type: 'boolean', default: true },
+                  depth: { type: 'integer', default: 2 }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'Blast radius analysis completed' },
+          202: asyncJobResponse,
+          500: { description: 'Server error' }
+        }
+      }
+    },
     '/api/playwright/full-automation': {
       post: {
         tags: ['Playwright'],
         summary: 'Full Playwright automation workflow',
         description: 'Chains analyzer and generator: discovers critical UI paths and generates Playwright tests',
+        parameters: [asyncJobParameter],
         requestBody: {
           required: true,
           content: {
@@ -613,6 +808,7 @@ export const orchestratorApiSpec = {
         },
         responses: {
           200: { description: 'Automation workflow completed' },
+          202: asyncJobResponse,
           500: { description: 'Server error' }
         }
       }
@@ -703,7 +899,7 @@ export const orchestratorApiSpec = {
       post: {
         tags: ['Tests'],
         summary: 'Generate tests for file',
-        description: 'Generates unit tests for a specific code file',
+        description: 'Generates unit tests for a specific code file with the pooled dotnet-unit-test-generator STDIO MCP. The model is routed by the app\'s AI policy in config/apps.json',
         requestBody: {
           required: true,
           content: {
@@ -721,6 +917,7 @@ export const orchestratorApiSpec = {
         },
         responses: {
           200: { description: 'Generated tests' },
+          403: { description: 'The app\'s AI policy allows no usable model' },
           500: { description: 'Server error' }
         }
       }
@@ -729,7 +926,7 @@ export const orchestratorApiSpec = {
       post: {
         tags: ['Tests'],
         summary: 'Generate integration tests',
-        description: 'Generates integration tests for a specific code file',
+        description: 'Generates integration tests for an API endpoint with the pooled dotnet-unit-test-generator STDIO MCP. The model is routed by the app\'s AI policy in config/apps.json',
         requestBody: {
           required: true,
           content: {
@@ -747,6 +944,7 @@ export const orchestratorApiSpec = {
         },
         responses: {
           200: { description: 'Generated integration tests' },
+          403: { description: 'The app\'s AI policy allows no usable model' },
           500: { description: 'Server error' }
         }
       }
@@ -766,9 +964,10 @@ export const orchestratorApiSpec = {
       get: {
         tags: ['Dashboard'],
         summary: 'Get code analysis data',
-        description: 'Retrieves code analysis metrics for dashboard',
+        description: 'Retrieves code analysis metrics for dashboard. The analyzer result is cached and kept current by the file watcher, which re-analyzes only changed files',
         parameters: [
-          { name: 'app', in: 'query', required: true, schema: { type: 'string' } }
+          { name: 'app', in: 'query', required: true, schema: { type: 'string' } },
+          { name: 'refresh', in: 'query', required: false, schema: { type: 'boolean' }, description: 'Run a full analysis instead of using the cached one' }
         ],
         responses: {
           200: { description: 'Code analysis data' },
@@ -780,9 +979,10 @@ export const orchestratorApiSpec = {
       get: {
         tags: ['Dashboard'],
         summary: 'Get coverage data',
-        description: 'Retrieves test coverage metrics for dashboard',
+        description: 'Retrieves test coverage metrics for dashboard. Each result is snapshotted for the coverage trend',
         parameters: [
-          { name: 'app', in: 'query', required: true, schema: { type: 'string' } }
+          { name: 'app', in: 'query', required: true, schema: { type: 'string' } },
+          { name: 'commit', in: 'query', required: false, schema: { type: 'string' }, description: 'Commit SHA to key the snapshot by (defaults to the app repository HEAD)' }
         ],
         responses: {
           200: { description: 'Coverage data' },
@@ -790,13 +990,50 @@ export const orchestratorApiSpec = {
         }
       }
     },
+    '/api/dashboard/coverage/trend': {
+      get: {
+        tags: ['Dashboard'],
+        summary: 'Get coverage trend',
+        description: 'Overall coverage of each stored snapshot, oldest first, per language (latest snapshot per commit)',
+        parameters: [
+          { name: 'app', in: 'query', required: true, schema: { type: 'string' } },
+          { name: 'language', in: 'query', required: false, schema: { type: 'string', enum: ['dotnet', 'javascript'] }, description: 'Defaults to both' },
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer', default: 50 }, description: 'Most recent snapshots per language' }
+        ],
+        responses: {
+          200: { description: 'Coverage trend by language' },
+          400: { description: 'Unknown language' },
+          500: { description: 'Server error' }
+        }
+      }
+    },
+    '/api/dashboard/coverage/drops': {
+      get: {
+        tags: ['Dashboard'],
+        summary: 'Detect coverage drops',
+        description: 'Compares two coverage snapshots and lists files and methods whose coverage fell by more than the threshold',
+        parameters: [
+          { name: 'app', in: 'query', required: true, schema: { type: 'string' } },
+          { name: 'language', in: 'query', required: false, schema: { type: 'string', enum: ['dotnet', 'javascript'], default: 'dotnet' } },
+          { name: 'threshold', in: 'query', required: false, schema: { type: 'number', default: 5 }, description: 'Minimum drop in percentage points' },
+          { name: 'from', in: 'query', required: false, schema: { type: 'string' }, description: 'Baseline commit SHA (defaults to the previous snapshot)' },
+          { name: 'to', in: 'query', required: false, schema: { type: 'string' }, description: 'Commit SHA to check (defaults to the latest snapshot)' }
+        ],
+        responses: {
+          200: { description: 'Overall, file and method coverage drops' },
+          400: { description: 'Invalid language or threshold' },
+          500: { description: 'Server error' }
+        }
+      }
+    },
     '/api/dashboard/javascript-analysis': {
       get: {
         tags: ['Dashboard'],
         summary: 'Get JavaScript analysis',
-        description: 'Retrieves JavaScript code analysis for dashboard',
+        description: 'Retrieves JavaScript code analysis for dashboard. The analyzer result is cached and kept current by the file watcher, which re-analyzes only changed files',
         parameters: [
-          { name: 'app', in: 'query', required: true, schema: { type: 'string' } }
+          { name: 'app', in: 'query', required: true, schema: { type: 'string' } },
+          { name: 'refresh', in: 'query', required: false, schema: { type: 'boolean' }, description: 'Run a full analysis instead of using the cached one' }
         ],
         responses: {
           200: { description: 'JavaScript analysis data' },
@@ -808,9 +1045,10 @@ export const orchestratorApiSpec = {
       get: {
         tags: ['Dashboard'],
         summary: 'Get JavaScript coverage',
-        description: 'Retrieves JavaScript test coverage for dashboard',
+        description: 'Retrieves JavaScript test coverage for dashboard. Each result is snapshotted for the coverage trend',
         parameters: [
-          { name: 'app', in: 'query', required: true, schema: { type: 'string' } }
+          { name: 'app', in: 'query', required: true, schema: { type: 'string' } },
+          { name: 'commit', in: 'query', required: false, schema: { type: 'string' }, description: 'Commit SHA to key the snapshot by (defaults to the app repository HEAD)' }
         ],
         responses: {
           200: { description: 'JavaScript coverage data' },
@@ -818,6 +1056,30 @@ export const orchestratorApiSpec = {
         }
       }
     },
+    '/api/dashboard/analysis/cache': {
+      get: {
+        tags: ['Dashboard'],
+        summary: 'List cached analyses',
+        description: 'Cached code-analyzer, javascript-code-analyzer and integration-mapper results with their summaries, and the applications the file watcher watches',
+        responses: {
+          200: { description: 'Cache entries and file watcher status' }
+        }
+      }
+    },
+    '/api/dashboard/analysis/events': {
+      get: {
+        tags: ['Dashboard'],
+        summary: 'Stream incremental analysis updates',
+        description: 'Server-Sent Events: an "analysis" event ({ app, kind, files, removedFiles, summary, updatedAt }) whenever changed files have been re-analyzed and merged into a cached analysis. The same updates go to the socket.io "analysis" room as "analysis:updated"',
+        parameters: [
+          { name: 'app', in: 'query', required: false, schema: { type: 'string' }, description: 'Only updates for this application' }
+        ],
+        responses: {
+          200: { description: 'text/event-stream of analysis updates' },
+          503: { description: 'Analysis cache not available' }
+        }
+      }
+    },
     '/api/dashboard/overview': {
       get: {
         tags: ['Dashboard'],
@@ -858,13 +1120,107 @@ export const orchestratorApiSpec = {
       get: {
         tags: ['MCP'],
         summary: 'Get MCP status',
-        description: 'Retrieves status of all MCP services',
+        description: 'Retrieves status of all MCP services, including each MCP\'s circuit breaker, bulkhead and retry statistics',
         responses: {
           200: { description: 'MCP status information' },
           500: { description: 'Server error' }
         }
       }
     },
+    '/api/mcp/circuit/reset': {
+      post: {
+        tags: ['MCP'],
+        summary: 'Reset MCP circuit breakers',
+        description: 'Closes the circuit breaker of one MCP, or of every MCP when mcpName is omitted. Breaker state is reported as circuit on each MCP in /api/mcp/status.',
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  mcpName: { type: 'string', example: 'azureDevOps' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'Circuit breakers reset' },
+          404: { description: 'Unknown MCP' }
+        }
+      }
+    },
+    '/api/mcp/register': {
+      post: {
+        tags: ['MCP'],
+        summary: 'Register an MCP',
+        description: 'Adds an MCP to the registry at runtime, or updates it if already registered (matched by name, then URL). Registered MCPs are health checked and listed in status and Swagger aggregation. Changing the URL of a registered MCP requires Authorization: Bearer <ORCHESTRATOR_INTERNAL_TOKEN>.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'url', 'category'],
+                properties: {
+                  name: { type: 'string', example: 'azure-devops' },
+                  url: { type: 'string', example: 'http://azure-devops:8100' },
+                  category: { type: 'string', enum: ['integration', 'code-analysis', 'quality-analysis', 'playwright'] },
+                  version: { type: 'string', example: '2.0.0' },
+                  swaggerPath: { type: 'string', example: '/api-docs.json' },
+                  resilience: { type: 'object', description: 'Overrides for the registry resilience defaults (retries, failureThreshold, maxConcurrent, fallback, ...)' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'Existing MCP updated' },
+          201: { description: 'MCP registered' },
+          400: { description: 'Invalid registration' },
+          403: { description: 'Changing a registered MCP URL without the internal token' }
+        }
+      }
+    },
+    '/mcp': {
+      post: {
+        tags: ['MCP'],
+        summary: 'Model Context Protocol endpoint',
+        description: 'Streamable HTTP transport of the orchestrator MCP server (JSON-RPC 2.0): initialize, ping, tools/list, tools/call, resources/list, resources/read, prompts/list and prompts/get. Tool calls are answered over SSE when the client accepts text/event-stream. initialize returns an Mcp-Session-Id header.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['jsonrpc', 'method'],
+                properties: {
+                  jsonrpc: { type: 'string', example: '2.0' },
+                  id: { oneOf: [{ type: 'string' }, { type: 'integer' }] },
+                  method: { type: 'string', example: 'tools/list' },
+                  params: { type: 'object' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'JSON-RPC response (application/json or text/event-stream)' },
+          202: { description: 'Notification accepted' },
+          400: { description: 'Parse error or unsupported protocol version' },
+          404: { description: 'Unknown session' }
+        }
+      },
+      delete: {
+        tags: ['MCP'],
+        summary: 'End MCP session',
+        description: 'Ends the session named by the Mcp-Session-Id header',
+        responses: {
+          204: { description: 'Session ended' },
+          404: { description: 'Unknown session' }
+        }
+      }
+    },
     '/api/mcp/health/{mcpName}': {
       get: {
         tags: ['MCP'],
@@ -879,6 +1235,289 @@ export const orchestratorApiSpec = {
         }
       }
     },
+    '/api/jobs': {
+      get: {
+        tags: ['Jobs'],
+        summary: 'List jobs',
+        description: 'Recent background jobs, newest first',
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'] } },
+          { name: 'type', in: 'query', schema: { type: 'string' }, description: 'Workflow, e.g. playwright.full-automation' },
+          { name: 'limit', in: 'query', schema: { type: 'integer', default: 50 } }
+        ],
+        responses: {
+          200: { description: 'Jobs' },
+          400: { description: 'Invalid status' }
+        }
+      }
+    },
+    '/api/jobs/{jobId}': {
+      get: {
+        tags: ['Jobs'],
+        summary: 'Get job',
+        description: 'Status, progress, per-step status with partial results (one step per MCP call) and the final result',
+        parameters: [
+          { name: 'jobId', in: 'path', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: 'Job' },
+          404: { description: 'Unknown job' }
+        }
+      }
+    },
+    '/api/jobs/{jobId}/events': {
+      get: {
+        tags: ['Jobs'],
+        summary: 'Stream job progress',
+        description: 'Server-Sent Events: a "job" event with the job on connect and on every change; the stream ends when the job finishes',
+        parameters: [
+          { name: 'jobId', in: 'path', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: 'text/event-stream of job updates' },
+          404: { description: 'Unknown job' }
+        }
+      }
+    },
+    '/api/jobs/{jobId}/cancel': {
+      post: {
+        tags: ['Jobs'],
+        summary: 'Cancel job',
+        description: 'Cancels a queued or running job; in-flight MCP calls are aborted',
+        parameters: [
+          { name: 'jobId', in: 'path', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: 'Job cancelled' },
+          404: { description: 'Unknown job' },
+          409: { description: 'Job already finished' }
+        }
+      }
+    },
+    '/api/jobs/{jobId}/retry': {
+      post: {
+        tags: ['Jobs'],
+        summary: 'Retry job',
+        description: 'Queues a failed or cancelled job again as a new job',
+        parameters: [
+          { name: 'jobId', in: 'path', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          202: { description: 'Retry queued' },
+          404: { description: 'Unknown job' },
+          409: { description: 'Job is not failed or cancelled' }
+        }
+      }
+    },
+    '/api/traces': {
+      get: {
+        tags: ['Traces'],
+        summary: 'List traces',
+        description: 'Recent traces, newest first. Every response carries its trace ID in the X-Trace-Id header',
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer', default: 50 } }
+        ],
+        responses: {
+          200: { description: 'Trace summaries' }
+        }
+      }
+    },
+    '/api/traces/{traceId}': {
+      get: {
+        tags: ['Traces'],
+        summary: 'Get trace waterfall',
+        description: 'All spans of one workflow across the orchestrator and MCPs, parent-first with depth and start offset, plus AI token usage per span and in total',
+        parameters: [
+          { name: 'traceId', in: 'path', required: true, schema: { type: 'string' }, description: '32 hex characters' }
+        ],
+        responses: {
+          200: { description: 'Trace waterfall' },
+          404: { description: 'Unknown trace' }
+        }
+      }
+    },
+    '/api/traces/v1/traces': {
+      post: {
+        tags: ['Traces'],
+        summary: 'Receive OTLP spans',
+        description: 'OTLP/HTTP trace export (JSON encoding only). MCPs export here when OTEL_EXPORTER_OTLP_ENDPOINT points at /api/traces',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { type: 'object', properties: { resourceSpans: { type: 'array' } } } } }
+        },
+        responses: {
+          200: { description: 'Spans recorded' },
+          400: { description: 'Malformed export' },
+          415: { description: 'Unsupported encoding' }
+        }
+      }
+    },
+    '/api/workflows': {
+      get: {
+        tags: ['Workflows'],
+        summary: 'List workflows',
+        description: 'Workflows loaded from config/workflows (WORKFLOWS_DIR), with their inputs and step IDs, plus files that failed to load',
+        responses: {
+          200: { description: 'Workflows' }
+        }
+      }
+    },
+    '/api/workflows/reload': {
+      post: {
+        tags: ['Workflows'],
+        summary: 'Reload workflows',
+        description: 'Re-reads the workflow directory after definitions are added or changed',
+        responses: {
+          200: { description: 'Workflows reloaded' }
+        }
+      }
+    },
+    '/api/workflows/{name}': {
+      get: {
+        tags: ['Workflows'],
+        summary: 'Get workflow',
+        description: 'A workflow definition: inputs, steps and output mapping',
+        parameters: [
+          { name: 'name', in: 'path', required: true, schema: { type: 'string' }, example: 'sprint-story-risk' }
+        ],
+        responses: {
+          200: { description: 'Workflow definition' },
+          404: { description: 'Unknown workflow' }
+        }
+      }
+    },
+    '/api/workflows/{name}/run': {
+      post: {
+        tags: ['Workflows'],
+        summary: 'Run workflow',
+        description: 'Runs a workflow with the request body as its inputs and returns each step\'s status and the mapped output. A failed run returns the steps run so far. With ?async=true it runs as a background job (see /api/jobs)',
+        parameters: [
+          { name: 'name', in: 'path', required: true, schema: { type: 'string' }, example: 'sprint-story-risk' },
+          { name: 'async', in: 'query', schema: { type: 'boolean' }, description: 'Queue as a background job and return 202 with the job ID' }
+        ],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: { type: 'object', additionalProperties: true, example: { sprint: 'Sprint 42', app: 'App1' } }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'Workflow succeeded' },
+          202: { description: 'Job queued' },
+          400: { description: 'Missing inputs or invalid expression' },
+          404: { description: 'Unknown workflow' },
+          500: { description: 'A step failed' }
+        }
+      }
+    },
+    '/api/ai/usage': {
+      get: {
+        tags: ['AI Usage'],
+        summary: 'AI usage report',
+        description: 'Calls, tokens and cost (USD, from the shared model catalog) of AI completions, with breakdowns by model, source (route or MCP), team and day',
+        parameters: [
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date' }, description: 'First day (YYYY-MM-DD), defaults to 30 days ago' },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date' }, description: 'Last day (YYYY-MM-DD), defaults to today' },
+          { name: 'team', in: 'query', schema: { type: 'string' } },
+          { name: 'source', in: 'query', schema: { type: 'string' } },
+          { name: 'model', in: 'query', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: 'Totals and breakdowns' },
+          400: { description: 'Malformed date' }
+        }
+      }
+    },
+    '/api/ai/usage/events': {
+      get: {
+        tags: ['AI Usage'],
+        summary: 'Recent AI calls',
+        description: 'Most recent usage events, newest first',
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer', default: 100, maximum: 1000 } }
+        ],
+        responses: {
+          200: { description: 'Usage events' }
+        }
+      },
+      post: {
+        tags: ['AI Usage'],
+        summary: 'Record AI calls',
+        description: 'MCPs report their completions here when AI_USAGE_ENDPOINT points at /api/ai/usage. Requires Authorization: Bearer <ORCHESTRATOR_INTERNAL_TOKEN>. Cost is computed from the model catalog when omitted; the team is resolved from the app and source in config/ai-budgets.json',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['events'],
+                properties: {
+                  events: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      required: ['model', 'source'],
+                      properties: {
+                        model: { type: 'string' },
+                        provider: { type: 'string' },
+                        source: { type: 'string', description: 'Calling MCP or route' },
+                        app: { type: 'string', description: 'Application the prompt was about' },
+                        timestamp: { type: 'string', format: 'date-time', description: 'ISO 8601; defaults to the time of recording' },
+                        inputTokens: { type: 'integer', minimum: 0 },
+                        outputTokens: { type: 'integer', minimum: 0 },
+                        cost: { type: 'number' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: { description: 'Events recorded' },
+          400: { description: 'Malformed events, e.g. a timestamp that is not an ISO string or a negative token count' },
+          401: { description: 'Internal token missing or wrong' }
+        }
+      }
+    },
+    '/api/ai/usage/budget': {
+      get: {
+        tags: ['AI Usage'],
+        summary: 'Check AI budget',
+        description: "Today's spend against the global and team daily limits. status is ok, soft (calls are logged as warnings) or hard (calls are refused with 429)",
+        parameters: [
+          { name: 'source', in: 'query', schema: { type: 'string' }, description: 'Calling MCP or route; selects the team from config/ai-budgets.json' },
+          { name: 'app', in: 'query', schema: { type: 'string' }, description: 'Application the prompt is about; a team listing it in apps is billed before the source\'s team' }
+        ],
+        responses: {
+          200: { description: 'Budget status' }
+        }
+      }
+    },
+    '/api/ai/cache': {
+      get: {
+        tags: ['AI Usage'],
+        summary: 'AI response cache stats',
+        description: 'Hit/miss counters of the orchestrator AI response cache. With AI_CACHE_ENABLED=true, identical requests (same model, normalized prompt, temperature, max tokens and system prompt) are answered from disk until AI_CACHE_TTL_MS expires',
+        responses: {
+          200: { description: 'Cache stats: enabled, hits, misses, writes, hitRate, dir, ttlMs' },
+          503: { description: 'Cache unavailable' }
+        }
+      }
+    },
+    '/api/ai/models': {
+      get: {
+        tags: ['AI Usage'],
+        summary: 'Available AI models',
+        description: 'Catalog models grouped by provider (anthropic, openai, local). Models loaded on the OpenAI-compatible server at LOCAL_LLM_BASE_URL are added to the local list; catalog local models the server lacks have available: false',
+        responses: {
+          200: { description: 'providers: { anthropic, openai, local }, localServer: { reachable, error? }' },
+          503: { description: 'Model catalog unavailable' }
+        }
+      }
+    },
     '/api/swagger/docs': {
       get: {
         tags: ['Swagger'],
@@ -5,6 +5,9 @@
 
 import Anthropic from '@anthropic-ai/sdk';
 import { logger } from './logger.js';
+import { startSpan } from '../services/tracing.js';
+import { aiUsage, currentUsageCaller } from '../services/aiUsage.js';
+import { importShared } from './sharedModules.js';
 
 const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY?.trim()
@@ -13,43 +16,228 @@ const anthropic = new Anthropic({
 const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
 
 /**
- * Call Claude AI with a prompt
+ * Send messages to an Anthropic model
+ */
+async function completeWithAnthropic({ model, messages, maxTokens, temperature, options }) {
+  const response = await anthropic.messages.create({
+    model,
+    max_tokens: maxTokens,
+    ...(temperature !== undefined && { temperature }),
+    messages,
+    ...options
+  });
+
+  return {
+    text: response.content[0].text,
+    usage: {
+      promptTokens: response.usage.input_tokens,
+      completionTokens: response.usage.output_tokens,
+      totalTokens: response.usage.input_tokens + response.usage.output_tokens
+    }
+  };
+}
+
+/**
+ * Call Claude AI with a prompt, reporting whether the answer came from cache
+ *
+ * When the shared AI response cache is enabled, identical requests (same
+ * model, prompt, max tokens, temperature and system prompt) are answered from
+ * it without spending budget. When the prompt holds an
+ * app's code, pass `app` so its routing policy in config/apps.json applies;
+ * "local/<model>" IDs go to the shared OpenAI-compatible local provider.
+ *
  * @param {string} prompt - The prompt to send
  * @param {string} model - Optional model override
  * @param {number} maxTokens - Max tokens for response
- * @returns {Promise<string>} AI response text
+ * @param {Object} options - Optional source billed in AI usage (default: the calling route),
+ *   noCache to skip the cache lookup (the fresh answer is still cached), app for provider routing and team billing,
+ *   and temperature and system for the completion
+ * @returns {Promise<{text: string, usage: object, model: string, provider: string, cached: boolean, cachedAt: string|null}>}
+ * @throws {AiBudgetExceededError} When the caller's hard budget limit is spent
+ * @throws {AiProviderPolicyError} When the app's policy allows no usable model
+ * @throws {Error} When app is given but the provider policies can't be loaded
  */
-export async function callClaude(prompt, model = null, maxTokens = 4096) {
-  if (!process.env.ANTHROPIC_API_KEY) {
+export async function callClaudeWithMetadata(prompt, model = null, maxTokens = 4096, options = {}) {
+  const { noCache = false, app, source, temperature, system } = options;
+  const fallbackModel = process.env.CLAUDE_MODEL || DEFAULT_MODEL;
+  const providers = await importShared('shared/aiProviders.js');
+  // Never send an app's code without checking which providers it allows
+  if (!providers && app) {
+    throw new Error(`Cannot check the AI provider policy of ${app}: shared/aiProviders.js is not available`);
+  }
+  const { model: effectiveModel, provider } = providers
+    ? providers.resolveModel({ model, app, fallbackModel })
+    : { model: model || fallbackModel, provider: 'anthropic' };
+
+  let complete = completeWithAnthropic;
+  if (provider !== 'anthropic') {
+    const backend = providers.getProvider(provider);
+    if (!backend) {
+      throw new Error(`AI provider '${provider}' is not available in the orchestrator`);
+    }
+    complete = completion => backend.complete(completion);
+  } else if (!process.env.ANTHROPIC_API_KEY) {
     throw new Error('ANTHROPIC_API_KEY not configured');
   }
 
-  const effectiveModel = model || process.env.CLAUDE_MODEL || DEFAULT_MODEL;
+  // Everything sent to the provider is part of the cache key
+  const request = {
+    model: effectiveModel,
+    messages: [{ role: 'user', content: prompt }],
+    maxTokens,
+    temperature,
+    options: system ? { system } : {}
+  };
+
+  const cache = await importShared('shared/aiCache.js');
+  const key = cache?.cacheKey(request);
+  if (cache && !noCache) {
+    const entry = await cache.aiCache.get(key);
+    if (entry) {
+      logger.info(`Claude response for ${effectiveModel} served from cache (${entry.cachedAt})`);
+      return { ...entry.response, cached: true, cachedAt: entry.cachedAt };
+    }
+  }
+
+  const caller = { ...currentUsageCaller(), ...(source && { source }), app };
+  await aiUsage.assertWithinBudget(caller);
+
+  const span = startSpan(`chat ${effectiveModel}`, {
+    kind: 'client',
+    attributes: {
+      'gen_ai.system': provider,
+      'gen_ai.request.model': effectiveModel,
+      'gen_ai.request.max_tokens': maxTokens
+    }
+  });
 
+  const startTime = Date.now();
+  let result;
   try {
-    logger.info(`Calling Claude API with model: ${effectiveModel}`);
+    logger.info(`Calling ${provider} API with model: ${effectiveModel}`);
 
-    const response = await anthropic.messages.create({
-      model: effectiveModel,
-      max_tokens: maxTokens,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
-    });
+    const response = await complete(request);
 
-    const text = response.content[0].text;
+    logger.info(`${provider} API response: ${response.usage.promptTokens} input tokens, ${response.usage.completionTokens} output tokens`);
 
-    logger.info(`Claude API response: ${response.usage.input_tokens} input tokens, ${response.usage.output_tokens} output tokens`);
+    span.setAttributes({
+      'gen_ai.usage.input_tokens': response.usage.promptTokens,
+      'gen_ai.usage.output_tokens': response.usage.completionTokens
+    }).end();
 
-    return text;
+    await aiUsage.record([{
+      model: effectiveModel,
+      provider,
+      source: caller.source || 'orchestrator',
+      app,
+      inputTokens: response.usage.promptTokens,
+      outputTokens: response.usage.completionTokens,
+      durationMs: Date.now() - startTime,
+      traceId: span.traceId
+    }]).catch(error => logger.warn(`Could not record AI usage: ${error.message}`));
+
+    result = {
+      text: response.text,
+      usage: response.usage,
+      provider,
+      model: effectiveModel
+    };
 
   } catch (error) {
     logger.error(`Claude API error: ${error.message}`);
+    span.end(error);
     throw new Error(`AI API error: ${error.message}`);
   }
+
+  await cache?.aiCache.set(key, result);
+  return { ...result, cached: false, cachedAt: null };
+}
+
+/**
+ * Call Claude AI with a prompt
+ * @param {string} prompt - The prompt to send
+ * @param {string} model - Optional model override
+ * @param {number} maxTokens - Max tokens for response
+ * @param {Object} options - Optional { source, noCache, app, temperature, system }, see callClaudeWithMetadata
+ * @returns {Promise<string>} AI response text
+ * @throws {AiBudgetExceededError} When the caller's hard budget limit is spent
+ */
+export async function callClaude(prompt, model = null, maxTokens = 4096, options = {}) {
+  const { text } = await callClaudeWithMetadata(prompt, model, maxTokens, options);
+  return text;
+}
+
+/**
+ * When the oldest of several AI answers was cached
+ * @param {Array<string|null|undefined>} timestamps - cachedAt of each answer
+ * @returns {string|null} Null when every answer was fresh
+ */
+export function oldestCachedAt(timestamps) {
+  const cached = timestamps.filter(Boolean).sort();
+  return cached[0] || null;
+}
+
+/**
+ * Hit/miss counters of the orchestrator's AI response cache
+ * @returns {Promise<Object|null>} Null when the shared cache module isn't mounted
+ */
+export async function getCacheStats() {
+  const cache = await importShared('shared/aiCache.js');
+  return cache ? cache.aiCache.stats() : null;
+}
+
+/**
+ * Models the dashboards can offer, grouped by provider
+ *
+ * Catalog models come from mcps/shared/modelMapper.js. Models loaded on the
+ * local LLM server are added to the local list; catalog local models the
+ * server doesn't have are flagged unavailable.
+ *
+ * @returns {Promise<Object|null>} { providers: { anthropic, openai, local }, localServer: { reachable, error? } },
+ *   null when the shared modules aren't mounted
+ */
+export async function listAvailableModels() {
+  const [mapper, providers] = await Promise.all([
+    importShared('shared/modelMapper.js'),
+    importShared('shared/aiProviders.js')
+  ]);
+  if (!mapper) return null;
+
+  const byProvider = Object.fromEntries(
+    ['anthropic', 'openai', 'local'].map(name => [name, mapper.getModelsByProvider(name)])
+  );
+
+  const localServer = { reachable: false };
+  try {
+    const local = providers?.getProvider('local');
+    if (!local) throw new Error('local provider not registered');
+    const loaded = await local.listModels();
+    localServer.reachable = true;
+    byProvider.local = [
+      ...byProvider.local.map(model => ({ ...model, available: loaded.includes(model.id) })),
+      ...loaded
+        .filter(id => !mapper.isValidModel(id))
+        .map(id => ({
+          id,
+          provider: 'local',
+          tier: null,
+          displayName: id.slice('local/'.length),
+          description: 'Loaded on the local LLM server',
+          available: true
+        }))
+    ];
+  } catch (error) {
+    localServer.error = error.message;
+    logger.warn(`Could not list local LLM models: ${error.message}`);
+  }
+
+  return { providers: byProvider, localServer };
 }
 
 export default {
-  callClaude
+  callClaude,
+  callClaudeWithMetadata,
+  getCacheStats,
+  listAvailableModels,
+  oldestCachedAt
 };
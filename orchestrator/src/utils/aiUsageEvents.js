@@ -0,0 +1,55 @@
+/**
+ * AI Usage Events Utility
+ * Checks the usage events MCPs report and the entries read back from the
+ * ledger. Spend is grouped by the date part of ISO timestamps, so a single
+ * entry with another timestamp (such as Date.now()) would break every later
+ * budget check.
+ */
+
+const ISO_TIMESTAMP =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+function isIsoTimestamp(value) {
+  return (
+    typeof value === "string" &&
+    ISO_TIMESTAMP.test(value) &&
+    !Number.isNaN(Date.parse(value))
+  );
+}
+
+function isTokenCount(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Why a reported usage event can't be recorded, or null when it can
+ * Missing timestamps and token counts are filled in when recording
+ *
+ * @param {Object} event - Event as sent to POST /api/ai/usage/events
+ * @returns {string|null}
+ */
+export function usageEventError(event) {
+  if (typeof event?.model !== "string" || !event.source) {
+    return "model and source are required";
+  }
+  if (event.timestamp !== undefined && !isIsoTimestamp(event.timestamp)) {
+    return "timestamp must be an ISO 8601 string";
+  }
+  for (const field of ["inputTokens", "outputTokens"]) {
+    if (event[field] != null && !isTokenCount(event[field])) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a line read from the ledger is an entry the reports can use
+ */
+export function isUsageEntry(entry) {
+  return (
+    isIsoTimestamp(entry?.timestamp) &&
+    isTokenCount(entry.inputTokens) &&
+    isTokenCount(entry.outputTokens)
+  );
+}
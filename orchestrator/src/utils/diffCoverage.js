@@ -0,0 +1,171 @@
+/**
+ * Diff Coverage Utility
+ * Joins the lines a pull request changed with per-line coverage data to
+ * report how much of the new code is covered ("new code coverage")
+ */
+
+import path from "path";
+
+export const DOTNET_EXTENSIONS = [".cs"];
+export const JAVASCRIPT_EXTENSIONS = [
+  ".js",
+  ".jsx",
+  ".mjs",
+  ".cjs",
+  ".ts",
+  ".tsx",
+  ".vue",
+];
+
+/**
+ * Test code never shows up in coverage reports, so it is left out of
+ * changed-line coverage instead of being reported as uncovered
+ */
+export function isTestFile(filePath) {
+  const slashed = filePath.replace(/\\/g, "/");
+  const normalized = slashed.toLowerCase();
+  return (
+    /\.(test|spec)\.[cm]?[jt]sx?$/.test(normalized) ||
+    // A Test/Tests name suffix (RefundServiceTests.cs), not Latest.cs
+    /Tests?\.cs$/.test(slashed) ||
+    /\/(__tests__|tests?|[^/]*\.tests?)\//.test(normalized)
+  );
+}
+
+/**
+ * Whether a changed file is source code covered by one of the analyzers
+ */
+export function isCodeFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return (
+    (DOTNET_EXTENSIONS.includes(extension) ||
+      JAVASCRIPT_EXTENSIONS.includes(extension)) &&
+    !isTestFile(filePath)
+  );
+}
+
+function pathSegments(filePath) {
+  return filePath.replace(/\\/g, "/").toLowerCase().split("/").filter(Boolean);
+}
+
+/**
+ * Find the coverage report path for a repository path
+ *
+ * Coverage reports use build machine paths (absolute, relative to the
+ * project, or Windows style), so paths are matched on their longest common
+ * trailing segments. Returns null when nothing matches or the best match is
+ * ambiguous.
+ */
+export function matchCoverageFile(repoPath, coveragePaths) {
+  const target = pathSegments(repoPath);
+  let best = null;
+  let bestScore = 0;
+  let ambiguous = false;
+
+  for (const coveragePath of coveragePaths) {
+    const candidate = pathSegments(coveragePath);
+    let score = 0;
+    while (
+      score < target.length &&
+      score < candidate.length &&
+      target[target.length - 1 - score] ===
+        candidate[candidate.length - 1 - score]
+    ) {
+      score++;
+    }
+
+    if (score > bestScore) {
+      best = coveragePath;
+      bestScore = score;
+      ambiguous = false;
+    } else if (score > 0 && score === bestScore) {
+      ambiguous = true;
+    }
+  }
+
+  return ambiguous ? null : best;
+}
+
+function toLineRanges(lines) {
+  const ranges = [];
+
+  for (const line of lines) {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last.end + 1) {
+      last.end = line;
+    } else {
+      ranges.push({ start: line, end: line });
+    }
+  }
+
+  return ranges;
+}
+
+function percentage(covered, total) {
+  return total > 0 ? Math.round((covered / total) * 1000) / 10 : null;
+}
+
+/**
+ * Compute coverage of the changed lines of a pull request
+ *
+ * Only changed lines the coverage report knows about (executable lines) are
+ * counted; blank lines, comments and declarations are ignored.
+ *
+ * @param {Array} diffFiles - [{ path, changedLines: number[] }] from the Azure DevOps PR diff
+ * @param {Object} lineCoverage - { [coveragePath]: { [line]: hits } }
+ */
+export function computeDiffCoverage(diffFiles, lineCoverage) {
+  const coveragePaths = Object.keys(lineCoverage);
+  const files = [];
+  const uncoveredLines = [];
+  const filesWithoutCoverage = [];
+
+  for (const diffFile of diffFiles) {
+    if (!isCodeFile(diffFile.path) || diffFile.changedLines.length === 0) {
+      continue;
+    }
+
+    const coverageFile = matchCoverageFile(diffFile.path, coveragePaths);
+    if (!coverageFile) {
+      filesWithoutCoverage.push(diffFile.path);
+      continue;
+    }
+
+    const hits = lineCoverage[coverageFile];
+    const coverable = diffFile.changedLines.filter((line) => line in hits);
+    const uncovered = coverable.filter((line) => !(hits[line] > 0));
+    const uncoveredRanges = toLineRanges(uncovered);
+
+    files.push({
+      path: diffFile.path,
+      coverageFile,
+      changedLines: diffFile.changedLines.length,
+      coverableLines: coverable.length,
+      coveredLines: coverable.length - uncovered.length,
+      percentage: percentage(
+        coverable.length - uncovered.length,
+        coverable.length,
+      ),
+      uncoveredLines: uncoveredRanges,
+    });
+
+    uncoveredRanges.forEach((range) =>
+      uncoveredLines.push({ file: diffFile.path, ...range }),
+    );
+  }
+
+  const coverableLines = files.reduce((sum, f) => sum + f.coverableLines, 0);
+  const coveredLines = files.reduce((sum, f) => sum + f.coveredLines, 0);
+
+  return {
+    coverage: {
+      changedLines: files.reduce((sum, f) => sum + f.changedLines, 0),
+      coverableLines,
+      coveredLines,
+      percentage: percentage(coveredLines, coverableLines),
+    },
+    files,
+    uncoveredLines,
+    filesWithoutCoverage,
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * Internal Auth Utility
+ * Shared-secret check for calls the MCPs make to the orchestrator, such as
+ * self-registration. Callers send `Authorization: Bearer <token>` with the
+ * ORCHESTRATOR_INTERNAL_TOKEN both sides are configured with.
+ */
+
+import { timingSafeEqual } from "crypto";
+
+/**
+ * Whether a request carries the internal token
+ * Always false when no token is configured
+ *
+ * @param {Object} req - Express request
+ * @param {string} [token] - Expected token (defaults to ORCHESTRATOR_INTERNAL_TOKEN)
+ */
+export function isInternalCaller(
+  req,
+  token = process.env.ORCHESTRATOR_INTERNAL_TOKEN,
+) {
+  if (!token) return false;
+
+  const match = (req.get("authorization") || "").match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Express middleware that rejects requests without the internal token
+ */
+export function requireInternalCaller(req, res, next) {
+  if (isInternalCaller(req)) return next();
+
+  res.status(401).json({
+    success: false,
+    error: "Internal token required (Authorization: Bearer <token>)",
+  });
+}
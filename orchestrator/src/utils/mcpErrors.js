@@ -0,0 +1,28 @@
+/**
+ * MCP Errors Utility
+ * Maps a failed MCP call to the status and message a route answers with
+ */
+
+/**
+ * Status and message for a failed MCP call
+ * The MCP's own 4xx (bad request, unknown app, ...) and its error message are
+ * passed through; anything else, including an unreachable MCP, is a 500
+ *
+ * @param {Error} error - Error thrown by mcpManager.callDockerMcp
+ * @returns {{ status: number, message: string }}
+ */
+export function mcpErrorResponse(error) {
+  const status = error.response?.status;
+
+  if (status >= 400 && status < 500) {
+    const data = error.response.data || {};
+    const message =
+      (typeof data.error === "string" ? data.error : data.error?.message) ||
+      data.message ||
+      error.message;
+
+    return { status, message };
+  }
+
+  return { status: 500, message: error.message };
+}
@@ -1,10 +1,95 @@
 /**
  * MCP Tool Registry
- * Makes our Docker MCPs expose tools using the standard MCP protocol
- * This allows AI agents to discover and use tools automatically
+ * Tools exposed by the orchestrator's Model Context Protocol server.
+ *
+ * Tools are generated from existing orchestrator routes: the input schema is
+ * the route's request body schema in the OpenAPI spec, and calling the tool
+ * calls the route, so tools and REST clients share one implementation.
  */
 
-import express from 'express';
+import axios from "axios";
+import { currentJob } from "../services/jobQueue.js";
+import { currentTraceparent } from "../services/tracing.js";
+
+/**
+ * Routes exposed as MCP tools
+ */
+export const ROUTE_TOOLS = [
+  {
+    name: "ado_pull_stories",
+    method: "post",
+    path: "/api/ado/pull-stories",
+    description:
+      "Pull user stories from Azure DevOps by sprint, work item IDs or WIQL query",
+  },
+  {
+    name: "analyze_story_risk",
+    method: "post",
+    path: "/api/analysis/risk/analyze-story",
+  },
+  {
+    name: "analyze_blast_radius",
+    method: "post",
+    path: "/api/analysis/blast-radius/analyze",
+  },
+  {
+    name: "generate_unit_tests",
+    method: "post",
+    path: "/api/tests/generate-for-file",
+  },
+  {
+    name: "generate_playwright_tests",
+    method: "post",
+    path: "/api/playwright/full-automation",
+  },
+  {
+    name: "heal_playwright_tests",
+    method: "post",
+    path: "/api/playwright/heal-tests",
+  },
+];
+
+// Tool calls can run AI generation, so allow well over the HTTP default
+const ROUTE_TIMEOUT = 300000;
+
+/**
+ * Call orchestrator routes over HTTP (the server itself, or a remote
+ * orchestrator when running the stdio transport)
+ *
+ * Calls made inside a job (e.g. workflow route steps) carry the job's ID and
+ * token, so the route runs in the same job, and the current trace context.
+ */
+export function createRouteCaller(baseUrl) {
+  return async ({ method, path, args }) => {
+    const job = currentJob();
+    const traceparent = currentTraceparent();
+    const response = await axios({
+      method,
+      url: `${baseUrl}${path}`,
+      timeout: ROUTE_TIMEOUT,
+      headers: {
+        ...job?.headers,
+        ...(traceparent ? { traceparent } : {}),
+      },
+      ...(job ? { signal: job.signal } : {}),
+      ...(method === "get" ? { params: args } : { data: args }),
+    });
+    return response.data;
+  };
+}
+
+function toolResult(data, isError = false) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: typeof data === "string" ? data : JSON.stringify(data, null, 2),
+      },
+    ],
+    ...(data && typeof data === "object" ? { structuredContent: data } : {}),
+    isError,
+  };
+}
 
 export class MCPToolRegistry {
   constructor() {
@@ -13,150 +98,92 @@ export class MCPToolRegistry {
 
   /**
    * Register a tool that can be called by AI agents
+   *
+   * @param {Function} handler - async (args) => result data
    */
   registerTool(name, description, inputSchema, handler) {
     this.tools.set(name, {
       name,
       description,
       inputSchema,
-      handler
+      handler,
     });
   }
 
   /**
-   * Get list of all available tools (MCP standard)
+   * Register an orchestrator route as a tool, described by its OpenAPI operation
+   */
+  registerRoute(spec, { name, method, path, description }, callRoute) {
+    const operation = spec.paths?.[path]?.[method];
+    if (!operation) {
+      throw new Error(`No ${method.toUpperCase()} ${path} in the API spec`);
+    }
+
+    const inputSchema = operation.requestBody?.content?.["application/json"]
+      ?.schema || { type: "object", properties: {} };
+
+    this.registerTool(
+      name,
+      description ||
+        [operation.summary, operation.description].filter(Boolean).join(". "),
+      inputSchema,
+      (args) => callRoute({ method, path, args }),
+    );
+  }
+
+  /**
+   * List of all available tools (MCP tools/list result)
    */
   listTools() {
     return {
-      tools: Array.from(this.tools.values()).map(({ name, description, inputSchema }) => ({
-        name,
-        description,
-        inputSchema
-      }))
+      tools: Array.from(this.tools.values()).map(
+        ({ name, description, inputSchema }) => ({
+          name,
+          description,
+          inputSchema,
+        }),
+      ),
     };
   }
 
+  has(name) {
+    return this.tools.has(name);
+  }
+
   /**
-   * Call a specific tool (MCP standard)
+   * Call a tool (MCP tools/call result)
+   *
+   * Failures of the tool itself are returned as isError results, which the
+   * protocol reserves for errors the model should see and can act on.
    */
-  async callTool(name, args) {
+  async callTool(name, args = {}) {
     const tool = this.tools.get(name);
     if (!tool) {
       throw new Error(`Tool not found: ${name}`);
     }
-    return await tool.handler(args);
-  }
-
-  /**
-   * Add MCP standard routes to an Express app
-   */
-  addRoutesToApp(app) {
-    // MCP standard: List available tools
-    app.post('/mcp/tools/list', (req, res) => {
-      res.json(this.listTools());
-    });
-
-    // MCP standard: Call a tool
-    app.post('/mcp/tools/call', async (req, res) => {
-      try {
-        const { name, arguments: args } = req.body;
-        const result = await this.callTool(name, args);
-        res.json({
-          jsonrpc: '2.0',
-          result
-        });
-      } catch (error) {
-        res.status(500).json({
-          jsonrpc: '2.0',
-          error: {
-            code: -32603,
-            message: error.message
-          }
-        });
-      }
-    });
 
-    // Also keep traditional HTTP endpoints for direct access
-    app.post('/tools/:toolName', async (req, res) => {
-      try {
-        const { toolName } = req.params;
-        const result = await this.callTool(toolName, req.body);
-        res.json({ success: true, result });
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
-    });
+    try {
+      return toolResult(await tool.handler(args));
+    } catch (error) {
+      const details = error.response?.data;
+      return toolResult(
+        details
+          ? { error: error.message, status: error.response.status, details }
+          : { error: error.message },
+        true,
+      );
+    }
   }
 }
 
-// Example usage in code-analyzer MCP:
-import { MCPToolRegistry } from './mcpToolRegistry.js';
-import { scanDirectory, analyzeCSharpFile } from './services/scanner.js';
-
-const app = express();
-app.use(express.json());
-
-const registry = new MCPToolRegistry();
-
-// Register tools
-registry.registerTool(
-  'scan_csharp_code',
-  'Scans .NET C# code to identify classes, methods, and integration points',
-  {
-    type: 'object',
-    properties: {
-      app: {
-        type: 'string',
-        description: 'Application name (App1, App2, App3, or App4)'
-      },
-      includeTests: {
-        type: 'boolean',
-        description: 'Include test files in scan',
-        default: false
-      },
-      findEpicReferences: {
-        type: 'boolean',
-        description: 'Find Epic API integration points',
-        default: true
-      }
-    },
-    required: ['app']
-  },
-  async (args) => {
-    const { app, includeTests, findEpicReferences } = args;
-    // ... scanning logic
-    return { totalFiles: 145, classes: [...], methods: [...] };
-  }
-);
-
-registry.registerTool(
-  'analyze_integration_points',
-  'Analyzes code for Epic and Financial system integration points',
-  {
-    type: 'object',
-    properties: {
-      app: { type: 'string' },
-      integrationType: {
-        type: 'string',
-        enum: ['Epic', 'Financial', 'Both']
-      }
-    },
-    required: ['app']
-  },
-  async (args) => {
-    // ... integration analysis logic
-    return { epicPoints: 12, financialPoints: 8 };
-  }
-);
-
-// Add MCP routes
-registry.addRoutesToApp(app);
-
-// Now AI agents can discover tools:
-// POST /mcp/tools/list → Returns all available tools
-// POST /mcp/tools/call → Calls a specific tool
-
-app.listen(3001, () => {
-  console.log('Code Analyzer MCP with tool registry on port 3001');
-  console.log(`Registered ${registry.tools.size} tools`);
-});
+/**
+ * Registry of the orchestrator's route tools
+ *
+ * @param {Object} spec - Orchestrator OpenAPI spec
+ * @param {Function} callRoute - ({ method, path, args }) => response data
+ */
+export function createRouteToolRegistry(spec, callRoute) {
+  const registry = new MCPToolRegistry();
+  ROUTE_TOOLS.forEach((tool) => registry.registerRoute(spec, tool, callRoute));
+  return registry;
+}
@@ -9,6 +9,7 @@
  */
 
 import { logger } from "./logger.js";
+import { formatTraceparent, withSpan } from "../services/tracing.js";
 
 // ============================================================================
 // Cache Implementation
@@ -70,7 +71,7 @@ class SwaggerCache {
 // Circuit Breaker Implementation
 // ============================================================================
 
-class CircuitBreaker {
+export class CircuitBreaker {
   constructor(options = {}) {
     this.failureThreshold = options.failureThreshold || 5;
     this.resetTimeout = options.resetTimeout || 30000; // 30 seconds
@@ -206,6 +207,7 @@ export const ErrorTypes = {
   PARSE_ERROR: "PARSE_ERROR",
   CIRCUIT_OPEN: "CIRCUIT_OPEN",
   ABORTED: "ABORTED",
+  BULKHEAD_FULL: "BULKHEAD_FULL",
   UNKNOWN: "UNKNOWN",
 };
 
@@ -220,14 +222,14 @@ const circuitBreaker = new CircuitBreaker();
 /**
  * Sleep for specified milliseconds
  */
-function sleep(ms) {
+export function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
 /**
  * Calculate exponential backoff delay
  */
-function getBackoffDelay(attempt, baseDelay = 1000, maxDelay = 10000) {
+export function getBackoffDelay(attempt, baseDelay = 1000, maxDelay = 10000) {
   const delay = Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
   // Add jitter (0-25% of delay)
   const jitter = delay * Math.random() * 0.25;
@@ -253,9 +255,30 @@ async function fetchWithTimeout(url, options = {}, timeoutMs = 10000) {
 }
 
 /**
- * Resilient fetch with retry, caching, and circuit breaker
+ * Resilient fetch with retry, caching, and circuit breaker, recorded as a
+ * span whose traceparent is sent to the target service
  */
 export async function resilientFetch(url, options = {}) {
+  const method = options.method || "GET";
+
+  return withSpan(
+    `${method} ${new URL(url).host}`,
+    { kind: "client", attributes: { "http.method": method, "http.url": url } },
+    async (span) => {
+      const result = await fetchWithRetries(url, {
+        ...options,
+        headers: { ...options.headers, traceparent: formatTraceparent(span) },
+      });
+      span.setAttributes({
+        "cache.hit": result.fromCache,
+        "http.attempts": result.attempt,
+      });
+      return result;
+    },
+  );
+}
+
+async function fetchWithRetries(url, options = {}) {
   const {
     method = "GET",
     headers = {},
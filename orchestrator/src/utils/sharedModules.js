@@ -0,0 +1,39 @@
+/**
+ * Shared MCP Modules
+ * Loads modules from mcps/shared (pricing, AI response cache) out of the
+ * mounted mcps/ directory, which the orchestrator can't import statically
+ */
+
+import { existsSync } from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { logger } from "./logger.js";
+import { MCPS_PATHS } from "../services/mcpManager.js";
+
+const modules = new Map();
+
+async function load(file) {
+  const mcpsDir = MCPS_PATHS.find((p) => existsSync(path.join(p, file)));
+  if (!mcpsDir) return null;
+
+  try {
+    return await import(pathToFileURL(path.join(mcpsDir, file)).href);
+  } catch (error) {
+    logger.warn(`Could not load ${file}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Import a module relative to the mcps/ directory, once
+ *
+ * @param {string} file - e.g. "shared/modelMapper.js"
+ * @returns {Promise<Object|null>} The module namespace, or null when it is
+ *   not mounted or fails to load
+ */
+export function importShared(file) {
+  if (!modules.has(file)) {
+    modules.set(file, load(file));
+  }
+  return modules.get(file);
+}
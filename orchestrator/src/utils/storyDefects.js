@@ -0,0 +1,66 @@
+/**
+ * Story Defects Utility
+ * Finds Bug work items linked to a story through Azure DevOps work item
+ * relations (Related, Child, Tested By, ...)
+ */
+
+/**
+ * Extract the numeric work item ID from an ADO relation URL
+ * e.g. https://dev.azure.com/org/_apis/wit/workItems/123 -> 123
+ */
+function idFromRelationUrl(url) {
+  const match = (url || "").match(/workItems\/(\d+)$/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Get IDs of work items linked to a work item, ignoring artifact links,
+ * hyperlinks and attachments
+ */
+export function getLinkedWorkItemIds(workItem) {
+  return (workItem?.relations || [])
+    .filter((r) => (r.rel || "").startsWith("System.LinkTypes"))
+    .map((r) => idFromRelationUrl(r.url))
+    .filter((id) => id !== null);
+}
+
+/**
+ * Get Bug work items linked to a story
+ *
+ * @param {MCPManager} mcpManager - Used to call the Azure DevOps MCP
+ * @param {number|string} storyId - Story work item ID
+ * @param {Object} options
+ * @param {string} [options.since] - Only count bugs created after this ISO date
+ * @returns {Promise<Array>} Bug work items
+ */
+export async function getStoryDefects(mcpManager, storyId, options = {}) {
+  const storyResponse = await mcpManager.callDockerMcp(
+    "azureDevOps",
+    "/work-items/get",
+    { ids: [parseInt(storyId, 10)], orgWide: true },
+  );
+
+  const [story] = storyResponse?.data || [];
+  if (!story) {
+    throw new Error(`Work item ${storyId} not found`);
+  }
+
+  const linkedIds = getLinkedWorkItemIds(story);
+  if (linkedIds.length === 0) {
+    return [];
+  }
+
+  const linkedResponse = await mcpManager.callDockerMcp(
+    "azureDevOps",
+    "/work-items/get",
+    { ids: linkedIds, orgWide: true },
+  );
+
+  const since = options.since ? new Date(options.since) : null;
+
+  return (linkedResponse?.data || []).filter((wi) => {
+    if (wi.fields?.["System.WorkItemType"] !== "Bug") return false;
+    if (!since) return true;
+    return new Date(wi.fields["System.CreatedDate"]) > since;
+  });
+}
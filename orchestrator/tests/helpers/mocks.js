@@ -20,6 +20,8 @@ export const createMockMcpManager = () => ({
   startHealthChecks: jest.fn(),
   checkDashboards: jest.fn(),
   initialize: jest.fn(),
+  register: jest.fn(),
+  resetCircuit: jest.fn(),
   // Swagger documentation methods
   getSwaggerDocs: jest.fn(),
   getAllSwaggerDocs: jest.fn(),
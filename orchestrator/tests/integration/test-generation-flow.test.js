@@ -11,7 +11,7 @@ import { sampleCodeFiles } from "../fixtures/test-data.js";
  * 1. User requests test generation for a file
  * 2. System resolves file path (Docker path conversion)
  * 3. System reads file content
- * 4. System calls Claude AI with appropriate prompt
+ * 4. System asks the pooled .NET test generator (STDIO MCP) for the tests
  * 5. System returns generated test code with metadata
  *
  * This integration test verifies the entire orchestration works correctly.
@@ -21,9 +21,21 @@ describe("Test Generation Flow Integration", () => {
   let app;
   let mockMcpManager;
   let mockReadFile;
-  let mockCallClaude;
   let testsRouter;
 
+  // The test generator answers with the given code
+  const generatorReturns =
+    (testCode) =>
+    async (name, { data }) => ({
+      success: true,
+      result: {
+        className: data.className,
+        testFramework: data.testFramework,
+        testCode,
+        completeTestFile: testCode,
+      },
+    });
+
   beforeEach(async () => {
     // Reset all modules to ensure clean state
     jest.resetModules();
@@ -33,18 +45,10 @@ describe("Test Generation Flow Integration", () => {
       readFile: jest.fn(),
     }));
 
-    // Mock aiHelper BEFORE importing routes
-    await jest.unstable_mockModule("../../src/utils/aiHelper.js", () => ({
-      callClaude: jest.fn(),
-    }));
-
     // Import mocked modules
     const fsPromises = await import("fs/promises");
     mockReadFile = fsPromises.readFile;
 
-    const aiHelper = await import("../../src/utils/aiHelper.js");
-    mockCallClaude = aiHelper.callClaude;
-
     // Import routes AFTER mocking dependencies
     const testsRouterModule = await import("../../src/routes/tests.js");
     testsRouter = testsRouterModule.default;
@@ -81,7 +85,9 @@ describe("Test Generation Flow Integration", () => {
       return Promise.resolve(sampleCodeFiles.csharp.service);
     });
 
-    mockCallClaude.mockResolvedValue(mockClaudeTestCode("xUnit"));
+    mockMcpManager.callStdioMcp.mockImplementation(
+      generatorReturns(mockClaudeTestCode("xUnit")),
+    );
   });
 
   afterEach(() => {
@@ -122,17 +128,23 @@ describe("Test Generation Flow Integration", () => {
         expect(response.body.result.testCode).toBeDefined();
       });
 
-      it("should call Claude AI with appropriate prompt", async () => {
+      it("should send the source to the test generator", async () => {
         await request(app).post("/api/tests/generate-for-file").send({
           app: "App1",
           file: "/Services/UserService.cs",
           className: "UserService",
         });
 
-        expect(mockCallClaude).toHaveBeenCalledWith(
-          expect.stringContaining("UserService"),
-          undefined, // model parameter defaults to undefined
-          4096, // maxTokens
+        expect(mockMcpManager.callStdioMcp).toHaveBeenCalledWith(
+          "dotnet-unit-test-generator",
+          {
+            data: expect.objectContaining({
+              app: "App1", // routed by the app's AI policy
+              className: "UserService",
+              sourceCode: expect.stringContaining("UserService"),
+              testFramework: "xUnit",
+            }),
+          },
         );
       });
 
@@ -332,9 +344,9 @@ describe("Test Generation Flow Integration", () => {
       });
     });
 
-    describe("Claude AI errors", () => {
-      it("should handle Claude API 404 errors", async () => {
-        mockCallClaude.mockRejectedValueOnce(
+    describe("Test generator errors", () => {
+      it("should handle AI API 404 errors", async () => {
+        mockMcpManager.callStdioMcp.mockRejectedValueOnce(
           new Error("AI API error: 404 model not found"),
         );
 
@@ -350,8 +362,8 @@ describe("Test Generation Flow Integration", () => {
         expect(response.body.error).toContain("Test generation failed");
       });
 
-      it("should handle Claude API rate limit errors", async () => {
-        mockCallClaude.mockRejectedValueOnce(
+      it("should handle AI API rate limit errors", async () => {
+        mockMcpManager.callStdioMcp.mockRejectedValueOnce(
           new Error("AI API error: 429 rate limit exceeded"),
         );
 
@@ -366,8 +378,8 @@ describe("Test Generation Flow Integration", () => {
         expect(response.status).toBe(500);
       });
 
-      it("should handle Claude API timeout errors", async () => {
-        mockCallClaude.mockRejectedValueOnce(
+      it("should handle AI API timeout errors", async () => {
+        mockMcpManager.callStdioMcp.mockRejectedValueOnce(
           new Error("AI API error: ETIMEDOUT"),
         );
 
@@ -382,8 +394,10 @@ describe("Test Generation Flow Integration", () => {
         expect(response.status).toBe(500);
       });
 
-      it("should handle malformed Claude responses", async () => {
-        mockCallClaude.mockResolvedValueOnce(""); // Empty response
+      it("should handle empty generated code", async () => {
+        mockMcpManager.callStdioMcp.mockImplementationOnce(
+          generatorReturns(""),
+        ); // Empty response
 
         const response = await request(app)
           .post("/api/tests/generate-for-file")
@@ -417,7 +431,9 @@ describe("Test Generation Flow Integration", () => {
 
       it("should handle JavaScript files", async () => {
         mockReadFile.mockResolvedValueOnce(sampleCodeFiles.javascript.class);
-        mockCallClaude.mockResolvedValueOnce(mockClaudeTestCode("Jest"));
+        mockMcpManager.callStdioMcp.mockImplementationOnce(
+          generatorReturns(mockClaudeTestCode("Jest")),
+        );
 
         const response = await request(app)
           .post("/api/tests/generate-for-file")
@@ -433,7 +449,9 @@ describe("Test Generation Flow Integration", () => {
 
       it("should handle TypeScript files", async () => {
         mockReadFile.mockResolvedValueOnce("export class Service { }");
-        mockCallClaude.mockResolvedValueOnce('describe("Service", () => {})');
+        mockMcpManager.callStdioMcp.mockImplementationOnce(
+          generatorReturns('describe("Service", () => {})'),
+        );
 
         const response = await request(app)
           .post("/api/tests/generate-for-file")
@@ -511,7 +529,7 @@ describe("Test Generation Flow Integration", () => {
 
         // Each request reads 2 files: apps.json config + source file
         expect(mockReadFile).toHaveBeenCalledTimes(10);
-        expect(mockCallClaude).toHaveBeenCalledTimes(5);
+        expect(mockMcpManager.callStdioMcp).toHaveBeenCalledTimes(5);
       });
     });
   });
@@ -69,6 +69,7 @@ describe("ADO Routes", () => {
   let app;
   let mockMcpManager;
   let adoRouter;
+  let mockCallClaudeWithMetadata;
 
   beforeEach(async () => {
     jest.resetModules();
@@ -90,7 +91,14 @@ describe("ADO Routes", () => {
           ],
         }),
       ),
+      callClaudeWithMetadata: jest
+        .fn()
+        .mockResolvedValue({ text: "{}", cached: false, cachedAt: null }),
+      oldestCachedAt: (timestamps) =>
+        timestamps.filter(Boolean).sort()[0] || null,
     }));
+    ({ callClaudeWithMetadata: mockCallClaudeWithMetadata } =
+      await import("../../../src/utils/aiHelper.js"));
 
     // Import routes AFTER mocking
     const adoRouterModule = await import("../../../src/routes/ado.js");
@@ -208,6 +216,62 @@ describe("ADO Routes", () => {
       expect(response.status).toBe(200);
     });
 
+    it("POST /analyze-requirements should report when answers came from cache", async () => {
+      mockMcpManager.callDockerMcp
+        .mockResolvedValueOnce(
+          createMockMcpResponse([createMockWorkItem({ id: 123 })]),
+        )
+        .mockResolvedValueOnce({
+          result: {
+            risk: {
+              level: "Low",
+              score: 20,
+              cachedAt: "2026-03-01T09:00:00.000Z",
+            },
+          },
+        });
+      mockCallClaudeWithMetadata.mockResolvedValueOnce({
+        text: "{}",
+        cached: true,
+        cachedAt: "2026-03-01T10:00:00.000Z",
+      });
+
+      const response = await request(app)
+        .post("/api/ado/analyze-requirements")
+        .send({ storyIds: [123] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.cachedAt).toBe("2026-03-01T09:00:00.000Z");
+      expect(response.body.results[0].cachedAt).toBe(
+        "2026-03-01T09:00:00.000Z",
+      );
+    });
+
+    it("POST /analyze-requirements should re-run the AI with noCache", async () => {
+      mockMcpManager.callDockerMcp
+        .mockResolvedValueOnce(
+          createMockMcpResponse([createMockWorkItem({ id: 123 })]),
+        )
+        .mockResolvedValueOnce({ result: { risk: { level: "Low" } } });
+
+      const response = await request(app)
+        .post("/api/ado/analyze-requirements")
+        .send({ storyIds: [123], noCache: true });
+
+      expect(response.body.cachedAt).toBeNull();
+      expect(mockCallClaudeWithMetadata).toHaveBeenCalledWith(
+        expect.any(String),
+        undefined,
+        3000,
+        { noCache: true },
+      );
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "riskAnalyzer",
+        "/analyze-risk",
+        expect.objectContaining({ noCache: true }),
+      );
+    });
+
     it("POST /analyze-requirements should return 400 without storyIds", async () => {
       const response = await request(app)
         .post("/api/ado/analyze-requirements")
@@ -263,20 +327,43 @@ describe("ADO Routes", () => {
     });
 
     it("GET /defects/by-story/:storyId should return story defects", async () => {
-      mockMcpManager.callDockerMcp.mockResolvedValue([
-        {
-          id: 1,
-          fields: {
-            "System.Title": "Bug 1",
-            "System.State": "Active",
-            "Microsoft.VSTS.Common.Severity": "2 - High",
-          },
-        },
-      ]);
+      mockMcpManager.callDockerMcp
+        .mockResolvedValueOnce({
+          data: [
+            {
+              id: 123,
+              relations: [
+                {
+                  rel: "System.LinkTypes.Related",
+                  url: "https://dev.azure.com/org/_apis/wit/workItems/1",
+                },
+              ],
+            },
+          ],
+        })
+        .mockResolvedValueOnce({
+          data: [
+            {
+              id: 1,
+              fields: {
+                "System.WorkItemType": "Bug",
+                "System.Title": "Bug 1",
+                "System.State": "Active",
+                "Microsoft.VSTS.Common.Severity": "2 - High",
+              },
+            },
+          ],
+        });
 
       const response = await request(app).get("/api/ado/defects/by-story/123");
 
       expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(mockMcpManager.callDockerMcp).toHaveBeenLastCalledWith(
+        "azureDevOps",
+        "/work-items/get",
+        { ids: [1], orgWide: true },
+      );
     });
 
     it("GET /defects/metrics should return defect metrics", async () => {
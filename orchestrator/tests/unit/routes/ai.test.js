@@ -11,13 +11,19 @@ import request from "supertest";
  * - POST /api/ai/generate-query - Generate SQL from natural language
  * - GET /api/ai/schema-summary - Get schema summary for a database
  * - POST /api/ai/explain-query - Explain an existing SQL query
+ * - GET/POST /api/ai/usage* - AI usage breakdowns, events and budgets
+ * - GET /api/ai/cache - AI response cache stats
+ * - GET /api/ai/models - Models by provider for the model selectors
  */
 
 describe("AI Routes", () => {
   let app;
   let aiRouter;
   let mockCallClaude;
+  let mockGetCacheStats;
+  let mockListAvailableModels;
   let mockReadFile;
+  let mockAiUsage;
 
   beforeEach(async () => {
     jest.resetModules();
@@ -25,16 +31,21 @@ describe("AI Routes", () => {
     // Mock aiHelper
     await jest.unstable_mockModule("../../../src/utils/aiHelper.js", () => ({
       callClaude: jest.fn(),
+      getCacheStats: jest.fn(),
+      listAvailableModels: jest.fn(),
     }));
 
-    // Mock fs/promises
-    await jest.unstable_mockModule("fs/promises", () => ({
-      readFile: jest.fn(),
-    }));
+    // Mock fs/promises (ai.js uses its default export)
+    await jest.unstable_mockModule("fs/promises", () => {
+      const readFile = jest.fn();
+      return { readFile, default: { readFile } };
+    });
 
     // Import mocked modules
     const aiHelper = await import("../../../src/utils/aiHelper.js");
     mockCallClaude = aiHelper.callClaude;
+    mockGetCacheStats = aiHelper.getCacheStats;
+    mockListAvailableModels = aiHelper.listAvailableModels;
 
     const fsPromises = await import("fs/promises");
     mockReadFile = fsPromises.readFile;
@@ -43,9 +54,20 @@ describe("AI Routes", () => {
     const aiRouterModule = await import("../../../src/routes/ai.js");
     aiRouter = aiRouterModule.default;
 
+    mockAiUsage = {
+      getUsage: jest.fn(),
+      getEvents: jest.fn(),
+      record: jest.fn(),
+      checkBudget: jest.fn(),
+    };
+
     // Setup Express app
     app = express();
     app.use(express.json());
+    app.use((req, res, next) => {
+      req.aiUsage = mockAiUsage;
+      next();
+    });
     app.use("/api/ai", aiRouter);
 
     // Default mock implementations
@@ -401,4 +423,221 @@ describe("AI Routes", () => {
       });
     });
   });
+
+  describe("AI usage", () => {
+    it("should return usage breakdowns for the requested range", async () => {
+      mockAiUsage.getUsage.mockResolvedValue({
+        from: "2026-03-01",
+        to: "2026-03-31",
+        totals: { calls: 2, cost: 1.25 },
+        byModel: [{ model: "claude-sonnet-4-20250514", cost: 1.25 }],
+      });
+
+      const response = await request(app)
+        .get("/api/ai/usage")
+        .query({ from: "2026-03-01", to: "2026-03-31", team: "qe" });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        totals: { calls: 2, cost: 1.25 },
+      });
+      expect(mockAiUsage.getUsage).toHaveBeenCalledWith({
+        from: "2026-03-01",
+        to: "2026-03-31",
+        team: "qe",
+      });
+    });
+
+    it("should reject malformed dates", async () => {
+      const response = await request(app)
+        .get("/api/ai/usage")
+        .query({ from: "March" });
+
+      expect(response.status).toBe(400);
+      expect(mockAiUsage.getUsage).not.toHaveBeenCalled();
+    });
+
+    describe("POST /usage/events", () => {
+      beforeEach(() => {
+        process.env.ORCHESTRATOR_INTERNAL_TOKEN = "s3cret";
+      });
+
+      afterEach(() => {
+        delete process.env.ORCHESTRATOR_INTERNAL_TOKEN;
+      });
+
+      it("should record usage events reported by MCPs", async () => {
+        mockAiUsage.record.mockResolvedValue([{ id: "1" }]);
+        const events = [
+          {
+            model: "gpt-4o",
+            source: "risk-analyzer",
+            inputTokens: 10,
+            outputTokens: 5,
+          },
+        ];
+
+        const response = await request(app)
+          .post("/api/ai/usage/events")
+          .set("Authorization", "Bearer s3cret")
+          .send({ events });
+
+        expect(response.status).toBe(201);
+        expect(response.body.recorded).toBe(1);
+        expect(mockAiUsage.record).toHaveBeenCalledWith(events);
+      });
+
+      it("should refuse events without the internal token", async () => {
+        const events = [{ model: "gpt-4o", source: "risk-analyzer" }];
+
+        const responses = [
+          await request(app).post("/api/ai/usage/events").send({ events }),
+          await request(app)
+            .post("/api/ai/usage/events")
+            .set("Authorization", "Bearer wrong")
+            .send({ events }),
+        ];
+
+        expect(responses.map((r) => r.status)).toEqual([401, 401]);
+        expect(mockAiUsage.record).not.toHaveBeenCalled();
+      });
+
+      it("should reject events without a model or source", async () => {
+        const response = await request(app)
+          .post("/api/ai/usage/events")
+          .set("Authorization", "Bearer s3cret")
+          .send({ events: [{ model: "gpt-4o" }] });
+
+        expect(response.status).toBe(400);
+        expect(mockAiUsage.record).not.toHaveBeenCalled();
+      });
+
+      it("should reject non-ISO timestamps and invalid token counts", async () => {
+        const send = (event) =>
+          request(app)
+            .post("/api/ai/usage/events")
+            .set("Authorization", "Bearer s3cret")
+            .send({
+              events: [{ model: "gpt-4o", source: "risk-analyzer", ...event }],
+            });
+
+        const numericTimestamp = await send({ timestamp: Date.now() });
+        const negativeTokens = await send({ inputTokens: -5 });
+        const textTokens = await send({ outputTokens: "12" });
+
+        expect(numericTimestamp.status).toBe(400);
+        expect(numericTimestamp.body.error).toBe(
+          "Invalid usage event 0: timestamp must be an ISO 8601 string",
+        );
+        expect(negativeTokens.status).toBe(400);
+        expect(textTokens.body.error).toBe(
+          "Invalid usage event 0: outputTokens must be a non-negative number",
+        );
+        expect(mockAiUsage.record).not.toHaveBeenCalled();
+      });
+    });
+
+    it("should list recent events", async () => {
+      mockAiUsage.getEvents.mockResolvedValue([{ id: "1" }]);
+
+      const response = await request(app)
+        .get("/api/ai/usage/events")
+        .query({ limit: 5 });
+
+      expect(response.body.events).toEqual([{ id: "1" }]);
+      expect(mockAiUsage.getEvents).toHaveBeenCalledWith({ limit: 5 });
+    });
+
+    it("should return the caller's budget status", async () => {
+      mockAiUsage.checkBudget.mockResolvedValue({
+        team: "qe",
+        status: "soft",
+        allowed: true,
+      });
+
+      const response = await request(app)
+        .get("/api/ai/usage/budget")
+        .query({ source: "playwright-healer", app: "Payments", team: "x" });
+
+      expect(response.body).toEqual({
+        team: "qe",
+        status: "soft",
+        allowed: true,
+      });
+      expect(mockAiUsage.checkBudget).toHaveBeenCalledWith({
+        source: "playwright-healer",
+        app: "Payments",
+      });
+    });
+
+    it("should answer 429 when a budget refuses the AI call", async () => {
+      mockCallClaude.mockRejectedValue(
+        Object.assign(new Error("AI budget exceeded"), { statusCode: 429 }),
+      );
+
+      const response = await request(app)
+        .post("/api/ai/explain-query")
+        .send({ sql: "SELECT 1" });
+
+      expect(response.status).toBe(429);
+      expect(response.body.error).toBe("AI budget exceeded");
+    });
+  });
+
+  describe("AI response cache", () => {
+    it("GET /cache should return hit/miss stats", async () => {
+      mockGetCacheStats.mockResolvedValue({
+        hits: 3,
+        misses: 1,
+        hitRate: 0.75,
+      });
+
+      const response = await request(app).get("/api/ai/cache");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        success: true,
+        cache: { hits: 3, misses: 1, hitRate: 0.75 },
+      });
+    });
+
+    it("GET /cache should answer 503 when the cache isn't available", async () => {
+      mockGetCacheStats.mockResolvedValue(null);
+
+      const response = await request(app).get("/api/ai/cache");
+
+      expect(response.status).toBe(503);
+    });
+  });
+
+  describe("AI models", () => {
+    it("GET /models should list models by provider", async () => {
+      mockListAvailableModels.mockResolvedValue({
+        providers: {
+          anthropic: [{ id: "claude-sonnet-4-20250514" }],
+          openai: [{ id: "gpt-4o" }],
+          local: [{ id: "local/llama3.1:8b", available: true }],
+        },
+        localServer: { reachable: true },
+      });
+
+      const response = await request(app).get("/api/ai/models");
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.providers.local).toEqual([
+        { id: "local/llama3.1:8b", available: true },
+      ]);
+      expect(response.body.localServer).toEqual({ reachable: true });
+    });
+
+    it("GET /models should answer 503 without the model catalog", async () => {
+      mockListAvailableModels.mockResolvedValue(null);
+
+      const response = await request(app).get("/api/ai/models");
+
+      expect(response.status).toBe(503);
+    });
+  });
 });
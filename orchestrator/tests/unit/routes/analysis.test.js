@@ -22,6 +22,7 @@ describe("Analysis Routes", () => {
   let mockMcpManager;
   let analysisRouter;
   let mockIo;
+  let mockRiskHistory;
 
   beforeEach(async () => {
     jest.resetModules();
@@ -43,9 +44,15 @@ describe("Analysis Routes", () => {
 
     // Add mock MCPManager and socket.io middleware
     mockMcpManager = createMockMcpManager();
+    mockRiskHistory = {
+      record: jest.fn(),
+      getStoryHistory: jest.fn(),
+      getSprintTrend: jest.fn(),
+    };
     app.use((req, res, next) => {
       req.mcpManager = mockMcpManager;
       req.io = mockIo;
+      req.riskHistory = mockRiskHistory;
       next();
     });
 
@@ -204,6 +211,158 @@ describe("Analysis Routes", () => {
     });
   });
 
+  describe("POST /api/analysis/coverage/pull-request", () => {
+    const diff = {
+      success: true,
+      data: {
+        pullRequestId: 42,
+        baseCommit: "base-sha",
+        targetCommit: "merge-sha",
+        files: [
+          {
+            path: "/src/Payments.Api/Services/RefundService.cs",
+            changedLines: [10, 11, 12],
+          },
+          { path: "/src/Payments.Api/appsettings.json", changedLines: [2] },
+        ],
+      },
+    };
+
+    it("should report coverage of the changed lines", async () => {
+      mockMcpManager.callDockerMcp
+        .mockResolvedValueOnce(diff)
+        .mockResolvedValueOnce({
+          success: true,
+          dataSource: "cobertura",
+          coverageFiles: ["/mnt/apps/app1/coverage.cobertura.xml"],
+          lines: {
+            "/build/src/Payments.Api/Services/RefundService.cs": {
+              10: 3,
+              11: 0,
+              12: 1,
+            },
+          },
+        });
+
+      const response = await request(app)
+        .post("/api/analysis/coverage/pull-request")
+        .send({ pullRequestId: 42, app: "App1", threshold: 70 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.coverage).toEqual({
+        changedLines: 3,
+        coverableLines: 3,
+        coveredLines: 2,
+        percentage: 66.7,
+        threshold: 70,
+        passed: false,
+      });
+      expect(response.body.uncoveredLines).toEqual([
+        {
+          file: "/src/Payments.Api/Services/RefundService.cs",
+          start: 11,
+          end: 11,
+        },
+      ]);
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "azureDevOps",
+        "/work-items/pull-requests/42/diff",
+        {},
+        "GET",
+      );
+      // No JavaScript files changed, so only the .NET analyzer is asked
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledTimes(2);
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "dotnetCoverageAnalyzer",
+        "/line-coverage",
+        { app: "App1" },
+      );
+    });
+
+    it("should list changed files when coverage data is unavailable", async () => {
+      mockMcpManager.callDockerMcp
+        .mockResolvedValueOnce(diff)
+        .mockRejectedValueOnce(
+          new Error("MCP dotnetCoverageAnalyzer is not healthy"),
+        );
+
+      const response = await request(app)
+        .post("/api/analysis/coverage/pull-request")
+        .send({ pullRequestId: 42, app: "App1" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.coverage.percentage).toBeNull();
+      expect(response.body.coverage.passed).toBeNull();
+      expect(response.body.filesWithoutCoverage).toEqual([
+        "/src/Payments.Api/Services/RefundService.cs",
+      ]);
+    });
+
+    it("should return 400 without a pull request ID", async () => {
+      const response = await request(app)
+        .post("/api/analysis/coverage/pull-request")
+        .send({ app: "App1" });
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should return 500 when the PR diff cannot be fetched", async () => {
+      mockMcpManager.callDockerMcp.mockRejectedValueOnce(
+        new Error("Pull request not found"),
+      );
+
+      const response = await request(app)
+        .post("/api/analysis/coverage/pull-request")
+        .send({ pullRequestId: 42, app: "App1" });
+
+      expect(response.status).toBe(500);
+      expect(response.body.message).toBe("Pull request not found");
+    });
+
+    it("should pass on Azure DevOps' 404 for an unknown pull request", async () => {
+      mockMcpManager.callDockerMcp.mockRejectedValueOnce(
+        Object.assign(new Error("Request failed with status code 404"), {
+          response: {
+            status: 404,
+            data: {
+              error: { message: "Failed to get pull request: Not Found" },
+            },
+          },
+        }),
+      );
+
+      const response = await request(app)
+        .post("/api/analysis/coverage/pull-request")
+        .send({ pullRequestId: "42/../43", app: "App1" });
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe(
+        "Failed to get pull request: Not Found",
+      );
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "azureDevOps",
+        "/work-items/pull-requests/42%2F..%2F43/diff",
+        {},
+        "GET",
+      );
+    });
+
+    it("should report no changed lines when the diff lists no files", async () => {
+      mockMcpManager.callDockerMcp.mockResolvedValueOnce({
+        success: true,
+        data: { pullRequestId: 42 },
+      });
+
+      const response = await request(app)
+        .post("/api/analysis/coverage/pull-request")
+        .send({ pullRequestId: 42, app: "App1" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.coverage.changedLines).toBe(0);
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe("POST /api/analysis/code-scan", () => {
     describe("Successful code scanning", () => {
       it("should scan code structure for applications", async () => {
@@ -595,6 +754,408 @@ describe("Analysis Routes", () => {
     });
   });
 
+  describe("AI response cache", () => {
+    it("should report the oldest cached assessment across apps", async () => {
+      mockMcpManager.callDockerMcp
+        .mockResolvedValueOnce({
+          result: { risk: { score: 40, cachedAt: "2026-03-01T10:00:00.000Z" } },
+        })
+        .mockResolvedValueOnce({
+          result: { risk: { score: 60, cachedAt: "2026-03-01T08:00:00.000Z" } },
+        });
+
+      const response = await request(app)
+        .post("/api/analysis/risk/analyze-story")
+        .send({ apps: ["Core", "Payments"], story: { id: 1 } });
+
+      expect(response.body.cachedAt).toBe("2026-03-01T08:00:00.000Z");
+    });
+
+    it("should forward noCache to the risk analyzer", async () => {
+      const mockStory = { id: 12345, title: "Refund flow" };
+      mockMcpManager.callDockerMcp.mockResolvedValue({
+        result: { risk: { score: 40, cachedAt: null } },
+      });
+
+      const response = await request(app)
+        .post("/api/analysis/risk/analyze-story")
+        .send({ app: "Payments", story: mockStory, noCache: true });
+
+      expect(response.body.cachedAt).toBeNull();
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "riskAnalyzer",
+        "/analyze-risk",
+        { app: "Payments", story: mockStory, noCache: true },
+      );
+    });
+  });
+
+  describe("Risk profiles", () => {
+    it("should forward the profile to the risk analyzer", async () => {
+      const mockStory = { id: 12345, title: "Refund flow" };
+      mockMcpManager.callDockerMcp.mockResolvedValue({ success: true });
+
+      const response = await request(app)
+        .post("/api/analysis/risk/analyze-story")
+        .send({
+          app: "Payments",
+          story: mockStory,
+          profile: "payments-strict",
+        });
+
+      expect(response.status).toBe(200);
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "riskAnalyzer",
+        "/analyze-risk",
+        { app: "Payments", story: mockStory, profile: "payments-strict" },
+      );
+    });
+
+    it("GET /risk/profiles should list profiles", async () => {
+      const mockProfiles = { success: true, profiles: [{ name: "default" }] };
+      mockMcpManager.callDockerMcp.mockResolvedValue(mockProfiles);
+
+      const response = await request(app).get("/api/analysis/risk/profiles");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockProfiles);
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "riskAnalyzer",
+        "/profiles",
+        {},
+        "GET",
+      );
+    });
+
+    it("POST /risk/compare-profiles should compare two profiles", async () => {
+      const mockComparison = {
+        success: true,
+        comparison: { difference: { score: 0, levelChanged: true } },
+      };
+      mockMcpManager.callDockerMcp.mockResolvedValue(mockComparison);
+
+      const response = await request(app)
+        .post("/api/analysis/risk/compare-profiles")
+        .send({
+          app: "Payments",
+          story: { id: 1 },
+          profiles: ["default", "payments-strict"],
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockComparison);
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "riskAnalyzer",
+        "/compare-profiles",
+        {
+          app: "Payments",
+          story: { id: 1 },
+          profiles: ["default", "payments-strict"],
+        },
+      );
+    });
+
+    it("POST /risk/compare-profiles should pass the MCP's 400 through", async () => {
+      mockMcpManager.callDockerMcp.mockRejectedValue(
+        Object.assign(new Error("Request failed with status code 400"), {
+          response: {
+            status: 400,
+            data: { success: false, error: "Unknown risk profile: strict" },
+          },
+        }),
+      );
+
+      const response = await request(app)
+        .post("/api/analysis/risk/compare-profiles")
+        .send({
+          app: "Payments",
+          story: { id: 1 },
+          profiles: ["default", "strict"],
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("Unknown risk profile: strict");
+    });
+
+    it("POST /risk/compare-profiles should require two profiles", async () => {
+      const response = await request(app)
+        .post("/api/analysis/risk/compare-profiles")
+        .send({ app: "Payments", story: { id: 1 }, profiles: ["default"] });
+
+      expect(response.status).toBe(400);
+      expect(mockMcpManager.callDockerMcp).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Risk history", () => {
+    it("should record each app's assessment from analyze-ac", async () => {
+      const mockStory = { id: 12345, title: "Refund flow" };
+      mockMcpManager.callDockerMcp.mockResolvedValue({
+        success: true,
+        profile: { name: "payments-strict" },
+        riskMatrix: {
+          overall: { score: 72, level: "high" },
+          factorScores: { complexity: { score: 60 } },
+          model: "claude-haiku",
+        },
+        acRiskMapping: [],
+      });
+
+      const response = await request(app)
+        .post("/api/analysis/risk/analyze-ac")
+        .send({ apps: ["Payments", "Core"], story: mockStory });
+
+      expect(response.status).toBe(200);
+      expect(mockRiskHistory.record).toHaveBeenCalledTimes(2);
+      expect(mockRiskHistory.record).toHaveBeenCalledWith({
+        story: mockStory,
+        app: "Payments",
+        risk: {
+          score: 72,
+          level: "high",
+          factors: { complexity: { score: 60 } },
+          profile: "payments-strict",
+          model: "claude-haiku",
+        },
+        source: "analyze-ac",
+      });
+    });
+
+    it("should record assessments from analyze-story", async () => {
+      const mockStory = { id: 12345, title: "Refund flow" };
+      mockMcpManager.callDockerMcp.mockResolvedValue({
+        success: true,
+        result: {
+          risk: { score: 40, level: "medium", profile: { name: "default" } },
+        },
+      });
+
+      await request(app)
+        .post("/api/analysis/risk/analyze-story")
+        .send({ app: "Payments", story: mockStory });
+
+      expect(mockRiskHistory.record).toHaveBeenCalledWith({
+        story: mockStory,
+        app: "Payments",
+        risk: { score: 40, level: "medium", profile: "default" },
+        source: "analyze-story",
+      });
+    });
+
+    it("should not fail the analysis when recording fails", async () => {
+      mockRiskHistory.record.mockRejectedValue(new Error("EACCES"));
+      mockMcpManager.callDockerMcp.mockResolvedValue({
+        success: true,
+        riskMatrix: { overall: { score: 20, level: "low" } },
+      });
+
+      const response = await request(app)
+        .post("/api/analysis/risk/analyze-ac")
+        .send({ app: "Payments", story: { id: 1 } });
+
+      expect(response.status).toBe(200);
+    });
+
+    it("GET /risk/history/:storyId should return the story's history", async () => {
+      const mockHistory = [{ storyId: "123", score: 40, change: null }];
+      mockRiskHistory.getStoryHistory.mockResolvedValue(mockHistory);
+
+      const response = await request(app).get(
+        "/api/analysis/risk/history/123?app=Payments",
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        success: true,
+        storyId: "123",
+        count: 1,
+        history: mockHistory,
+      });
+      expect(mockRiskHistory.getStoryHistory).toHaveBeenCalledWith("123", {
+        app: "Payments",
+      });
+    });
+
+    it("GET /risk/trend should return risk by sprint", async () => {
+      const mockTrend = [{ sprint: "Core\\Sprint 42", averageScore: 35 }];
+      mockRiskHistory.getSprintTrend.mockResolvedValue(mockTrend);
+
+      const response = await request(app).get(
+        "/api/analysis/risk/trend?sprints=Core%5CSprint%2041,Core%5CSprint%2042",
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.sprints).toEqual(mockTrend);
+      expect(mockRiskHistory.getSprintTrend).toHaveBeenCalledWith({
+        app: undefined,
+        sprints: ["Core\\Sprint 41", "Core\\Sprint 42"],
+      });
+    });
+
+    it("GET /risk/trend should handle store errors", async () => {
+      mockRiskHistory.getSprintTrend.mockRejectedValue(new Error("Disk full"));
+
+      const response = await request(app).get("/api/analysis/risk/trend");
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe("Failed to get risk trend");
+    });
+  });
+
+  describe("POST /api/analysis/risk/calibrate", () => {
+    const relation = (id) => ({
+      rel: "System.LinkTypes.Related",
+      url: `https://dev.azure.com/org/_apis/wit/workItems/${id}`,
+    });
+
+    const bug = (id, createdDate) => ({
+      id,
+      fields: {
+        "System.WorkItemType": "Bug",
+        "System.CreatedDate": createdDate,
+      },
+    });
+
+    it("should count linked bugs and forward samples to the risk analyzer", async () => {
+      const mockCalibration = { success: true, calibration: { levels: {} } };
+
+      mockMcpManager.callDockerMcp.mockImplementation(
+        async (mcp, endpoint, data) => {
+          if (endpoint === "/calibrate") return mockCalibration;
+          if (data.ids[0] === 100) {
+            return { data: [{ id: 100, relations: [relation(501)] }] };
+          }
+          return { data: [bug(501, "2026-03-01T00:00:00Z")] };
+        },
+      );
+
+      const response = await request(app)
+        .post("/api/analysis/risk/calibrate")
+        .send({
+          app: "Payments",
+          stories: [
+            {
+              storyId: 100,
+              risk: { score: 70, level: "high", factors: {} },
+              assessedAt: "2026-02-01T00:00:00Z",
+            },
+          ],
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.calibration).toEqual(mockCalibration.calibration);
+      expect(response.body.samples).toEqual([
+        {
+          storyId: 100,
+          score: 70,
+          level: "high",
+          escapedDefects: 1,
+          defectIds: [501],
+        },
+      ]);
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "riskAnalyzer",
+        "/calibrate",
+        expect.objectContaining({
+          app: "Payments",
+          samples: [expect.objectContaining({ escapedDefects: 1 })],
+        }),
+      );
+    });
+
+    it("should use the first recorded assessment of sprint stories", async () => {
+      mockMcpManager.callDockerMcp.mockImplementation(async (mcp, endpoint) => {
+        if (endpoint === "/work-items/query") {
+          return {
+            data: [
+              { id: 200, fields: { "System.WorkItemType": "User Story" } },
+              { id: 201, fields: { "System.WorkItemType": "Bug" } },
+            ],
+          };
+        }
+        if (endpoint === "/work-items/get") {
+          return { data: [{ id: 200, relations: [] }] };
+        }
+        return { success: true, calibration: {} };
+      });
+      mockRiskHistory.getStoryHistory.mockResolvedValue([
+        {
+          storyId: "200",
+          score: 20,
+          level: "low",
+          factors: { complexity: { score: 20 } },
+          assessedAt: "2026-02-01T00:00:00Z",
+        },
+        { storyId: "200", score: 80, level: "high", factors: {} },
+      ]);
+
+      const response = await request(app)
+        .post("/api/analysis/risk/calibrate")
+        .send({ app: "Payments", sprints: ["Sprint 42"], project: "Core" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.samples).toEqual([
+        {
+          storyId: 200,
+          score: 20,
+          level: "low",
+          escapedDefects: 0,
+          defectIds: [],
+        },
+      ]);
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "azureDevOps",
+        "/work-items/query",
+        { sprint: "Sprint 42", project: "Core", team: undefined },
+      );
+      expect(mockRiskHistory.getStoryHistory).toHaveBeenCalledWith(200, {
+        app: "Payments",
+      });
+      expect(mockMcpManager.callDockerMcp).not.toHaveBeenCalledWith(
+        "riskAnalyzer",
+        "/analyze-risk",
+        expect.anything(),
+      );
+    });
+
+    it("should skip stories without a recorded assessment", async () => {
+      mockRiskHistory.getStoryHistory.mockResolvedValue([]);
+
+      const response = await request(app)
+        .post("/api/analysis/risk/calibrate")
+        .send({ app: "Payments", stories: [{ storyId: 300 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.skipped).toEqual([
+        { storyId: 300, reason: "No risk assessment recorded" },
+      ]);
+    });
+
+    it("should return 400 when no story could be scored", async () => {
+      mockMcpManager.callDockerMcp.mockResolvedValue({ data: [] });
+
+      const response = await request(app)
+        .post("/api/analysis/risk/calibrate")
+        .send({
+          app: "Payments",
+          stories: [{ storyId: 300, risk: { score: 10, level: "low" } }],
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.skipped).toEqual([
+        { storyId: 300, reason: "Work item 300 not found" },
+      ]);
+    });
+
+    it("should require stories or sprints", async () => {
+      const response = await request(app)
+        .post("/api/analysis/risk/calibrate")
+        .send({ app: "Payments" });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe("POST /api/analysis/integrations/map", () => {
     describe("Successful integration mapping", () => {
       it("should map integrations for application", async () => {
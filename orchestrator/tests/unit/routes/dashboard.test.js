@@ -14,6 +14,8 @@ import { createMockMcpManager } from "../../helpers/mocks.js";
  * - GET /api/dashboard/coverage - Get .NET coverage analysis
  * - GET /api/dashboard/javascript-analysis - Get JavaScript code analysis
  * - GET /api/dashboard/javascript-coverage - Get JavaScript coverage
+ * - GET /api/dashboard/analysis/cache - Cached analyses and watched apps
+ * - GET /api/dashboard/analysis/events - Incremental analysis updates (SSE)
  * - GET /api/dashboard/overview - Get aggregated overview (.NET + JS)
  * - GET /api/dashboard/aod-summary - Get Azure DevOps summary
  * - GET /api/dashboard/config/apps - Get application configuration
@@ -74,6 +76,7 @@ describe("Dashboard Routes", () => {
   let mockMcpManager;
   let dashboardRouter;
   let mockReadFile;
+  let mockCoverageHistory;
 
   beforeEach(async () => {
     jest.resetModules();
@@ -100,8 +103,15 @@ describe("Dashboard Routes", () => {
 
     // Add mock MCPManager middleware
     mockMcpManager = createMockMcpManager();
+    mockCoverageHistory = {
+      record: jest.fn(),
+      getCommitSha: jest.fn().mockResolvedValue("abc123"),
+      getTrend: jest.fn(),
+      detectDrops: jest.fn(),
+    };
     app.use((req, res, next) => {
       req.mcpManager = mockMcpManager;
+      req.coverageHistory = mockCoverageHistory;
       next();
     });
 
@@ -377,6 +387,51 @@ describe("Dashboard Routes", () => {
       });
     });
 
+    describe("Coverage snapshots", () => {
+      it("should snapshot the result at the app's commit", async () => {
+        const mockCoverage = { coverage: { overallPercentage: 82.3 } };
+        mockMcpManager.callDockerMcp.mockResolvedValue(mockCoverage);
+
+        await request(app)
+          .get("/api/dashboard/coverage")
+          .query({ app: "Payments" });
+
+        expect(mockCoverageHistory.getCommitSha).toHaveBeenCalledWith(
+          "Payments",
+        );
+        expect(mockCoverageHistory.record).toHaveBeenCalledWith({
+          app: "Payments",
+          language: "dotnet",
+          commitSha: "abc123",
+          result: mockCoverage,
+        });
+      });
+
+      it("should prefer the commit query parameter", async () => {
+        mockMcpManager.callDockerMcp.mockResolvedValue({ coverage: {} });
+
+        await request(app)
+          .get("/api/dashboard/coverage")
+          .query({ app: "Payments", commit: "def456" });
+
+        expect(mockCoverageHistory.getCommitSha).not.toHaveBeenCalled();
+        expect(mockCoverageHistory.record).toHaveBeenCalledWith(
+          expect.objectContaining({ commitSha: "def456" }),
+        );
+      });
+
+      it("should return coverage when the snapshot fails", async () => {
+        mockMcpManager.callDockerMcp.mockResolvedValue({ coverage: {} });
+        mockCoverageHistory.record.mockRejectedValue(new Error("disk full"));
+
+        const response = await request(app)
+          .get("/api/dashboard/coverage")
+          .query({ app: "Payments" });
+
+        expect(response.status).toBe(200);
+      });
+    });
+
     describe("Error handling (500)", () => {
       it("should handle MCP errors", async () => {
         mockMcpManager.callDockerMcp.mockRejectedValue(
@@ -393,6 +448,80 @@ describe("Dashboard Routes", () => {
     });
   });
 
+  describe("GET /api/dashboard/coverage/trend", () => {
+    it("should return the trend for all languages", async () => {
+      const trend = { dotnet: [{ commitSha: "abc123" }], javascript: [] };
+      mockCoverageHistory.getTrend.mockResolvedValue(trend);
+
+      const response = await request(app)
+        .get("/api/dashboard/coverage/trend")
+        .query({ app: "Payments" });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, app: "Payments", trend });
+      expect(mockCoverageHistory.getTrend).toHaveBeenCalledWith({
+        app: "Payments",
+        languages: ["dotnet", "javascript"],
+        limit: 50,
+      });
+    });
+
+    it("should return 400 for an unknown language", async () => {
+      const response = await request(app)
+        .get("/api/dashboard/coverage/trend")
+        .query({ app: "Payments", language: "python" });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("GET /api/dashboard/coverage/drops", () => {
+    it("should return coverage drops between snapshots", async () => {
+      const drops = {
+        app: "Payments",
+        language: "dotnet",
+        dropped: true,
+        files: [{ file: "Services/RefundService.cs", change: -21 }],
+        methods: [],
+      };
+      mockCoverageHistory.detectDrops.mockResolvedValue(drops);
+
+      const response = await request(app)
+        .get("/api/dashboard/coverage/drops")
+        .query({ app: "Payments", threshold: "10", from: "abc123" });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, ...drops });
+      expect(mockCoverageHistory.detectDrops).toHaveBeenCalledWith({
+        app: "Payments",
+        language: "dotnet",
+        threshold: 10,
+        from: "abc123",
+        to: undefined,
+      });
+    });
+
+    it("should report when there are not enough snapshots", async () => {
+      mockCoverageHistory.detectDrops.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get("/api/dashboard/coverage/drops")
+        .query({ app: "Payments" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.dropped).toBe(false);
+      expect(response.body.message).toContain("Not enough");
+    });
+
+    it("should return 400 for an invalid threshold", async () => {
+      const response = await request(app)
+        .get("/api/dashboard/coverage/drops")
+        .query({ app: "Payments", threshold: "abc" });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe("GET /api/dashboard/javascript-analysis", () => {
     describe("Successful JavaScript analysis", () => {
       it("should return JavaScript code analysis", async () => {
@@ -502,6 +631,18 @@ describe("Dashboard Routes", () => {
         expect(response.body).toEqual(mockCoverage);
       });
 
+      it("should snapshot JavaScript coverage", async () => {
+        mockMcpManager.callDockerMcp.mockResolvedValue({ coverage: {} });
+
+        await request(app)
+          .get("/api/dashboard/javascript-coverage")
+          .query({ app: "Core" });
+
+        expect(mockCoverageHistory.record).toHaveBeenCalledWith(
+          expect.objectContaining({ app: "Core", language: "javascript" }),
+        );
+      });
+
       it("should call javascriptCoverageAnalyzer with detailed flag", async () => {
         mockMcpManager.callDockerMcp.mockResolvedValue({ coverage: {} });
 
@@ -536,6 +677,87 @@ describe("Dashboard Routes", () => {
     });
   });
 
+  describe("Incremental analysis cache", () => {
+    let cachedApp, analysisCache;
+
+    beforeEach(async () => {
+      const { AnalysisCache } =
+        await import("../../../src/services/analysisCache.js");
+      analysisCache = new AnalysisCache({ mcpManager: mockMcpManager });
+
+      cachedApp = express();
+      cachedApp.use((req, res, next) => {
+        req.mcpManager = mockMcpManager;
+        req.analysisCache = analysisCache;
+        req.fileWatcher = { getStatus: () => ({ enabled: true, apps: [] }) };
+        next();
+      });
+      cachedApp.use("/api/dashboard", dashboardRouter);
+    });
+
+    it("should analyze once and serve later requests from the cache", async () => {
+      mockMcpManager.callDockerMcp.mockResolvedValue({
+        success: true,
+        analysis: { classes: [{ name: "A", file: "A.cs" }], methods: [] },
+      });
+
+      await request(cachedApp).get("/api/dashboard/code-analysis?app=Core");
+      await request(cachedApp).get("/api/dashboard/code-analysis?app=Core");
+
+      const analyzerCalls = mockMcpManager.callDockerMcp.mock.calls.filter(
+        ([mcp]) => mcp === "dotnetCodeAnalyzer",
+      );
+      expect(analyzerCalls).toHaveLength(1);
+      expect(analysisCache.get("Core", "dotnet")).not.toBeNull();
+    });
+
+    it("should run a full analysis with ?refresh=true", async () => {
+      mockMcpManager.callDockerMcp.mockResolvedValue({
+        success: true,
+        analysis: { components: [], functions: [] },
+      });
+      analysisCache.set("Portal", "javascript", {
+        success: true,
+        analysis: { components: [], functions: [] },
+      });
+
+      await request(cachedApp).get(
+        "/api/dashboard/javascript-analysis?app=Portal&refresh=true",
+      );
+
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "javascriptCodeAnalyzer",
+        "/analyze",
+        { app: "Portal", includeTests: false, detailed: true },
+      );
+    });
+
+    it("should list cached analyses and watched applications", async () => {
+      analysisCache.set("Core", "dotnet", {
+        success: true,
+        analysis: { summary: { totalClasses: 3 } },
+      });
+
+      const response = await request(cachedApp).get(
+        "/api/dashboard/analysis/cache",
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        entries: [
+          { app: "Core", kind: "dotnet", summary: { totalClasses: 3 } },
+        ],
+        watcher: { enabled: true },
+      });
+    });
+
+    it("should return 503 for the event stream without a cache", async () => {
+      const response = await request(app).get("/api/dashboard/analysis/events");
+
+      expect(response.status).toBe(503);
+    });
+  });
+
   describe("GET /api/dashboard/overview", () => {
     describe("Successful overview aggregation", () => {
       it("should return aggregated overview of .NET and JavaScript", async () => {
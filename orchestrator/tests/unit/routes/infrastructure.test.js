@@ -1,5 +1,8 @@
 import { jest } from "@jest/globals";
 import express from "express";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
 import request from "supertest";
 import { createMockMcpManager } from "../../helpers/mocks.js";
 
@@ -13,6 +16,11 @@ import { createMockMcpManager } from "../../helpers/mocks.js";
  * - GET /api/infrastructure/applications/:appKey - Get specific app details
  * - POST /api/infrastructure/scan - Trigger repository rescan
  * - GET /api/infrastructure/changes - Get infrastructure changes
+ * - GET /api/infrastructure/integrations/:app - Cached integration scan
+ * - GET /api/infrastructure/environments/:app - Hosts per environment from config files
+ * - GET /api/infrastructure/graph - Cross-app integration graph and its exports
+ * - POST /api/infrastructure/generate - Generate versioned infrastructure data
+ * - GET /api/infrastructure/generated/* - Generated versions and their diff
  */
 
 describe("Infrastructure Routes", () => {
@@ -21,6 +29,9 @@ describe("Infrastructure Routes", () => {
   let infrastructureRouter;
   let mockFileWatcher;
   let mockInfrastructureData;
+  let analysisCache;
+  let generator;
+  let dataDir;
 
   beforeEach(async () => {
     jest.resetModules();
@@ -71,6 +82,30 @@ describe("Infrastructure Routes", () => {
     const infrastructureRouterModule =
       await import("../../../src/routes/infrastructure.js");
     infrastructureRouter = infrastructureRouterModule.default;
+    const { AnalysisCache } =
+      await import("../../../src/services/analysisCache.js");
+    const { InfrastructureGenerator } =
+      await import("../../../src/services/infrastructureGenerator.js");
+
+    dataDir = mkdtempSync(path.join(tmpdir(), "infrastructure-routes-"));
+    writeFileSync(
+      path.join(dataDir, "apps.json"),
+      JSON.stringify({
+        applications: [
+          { name: "Payments", path: "/mnt/apps/Payments", framework: "net8.0" },
+        ],
+      }),
+    );
+    writeFileSync(
+      path.join(dataDir, "infrastructure-overrides.json"),
+      JSON.stringify({
+        applications: { payments: { color: "bg-emerald-500" } },
+      }),
+    );
+    generator = new InfrastructureGenerator({
+      dataDir,
+      configPath: path.join(dataDir, "apps.json"),
+    });
 
     // Setup Express app
     app = express();
@@ -78,8 +113,11 @@ describe("Infrastructure Routes", () => {
 
     // Add mock MCPManager middleware
     mockMcpManager = createMockMcpManager();
+    analysisCache = new AnalysisCache({ mcpManager: mockMcpManager });
     app.use((req, res, next) => {
       req.mcpManager = mockMcpManager;
+      req.analysisCache = analysisCache;
+      req.infrastructureGenerator = generator;
       next();
     });
 
@@ -88,6 +126,7 @@ describe("Infrastructure Routes", () => {
 
   afterEach(() => {
     jest.clearAllMocks();
+    rmSync(dataDir, { recursive: true, force: true });
   });
 
   describe("GET /api/infrastructure/status", () => {
@@ -475,292 +514,438 @@ describe("Infrastructure Routes", () => {
     });
   });
 
-  describe("Auto-rescan functionality", () => {
-    // Helper to get current file change handler
-    const getFileChangeHandler = () => {
-      return mockFileWatcher.on.mock.calls.find(
-        (call) => call[0] === "fileChanged",
-      )?.[1];
+  describe("GET /api/infrastructure/integrations/:app", () => {
+    const scanResult = {
+      success: true,
+      app: "Core",
+      result: { integrations: [{ type: "api", file: "/mnt/apps/Core/A.cs" }] },
     };
 
-    describe("File watcher event handling", () => {
-      it("should register file change event listener", () => {
-        // Verify that fileWatcher.on was called during module initialization
-        expect(mockFileWatcher.on).toHaveBeenCalledWith(
-          "fileChanged",
-          expect.any(Function),
-        );
-      });
-
-      it("should trigger auto-rescan when file changes", async () => {
-        // Get the event listener function that was registered
-        const fileChangeHandler = getFileChangeHandler();
-
-        expect(fileChangeHandler).toBeDefined();
-
-        // Setup MCP manager mock
-        mockMcpManager.callDockerMcp.mockResolvedValue({
-          success: true,
-          integrations: [],
-        });
-
-        // Make a request to trigger mcpManager reference capture
-        await request(app).get("/api/infrastructure/status");
-
-        // Simulate file change event
-        await fileChangeHandler({
-          repo: "Core",
-          path: "/Services/UserService.cs",
-          type: "modified",
-        });
-
-        // Wait for async operations
-        await new Promise((resolve) => setTimeout(resolve, 100));
-
-        // Verify MCP was called for auto-rescan
-        expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
-          "integrationMapper",
-          "/map-integrations",
-          {
-            app: "Core",
-            includeSchemas: true,
-          },
-        );
-      });
+    it("should scan and cache integrations on first request", async () => {
+      mockMcpManager.callDockerMcp.mockResolvedValue(scanResult);
+
+      const response = await request(app).get(
+        "/api/infrastructure/integrations/Core",
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ ...scanResult, cached: false });
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "integrationMapper",
+        "/map-integrations",
+        { app: "Core", includeSchemas: true },
+      );
+      expect(analysisCache.get("Core", "integrations")).toEqual(scanResult);
+    });
 
-      it("should handle file changes before mcpManager is available", async () => {
-        // Get a fresh handler before any requests
-        const handler = getFileChangeHandler();
+    it("should serve cached integrations", async () => {
+      analysisCache.set("Core", "integrations", scanResult);
 
-        // Trigger event without making any requests first
-        await handler({
-          repo: "Payments",
-          path: "/test.cs",
-          type: "modified",
-        });
+      const response = await request(app).get(
+        "/api/infrastructure/integrations/Core",
+      );
 
-        // Should not crash, just skip rescan
-        expect(mockMcpManager.callDockerMcp).not.toHaveBeenCalled();
-      });
+      expect(response.body.cached).toBe(true);
+      expect(mockMcpManager.callDockerMcp).not.toHaveBeenCalled();
     });
 
-    describe("MCPManager reference capture", () => {
-      it("should capture mcpManager on first request", async () => {
-        const handler = getFileChangeHandler();
+    it("should rescan with ?refresh=true", async () => {
+      analysisCache.set("Core", "integrations", scanResult);
+      mockMcpManager.callDockerMcp.mockResolvedValue(scanResult);
 
-        mockMcpManager.callDockerMcp.mockResolvedValue({ success: true });
+      const response = await request(app).get(
+        "/api/infrastructure/integrations/Core?refresh=true",
+      );
 
-        await request(app).get("/api/infrastructure/status");
-        mockMcpManager.callDockerMcp.mockClear();
-        mockMcpManager.callDockerMcp.mockResolvedValue({ success: true });
+      expect(response.body.cached).toBe(false);
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledTimes(1);
+    });
 
-        // MCPManager should now be available for auto-rescan
-        // Verify by triggering a file change
-        await handler({
-          repo: "Core",
-          path: "/test.cs",
-          type: "modified",
-        });
+    it("should seed the cache from POST /scan", async () => {
+      mockMcpManager.callDockerMcp.mockResolvedValue(scanResult);
 
-        await new Promise((resolve) => setTimeout(resolve, 100));
+      await request(app)
+        .post("/api/infrastructure/scan")
+        .send({ repo: "Core" });
 
-        expect(mockMcpManager.callDockerMcp).toHaveBeenCalled();
-      });
+      expect(analysisCache.get("Core", "integrations")).toEqual(scanResult);
     });
 
-    describe("Debounce logic", () => {
-      it("should skip rescan if recently scanned (debounce)", async () => {
-        const handler = getFileChangeHandler();
+    it("should return 500 when the scan fails", async () => {
+      mockMcpManager.callDockerMcp.mockRejectedValue(new Error("MCP down"));
 
-        mockMcpManager.callDockerMcp.mockResolvedValue({ success: true });
+      const response = await request(app).get(
+        "/api/infrastructure/integrations/Core",
+      );
 
-        // Capture mcpManager reference
-        await request(app).get("/api/infrastructure/status");
-        mockMcpManager.callDockerMcp.mockClear();
-        mockMcpManager.callDockerMcp.mockResolvedValue({ success: true });
-
-        // First file change - should trigger rescan
-        await handler({
-          repo: "Core",
-          path: "/test1.cs",
-          type: "modified",
-        });
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe("MCP down");
+    });
 
-        await new Promise((resolve) => setTimeout(resolve, 100));
+    it("should pass on the integration-mapper's 404 for an unknown app", async () => {
+      mockMcpManager.callDockerMcp.mockRejectedValue(
+        Object.assign(new Error("Request failed with status code 404"), {
+          response: {
+            status: 404,
+            data: {
+              success: false,
+              error: "Application Nope not found in configuration",
+            },
+          },
+        }),
+      );
 
-        expect(mockMcpManager.callDockerMcp).toHaveBeenCalledTimes(1);
+      const response = await request(app).get(
+        "/api/infrastructure/integrations/Nope",
+      );
 
-        mockMcpManager.callDockerMcp.mockClear();
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe(
+        "Application Nope not found in configuration",
+      );
+    });
 
-        // Second file change immediately after - should be debounced
-        await handler({
-          repo: "Core",
-          path: "/test2.cs",
-          type: "modified",
-        });
+    it("should pass on the integration-mapper's 404 for unknown apps", async () => {
+      mockMcpManager.callDockerMcp.mockRejectedValue(
+        Object.assign(new Error("Request failed with status code 404"), {
+          response: {
+            status: 404,
+            data: {
+              success: false,
+              error: "Application Nope not found in configuration",
+            },
+          },
+        }),
+      );
 
-        await new Promise((resolve) => setTimeout(resolve, 100));
+      const response = await request(app).get(
+        "/api/infrastructure/graph?apps=Nope",
+      );
 
-        // Should NOT trigger another scan (debounced)
-        expect(mockMcpManager.callDockerMcp).not.toHaveBeenCalled();
-      });
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe(
+        "Application Nope not found in configuration",
+      );
+    });
+  });
 
-      it("should allow rescan for different repositories", async () => {
-        const handler = getFileChangeHandler();
+  describe("GET /api/infrastructure/environments/:app", () => {
+    const environmentMap = {
+      success: true,
+      app: "Payments",
+      result: {
+        environments: ["prod", "qa"],
+        integrations: [],
+        mismatches: [
+          {
+            key: "Payeezy:BaseUrl",
+            environment: "qa",
+            host: "api.firstdata.com",
+            reason: "qa uses the production host",
+            severity: "high",
+          },
+        ],
+      },
+    };
 
-        mockMcpManager.callDockerMcp.mockResolvedValue({ success: true });
+    it("should return the integration-mapper environment map", async () => {
+      mockMcpManager.callDockerMcp.mockResolvedValue(environmentMap);
 
-        await request(app).get("/api/infrastructure/status");
-        mockMcpManager.callDockerMcp.mockClear();
-        mockMcpManager.callDockerMcp.mockResolvedValue({ success: true });
+      const response = await request(app).get(
+        "/api/infrastructure/environments/Payments?environment=qa",
+      );
 
-        // First scan for Core
-        await handler({
-          repo: "Core",
-          path: "/test.cs",
-          type: "modified",
-        });
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(environmentMap);
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "integrationMapper",
+        "/map-environments",
+        { app: "Payments", environment: "qa" },
+      );
+    });
 
-        await new Promise((resolve) => setTimeout(resolve, 100));
+    it("should return 500 when the mapping fails", async () => {
+      mockMcpManager.callDockerMcp.mockRejectedValue(new Error("MCP down"));
 
-        expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
-          "integrationMapper",
-          "/map-integrations",
-          { app: "Core", includeSchemas: true },
-        );
+      const response = await request(app).get(
+        "/api/infrastructure/environments/Payments",
+      );
 
-        mockMcpManager.callDockerMcp.mockClear();
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe("MCP down");
+    });
 
-        // Scan for different repo (Payments) - should work immediately
-        await handler({
-          repo: "Payments",
-          path: "/test.cs",
-          type: "modified",
-        });
+    it("should pass on the integration-mapper's 404 for an unknown app", async () => {
+      mockMcpManager.callDockerMcp.mockRejectedValue(
+        Object.assign(new Error("Request failed with status code 404"), {
+          response: {
+            status: 404,
+            data: {
+              success: false,
+              error: "Application Nope not found in configuration",
+            },
+          },
+        }),
+      );
 
-        await new Promise((resolve) => setTimeout(resolve, 100));
+      const response = await request(app).get(
+        "/api/infrastructure/environments/Nope",
+      );
 
-        expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
-          "integrationMapper",
-          "/map-integrations",
-          { app: "Payments", includeSchemas: true },
-        );
-      });
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe(
+        "Application Nope not found in configuration",
+      );
     });
+  });
 
-    describe("Repository mapping", () => {
-      it("should handle unknown repository in auto-rescan", async () => {
-        const handler = getFileChangeHandler();
+  describe("GET /api/infrastructure/graph", () => {
+    const graph = {
+      success: true,
+      graph: {
+        nodes: [
+          { id: "app:Payments", label: "Payments", kind: "app" },
+          { id: "app:PreCare", label: "PreCare", kind: "app" },
+        ],
+        edges: [
+          {
+            source: "app:PreCare",
+            target: "app:Payments",
+            protocol: "HTTP",
+            environment: "qa",
+            file: "PreCare.Api/appsettings.QA.json",
+            line: null,
+          },
+        ],
+      },
+    };
 
-        mockMcpManager.callDockerMcp.mockResolvedValue({ success: true });
+    it("should return the integration-mapper graph for all apps", async () => {
+      mockMcpManager.callDockerMcp.mockResolvedValue(graph);
+
+      const response = await request(app).get("/api/infrastructure/graph");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(graph);
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "integrationMapper",
+        "/integration-graph",
+        {
+          apps: undefined,
+          environment: undefined,
+          format: "json",
+          integrations: {},
+        },
+      );
+    });
 
-        await request(app).get("/api/infrastructure/status");
-        mockMcpManager.callDockerMcp.mockClear();
+    it("should pass the apps, environment and export format", async () => {
+      mockMcpManager.callDockerMcp.mockResolvedValue({
+        success: true,
+        format: "plantuml",
+        diagram: "@startuml\n@enduml\n",
+      });
+
+      const response = await request(app).get(
+        "/api/infrastructure/graph?apps=Payments, PreCare&environment=qa&format=plantuml",
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.diagram).toBe("@startuml\n@enduml\n");
+      expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "integrationMapper",
+        "/integration-graph",
+        {
+          apps: ["Payments", "PreCare"],
+          environment: "qa",
+          format: "plantuml",
+          integrations: {},
+        },
+      );
+    });
 
-        // Unknown repository - should skip rescan
-        await handler({
-          repo: "UnknownRepo",
-          path: "/test.cs",
-          type: "modified",
-        });
+    it("should send cached integration scans so they are not repeated", async () => {
+      const points = [{ file: "/mnt/apps/Payments/A.cs", method: "HTTP" }];
+      analysisCache.set("Payments", "integrations", {
+        success: true,
+        result: { integrations: points },
+      });
+      analysisCache.set("Core", "integrations", {
+        success: true,
+        result: { integrations: [] },
+      });
+      mockMcpManager.callDockerMcp.mockResolvedValue(graph);
 
-        await new Promise((resolve) => setTimeout(resolve, 100));
+      await request(app).get("/api/infrastructure/graph?apps=Payments,PreCare");
 
-        // Should not call MCP for unknown repo
-        expect(mockMcpManager.callDockerMcp).not.toHaveBeenCalled();
-      });
+      expect(
+        mockMcpManager.callDockerMcp.mock.calls[0][2].integrations,
+      ).toEqual({ Payments: points });
+    });
 
-      it("should handle different repository types", async () => {
-        const handler = getFileChangeHandler();
+    it("should return 400 for an unknown format", async () => {
+      const response = await request(app).get(
+        "/api/infrastructure/graph?format=svg",
+      );
 
-        mockMcpManager.callDockerMcp.mockResolvedValue({ success: true });
+      expect(response.status).toBe(400);
+      expect(mockMcpManager.callDockerMcp).not.toHaveBeenCalled();
+    });
 
-        await request(app).get("/api/infrastructure/status");
-        mockMcpManager.callDockerMcp.mockClear();
+    it("should return 500 when the graph can't be built", async () => {
+      mockMcpManager.callDockerMcp.mockRejectedValue(new Error("MCP down"));
 
-        // Test PreCare repository
-        await handler({
-          repo: "PreCare",
-          path: "/Controllers/test.cs",
-          type: "added",
-        });
+      const response = await request(app).get("/api/infrastructure/graph");
 
-        await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe("MCP down");
+    });
+  });
 
-        expect(mockMcpManager.callDockerMcp).toHaveBeenCalledWith(
-          "integrationMapper",
-          "/map-integrations",
+  describe("Generated infrastructure data", () => {
+    const mapResult = (url) => ({
+      result: {
+        integrations: [
           {
-            app: "PreCare",
-            includeSchemas: true,
+            file: "/mnt/apps/Payments/PayeezyClient.cs",
+            type: "financial",
+            url,
+            method: "HTTP",
           },
-        );
-      });
+        ],
+      },
     });
 
-    describe("Error handling in auto-rescan", () => {
-      it("should handle MCP call failures gracefully", async () => {
-        const handler = getFileChangeHandler();
-
-        mockMcpManager.callDockerMcp.mockRejectedValue(
-          new Error("MCP connection failed"),
-        );
-
-        await request(app).get("/api/infrastructure/status");
-        mockMcpManager.callDockerMcp.mockClear();
-        mockMcpManager.callDockerMcp.mockRejectedValue(
-          new Error("MCP connection failed"),
-        );
-
-        // Should not throw error
-        await handler({
-          repo: "Core",
-          path: "/test.cs",
-          type: "modified",
-        });
+    const generate = async (url = "https://cert.api.firstdata.com/v1") => {
+      mockMcpManager.callDockerMcp.mockImplementation(async (mcp, endpoint) =>
+        endpoint === "/map-environments"
+          ? { result: { integrations: [], mismatches: [] } }
+          : mapResult(url),
+      );
+      return request(app).post("/api/infrastructure/generate").send({});
+    };
 
-        await new Promise((resolve) => setTimeout(resolve, 100));
+    it("should serve the hand-maintained data until something is generated", async () => {
+      const response = await request(app).get(
+        "/api/infrastructure/status?source=generated",
+      );
 
-        // Error should be logged but not thrown
-        expect(mockMcpManager.callDockerMcp).toHaveBeenCalled();
+      expect(response.body).toEqual({
+        data: mockInfrastructureData,
+        source: "static",
       });
+    });
 
-      it("should continue working after MCP error", async () => {
-        const handler = getFileChangeHandler();
+    it("should generate a version and serve it with the overrides", async () => {
+      const generated = await generate();
+
+      expect(generated.status).toBe(200);
+      expect(generated.body).toMatchObject({
+        success: true,
+        version: 1,
+        unchanged: false,
+        errors: [],
+      });
+
+      const response = await request(app).get(
+        "/api/infrastructure/status?source=generated",
+      );
+      expect(response.body).toMatchObject({ source: "generated", version: 1 });
+      expect(response.body.data.applications.payments).toMatchObject({
+        repository: "Payments",
+        color: "bg-emerald-500",
+        integrations: {
+          certapifirstdatacom: { type: "payment" },
+        },
+      });
 
-        mockMcpManager.callDockerMcp.mockResolvedValue({ success: true });
+      const application = await request(app).get(
+        "/api/infrastructure/applications/payments?source=generated",
+      );
+      expect(application.body.data.tech).toBe(".NET 8.0");
+    });
 
-        await request(app).get("/api/infrastructure/status");
-        mockMcpManager.callDockerMcp.mockClear();
+    it("should reject a non-array apps filter", async () => {
+      const response = await request(app)
+        .post("/api/infrastructure/generate")
+        .send({ apps: "Payments" });
 
-        // First call fails
-        mockMcpManager.callDockerMcp.mockRejectedValueOnce(
-          new Error("Temporary error"),
-        );
+      expect(response.status).toBe(400);
+    });
 
-        await handler({
-          repo: "Core",
-          path: "/test1.cs",
-          type: "modified",
-        });
+    it("should list versions and diff the latest two", async () => {
+      await generate();
+      await generate("https://api.firstdata.com/v1");
+
+      const versions = await request(app).get(
+        "/api/infrastructure/generated/versions",
+      );
+      expect(versions.body.versions.map((v) => v.version)).toEqual([1, 2]);
+
+      const diff = await request(app).get("/api/infrastructure/generated/diff");
+      expect(diff.status).toBe(200);
+      expect(diff.body).toMatchObject({
+        from: { version: 1 },
+        to: { version: 2 },
+        added: [],
+        removed: [],
+      });
+      expect(Object.keys(diff.body.changed)).toEqual(["payments"]);
+
+      const saved = await request(app).get(
+        "/api/infrastructure/generated/versions/1",
+      );
+      expect(saved.body.data.applications.payments.color).toBe("bg-gray-500");
+    });
 
-        await new Promise((resolve) => setTimeout(resolve, 100));
+    it("should return 404 for missing versions", async () => {
+      const diff = await request(app).get("/api/infrastructure/generated/diff");
+      const saved = await request(app).get(
+        "/api/infrastructure/generated/versions/latest",
+      );
 
-        mockMcpManager.callDockerMcp.mockClear();
+      expect(diff.status).toBe(404);
+      expect(saved.status).toBe(404);
+    });
 
-        // Second call succeeds for different repo
-        mockMcpManager.callDockerMcp.mockResolvedValue({ success: true });
+    it("should return 500 when generation fails", async () => {
+      rmSync(path.join(dataDir, "apps.json"));
 
-        await handler({
-          repo: "Payments",
-          path: "/test2.cs",
-          type: "modified",
-        });
+      const response = await request(app)
+        .post("/api/infrastructure/generate")
+        .send({});
 
-        await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(response.status).toBe(500);
+    });
 
-        expect(mockMcpManager.callDockerMcp).toHaveBeenCalled();
+    it("should queue the generation and return the job ID with ?async=true", async () => {
+      const jobQueue = {
+        enqueue: jest.fn(() => ({ id: "job-1", status: "queued" })),
+      };
+      const jobApp = express();
+      jobApp.use(express.json());
+      jobApp.use((req, res, next) => {
+        req.infrastructureGenerator = generator;
+        req.jobQueue = jobQueue;
+        next();
+      });
+      jobApp.use("/api/infrastructure", infrastructureRouter);
+
+      const response = await request(jobApp)
+        .post("/api/infrastructure/generate?async=true")
+        .send({ apps: ["Payments"] });
+
+      expect(response.status).toBe(202);
+      expect(response.body).toMatchObject({ jobId: "job-1" });
+      expect(jobQueue.enqueue).toHaveBeenCalledWith({
+        type: "infrastructure.generate",
+        request: {
+          method: "post",
+          path: "/api/infrastructure/generate",
+          body: { apps: ["Payments"] },
+        },
       });
+      expect(await generator.listVersions()).toEqual([]);
     });
   });
 });
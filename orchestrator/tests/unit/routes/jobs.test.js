@@ -0,0 +1,181 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import jobsRouter from "../../../src/routes/jobs.js";
+import { JobQueue } from "../../../src/services/jobQueue.js";
+
+/**
+ * API Tests: Job Routes
+ *
+ * Endpoints tested:
+ * - GET /api/jobs - List jobs
+ * - GET /api/jobs/:id - Job status
+ * - GET /api/jobs/:id/events - SSE progress stream
+ * - POST /api/jobs/:id/cancel - Cancel a job
+ * - POST /api/jobs/:id/retry - Retry a job
+ */
+
+describe("Job Routes", () => {
+  let app;
+  let jobQueue;
+  let runs;
+
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+  beforeEach(() => {
+    runs = new Map();
+    jobQueue = new JobQueue({
+      persist: false,
+      concurrency: 1,
+      runner: jest.fn(
+        (job) =>
+          new Promise((resolve, reject) => {
+            runs.set(job.id, { resolve, reject });
+          }),
+      ),
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.jobQueue = jobQueue;
+      next();
+    });
+    app.use("/api/jobs", jobsRouter);
+  });
+
+  const enqueue = (type = "playwright.full-automation") =>
+    jobQueue.enqueue({
+      type,
+      request: { method: "post", path: "/api/playwright/full-automation" },
+    });
+
+  describe("GET /api/jobs", () => {
+    it("should list jobs filtered by status", async () => {
+      enqueue();
+      const queued = enqueue();
+
+      const response = await request(app).get("/api/jobs?status=queued");
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.jobs[0].id).toBe(queued.id);
+    });
+
+    it("should reject unknown statuses", async () => {
+      const response = await request(app).get("/api/jobs?status=done");
+
+      expect(response.status).toBe(400);
+      expect(response.body.validStatuses).toContain("succeeded");
+    });
+  });
+
+  describe("GET /api/jobs/:id", () => {
+    it("should return the job with its steps", async () => {
+      const job = enqueue();
+      jobQueue.startStep(job, "playwrightAnalyzer POST /analyze").done({
+        totalPaths: 4,
+      });
+
+      const response = await request(app).get(`/api/jobs/${job.id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.job.status).toBe("running");
+      expect(response.body.job.steps[0].result).toEqual({ totalPaths: 4 });
+    });
+
+    it("should return 404 for unknown jobs", async () => {
+      const response = await request(app).get("/api/jobs/missing");
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("GET /api/jobs/:id/events", () => {
+    const events = (text) =>
+      text
+        .split("\n\n")
+        .filter((chunk) => chunk.startsWith("event: job"))
+        .map((chunk) => JSON.parse(chunk.split("data: ")[1]));
+
+    it("should stream updates until the job finishes", async () => {
+      const job = enqueue();
+
+      const response = request(app)
+        .get(`/api/jobs/${job.id}/events`)
+        .then((res) => res);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      jobQueue.startStep(job, "step").done({});
+      runs.get(job.id).resolve({ testsGenerated: 2 });
+
+      const { headers, text } = await response;
+      const updates = events(text);
+
+      expect(headers["content-type"]).toContain("text/event-stream");
+      expect(updates[0].status).toBe("running");
+      expect(updates[updates.length - 1]).toEqual(
+        expect.objectContaining({
+          status: "succeeded",
+          result: { testsGenerated: 2 },
+        }),
+      );
+    });
+
+    it("should send a finished job once and end", async () => {
+      const job = enqueue();
+      runs.get(job.id).resolve({});
+      await flush();
+
+      const response = await request(app).get(`/api/jobs/${job.id}/events`);
+
+      expect(events(response.text)).toHaveLength(1);
+      expect(jobQueue.listenerCount("update")).toBe(0);
+    });
+  });
+
+  describe("POST /api/jobs/:id/cancel", () => {
+    it("should cancel a running job", async () => {
+      const job = enqueue();
+
+      const response = await request(app).post(`/api/jobs/${job.id}/cancel`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.job.status).toBe("cancelled");
+    });
+
+    it("should return 409 for finished jobs", async () => {
+      const job = enqueue();
+      runs.get(job.id).resolve({});
+      await flush();
+
+      const response = await request(app).post(`/api/jobs/${job.id}/cancel`);
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe("POST /api/jobs/:id/retry", () => {
+    it("should queue a failed job again", async () => {
+      const job = enqueue();
+      runs.get(job.id).reject(new Error("MCP unavailable"));
+      await flush();
+
+      const response = await request(app).post(`/api/jobs/${job.id}/retry`);
+
+      expect(response.status).toBe(202);
+      expect(response.body.jobId).not.toBe(job.id);
+      expect(response.body.job).toEqual(
+        expect.objectContaining({ retryOf: job.id, attempt: 2 }),
+      );
+    });
+
+    it("should return 409 for jobs that have not failed", async () => {
+      const job = enqueue();
+
+      const response = await request(app).post(`/api/jobs/${job.id}/retry`);
+
+      expect(response.status).toBe(409);
+    });
+  });
+});
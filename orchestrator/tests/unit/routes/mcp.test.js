@@ -11,6 +11,8 @@ import { createMockMcpManager } from "../../helpers/mocks.js";
  * Endpoints tested:
  * - GET /api/mcp/status - Get status of all MCPs
  * - GET /api/mcp/health/:mcpName - Check health of specific MCP
+ * - POST /api/mcp/register - Register an MCP at runtime
+ * - POST /api/mcp/circuit/reset - Reset MCP circuit breakers
  */
 
 describe("MCP Routes", () => {
@@ -175,6 +177,164 @@ describe("MCP Routes", () => {
     });
   });
 
+  describe("POST /api/mcp/register", () => {
+    const registration = {
+      name: "azure-devops",
+      url: "http://azure-devops:8100",
+      category: "integration",
+      version: "2.0.0",
+      swaggerPath: "/api-docs.json",
+    };
+
+    it("should register a new MCP with 201", async () => {
+      mockMcpManager.register.mockReturnValue({
+        name: "azure-devops",
+        created: true,
+        mcp: { url: registration.url, status: "unknown" },
+      });
+
+      const response = await request(app)
+        .post("/api/mcp/register")
+        .send({ ...registration, ignored: true });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({
+        success: true,
+        name: "azure-devops",
+        created: true,
+      });
+      expect(mockMcpManager.register).toHaveBeenCalledWith(registration, {
+        authenticated: false,
+      });
+    });
+
+    it("should pass on whether the caller sent the internal token", async () => {
+      process.env.ORCHESTRATOR_INTERNAL_TOKEN = "s3cret";
+      mockMcpManager.register.mockReturnValue({
+        name: "azureDevOps",
+        created: false,
+        mcp: { url: registration.url },
+      });
+
+      try {
+        await request(app)
+          .post("/api/mcp/register")
+          .set("Authorization", "Bearer s3cret")
+          .send(registration);
+        await request(app)
+          .post("/api/mcp/register")
+          .set("Authorization", "Bearer wrong")
+          .send(registration);
+      } finally {
+        delete process.env.ORCHESTRATOR_INTERNAL_TOKEN;
+      }
+
+      expect(mockMcpManager.register.mock.calls.map((c) => c[1])).toEqual([
+        { authenticated: true },
+        { authenticated: false },
+      ]);
+    });
+
+    it("should return 403 when an MCP's URL may not be changed", async () => {
+      mockMcpManager.register.mockImplementation(() => {
+        const error = new Error(
+          "MCP azureDevOps is already registered at http://azure-devops:8100; changing its URL requires the internal token",
+        );
+        error.statusCode = 403;
+        throw error;
+      });
+
+      const response = await request(app)
+        .post("/api/mcp/register")
+        .send({ ...registration, url: "http://elsewhere:8100" });
+
+      expect(response.status).toBe(403);
+      expect(response.body.success).toBe(false);
+    });
+
+    it("should return 200 when an existing MCP re-registers", async () => {
+      mockMcpManager.register.mockReturnValue({
+        name: "azureDevOps",
+        created: false,
+        mcp: { url: registration.url, status: "healthy" },
+      });
+
+      const response = await request(app)
+        .post("/api/mcp/register")
+        .send(registration);
+
+      expect(response.status).toBe(200);
+      expect(response.body.name).toBe("azureDevOps");
+    });
+
+    it("should return 400 for an invalid registration", async () => {
+      mockMcpManager.register.mockImplementation(() => {
+        const error = new Error(
+          "Invalid MCP registration: url must be an http(s) URL",
+        );
+        error.statusCode = 400;
+        throw error;
+      });
+
+      const response = await request(app)
+        .post("/api/mcp/register")
+        .send({ ...registration, url: "nope" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain("url");
+    });
+  });
+
+  describe("POST /api/mcp/circuit/reset", () => {
+    it("should reset one MCP's circuit breaker", async () => {
+      mockMcpManager.resetCircuit.mockReturnValue(["riskAnalyzer"]);
+
+      const response = await request(app)
+        .post("/api/mcp/circuit/reset")
+        .send({ mcpName: "riskAnalyzer" });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        success: true,
+        reset: ["riskAnalyzer"],
+        message: "Circuit breaker reset for riskAnalyzer",
+      });
+      expect(mockMcpManager.resetCircuit).toHaveBeenCalledWith("riskAnalyzer");
+    });
+
+    it("should reset all circuit breakers without an MCP name", async () => {
+      mockMcpManager.resetCircuit.mockReturnValue([
+        "azureDevOps",
+        "riskAnalyzer",
+      ]);
+
+      const response = await request(app).post("/api/mcp/circuit/reset");
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe("All circuit breakers reset");
+      expect(mockMcpManager.resetCircuit).toHaveBeenCalledWith(undefined);
+    });
+
+    it("should return 404 for an unknown MCP", async () => {
+      mockMcpManager.resetCircuit.mockImplementation(() => {
+        const error = new Error("Unknown MCP: nope");
+        error.statusCode = 404;
+        throw error;
+      });
+
+      const response = await request(app)
+        .post("/api/mcp/circuit/reset")
+        .send({ mcpName: "nope" });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({
+        success: false,
+        error: "Unknown MCP: nope",
+      });
+    });
+  });
+
   describe("GET /api/mcp/health/:mcpName", () => {
     describe("Successful health check", () => {
       it("should check health of specific MCP", async () => {
@@ -0,0 +1,160 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import mcpProtocolRouter, {
+  handleParseError,
+} from "../../../src/routes/mcpProtocol.js";
+import { MCPServer } from "../../../src/services/mcpServer.js";
+import { MCPToolRegistry } from "../../../src/utils/mcpToolRegistry.js";
+
+/**
+ * API Tests: MCP Protocol Routes (streamable HTTP transport)
+ *
+ * Endpoints tested:
+ * - POST /mcp - JSON-RPC requests, notifications and batches
+ * - GET /mcp - No server-initiated stream
+ * - DELETE /mcp - End a session
+ */
+
+describe("MCP Protocol Routes", () => {
+  let app;
+  let mcpServer;
+  let toolHandler;
+
+  const rpc = (id, method, params) => ({ jsonrpc: "2.0", id, method, params });
+
+  beforeEach(() => {
+    toolHandler = jest.fn().mockResolvedValue({ stories: [] });
+    const tools = new MCPToolRegistry();
+    tools.registerTool(
+      "ado_pull_stories",
+      "Pull stories",
+      { type: "object" },
+      toolHandler,
+    );
+    mcpServer = new MCPServer({ tools, callRoute: jest.fn() });
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.mcpServer = mcpServer;
+      next();
+    });
+    app.use("/mcp", mcpProtocolRouter);
+    app.use("/mcp", handleParseError);
+  });
+
+  describe("POST /mcp", () => {
+    it("should initialize and assign a session", async () => {
+      const response = await request(app)
+        .post("/mcp")
+        .send(rpc(1, "initialize", { protocolVersion: "2025-03-26" }));
+
+      expect(response.status).toBe(200);
+      expect(response.body.result.protocolVersion).toBe("2025-03-26");
+      expect(mcpServer.hasSession(response.headers["mcp-session-id"])).toBe(
+        true,
+      );
+    });
+
+    it("should accept notifications with 202 and no body", async () => {
+      const response = await request(app)
+        .post("/mcp")
+        .send({ jsonrpc: "2.0", method: "notifications/initialized" });
+
+      expect(response.status).toBe(202);
+      expect(response.text).toBe("");
+    });
+
+    it("should return JSON for tool calls from JSON-only clients", async () => {
+      const response = await request(app)
+        .post("/mcp")
+        .set("Accept", "application/json")
+        .send(
+          rpc(2, "tools/call", { name: "ado_pull_stories", arguments: {} }),
+        );
+
+      expect(response.status).toBe(200);
+      expect(response.body.result.structuredContent).toEqual({ stories: [] });
+    });
+
+    it("should stream tool call results over SSE when accepted", async () => {
+      const response = await request(app)
+        .post("/mcp")
+        .set("Accept", "application/json, text/event-stream")
+        .send(
+          rpc(3, "tools/call", {
+            name: "ado_pull_stories",
+            arguments: { sprint: "Sprint 42" },
+          }),
+        );
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toContain("text/event-stream");
+      const data = response.text.match(/^data: (.*)$/m)[1];
+      expect(JSON.parse(data)).toMatchObject({
+        id: 3,
+        result: { isError: false },
+      });
+      expect(toolHandler).toHaveBeenCalledWith({ sprint: "Sprint 42" });
+    });
+
+    it("should reject unknown sessions with 404", async () => {
+      const response = await request(app)
+        .post("/mcp")
+        .set("Mcp-Session-Id", "expired")
+        .send(rpc(4, "ping"));
+
+      expect(response.status).toBe(404);
+    });
+
+    it("should reject unsupported protocol versions with 400", async () => {
+      const response = await request(app)
+        .post("/mcp")
+        .set("MCP-Protocol-Version", "1999-01-01")
+        .send(rpc(5, "ping"));
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toContain("1999-01-01");
+    });
+
+    it("should return a JSON-RPC parse error for malformed JSON", async () => {
+      const response = await request(app)
+        .post("/mcp")
+        .set("Content-Type", "application/json")
+        .send("{not json");
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe(-32700);
+    });
+  });
+
+  describe("GET /mcp", () => {
+    it("should not offer a server-initiated stream", async () => {
+      const response = await request(app)
+        .get("/mcp")
+        .set("Accept", "text/event-stream");
+
+      expect(response.status).toBe(405);
+    });
+  });
+
+  describe("DELETE /mcp", () => {
+    it("should end the session", async () => {
+      const sessionId = mcpServer.createSession();
+
+      const response = await request(app)
+        .delete("/mcp")
+        .set("Mcp-Session-Id", sessionId);
+
+      expect(response.status).toBe(204);
+      expect(mcpServer.hasSession(sessionId)).toBe(false);
+    });
+
+    it("should return 404 for unknown sessions", async () => {
+      const response = await request(app).delete("/mcp");
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -299,6 +299,44 @@ describe("Playwright Routes", () => {
         expect(response.body).toHaveProperty("success", false);
       });
     });
+
+    describe("Background job", () => {
+      it("should queue the workflow and return the job ID with ?async=true", async () => {
+        const jobApp = express();
+        jobApp.use(express.json());
+        const jobQueue = {
+          enqueue: jest.fn(() => ({ id: "job-1", status: "queued" })),
+        };
+        jobApp.use((req, res, next) => {
+          req.mcpManager = mockMcpManager;
+          req.jobQueue = jobQueue;
+          next();
+        });
+        jobApp.use("/api/playwright", playwrightRouter);
+
+        const response = await request(jobApp)
+          .post("/api/playwright/full-automation?async=true")
+          .send({ app: "App1" });
+
+        expect(response.status).toBe(202);
+        expect(response.body).toEqual({
+          success: true,
+          jobId: "job-1",
+          status: "queued",
+          statusUrl: "/api/jobs/job-1",
+          eventsUrl: "/api/jobs/job-1/events",
+        });
+        expect(jobQueue.enqueue).toHaveBeenCalledWith({
+          type: "playwright.full-automation",
+          request: {
+            method: "post",
+            path: "/api/playwright/full-automation",
+            body: { app: "App1" },
+          },
+        });
+        expect(mockMcpManager.callDockerMcp).not.toHaveBeenCalled();
+      });
+    });
   });
 
   describe("POST /api/playwright/heal-tests", () => {
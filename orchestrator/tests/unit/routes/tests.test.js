@@ -4,16 +4,11 @@ import request from "supertest";
 
 // Mock dependencies BEFORE importing the router
 const mockReadFile = jest.fn();
-const mockCallClaude = jest.fn();
 
 jest.unstable_mockModule("fs/promises", () => ({
   readFile: mockReadFile,
 }));
 
-jest.unstable_mockModule("../../../src/utils/aiHelper.js", () => ({
-  callClaude: mockCallClaude,
-}));
-
 // Import router after mocking
 const { default: testsRouter } = await import("../../../src/routes/tests.js");
 
@@ -68,8 +63,8 @@ public class UserService
 `);
     });
 
-    // Setup default Claude response
-    mockCallClaude.mockResolvedValue(`
+    // Setup default generator response, echoing the request
+    const testCode = `
 using Xunit;
 
 public class UserServiceTests
@@ -87,7 +82,22 @@ public class UserServiceTests
         Assert.NotNull(result);
     }
 }
-`);
+`;
+    mockMcpManager.callStdioMcp.mockImplementation(async (name, { data }) => ({
+      success: true,
+      result: {
+        className: data.className,
+        testFramework: data.testFramework,
+        testCode,
+        completeTestFile: testCode,
+        metadata: {
+          includeNegativeTests: data.includeNegativeTests,
+          includeMocks: data.includeMocks,
+          onlyNegativeTests: data.onlyNegativeTests,
+          model: data.model || "claude-sonnet-4-20250514",
+        },
+      },
+    }));
   });
 
   // ============================================
@@ -356,11 +366,17 @@ public class UserServiceTests
         "utf-8",
       );
 
-      // Verify Claude was called
-      expect(mockCallClaude).toHaveBeenCalledWith(
-        expect.stringContaining("Generate comprehensive unit tests"),
-        undefined,
-        4096,
+      // Verify the pooled generator got the source
+      expect(mockMcpManager.callStdioMcp).toHaveBeenCalledWith(
+        "dotnet-unit-test-generator",
+        {
+          data: expect.objectContaining({
+            app: "App1",
+            className: "UserService",
+            sourceCode: expect.stringContaining("public class UserService"),
+            testFramework: "xUnit",
+          }),
+        },
       );
     });
 
@@ -376,11 +392,15 @@ public class UserServiceTests
       expect(response.status).toBe(200);
       expect(response.body.result.testFramework).toBe("MSTest");
 
-      // Verify Claude prompt includes MSTest
-      expect(mockCallClaude).toHaveBeenCalledWith(
-        expect.stringContaining("MSTest"),
-        undefined,
-        4096,
+      // Verify the generator was asked for MSTest
+      expect(mockMcpManager.callStdioMcp).toHaveBeenCalledWith(
+        "dotnet-unit-test-generator",
+        {
+          data: expect.objectContaining({
+            app: "PreCare",
+            testFramework: "MSTest",
+          }),
+        },
       );
     });
 
@@ -451,9 +471,9 @@ public class UserServiceTests
       expect(response.body.resolvedPath).toBeDefined();
     });
 
-    it("should handle Claude API errors", async () => {
-      mockCallClaude.mockRejectedValueOnce(
-        new Error("Claude API error: 429 rate limit exceeded"),
+    it("should handle generator errors", async () => {
+      mockMcpManager.callStdioMcp.mockRejectedValueOnce(
+        new Error("AI API error (anthropic): 429 rate limit exceeded"),
       );
 
       const response = await request(app)
@@ -466,7 +486,7 @@ public class UserServiceTests
 
       expect(response.status).toBe(500);
       expect(response.body.error).toBe("Test generation failed");
-      expect(response.body.message).toContain("Claude API error");
+      expect(response.body.message).toContain("AI API error");
     });
 
     it("should support includeNegativeTests option", async () => {
@@ -482,11 +502,14 @@ public class UserServiceTests
       expect(response.status).toBe(200);
       expect(response.body.result.metadata.includeNegativeTests).toBe(true);
 
-      // Verify prompt includes negative test instructions
-      expect(mockCallClaude).toHaveBeenCalledWith(
-        expect.stringContaining("Include negative test cases"),
-        undefined,
-        4096,
+      // Verify the option was passed to the generator
+      expect(mockMcpManager.callStdioMcp).toHaveBeenCalledWith(
+        "dotnet-unit-test-generator",
+        {
+          data: expect.objectContaining({
+            includeNegativeTests: true,
+          }),
+        },
       );
     });
 
@@ -503,11 +526,14 @@ public class UserServiceTests
       expect(response.status).toBe(200);
       expect(response.body.result.metadata.onlyNegativeTests).toBe(true);
 
-      // Verify prompt specifies negative tests only
-      expect(mockCallClaude).toHaveBeenCalledWith(
-        expect.stringContaining("ONLY generate tests for error scenarios"),
-        undefined,
-        4096,
+      // Verify the option was passed to the generator
+      expect(mockMcpManager.callStdioMcp).toHaveBeenCalledWith(
+        "dotnet-unit-test-generator",
+        {
+          data: expect.objectContaining({
+            onlyNegativeTests: true,
+          }),
+        },
       );
     });
 
@@ -524,11 +550,14 @@ public class UserServiceTests
       expect(response.status).toBe(200);
       expect(response.body.result.metadata.includeMocks).toBe(true);
 
-      // Verify prompt includes mocking instructions
-      expect(mockCallClaude).toHaveBeenCalledWith(
-        expect.stringContaining("Use Moq for mocking"),
-        undefined,
-        4096,
+      // Verify the option was passed to the generator
+      expect(mockMcpManager.callStdioMcp).toHaveBeenCalledWith(
+        "dotnet-unit-test-generator",
+        {
+          data: expect.objectContaining({
+            includeMocks: true,
+          }),
+        },
       );
     });
 
@@ -545,11 +574,14 @@ public class UserServiceTests
       expect(response.status).toBe(200);
       expect(response.body.result.metadata.includeMocks).toBe(false);
 
-      // Verify prompt excludes mocking
-      expect(mockCallClaude).toHaveBeenCalledWith(
-        expect.stringContaining("Do not use mocking frameworks"),
-        undefined,
-        4096,
+      // Verify the option was passed to the generator
+      expect(mockMcpManager.callStdioMcp).toHaveBeenCalledWith(
+        "dotnet-unit-test-generator",
+        {
+          data: expect.objectContaining({
+            includeMocks: false,
+          }),
+        },
       );
     });
 
@@ -568,11 +600,14 @@ public class UserServiceTests
         "claude-opus-4-5-20251101",
       );
 
-      // Verify custom model was passed to Claude
-      expect(mockCallClaude).toHaveBeenCalledWith(
-        expect.any(String),
-        "claude-opus-4-5-20251101",
-        4096,
+      // Verify custom model was passed to the generator
+      expect(mockMcpManager.callStdioMcp).toHaveBeenCalledWith(
+        "dotnet-unit-test-generator",
+        {
+          data: expect.objectContaining({
+            model: "claude-opus-4-5-20251101",
+          }),
+        },
       );
     });
 
@@ -588,6 +623,28 @@ public class UserServiceTests
       expect(response.status).toBe(200);
       expect(response.body.result.testFramework).toBe("xUnit"); // Default
     });
+
+    it("should refuse apps whose AI policy allows no usable model", async () => {
+      mockMcpManager.callStdioMcp.mockRejectedValueOnce(
+        Object.assign(
+          new Error("PreCare may only use local AI providers, not anthropic"),
+          { statusCode: 403 },
+        ),
+      );
+
+      const response = await request(app)
+        .post("/api/tests/generate-for-file")
+        .send({
+          app: "PreCare",
+          file: "/mnt/apps/patient-portal/PatientPortal/Services/UserService.cs",
+          className: "UserService",
+        });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe(
+        "PreCare may only use local AI providers, not anthropic",
+      );
+    });
   });
 
   // ============================================
@@ -636,11 +693,13 @@ public class UserIntegrationTests : IClassFixture<WebApplicationFactory<Program>
 
       // Verify STDIO MCP was called
       expect(mockMcpManager.callStdioMcp).toHaveBeenCalledWith(
-        "dotnet-integration-test-generator",
+        "dotnet-unit-test-generator",
         expect.objectContaining({
           data: expect.objectContaining({
+            testType: "integration",
             app: "App1",
             apiEndpoint: "/api/users",
+            testFramework: "xUnit",
           }),
         }),
       );
@@ -676,7 +735,7 @@ public class UserIntegrationTests : IClassFixture<WebApplicationFactory<Program>
       expect(response.status).toBe(200);
 
       expect(mockMcpManager.callStdioMcp).toHaveBeenCalledWith(
-        "dotnet-integration-test-generator",
+        "dotnet-unit-test-generator",
         expect.objectContaining({
           data: expect.objectContaining({
             scenario: "Test user authentication flow",
@@ -697,7 +756,7 @@ public class UserIntegrationTests : IClassFixture<WebApplicationFactory<Program>
       expect(response.status).toBe(200);
 
       expect(mockMcpManager.callStdioMcp).toHaveBeenCalledWith(
-        "dotnet-integration-test-generator",
+        "dotnet-unit-test-generator",
         expect.objectContaining({
           data: expect.objectContaining({
             includeAuth: true,
@@ -718,7 +777,7 @@ public class UserIntegrationTests : IClassFixture<WebApplicationFactory<Program>
       expect(response.status).toBe(200);
 
       expect(mockMcpManager.callStdioMcp).toHaveBeenCalledWith(
-        "dotnet-integration-test-generator",
+        "dotnet-unit-test-generator",
         expect.objectContaining({
           data: expect.objectContaining({
             includeDatabase: false,
@@ -739,7 +798,7 @@ public class UserIntegrationTests : IClassFixture<WebApplicationFactory<Program>
       expect(response.status).toBe(200);
 
       expect(mockMcpManager.callStdioMcp).toHaveBeenCalledWith(
-        "dotnet-integration-test-generator",
+        "dotnet-unit-test-generator",
         expect.objectContaining({
           data: expect.objectContaining({
             model: "claude-opus-4-5-20251101",
@@ -759,7 +818,7 @@ public class UserIntegrationTests : IClassFixture<WebApplicationFactory<Program>
       expect(response.status).toBe(200);
 
       expect(mockMcpManager.callStdioMcp).toHaveBeenCalledWith(
-        "dotnet-integration-test-generator",
+        "dotnet-unit-test-generator",
         expect.objectContaining({
           data: expect.objectContaining({
             scenario: "Integration tests for /api/users/123",
@@ -784,5 +843,22 @@ public class UserIntegrationTests : IClassFixture<WebApplicationFactory<Program>
       expect(response.body.error).toBe("Integration test generation failed");
       expect(response.body.message).toContain("STDIO MCP timeout");
     });
+
+    it("should pass the generator's status through", async () => {
+      mockMcpManager.callStdioMcp.mockRejectedValueOnce(
+        Object.assign(new Error("AI budget exceeded for team 'payments'"), {
+          statusCode: 429,
+        }),
+      );
+
+      const response = await request(app)
+        .post("/api/tests/generate-integration-for-file")
+        .send({
+          app: "App1",
+          apiEndpoint: "/api/users",
+        });
+
+      expect(response.status).toBe(429);
+    });
   });
 });
@@ -0,0 +1,133 @@
+import express from "express";
+import request from "supertest";
+import tracesRouter from "../../../src/routes/traces.js";
+import { TraceStore, toOtlp } from "../../../src/services/tracing.js";
+
+/**
+ * API Tests: Trace Routes
+ *
+ * Endpoints tested:
+ * - POST /api/traces/v1/traces - OTLP/HTTP JSON span export from MCPs
+ * - GET /api/traces - Recent traces
+ * - GET /api/traces/:traceId - Trace waterfall
+ */
+
+describe("Trace Routes", () => {
+  let app;
+  let traceStore;
+
+  const traceId = "4bf92f3577b34da6a3ce929d0e0e4736";
+
+  const span = (overrides) => ({
+    traceId,
+    spanId: "aaaaaaaaaaaaaaaa",
+    parentSpanId: null,
+    name: "POST /api/analysis/risk/analyze-story",
+    kind: "server",
+    service: "orchestrator",
+    startTime: 1000,
+    endTime: 2000,
+    duration: 1000,
+    status: "ok",
+    error: null,
+    attributes: {},
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    traceStore = new TraceStore({ filePath: "", otlpEndpoint: "" });
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.traceStore = traceStore;
+      next();
+    });
+    app.use("/api/traces", tracesRouter);
+  });
+
+  describe("POST /api/traces/v1/traces", () => {
+    it("should accept OTLP JSON exports", async () => {
+      const exported = span({
+        spanId: "bbbbbbbbbbbbbbbb",
+        parentSpanId: "aaaaaaaaaaaaaaaa",
+        service: "risk-analyzer",
+        name: "POST /analyze-risk",
+      });
+
+      const response = await request(app)
+        .post("/api/traces/v1/traces")
+        .send(toOtlp([exported]));
+
+      expect(response.status).toBe(200);
+      expect(await traceStore.getSpans(traceId)).toEqual([exported]);
+    });
+
+    it("should reject the protobuf encoding", async () => {
+      const response = await request(app)
+        .post("/api/traces/v1/traces")
+        .set("Content-Type", "application/x-protobuf")
+        .send(Buffer.from([1, 2, 3]));
+
+      expect(response.status).toBe(415);
+    });
+  });
+
+  describe("GET /api/traces", () => {
+    it("should list recent traces", async () => {
+      traceStore.record([span()]);
+
+      const response = await request(app).get("/api/traces");
+
+      expect(response.status).toBe(200);
+      expect(response.body.traces).toEqual([
+        expect.objectContaining({
+          traceId,
+          name: "POST /api/analysis/risk/analyze-story",
+          spanCount: 1,
+        }),
+      ]);
+    });
+  });
+
+  describe("GET /api/traces/:traceId", () => {
+    it("should return the waterfall with AI token usage", async () => {
+      traceStore.record([
+        span(),
+        span({
+          spanId: "cccccccccccccccc",
+          parentSpanId: "aaaaaaaaaaaaaaaa",
+          name: "chat gpt-4o-mini",
+          service: "risk-analyzer",
+          startTime: 1500,
+          endTime: 1900,
+          attributes: {
+            "gen_ai.system": "openai",
+            "gen_ai.usage.input_tokens": 50,
+            "gen_ai.usage.output_tokens": 25,
+          },
+        }),
+      ]);
+
+      const response = await request(app).get(
+        `/api/traces/${traceId.toUpperCase()}`,
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.trace.aiUsage.totalTokens).toBe(75);
+      expect(response.body.trace.spans[1]).toEqual(
+        expect.objectContaining({
+          depth: 1,
+          offset: 500,
+          aiUsage: expect.objectContaining({ totalTokens: 75 }),
+        }),
+      );
+    });
+
+    it("should return 404 for unknown traces", async () => {
+      const response = await request(app).get(`/api/traces/${"f".repeat(32)}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import { jest } from "@jest/globals";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+import workflowsRouter from "../../../src/routes/workflows.js";
+import { JobQueue } from "../../../src/services/jobQueue.js";
+import { WorkflowEngine } from "../../../src/services/workflowEngine.js";
+import { createMockMcpManager } from "../../helpers/mocks.js";
+
+/**
+ * API Tests: Workflow Routes
+ *
+ * Endpoints tested:
+ * - GET /api/workflows - List workflows
+ * - POST /api/workflows/reload - Reload definitions
+ * - GET /api/workflows/:name - Workflow definition
+ * - POST /api/workflows/:name/run - Run a workflow
+ */
+
+describe("Workflow Routes", () => {
+  let app, dir, mcpManager, workflowEngine, jobQueue;
+
+  const writeWorkflow = (definition) =>
+    writeFileSync(
+      path.join(dir, `${definition.name}.json`),
+      JSON.stringify(definition),
+    );
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), "workflows-"));
+    writeWorkflow({
+      name: "story-risk",
+      description: "Risk for one story",
+      inputs: { app: { required: true } },
+      steps: [
+        {
+          id: "risk",
+          mcp: "riskAnalyzer",
+          endpoint: "/analyze-risk",
+          input: { app: "${inputs.app}" },
+        },
+      ],
+    });
+
+    mcpManager = createMockMcpManager();
+    workflowEngine = new WorkflowEngine({ mcpManager, dir }).load();
+    jobQueue = new JobQueue({
+      persist: false,
+      runner: jest.fn(() => new Promise(() => {})),
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.workflowEngine = workflowEngine;
+      req.jobQueue = jobQueue;
+      next();
+    });
+    app.use("/api/workflows", workflowsRouter);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("GET /api/workflows", () => {
+    it("should list loaded workflows", async () => {
+      const response = await request(app).get("/api/workflows");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        count: 1,
+        workflows: [{ name: "story-risk", steps: ["risk"] }],
+        errors: [],
+      });
+    });
+  });
+
+  describe("POST /api/workflows/reload", () => {
+    it("should pick up new definitions", async () => {
+      writeWorkflow({
+        name: "second",
+        steps: [{ id: "a", mcp: "m", endpoint: "/a" }],
+      });
+
+      const response = await request(app).post("/api/workflows/reload");
+
+      expect(response.status).toBe(200);
+      expect(response.body.workflows).toEqual(["second", "story-risk"]);
+    });
+  });
+
+  describe("GET /api/workflows/:name", () => {
+    it("should return the definition", async () => {
+      const response = await request(app).get("/api/workflows/story-risk");
+
+      expect(response.status).toBe(200);
+      expect(response.body.workflow.description).toBe("Risk for one story");
+    });
+
+    it("should return 404 for unknown workflows", async () => {
+      const response = await request(app).get("/api/workflows/nope");
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("POST /api/workflows/:name/run", () => {
+    it("should run the workflow with the body as inputs", async () => {
+      mcpManager.callDockerMcp.mockResolvedValue({ riskLevel: "high" });
+
+      const response = await request(app)
+        .post("/api/workflows/story-risk/run")
+        .send({ app: "App1" });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        status: "succeeded",
+        output: { risk: { riskLevel: "high" } },
+      });
+      expect(mcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "riskAnalyzer",
+        "/analyze-risk",
+        { app: "App1" },
+        "POST",
+      );
+    });
+
+    it("should return 400 for missing inputs", async () => {
+      const response = await request(app)
+        .post("/api/workflows/story-risk/run")
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Missing required inputs: app");
+    });
+
+    it("should return the partial run when a step fails", async () => {
+      mcpManager.callDockerMcp.mockRejectedValue(new Error("MCP down"));
+
+      const response = await request(app)
+        .post("/api/workflows/story-risk/run")
+        .send({ app: "App1" });
+
+      expect(response.status).toBe(500);
+      expect(response.body).toMatchObject({
+        success: false,
+        error: "Workflow story-risk failed: MCP down",
+        run: { status: "failed", steps: [{ id: "risk", status: "failed" }] },
+      });
+    });
+
+    it("should queue a job with ?async=true", async () => {
+      const response = await request(app)
+        .post("/api/workflows/story-risk/run?async=true")
+        .send({ app: "App1" });
+
+      expect(response.status).toBe(202);
+      expect(jobQueue.get(response.body.jobId)).toMatchObject({
+        type: "workflow.story-risk",
+        request: {
+          method: "post",
+          path: "/api/workflows/story-risk/run",
+          body: { app: "App1" },
+        },
+      });
+      expect(mcpManager.callDockerMcp).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for unknown workflows", async () => {
+      const response = await request(app)
+        .post("/api/workflows/nope/run?async=true")
+        .send({});
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,313 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import request from "supertest";
+import {
+  AiBudgetExceededError,
+  AiUsageLedger,
+  aiUsageContext,
+  currentUsageCaller,
+} from "../../../src/services/aiUsage.js";
+
+describe("AiUsageLedger", () => {
+  let dir, budgetsPath, ledger;
+
+  const budgets = {
+    daily: { soft: 8, hard: 10 },
+    teams: {
+      qe: {
+        daily: { soft: 2, hard: 4 },
+        sources: ["/api/tests", "playwright-healer"],
+      },
+      delivery: { apps: ["Payments"], sources: ["/api/ado"] },
+    },
+  };
+
+  const event = (overrides = {}) => ({
+    model: "claude-sonnet-4-20250514",
+    provider: "anthropic",
+    source: "/api/tests/generate-for-file",
+    inputTokens: 100000,
+    outputTokens: 20000,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), "ai-usage-"));
+    budgetsPath = path.join(dir, "ai-budgets.json");
+    writeFileSync(budgetsPath, JSON.stringify(budgets));
+    ledger = new AiUsageLedger({ dataDir: dir, budgetsPath });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("record", () => {
+    it("should price events from the model catalog and bill the source's team", async () => {
+      const [entry] = await ledger.record([event()]);
+
+      expect(entry).toMatchObject({
+        model: "claude-sonnet-4-20250514",
+        team: "qe",
+        cost: 0.6,
+      });
+      const [line] = readFileSync(path.join(dir, "ai-usage.jsonl"), "utf-8")
+        .trim()
+        .split("\n");
+      expect(JSON.parse(line)).toEqual(entry);
+    });
+
+    it("should keep reported costs and unknown models", async () => {
+      const entries = await ledger.record([
+        event({ source: "playwright-healer", cost: 1.5 }),
+        event({ source: "scripts", model: "local-llama" }),
+      ]);
+
+      expect(entries.map((e) => [e.team, e.cost])).toEqual([
+        ["qe", 1.5],
+        ["unassigned", null],
+      ]);
+    });
+
+    it("should bill the app's team and ignore reported teams", async () => {
+      const entries = await ledger.record([
+        event({ source: "playwright-healer", app: "Payments" }),
+        event({ source: "/api/ado/stories/:id/analyze", team: "qe" }),
+        event({ source: "/api/tests/generate-for-file", app: "Ledger" }),
+      ]);
+
+      expect(entries.map((e) => [e.team, e.app])).toEqual([
+        ["delivery", "Payments"],
+        ["delivery", null],
+        ["qe", "Ledger"],
+      ]);
+    });
+
+    it("should reload recorded events from disk", async () => {
+      await ledger.record([event(), event({ source: "/api/ado/x" })]);
+
+      const reloaded = new AiUsageLedger({ dataDir: dir, budgetsPath });
+
+      expect(await reloaded.load()).toHaveLength(2);
+    });
+
+    it("should skip malformed entries when reloading", async () => {
+      await ledger.record([event()]);
+      writeFileSync(
+        path.join(dir, "ai-usage.jsonl"),
+        [
+          readFileSync(path.join(dir, "ai-usage.jsonl"), "utf-8").trim(),
+          JSON.stringify({ ...event(), timestamp: Date.now() }),
+          JSON.stringify({
+            ...event(),
+            timestamp: "2026-03-02T10:00:00.000Z",
+            inputTokens: "9",
+          }),
+          "{not json",
+        ].join("\n") + "\n",
+      );
+
+      const reloaded = new AiUsageLedger({ dataDir: dir, budgetsPath });
+
+      expect(await reloaded.load()).toHaveLength(1);
+      await expect(
+        reloaded.checkBudget({ source: "/api/tests/x" }),
+      ).resolves.toBeDefined();
+    });
+  });
+
+  describe("checkBudget", () => {
+    it("should allow callers under their limits", async () => {
+      await expect(
+        ledger.checkBudget({ source: "/api/tests/analyze-file" }),
+      ).resolves.toMatchObject({
+        team: "qe",
+        status: "ok",
+        allowed: true,
+        limits: [
+          { scope: "global", soft: 8, hard: 10, spent: 0 },
+          { scope: "team", soft: 2, hard: 4, spent: 0 },
+        ],
+        message: null,
+      });
+    });
+
+    it("should report the soft and then the hard team limit", async () => {
+      await ledger.record([event({ cost: 2.5 })]);
+      const soft = await ledger.checkBudget({ source: "playwright-healer" });
+
+      expect(soft).toMatchObject({ status: "soft", allowed: true });
+      expect(soft.message).toBe(
+        "AI spend warning: Team 'qe' spent $2.50, past the $2.00 daily soft limit",
+      );
+
+      await ledger.record([event({ cost: 1.5 })]);
+      const hard = await ledger.checkBudget({ source: "playwright-healer" });
+
+      expect(hard).toMatchObject({ status: "hard", allowed: false });
+      expect(hard.message).toBe(
+        "AI budget exceeded: Team 'qe' spent $4.00 of the $4.00 daily limit",
+      );
+    });
+
+    it("should check the app's team and ignore a requested team", async () => {
+      await ledger.record([event({ cost: 4 })]);
+
+      await expect(
+        ledger.checkBudget({ source: "/api/tests", app: "Payments" }),
+      ).resolves.toMatchObject({ team: "delivery", status: "ok" });
+      await expect(
+        ledger.checkBudget({ source: "/api/tests", team: "delivery" }),
+      ).resolves.toMatchObject({ team: "qe", status: "hard" });
+    });
+
+    it("should apply the global limit to every team", async () => {
+      await ledger.record([
+        event({ source: "/api/ado/generate-test-cases", cost: 10 }),
+      ]);
+
+      await expect(
+        ledger.checkBudget({ source: "unmapped-mcp" }),
+      ).resolves.toMatchObject({
+        team: "unassigned",
+        status: "hard",
+        message: expect.stringContaining("All teams spent $10.00"),
+      });
+    });
+
+    it("should only count today's spend", async () => {
+      jest.useFakeTimers({ now: new Date("2026-03-01T23:00:00Z") });
+      await ledger.record([event({ cost: 5 })]);
+
+      jest.setSystemTime(new Date("2026-03-02T01:00:00Z"));
+
+      await expect(
+        ledger.checkBudget({ source: "/api/tests" }),
+      ).resolves.toMatchObject({ status: "ok" });
+    });
+
+    it("should throw AiBudgetExceededError past a hard limit", async () => {
+      await ledger.record([event({ cost: 4 })]);
+
+      const error = await ledger
+        .assertWithinBudget({ source: "/api/tests" })
+        .catch((e) => e);
+
+      expect(error).toBeInstanceOf(AiBudgetExceededError);
+      expect(error.statusCode).toBe(429);
+      expect(error.budget.team).toBe("qe");
+    });
+
+    it("should share the MCPs' AiBudgetExceededError", async () => {
+      const shared = await import("../../../../mcps/shared/aiUsage.js");
+
+      expect(AiBudgetExceededError).toBe(shared.AiBudgetExceededError);
+    });
+
+    it("should allow everything when no budgets are configured", async () => {
+      ledger = new AiUsageLedger({
+        dataDir: dir,
+        budgetsPath: path.join(dir, "missing.json"),
+      });
+      await ledger.record([event({ cost: 1000 })]);
+
+      await expect(
+        ledger.checkBudget({ source: "/api/tests" }),
+      ).resolves.toEqual({
+        team: "unassigned",
+        status: "ok",
+        allowed: true,
+        limits: [],
+        message: null,
+      });
+    });
+  });
+
+  describe("getUsage", () => {
+    it("should break usage down by model, source, team and day", async () => {
+      await ledger.record([
+        event({ timestamp: "2026-03-01T10:00:00Z", cost: 1 }),
+        event({
+          timestamp: "2026-03-02T10:00:00Z",
+          model: "gpt-4o",
+          source: "/api/ado/generate-test-cases",
+          cost: 0.5,
+        }),
+        event({
+          timestamp: "2026-03-02T11:00:00Z",
+          model: "local-llama",
+          source: "/api/ado/generate-test-cases",
+        }),
+        event({ timestamp: "2026-02-01T10:00:00Z", cost: 9 }),
+      ]);
+
+      const usage = await ledger.getUsage({
+        from: "2026-03-01",
+        to: "2026-03-02",
+      });
+
+      expect(usage.totals).toEqual({
+        calls: 3,
+        inputTokens: 300000,
+        outputTokens: 60000,
+        cost: 1.5,
+        unpricedCalls: 1,
+      });
+      expect(usage.byModel.map((m) => [m.model, m.cost])).toEqual([
+        ["claude-sonnet-4-20250514", 1],
+        ["gpt-4o", 0.5],
+        ["local-llama", 0],
+      ]);
+      expect(usage.byTeam.map((t) => [t.team, t.calls])).toEqual([
+        ["qe", 1],
+        ["delivery", 2],
+      ]);
+      expect(usage.bySource[1]).toMatchObject({
+        source: "/api/ado/generate-test-cases",
+        calls: 2,
+      });
+      expect(usage.byDay.map((d) => [d.day, d.cost])).toEqual([
+        ["2026-03-01", 1],
+        ["2026-03-02", 0.5],
+      ]);
+    });
+
+    it("should filter by team and default to the last 30 days", async () => {
+      await ledger.record([
+        event({ cost: 1 }),
+        event({ source: "/api/ado/x", cost: 2 }),
+      ]);
+
+      const usage = await ledger.getUsage({ team: "delivery" });
+
+      expect(usage.totals.cost).toBe(2);
+      expect(usage.to).toBe(new Date().toISOString().slice(0, 10));
+    });
+  });
+
+  describe("aiUsageContext", () => {
+    it("should bill calls to the matched route, not the X-AI-Team header", async () => {
+      const app = express();
+      const router = express.Router();
+      let caller;
+      router.post("/stories/:id/analyze", async (req, res) => {
+        await Promise.resolve();
+        caller = currentUsageCaller();
+        res.json({});
+      });
+      app.use(aiUsageContext());
+      app.use("/api/ado", router);
+
+      await request(app)
+        .post("/api/ado/stories/42/analyze")
+        .set("X-AI-Team", "delivery");
+
+      expect(caller).toEqual({ source: "/api/ado/stories/:id/analyze" });
+      expect(currentUsageCaller()).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,237 @@
+import { jest } from "@jest/globals";
+import { EventEmitter } from "events";
+import { AnalysisCache } from "../../../src/services/analysisCache.js";
+import { createMockMcpManager } from "../../helpers/mocks.js";
+
+describe("AnalysisCache", () => {
+  let mcpManager, cache;
+
+  const root = "/mnt/apps/Payments";
+  const file = (name) => `${root}/${name}`;
+
+  const codeAnalysis = {
+    success: true,
+    analysis: {
+      app: "Payments",
+      totalFiles: 2,
+      classes: [
+        { name: "PayService", file: file("PayService.cs") },
+        { name: "Refunds", file: file("Refunds.cs") },
+      ],
+      methods: [
+        { name: "Pay", file: file("PayService.cs"), complexity: 3 },
+        { name: "Refund", file: file("Refunds.cs"), complexity: 2 },
+      ],
+      integrations: { epic: [], financial: [] },
+      tests: [],
+      summary: { totalClasses: 2, totalMethods: 2 },
+    },
+  };
+
+  const batch = (...files) => ({
+    app: "Payments",
+    type: "dotnet",
+    files: files.map(([name, type]) => ({
+      path: file(name),
+      relativePath: name,
+      type,
+    })),
+  });
+
+  beforeEach(() => {
+    mcpManager = createMockMcpManager();
+    cache = new AnalysisCache({ mcpManager });
+  });
+
+  describe("get/set", () => {
+    it("should return stored responses until they expire", () => {
+      jest.useFakeTimers();
+      cache = new AnalysisCache({ mcpManager, ttlMs: 1000 });
+
+      cache.set("Payments", "dotnet", codeAnalysis);
+      expect(cache.get("Payments", "dotnet")).toBe(codeAnalysis);
+
+      jest.advanceTimersByTime(1001);
+      expect(cache.get("Payments", "dotnet")).toBeNull();
+      jest.useRealTimers();
+    });
+
+    it("should not store failed responses or unknown kinds", () => {
+      cache.set("Payments", "dotnet", { success: false });
+      cache.set("Payments", "python", codeAnalysis);
+
+      expect(cache.list()).toEqual([]);
+    });
+  });
+
+  describe("applyBatch", () => {
+    it("should re-analyze only changed files and merge their entries", async () => {
+      cache.set("Payments", "dotnet", codeAnalysis);
+      mcpManager.callDockerMcp.mockResolvedValue({
+        success: true,
+        analysis: {
+          timestamp: "2026-01-01T00:00:00.000Z",
+          incremental: true,
+          files: [file("PayService.cs"), file("Fees.cs")],
+          removedFiles: [file("Refunds.cs")],
+          classes: [
+            { name: "PayService", file: file("PayService.cs") },
+            { name: "Fees", file: file("Fees.cs") },
+          ],
+          methods: [
+            { name: "Pay", file: file("PayService.cs"), complexity: 5 },
+            { name: "Charge", file: file("PayService.cs"), complexity: 1 },
+          ],
+          integrations: { epic: [], financial: [] },
+          tests: [],
+        },
+      });
+
+      const updates = await cache.applyBatch(
+        batch(
+          ["PayService.cs", "modified"],
+          ["Fees.cs", "added"],
+          ["Refunds.cs", "removed"],
+          ["Payments.csproj", "modified"],
+        ),
+      );
+
+      expect(mcpManager.callDockerMcp).toHaveBeenCalledTimes(1);
+      expect(mcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "dotnetCodeAnalyzer",
+        "/analyze",
+        {
+          app: "Payments",
+          includeTests: true,
+          includeIntegrations: true,
+          files: ["PayService.cs", "Fees.cs", "Refunds.cs"],
+        },
+      );
+
+      const { analysis } = cache.get("Payments", "dotnet");
+      expect(analysis.classes.map((c) => c.name)).toEqual([
+        "PayService",
+        "Fees",
+      ]);
+      expect(analysis.methods.map((m) => m.name)).toEqual(["Pay", "Charge"]);
+      expect(analysis.totalFiles).toBe(2);
+      expect(analysis.summary).toMatchObject({
+        totalClasses: 2,
+        totalMethods: 2,
+        averageMethodsPerClass: 1,
+      });
+      expect(updates).toEqual([
+        expect.objectContaining({
+          app: "Payments",
+          kind: "dotnet",
+          removedFiles: [file("Refunds.cs")],
+        }),
+      ]);
+    });
+
+    it("should merge JavaScript and integration results by file", async () => {
+      cache.set("Payments", "javascript", {
+        success: true,
+        analysis: {
+          totalFiles: 1,
+          components: [{ name: "Pay", file: file("src/Pay.vue") }],
+          functions: [
+            { name: "total", file: file("src/Pay.vue"), complexity: 4 },
+          ],
+          classes: [],
+          hooks: [],
+          apiCalls: [],
+        },
+      });
+      cache.set("Payments", "integrations", {
+        success: true,
+        result: {
+          integrations: [
+            { type: "api", file: file("Client.cs") },
+            { type: "database", file: file("Repo.cs") },
+          ],
+          summary: { total: 2, byType: { api: 1, database: 1 } },
+          metadata: { totalFilesScanned: 2 },
+        },
+      });
+      mcpManager.callDockerMcp.mockImplementation(async (mcp) =>
+        mcp === "javascriptCodeAnalyzer"
+          ? {
+              analysis: {
+                files: [file("src/Pay.vue")],
+                removedFiles: [],
+                components: [{ name: "Pay", file: file("src/Pay.vue") }],
+                functions: [
+                  { name: "total", file: file("src/Pay.vue"), complexity: 2 },
+                  { name: "fees", file: file("src/Pay.vue"), complexity: 4 },
+                ],
+                classes: [],
+                hooks: [],
+                apiCalls: [],
+              },
+            }
+          : {
+              result: {
+                files: [file("Client.cs")],
+                removedFiles: [],
+                integrations: [{ type: "messaging", file: file("Client.cs") }],
+              },
+            },
+      );
+
+      await cache.applyBatch(
+        batch(["src/Pay.vue", "modified"], ["Client.cs", "modified"]),
+      );
+
+      expect(
+        cache.get("Payments", "javascript").analysis.summary,
+      ).toMatchObject({
+        totalFunctions: 2,
+        totalComplexity: 6,
+        averageComplexity: 3,
+      });
+      expect(cache.get("Payments", "integrations").result).toMatchObject({
+        integrations: [
+          { type: "database", file: file("Repo.cs") },
+          { type: "messaging", file: file("Client.cs") },
+        ],
+        summary: { total: 2, byType: { database: 1, messaging: 1 } },
+        metadata: { totalFilesScanned: 2 },
+      });
+    });
+
+    it("should skip analyses nobody has requested yet", async () => {
+      const updates = await cache.applyBatch(batch(["A.cs", "modified"]));
+
+      expect(updates).toEqual([]);
+      expect(mcpManager.callDockerMcp).not.toHaveBeenCalled();
+    });
+
+    it("should drop the cached result when the incremental run fails", async () => {
+      cache.set("Payments", "dotnet", codeAnalysis);
+      mcpManager.callDockerMcp.mockRejectedValue(new Error("MCP down"));
+
+      await cache.applyBatch(batch(["PayService.cs", "modified"]));
+
+      expect(cache.get("Payments", "dotnet")).toBeNull();
+    });
+
+    it("should emit updates for batches from an attached watcher", async () => {
+      const watcher = new EventEmitter();
+      cache.attach(watcher);
+      cache.set("Payments", "dotnet", codeAnalysis);
+      mcpManager.callDockerMcp.mockResolvedValue({
+        analysis: { files: [file("Refunds.cs")], removedFiles: [] },
+      });
+      const updated = new Promise((resolve) => cache.once("update", resolve));
+
+      watcher.emit("batch", batch(["Refunds.cs", "modified"]));
+
+      await expect(updated).resolves.toMatchObject({
+        app: "Payments",
+        kind: "dotnet",
+        summary: { totalClasses: 1, totalMethods: 1 },
+      });
+    });
+  });
+});
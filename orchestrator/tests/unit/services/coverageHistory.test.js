@@ -0,0 +1,333 @@
+import {
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  CoverageHistory,
+  readCommitSha,
+  summarizeCoverage,
+} from "../../../src/services/coverageHistory.js";
+
+describe("CoverageHistory", () => {
+  let dataDir;
+  let history;
+
+  const dotnetResult = (validate, refund, overall) => ({
+    success: true,
+    coverage: {
+      overallPercentage: overall,
+      dataSource: "cobertura",
+      summary: { branchCoveragePercentage: 50 },
+      methods: [
+        {
+          name: "Validate",
+          className: "RefundService",
+          file: "Services/RefundService.cs",
+          coverage: validate,
+        },
+        {
+          name: "Refund",
+          className: "RefundService",
+          file: "Services/RefundService.cs",
+          coverage: refund,
+        },
+        {
+          name: "Untracked",
+          className: "Legacy",
+          file: "Services/Legacy.cs",
+          coverage: null,
+        },
+      ],
+    },
+  });
+
+  beforeEach(() => {
+    dataDir = mkdtempSync(path.join(tmpdir(), "coverage-history-"));
+    history = new CoverageHistory({ dataDir });
+  });
+
+  afterEach(() => {
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe("summarizeCoverage", () => {
+    it("should average .NET method coverage per file", () => {
+      const summary = summarizeCoverage(dotnetResult(100, 50, 75), "dotnet");
+
+      expect(summary.files).toEqual({ "Services/RefundService.cs": 75 });
+      expect(summary.methods).toEqual({
+        "Services/RefundService.cs::RefundService.Validate": {
+          file: "Services/RefundService.cs",
+          method: "RefundService.Validate",
+          coverage: 100,
+        },
+        "Services/RefundService.cs::RefundService.Refund": {
+          file: "Services/RefundService.cs",
+          method: "RefundService.Refund",
+          coverage: 50,
+        },
+      });
+      expect(summary.branchCoveragePercentage).toBe(50);
+    });
+
+    it("should use file line coverage for JavaScript functions", () => {
+      const summary = summarizeCoverage(
+        {
+          coverage: {
+            overallPercentage: 60,
+            functions: [
+              { name: "addItem", file: "src/cart.js", coverage: 60 },
+              { name: "removeItem", file: "src/cart.js", coverage: 60 },
+            ],
+          },
+        },
+        "javascript",
+      );
+
+      expect(summary.files).toEqual({ "src/cart.js": 60 });
+      expect(Object.keys(summary.methods)).toHaveLength(2);
+    });
+
+    it("should return null for results without coverage data", () => {
+      expect(
+        summarizeCoverage(
+          { coverage: { overallPercentage: null, methods: [] } },
+          "dotnet",
+        ),
+      ).toBeNull();
+    });
+  });
+
+  describe("record", () => {
+    it("should persist snapshots across instances", async () => {
+      await history.record({
+        app: "Payments",
+        language: "dotnet",
+        commitSha: "abc123",
+        result: dotnetResult(100, 50, 75),
+      });
+
+      const reloaded = new CoverageHistory({ dataDir });
+      const snapshots = await reloaded.getSnapshots({
+        app: "Payments",
+        language: "dotnet",
+      });
+
+      expect(snapshots).toHaveLength(1);
+      expect(snapshots[0]).toMatchObject({
+        commitSha: "abc123",
+        overallPercentage: 75,
+        dataSource: "cobertura",
+      });
+    });
+
+    it("should not store the same coverage twice", async () => {
+      const snapshot = {
+        app: "Payments",
+        language: "dotnet",
+        commitSha: "abc123",
+        result: dotnetResult(100, 50, 75),
+      };
+
+      const first = await history.record(snapshot);
+      const second = await history.record(snapshot);
+      await history.record({ ...snapshot, commitSha: null });
+      await history.record({ ...snapshot, commitSha: null });
+
+      expect(second).toBe(first);
+      const lines = readFileSync(
+        path.join(dataDir, "coverage-history.jsonl"),
+        "utf-8",
+      )
+        .trim()
+        .split("\n");
+      expect(lines).toHaveLength(2);
+    });
+
+    it("should replace a commit's snapshot when its coverage changes", async () => {
+      for (const overall of [70, 72]) {
+        await history.record({
+          app: "Payments",
+          language: "dotnet",
+          commitSha: "abc123",
+          result: dotnetResult(100, 50, overall),
+        });
+      }
+
+      const stored = readFileSync(
+        path.join(dataDir, "coverage-history.jsonl"),
+        "utf-8",
+      )
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+      expect(stored.map((s) => s.overallPercentage)).toEqual([72]);
+    });
+
+    it("should not store results without coverage data", async () => {
+      const entry = await history.record({
+        app: "Payments",
+        language: "dotnet",
+        commitSha: null,
+        result: { coverage: { methods: [] } },
+      });
+
+      expect(entry).toBeNull();
+      expect(
+        await history.getSnapshots({ app: "Payments", language: "dotnet" }),
+      ).toEqual([]);
+    });
+  });
+
+  describe("getSnapshots", () => {
+    it("should keep only the latest snapshot of each commit", async () => {
+      for (const [sha, overall] of [
+        ["abc123", 70],
+        ["abc123", 72],
+        ["def456", 80],
+      ]) {
+        await history.record({
+          app: "Payments",
+          language: "dotnet",
+          commitSha: sha,
+          result: dotnetResult(100, 50, overall),
+        });
+      }
+
+      const snapshots = await history.getSnapshots({
+        app: "Payments",
+        language: "dotnet",
+      });
+
+      expect(snapshots.map((s) => [s.commitSha, s.overallPercentage])).toEqual([
+        ["abc123", 72],
+        ["def456", 80],
+      ]);
+    });
+  });
+
+  describe("getTrend", () => {
+    it("should return overall coverage per language", async () => {
+      await history.record({
+        app: "Payments",
+        language: "dotnet",
+        commitSha: "abc123",
+        result: dotnetResult(100, 50, 75),
+      });
+
+      const trend = await history.getTrend({ app: "Payments" });
+
+      expect(trend.javascript).toEqual([]);
+      expect(trend.dotnet).toEqual([
+        expect.objectContaining({
+          commitSha: "abc123",
+          overallPercentage: 75,
+          branchCoveragePercentage: 50,
+          files: 1,
+          methods: 2,
+        }),
+      ]);
+    });
+  });
+
+  describe("detectDrops", () => {
+    beforeEach(async () => {
+      await history.record({
+        app: "Payments",
+        language: "dotnet",
+        commitSha: "abc123",
+        result: dotnetResult(100, 80, 90),
+      });
+      await history.record({
+        app: "Payments",
+        language: "dotnet",
+        commitSha: "def456",
+        result: dotnetResult(98, 40, 69),
+      });
+    });
+
+    it("should flag methods and files that dropped more than the threshold", async () => {
+      const drops = await history.detectDrops({
+        app: "Payments",
+        language: "dotnet",
+        threshold: 5,
+      });
+
+      expect(drops.from.commitSha).toBe("abc123");
+      expect(drops.to.commitSha).toBe("def456");
+      expect(drops.dropped).toBe(true);
+      expect(drops.overall).toEqual({
+        previous: 90,
+        current: 69,
+        change: -21,
+        dropped: true,
+      });
+      expect(drops.files).toEqual([
+        {
+          file: "Services/RefundService.cs",
+          previous: 90,
+          current: 69,
+          change: -21,
+        },
+      ]);
+      expect(drops.methods).toEqual([
+        {
+          file: "Services/RefundService.cs",
+          method: "RefundService.Refund",
+          previous: 80,
+          current: 40,
+          change: -40,
+        },
+      ]);
+    });
+
+    it("should compare the given commits", async () => {
+      const drops = await history.detectDrops({
+        app: "Payments",
+        language: "dotnet",
+        from: "def456",
+        to: "abc123",
+      });
+
+      expect(drops.dropped).toBe(false);
+      expect(drops.methods).toEqual([]);
+    });
+
+    it("should return null with fewer than two snapshots", async () => {
+      await expect(
+        history.detectDrops({ app: "Payments", language: "javascript" }),
+      ).resolves.toBeNull();
+    });
+  });
+
+  describe("readCommitSha", () => {
+    it("should resolve HEAD through loose and packed refs", async () => {
+      const repo = path.join(dataDir, "repo");
+      mkdirSync(path.join(repo, ".git"), { recursive: true });
+      writeFileSync(path.join(repo, ".git", "HEAD"), "ref: refs/heads/main\n");
+      writeFileSync(
+        path.join(repo, ".git", "packed-refs"),
+        "# pack-refs with: peeled\n0123abcd refs/heads/main\n",
+      );
+
+      await expect(readCommitSha(repo)).resolves.toBe("0123abcd");
+
+      mkdirSync(path.join(repo, ".git", "refs", "heads"), { recursive: true });
+      writeFileSync(
+        path.join(repo, ".git", "refs", "heads", "main"),
+        "4567efab\n",
+      );
+
+      await expect(readCommitSha(repo)).resolves.toBe("4567efab");
+    });
+
+    it("should return null outside a git repository", async () => {
+      await expect(readCommitSha(dataDir)).resolves.toBeNull();
+    });
+  });
+});
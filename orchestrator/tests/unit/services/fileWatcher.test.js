@@ -0,0 +1,197 @@
+import { jest } from "@jest/globals";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  FileWatcher,
+  createFileMatcher,
+} from "../../../src/services/fileWatcher.js";
+
+describe("FileWatcher", () => {
+  let dir, configPath;
+
+  const apps = [
+    {
+      name: "Payments",
+      type: "dotnet",
+      path: "/mnt/apps/Payments",
+      includePatterns: ["**/*.cs", "**/*.csproj"],
+      excludePaths: ["bin", "obj"],
+    },
+    {
+      name: "Portal",
+      type: "javascript",
+      path: "/mnt/apps/Portal",
+      excludePaths: ["node_modules", "src/generated"],
+    },
+  ];
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    dir = mkdtempSync(path.join(tmpdir(), "file-watcher-"));
+    configPath = path.join(dir, "apps.json");
+    writeFileSync(configPath, JSON.stringify({ applications: apps }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("createFileMatcher", () => {
+    const isFile = { isFile: () => true };
+    const isDirectory = { isFile: () => false };
+
+    it("should match the app's include patterns outside excluded paths", () => {
+      const matcher = createFileMatcher(apps[0]);
+
+      expect(matcher.matches("/mnt/apps/Payments/Services/Pay.cs")).toBe(true);
+      expect(matcher.matches("/mnt/apps/Payments/Pay.csproj")).toBe(true);
+      expect(matcher.matches("/mnt/apps/Payments/bin/Debug/Pay.cs")).toBe(
+        false,
+      );
+      expect(matcher.matches("/mnt/apps/Payments/.vs/Pay.cs")).toBe(false);
+      expect(matcher.matches("/mnt/apps/Payments/readme.md")).toBe(false);
+      expect(matcher.matches("/mnt/apps/Core/Pay.cs")).toBe(false);
+    });
+
+    it("should default to JS/TS/Vue files and honor nested exclude paths", () => {
+      const matcher = createFileMatcher(apps[1]);
+
+      expect(matcher.matches("/mnt/apps/Portal/src/App.vue")).toBe(true);
+      expect(matcher.matches("/mnt/apps/Portal/src/api.ts")).toBe(true);
+      expect(matcher.matches("/mnt/apps/Portal/src/generated/api.ts")).toBe(
+        false,
+      );
+      expect(
+        matcher.matches("/mnt/apps/Portal/node_modules/vue/index.js"),
+      ).toBe(false);
+    });
+
+    it("should only skip directories that are excluded", () => {
+      const matcher = createFileMatcher(apps[0]);
+
+      expect(matcher.ignores("/mnt/apps/Payments", isDirectory)).toBe(false);
+      expect(matcher.ignores("/mnt/apps/Payments/Services", isDirectory)).toBe(
+        false,
+      );
+      expect(matcher.ignores("/mnt/apps/Payments/obj", isDirectory)).toBe(true);
+      expect(matcher.ignores("/mnt/apps/Payments/notes.txt", isFile)).toBe(
+        true,
+      );
+      expect(matcher.ignores("/mnt/apps/Payments/Pay.cs", isFile)).toBe(false);
+    });
+  });
+
+  describe("batches", () => {
+    const createWatcher = () => {
+      const watcher = new FileWatcher({ configPath, debounceMs: 500 });
+      watcher.apps = watcher.loadApps();
+      return watcher;
+    };
+
+    it("should debounce changes into one batch per app", () => {
+      const watcher = createWatcher();
+      const matcher = createFileMatcher(apps[0]);
+      const batches = [];
+      watcher.on("batch", (batch) => batches.push(batch));
+
+      watcher.record(apps[0], matcher, "/mnt/apps/Payments/A.cs", "added");
+      jest.advanceTimersByTime(400);
+      watcher.record(apps[0], matcher, "/mnt/apps/Payments/A.cs", "modified");
+      watcher.record(apps[0], matcher, "/mnt/apps/Payments/B.cs", "removed");
+      watcher.record(apps[0], matcher, "/mnt/apps/Payments/x.txt", "added");
+      jest.advanceTimersByTime(400);
+
+      expect(batches).toEqual([]);
+
+      jest.advanceTimersByTime(100);
+
+      expect(batches).toEqual([
+        {
+          app: "Payments",
+          type: "dotnet",
+          files: [
+            {
+              path: "/mnt/apps/Payments/A.cs",
+              relativePath: "A.cs",
+              type: "added",
+            },
+            {
+              path: "/mnt/apps/Payments/B.cs",
+              relativePath: "B.cs",
+              type: "removed",
+            },
+          ],
+        },
+      ]);
+    });
+
+    it("should keep buffering changes for GET /api/infrastructure/changes", () => {
+      const watcher = createWatcher();
+      const listener = jest.fn();
+      watcher.on("fileChanged", listener);
+
+      watcher.record(
+        apps[1],
+        createFileMatcher(apps[1]),
+        "/mnt/apps/Portal/src/App.vue",
+        "modified",
+      );
+
+      expect(listener).toHaveBeenCalledWith({
+        app: "Portal",
+        repo: "Portal",
+        path: "/mnt/apps/Portal/src/App.vue",
+        type: "modified",
+      });
+      expect(watcher.getChanges()).toEqual([
+        expect.objectContaining({ type: "modified", repo: "Portal" }),
+      ]);
+      expect(watcher.getChanges()).toEqual([]);
+      expect(watcher.getRepoFromPath("/mnt/apps/Portal/src/App.vue")).toBe(
+        "Portal",
+      );
+    });
+
+    it("should drop pending batches on stop", async () => {
+      const watcher = createWatcher();
+      const listener = jest.fn();
+      watcher.on("batch", listener);
+
+      watcher.record(
+        apps[0],
+        createFileMatcher(apps[0]),
+        "/mnt/apps/Payments/A.cs",
+        "modified",
+      );
+      await watcher.stop();
+      jest.advanceTimersByTime(1000);
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("start", () => {
+    it("should skip applications whose path does not exist", async () => {
+      const watcher = new FileWatcher({ configPath });
+
+      watcher.start();
+
+      expect(watcher.isEnabled()).toBe(false);
+      expect(watcher.getStatus().apps).toEqual([
+        expect.objectContaining({ name: "Payments", watching: false }),
+        expect.objectContaining({ name: "Portal", watching: false }),
+      ]);
+      await watcher.stop();
+    });
+
+    it("should watch nothing when apps.json can't be read", () => {
+      const watcher = new FileWatcher({
+        configPath: path.join(dir, "missing.json"),
+      });
+
+      expect(watcher.loadApps()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,482 @@
+import { jest } from "@jest/globals";
+import { mkdirSync, mkdtempSync, promises, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  applyOverrides,
+  buildIntegrations,
+  describeFramework,
+  diffInfrastructure,
+  endpointsFromSpec,
+  InfrastructureGenerator,
+} from "../../../src/services/infrastructureGenerator.js";
+
+describe("InfrastructureGenerator", () => {
+  let dir;
+  let generator;
+  let mcpManager;
+  let fetchSwagger;
+
+  const mapIntegrations = {
+    result: {
+      integrations: [
+        {
+          file: "/mnt/apps/Payments/Payments.Api/PayeezyClient.cs",
+          type: "financial",
+          url: "https://cert.api.firstdata.com/payment/v1/charges",
+          method: "HTTP",
+        },
+        {
+          file: "/mnt/apps/Payments/Payments.Api/SettlementPublisher.cs",
+          type: "queue",
+          pattern: "ServiceBusClient",
+          method: "Library",
+        },
+        {
+          file: "/mnt/apps/Payments/Payments.Api/appsettings.json",
+          type: "financial",
+          configKey: "Payeezy:BaseUrl",
+          method: "Config file",
+        },
+      ],
+    },
+  };
+
+  const mapEnvironments = (qaHost = "api.firstdata.com") => ({
+    result: {
+      integrations: [
+        {
+          project: "Payments.Api",
+          key: "Payeezy:BaseUrl",
+          type: "financial",
+          environments: {
+            base: {
+              host: "cert.api.firstdata.com",
+              target: "https://cert.api.firstdata.com/",
+              file: "Payments.Api/appsettings.json",
+            },
+            qa: {
+              host: qaHost,
+              target: `https://${qaHost}/`,
+              file: "Payments.Api/appsettings.QA.json",
+            },
+          },
+        },
+      ],
+      mismatches: [],
+    },
+  });
+
+  const swaggerSpec = {
+    info: { version: "v1" },
+    paths: {
+      "/api/payments": {
+        post: { summary: "Create payment" },
+        get: { operationId: "ListPayments" },
+        parameters: [],
+      },
+    },
+  };
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), "infrastructure-generator-"));
+    writeFileSync(
+      path.join(dir, "apps.json"),
+      JSON.stringify({
+        applications: [
+          {
+            name: "Payments",
+            displayName: "Payments System",
+            path: "/mnt/apps/Payments",
+            framework: "net8.0",
+          },
+          {
+            name: "Core",
+            infrastructureKey: "servicelayer",
+            path: "/mnt/apps/Core",
+            framework: "net48",
+          },
+        ],
+      }),
+    );
+    writeFileSync(
+      path.join(dir, "infrastructure-overrides.json"),
+      JSON.stringify({
+        applications: {
+          payments: {
+            name: "Payments API",
+            color: "bg-emerald-500",
+            swagger: { url: "https://payments.example.com/swagger.json" },
+          },
+        },
+      }),
+    );
+
+    mcpManager = {
+      callDockerMcp: jest.fn(async (mcp, endpoint) =>
+        endpoint === "/map-environments" ? mapEnvironments() : mapIntegrations,
+      ),
+    };
+    fetchSwagger = jest.fn(async () => swaggerSpec);
+    generator = new InfrastructureGenerator({
+      dataDir: dir,
+      configPath: path.join(dir, "apps.json"),
+      fetchSwagger,
+    });
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("describeFramework", () => {
+    it("should name .NET Framework, .NET Core and .NET targets", () => {
+      expect(describeFramework("net48")).toBe(".NET Framework 4.8");
+      expect(describeFramework("netcoreapp3.1")).toBe(".NET Core 3.1");
+      expect(describeFramework("net8.0")).toBe(".NET 8.0");
+      expect(describeFramework("node20")).toBe("node20");
+    });
+  });
+
+  describe("buildIntegrations", () => {
+    it("should merge code detections into configured integrations on the same host", () => {
+      const integrations = buildIntegrations(
+        mapIntegrations.result.integrations,
+        mapEnvironments("cert.api.firstdata.com").result.integrations,
+        "/mnt/apps/Payments",
+      );
+
+      expect(Object.keys(integrations)).toEqual([
+        "payeezy",
+        "servicebusclient",
+      ]);
+      expect(integrations.payeezy).toEqual({
+        name: "Payeezy",
+        type: "payment",
+        color: "text-green-700",
+        purpose: "Discovered via Config file, HTTP",
+        detectedBy: ["Config file", "HTTP"],
+        files: [
+          "Payments.Api/PayeezyClient.cs",
+          "Payments.Api/appsettings.QA.json",
+          "Payments.Api/appsettings.json",
+        ],
+        configuration: {
+          "Payeezy:BaseUrl":
+            "Payments.Api/appsettings.json, Payments.Api/appsettings.QA.json",
+        },
+        baseUrl: "https://cert.api.firstdata.com/",
+        baseUrls: { qa: "https://cert.api.firstdata.com/" },
+      });
+      expect(integrations.servicebusclient).toMatchObject({
+        name: "ServiceBusClient",
+        type: "cloud",
+      });
+    });
+
+    it("should name connection strings after the connection", () => {
+      const integrations = buildIntegrations(
+        [],
+        [
+          {
+            key: "ConnectionStrings:PaymentsDb",
+            type: "database",
+            environments: {
+              qa: {
+                host: "sql-qa",
+                target: "sql-qa",
+                database: "Payments",
+                file: "appsettings.QA.json",
+              },
+            },
+          },
+        ],
+      );
+
+      expect(integrations.paymentsdb).toMatchObject({
+        name: "PaymentsDb",
+        type: "database",
+        databases: ["Payments"],
+        baseUrls: { qa: "sql-qa" },
+      });
+    });
+  });
+
+  describe("endpointsFromSpec", () => {
+    it("should list operations sorted by path and method", () => {
+      expect(endpointsFromSpec(swaggerSpec)).toEqual([
+        { method: "GET", path: "/api/payments", purpose: "ListPayments" },
+        { method: "POST", path: "/api/payments", purpose: "Create payment" },
+      ]);
+    });
+  });
+
+  describe("applyOverrides", () => {
+    it("should merge objects, replace values and remove nulls", () => {
+      expect(
+        applyOverrides(
+          { a: { b: 1, c: [1] }, d: "x", e: 1 },
+          { a: { c: [2] }, d: "y", e: null, f: true },
+        ),
+      ).toEqual({ a: { b: 1, c: [2] }, d: "y", f: true });
+    });
+  });
+
+  describe("diffInfrastructure", () => {
+    it("should list added, removed and changed applications", () => {
+      const before = {
+        applications: {
+          payments: { baseUrls: { qa: "a" }, features: ["x", "y"] },
+          legacy: {},
+        },
+      };
+      const after = {
+        applications: {
+          payments: { baseUrls: { qa: "b", dev: "c" }, features: ["y", "z"] },
+          precare: {},
+        },
+      };
+
+      expect(diffInfrastructure(before, after)).toEqual({
+        added: ["precare"],
+        removed: ["legacy"],
+        changed: {
+          payments: [
+            { path: "baseUrls.qa", change: "changed", before: "a", after: "b" },
+            {
+              path: "baseUrls.dev",
+              change: "added",
+              before: undefined,
+              after: "c",
+            },
+            { path: "features", change: "items", added: ["z"], removed: ["x"] },
+          ],
+        },
+        unchanged: false,
+      });
+    });
+
+    it("should ignore reordered lists", () => {
+      expect(
+        diffInfrastructure(
+          { applications: { a: { features: ["x", "y"] } } },
+          { applications: { a: { features: ["y", "x"] } } },
+        ).unchanged,
+      ).toBe(true);
+    });
+  });
+
+  describe("generate", () => {
+    it("should build every app and save the first version", async () => {
+      const result = await generator.generate({ mcpManager });
+
+      expect(result).toMatchObject({
+        version: 1,
+        unchanged: false,
+        errors: [],
+      });
+      expect(result.diff.added).toEqual(["payments", "servicelayer"]);
+
+      const saved = await generator.getVersion(1);
+      expect(saved.data.applications.payments).toMatchObject({
+        name: "Payments System",
+        repository: "Payments",
+        tech: ".NET 8.0",
+        framework: "ASP.NET Core",
+        swagger: {
+          enabled: true,
+          url: "https://payments.example.com/swagger.json",
+          version: "v1",
+          endpoints: expect.arrayContaining([
+            {
+              method: "POST",
+              path: "/api/payments",
+              purpose: "Create payment",
+            },
+          ]),
+        },
+      });
+      expect(saved.data.applications.servicelayer.tech).toBe(
+        ".NET Framework 4.8",
+      );
+      expect(mcpManager.callDockerMcp).toHaveBeenCalledWith(
+        "integrationMapper",
+        "/map-environments",
+        { app: "Payments" },
+      );
+      expect(fetchSwagger).toHaveBeenCalledTimes(1);
+    });
+
+    it("should reuse cached integration-mapper results", async () => {
+      const analysisCache = { get: jest.fn(() => mapIntegrations) };
+
+      await generator.generate({ mcpManager, analysisCache });
+
+      expect(analysisCache.get).toHaveBeenCalledWith(
+        "Payments",
+        "integrations",
+      );
+      expect(mcpManager.callDockerMcp).not.toHaveBeenCalledWith(
+        "integrationMapper",
+        "/map-integrations",
+        expect.anything(),
+      );
+    });
+
+    it("should not save a new version when nothing changed", async () => {
+      await generator.generate({ mcpManager });
+
+      const result = await generator.generate({ mcpManager });
+
+      expect(result).toMatchObject({ version: 1, unchanged: true });
+      expect(await generator.listVersions()).toHaveLength(1);
+    });
+
+    it("should save changes as a new version and diff them", async () => {
+      await generator.generate({ mcpManager });
+      mcpManager.callDockerMcp.mockImplementation(async (mcp, endpoint) =>
+        endpoint === "/map-environments"
+          ? mapEnvironments("api.firstdata.com.prod")
+          : mapIntegrations,
+      );
+
+      const result = await generator.generate({ mcpManager });
+      const diff = await generator.diff();
+
+      expect(result.version).toBe(2);
+      expect(diff).toMatchObject({
+        from: { version: 1 },
+        to: { version: 2 },
+        added: [],
+        removed: [],
+      });
+      expect(diff.changed.payments).toContainEqual({
+        path: "integrations.payeezy.baseUrls.qa",
+        change: "changed",
+        before: "https://api.firstdata.com/",
+        after: "https://api.firstdata.com.prod/",
+      });
+      expect(await generator.diff({ from: 1, to: 9 })).toBeNull();
+    });
+
+    it("should number concurrent generations one after the other", async () => {
+      const changedManager = {
+        callDockerMcp: jest.fn(async (mcp, endpoint) =>
+          endpoint === "/map-environments"
+            ? mapEnvironments("api.firstdata.com.prod")
+            : mapIntegrations,
+        ),
+      };
+
+      const results = await Promise.all([
+        generator.generate({ mcpManager }),
+        generator.generate({ mcpManager: changedManager }),
+      ]);
+
+      expect(results.map((result) => result.version)).toEqual([1, 2]);
+      expect(await generator.listVersions()).toHaveLength(2);
+    });
+
+    it("should keep the previous data for a source that fails", async () => {
+      await generator.generate({ mcpManager });
+      mcpManager.callDockerMcp.mockRejectedValue(new Error("MCP down"));
+      fetchSwagger.mockRejectedValue(new Error("VPN required"));
+
+      const result = await generator.generate({ mcpManager });
+
+      expect(result.unchanged).toBe(true);
+      expect(result.errors).toEqual(
+        expect.arrayContaining([
+          { app: "Payments", source: "integrations", error: "MCP down" },
+          { app: "Payments", source: "swagger", error: "VPN required" },
+        ]),
+      );
+    });
+
+    it("should only regenerate the requested apps", async () => {
+      await generator.generate({ mcpManager });
+      mcpManager.callDockerMcp.mockClear();
+
+      await generator.generate({ mcpManager, apps: ["Core"] });
+
+      expect(mcpManager.callDockerMcp).not.toHaveBeenCalledWith(
+        "integrationMapper",
+        expect.any(String),
+        { app: "Payments" },
+      );
+    });
+  });
+
+  describe("getVersion", () => {
+    const save = (version, content) => {
+      mkdirSync(path.join(dir, "infrastructure"), { recursive: true });
+      writeFileSync(
+        path.join(dir, "infrastructure", `v${version}.json`),
+        content ??
+          JSON.stringify({
+            version,
+            generatedAt: "2026-03-02T10:00:00.000Z",
+            hash: `hash-${version}`,
+            errors: [],
+            data: { applications: {} },
+          }),
+      );
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should only read the newest file for the latest version", async () => {
+      [1, 2, 9, 10].forEach((version) => save(version));
+      const readFile = jest.spyOn(promises, "readFile");
+
+      const latest = await generator.getVersion("latest");
+
+      expect(latest.version).toBe(10);
+      expect(readFile).toHaveBeenCalledTimes(1);
+      expect(readFile.mock.calls[0][0]).toBe(
+        path.join(dir, "infrastructure", "v10.json"),
+      );
+    });
+
+    it("should fall back to the newest readable version", async () => {
+      save(1);
+      save(2, "{ nope");
+
+      expect((await generator.getVersion("latest")).version).toBe(1);
+      expect((await generator.listVersions()).map((v) => v.version)).toEqual([
+        1,
+      ]);
+    });
+  });
+
+  describe("getServedData", () => {
+    it("should return null before the first generation", async () => {
+      expect(await generator.getServedData()).toBeNull();
+    });
+
+    it("should layer the overrides over the latest version", async () => {
+      await generator.generate({ mcpManager });
+
+      const served = await generator.getServedData();
+
+      expect(served.version).toBe(1);
+      expect(served.data.applications.payments).toMatchObject({
+        name: "Payments API",
+        color: "bg-emerald-500",
+        repository: "Payments",
+        swagger: { version: "v1" },
+      });
+    });
+
+    it("should report invalid overrides", async () => {
+      await generator.generate({ mcpManager });
+      writeFileSync(path.join(dir, "infrastructure-overrides.json"), "{ nope");
+
+      await expect(generator.getServedData()).rejects.toThrow(
+        /^Invalid infrastructure overrides/,
+      );
+    });
+  });
+});
@@ -0,0 +1,412 @@
+import { jest } from "@jest/globals";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  JobQueue,
+  currentJob,
+  jobContextMiddleware,
+  runAsJob,
+} from "../../../src/services/jobQueue.js";
+
+describe("JobQueue", () => {
+  // Runner whose jobs finish when the test resolves or rejects them
+  const controllableRunner = () => {
+    const runs = new Map();
+    const runner = jest.fn(
+      (job, context) =>
+        new Promise((resolve, reject) => {
+          runs.set(job.id, { resolve, reject, ...context });
+        }),
+    );
+    return { runner, runs };
+  };
+
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+  describe("enqueue", () => {
+    it("should run a job and store its result", async () => {
+      const queue = new JobQueue({
+        persist: false,
+        runner: async () => ({ testsGenerated: 3 }),
+      });
+
+      const job = queue.enqueue({
+        type: "playwright.full-automation",
+        request: { method: "post", path: "/api/playwright/full-automation" },
+      });
+      expect(job.status).toBe("running");
+
+      await flush();
+
+      expect(queue.get(job.id)).toEqual(
+        expect.objectContaining({
+          status: "succeeded",
+          result: { testsGenerated: 3 },
+          attempt: 1,
+        }),
+      );
+      expect(queue.get(job.id).finishedAt).toBeTruthy();
+    });
+
+    it("should keep the error response as the partial result of failed jobs", async () => {
+      const error = new Error("Request failed with status code 500");
+      error.response = {
+        status: 500,
+        data: { error: "Test generation failed", workflow: { steps: [1] } },
+      };
+      const queue = new JobQueue({
+        persist: false,
+        runner: async () => {
+          throw error;
+        },
+      });
+
+      const job = queue.enqueue({ type: "test", request: {} });
+      await flush();
+
+      expect(job.status).toBe("failed");
+      expect(job.error).toEqual({
+        message: "Request failed with status code 500",
+        status: 500,
+      });
+      expect(job.result.workflow).toEqual({ steps: [1] });
+    });
+
+    it("should queue jobs beyond the concurrency limit", async () => {
+      const { runner, runs } = controllableRunner();
+      const queue = new JobQueue({ persist: false, concurrency: 1, runner });
+
+      const first = queue.enqueue({ type: "test", request: {} });
+      const second = queue.enqueue({ type: "test", request: {} });
+
+      expect(first.status).toBe("running");
+      expect(second.status).toBe("queued");
+
+      runs.get(first.id).resolve({});
+      await flush();
+
+      expect(first.status).toBe("succeeded");
+      expect(second.status).toBe("running");
+    });
+
+    it("should emit updates", async () => {
+      const queue = new JobQueue({ persist: false, runner: async () => ({}) });
+      const statuses = [];
+      queue.on("update", (job) => statuses.push(job.status));
+
+      queue.enqueue({ type: "test", request: {} });
+      await flush();
+
+      expect(statuses[0]).toBe("queued");
+      expect(statuses).toContain("running");
+      expect(statuses[statuses.length - 1]).toBe("succeeded");
+    });
+  });
+
+  describe("list", () => {
+    it("should filter by status and type, newest first", async () => {
+      const { runner, runs } = controllableRunner();
+      const queue = new JobQueue({ persist: false, concurrency: 1, runner });
+
+      const first = queue.enqueue({ type: "a", request: {} });
+      first.createdAt = "2026-01-01T00:00:00.000Z";
+      const second = queue.enqueue({ type: "b", request: {} });
+
+      expect(queue.list().map((j) => j.id)).toEqual([second.id, first.id]);
+      expect(queue.list({ status: "queued" })).toEqual([second]);
+      expect(queue.list({ type: "a" })).toEqual([first]);
+
+      runs.get(first.id).resolve({});
+      await flush();
+    });
+  });
+
+  describe("cancel", () => {
+    it("should remove a queued job from the queue", async () => {
+      const { runner, runs } = controllableRunner();
+      const queue = new JobQueue({ persist: false, concurrency: 1, runner });
+
+      const first = queue.enqueue({ type: "test", request: {} });
+      const second = queue.enqueue({ type: "test", request: {} });
+
+      expect(queue.cancel(second.id).status).toBe("cancelled");
+
+      runs.get(first.id).resolve({});
+      await flush();
+
+      expect(runner).toHaveBeenCalledTimes(1);
+      expect(second.status).toBe("cancelled");
+    });
+
+    it("should abort a running job and keep it cancelled", async () => {
+      const { runner, runs } = controllableRunner();
+      const queue = new JobQueue({ persist: false, runner });
+
+      const job = queue.enqueue({ type: "test", request: {} });
+      queue.cancel(job.id);
+
+      expect(runs.get(job.id).signal.aborted).toBe(true);
+
+      runs.get(job.id).reject(new Error("canceled"));
+      await flush();
+
+      expect(job.status).toBe("cancelled");
+    });
+
+    it("should return null for unknown jobs", () => {
+      const queue = new JobQueue({ persist: false });
+
+      expect(queue.cancel("missing")).toBeNull();
+    });
+  });
+
+  describe("retry", () => {
+    it("should queue a failed job again as a new attempt", async () => {
+      const runner = jest
+        .fn()
+        .mockRejectedValueOnce(new Error("MCP unavailable"))
+        .mockResolvedValueOnce({ ok: true });
+      const queue = new JobQueue({ persist: false, runner });
+      const request = { method: "post", path: "/api/x", body: { app: "A" } };
+
+      const job = queue.enqueue({ type: "test", request });
+      await flush();
+      const retry = queue.retry(job.id);
+      await flush();
+
+      expect(retry.id).not.toBe(job.id);
+      expect(retry).toEqual(
+        expect.objectContaining({
+          retryOf: job.id,
+          attempt: 2,
+          request,
+          status: "succeeded",
+        }),
+      );
+    });
+
+    it("should not retry succeeded or running jobs", async () => {
+      const { runner, runs } = controllableRunner();
+      const queue = new JobQueue({ persist: false, runner });
+
+      const job = queue.enqueue({ type: "test", request: {} });
+      expect(queue.retry(job.id)).toBeNull();
+
+      runs.get(job.id).resolve({});
+      await flush();
+      expect(queue.retry(job.id)).toBeNull();
+    });
+  });
+
+  describe("job context", () => {
+    it("should run requests with the job's token inside the job", async () => {
+      const { runner, runs } = controllableRunner();
+      const queue = new JobQueue({ persist: false, runner });
+      const job = queue.enqueue({ type: "test", request: {} });
+      const { token } = runs.get(job.id);
+
+      const handles = [];
+      const middleware = jobContextMiddleware(queue);
+      const requestWith = (headers) => ({ get: (name) => headers[name] });
+
+      middleware(
+        requestWith({ "X-Job-Id": job.id, "X-Job-Token": token }),
+        {},
+        () => handles.push(currentJob()),
+      );
+      middleware(
+        requestWith({ "X-Job-Id": job.id, "X-Job-Token": "forged" }),
+        {},
+        () => handles.push(currentJob()),
+      );
+
+      expect(handles[0].id).toBe(job.id);
+      expect(handles[0].headers).toEqual({
+        "X-Job-Id": job.id,
+        "X-Job-Token": token,
+      });
+      expect(handles[1]).toBeUndefined();
+
+      handles[0].progress("Generating tests", { totalSteps: 3 });
+      const step = handles[0].startStep("playwrightGenerator POST /generate");
+      step.done({ generated: 2 });
+
+      expect(job.progress).toEqual({
+        completedSteps: 1,
+        totalSteps: 3,
+        message: "playwrightGenerator POST /generate",
+      });
+      expect(job.steps[0]).toEqual(
+        expect.objectContaining({
+          status: "succeeded",
+          result: { generated: 2 },
+        }),
+      );
+
+      runs.get(job.id).resolve({});
+      await flush();
+    });
+
+    it("should store a size note instead of very large step results", () => {
+      const { runner } = controllableRunner();
+      const queue = new JobQueue({ persist: false, runner });
+      const job = queue.enqueue({ type: "test", request: {} });
+
+      queue.startStep(job, "big").done({ text: "x".repeat(200000) });
+
+      expect(job.steps[0].result).toEqual({
+        truncated: true,
+        size: expect.any(Number),
+      });
+    });
+  });
+
+  describe("runAsJob", () => {
+    const respond = () => {
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      return res;
+    };
+
+    it("should queue the request and answer 202 when async is requested", () => {
+      const queue = new JobQueue({ persist: false, runner: jest.fn() });
+      const enqueue = jest.spyOn(queue, "enqueue");
+      const req = {
+        method: "POST",
+        originalUrl: "/api/playwright/full-automation?async=true&x=1",
+        query: { async: "true" },
+        body: { app: "App1" },
+        get: () => undefined,
+        jobQueue: queue,
+      };
+      const res = respond();
+      const next = jest.fn();
+
+      runAsJob("playwright.full-automation")(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(enqueue).toHaveBeenCalledWith({
+        type: "playwright.full-automation",
+        request: {
+          method: "post",
+          path: "/api/playwright/full-automation?x=1",
+          body: { app: "App1" },
+        },
+      });
+      expect(res.status).toHaveBeenCalledWith(202);
+      const body = res.json.mock.calls[0][0];
+      expect(body.statusUrl).toBe(`/api/jobs/${body.jobId}`);
+    });
+
+    it("should honor Prefer: respond-async", () => {
+      const queue = new JobQueue({ persist: false, runner: jest.fn() });
+      const req = {
+        method: "POST",
+        originalUrl: "/api/x",
+        query: {},
+        get: (name) => (name === "Prefer" ? "respond-async" : undefined),
+        jobQueue: queue,
+      };
+      const res = respond();
+
+      runAsJob("x")(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(202);
+    });
+
+    it("should take the job type from the request", () => {
+      const queue = new JobQueue({ persist: false, runner: jest.fn() });
+      const enqueue = jest.spyOn(queue, "enqueue");
+      const req = {
+        method: "POST",
+        originalUrl: "/api/workflows/release-check/run?async=true",
+        query: { async: "true" },
+        params: { name: "release-check" },
+        get: () => undefined,
+        jobQueue: queue,
+      };
+
+      runAsJob((r) => `workflow.${r.params.name}`)(req, respond(), jest.fn());
+
+      expect(enqueue.mock.calls[0][0].type).toBe("workflow.release-check");
+    });
+
+    it("should run synchronously otherwise and inside jobs", () => {
+      const next = jest.fn();
+      const get = () => undefined;
+
+      runAsJob("x")({ query: {}, get }, respond(), next);
+      runAsJob("x")(
+        { query: { async: "true" }, get, job: {} },
+        respond(),
+        next,
+      );
+
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("persistence", () => {
+    let dataDir;
+
+    beforeEach(() => {
+      dataDir = mkdtempSync(path.join(tmpdir(), "jobs-"));
+    });
+
+    afterEach(() => {
+      rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it("should save jobs and restore them", async () => {
+      const queue = new JobQueue({
+        persist: true,
+        dataDir,
+        runner: async () => ({ ok: true }),
+      });
+      const job = queue.enqueue({ type: "test", request: {} });
+      await flush();
+      await queue.save();
+
+      const restored = new JobQueue({ persist: true, dataDir });
+      await restored.load();
+
+      expect(restored.get(job.id)).toEqual(
+        expect.objectContaining({ status: "succeeded", result: { ok: true } }),
+      );
+    });
+
+    it("should fail jobs interrupted by a restart", async () => {
+      writeFileSync(
+        path.join(dataDir, "jobs.json"),
+        JSON.stringify([
+          { id: "1", type: "test", status: "running", attempt: 1 },
+        ]),
+      );
+
+      const queue = new JobQueue({
+        persist: true,
+        dataDir,
+        runner: jest.fn().mockResolvedValue({}),
+      });
+      await queue.load();
+
+      expect(queue.get("1").status).toBe("failed");
+      expect(queue.retry("1")).not.toBeNull();
+    });
+
+    it("should not write files when persistence is off", async () => {
+      const queue = new JobQueue({
+        persist: false,
+        dataDir,
+        runner: async () => ({}),
+      });
+      queue.enqueue({ type: "test", request: {} });
+      await flush();
+      await queue.save();
+
+      expect(() => readFileSync(path.join(dataDir, "jobs.json"))).toThrow();
+    });
+  });
+});
@@ -1,7 +1,10 @@
 import { jest } from "@jest/globals";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
 
 describe("MCPManager", () => {
-  let MCPManager, mockAxios, mockSpawn;
+  let MCPManager, validateMcpRegistration, McpResilience, mockAxios, mockSpawn;
 
   beforeEach(async () => {
     // Reset modules
@@ -28,6 +31,9 @@ describe("MCPManager", () => {
     const mcpManagerModule =
       await import("../../../src/services/mcpManager.js");
     MCPManager = mcpManagerModule.MCPManager;
+    validateMcpRegistration = mcpManagerModule.validateMcpRegistration;
+    ({ McpResilience } =
+      await import("../../../src/services/mcpResilience.js"));
   });
 
   afterEach(() => {
@@ -124,7 +130,294 @@ describe("MCPManager", () => {
     });
   });
 
+  describe("registry file", () => {
+    let dir;
+
+    const writeRegistry = (mcps) => {
+      const file = path.join(dir, "mcp-registry.json");
+      writeFileSync(file, JSON.stringify({ mcps }));
+      return file;
+    };
+
+    beforeEach(() => {
+      dir = mkdtempSync(path.join(tmpdir(), "mcp-registry-"));
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should load MCPs from the registry file", () => {
+      const registryPath = writeRegistry([
+        {
+          name: "riskAnalyzer",
+          url: "http://risk-analyzer:8300/",
+          category: "quality-analysis",
+          version: "1.2.0",
+        },
+      ]);
+
+      const mcpManager = new MCPManager({ registryPath });
+
+      expect(Object.keys(mcpManager.dockerMcps)).toEqual(["riskAnalyzer"]);
+      expect(mcpManager.qualityAnalysisMcps.riskAnalyzer).toMatchObject({
+        url: "http://risk-analyzer:8300",
+        status: "unknown",
+        version: "1.2.0",
+        swaggerPath: "/api-docs.json",
+        source: "registry",
+      });
+    });
+
+    it("should skip invalid registry entries", () => {
+      const registryPath = writeRegistry([
+        {
+          name: "riskAnalyzer",
+          url: "http://risk-analyzer:8300",
+          category: "quality-analysis",
+        },
+        { name: "broken", url: "not a url", category: "unknown" },
+      ]);
+
+      const mcpManager = new MCPManager({ registryPath });
+
+      expect(Object.keys(mcpManager.dockerMcps)).toEqual(["riskAnalyzer"]);
+    });
+
+    it("should start empty when the registry file is missing", () => {
+      const mcpManager = new MCPManager({
+        registryPath: path.join(dir, "missing.json"),
+      });
+
+      expect(mcpManager.dockerMcps).toEqual({});
+      expect(mcpManager.getStatus().summary.mcpsTotal).toBe(0);
+    });
+
+    it("should apply registry resilience defaults and per-MCP overrides", () => {
+      const registryPath = path.join(dir, "mcp-registry.json");
+      writeFileSync(
+        registryPath,
+        JSON.stringify({
+          resilience: { retries: 1, maxConcurrent: 4 },
+          mcps: [
+            {
+              name: "riskAnalyzer",
+              url: "http://risk-analyzer:8300",
+              category: "quality-analysis",
+              resilience: {
+                maxConcurrent: 2,
+                fallback: { "/analyze-risk": { riskLevel: "unknown" } },
+              },
+            },
+            {
+              name: "testSelector",
+              url: "http://test-selector:8302",
+              category: "quality-analysis",
+            },
+          ],
+        }),
+      );
+
+      const mcpManager = new MCPManager({ registryPath });
+
+      expect(mcpManager.resilience.riskAnalyzer.options).toMatchObject({
+        retries: 1,
+        maxConcurrent: 2,
+        fallback: { "/analyze-risk": { riskLevel: "unknown" } },
+      });
+      expect(mcpManager.resilience.testSelector.options).toMatchObject({
+        retries: 1,
+        maxConcurrent: 4,
+        failureThreshold: 5,
+      });
+    });
+
+    it("should set up worker pools for stdioWorkers entries", () => {
+      const registryPath = path.join(dir, "mcp-registry.json");
+      writeFileSync(
+        registryPath,
+        JSON.stringify({
+          mcps: [],
+          stdioWorkers: [
+            {
+              name: "dotnet-unit-test-generator",
+              path: "test/dotnet-unit-test-generator/index.js",
+              poolSize: 3,
+              timeout: 60000,
+            },
+            { name: "absolute", path: "/usr/bin/evil.js" },
+            { name: "badSize", path: "test/x/index.js", poolSize: 0 },
+          ],
+        }),
+      );
+
+      const mcpManager = new MCPManager({ registryPath });
+
+      expect(Object.keys(mcpManager.stdioPools)).toEqual([
+        "dotnet-unit-test-generator",
+      ]);
+      expect(mcpManager.stdioPools["dotnet-unit-test-generator"]).toMatchObject(
+        {
+          script: expect.stringMatching(
+            /mcps\/test\/dotnet-unit-test-generator\/index\.js$/,
+          ),
+          size: 3,
+          timeout: 60000,
+        },
+      );
+      // Workers start on the first call
+      expect(mockSpawn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("validateMcpRegistration", () => {
+    it("should accept a complete registration", () => {
+      expect(
+        validateMcpRegistration({
+          name: "azure-devops",
+          url: "http://azure-devops:8100",
+          category: "integration",
+          version: "2.0.0",
+          swaggerPath: "/api-docs.json",
+        }),
+      ).toEqual([]);
+    });
+
+    it("should report every invalid field", () => {
+      const errors = validateMcpRegistration({
+        name: "1bad name",
+        url: "ftp://host",
+        category: "other",
+        swaggerPath: "api-docs.json",
+      });
+
+      expect(errors).toHaveLength(4);
+    });
+
+    it("should reject names taken by Object.prototype", () => {
+      for (const name of ["constructor", "toString", "hasOwnProperty"]) {
+        expect(
+          validateMcpRegistration({
+            name,
+            url: "http://evil:8100",
+            category: "integration",
+          }),
+        ).toEqual([`name ${name} is reserved`]);
+      }
+    });
+  });
+
+  describe("register", () => {
+    it("should answer 400 for reserved names, authenticated or not", () => {
+      const mcpManager = new MCPManager();
+      const registration = {
+        name: "constructor",
+        url: "http://evil:8100",
+        category: "integration",
+      };
+
+      for (const authenticated of [false, true]) {
+        expect(() =>
+          mcpManager.register(registration, { authenticated }),
+        ).toThrow(expect.objectContaining({ statusCode: 400 }));
+      }
+    });
+
+    it("should add a new MCP and check its health", async () => {
+      const mcpManager = new MCPManager();
+      mockAxios.get = jest.fn().mockResolvedValue({ status: 200 });
+
+      const result = mcpManager.register({
+        name: "coverageTrends",
+        url: "http://coverage-trends:8206",
+        category: "code-analysis",
+        version: "0.1.0",
+      });
+
+      expect(result.created).toBe(true);
+      expect(mcpManager.codeAnalysisMcps.coverageTrends).toBe(result.mcp);
+      expect(mcpManager.dockerMcps.coverageTrends.source).toBe(
+        "self-registered",
+      );
+      expect(mockAxios.get).toHaveBeenCalledWith(
+        "http://coverage-trends:8206/health",
+        { timeout: 2000 },
+      );
+
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(mcpManager.dockerMcps.coverageTrends.status).toBe("healthy");
+    });
+
+    it("should update the existing entry with the same URL", () => {
+      const mcpManager = new MCPManager();
+      mcpManager.dockerMcps.azureDevOps.status = "healthy";
+      mockAxios.get = jest.fn().mockResolvedValue({ status: 200 });
+
+      const result = mcpManager.register({
+        name: "azure-devops",
+        url: "http://azure-devops:8100",
+        category: "integration",
+        version: "2.0.0",
+      });
+
+      expect(result).toMatchObject({ name: "azureDevOps", created: false });
+      expect(mcpManager.dockerMcps["azure-devops"]).toBeUndefined();
+      expect(mcpManager.integrationMcps.azureDevOps).toMatchObject({
+        version: "2.0.0",
+        status: "healthy",
+      });
+    });
+
+    it("should move an MCP that registers under a new category", () => {
+      const mcpManager = new MCPManager();
+      mockAxios.get = jest.fn().mockResolvedValue({ status: 200 });
+
+      mcpManager.register({
+        name: "testSelector",
+        url: "http://test-selector:8302",
+        category: "playwright",
+      });
+
+      expect(mcpManager.qualityAnalysisMcps.testSelector).toBeUndefined();
+      expect(mcpManager.playwrightMcps.testSelector.category).toBe(
+        "playwright",
+      );
+    });
+
+    it("should only let authenticated callers move an MCP to another URL", () => {
+      const mcpManager = new MCPManager();
+      mockAxios.get = jest.fn().mockResolvedValue({ status: 200 });
+      const registration = {
+        name: "azureDevOps",
+        url: "http://attacker:8100",
+        category: "integration",
+      };
+
+      expect(() => mcpManager.register(registration)).toThrow(
+        expect.objectContaining({ statusCode: 403 }),
+      );
+      expect(mcpManager.dockerMcps.azureDevOps.url).toBe(
+        "http://azure-devops:8100",
+      );
+
+      mcpManager.register(registration, { authenticated: true });
+      expect(mcpManager.dockerMcps.azureDevOps.url).toBe(
+        "http://attacker:8100",
+      );
+    });
+
+    it("should reject an invalid registration with status 400", () => {
+      const mcpManager = new MCPManager();
+
+      expect(() =>
+        mcpManager.register({ name: "x", url: "http://x:1", category: "nope" }),
+      ).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
   describe("callDockerMcp", () => {
+    const TRACEPARENT = /^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/;
+
     it("should successfully call healthy MCP endpoint with POST", async () => {
       const mcpManager = new MCPManager();
       mcpManager.dockerMcps.azureDevOps.status = "healthy";
@@ -141,6 +434,7 @@ describe("MCPManager", () => {
       expect(mockAxios).toHaveBeenCalledWith({
         method: "POST",
         url: "http://azure-devops:8100/api/work-items",
+        headers: { traceparent: expect.stringMatching(TRACEPARENT) },
         data: { query: "test" },
         timeout: 30000,
       });
@@ -164,11 +458,42 @@ describe("MCPManager", () => {
       expect(mockAxios).toHaveBeenCalledWith({
         method: "GET",
         url: "http://azure-devops:8100/api/health",
+        headers: { traceparent: expect.stringMatching(TRACEPARENT) },
         timeout: 30000,
       });
       expect(result).toEqual({ items: [] });
     });
 
+    it("should continue the current trace and record a client span", async () => {
+      const { traceStore, withSpan } =
+        await import("../../../src/services/tracing.js");
+      const mcpManager = new MCPManager();
+      mcpManager.dockerMcps.azureDevOps.status = "healthy";
+      mockAxios.mockResolvedValueOnce({ status: 200, data: {} });
+
+      const parent = await withSpan(
+        "GET /api/ado/stories",
+        {},
+        async (span) => {
+          await mcpManager.callDockerMcp("azureDevOps", "/work-items/get", {});
+          return span;
+        },
+      );
+
+      const spans = await traceStore.getSpans(parent.traceId);
+      const clientSpan = spans.find((s) => s.kind === "client");
+      expect(clientSpan).toEqual(
+        expect.objectContaining({
+          parentSpanId: parent.spanId,
+          name: "azureDevOps POST /work-items/get",
+          attributes: expect.objectContaining({ "http.status_code": 200 }),
+        }),
+      );
+      expect(mockAxios.mock.calls[0][0].headers.traceparent).toBe(
+        `00-${parent.traceId}-${clientSpan.spanId}-01`,
+      );
+    });
+
     it("should throw error for unknown MCP", async () => {
       const mcpManager = new MCPManager();
 
@@ -177,22 +502,56 @@ describe("MCPManager", () => {
       ).rejects.toThrow("Unknown MCP: unknownMcp");
     });
 
-    it("should throw error for unhealthy MCP", async () => {
+    it("should still call an MCP the health poll marked unhealthy", async () => {
       const mcpManager = new MCPManager();
       mcpManager.dockerMcps.azureDevOps.status = "unhealthy";
+      mockAxios.mockResolvedValueOnce({ data: { recovered: true } });
 
       await expect(
         mcpManager.callDockerMcp("azureDevOps", "/endpoint"),
-      ).rejects.toThrow("MCP azureDevOps is not healthy (status: unhealthy)");
+      ).resolves.toEqual({ recovered: true });
     });
 
-    it("should throw error for MCP with unknown status", async () => {
+    it("should retry connection errors and stop calling once the circuit opens", async () => {
       const mcpManager = new MCPManager();
-      mcpManager.dockerMcps.azureDevOps.status = "unknown";
+      mcpManager.resilience.azureDevOps = new McpResilience("azureDevOps", {
+        retryDelay: 0,
+        maxRetryDelay: 0,
+        failureThreshold: 3,
+      });
+      mockAxios.mockRejectedValue(
+        Object.assign(new Error("connect ECONNREFUSED"), {
+          code: "ECONNREFUSED",
+        }),
+      );
 
       await expect(
         mcpManager.callDockerMcp("azureDevOps", "/endpoint"),
-      ).rejects.toThrow("MCP azureDevOps is not healthy (status: unknown)");
+      ).rejects.toThrow("ECONNREFUSED");
+      await expect(
+        mcpManager.callDockerMcp("azureDevOps", "/endpoint"),
+      ).rejects.toThrow("Circuit breaker is OPEN for azureDevOps");
+
+      expect(mockAxios).toHaveBeenCalledTimes(3);
+      expect(mcpManager.getStatus().integration.azureDevOps.circuit.state).toBe(
+        "OPEN",
+      );
+      expect(mcpManager.getStatus().summary.circuitsOpen).toBe(1);
+    });
+
+    it("should return the caller's fallback when the call fails", async () => {
+      const mcpManager = new MCPManager();
+      mockAxios.mockRejectedValueOnce(new Error("Network timeout"));
+
+      const result = await mcpManager.callDockerMcp(
+        "azureDevOps",
+        "/endpoint",
+        {},
+        "POST",
+        { fallback: { items: [] } },
+      );
+
+      expect(result).toEqual({ items: [] });
     });
 
     it("should handle axios network errors", async () => {
@@ -205,6 +564,92 @@ describe("MCPManager", () => {
         mcpManager.callDockerMcp("azureDevOps", "/endpoint"),
       ).rejects.toThrow("Network timeout");
     });
+
+    describe("inside a background job", () => {
+      let queue;
+      let finishJob;
+
+      // Call the MCP the way a route replayed by the job would
+      const callInJob = async (run) => {
+        const { JobQueue, jobContextMiddleware } =
+          await import("../../../src/services/jobQueue.js");
+        let context;
+        queue = new JobQueue({
+          persist: false,
+          runner: (job, { token }) => {
+            context = { id: job.id, token };
+            return new Promise((resolve) => {
+              finishJob = resolve;
+            });
+          },
+        });
+        queue.enqueue({ type: "test", request: {} });
+
+        const headers = {
+          "X-Job-Id": context.id,
+          "X-Job-Token": context.token,
+        };
+        const req = { get: (name) => headers[name] };
+        return new Promise((resolve, reject) =>
+          jobContextMiddleware(queue)(req, {}, () =>
+            run().then(resolve, reject),
+          ),
+        );
+      };
+
+      it("should record the call as a job step with its result", async () => {
+        const mcpManager = new MCPManager();
+        mcpManager.dockerMcps.azureDevOps.status = "healthy";
+        mockAxios.mockResolvedValueOnce({ data: { items: [1] } });
+
+        await callInJob(() =>
+          mcpManager.callDockerMcp("azureDevOps", "/work-items/get", {}),
+        );
+
+        const [job] = queue.list();
+        expect(mockAxios).toHaveBeenCalledWith(
+          expect.objectContaining({
+            timeout: 600000,
+            signal: expect.any(AbortSignal),
+          }),
+        );
+        expect(job.steps).toEqual([
+          expect.objectContaining({
+            name: "azureDevOps POST /work-items/get",
+            status: "succeeded",
+            result: { items: [1] },
+          }),
+        ]);
+        expect(job.progress.completedSteps).toBe(1);
+        finishJob();
+      });
+
+      it("should record failed calls and refuse calls after cancellation", async () => {
+        const mcpManager = new MCPManager();
+        mcpManager.dockerMcps.azureDevOps.status = "healthy";
+        mockAxios.mockRejectedValueOnce(new Error("Network timeout"));
+
+        await expect(
+          callInJob(async () => {
+            await mcpManager
+              .callDockerMcp("azureDevOps", "/endpoint")
+              .catch(() => {});
+            queue.cancel(queue.list()[0].id);
+            return mcpManager.callDockerMcp("azureDevOps", "/endpoint");
+          }),
+        ).rejects.toThrow("Job cancelled");
+
+        const [job] = queue.list();
+        expect(job.status).toBe("cancelled");
+        expect(job.steps).toEqual([
+          expect.objectContaining({
+            status: "failed",
+            error: "Network timeout",
+          }),
+        ]);
+        expect(mockAxios).toHaveBeenCalledTimes(1);
+      });
+    });
   });
 
   describe("waitForDockerMcps", () => {
@@ -422,6 +867,24 @@ describe("MCPManager", () => {
         mcpManager.callStdioMcp("testMcp", { command: "test" }),
       ).rejects.toThrow("MCP exited with code 1: Error occurred");
     });
+
+    it("should send calls for pooled MCPs to a worker", async () => {
+      const mcpManager = new MCPManager();
+      const pool = { call: jest.fn().mockResolvedValue({ success: true }) };
+      mcpManager.stdioPools.testMcp = pool;
+
+      const result = await mcpManager.callStdioMcp("testMcp", {
+        data: { className: "UserService" },
+      });
+
+      expect(result).toEqual({ success: true });
+      expect(pool.call).toHaveBeenCalledWith(
+        "run",
+        { data: { className: "UserService" } },
+        { signal: undefined },
+      );
+      expect(mockSpawn).not.toHaveBeenCalled();
+    });
   });
 
   describe("getStatus", () => {
@@ -475,6 +938,55 @@ describe("MCPManager", () => {
       expect(status.stdioMcps).toEqual(["test1", "test2"]);
       expect(status.summary.stdioActive).toBe(2);
     });
+
+    it("should report STDIO worker pools", () => {
+      const mcpManager = new MCPManager();
+
+      const status = mcpManager.getStatus();
+
+      expect(status.stdioWorkers["dotnet-unit-test-generator"]).toEqual({
+        size: 2,
+        busy: 0,
+        queued: 0,
+        restarts: 0,
+        workers: [],
+      });
+      expect(status.summary.stdioWorkersBusy).toBe(0);
+    });
+  });
+
+  describe("resetCircuit", () => {
+    it("should close an open circuit", async () => {
+      const mcpManager = new MCPManager();
+      mcpManager.resilience.azureDevOps.breaker.recordFailure("azureDevOps");
+      mcpManager.resilience.azureDevOps.breaker.getCircuit(
+        "azureDevOps",
+      ).state = "OPEN";
+
+      expect(mcpManager.resetCircuit("azureDevOps")).toEqual(["azureDevOps"]);
+      expect(mcpManager.getStatus().integration.azureDevOps.circuit.state).toBe(
+        "CLOSED",
+      );
+    });
+
+    it("should reset every MCP without a name", () => {
+      const mcpManager = new MCPManager();
+
+      expect(mcpManager.resetCircuit()).toEqual(
+        Object.keys(mcpManager.resilience),
+      );
+    });
+
+    it("should throw 404 for an unknown MCP", () => {
+      const mcpManager = new MCPManager();
+
+      expect(() => mcpManager.resetCircuit("nope")).toThrow(
+        expect.objectContaining({ statusCode: 404 }),
+      );
+      expect(() => mcpManager.resetCircuit("constructor")).toThrow(
+        expect.objectContaining({ statusCode: 404 }),
+      );
+    });
   });
 
   describe("getSwaggerDocs", () => {
@@ -511,6 +1023,25 @@ describe("MCPManager", () => {
       );
     });
 
+    it("should use the swagger path the MCP registered", async () => {
+      const mcpManager = new MCPManager();
+      mockAxios.get = jest.fn().mockResolvedValue({ data: { paths: {} } });
+      mcpManager.register({
+        name: "azureDevOps",
+        url: "http://azure-devops:8100",
+        category: "integration",
+        swaggerPath: "/swagger/v1.json",
+      });
+      mcpManager.dockerMcps.azureDevOps.status = "healthy";
+
+      await mcpManager.getSwaggerDocs("azureDevOps");
+
+      expect(mockAxios.get).toHaveBeenLastCalledWith(
+        "http://azure-devops:8100/swagger/v1.json",
+        { timeout: 5000 },
+      );
+    });
+
     it("should handle errors fetching swagger docs", async () => {
       const mcpManager = new MCPManager();
       mcpManager.dockerMcps.azureDevOps.status = "healthy";
@@ -577,6 +1108,25 @@ describe("MCPManager", () => {
       expect(spec).toHaveProperty("info");
       expect(spec).toHaveProperty("paths");
     });
+
+    it("should list registered MCPs with links to their docs", async () => {
+      const mcpManager = new MCPManager();
+      mockAxios.get = jest.fn().mockResolvedValue({ status: 200 });
+      mcpManager.register({
+        name: "coverageTrends",
+        url: "http://coverage-trends:8206",
+        category: "code-analysis",
+      });
+
+      const spec = await mcpManager.getAggregatedSwaggerSpec();
+
+      expect(spec["x-mcp-services"]).toContainEqual(
+        expect.objectContaining({
+          name: "coverageTrends",
+          docs: "/api/swagger/coverageTrends",
+        }),
+      );
+    });
   });
 
   describe("startHealthChecks", () => {
@@ -647,5 +1197,15 @@ describe("MCPManager", () => {
       expect(mockChild1.kill).toHaveBeenCalled();
       expect(mockChild2.kill).toHaveBeenCalled();
     });
+
+    it("should stop STDIO worker pools", async () => {
+      const mcpManager = new MCPManager();
+      const pool = { shutdown: jest.fn() };
+      mcpManager.stdioPools = { testMcp: pool };
+
+      await mcpManager.shutdown();
+
+      expect(pool.shutdown).toHaveBeenCalled();
+    });
   });
 });
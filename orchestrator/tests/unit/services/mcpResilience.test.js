@@ -0,0 +1,249 @@
+import { jest } from "@jest/globals";
+import {
+  McpResilience,
+  isRetryable,
+} from "../../../src/services/mcpResilience.js";
+
+describe("McpResilience", () => {
+  const axiosError = (code, status) =>
+    Object.assign(new Error(status ? `HTTP ${status}` : code), {
+      code,
+      ...(status ? { response: { status } } : {}),
+    });
+
+  // Retries without waiting
+  const createPolicy = (options = {}) =>
+    new McpResilience("riskAnalyzer", {
+      retryDelay: 0,
+      maxRetryDelay: 0,
+      ...options,
+    });
+
+  describe("isRetryable", () => {
+    const idempotent = ["GET", "PUT"];
+
+    it("should retry connection errors for any method", () => {
+      expect(isRetryable(axiosError("ECONNREFUSED"), "POST", idempotent)).toBe(
+        true,
+      );
+    });
+
+    it("should retry timeouts and gateway errors only for idempotent methods", () => {
+      expect(isRetryable(axiosError("ECONNABORTED"), "GET", idempotent)).toBe(
+        true,
+      );
+      expect(isRetryable(axiosError(undefined, 503), "get", idempotent)).toBe(
+        true,
+      );
+      expect(isRetryable(axiosError("ECONNABORTED"), "POST", idempotent)).toBe(
+        false,
+      );
+    });
+
+    it("should not retry client errors or cancellations", () => {
+      expect(isRetryable(axiosError(undefined, 400), "GET", idempotent)).toBe(
+        false,
+      );
+      expect(isRetryable(axiosError("ERR_CANCELED"), "GET", idempotent)).toBe(
+        false,
+      );
+    });
+  });
+
+  describe("retries", () => {
+    it("should retry retryable errors until the call succeeds", async () => {
+      const policy = createPolicy();
+      const call = jest
+        .fn()
+        .mockRejectedValueOnce(axiosError("ECONNREFUSED"))
+        .mockResolvedValueOnce({ ok: true });
+
+      await expect(policy.execute(call, { method: "POST" })).resolves.toEqual({
+        ok: true,
+      });
+      expect(call.mock.calls.map(([attempt]) => attempt)).toEqual([0, 1]);
+      expect(policy.getStatus().stats.retries).toBe(1);
+    });
+
+    it("should give up after the configured retries", async () => {
+      const policy = createPolicy({ retries: 2 });
+      const call = jest.fn().mockRejectedValue(axiosError(undefined, 503));
+
+      await expect(policy.execute(call, { method: "GET" })).rejects.toThrow(
+        "HTTP 503",
+      );
+      expect(call).toHaveBeenCalledTimes(3);
+    });
+
+    it("should not retry non-idempotent calls after the request was sent", async () => {
+      const policy = createPolicy();
+      const call = jest.fn().mockRejectedValue(axiosError("ECONNRESET"));
+
+      await expect(policy.execute(call, { method: "POST" })).rejects.toThrow();
+      expect(call).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("circuit breaker", () => {
+    it("should open after repeated failures and reject without calling", async () => {
+      const policy = createPolicy({ retries: 0, failureThreshold: 2 });
+      const call = jest.fn().mockRejectedValue(axiosError(undefined, 500));
+
+      await expect(policy.execute(call)).rejects.toThrow();
+      await expect(policy.execute(call)).rejects.toThrow();
+      await expect(policy.execute(call)).rejects.toMatchObject({
+        type: "CIRCUIT_OPEN",
+        message: expect.stringContaining("Circuit breaker is OPEN"),
+      });
+
+      expect(call).toHaveBeenCalledTimes(2);
+      expect(policy.getStatus()).toMatchObject({
+        circuit: { state: "OPEN", failures: 2 },
+        stats: { calls: 3, rejected: 1 },
+      });
+    });
+
+    it("should not count client errors against the MCP", async () => {
+      const policy = createPolicy({ retries: 0, failureThreshold: 1 });
+      const call = jest.fn().mockRejectedValue(axiosError(undefined, 404));
+
+      await expect(policy.execute(call)).rejects.toThrow();
+
+      expect(policy.getStatus().circuit.state).toBe("CLOSED");
+    });
+
+    it("should stop retrying once the circuit opens", async () => {
+      const policy = createPolicy({ retries: 5, failureThreshold: 2 });
+      const call = jest.fn().mockRejectedValue(axiosError("ECONNREFUSED"));
+
+      await expect(policy.execute(call)).rejects.toThrow();
+
+      expect(call).toHaveBeenCalledTimes(2);
+    });
+
+    it("should allow calls again after a reset", async () => {
+      const policy = createPolicy({ retries: 0, failureThreshold: 1 });
+      await expect(
+        policy.execute(() => Promise.reject(axiosError("ECONNREFUSED"))),
+      ).rejects.toThrow();
+
+      policy.reset();
+
+      await expect(policy.execute(async () => "ok")).resolves.toBe("ok");
+      expect(policy.getStatus().circuit).toEqual({
+        state: "CLOSED",
+        failures: 0,
+        lastFailure: null,
+      });
+    });
+  });
+
+  describe("bulkhead", () => {
+    const deferred = () => {
+      let resolve;
+      const promise = new Promise((r) => {
+        resolve = r;
+      });
+      return { promise, resolve };
+    };
+
+    it("should queue calls beyond maxConcurrent", async () => {
+      const policy = createPolicy({ maxConcurrent: 1 });
+      const first = deferred();
+      const second = jest.fn().mockResolvedValue("second");
+
+      const running = policy.execute(() => first.promise);
+      const queued = policy.execute(second);
+      await Promise.resolve();
+
+      expect(second).not.toHaveBeenCalled();
+      expect(policy.getStatus().bulkhead).toEqual({
+        active: 1,
+        queued: 1,
+        maxConcurrent: 1,
+        maxQueue: 50,
+      });
+
+      first.resolve("first");
+      await expect(running).resolves.toBe("first");
+      await expect(queued).resolves.toBe("second");
+      expect(policy.getStatus().bulkhead.active).toBe(0);
+    });
+
+    it("should reject calls when the queue is full", async () => {
+      const policy = createPolicy({ maxConcurrent: 1, maxQueue: 0 });
+      const first = deferred();
+
+      const running = policy.execute(() => first.promise);
+
+      await expect(policy.execute(async () => "x")).rejects.toMatchObject({
+        type: "BULKHEAD_FULL",
+      });
+
+      first.resolve();
+      await running;
+    });
+
+    it("should drop queued calls when their job is cancelled", async () => {
+      const policy = createPolicy({ maxConcurrent: 1 });
+      const first = deferred();
+      const controller = new AbortController();
+
+      const running = policy.execute(() => first.promise);
+      const queued = policy.execute(async () => "x", {
+        signal: controller.signal,
+      });
+      controller.abort();
+
+      await expect(queued).rejects.toThrow("Job cancelled");
+      expect(policy.getStatus().bulkhead.queued).toBe(0);
+
+      first.resolve();
+      await running;
+    });
+  });
+
+  describe("fallback", () => {
+    it("should return the configured fallback for the endpoint", async () => {
+      const policy = createPolicy({
+        retries: 0,
+        fallback: { "/analyze-risk": { riskLevel: "unknown" } },
+      });
+
+      const result = await policy.execute(
+        () => Promise.reject(axiosError("ECONNREFUSED")),
+        { endpoint: "/analyze-risk" },
+      );
+
+      expect(result).toEqual({ riskLevel: "unknown" });
+      expect(policy.getStatus().stats.fallbacks).toBe(1);
+    });
+
+    it("should prefer the caller's fallback and pass it the error", async () => {
+      const policy = createPolicy({
+        retries: 0,
+        fallback: { "/analyze-risk": { riskLevel: "unknown" } },
+      });
+
+      const result = await policy.execute(
+        () => Promise.reject(axiosError(undefined, 500)),
+        {
+          endpoint: "/analyze-risk",
+          fallback: (error) => ({ degraded: error.message }),
+        },
+      );
+
+      expect(result).toEqual({ degraded: "HTTP 500" });
+    });
+
+    it("should throw when no fallback is configured", async () => {
+      const policy = createPolicy({ retries: 0 });
+
+      await expect(
+        policy.execute(() => Promise.reject(axiosError(undefined, 500)), {
+          endpoint: "/other",
+        }),
+      ).rejects.toThrow("HTTP 500");
+    });
+  });
+});
@@ -0,0 +1,250 @@
+import { jest } from "@jest/globals";
+import { PassThrough } from "stream";
+import {
+  JSON_RPC_ERRORS,
+  LATEST_PROTOCOL_VERSION,
+  MCPServer,
+  serveStdio,
+} from "../../../src/services/mcpServer.js";
+import { MCPToolRegistry } from "../../../src/utils/mcpToolRegistry.js";
+
+describe("MCPServer", () => {
+  let server;
+  let callRoute;
+  let echoHandler;
+
+  const request = (id, method, params) => ({
+    jsonrpc: "2.0",
+    id,
+    method,
+    ...(params ? { params } : {}),
+  });
+
+  beforeEach(() => {
+    callRoute = jest.fn().mockResolvedValue({ applications: ["Core"] });
+    echoHandler = jest.fn(async (args) => ({ echoed: args }));
+
+    const tools = new MCPToolRegistry();
+    tools.registerTool(
+      "echo",
+      "Echo the arguments",
+      { type: "object", properties: { text: { type: "string" } } },
+      echoHandler,
+    );
+
+    server = new MCPServer({ tools, callRoute });
+  });
+
+  describe("initialize", () => {
+    it("should echo a supported protocol version", async () => {
+      const response = await server.handleMessage(
+        request(1, "initialize", { protocolVersion: "2024-11-05" }),
+      );
+
+      expect(response.id).toBe(1);
+      expect(response.result.protocolVersion).toBe("2024-11-05");
+      expect(response.result.capabilities).toHaveProperty("tools");
+      expect(response.result.capabilities).toHaveProperty("resources");
+      expect(response.result.capabilities).toHaveProperty("prompts");
+      expect(response.result.serverInfo.name).toBe("qe-mcp-orchestrator");
+    });
+
+    it("should offer the latest version for an unknown one", async () => {
+      const response = await server.handleMessage(
+        request(1, "initialize", { protocolVersion: "1999-01-01" }),
+      );
+
+      expect(response.result.protocolVersion).toBe(LATEST_PROTOCOL_VERSION);
+    });
+  });
+
+  describe("tools", () => {
+    it("should list registered tools", async () => {
+      const response = await server.handleMessage(request(2, "tools/list"));
+
+      expect(response.result.tools).toEqual([
+        {
+          name: "echo",
+          description: "Echo the arguments",
+          inputSchema: {
+            type: "object",
+            properties: { text: { type: "string" } },
+          },
+        },
+      ]);
+    });
+
+    it("should call a tool and return text and structured content", async () => {
+      const response = await server.handleMessage(
+        request(3, "tools/call", { name: "echo", arguments: { text: "hi" } }),
+      );
+
+      expect(echoHandler).toHaveBeenCalledWith({ text: "hi" });
+      expect(response.result.isError).toBe(false);
+      expect(response.result.structuredContent).toEqual({
+        echoed: { text: "hi" },
+      });
+      expect(JSON.parse(response.result.content[0].text)).toEqual({
+        echoed: { text: "hi" },
+      });
+    });
+
+    it("should report tool failures as error results", async () => {
+      echoHandler.mockRejectedValue(new Error("MCP riskAnalyzer is down"));
+
+      const response = await server.handleMessage(
+        request(4, "tools/call", { name: "echo", arguments: {} }),
+      );
+
+      expect(response.error).toBeUndefined();
+      expect(response.result.isError).toBe(true);
+      expect(response.result.content[0].text).toContain(
+        "MCP riskAnalyzer is down",
+      );
+    });
+
+    it("should reject unknown tools with invalid params", async () => {
+      const response = await server.handleMessage(
+        request(5, "tools/call", { name: "nope" }),
+      );
+
+      expect(response.error.code).toBe(JSON_RPC_ERRORS.INVALID_PARAMS);
+    });
+  });
+
+  describe("resources and prompts", () => {
+    it("should list resources and read one through its route", async () => {
+      const list = await server.handleMessage(request(6, "resources/list"));
+      expect(list.result.resources.map((r) => r.uri)).toContain(
+        "qe://applications",
+      );
+
+      const read = await server.handleMessage(
+        request(7, "resources/read", { uri: "qe://applications" }),
+      );
+
+      expect(callRoute).toHaveBeenCalledWith({
+        method: "get",
+        path: "/api/dashboard/applications",
+        args: {},
+      });
+      expect(JSON.parse(read.result.contents[0].text)).toEqual({
+        applications: ["Core"],
+      });
+    });
+
+    it("should render a prompt with its arguments", async () => {
+      const response = await server.handleMessage(
+        request(8, "prompts/get", {
+          name: "sprint_risk_review",
+          arguments: { sprint: "Sprint 42", app: "Core" },
+        }),
+      );
+
+      expect(response.result.messages[0].content.text).toContain(
+        'sprint "Sprint 42"',
+      );
+    });
+
+    it("should require prompt arguments", async () => {
+      const response = await server.handleMessage(
+        request(9, "prompts/get", {
+          name: "sprint_risk_review",
+          arguments: { sprint: "Sprint 42" },
+        }),
+      );
+
+      expect(response.error.code).toBe(JSON_RPC_ERRORS.INVALID_PARAMS);
+      expect(response.error.message).toContain("app");
+    });
+
+    it("should list prompts with their arguments", async () => {
+      const response = await server.handleMessage(request(10, "prompts/list"));
+
+      expect(response.result.prompts.map((p) => p.name)).toEqual([
+        "sprint_risk_review",
+        "change_impact_review",
+        "heal_failing_test",
+      ]);
+      expect(response.result.prompts[0]).not.toHaveProperty("text");
+    });
+  });
+
+  describe("JSON-RPC handling", () => {
+    it("should not answer notifications", async () => {
+      await expect(
+        server.handleMessage({
+          jsonrpc: "2.0",
+          method: "notifications/initialized",
+        }),
+      ).resolves.toBeNull();
+    });
+
+    it("should return method not found for unknown methods", async () => {
+      const response = await server.handleMessage(request(11, "sampling/x"));
+
+      expect(response.error.code).toBe(JSON_RPC_ERRORS.METHOD_NOT_FOUND);
+    });
+
+    it("should reject messages that are not JSON-RPC 2.0", async () => {
+      const response = await server.handleMessage({ id: 12, method: "ping" });
+
+      expect(response).toEqual({
+        jsonrpc: "2.0",
+        id: 12,
+        error: {
+          code: JSON_RPC_ERRORS.INVALID_REQUEST,
+          message: "Invalid JSON-RPC 2.0 message",
+        },
+      });
+    });
+
+    it("should answer the requests of a batch", async () => {
+      const response = await server.handleMessage([
+        request(13, "ping"),
+        { jsonrpc: "2.0", method: "notifications/initialized" },
+        request(14, "tools/list"),
+      ]);
+
+      expect(response.map((r) => r.id)).toEqual([13, 14]);
+    });
+  });
+
+  describe("sessions", () => {
+    it("should create and end sessions", () => {
+      const sessionId = server.createSession();
+
+      expect(server.hasSession(sessionId)).toBe(true);
+      expect(server.endSession(sessionId)).toBe(true);
+      expect(server.hasSession(sessionId)).toBe(false);
+    });
+  });
+
+  describe("serveStdio", () => {
+    it("should answer each line and report parse errors", async () => {
+      const input = new PassThrough();
+      const output = new PassThrough();
+      let written = "";
+      output.on("data", (chunk) => {
+        written += chunk.toString();
+      });
+
+      const serving = serveStdio(server, input, output);
+      input.write(`${JSON.stringify(request(1, "ping"))}\n`);
+      input.write("not json\n");
+      input.end(
+        `${JSON.stringify({ jsonrpc: "2.0", method: "notifications/initialized" })}\n`,
+      );
+      await serving;
+
+      const responses = written.trim().split("\n").map(JSON.parse);
+      expect(responses).toHaveLength(2);
+      expect(responses).toContainEqual({ jsonrpc: "2.0", id: 1, result: {} });
+      expect(responses).toContainEqual(
+        expect.objectContaining({
+          error: { code: JSON_RPC_ERRORS.PARSE_ERROR, message: "Parse error" },
+        }),
+      );
+    });
+  });
+});
@@ -0,0 +1,203 @@
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  RiskHistory,
+  hashAcceptanceCriteria,
+} from "../../../src/services/riskHistory.js";
+
+describe("RiskHistory", () => {
+  let dataDir;
+  let history;
+
+  const story = (overrides = {}) => ({
+    id: 100,
+    title: "Refund flow",
+    acceptanceCriteria: "Refunds are issued to the original card",
+    iterationPath: "Core\\Sprint 41",
+    ...overrides,
+  });
+
+  const risk = (score, level, overrides = {}) => ({
+    score,
+    level,
+    factors: {
+      complexity: { score: 40, details: { files: 3 } },
+      coverage: { score: 0, disabled: true },
+    },
+    profile: "default",
+    model: "claude-haiku",
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    dataDir = mkdtempSync(path.join(tmpdir(), "risk-history-"));
+    history = new RiskHistory({ dataDir });
+  });
+
+  afterEach(() => {
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe("hashAcceptanceCriteria", () => {
+    it("should ignore whitespace differences", () => {
+      expect(hashAcceptanceCriteria("Given a  refund\n")).toBe(
+        hashAcceptanceCriteria("Given a refund"),
+      );
+    });
+
+    it("should change when the criteria change", () => {
+      expect(hashAcceptanceCriteria("Given a refund")).not.toBe(
+        hashAcceptanceCriteria("Given a partial refund"),
+      );
+    });
+
+    it("should return null without criteria", () => {
+      expect(hashAcceptanceCriteria("")).toBeNull();
+    });
+  });
+
+  describe("record", () => {
+    it("should append the assessment to the history file", async () => {
+      const entry = await history.record({
+        story: story(),
+        app: "Payments",
+        risk: risk(55, "medium"),
+        source: "analyze-ac",
+      });
+
+      expect(entry).toMatchObject({
+        storyId: "100",
+        app: "Payments",
+        sprint: "Core\\Sprint 41",
+        score: 55,
+        level: "medium",
+        profile: "default",
+        model: "claude-haiku",
+        source: "analyze-ac",
+        factors: {
+          complexity: { score: 40 },
+          coverage: { score: 0, disabled: true },
+        },
+      });
+
+      const lines = readFileSync(
+        path.join(dataDir, "risk-history.jsonl"),
+        "utf-8",
+      )
+        .trim()
+        .split("\n");
+      expect(lines).toHaveLength(1);
+      expect(JSON.parse(lines[0]).id).toBe(entry.id);
+    });
+
+    it("should survive a restart", async () => {
+      await history.record({
+        story: story(),
+        app: "Payments",
+        risk: risk(55, "medium"),
+        source: "analyze-ac",
+      });
+
+      const reloaded = new RiskHistory({ dataDir });
+
+      await expect(reloaded.getStoryHistory(100)).resolves.toHaveLength(1);
+    });
+  });
+
+  describe("getStoryHistory", () => {
+    it("should report changes between assessments of the same app", async () => {
+      await history.record({
+        story: story(),
+        app: "Payments",
+        risk: risk(40, "medium"),
+        source: "analyze-ac",
+      });
+      await history.record({
+        story: story({ acceptanceCriteria: "Refunds may be partial" }),
+        app: "Payments",
+        risk: risk(65, "high"),
+        source: "analyze-ac",
+      });
+      await history.record({
+        story: story(),
+        app: "Core",
+        risk: risk(30, "medium"),
+        source: "analyze-ac",
+      });
+
+      const result = await history.getStoryHistory("100");
+
+      expect(result.map((a) => a.change)).toEqual([
+        null,
+        { score: 25, levelChanged: true, acceptanceCriteriaChanged: true },
+        null,
+      ]);
+
+      const paymentsOnly = await history.getStoryHistory(100, {
+        app: "Payments",
+      });
+      expect(paymentsOnly).toHaveLength(2);
+    });
+
+    it("should return an empty history when nothing was recorded", async () => {
+      await expect(history.getStoryHistory(1)).resolves.toEqual([]);
+    });
+  });
+
+  describe("getSprintTrend", () => {
+    it("should summarize the latest assessment of each story per sprint", async () => {
+      const record = (id, sprint, score, level) =>
+        history.record({
+          story: story({ id, iterationPath: sprint }),
+          app: "Payments",
+          risk: risk(score, level),
+          source: "analyze-ac",
+        });
+
+      await record(1, "Core\\Sprint 41", 80, "high");
+      await record(1, "Core\\Sprint 41", 20, "low");
+      await record(2, "Core\\Sprint 41", 60, "high");
+      await record(3, "Core\\Sprint 42", 35, "medium");
+
+      const trend = await history.getSprintTrend();
+
+      expect(trend).toEqual([
+        {
+          sprint: "Core\\Sprint 41",
+          stories: 2,
+          assessments: 2,
+          averageScore: 40,
+          maxScore: 60,
+          levels: { low: 1, medium: 0, high: 1, critical: 0 },
+          highRiskStories: [{ storyId: "2", app: "Payments", score: 60 }],
+        },
+        {
+          sprint: "Core\\Sprint 42",
+          stories: 1,
+          assessments: 1,
+          averageScore: 35,
+          maxScore: 35,
+          levels: { low: 0, medium: 1, high: 0, critical: 0 },
+          highRiskStories: [],
+        },
+      ]);
+
+      const filtered = await history.getSprintTrend({
+        sprints: ["Core\\Sprint 42"],
+      });
+      expect(filtered.map((s) => s.sprint)).toEqual(["Core\\Sprint 42"]);
+    });
+
+    it("should skip assessments without a sprint", async () => {
+      await history.record({
+        story: story({ iterationPath: undefined }),
+        app: "Payments",
+        risk: risk(50, "medium"),
+        source: "analyze-story",
+      });
+
+      await expect(history.getSprintTrend()).resolves.toEqual([]);
+    });
+  });
+});
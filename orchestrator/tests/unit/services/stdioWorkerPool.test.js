@@ -0,0 +1,262 @@
+import { jest } from "@jest/globals";
+import { EventEmitter } from "events";
+import { PassThrough } from "stream";
+
+describe("StdioWorkerPool", () => {
+  let StdioWorkerPool, mockSpawn, children, pools;
+
+  /**
+   * A fake worker process: requests written to stdin are recorded, and
+   * respond() writes a JSON-RPC line to stdout
+   */
+  const createChild = () => {
+    const child = new EventEmitter();
+    child.pid = 1000 + children.length;
+    child.stdout = new PassThrough();
+    child.stderr = new PassThrough();
+    child.requests = [];
+    child.stdin = new PassThrough();
+    child.stdin.on("data", (data) =>
+      data
+        .toString()
+        .split("\n")
+        .filter(Boolean)
+        .forEach((line) => child.requests.push(JSON.parse(line))),
+    );
+    child.respond = (message) =>
+      child.stdout.write(JSON.stringify({ jsonrpc: "2.0", ...message }) + "\n");
+    child.kill = jest.fn((signal = "SIGTERM") =>
+      setImmediate(() => child.emit("exit", null, signal)),
+    );
+    children.push(child);
+    return child;
+  };
+
+  // Let stream and timer callbacks run
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+  beforeEach(async () => {
+    jest.resetModules();
+    children = [];
+    pools = [];
+    mockSpawn = jest.fn(createChild);
+
+    await jest.unstable_mockModule("child_process", () => ({
+      spawn: mockSpawn,
+    }));
+
+    ({ StdioWorkerPool } =
+      await import("../../../src/services/stdioWorkerPool.js"));
+  });
+
+  afterEach(() => {
+    pools.forEach((pool) => pool.shutdown());
+  });
+
+  const createPool = (options = {}) => {
+    const pool = new StdioWorkerPool({
+      name: "generator",
+      script: "/app/mcps/test/generator/index.js",
+      size: 2,
+      restartDelay: 1,
+      ...options,
+    });
+    pools.push(pool);
+    return pool;
+  };
+
+  it("should start workers on first call in worker mode", async () => {
+    const pool = createPool();
+
+    expect(mockSpawn).not.toHaveBeenCalled();
+
+    const result = pool.call("run", { data: { className: "UserService" } });
+    await tick();
+
+    expect(mockSpawn).toHaveBeenCalledTimes(2);
+    expect(mockSpawn).toHaveBeenCalledWith(
+      "node",
+      ["/app/mcps/test/generator/index.js", "--worker"],
+      expect.objectContaining({ stdio: ["pipe", "pipe", "pipe"] }),
+    );
+    expect(children[0].requests).toEqual([
+      {
+        jsonrpc: "2.0",
+        id: 1,
+        method: "run",
+        params: { data: { className: "UserService" } },
+      },
+    ]);
+
+    children[0].respond({ id: 1, result: { success: true } });
+    await expect(result).resolves.toEqual({ success: true });
+  });
+
+  it("should reuse workers across calls", async () => {
+    const pool = createPool({ size: 1 });
+
+    const first = pool.call("run", { n: 1 });
+    await tick();
+    children[0].respond({ id: 1, result: 1 });
+    await first;
+
+    const second = pool.call("run", { n: 2 });
+    await tick();
+    children[0].respond({ id: 2, result: 2 });
+
+    await expect(second).resolves.toBe(2);
+    expect(mockSpawn).toHaveBeenCalledTimes(1);
+    expect(pool.getStatus().workers[0].handled).toBe(2);
+  });
+
+  it("should queue calls beyond the pool size", async () => {
+    const pool = createPool();
+
+    const calls = [1, 2, 3].map((n) => pool.call("run", { n }));
+    await tick();
+
+    expect(pool.getStatus()).toEqual(
+      expect.objectContaining({ size: 2, busy: 2, queued: 1 }),
+    );
+    expect(children[0].requests).toHaveLength(1);
+    expect(children[1].requests).toHaveLength(1);
+
+    children[1].respond({ id: 2, result: "two" });
+    await tick();
+    expect(children[1].requests[1].id).toBe(3);
+
+    children[0].respond({ id: 1, result: "one" });
+    children[1].respond({ id: 3, result: "three" });
+    await expect(Promise.all(calls)).resolves.toEqual(["one", "two", "three"]);
+  });
+
+  it("should reject when the queue is full", async () => {
+    const pool = createPool({ size: 1, maxQueue: 1 });
+
+    pool.call("run", {}).catch(() => {});
+    pool.call("run", {}).catch(() => {});
+
+    await expect(pool.call("run", {})).rejects.toThrow(
+      "generator queue is full",
+    );
+  });
+
+  it("should turn JSON-RPC errors into rejected calls", async () => {
+    const pool = createPool({ size: 1 });
+
+    const call = pool.call("run", {});
+    await tick();
+    children[0].respond({
+      id: 1,
+      error: { code: -32603, message: "ANTHROPIC_API_KEY is not set" },
+    });
+
+    await expect(call).rejects.toMatchObject({
+      message: "ANTHROPIC_API_KEY is not set",
+      code: -32603,
+    });
+    expect(pool.getStatus().workers[0]).toEqual(
+      expect.objectContaining({ status: "idle", failed: 1 }),
+    );
+  });
+
+  it("should keep the HTTP status a worker reports for an error", async () => {
+    const pool = createPool({ size: 1 });
+
+    const call = pool.call("run", {});
+    await tick();
+    children[0].respond({
+      id: 1,
+      error: {
+        code: -32603,
+        message: "AI budget exceeded",
+        data: { statusCode: 429 },
+      },
+    });
+
+    await expect(call).rejects.toMatchObject({
+      message: "AI budget exceeded",
+      statusCode: 429,
+    });
+  });
+
+  it("should ignore output lines that are not responses", async () => {
+    const pool = createPool({ size: 1 });
+
+    const call = pool.call("run", {});
+    await tick();
+    children[0].stdout.write("Loading model...\n");
+    children[0].respond({ id: 99, result: "stale" });
+    children[0].respond({ id: 1, result: "done" });
+
+    await expect(call).resolves.toBe("done");
+  });
+
+  it("should time out calls and restart the worker", async () => {
+    const pool = createPool({ size: 1, timeout: 20 });
+
+    await expect(pool.call("run", {})).rejects.toThrow(
+      "generator timed out after 20ms",
+    );
+    expect(children[0].kill).toHaveBeenCalledWith("SIGKILL");
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    expect(mockSpawn).toHaveBeenCalledTimes(2);
+    expect(pool.getStatus()).toEqual(expect.objectContaining({ restarts: 1 }));
+    expect(pool.getStatus().workers[0]).toEqual(
+      expect.objectContaining({
+        status: "idle",
+        pid: children[1].pid,
+        lastError: "generator timed out after 20ms",
+      }),
+    );
+  });
+
+  it("should fail in-flight calls when a worker crashes and serve the queue after restart", async () => {
+    const pool = createPool({ size: 1 });
+
+    const inFlight = pool.call("run", { n: 1 });
+    const queued = pool.call("run", { n: 2 });
+    await tick();
+    children[0].emit("exit", 1, null);
+
+    await expect(inFlight).rejects.toThrow(
+      "generator worker exited with code 1",
+    );
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(children[1].requests[0].params).toEqual({ n: 2 });
+
+    children[1].respond({ id: 2, result: "recovered" });
+    await expect(queued).resolves.toBe("recovered");
+  });
+
+  it("should abort calls when the job's signal fires", async () => {
+    const pool = createPool({ size: 1 });
+    const controller = new AbortController();
+
+    const inFlight = pool.call("run", {}, { signal: controller.signal });
+    const queued = pool.call("run", {}, { signal: controller.signal });
+    await tick();
+    controller.abort();
+
+    await expect(inFlight).rejects.toThrow("Job cancelled");
+    await expect(queued).rejects.toThrow("Job cancelled");
+    expect(children[0].kill).toHaveBeenCalledWith("SIGKILL");
+  });
+
+  it("should stop workers and fail queued calls on shutdown", async () => {
+    const pool = createPool({ size: 1 });
+
+    const inFlight = pool.call("run", {});
+    const queued = pool.call("run", {});
+    await tick();
+    pool.shutdown();
+
+    await expect(queued).rejects.toThrow("generator pool is shutting down");
+    await expect(inFlight).rejects.toThrow("generator worker exited");
+    expect(pool.getStatus().workers[0].status).toBe("stopped");
+    expect(mockSpawn).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,326 @@
+import express from "express";
+import request from "supertest";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  TraceStore,
+  buildWaterfall,
+  currentTraceparent,
+  formatTraceparent,
+  fromOtlp,
+  parseTraceparent,
+  toOtlp,
+  traceStore,
+  tracingMiddleware,
+  withSpan,
+} from "../../../src/services/tracing.js";
+
+describe("Tracing", () => {
+  const traceId = "4bf92f3577b34da6a3ce929d0e0e4736";
+
+  const span = (overrides) => ({
+    traceId,
+    spanId: "00f067aa0ba902b7",
+    parentSpanId: null,
+    name: "POST /api/ado/generate-test-cases",
+    kind: "server",
+    service: "orchestrator",
+    startTime: 1000,
+    endTime: 1500,
+    duration: 500,
+    status: "ok",
+    error: null,
+    attributes: {},
+    ...overrides,
+  });
+
+  describe("traceparent", () => {
+    it("should parse and format W3C traceparent headers", () => {
+      const header = `00-${traceId}-00f067aa0ba902b7-01`;
+
+      expect(parseTraceparent(header)).toEqual({
+        traceId,
+        spanId: "00f067aa0ba902b7",
+        sampled: true,
+      });
+      expect(formatTraceparent(parseTraceparent(header))).toBe(header);
+    });
+
+    it("should reject malformed and all-zero IDs", () => {
+      expect(parseTraceparent("garbage")).toBeNull();
+      expect(parseTraceparent(undefined)).toBeNull();
+      expect(
+        parseTraceparent(`00-${"0".repeat(32)}-00f067aa0ba902b7-01`),
+      ).toBeNull();
+    });
+  });
+
+  describe("withSpan", () => {
+    it("should nest spans in one trace and record them", async () => {
+      let innerTraceparent;
+      const outer = await withSpan("outer", {}, async (outerSpan) => {
+        await withSpan("inner", {}, async () => {
+          innerTraceparent = currentTraceparent();
+        });
+        return outerSpan;
+      });
+
+      const spans = await traceStore.getSpans(outer.traceId);
+      const inner = spans.find((s) => s.name === "inner");
+
+      expect(inner.parentSpanId).toBe(outer.spanId);
+      expect(innerTraceparent).toBe(`00-${outer.traceId}-${inner.spanId}-01`);
+      expect(currentTraceparent()).toBeUndefined();
+    });
+
+    it("should record errors and rethrow them", async () => {
+      let failed;
+      await expect(
+        withSpan("failing", {}, async (s) => {
+          failed = s;
+          throw new Error("MCP unavailable");
+        }),
+      ).rejects.toThrow("MCP unavailable");
+
+      const [recorded] = await traceStore.getSpans(failed.traceId);
+      expect(recorded).toEqual(
+        expect.objectContaining({ status: "error", error: "MCP unavailable" }),
+      );
+    });
+  });
+
+  describe("tracingMiddleware", () => {
+    const createApp = () => {
+      const app = express();
+      app.use(tracingMiddleware());
+      app.get("/api/items/:id", (req, res) =>
+        res.json({ traceparent: currentTraceparent() }),
+      );
+      app.get("/health", (req, res) => res.json({ ok: true }));
+      return app;
+    };
+
+    it("should continue an incoming trace and return its ID", async () => {
+      const response = await request(createApp())
+        .get("/api/items/1")
+        .set("traceparent", `00-${traceId}-00f067aa0ba902b7-01`);
+
+      expect(response.headers["x-trace-id"]).toBe(traceId);
+      expect(response.body.traceparent).toMatch(
+        new RegExp(`^00-${traceId}-[0-9a-f]{16}-01$`),
+      );
+
+      const spans = await traceStore.getSpans(traceId);
+      expect(spans).toContainEqual(
+        expect.objectContaining({
+          name: "GET /api/items/:id",
+          kind: "server",
+          parentSpanId: "00f067aa0ba902b7",
+          attributes: expect.objectContaining({ "http.status_code": 200 }),
+        }),
+      );
+    });
+
+    it("should start a new trace without a traceparent", async () => {
+      const response = await request(createApp()).get("/api/items/2");
+
+      expect(response.headers["x-trace-id"]).toMatch(/^[0-9a-f]{32}$/);
+      expect(response.headers["x-trace-id"]).not.toBe(traceId);
+    });
+
+    it("should not trace health checks", async () => {
+      const response = await request(createApp()).get("/health");
+
+      expect(response.headers["x-trace-id"]).toBeUndefined();
+    });
+  });
+
+  describe("OTLP", () => {
+    it("should round-trip spans through the OTLP JSON encoding", () => {
+      const spans = [
+        span({
+          service: "risk-analyzer",
+          kind: "client",
+          parentSpanId: "1111111111111111",
+          attributes: { "gen_ai.usage.input_tokens": 120, cached: false },
+        }),
+      ];
+
+      const otlp = toOtlp(spans);
+
+      expect(otlp.resourceSpans[0].resource.attributes).toEqual([
+        { key: "service.name", value: { stringValue: "risk-analyzer" } },
+      ]);
+      expect(fromOtlp(otlp)).toEqual(spans);
+    });
+
+    it("should read int64 attributes encoded as strings", () => {
+      const [parsed] = fromOtlp({
+        resourceSpans: [
+          {
+            scopeSpans: [
+              {
+                spans: [
+                  {
+                    traceId,
+                    spanId: "00f067aa0ba902b7",
+                    name: "chat gpt-4o",
+                    kind: 3,
+                    startTimeUnixNano: "1000000000",
+                    endTimeUnixNano: "1250000000",
+                    attributes: [
+                      {
+                        key: "gen_ai.usage.output_tokens",
+                        value: { intValue: "42" },
+                      },
+                    ],
+                    status: { code: 2, message: "rate limited" },
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      });
+
+      expect(parsed).toEqual(
+        expect.objectContaining({
+          service: "unknown",
+          kind: "client",
+          duration: 250,
+          status: "error",
+          error: "rate limited",
+          attributes: { "gen_ai.usage.output_tokens": 42 },
+        }),
+      );
+    });
+  });
+
+  describe("buildWaterfall", () => {
+    it("should order spans parent-first with depth, offsets and AI usage", () => {
+      const trace = buildWaterfall([
+        span({
+          spanId: "cccccccccccccccc",
+          parentSpanId: "bbbbbbbbbbbbbbbb",
+          name: "chat claude-3-haiku-20240307",
+          service: "risk-analyzer",
+          startTime: 1200,
+          endTime: 1400,
+          attributes: {
+            "gen_ai.system": "anthropic",
+            "gen_ai.request.model": "claude-3-haiku-20240307",
+            "gen_ai.usage.input_tokens": 300,
+            "gen_ai.usage.output_tokens": 80,
+          },
+        }),
+        span({ spanId: "aaaaaaaaaaaaaaaa" }),
+        span({
+          spanId: "bbbbbbbbbbbbbbbb",
+          parentSpanId: "aaaaaaaaaaaaaaaa",
+          name: "riskAnalyzer POST /analyze-risk",
+          startTime: 1100,
+          endTime: 1450,
+        }),
+      ]);
+
+      expect(trace.spans.map((s) => [s.spanId[0], s.depth, s.offset])).toEqual([
+        ["a", 0, 0],
+        ["b", 1, 100],
+        ["c", 2, 200],
+      ]);
+      expect(trace.spans[2].aiUsage).toEqual({
+        provider: "anthropic",
+        model: "claude-3-haiku-20240307",
+        inputTokens: 300,
+        outputTokens: 80,
+        totalTokens: 380,
+      });
+      expect(trace.aiUsage).toEqual({
+        calls: 1,
+        inputTokens: 300,
+        outputTokens: 80,
+        totalTokens: 380,
+      });
+      expect(trace).toEqual(
+        expect.objectContaining({
+          name: "POST /api/ado/generate-test-cases",
+          duration: 500,
+          spanCount: 3,
+          services: ["risk-analyzer", "orchestrator"],
+        }),
+      );
+    });
+
+    it("should return null for unknown traces", () => {
+      expect(buildWaterfall([])).toBeNull();
+    });
+  });
+
+  describe("TraceStore", () => {
+    let dataDir;
+
+    beforeEach(() => {
+      dataDir = mkdtempSync(path.join(tmpdir(), "traces-"));
+    });
+
+    afterEach(() => {
+      rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it("should keep only the most recent traces in memory", () => {
+      const store = new TraceStore({ maxTraces: 2, filePath: "" });
+
+      ["a", "b", "c"].forEach((id, i) =>
+        store.record([span({ traceId: id.repeat(32), startTime: i })]),
+      );
+
+      expect(store.list().map((t) => t.traceId[0])).toEqual(["c", "b"]);
+    });
+
+    it("should append spans to the trace file and read traces back from it", async () => {
+      const filePath = path.join(dataDir, "traces.jsonl");
+      const store = new TraceStore({ filePath, otlpEndpoint: "" });
+
+      store.record([span()]);
+      await store.flush();
+
+      const restored = new TraceStore({ filePath, otlpEndpoint: "" });
+      expect(await restored.getSpans(traceId)).toEqual([span()]);
+    });
+
+    it("should return no spans when the trace file does not exist", async () => {
+      const store = new TraceStore({
+        filePath: path.join(dataDir, "missing.jsonl"),
+      });
+
+      expect(await store.getSpans(traceId)).toEqual([]);
+    });
+
+    it("should skip unrelated lines in the trace file", async () => {
+      const filePath = path.join(dataDir, "traces.jsonl");
+      writeFileSync(
+        filePath,
+        [span({ traceId: "f".repeat(32) }), span()]
+          .map((s) => JSON.stringify(s))
+          .join("\n"),
+      );
+
+      const store = new TraceStore({ filePath });
+
+      expect(await store.getSpans(traceId)).toHaveLength(1);
+    });
+
+    it("should skip lines that are not valid JSON", async () => {
+      const filePath = path.join(dataDir, "traces.jsonl");
+      writeFileSync(
+        filePath,
+        [JSON.stringify(span()), `{"traceId":"${traceId}","spa`].join("\n"),
+      );
+
+      const store = new TraceStore({ filePath });
+
+      expect(await store.getSpans(traceId)).toEqual([span()]);
+    });
+  });
+});
@@ -0,0 +1,414 @@
+import { jest } from "@jest/globals";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  WorkflowEngine,
+  evaluate,
+  resolveTemplate,
+  validateWorkflow,
+} from "../../../src/services/workflowEngine.js";
+import { createMockMcpManager } from "../../helpers/mocks.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe("WorkflowEngine", () => {
+  let dir, mcpManager, callRoute;
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), "workflows-"));
+    mcpManager = createMockMcpManager();
+    callRoute = jest.fn();
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (file, content) =>
+    writeFileSync(
+      path.join(dir, file),
+      typeof content === "string" ? content : JSON.stringify(content),
+    );
+
+  const createEngine = (...definitions) => {
+    definitions.forEach((definition, i) =>
+      write(`workflow-${i}.json`, definition),
+    );
+    return new WorkflowEngine({ mcpManager, callRoute, dir }).load();
+  };
+
+  describe("expressions", () => {
+    const scope = {
+      inputs: { app: "App1", count: 3 },
+      story: { id: 7, fields: { "System.Title": "Pay bill" } },
+      steps: { risk: { level: "high", files: ["a.cs", "b.cs"] } },
+    };
+
+    it("should read paths, indexes and quoted keys", () => {
+      expect(evaluate("inputs.app", scope)).toBe("App1");
+      expect(evaluate("steps.risk.files[1]", scope)).toBe("b.cs");
+      expect(evaluate("story.fields['System.Title']", scope)).toBe("Pay bill");
+      expect(evaluate("steps.risk.files.length", scope)).toBe(2);
+      expect(evaluate("steps.missing.level", scope)).toBeUndefined();
+    });
+
+    it("should compare and combine conditions", () => {
+      expect(
+        evaluate("steps.risk.level == 'high' && inputs.count > 2", scope),
+      ).toBe(true);
+      expect(evaluate("!(steps.risk.level != 'low') || false", scope)).toBe(
+        false,
+      );
+    });
+
+    it("should not expose inherited properties", () => {
+      expect(evaluate("inputs.constructor", scope)).toBeUndefined();
+      expect(evaluate("inputs.__proto__", scope)).toBeUndefined();
+    });
+
+    it("should reject malformed expressions", () => {
+      expect(() => evaluate("inputs.app ==", scope)).toThrow(
+        "Unexpected end of expression",
+      );
+      expect(() => evaluate("inputs.app; exit", scope)).toThrow(
+        "Invalid expression",
+      );
+    });
+
+    it("should keep types for whole expressions and interpolate the rest", () => {
+      expect(
+        resolveTemplate(
+          {
+            storyId: "${story.id}",
+            files: "${steps.risk.files}",
+            tag: "QE-Risk-${steps.risk.level}",
+            fixed: 1,
+          },
+          scope,
+        ),
+      ).toEqual({
+        storyId: 7,
+        files: ["a.cs", "b.cs"],
+        tag: "QE-Risk-high",
+        fixed: 1,
+      });
+    });
+  });
+
+  describe("validateWorkflow", () => {
+    it("should accept a valid workflow", () => {
+      expect(
+        validateWorkflow({
+          name: "risk",
+          steps: [{ id: "risk", mcp: "riskAnalyzer", endpoint: "/analyze" }],
+        }),
+      ).toEqual([]);
+    });
+
+    it("should report every problem", () => {
+      const errors = validateWorkflow({
+        name: "1bad",
+        steps: [
+          { id: "a", mcp: "x", route: "POST /api/x" },
+          { id: "a", route: "FETCH x", onError: "ignore" },
+          { id: "b", steps: [] },
+        ],
+      });
+
+      expect(errors).toEqual([
+        expect.stringContaining("name must start with a letter"),
+        "steps[0] needs exactly one of mcp, route or steps",
+        'steps[1].id "a" is used twice',
+        'steps[1].route must look like "POST /api/..."',
+        "steps[1].onError must be one of: fail, continue",
+        "steps[2].steps must be a non-empty array",
+      ]);
+    });
+  });
+
+  describe("load", () => {
+    it("should load YAML and JSON definitions and report invalid files", () => {
+      write(
+        "risk.yaml",
+        [
+          "name: risk",
+          "steps:",
+          "  - id: risk",
+          "    mcp: riskAnalyzer",
+          "    endpoint: /analyze-risk",
+        ].join("\n"),
+      );
+      write("broken.json", "{ not json");
+      write("notes.txt", "ignored");
+
+      const engine = new WorkflowEngine({ mcpManager, dir }).load();
+
+      expect(engine.list()).toEqual([
+        {
+          name: "risk",
+          description: null,
+          inputs: {},
+          steps: ["risk"],
+          file: "risk.yaml",
+        },
+      ]);
+      expect(engine.loadErrors).toEqual([
+        { file: "broken.json", error: expect.any(String) },
+      ]);
+    });
+
+    it("should load the workflows shipped in config/workflows", () => {
+      const engine = new WorkflowEngine({
+        mcpManager,
+        dir: path.resolve(__dirname, "../../../../config/workflows"),
+      }).load();
+
+      expect(engine.loadErrors).toEqual([]);
+      expect(engine.get("sprint-story-risk")).not.toBeNull();
+    });
+  });
+
+  describe("run", () => {
+    it("should chain steps, mapping inputs from earlier outputs", async () => {
+      const engine = createEngine({
+        name: "pr-risk",
+        inputs: { storyId: { required: true }, app: { default: "App1" } },
+        steps: [
+          {
+            id: "prFiles",
+            mcp: "azureDevOps",
+            endpoint: "/work-items/${inputs.storyId}/files-changed",
+            method: "get",
+            output: "${result.data.files}",
+          },
+          {
+            id: "blastRadius",
+            mcp: "blastRadiusAnalyzer",
+            endpoint: "/analyze",
+            input: { app: "${inputs.app}", changedFiles: "${steps.prFiles}" },
+          },
+        ],
+        output: { impactScore: "${steps.blastRadius.impactScore}" },
+      });
+      mcpManager.callDockerMcp
+        .mockResolvedValueOnce({ data: { files: ["Pay.cs"] } })
+        .mockResolvedValueOnce({ impactScore: 8 });
+
+      const run = await engine.run("pr-risk", { storyId: 42 });
+
+      expect(mcpManager.callDockerMcp.mock.calls).toEqual([
+        ["azureDevOps", "/work-items/42/files-changed", {}, "GET"],
+        [
+          "blastRadiusAnalyzer",
+          "/analyze",
+          { app: "App1", changedFiles: ["Pay.cs"] },
+          "POST",
+        ],
+      ]);
+      expect(run).toMatchObject({
+        workflow: "pr-risk",
+        status: "succeeded",
+        inputs: { storyId: 42, app: "App1" },
+        output: { impactScore: 8 },
+        steps: [
+          { id: "prFiles", status: "succeeded" },
+          { id: "blastRadius", status: "succeeded" },
+        ],
+      });
+    });
+
+    it("should call STDIO MCPs and orchestrator routes", async () => {
+      const engine = createEngine({
+        name: "mixed",
+        steps: [
+          { id: "tests", mcp: "dotnet-unit-test-generator", input: { a: 1 } },
+          {
+            id: "preview",
+            route: "POST /api/ado/update-story/preview",
+            input: { storyId: 1 },
+          },
+        ],
+      });
+      mcpManager.callStdioMcp.mockResolvedValue({ success: true });
+      callRoute.mockResolvedValue({ preview: {} });
+
+      await engine.run("mixed");
+
+      expect(mcpManager.callStdioMcp).toHaveBeenCalledWith(
+        "dotnet-unit-test-generator",
+        { a: 1 },
+      );
+      expect(callRoute).toHaveBeenCalledWith({
+        method: "post",
+        path: "/api/ado/update-story/preview",
+        args: { storyId: 1 },
+      });
+    });
+
+    it("should skip steps whose condition is false", async () => {
+      const engine = createEngine({
+        name: "conditional",
+        steps: [
+          {
+            id: "blastRadius",
+            when: "${inputs.files.length > 0}",
+            mcp: "blastRadiusAnalyzer",
+            endpoint: "/analyze",
+          },
+        ],
+      });
+
+      const run = await engine.run("conditional", { files: [] });
+
+      expect(mcpManager.callDockerMcp).not.toHaveBeenCalled();
+      expect(run.steps[0].status).toBe("skipped");
+      expect(run.output).toEqual({ blastRadius: null });
+    });
+
+    it("should fan out nested steps over an array", async () => {
+      const engine = createEngine({
+        name: "per-story",
+        inputs: { stories: { required: true } },
+        steps: [
+          {
+            id: "perStory",
+            forEach: "${inputs.stories}",
+            as: "story",
+            concurrency: 2,
+            steps: [
+              {
+                id: "risk",
+                mcp: "riskAnalyzer",
+                endpoint: "/analyze-risk",
+                input: { story: "${story}" },
+                output: "${result.level}",
+              },
+              {
+                id: "tests",
+                when: "${steps.risk == 'high'}",
+                route: "POST /api/ado/generate-test-cases",
+                input: { storyId: "${story.id}" },
+              },
+            ],
+            output: { id: "${story.id}", risk: "${steps.risk}" },
+          },
+        ],
+      });
+      mcpManager.callDockerMcp.mockImplementation(
+        async (mcp, endpoint, data) =>
+          data.story.id === 1 ? { level: "high" } : { level: "low" },
+      );
+      callRoute.mockResolvedValue({});
+
+      const run = await engine.run("per-story", {
+        stories: [{ id: 1 }, { id: 2 }, { id: 3 }],
+      });
+
+      expect(run.output.perStory).toEqual([
+        { id: 1, risk: "high" },
+        { id: 2, risk: "low" },
+        { id: 3, risk: "low" },
+      ]);
+      expect(callRoute).toHaveBeenCalledTimes(1);
+      expect(run.steps[0].items[1].steps).toEqual([
+        expect.objectContaining({ id: "risk", status: "succeeded" }),
+        expect.objectContaining({ id: "tests", status: "skipped" }),
+      ]);
+    });
+
+    it("should retry failed steps", async () => {
+      const engine = createEngine({
+        name: "retry",
+        steps: [{ id: "a", mcp: "m", endpoint: "/x", retries: 1 }],
+      });
+      mcpManager.callDockerMcp
+        .mockRejectedValueOnce(new Error("socket hang up"))
+        .mockResolvedValueOnce({ ok: true });
+
+      const run = await engine.run("retry");
+
+      expect(run.output).toEqual({ a: { ok: true } });
+      expect(mcpManager.callDockerMcp).toHaveBeenCalledTimes(2);
+    });
+
+    it("should continue past failed steps with their fallback", async () => {
+      const engine = createEngine({
+        name: "continue",
+        steps: [
+          {
+            id: "prFiles",
+            mcp: "azureDevOps",
+            endpoint: "/x",
+            onError: "continue",
+            fallback: { files: [] },
+          },
+          {
+            id: "count",
+            mcp: "m",
+            endpoint: "/count",
+            input: { n: "${steps.prFiles.files.length}" },
+          },
+        ],
+      });
+      mcpManager.callDockerMcp
+        .mockRejectedValueOnce(new Error("ADO down"))
+        .mockResolvedValueOnce({});
+
+      const run = await engine.run("continue");
+
+      expect(run.steps[0]).toMatchObject({
+        status: "continued",
+        error: "ADO down",
+      });
+      expect(mcpManager.callDockerMcp).toHaveBeenLastCalledWith(
+        "m",
+        "/count",
+        { n: 0 },
+        "POST",
+      );
+    });
+
+    it("should stop at a failed step and report the partial run", async () => {
+      const engine = createEngine({
+        name: "failing",
+        steps: [
+          { id: "a", mcp: "m", endpoint: "/a" },
+          { id: "b", mcp: "m", endpoint: "/b" },
+          { id: "c", mcp: "m", endpoint: "/c" },
+        ],
+      });
+      mcpManager.callDockerMcp
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error("Circuit breaker is OPEN for m"));
+
+      const error = await engine.run("failing").catch((e) => e);
+
+      expect(error.message).toBe(
+        "Workflow failing failed: Circuit breaker is OPEN for m",
+      );
+      expect(error.statusCode).toBe(500);
+      expect(error.run.steps.map((s) => [s.id, s.status])).toEqual([
+        ["a", "succeeded"],
+        ["b", "failed"],
+      ]);
+    });
+
+    it("should reject unknown workflows and missing inputs", async () => {
+      const engine = createEngine({
+        name: "needs-input",
+        inputs: { app: { required: true } },
+        steps: [{ id: "a", mcp: "m", endpoint: "/a" }],
+      });
+
+      await expect(engine.run("nope")).rejects.toMatchObject({
+        statusCode: 404,
+      });
+      await expect(engine.run("needs-input")).rejects.toMatchObject({
+        statusCode: 400,
+        message: "Missing required inputs: app",
+      });
+    });
+  });
+});
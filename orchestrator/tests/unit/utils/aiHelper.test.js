@@ -1,7 +1,12 @@
 import { jest } from "@jest/globals";
 
 describe("aiHelper", () => {
-  let callClaude, mockAnthropicInstance;
+  let callClaude,
+    callClaudeWithMetadata,
+    listAvailableModels,
+    mockAnthropicInstance,
+    mockAiUsage,
+    mockImportShared;
 
   beforeEach(async () => {
     // Reset modules before each test
@@ -19,9 +24,30 @@ describe("aiHelper", () => {
       default: jest.fn(() => mockAnthropicInstance),
     }));
 
+    // Keep usage metering off disk
+    mockAiUsage = {
+      assertWithinBudget: jest.fn().mockResolvedValue({ status: "ok" }),
+      record: jest.fn().mockResolvedValue([]),
+    };
+    await jest.unstable_mockModule("../../../src/services/aiUsage.js", () => ({
+      aiUsage: mockAiUsage,
+      currentUsageCaller: () => ({ source: "/api/ai/explain-query" }),
+    }));
+
+    // No shared response cache unless a test provides one
+    mockImportShared = jest.fn().mockResolvedValue(null);
+    await jest.unstable_mockModule(
+      "../../../src/utils/sharedModules.js",
+      () => ({
+        importShared: mockImportShared,
+      }),
+    );
+
     // Import after mocking
     const aiHelper = await import("../../../src/utils/aiHelper.js");
     callClaude = aiHelper.callClaude;
+    callClaudeWithMetadata = aiHelper.callClaudeWithMetadata;
+    listAvailableModels = aiHelper.listAvailableModels;
 
     // Set test environment
     process.env.ANTHROPIC_API_KEY = "test-api-key";
@@ -263,4 +289,335 @@ describe("aiHelper", () => {
       expect(mockAnthropicInstance.messages.create).toHaveBeenCalledTimes(3);
     });
   });
+
+  describe("usage metering", () => {
+    it("should record tokens billed to the calling route", async () => {
+      mockAnthropicInstance.messages.create.mockResolvedValueOnce({
+        content: [{ text: "Response" }],
+        usage: { input_tokens: 1200, output_tokens: 300 },
+      });
+
+      await callClaude("Prompt", "claude-opus-4-5-20251101");
+
+      expect(mockAiUsage.assertWithinBudget).toHaveBeenCalledWith({
+        source: "/api/ai/explain-query",
+      });
+      expect(mockAiUsage.record).toHaveBeenCalledWith([
+        expect.objectContaining({
+          model: "claude-opus-4-5-20251101",
+          provider: "anthropic",
+          source: "/api/ai/explain-query",
+          inputTokens: 1200,
+          outputTokens: 300,
+        }),
+      ]);
+    });
+
+    it("should let callers bill another source but not pick the team", async () => {
+      mockAnthropicInstance.messages.create.mockResolvedValueOnce({
+        content: [{ text: "Response" }],
+        usage: { input_tokens: 10, output_tokens: 20 },
+      });
+
+      await callClaude("Prompt", null, 1024, {
+        source: "nightly-report",
+        team: "delivery",
+      });
+
+      const [[event]] = mockAiUsage.record.mock.calls[0];
+      expect(event.source).toBe("nightly-report");
+      expect(event).not.toHaveProperty("team");
+    });
+
+    it("should not call the API once the hard budget is spent", async () => {
+      mockAiUsage.assertWithinBudget.mockRejectedValueOnce(
+        new Error("AI budget exceeded"),
+      );
+
+      await expect(callClaude("Prompt")).rejects.toThrow("AI budget exceeded");
+      expect(mockAnthropicInstance.messages.create).not.toHaveBeenCalled();
+    });
+
+    it("should still return the response when usage can't be recorded", async () => {
+      mockAnthropicInstance.messages.create.mockResolvedValueOnce({
+        content: [{ text: "Response" }],
+        usage: { input_tokens: 10, output_tokens: 20 },
+      });
+      mockAiUsage.record.mockRejectedValueOnce(new Error("EACCES"));
+
+      await expect(callClaude("Prompt")).resolves.toBe("Response");
+    });
+  });
+
+  describe("response cache", () => {
+    let entries;
+
+    beforeEach(() => {
+      entries = new Map();
+      const cache = {
+        cacheKey: (request) => JSON.stringify(request),
+        aiCache: {
+          get: jest.fn(async (key) => entries.get(key) || null),
+          set: jest.fn(async (key, response) => {
+            entries.set(key, {
+              cachedAt: "2026-03-01T10:00:00.000Z",
+              response,
+            });
+          }),
+        },
+      };
+      mockImportShared.mockImplementation(async (file) =>
+        file === "shared/aiCache.js" ? cache : null,
+      );
+      mockAnthropicInstance.messages.create.mockResolvedValue({
+        content: [{ text: "Response" }],
+        usage: { input_tokens: 10, output_tokens: 20 },
+      });
+    });
+
+    it("should answer a repeated prompt from the cache", async () => {
+      const first = await callClaudeWithMetadata("Prompt");
+      const second = await callClaudeWithMetadata("Prompt");
+
+      expect(first).toMatchObject({ text: "Response", cached: false });
+      expect(second).toMatchObject({
+        text: "Response",
+        cached: true,
+        cachedAt: "2026-03-01T10:00:00.000Z",
+      });
+      expect(mockAnthropicInstance.messages.create).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not spend budget on cached answers", async () => {
+      await callClaude("Prompt");
+      await callClaude("Prompt");
+
+      expect(mockAiUsage.assertWithinBudget).toHaveBeenCalledTimes(1);
+      expect(mockAiUsage.record).toHaveBeenCalledTimes(1);
+    });
+
+    it("should call the API again for noCache requests", async () => {
+      await callClaude("Prompt");
+      const refreshed = await callClaudeWithMetadata("Prompt", null, 4096, {
+        noCache: true,
+      });
+
+      expect(refreshed.cached).toBe(false);
+      expect(mockAnthropicInstance.messages.create).toHaveBeenCalledTimes(2);
+    });
+
+    it("should key entries by every request parameter", async () => {
+      await callClaude("Prompt");
+      await callClaude("Prompt", "claude-opus-4-5-20251101");
+      await callClaude("Prompt", null, 1024);
+      await callClaude("Prompt", null, 4096, { temperature: 0 });
+      await callClaude("Prompt", null, 4096, { system: "You are a QA lead" });
+      await callClaude("Prompt", null, 4096, { temperature: 0 });
+
+      expect(mockAnthropicInstance.messages.create).toHaveBeenCalledTimes(5);
+      expect(mockAnthropicInstance.messages.create).toHaveBeenLastCalledWith({
+        model: expect.any(String),
+        max_tokens: 4096,
+        messages: [{ role: "user", content: "Prompt" }],
+        system: "You are a QA lead",
+      });
+    });
+  });
+
+  describe("provider routing", () => {
+    let localProvider, resolveModel;
+
+    beforeEach(() => {
+      localProvider = {
+        name: "local",
+        complete: jest.fn().mockResolvedValue({
+          text: "Local response",
+          usage: { promptTokens: 40, completionTokens: 8, totalTokens: 48 },
+        }),
+      };
+      resolveModel = jest.fn(({ model, app, fallbackModel }) => {
+        if (app === "Payments") {
+          return {
+            model: "local/qwen2.5-coder:14b",
+            provider: "local",
+            rerouted: Boolean(model),
+          };
+        }
+        const effective = model || fallbackModel;
+        return {
+          model: effective,
+          provider: effective.startsWith("local/") ? "local" : "anthropic",
+          rerouted: false,
+        };
+      });
+      mockImportShared.mockImplementation(async (file) =>
+        file === "shared/aiProviders.js"
+          ? {
+              resolveModel,
+              getProvider: (name) => (name === "local" ? localProvider : null),
+            }
+          : null,
+      );
+    });
+
+    it("should send local models to the local provider", async () => {
+      delete process.env.ANTHROPIC_API_KEY;
+
+      const result = await callClaudeWithMetadata(
+        "Prompt",
+        "local/llama3.1:8b",
+        1024,
+      );
+
+      expect(localProvider.complete).toHaveBeenCalledWith({
+        model: "local/llama3.1:8b",
+        messages: [{ role: "user", content: "Prompt" }],
+        maxTokens: 1024,
+        options: {},
+      });
+      expect(result).toMatchObject({
+        text: "Local response",
+        provider: "local",
+        model: "local/llama3.1:8b",
+        usage: { promptTokens: 40, completionTokens: 8, totalTokens: 48 },
+      });
+      expect(mockAnthropicInstance.messages.create).not.toHaveBeenCalled();
+      expect(mockAiUsage.record).toHaveBeenCalledWith([
+        expect.objectContaining({
+          provider: "local",
+          inputTokens: 40,
+          outputTokens: 8,
+        }),
+      ]);
+    });
+
+    it("should apply the app's routing policy", async () => {
+      await callClaude("Prompt", "claude-opus-4-5-20251101", 4096, {
+        app: "Payments",
+      });
+
+      expect(resolveModel).toHaveBeenCalledWith({
+        model: "claude-opus-4-5-20251101",
+        app: "Payments",
+        fallbackModel: "claude-sonnet-4-20250514",
+      });
+      expect(localProvider.complete).toHaveBeenCalledWith(
+        expect.objectContaining({ model: "local/qwen2.5-coder:14b" }),
+      );
+      expect(mockAnthropicInstance.messages.create).not.toHaveBeenCalled();
+    });
+
+    it("should check the budget of the app's team", async () => {
+      await callClaude("Prompt", null, 4096, { app: "Payments" });
+
+      expect(mockAiUsage.assertWithinBudget).toHaveBeenCalledWith({
+        source: "/api/ai/explain-query",
+        app: "Payments",
+      });
+    });
+
+    it("should propagate policy refusals without calling any provider", async () => {
+      resolveModel.mockImplementationOnce(() => {
+        throw Object.assign(
+          new Error("PreCare may only use local AI providers, not anthropic"),
+          { statusCode: 403 },
+        );
+      });
+
+      await expect(
+        callClaude("Prompt", null, 4096, { app: "PreCare" }),
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(localProvider.complete).not.toHaveBeenCalled();
+      expect(mockAnthropicInstance.messages.create).not.toHaveBeenCalled();
+    });
+
+    it("should refuse an app's prompt when the provider policies can't be loaded", async () => {
+      mockImportShared.mockResolvedValue(null);
+
+      await expect(
+        callClaude("Prompt", null, 4096, { app: "PreCare" }),
+      ).rejects.toThrow("Cannot check the AI provider policy of PreCare");
+      expect(mockAnthropicInstance.messages.create).not.toHaveBeenCalled();
+      expect(mockAiUsage.record).not.toHaveBeenCalled();
+    });
+
+    it("should fail when the provider isn't registered", async () => {
+      resolveModel.mockReturnValueOnce({
+        model: "stub/test",
+        provider: "stub",
+        rerouted: false,
+      });
+
+      await expect(callClaude("Prompt", "stub/test")).rejects.toThrow(
+        "AI provider 'stub' is not available in the orchestrator",
+      );
+    });
+  });
+
+  describe("listAvailableModels", () => {
+    const catalog = {
+      "claude-sonnet-4-20250514": { provider: "anthropic" },
+      "local/llama3.1:8b": { provider: "local", displayName: "Llama 3.1 8B" },
+      "local/llama3.3:70b": { provider: "local", displayName: "Llama 3.3 70B" },
+    };
+    const mapper = {
+      getModelsByProvider: (provider) =>
+        Object.entries(catalog)
+          .filter(([, model]) => model.provider === provider)
+          .map(([id, model]) => ({ id, ...model })),
+      isValidModel: (id) => id in catalog,
+    };
+    let listModels;
+
+    beforeEach(() => {
+      listModels = jest.fn();
+      mockImportShared.mockImplementation(async (file) => {
+        if (file === "shared/modelMapper.js") return mapper;
+        if (file === "shared/aiProviders.js") {
+          return { getProvider: () => ({ listModels }) };
+        }
+        return null;
+      });
+    });
+
+    it("should merge the local server's models into the catalog", async () => {
+      listModels.mockResolvedValue(["local/llama3.1:8b", "local/phi4"]);
+
+      const result = await listAvailableModels();
+
+      expect(result.localServer).toEqual({ reachable: true });
+      expect(result.providers.anthropic).toHaveLength(1);
+      expect(result.providers.openai).toEqual([]);
+      expect(result.providers.local).toEqual([
+        expect.objectContaining({ id: "local/llama3.1:8b", available: true }),
+        expect.objectContaining({ id: "local/llama3.3:70b", available: false }),
+        expect.objectContaining({
+          id: "local/phi4",
+          displayName: "phi4",
+          available: true,
+        }),
+      ]);
+    });
+
+    it("should keep the catalog when the local server is down", async () => {
+      listModels.mockRejectedValue(new Error("ECONNREFUSED"));
+
+      const result = await listAvailableModels();
+
+      expect(result.localServer).toEqual({
+        reachable: false,
+        error: "ECONNREFUSED",
+      });
+      expect(result.providers.local.map((m) => m.id)).toEqual([
+        "local/llama3.1:8b",
+        "local/llama3.3:70b",
+      ]);
+    });
+
+    it("should return null without the shared model catalog", async () => {
+      mockImportShared.mockResolvedValue(null);
+
+      await expect(listAvailableModels()).resolves.toBeNull();
+    });
+  });
 });
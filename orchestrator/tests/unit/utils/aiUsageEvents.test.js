@@ -0,0 +1,58 @@
+import {
+  isUsageEntry,
+  usageEventError,
+} from "../../../src/utils/aiUsageEvents.js";
+
+const event = (overrides = {}) => ({
+  model: "gpt-4o",
+  source: "risk-analyzer",
+  timestamp: "2026-03-02T10:15:00.000Z",
+  inputTokens: 10,
+  outputTokens: 5,
+  ...overrides,
+});
+
+describe("usageEventError", () => {
+  it("should accept complete events and leave optional fields out", () => {
+    expect(usageEventError(event())).toBeNull();
+    expect(
+      usageEventError({ model: "gpt-4o", source: "risk-analyzer" }),
+    ).toBeNull();
+    expect(
+      usageEventError(event({ timestamp: "2026-03-02T10:15:00+01:00" })),
+    ).toBeNull();
+  });
+
+  it("should require a model and source", () => {
+    expect(usageEventError({ model: "gpt-4o" })).toBe(
+      "model and source are required",
+    );
+    expect(usageEventError(null)).toBe("model and source are required");
+  });
+
+  it("should reject timestamps that are not ISO strings", () => {
+    for (const timestamp of [Date.now(), "March 2nd", "2026-13-45T99:00Z"]) {
+      expect(usageEventError(event({ timestamp }))).toBe(
+        "timestamp must be an ISO 8601 string",
+      );
+    }
+  });
+
+  it("should reject negative or non-numeric token counts", () => {
+    expect(usageEventError(event({ inputTokens: -1 }))).toBe(
+      "inputTokens must be a non-negative number",
+    );
+    expect(usageEventError(event({ outputTokens: "5" }))).toBe(
+      "outputTokens must be a non-negative number",
+    );
+  });
+});
+
+describe("isUsageEntry", () => {
+  it("should only keep entries with ISO timestamps and token counts", () => {
+    expect(isUsageEntry(event())).toBe(true);
+    expect(isUsageEntry(event({ timestamp: 1772446500000 }))).toBe(false);
+    expect(isUsageEntry(event({ inputTokens: undefined }))).toBe(false);
+    expect(isUsageEntry(null)).toBe(false);
+  });
+});
@@ -0,0 +1,128 @@
+import {
+  computeDiffCoverage,
+  isCodeFile,
+  matchCoverageFile,
+} from "../../../src/utils/diffCoverage.js";
+
+describe("diffCoverage", () => {
+  describe("isCodeFile", () => {
+    it("should accept C# and JavaScript/TypeScript sources", () => {
+      expect(isCodeFile("/src/Payments.Api/Services/RefundService.cs")).toBe(
+        true,
+      );
+      expect(isCodeFile("/web/src/cart.tsx")).toBe(true);
+      expect(isCodeFile("/web/src/components/Cart.vue")).toBe(true);
+    });
+
+    it("should keep sources whose names merely end in test", () => {
+      expect(isCodeFile("/src/Payments.Api/Releases/Latest.cs")).toBe(true);
+      expect(isCodeFile("/src/Payments.Api/Contest.cs")).toBe(true);
+      expect(isCodeFile("/src/Payments.Core/LedgerTest.cs")).toBe(false);
+    });
+
+    it("should reject test files and non-code files", () => {
+      expect(
+        isCodeFile("/tests/Payments.Api.Tests/RefundServiceTests.cs"),
+      ).toBe(false);
+      expect(isCodeFile("/web/src/cart.test.ts")).toBe(false);
+      expect(isCodeFile("/web/src/__tests__/cart.js")).toBe(false);
+      expect(isCodeFile("/src/Payments.Api/appsettings.json")).toBe(false);
+    });
+  });
+
+  describe("matchCoverageFile", () => {
+    it("should match on the longest common path suffix", () => {
+      const coveragePaths = [
+        "C:\\agent\\_work\\1\\s\\src\\Payments.Api\\Services\\RefundService.cs",
+        "C:\\agent\\_work\\1\\s\\src\\Billing.Api\\Services\\RefundService.cs",
+      ];
+
+      expect(
+        matchCoverageFile(
+          "/src/Payments.Api/Services/RefundService.cs",
+          coveragePaths,
+        ),
+      ).toBe(coveragePaths[0]);
+    });
+
+    it("should match paths relative to the project", () => {
+      expect(
+        matchCoverageFile("/src/Payments.Api/Services/RefundService.cs", [
+          "Services/RefundService.cs",
+        ]),
+      ).toBe("Services/RefundService.cs");
+    });
+
+    it("should return null when the match is ambiguous or missing", () => {
+      expect(
+        matchCoverageFile("/src/Program.cs", [
+          "/build/Payments.Api/Program.cs",
+          "/build/Billing.Api/Program.cs",
+        ]),
+      ).toBeNull();
+      expect(matchCoverageFile("/src/Other.cs", ["/build/Program.cs"])).toBe(
+        null,
+      );
+    });
+  });
+
+  describe("computeDiffCoverage", () => {
+    const lineCoverage = {
+      "/build/src/Payments.Api/Services/RefundService.cs": {
+        10: 4,
+        11: 0,
+        12: 0,
+        14: 2,
+      },
+    };
+
+    it("should count only changed lines that are coverable", () => {
+      const result = computeDiffCoverage(
+        [
+          {
+            path: "/src/Payments.Api/Services/RefundService.cs",
+            changedLines: [10, 11, 12, 13, 14],
+          },
+        ],
+        lineCoverage,
+      );
+
+      expect(result.coverage).toEqual({
+        changedLines: 5,
+        coverableLines: 4,
+        coveredLines: 2,
+        percentage: 50,
+      });
+      expect(result.uncoveredLines).toEqual([
+        {
+          file: "/src/Payments.Api/Services/RefundService.cs",
+          start: 11,
+          end: 12,
+        },
+      ]);
+    });
+
+    it("should list code files without coverage data and skip other files", () => {
+      const result = computeDiffCoverage(
+        [
+          {
+            path: "/src/Payments.Api/Services/NewService.cs",
+            changedLines: [1],
+          },
+          { path: "/src/Payments.Api/appsettings.json", changedLines: [3] },
+          {
+            path: "/tests/Payments.Api.Tests/RefundServiceTests.cs",
+            changedLines: [5],
+          },
+        ],
+        lineCoverage,
+      );
+
+      expect(result.filesWithoutCoverage).toEqual([
+        "/src/Payments.Api/Services/NewService.cs",
+      ]);
+      expect(result.files).toEqual([]);
+      expect(result.coverage.percentage).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { jest } from "@jest/globals";
+import {
+  isInternalCaller,
+  requireInternalCaller,
+} from "../../../src/utils/internalAuth.js";
+
+const requestWith = (authorization) => ({
+  get: (header) =>
+    header.toLowerCase() === "authorization" ? authorization : undefined,
+});
+
+describe("internalAuth", () => {
+  describe("isInternalCaller", () => {
+    it("should accept the configured bearer token", () => {
+      expect(isInternalCaller(requestWith("Bearer s3cret"), "s3cret")).toBe(
+        true,
+      );
+      expect(isInternalCaller(requestWith("bearer  s3cret"), "s3cret")).toBe(
+        true,
+      );
+    });
+
+    it("should reject missing and wrong tokens", () => {
+      expect(isInternalCaller(requestWith(undefined), "s3cret")).toBe(false);
+      expect(isInternalCaller(requestWith("Bearer s3cre"), "s3cret")).toBe(
+        false,
+      );
+      expect(isInternalCaller(requestWith("Basic s3cret"), "s3cret")).toBe(
+        false,
+      );
+    });
+
+    it("should reject everyone when no token is configured", () => {
+      expect(isInternalCaller(requestWith("Bearer "), "")).toBe(false);
+      expect(isInternalCaller(requestWith("Bearer x"), undefined)).toBe(false);
+    });
+  });
+
+  describe("requireInternalCaller", () => {
+    afterEach(() => {
+      delete process.env.ORCHESTRATOR_INTERNAL_TOKEN;
+    });
+
+    it("should answer 401 without the token", () => {
+      process.env.ORCHESTRATOR_INTERNAL_TOKEN = "s3cret";
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      requireInternalCaller(requestWith("Bearer nope"), res, next);
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+
+      requireInternalCaller(requestWith("Bearer s3cret"), res, next);
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
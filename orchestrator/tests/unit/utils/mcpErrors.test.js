@@ -0,0 +1,38 @@
+import { mcpErrorResponse } from "../../../src/utils/mcpErrors.js";
+
+const httpError = (status, data) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data },
+  });
+
+describe("mcpErrorResponse", () => {
+  it("should pass the MCP's 4xx status and error message through", () => {
+    expect(
+      mcpErrorResponse(
+        httpError(400, { success: false, error: "Unknown risk profile: x" }),
+      ),
+    ).toEqual({ status: 400, message: "Unknown risk profile: x" });
+    expect(
+      mcpErrorResponse(
+        httpError(404, { error: { code: "NOT_FOUND", message: "No app" } }),
+      ),
+    ).toEqual({ status: 404, message: "No app" });
+  });
+
+  it("should fall back to the error's own message", () => {
+    expect(mcpErrorResponse(httpError(422, ""))).toEqual({
+      status: 422,
+      message: "Request failed with status code 422",
+    });
+  });
+
+  it("should answer 500 for MCP failures and unreachable MCPs", () => {
+    expect(
+      mcpErrorResponse(httpError(503, { error: "Unavailable" })).status,
+    ).toBe(500);
+    expect(mcpErrorResponse(new Error("ECONNREFUSED"))).toEqual({
+      status: 500,
+      message: "ECONNREFUSED",
+    });
+  });
+});
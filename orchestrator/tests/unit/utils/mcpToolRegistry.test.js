@@ -0,0 +1,161 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import {
+  MCPToolRegistry,
+  ROUTE_TOOLS,
+  createRouteCaller,
+  createRouteToolRegistry,
+} from "../../../src/utils/mcpToolRegistry.js";
+import {
+  JobQueue,
+  jobContextMiddleware,
+} from "../../../src/services/jobQueue.js";
+import { formatTraceparent, withSpan } from "../../../src/services/tracing.js";
+import { orchestratorApiSpec } from "../../../src/swagger/orchestrator-api-spec.js";
+
+describe("mcpToolRegistry", () => {
+  describe("createRouteToolRegistry", () => {
+    it("should generate a tool for every route from the API spec", () => {
+      const registry = createRouteToolRegistry(orchestratorApiSpec, jest.fn());
+
+      const { tools } = registry.listTools();
+
+      expect(tools.map((t) => t.name)).toEqual(ROUTE_TOOLS.map((t) => t.name));
+      tools.forEach((tool) => {
+        expect(tool.description).toBeTruthy();
+        expect(tool.inputSchema.type).toBe("object");
+      });
+    });
+
+    it("should use the route request body schema as the input schema", () => {
+      const registry = createRouteToolRegistry(orchestratorApiSpec, jest.fn());
+
+      const blastRadius = registry
+        .listTools()
+        .tools.find((t) => t.name === "analyze_blast_radius");
+
+      expect(blastRadius.inputSchema.required).toEqual(["app", "changedFiles"]);
+    });
+
+    it("should call the route with the tool arguments", async () => {
+      const callRoute = jest.fn().mockResolvedValue({ success: true });
+      const registry = createRouteToolRegistry(orchestratorApiSpec, callRoute);
+
+      const result = await registry.callTool("analyze_blast_radius", {
+        app: "Core",
+        changedFiles: ["src/a.cs"],
+      });
+
+      expect(callRoute).toHaveBeenCalledWith({
+        method: "post",
+        path: "/api/analysis/blast-radius/analyze",
+        args: { app: "Core", changedFiles: ["src/a.cs"] },
+      });
+      expect(result).toMatchObject({
+        isError: false,
+        structuredContent: { success: true },
+      });
+    });
+  });
+
+  describe("MCPToolRegistry", () => {
+    it("should reject routes missing from the spec", () => {
+      const registry = new MCPToolRegistry();
+
+      expect(() =>
+        registry.registerRoute(
+          { paths: {} },
+          { name: "missing", method: "post", path: "/api/missing" },
+          jest.fn(),
+        ),
+      ).toThrow("No POST /api/missing in the API spec");
+    });
+
+    it("should include the route's error response in error results", async () => {
+      const registry = new MCPToolRegistry();
+      const error = new Error("Request failed with status code 400");
+      error.response = { status: 400, data: { error: "app is required" } };
+      registry.registerTool("fails", "Fails", { type: "object" }, () =>
+        Promise.reject(error),
+      );
+
+      const result = await registry.callTool("fails", {});
+
+      expect(result.isError).toBe(true);
+      expect(result.structuredContent).toEqual({
+        error: "Request failed with status code 400",
+        status: 400,
+        details: { error: "app is required" },
+      });
+    });
+
+    it("should throw for unknown tools", async () => {
+      await expect(new MCPToolRegistry().callTool("nope")).rejects.toThrow(
+        "Tool not found: nope",
+      );
+    });
+  });
+
+  describe("createRouteCaller", () => {
+    let server;
+    let baseUrl;
+    let received;
+
+    beforeAll(async () => {
+      const app = express();
+      app.use(express.json());
+      app.post("/api/echo", (req, res) => {
+        received = req.headers;
+        res.json({ body: req.body });
+      });
+      await new Promise((resolve) => {
+        server = app.listen(0, "127.0.0.1", resolve);
+      });
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+    it("should call the route with the arguments", async () => {
+      const callRoute = createRouteCaller(baseUrl);
+
+      await expect(
+        callRoute({ method: "post", path: "/api/echo", args: { a: 1 } }),
+      ).resolves.toEqual({ body: { a: 1 } });
+      expect(received["x-job-id"]).toBeUndefined();
+      expect(received.traceparent).toBeUndefined();
+    });
+
+    it("should pass the current job and trace on", async () => {
+      const queue = new JobQueue({
+        persist: false,
+        runner: (job, context) =>
+          new Promise((resolve) => {
+            queue.context = { resolve, ...context };
+          }),
+      });
+      const job = queue.enqueue({ type: "test", request: {} });
+      const req = {
+        get: (name) =>
+          ({ "X-Job-Id": job.id, "X-Job-Token": queue.context.token })[name],
+      };
+      const callRoute = createRouteCaller(baseUrl);
+
+      let traceparent;
+      await new Promise((resolve, reject) =>
+        jobContextMiddleware(queue)(req, {}, () =>
+          withSpan("workflow step", {}, (span) => {
+            traceparent = formatTraceparent(span);
+            return callRoute({ method: "post", path: "/api/echo", args: {} });
+          }).then(resolve, reject),
+        ),
+      );
+
+      expect(received["x-job-id"]).toBe(job.id);
+      expect(received["x-job-token"]).toBe(queue.context.token);
+      expect(received.traceparent).toBe(traceparent);
+
+      queue.context.resolve({});
+    });
+  });
+});
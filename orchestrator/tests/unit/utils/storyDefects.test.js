@@ -0,0 +1,126 @@
+import { jest } from "@jest/globals";
+import {
+  getLinkedWorkItemIds,
+  getStoryDefects,
+} from "../../../src/utils/storyDefects.js";
+
+const relation = (rel, id) => ({
+  rel,
+  url: `https://dev.azure.com/org/_apis/wit/workItems/${id}`,
+});
+
+describe("storyDefects", () => {
+  describe("getLinkedWorkItemIds", () => {
+    it("should return IDs of work item links only", () => {
+      const story = {
+        relations: [
+          relation("System.LinkTypes.Related", 10),
+          relation("System.LinkTypes.Hierarchy-Forward", 11),
+          { rel: "ArtifactLink", url: "vstfs:///Git/Commit/abc" },
+          { rel: "Hyperlink", url: "https://example.com" },
+        ],
+      };
+
+      expect(getLinkedWorkItemIds(story)).toEqual([10, 11]);
+    });
+
+    it("should handle work items without relations", () => {
+      expect(getLinkedWorkItemIds({})).toEqual([]);
+    });
+  });
+
+  describe("getStoryDefects", () => {
+    let mcpManager;
+
+    beforeEach(() => {
+      mcpManager = { callDockerMcp: jest.fn() };
+    });
+
+    it("should return linked bugs and ignore other work item types", async () => {
+      mcpManager.callDockerMcp
+        .mockResolvedValueOnce({
+          data: [
+            {
+              id: 1,
+              relations: [
+                relation("System.LinkTypes.Related", 2),
+                relation("System.LinkTypes.Related", 3),
+              ],
+            },
+          ],
+        })
+        .mockResolvedValueOnce({
+          data: [
+            { id: 2, fields: { "System.WorkItemType": "Bug" } },
+            { id: 3, fields: { "System.WorkItemType": "Task" } },
+          ],
+        });
+
+      const defects = await getStoryDefects(mcpManager, "1");
+
+      expect(defects.map((d) => d.id)).toEqual([2]);
+      expect(mcpManager.callDockerMcp).toHaveBeenNthCalledWith(
+        1,
+        "azureDevOps",
+        "/work-items/get",
+        { ids: [1], orgWide: true },
+      );
+    });
+
+    it("should only count bugs created after the since date", async () => {
+      mcpManager.callDockerMcp
+        .mockResolvedValueOnce({
+          data: [
+            {
+              id: 1,
+              relations: [
+                relation("System.LinkTypes.Related", 2),
+                relation("System.LinkTypes.Related", 3),
+              ],
+            },
+          ],
+        })
+        .mockResolvedValueOnce({
+          data: [
+            {
+              id: 2,
+              fields: {
+                "System.WorkItemType": "Bug",
+                "System.CreatedDate": "2026-01-10T00:00:00Z",
+              },
+            },
+            {
+              id: 3,
+              fields: {
+                "System.WorkItemType": "Bug",
+                "System.CreatedDate": "2026-03-10T00:00:00Z",
+              },
+            },
+          ],
+        });
+
+      const defects = await getStoryDefects(mcpManager, 1, {
+        since: "2026-02-01T00:00:00Z",
+      });
+
+      expect(defects.map((d) => d.id)).toEqual([3]);
+    });
+
+    it("should skip the second lookup when nothing is linked", async () => {
+      mcpManager.callDockerMcp.mockResolvedValueOnce({
+        data: [{ id: 1, relations: [] }],
+      });
+
+      await expect(getStoryDefects(mcpManager, 1)).resolves.toEqual([]);
+      expect(mcpManager.callDockerMcp).toHaveBeenCalledTimes(1);
+    });
+
+    it("should throw when the story does not exist", async () => {
+      mcpManager.callDockerMcp.mockResolvedValueOnce({ data: [] });
+
+      await expect(getStoryDefects(mcpManager, 99)).rejects.toThrow(
+        "Work item 99 not found",
+      );
+    });
+  });
+});
@@ -3,6 +3,7 @@
  */
 
 import express, { Express, Request, Response, NextFunction } from "express";
+import axios from "axios";
 import {
   MCPConfig,
   MCPHealth,
@@ -12,17 +13,42 @@ import {
   requestId,
   logError,
   logInfo,
+  logWarn,
+  retry,
 } from "@qe-mcp-stack/shared";
 
+export type MCPCategory =
+  | "integration"
+  | "code-analysis"
+  | "quality-analysis"
+  | "playwright";
+
+/**
+ * How the MCP announces itself to the orchestrator registry
+ * (POST /api/mcp/register). Environment variables override these values.
+ */
+export interface MCPRegistrationConfig {
+  /** Orchestrator base URL (ORCHESTRATOR_URL); registration is skipped when unset */
+  orchestratorUrl?: string;
+  /** URL the orchestrator reaches this MCP at (MCP_PUBLIC_URL), defaults to http://<name>:<port> */
+  url?: string;
+  /** Registry category (MCP_CATEGORY) */
+  category?: MCPCategory;
+  /** Path of the OpenAPI JSON document, defaults to /api-docs.json */
+  swaggerPath?: string;
+}
+
 export abstract class BaseMCP {
   protected app: Express;
   protected config: MCPConfig;
   private startTime: number;
 
   private routesSetup = false;
+  protected registration: MCPRegistrationConfig;
 
-  constructor(config: MCPConfig) {
+  constructor(config: MCPConfig, registration: MCPRegistrationConfig = {}) {
     this.config = config;
+    this.registration = registration;
     this.app = express();
     this.startTime = Date.now();
     this.setupMiddleware();
@@ -142,12 +168,68 @@ export abstract class BaseMCP {
         host,
         environment: this.config.environment || process.env.NODE_ENV,
       });
+
+      // Registration must not block or fail startup
+      this.register().catch(() => undefined);
     });
 
     process.on("SIGTERM", this.shutdown.bind(this));
     process.on("SIGINT", this.shutdown.bind(this));
   }
 
+  /**
+   * Register with the orchestrator so it health checks this MCP and lists it
+   * in status and Swagger aggregation. Retries while the orchestrator starts.
+   */
+  protected async register(): Promise<void> {
+    const orchestratorUrl =
+      process.env.ORCHESTRATOR_URL || this.registration.orchestratorUrl;
+    if (!orchestratorUrl) return;
+
+    const category = (process.env.MCP_CATEGORY ||
+      this.registration.category) as MCPCategory | undefined;
+    if (!category) {
+      logWarn(`${this.config.name} has no registry category, not registering`);
+      return;
+    }
+
+    const body = {
+      name: this.config.name,
+      url:
+        process.env.MCP_PUBLIC_URL ||
+        this.registration.url ||
+        `http://${this.config.name}:${this.config.port}`,
+      category,
+      version: this.config.version,
+      swaggerPath: this.registration.swaggerPath || "/api-docs.json",
+    };
+
+    // The orchestrator only lets callers with its internal token move an
+    // already registered MCP to another URL
+    const token = process.env.ORCHESTRATOR_INTERNAL_TOKEN;
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+
+    try {
+      const response = await retry(
+        () =>
+          axios.post(`${orchestratorUrl}/api/mcp/register`, body, {
+            headers,
+            timeout: 5000,
+          }),
+        { retries: 5, delay: 5000 },
+      );
+      logInfo(`${this.config.name} registered with orchestrator`, {
+        orchestratorUrl,
+        registryName: response.data?.name,
+      });
+    } catch (error) {
+      logWarn(`${this.config.name} could not register with orchestrator`, {
+        orchestratorUrl,
+        error: (error as Error).message,
+      });
+    }
+  }
+
   protected async shutdown(): Promise<void> {
     logInfo(`${this.config.name} shutting down`);
     process.exit(0);
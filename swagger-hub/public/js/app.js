@@ -40,7 +40,7 @@ const MCP_CATEGORIES = {
     mcps: [
       { name: 'riskAnalyzer', displayName: 'Risk Analyzer', port: 8300, description: 'AI-powered risk assessment', hasReadme: true, mcpFolder: 'risk-analyzer' },
       { name: 'integrationMapper', displayName: 'Integration Mapper', port: 8301, description: 'Map integration points and dependencies', hasReadme: true, mcpFolder: 'integration-mapper' },
-      { name: 'testSelector', displayName: 'Test Selector', port: 8302, description: 'Intelligent test selection based on changes', hasReadme: false }
+      { name: 'testSelector', displayName: 'Test Selector', port: 8302, description: 'Intelligent test selection based on changes', hasReadme: true, mcpFolder: 'test-selector' }
     ]
   },
   playwright: {